@@ -26,12 +26,12 @@ test_data = [
         ]
     }
 ]
-from db import pdf_collection , image_collection, user_collection, subjects_collection, lectures_collection, tests_collection
+from db import pdf_collection , image_collection, user_collection, subjects_collection, lectures_collection, tests_collection, study_pack_collection
 from datetime import datetime, timezone
 from typing import Optional
 import json
 import httpx
-from fastapi import HTTPException, Request, UploadFile, File, Form
+from fastapi import BackgroundTasks, HTTPException, Request, UploadFile, File, Form
 from fastapi.responses import Response, FileResponse, StreamingResponse
 import shutil
 import uuid
@@ -48,6 +48,8 @@ from utils.logging_config import configure_logging
 logger = configure_logging("base_backend")
 from orchestration_config import config, validate_integration_setup
 from orchestration_db_integration import db_integration, get_user_analytics, sync_user_data
+from summary_jobs import summary_jobs, serialize_job
+from study_packs import study_packs, serialize_pack, pack_document, build_study_pack, MAX_PACK_DOCUMENTS
 
 # Add orchestration system to path
 orchestration_path = Path(__file__).parent.parent / "orchestration" / "unified_orchestration_system"
@@ -658,6 +660,22 @@ async def generate_lesson(
             }
         )
 
+def sse_event(event: str, payload: dict) -> str:
+    """Format a typed server-sent event with a JSON payload"""
+    return f"event: {event}\ndata: {json.dumps(payload)}\n\n"
+
+def sse_response(generator):
+    """Wrap an event generator in a streaming response"""
+    return StreamingResponse(
+        generator,
+        media_type="text/event-stream",
+        headers={
+            "Cache-Control": "no-cache",
+            "Connection": "keep-alive",
+            "X-Accel-Buffering": "no"
+        }
+    )
+
 @app.get("/generate_lesson_stream")
 async def generate_lesson_stream(
     subject: str,
@@ -667,24 +685,25 @@ async def generate_lesson_stream(
 ):
     """
     Generate in-depth lesson content with live streaming (no JSON format)
-    Returns plain text content that streams progressively for live rendering
+    Streams typed server-sent events (progress, delta, sources, error, done)
+    so clients can tell status updates apart from lesson text
     """
     async def generate_content():
         try:
-            yield f"data: 🎓 Starting lesson generation for {subject}: {topic}\n\n"
+            yield sse_event("progress", {"stage": "start", "message": f"Starting lesson generation for {subject}: {topic}"})
             await asyncio.sleep(0.1)
 
             # Initialize variables for content sources
             knowledge_content = ""
             wikipedia_content = ""
 
-            yield f"data: 📚 Gathering educational resources...\n\n"
+            yield sse_event("progress", {"stage": "resources", "message": "Gathering educational resources"})
             await asyncio.sleep(0.2)
 
             # Get Knowledge Store content if requested
             if use_knowledge_store:
                 try:
-                    yield f"data: 🔍 Accessing knowledge base for {subject}...\n\n"
+                    yield sse_event("progress", {"stage": "knowledge_base", "message": f"Accessing knowledge base for {subject}"})
                     await asyncio.sleep(0.3)
 
                     import requests
@@ -700,17 +719,17 @@ async def generate_lesson_stream(
                     if orchestration_response.status_code == 200:
                         orchestration_data = orchestration_response.json()
                         knowledge_content = orchestration_data.get("response", "")
-                        yield f"data: ✅ Knowledge base content retrieved ({len(knowledge_content)} characters)\n\n"
+                        yield sse_event("progress", {"stage": "knowledge_base", "status": "complete", "message": f"Knowledge base content retrieved ({len(knowledge_content)} characters)"})
                     else:
-                        yield f"data: ⚠️ Knowledge base unavailable, using enhanced generation\n\n"
+                        yield sse_event("progress", {"stage": "knowledge_base", "status": "warning", "message": "Knowledge base unavailable, using enhanced generation"})
 
                 except Exception as e:
-                    yield f"data: ⚠️ Knowledge base error: {str(e)}\n\n"
+                    yield sse_event("progress", {"stage": "knowledge_base", "status": "warning", "message": f"Knowledge base error: {str(e)}"})
 
             # Get Wikipedia content if requested
             if include_wikipedia:
                 try:
-                    yield f"data: 🌐 Searching Wikipedia for {topic}...\n\n"
+                    yield sse_event("progress", {"stage": "wikipedia", "message": f"Searching Wikipedia for {topic}"})
                     await asyncio.sleep(0.2)
 
                     import sys
@@ -724,15 +743,15 @@ async def generate_lesson_stream(
 
                     if wiki_data["wikipedia"]["title"] and wiki_data["wikipedia"]["summary"]:
                         wikipedia_content = wiki_data["wikipedia"]["summary"]
-                        yield f"data: ✅ Wikipedia article found: {wiki_data['wikipedia']['title']}\n\n"
+                        yield sse_event("progress", {"stage": "wikipedia", "status": "complete", "message": f"Wikipedia article found: {wiki_data['wikipedia']['title']}"})
                     else:
-                        yield f"data: ⚠️ No relevant Wikipedia content found\n\n"
+                        yield sse_event("progress", {"stage": "wikipedia", "status": "warning", "message": "No relevant Wikipedia content found"})
 
                 except Exception as e:
-                    yield f"data: ⚠️ Wikipedia search failed: {str(e)}\n\n"
+                    yield sse_event("progress", {"stage": "wikipedia", "status": "warning", "message": f"Wikipedia search failed: {str(e)}"})
 
             # Generate comprehensive lesson content
-            yield f"data: 🧠 Generating comprehensive lesson content...\n\n"
+            yield sse_event("progress", {"stage": "generating", "message": "Generating comprehensive lesson content"})
             await asyncio.sleep(0.5)
 
             # Create enhanced prompt for in-depth content
@@ -790,39 +809,31 @@ async def generate_lesson_stream(
             lesson_content = llm_service.generate_response(prompt)
 
             # Stream the content progressively
-            yield f"data: 📖 Lesson content ready! Streaming now...\n\n"
+            yield sse_event("progress", {"stage": "streaming", "message": "Lesson content ready, streaming now"})
             await asyncio.sleep(0.3)
 
             # Split content into chunks for progressive streaming
             content_lines = lesson_content.split('\n')
 
             for i, line in enumerate(content_lines):
-                if line.strip():  # Only send non-empty lines
-                    yield f"data: {line}\n\n"
-                    await asyncio.sleep(0.05)  # Small delay for live rendering effect
-                else:
-                    yield f"data: \n\n"  # Send empty line
-                    await asyncio.sleep(0.02)
+                yield sse_event("delta", {"text": f"{line}\n"})
+                # Small delay for live rendering effect
+                await asyncio.sleep(0.05 if line.strip() else 0.02)
+
+            sources = []
+            if knowledge_content:
+                sources.append("Knowledge Base")
+            if wikipedia_content:
+                sources.append("Wikipedia")
+            sources.append("Enhanced AI Generation")
+            yield sse_event("sources", {"sources": sources})
 
-            yield f"data: \n\n"
-            yield f"data: ✅ Lesson generation complete!\n\n"
-            yield f"data: 📊 Total content: {len(content_lines)} lines\n\n"
-            yield f"data: 🎯 Sources used: {'Knowledge Base + ' if knowledge_content else ''}{'Wikipedia + ' if wikipedia_content else ''}Enhanced AI Generation\n\n"
-            yield f"data: [END]\n\n"
+            yield sse_event("done", {"message": "Lesson generation complete", "total_lines": len(content_lines)})
 
         except Exception as e:
-            yield f"data: ❌ Error generating lesson: {str(e)}\n\n"
-            yield f"data: [ERROR]\n\n"
+            yield sse_event("error", {"message": f"Error generating lesson: {str(e)}"})
 
-    return StreamingResponse(
-        generate_content(),
-        media_type="text/plain",
-        headers={
-            "Cache-Control": "no-cache",
-            "Connection": "keep-alive",
-            "Content-Type": "text/plain; charset=utf-8"
-        }
-    )
+    return sse_response(generate_content())
 
 @app.post("/lessons")
 def create_lesson(lesson_request: LessonRequest):
@@ -1460,6 +1471,8 @@ async def process_image(file: UploadFile = File(...)):
         if temp_image_path and os.path.exists(temp_image_path):
             os.remove(temp_image_path)
 
+# Legacy: /summarize-pdf and /summarize-img (and the -stream variants below)
+# return whatever was processed last by anyone. New clients use /summaries.
 @app.get("/summarize-pdf", response_model=PDFResponse)
 async def summarize_pdf():
     if pdf_response is None:
@@ -1472,6 +1485,322 @@ async def summarize_image():
         raise HTTPException(status_code=404, detail="No image has been processed yet.")
     return image_response
 
+# ==== Job-scoped document summaries ====
+# Every upload gets a job ID. Progress is streamed from
+# /summaries/{job_id}/events and the finished summary is served from
+# /summary/{job_id}, so concurrent users and tabs never see each other's files.
+
+SUMMARY_FILE_TYPES = {
+    "pdf": (".pdf",),
+    "image": (".jpg", ".jpeg", ".png"),
+}
+
+def summarize_pdf_file(file_path: str, report) -> dict:
+    """Summarize a PDF, reporting each stage as (stage, message)"""
+    report("parsing", "Reading the document")
+    structured_data = parse_pdf(file_path)
+    if not structured_data["body"]:
+        raise ValueError("Failed to parse PDF content")
+
+    report("summarizing", f"Summarizing: {structured_data['title']}")
+    query = "give me detail summary of this pdf"
+    agent = build_qa_agent([structured_data["body"]], groq_api_key=os.getenv("GROQ_API_KEY"))
+    answer = agent.invoke({"query": query})["result"]
+    return {
+        "title": structured_data["title"],
+        "sections": [{"heading": s["heading"], "content": s["content"]} for s in structured_data["sections"]],
+        "query": query,
+        "answer": answer,
+    }
+
+def summarize_image_file(file_path: str, report) -> dict:
+    """Summarize the text in an image, reporting each stage as (stage, message)"""
+    report("ocr", "Reading text from the image")
+    ocr_text = extract_text_easyocr(file_path).strip()
+    if not ocr_text:
+        no_text = "No readable text found in the image."
+        return {"title": "Image Analysis", "ocr_text": no_text, "query": "N/A", "answer": no_text}
+
+    report("summarizing", "Generating image analysis")
+    query = "give me detail summary of this image"
+    agent = build_qa_agent([ocr_text], groq_api_key=os.getenv("GROQ_API_KEY"))
+    answer = agent.invoke({"query": query})["result"]
+    return {"title": "Image Analysis", "ocr_text": ocr_text, "query": query, "answer": answer}
+
+def run_summary_job(job_id: str, file_path: str):
+    """Summarize an uploaded file (runs in the background task thread pool)"""
+    job = summary_jobs.get(job_id)
+    if job is None:
+        return
+
+    def report(stage, message):
+        summary_jobs.stage(job_id, stage, message)
+
+    try:
+        summarize = summarize_pdf_file if job["kind"] == "pdf" else summarize_image_file
+        result = summarize(file_path, report)
+
+        report("audio", "Generating audio")
+        # The job ID keeps audio from simultaneous uploads apart
+        audio_file = text_to_speech(result["answer"], file_prefix=f"summary_{job_id}")
+        result["audio_file"] = f"/api/stream/{os.path.basename(audio_file)}" if audio_file else None
+
+        try:
+            collection = pdf_collection if job["kind"] == "pdf" else image_collection
+            collection.insert_one({
+                **result,
+                "summary_id": job_id,
+                "user_id": job["user_id"],
+                "filename": job["filename"],
+                "kind": job["kind"],
+                "llm": job["llm"],
+                "timestamp": datetime.now(timezone.utc),
+            })
+        except Exception as e:
+            logger.warning(f"Could not store summary {job_id}: {e}")
+
+        summary_jobs.complete(job_id, result)
+    except Exception as e:
+        logger.error(f"Summary job {job_id} failed: {e}")
+        summary_jobs.fail(job_id, e)
+    finally:
+        if os.path.exists(file_path):
+            os.remove(file_path)
+
+def stored_summary(doc: dict) -> dict:
+    """A summary from MongoDB in the same shape as a completed job"""
+    timestamp = doc.get("timestamp")
+    created_at = timestamp.isoformat() if isinstance(timestamp, datetime) else timestamp
+    return {
+        "id": doc["summary_id"],
+        "job_id": doc["summary_id"],
+        "summary_id": doc["summary_id"],
+        "kind": doc.get("kind"),
+        "filename": doc.get("filename"),
+        "llm": doc.get("llm"),
+        "status": "completed",
+        "stage": None,
+        "message": None,
+        "error": None,
+        "created_at": created_at,
+        "updated_at": created_at,
+        "title": doc.get("title"),
+        "sections": doc.get("sections", []),
+        "ocr_text": doc.get("ocr_text"),
+        "query": doc.get("query"),
+        "answer": doc.get("answer", ""),
+        "audio_file": doc.get("audio_file"),
+    }
+
+@app.post("/summaries", status_code=202)
+async def create_summary_job(
+    background_tasks: BackgroundTasks,
+    file: UploadFile = File(...),
+    user_id: str = Form("guest-user"),
+    session_id: Optional[str] = Form(None),
+    llm: str = Form("uniguru"),
+):
+    """Start summarizing a PDF or image; returns the job to follow"""
+    extension = os.path.splitext((file.filename or "").lower())[1]
+    kind = next((k for k, extensions in SUMMARY_FILE_TYPES.items() if extension in extensions), None)
+    if kind is None:
+        raise HTTPException(status_code=400, detail="Only PDF, JPG, JPEG, or PNG files are allowed")
+
+    job = summary_jobs.create(kind, file.filename, user_id=user_id, session_id=session_id, llm=llm)
+    file_path = os.path.join(TEMP_DIR, f"summary_{job['id']}{extension}")
+    with open(file_path, "wb") as temp_file:
+        shutil.copyfileobj(file.file, temp_file)
+
+    background_tasks.add_task(run_summary_job, job["id"], file_path)
+    return serialize_job(job)
+
+@app.get("/summaries")
+async def list_summary_jobs(session_id: str):
+    """The summary jobs of an upload session still held in memory, newest first"""
+    return {"summaries": [serialize_job(job) for job in summary_jobs.list_for_session(session_id)]}
+
+@app.get("/summaries/{job_id}/events")
+async def summary_job_events(job_id: str):
+    """
+    Follow a summary job as typed server-sent events: progress for every
+    stage, then the summary as delta lines and done with its summary_id
+    """
+    if summary_jobs.get(job_id) is None:
+        raise HTTPException(status_code=404, detail="Summary job not found")
+
+    async def generate_events():
+        sent_stages = 0
+        idle_polls = 0
+        while True:
+            job = summary_jobs.get(job_id)
+            if job is None:
+                yield sse_event("error", {"message": "Summary job was deleted"})
+                return
+
+            for stage in job["stages"][sent_stages:]:
+                yield sse_event("progress", stage)
+                idle_polls = 0
+            sent_stages = len(job["stages"])
+
+            if job["status"] == "failed":
+                yield sse_event("error", {"message": job["error"] or "Summary failed"})
+                return
+
+            if job["status"] == "completed":
+                result = job["result"]
+                yield sse_event("progress", {"stage": "results", "message": "Streaming the summary"})
+                # Markdown is stripped for the live view, as in the legacy streams
+                cleaned_answer = result["answer"].replace('**', '').replace('*', '').replace('##', '').replace('#', '')
+                for line in cleaned_answer.split('\n'):
+                    yield sse_event("delta", {"text": f"{line.strip()}\n"})
+                    await asyncio.sleep(0.05 if line.strip() else 0.02)
+                yield sse_event("done", {
+                    "message": "Summary complete",
+                    "summary_id": job_id,
+                    "title": result.get("title"),
+                    "audio_available": bool(result.get("audio_file")),
+                })
+                return
+
+            # Comment lines keep proxies from closing a long wait
+            idle_polls += 1
+            if idle_polls % 30 == 0:
+                yield ": keep-alive\n\n"
+            await asyncio.sleep(0.5)
+
+    return sse_response(generate_events())
+
+def find_summary(summary_id: str):
+    """A summary job by ID, from memory or, once it has expired there, MongoDB"""
+    job = summary_jobs.get(summary_id)
+    if job is not None:
+        return serialize_job(job)
+
+    for collection in (pdf_collection, image_collection):
+        try:
+            doc = collection.find_one({"summary_id": summary_id}, {"_id": 0})
+        except Exception as e:
+            logger.warning(f"Could not look up summary {summary_id}: {e}")
+            doc = None
+        if doc:
+            return stored_summary(doc)
+    return None
+
+@app.get("/summary/{summary_id}")
+async def get_summary_by_id(summary_id: str):
+    """A summary job by ID, from memory or, once it has expired there, MongoDB"""
+    summary = find_summary(summary_id)
+    if summary is None:
+        raise HTTPException(status_code=404, detail="Summary not found")
+    return summary
+
+@app.delete("/summary/{summary_id}")
+async def delete_summary(summary_id: str):
+    """Forget a summary job and its stored summary"""
+    deleted = summary_jobs.delete(summary_id)
+    for collection in (pdf_collection, image_collection):
+        try:
+            deleted = collection.delete_many({"summary_id": summary_id}).deleted_count > 0 or deleted
+        except Exception as e:
+            logger.warning(f"Could not delete summary {summary_id}: {e}")
+
+    if not deleted:
+        raise HTTPException(status_code=404, detail="Summary not found")
+    return {"summary_id": summary_id, "deleted": True}
+
+# ==== Multi-document study packs ====
+# The client starts a summary job per document, then creates a pack from the
+# job IDs. The pack waits for the jobs and is followed by polling
+# /study-packs/{pack_id}; its quiz_content feeds /quiz/generate.
+
+# How long a pack waits for its documents to be summarized
+STUDY_PACK_WAIT_SECONDS = 20 * 60
+
+class StudyPackRequest(BaseModel):
+    summary_ids: List[str]
+    title: Optional[str] = None
+    user_id: Optional[str] = "guest-user"
+    session_id: Optional[str] = None
+
+def run_study_pack(pack_id: str):
+    """Wait for a pack's summaries, then build it (runs in the background task thread pool)"""
+    pack = study_packs.get(pack_id)
+    if pack is None:
+        return
+
+    try:
+        deadline = time.monotonic() + STUDY_PACK_WAIT_SECONDS
+        while True:
+            documents = [pack_document(summary_id, find_summary(summary_id)) for summary_id in pack["summary_ids"]]
+            pending = [document for document in documents if document["status"] not in ("completed", "failed")]
+            done = len(documents) - len(pending)
+            study_packs.update(
+                pack_id,
+                documents=documents,
+                message=f"Summarized {done} of {len(documents)} documents",
+            )
+            if not pending:
+                break
+            if time.monotonic() > deadline:
+                raise TimeoutError("Timed out waiting for the documents to be summarized")
+            time.sleep(2)
+
+        summarized = [document for document in documents if document["status"] == "completed" and document["answer"].strip()]
+        if not summarized:
+            raise ValueError("None of the documents could be summarized")
+
+        study_packs.update(pack_id, status="building", message="Building the outline, glossary and flashcards")
+        contents = build_study_pack(summarized, llm_service.generate_response)
+        study_packs.complete(pack_id, contents)
+
+        try:
+            study_pack_collection.insert_one({
+                **serialize_pack(study_packs.get(pack_id)),
+                "user_id": pack["user_id"],
+                "session_id": pack["session_id"],
+                "timestamp": datetime.now(timezone.utc),
+            })
+        except Exception as e:
+            logger.warning(f"Could not store study pack {pack_id}: {e}")
+    except Exception as e:
+        logger.error(f"Study pack {pack_id} failed: {e}")
+        study_packs.fail(pack_id, e)
+
+@app.post("/study-packs", status_code=202)
+async def create_study_pack(request: StudyPackRequest, background_tasks: BackgroundTasks):
+    """Combine the summaries of several documents into a study pack"""
+    summary_ids = list(dict.fromkeys(request.summary_ids))
+    if not summary_ids:
+        raise HTTPException(status_code=400, detail="Add at least one document to the study pack")
+    if len(summary_ids) > MAX_PACK_DOCUMENTS:
+        raise HTTPException(status_code=400, detail=f"A study pack can hold at most {MAX_PACK_DOCUMENTS} documents")
+
+    pack = study_packs.create(
+        summary_ids,
+        title=request.title,
+        user_id=request.user_id,
+        session_id=request.session_id,
+    )
+    background_tasks.add_task(run_study_pack, pack["id"])
+    return serialize_pack(pack)
+
+@app.get("/study-packs/{pack_id}")
+async def get_study_pack(pack_id: str):
+    """A study pack by ID, from memory or, once it has expired there, MongoDB"""
+    pack = study_packs.get(pack_id)
+    if pack is not None:
+        return serialize_pack(pack)
+
+    try:
+        doc = study_pack_collection.find_one({"pack_id": pack_id}, {"_id": 0, "user_id": 0, "session_id": 0, "timestamp": 0})
+    except Exception as e:
+        logger.warning(f"Could not look up study pack {pack_id}: {e}")
+        doc = None
+    if doc:
+        return doc
+
+    raise HTTPException(status_code=404, detail="Study pack not found")
+
 @app.get("/process-img-stream")
 async def process_img_stream(
     file_path: str = None,
@@ -1479,34 +1808,30 @@ async def process_img_stream(
 ):
     """
     Stream image processing results line by line for live rendering
+    as typed server-sent events (progress, delta, error, done)
     """
-    from fastapi.responses import StreamingResponse
-    
     async def generate_content():
         try:
-            yield f"data: 🔍 Starting image analysis...\n\n"
+            yield sse_event("progress", {"stage": "start", "message": "Starting image analysis"})
             await asyncio.sleep(0.1)
 
             # Get the latest image response
             if image_response is None:
-                yield f"data: ❌ No image has been processed yet. Please upload an image first.\n\n"
-                yield f"data: [ERROR]\n\n"
+                yield sse_event("error", {"message": "No image has been processed yet. Please upload an image first."})
                 return
 
-            yield f"data: 🖼️ Processing image with OCR...\n\n"
+            yield sse_event("progress", {"stage": "ocr", "message": "Processing image with OCR"})
             await asyncio.sleep(0.2)
 
-            yield f"data: 🤖 Using UNIGURU AI model\n\n"
+            yield sse_event("progress", {"stage": "model", "message": "Using UNIGURU AI model"})
             await asyncio.sleep(0.2)
 
-            yield f"data: 📝 Generating comprehensive image analysis...\n\n"
+            yield sse_event("progress", {"stage": "summarizing", "message": "Generating comprehensive image analysis"})
             await asyncio.sleep(0.3)
 
             # Check if OCR text was found
             if image_response.ocr_text and image_response.ocr_text != "No readable text found in the image.":
-                yield f"data: 📖 Text extracted from image:\n\n"
-                yield f"data: {image_response.ocr_text}\n\n"
-                yield f"data: \n\n"
+                yield sse_event("delta", {"text": f"{image_response.ocr_text}\n\n"})
 
             # Clean the answer content (remove markdown formatting)
             answer = image_response.answer
@@ -1517,36 +1842,20 @@ async def process_img_stream(
             # Split content into lines for streaming
             content_lines = cleaned_answer.split('\n')
 
-            yield f"data: 📊 Analysis Results:\n\n"
-            yield f"data: \n\n"
+            yield sse_event("progress", {"stage": "results", "message": "Streaming analysis results"})
 
             # Stream content line by line
             for i, line in enumerate(content_lines):
-                if line.strip():  # Only send non-empty lines
-                    yield f"data: {line.strip()}\n\n"
-                    await asyncio.sleep(0.05)  # Small delay for live rendering effect
-                else:
-                    yield f"data: \n\n"  # Send empty line
-                    await asyncio.sleep(0.02)
+                yield sse_event("delta", {"text": f"{line.strip()}\n"})
+                # Small delay for live rendering effect
+                await asyncio.sleep(0.05 if line.strip() else 0.02)
 
-            yield f"data: \n\n"
-            yield f"data: ✅ Image analysis complete!\n\n"
-            yield f"data: 🎵 Audio summary available for download\n\n"
-            yield f"data: [END]\n\n"
+            yield sse_event("done", {"message": "Image analysis complete", "audio_available": True})
 
         except Exception as e:
-            yield f"data: ❌ Error during streaming: {str(e)}\n\n"
-            yield f"data: [ERROR]\n\n"
+            yield sse_event("error", {"message": f"Error during streaming: {str(e)}"})
 
-    return StreamingResponse(
-        generate_content(),
-        media_type="text/plain",
-        headers={
-            "Cache-Control": "no-cache",
-            "Connection": "keep-alive",
-            "Content-Type": "text/plain; charset=utf-8"
-        }
-    )
+    return sse_response(generate_content())
 
 @app.get("/api/stream/{filename}")
 async def stream_audio(filename: str):
@@ -1581,27 +1890,25 @@ async def process_pdf_stream(
 ):
     """
     Stream PDF processing results line by line for live rendering
+    as typed server-sent events (progress, delta, error, done)
     """
-    from fastapi.responses import StreamingResponse
-    
     async def generate_content():
         try:
-            yield f"data: 🔍 Starting document analysis...\n\n"
+            yield sse_event("progress", {"stage": "start", "message": "Starting document analysis"})
             await asyncio.sleep(0.1)
 
             # Get the latest PDF response
             if pdf_response is None:
-                yield f"data: ❌ No PDF has been processed yet. Please upload a document first.\n\n"
-                yield f"data: [ERROR]\n\n"
+                yield sse_event("error", {"message": "No PDF has been processed yet. Please upload a document first."})
                 return
 
-            yield f"data: 📄 Processing: {pdf_response.title}\n\n"
+            yield sse_event("progress", {"stage": "processing", "message": f"Processing: {pdf_response.title}"})
             await asyncio.sleep(0.2)
 
-            yield f"data: 🤖 Using UNIGURU AI model\n\n"
+            yield sse_event("progress", {"stage": "model", "message": "Using UNIGURU AI model"})
             await asyncio.sleep(0.2)
 
-            yield f"data: 📝 Generating comprehensive summary...\n\n"
+            yield sse_event("progress", {"stage": "summarizing", "message": "Generating comprehensive summary"})
             await asyncio.sleep(0.3)
 
             # Clean the answer content (remove markdown formatting)
@@ -1613,37 +1920,20 @@ async def process_pdf_stream(
             # Split content into lines for streaming
             content_lines = cleaned_answer.split('\n')
 
-            yield f"data: \n\n"
-            yield f"data: {pdf_response.title}\n\n"
-            yield f"data: \n\n"
+            yield sse_event("delta", {"text": f"{pdf_response.title}\n\n"})
 
             # Stream content line by line
             for i, line in enumerate(content_lines):
-                if line.strip():  # Only send non-empty lines
-                    yield f"data: {line.strip()}\n\n"
-                    await asyncio.sleep(0.05)  # Small delay for live rendering effect
-                else:
-                    yield f"data: \n\n"  # Send empty line
-                    await asyncio.sleep(0.02)
+                yield sse_event("delta", {"text": f"{line.strip()}\n"})
+                # Small delay for live rendering effect
+                await asyncio.sleep(0.05 if line.strip() else 0.02)
 
-            yield f"data: \n\n"
-            yield f"data: ✅ Document analysis complete!\n\n"
-            yield f"data: 🎵 Audio summary available for download\n\n"
-            yield f"data: [END]\n\n"
+            yield sse_event("done", {"message": "Document analysis complete", "audio_available": True})
 
         except Exception as e:
-            yield f"data: ❌ Error during streaming: {str(e)}\n\n"
-            yield f"data: [ERROR]\n\n"
+            yield sse_event("error", {"message": f"Error during streaming: {str(e)}"})
 
-    return StreamingResponse(
-        generate_content(),
-        media_type="text/plain",
-        headers={
-            "Cache-Control": "no-cache",
-            "Connection": "keep-alive",
-            "Content-Type": "text/plain; charset=utf-8"
-        }
-    )
+    return sse_response(generate_content())
 
 # ==== OpenAI-compatible Chat Completions Proxy (CORS-enabled) ====
 @app.options("/v1/chat/completions")
@@ -40,6 +40,9 @@ pdf_collection = db["pdf_collection"]
 image_collection = db["image_collection"]
 tests_collection = db["tests_collection"]
 
+# Completed multi-document study packs
+study_pack_collection = db["study_packs"]
+
 # Print available collections for debugging
 print("\nCollections in database:")
 try:
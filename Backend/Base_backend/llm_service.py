@@ -4,8 +4,9 @@ Supports: Groq, OpenAI, and local fallback responses
 """
 
 import os
+import json
 import requests
-from typing import Optional, Dict, Any
+from typing import Optional, Dict, Any, Iterator
 from dotenv import load_dotenv
 import logging
 
@@ -220,6 +221,131 @@ class LLMService:
         # Final fallback if everything fails
         return "I apologize, but I'm experiencing technical difficulties right now. Please try again in a few moments, or contact support if the issue persists."
     
+    def _stream_chat_completion(self, api_url: str, headers: Dict[str, str], payload: Dict[str, Any], timeout: int) -> Iterator[str]:
+        """Yield content deltas from an OpenAI-compatible server-sent event stream"""
+
+        with requests.post(
+            api_url,
+            headers=headers,
+            json={**payload, "stream": True},
+            stream=True,
+            timeout=timeout
+        ) as response:
+            if response.status_code != 200:
+                raise RuntimeError(f"HTTP {response.status_code}")
+
+            for line in response.iter_lines(decode_unicode=True):
+                if not line or not line.startswith("data:"):
+                    continue
+                data = line[len("data:"):].strip()
+                if data == "[DONE]":
+                    break
+                try:
+                    delta = json.loads(data)["choices"][0].get("delta", {})
+                except (ValueError, KeyError, IndexError):
+                    continue
+                if delta.get("content"):
+                    yield delta["content"]
+
+    def stream_groq_api(self, prompt: str, model: str = None) -> Iterator[str]:
+        """Stream a UniGuru/Groq completion token by token"""
+
+        base = os.getenv("UNIGURU_API_BASE_URL") or os.getenv("UNIGURU_NGROK_ENDPOINT") or os.getenv("GROQ_API_ENDPOINT")
+        if not base:
+            raise RuntimeError("UNIGURU_API_BASE_URL or UNIGURU_NGROK_ENDPOINT must be set for UniGuru calls")
+
+        payload = {
+            "model": model or self.models['groq']['default'],
+            "messages": [{"role": "user", "content": prompt}],
+            "temperature": 0.7,
+            "max_tokens": 2048,
+            "top_p": 1.0
+        }
+        headers = {
+            "Content-Type": "application/json",
+            "ngrok-skip-browser-warning": "true"
+        }
+        yield from self._stream_chat_completion(base.rstrip("/") + "/v1/chat/completions", headers, payload, 60)
+
+    def stream_openai_api(self, prompt: str, model: str = None) -> Iterator[str]:
+        """Stream an OpenAI completion token by token"""
+
+        if not self.openai_api_key:
+            raise RuntimeError("No OpenAI API key configured")
+
+        payload = {
+            "model": model or self.models['openai']['default'],
+            "messages": [{"role": "user", "content": prompt}],
+            "temperature": 0.7,
+            "max_tokens": 512
+        }
+        headers = {
+            "Authorization": f"Bearer {self.openai_api_key}",
+            "Content-Type": "application/json"
+        }
+        yield from self._stream_chat_completion("https://api.openai.com/v1/chat/completions", headers, payload, 30)
+
+    def is_provider_configured(self, provider: str) -> bool:
+        """Whether a provider has the endpoint or key it needs (no network call)"""
+        if provider == 'groq':
+            return bool(os.getenv("UNIGURU_API_BASE_URL") or os.getenv("UNIGURU_NGROK_ENDPOINT") or os.getenv("GROQ_API_ENDPOINT"))
+        if provider == 'openai':
+            return bool(self.openai_api_key)
+        return provider == 'fallback'
+
+    def stream_response(self, prompt: str, preferred_provider: str = None, model: str = None) -> Iterator[Dict[str, str]]:
+        """
+        Stream a response with the same provider fallback as generate_response
+
+        A provider that fails before its first token falls through to the next
+        one; a failure after that ends the stream, since part of the answer has
+        already been sent. `model` overrides the default model of the
+        preferred provider.
+
+        Yields:
+            {"content": chunk, "provider": provider, "model": model}
+        """
+
+        providers_to_try = [preferred_provider] if preferred_provider else self.providers
+        streams = {
+            'groq': (self.stream_groq_api, self.models['groq']['default']),
+            'openai': (self.stream_openai_api, self.models['openai']['default'])
+        }
+
+        for provider in providers_to_try:
+            if provider == 'fallback':
+                content = self.get_fallback_response(prompt)["content"]
+                # Keep the word boundaries so the client renders it like a live stream
+                for word in content.split(" "):
+                    yield {"content": word + " ", "provider": "fallback", "model": "rule-based"}
+                return
+
+            if provider not in streams:
+                continue
+
+            stream, provider_model = streams[provider]
+            if model and provider == preferred_provider:
+                provider_model = model
+            started = False
+            try:
+                for chunk in stream(prompt, provider_model):
+                    started = True
+                    yield {"content": chunk, "provider": provider, "model": provider_model}
+                if started:
+                    return
+                logger.warning(f"{provider} stream returned no content")
+            except Exception as e:
+                if started:
+                    raise
+                logger.warning(f"{provider} stream failed: {e}")
+
+        # Final fallback if everything fails
+        yield {
+            "content": "I apologize, but I'm experiencing technical difficulties right now. Please try again in a few moments, or contact support if the issue persists.",
+            "provider": "fallback",
+            "model": "rule-based"
+        }
+
     def test_providers(self) -> Dict[str, bool]:
         """Test all available providers"""
         
@@ -0,0 +1,299 @@
+"""
+Study Packs
+Combine the summaries of several uploaded documents, such as a week's
+lecture notes, into one pack: the per-document summaries, a merged outline,
+a glossary of key terms, flashcards and the text a quiz is generated from.
+
+A pack is created from the summary job IDs of its documents and moves
+through waiting -> building -> completed | failed. It waits for those jobs to
+finish, then asks the LLM for the outline, glossary and flashcards as JSON,
+falling back to extracting them from the summaries when the reply can't be
+used. Packs are kept in memory like summary jobs and stored in MongoDB once
+completed so their links keep working.
+"""
+
+import json
+import re
+import threading
+import uuid
+from datetime import datetime, timedelta, timezone
+
+PACK_STATUSES = ("waiting", "building", "completed", "failed")
+FINISHED_STATUSES = ("completed", "failed")
+
+MAX_PACK_DOCUMENTS = 10
+MAX_OUTLINE_POINTS = 6
+MAX_GLOSSARY_TERMS = 30
+MAX_FLASHCARDS = 20
+# Summary text sent to the LLM and to quiz generation
+MAX_SOURCE_CHARS = 12000
+
+MAX_FINISHED_PACKS = 200
+FINISHED_PACK_TTL = timedelta(hours=24)
+
+
+def _now():
+    return datetime.now(timezone.utc)
+
+
+class StudyPackStore:
+    """In-memory study packs, safe to update from worker threads"""
+
+    def __init__(self):
+        self.lock = threading.Lock()
+        self.packs = {}
+
+    def create(self, summary_ids, title=None, user_id="guest-user", session_id=None):
+        """Register a pack for the given summary jobs and return it"""
+        pack_id = uuid.uuid4().hex
+        now = _now()
+        pack = {
+            "id": pack_id,
+            "title": (title or "").strip() or f"Study pack ({len(summary_ids)} documents)",
+            "user_id": user_id or "guest-user",
+            "session_id": session_id,
+            "summary_ids": list(summary_ids),
+            "status": "waiting",
+            "message": "Waiting for the documents to be summarized",
+            "error": None,
+            "documents": [{"summary_id": summary_id, "status": "queued"} for summary_id in summary_ids],
+            "outline": [],
+            "glossary": [],
+            "flashcards": [],
+            "quiz_content": "",
+            "generated_by": None,
+            "created_at": now,
+            "updated_at": now,
+        }
+        with self.lock:
+            self._prune()
+            self.packs[pack_id] = pack
+        return self.get(pack_id)
+
+    def get(self, pack_id):
+        """Copy of a pack that can be read without holding the lock"""
+        with self.lock:
+            pack = self.packs.get(pack_id)
+            return dict(pack) if pack is not None else None
+
+    def update(self, pack_id, **fields):
+        with self.lock:
+            pack = self.packs.get(pack_id)
+            if pack is None or pack["status"] in FINISHED_STATUSES:
+                return
+            pack.update(fields)
+            pack["updated_at"] = _now()
+
+    def complete(self, pack_id, contents):
+        self.update(pack_id, **contents, status="completed", message="Study pack ready")
+
+    def fail(self, pack_id, error):
+        self.update(pack_id, status="failed", message=None, error=str(error))
+
+    def delete(self, pack_id):
+        with self.lock:
+            return self.packs.pop(pack_id, None) is not None
+
+    def _prune(self):
+        """Drop expired finished packs, then the oldest past the limit (lock held)"""
+        cutoff = _now() - FINISHED_PACK_TTL
+        finished = sorted(
+            (pack for pack in self.packs.values() if pack["status"] in FINISHED_STATUSES),
+            key=lambda pack: pack["updated_at"],
+        )
+        expired = [pack for pack in finished if pack["updated_at"] < cutoff]
+        overflow = finished[len(expired):][: max(0, len(finished) - len(expired) - MAX_FINISHED_PACKS)]
+        for pack in expired + overflow:
+            self.packs.pop(pack["id"], None)
+
+
+def serialize_pack(pack):
+    """Public view of a pack, also the shape stored in MongoDB"""
+    def timestamp(value):
+        return value.isoformat() if isinstance(value, datetime) else value
+
+    return {
+        "id": pack["id"],
+        "pack_id": pack["id"],
+        "title": pack["title"],
+        "status": pack["status"],
+        "message": pack.get("message"),
+        "error": pack.get("error"),
+        "documents": pack.get("documents", []),
+        "outline": pack.get("outline", []),
+        "glossary": pack.get("glossary", []),
+        "flashcards": pack.get("flashcards", []),
+        "quiz_content": pack.get("quiz_content", ""),
+        "generated_by": pack.get("generated_by"),
+        "created_at": timestamp(pack.get("created_at")),
+        "updated_at": timestamp(pack.get("updated_at")),
+    }
+
+
+def pack_document(summary_id, summary):
+    """A pack's entry for one document, from its summary job (or None if unknown)"""
+    if summary is None:
+        return {"summary_id": summary_id, "status": "failed", "error": "Summary not found"}
+    return {
+        "summary_id": summary_id,
+        "filename": summary.get("filename"),
+        "title": summary.get("title"),
+        "status": summary.get("status"),
+        "message": summary.get("message"),
+        "error": summary.get("error"),
+        "answer": summary.get("answer", "") if summary.get("status") == "completed" else "",
+        "audio_file": summary.get("audio_file"),
+    }
+
+
+# ==== Building the pack ====
+
+def _clean_line(line):
+    """A summary line without markdown bullets, numbering or emphasis"""
+    line = re.sub(r"^\s*(?:[-*•]+|\d+[.)])\s*", "", line)
+    return line.replace("**", "").replace("__", "").strip(" #\t")
+
+
+def _document_label(document):
+    return document.get("title") if document.get("title") not in (None, "", "Image Analysis") else document.get("filename")
+
+
+def build_quiz_content(documents):
+    """The combined summaries a pack's quiz is generated from"""
+    sections = [f"{_document_label(document)}\n{document['answer'].strip()}" for document in documents]
+    return "\n\n".join(sections)[:MAX_SOURCE_CHARS]
+
+
+def fallback_outline(documents):
+    """One outline section per document, made of its first summary points"""
+    outline = []
+    for document in documents:
+        points = [_clean_line(line) for line in document["answer"].splitlines()]
+        points = [point[:200] for point in points if len(point) > 20]
+        outline.append({
+            "heading": _document_label(document),
+            "points": points[:MAX_OUTLINE_POINTS],
+            "sources": [document.get("filename")],
+        })
+    return outline
+
+
+# "**Term**: definition", "Term: definition" and "Term - definition"
+GLOSSARY_LINE = re.compile(r"^\**([A-Z][\w()'/ -]{1,48}?)\**\s*(?::|\s-\s|\s–\s)\s*(.{12,300})$")
+
+
+def fallback_glossary(documents):
+    """Terms defined in the summaries as "Term: definition" lines"""
+    glossary, seen = [], set()
+    for document in documents:
+        for line in document["answer"].splitlines():
+            match = GLOSSARY_LINE.match(re.sub(r"^\s*(?:[-*•]+|\d+[.)])\s*", "", line).strip())
+            if not match:
+                continue
+            term, definition = match.group(1).strip(), _clean_line(match.group(2))
+            if len(term.split()) > 5 or term.lower() in seen:
+                continue
+            seen.add(term.lower())
+            glossary.append({"term": term, "definition": definition, "source": document.get("filename")})
+    return glossary[:MAX_GLOSSARY_TERMS]
+
+
+def fallback_flashcards(glossary, outline):
+    """Flashcards from the glossary, topped up with outline points"""
+    cards = [{"front": f"What is {entry['term']}?", "back": entry["definition"]} for entry in glossary]
+    definitions = [entry["definition"] for entry in glossary]
+    for section in outline:
+        # Points that define a glossary term already have a card
+        points = [point for point in section["points"] if not any(d in point for d in definitions)]
+        for point in points[:2]:
+            if len(cards) >= MAX_FLASHCARDS:
+                break
+            cards.append({"front": f"Name a key point from {section['heading']}", "back": point})
+    return cards[:MAX_FLASHCARDS]
+
+
+def study_pack_prompt(documents):
+    summaries = "\n\n".join(
+        f"Document {index}: {_document_label(document)}\n{document['answer'].strip()}"
+        for index, document in enumerate(documents, start=1)
+    )[:MAX_SOURCE_CHARS]
+    return f"""You are preparing a study pack from the summaries of a student's documents.
+
+{summaries}
+
+Merge them into one study pack. Respond with JSON only, in this shape:
+{{
+  "outline": [{{"heading": "topic shared by the documents", "points": ["key point"], "sources": ["document title"]}}],
+  "glossary": [{{"term": "key term", "definition": "one sentence definition"}}],
+  "flashcards": [{{"front": "question", "back": "answer"}}]
+}}
+
+Group related material from different documents under the same outline heading.
+Give at most {MAX_GLOSSARY_TERMS} glossary terms and {MAX_FLASHCARDS} flashcards."""
+
+
+def parse_study_pack(response):
+    """The outline, glossary and flashcards from an LLM reply, or None if unusable"""
+    start, end = response.find("{"), response.rfind("}") + 1
+    if start < 0 or end <= start:
+        return None
+    try:
+        data = json.loads(response[start:end])
+    except ValueError:
+        return None
+
+    outline = [
+        {
+            "heading": str(section["heading"]),
+            "points": [str(point) for point in section.get("points", [])][:MAX_OUTLINE_POINTS],
+            "sources": [str(source) for source in section.get("sources", [])],
+        }
+        for section in data.get("outline", [])
+        if isinstance(section, dict) and section.get("heading")
+    ]
+    glossary = [
+        {"term": str(entry["term"]), "definition": str(entry["definition"]), "source": entry.get("source")}
+        for entry in data.get("glossary", [])
+        if isinstance(entry, dict) and entry.get("term") and entry.get("definition")
+    ][:MAX_GLOSSARY_TERMS]
+    flashcards = [
+        {"front": str(card["front"]), "back": str(card["back"])}
+        for card in data.get("flashcards", [])
+        if isinstance(card, dict) and card.get("front") and card.get("back")
+    ][:MAX_FLASHCARDS]
+
+    if not outline:
+        return None
+    return {"outline": outline, "glossary": glossary, "flashcards": flashcards}
+
+
+def build_study_pack(documents, generate):
+    """
+    Build a pack's contents from its summarized documents
+
+    Args:
+        documents: Completed pack documents (see pack_document)
+        generate: Function prompt -> LLM reply text
+
+    Returns:
+        outline, glossary, flashcards, quiz_content and generated_by ("llm" or "fallback")
+    """
+    contents = None
+    try:
+        contents = parse_study_pack(generate(study_pack_prompt(documents)))
+    except Exception:
+        contents = None
+
+    generated_by = "llm"
+    if contents is None:
+        outline = fallback_outline(documents)
+        glossary = fallback_glossary(documents)
+        contents = {"outline": outline, "glossary": glossary, "flashcards": fallback_flashcards(glossary, outline)}
+        generated_by = "fallback"
+    elif not contents["flashcards"]:
+        contents["flashcards"] = fallback_flashcards(contents["glossary"], contents["outline"])
+
+    return {**contents, "quiz_content": build_quiz_content(documents), "generated_by": generated_by}
+
+
+study_packs = StudyPackStore()
@@ -0,0 +1,142 @@
+"""
+Summary Jobs
+Document summaries keyed by a job ID handed out at upload, so every upload
+gets its own result instead of whatever was processed last.
+
+A job moves through queued -> processing -> completed | failed. While it
+runs it records the stages it has reached, which the events endpoint relays
+as progress; once it completes the job ID doubles as the summary ID.
+Finished jobs are kept in memory for a day (the summaries are also stored in
+MongoDB) and the oldest are dropped past a fixed count.
+"""
+
+import threading
+import uuid
+from datetime import datetime, timedelta, timezone
+
+JOB_STATUSES = ("queued", "processing", "completed", "failed")
+FINISHED_STATUSES = ("completed", "failed")
+
+# Finished jobs kept in memory, and for how long
+MAX_FINISHED_JOBS = 500
+FINISHED_JOB_TTL = timedelta(hours=24)
+
+
+def _now():
+    return datetime.now(timezone.utc)
+
+
+class SummaryJobStore:
+    """In-memory summary jobs, safe to update from worker threads"""
+
+    def __init__(self):
+        self.lock = threading.Lock()
+        self.jobs = {}
+
+    def create(self, kind, filename, user_id="guest-user", session_id=None, llm="uniguru"):
+        """Register a new job for an uploaded file and return it"""
+        job_id = uuid.uuid4().hex
+        now = _now()
+        job = {
+            "id": job_id,
+            "kind": kind,
+            "filename": filename,
+            "user_id": user_id or "guest-user",
+            # Groups the documents uploaded from one browser tab
+            "session_id": session_id,
+            "llm": llm,
+            "status": "queued",
+            "stages": [{"stage": "queued", "message": f"Queued {filename}"}],
+            "result": None,
+            "error": None,
+            "created_at": now,
+            "updated_at": now,
+        }
+        with self.lock:
+            self._prune()
+            self.jobs[job_id] = job
+        return self.snapshot(job_id)
+
+    def get(self, job_id):
+        return self.snapshot(job_id)
+
+    def snapshot(self, job_id):
+        """Copy of a job that can be read without holding the lock"""
+        with self.lock:
+            job = self.jobs.get(job_id)
+            if job is None:
+                return None
+            return {**job, "stages": list(job["stages"])}
+
+    def stage(self, job_id, stage, message):
+        """Record that a job reached a stage; the first stage marks it processing"""
+        with self.lock:
+            job = self.jobs.get(job_id)
+            if job is None or job["status"] in FINISHED_STATUSES:
+                return
+            job["status"] = "processing"
+            job["stages"].append({"stage": stage, "message": message})
+            job["updated_at"] = _now()
+
+    def complete(self, job_id, result):
+        with self.lock:
+            job = self.jobs.get(job_id)
+            if job is None:
+                return
+            job["status"] = "completed"
+            job["result"] = result
+            job["updated_at"] = _now()
+
+    def fail(self, job_id, error):
+        with self.lock:
+            job = self.jobs.get(job_id)
+            if job is None:
+                return
+            job["status"] = "failed"
+            job["error"] = str(error)
+            job["updated_at"] = _now()
+
+    def list_for_session(self, session_id):
+        """The jobs started from an upload session, newest first"""
+        with self.lock:
+            jobs = [job for job in self.jobs.values() if session_id and job["session_id"] == session_id]
+        return sorted(jobs, key=lambda job: job["created_at"], reverse=True)
+
+    def delete(self, job_id):
+        with self.lock:
+            return self.jobs.pop(job_id, None) is not None
+
+    def _prune(self):
+        """Drop expired finished jobs, then the oldest past the limit (lock held)"""
+        cutoff = _now() - FINISHED_JOB_TTL
+        finished = sorted(
+            (job for job in self.jobs.values() if job["status"] in FINISHED_STATUSES),
+            key=lambda job: job["updated_at"],
+        )
+        expired = [job for job in finished if job["updated_at"] < cutoff]
+        overflow = finished[len(expired):][: max(0, len(finished) - len(expired) - MAX_FINISHED_JOBS)]
+        for job in expired + overflow:
+            self.jobs.pop(job["id"], None)
+
+
+def serialize_job(job):
+    """Public view of a job: its status and, once completed, the summary"""
+    result = job["result"] or {}
+    return {
+        "id": job["id"],
+        "job_id": job["id"],
+        "summary_id": job["id"] if job["status"] == "completed" else None,
+        "kind": job["kind"],
+        "filename": job["filename"],
+        "llm": job["llm"],
+        "status": job["status"],
+        "stage": job["stages"][-1]["stage"] if job["stages"] else None,
+        "message": job["stages"][-1]["message"] if job["stages"] else None,
+        "error": job["error"],
+        "created_at": job["created_at"].isoformat(),
+        "updated_at": job["updated_at"].isoformat(),
+        **result,
+    }
+
+
+summary_jobs = SummaryJobStore()
@@ -0,0 +1,108 @@
+"""
+Direct (synchronous) financial simulation.
+
+A deterministic month-by-month projection of a user's cash flow, used where
+an answer is needed within a request - such as the financial advisor chat's
+what-if tools - instead of the multi-agent FinancialCrew run. Results use the
+FinancialCrew result sections (simulated_cashflow, goal_status) so the
+frontend reads both the same way.
+"""
+
+from typing import Dict, List
+
+# Expected annual return of monthly investments (SIP) by risk level
+ANNUAL_RETURNS = {"low": 0.06, "medium": 0.09, "high": 0.12}
+DEFAULT_ANNUAL_RETURN = ANNUAL_RETURNS["medium"]
+
+MAX_MONTHS = 120
+
+
+def _round(value: float) -> float:
+    return round(value, 2)
+
+
+def run_direct_simulation(user_inputs: Dict, n_months: int = 12) -> Dict:
+    """
+    Project income, expenses, savings and investments month by month
+
+    Args:
+        user_inputs: income, expenses ([{name, amount}]), risk_level, goal,
+            monthly_investment (SIP amount, default 0) and savings_target
+            (amount the goal needs, optional)
+        n_months: Months to project (1 to MAX_MONTHS)
+
+    Returns:
+        simulated_cashflow and goal_status per month, plus a summary of the
+        whole period
+    """
+    n_months = max(1, min(int(n_months), MAX_MONTHS))
+    income = float(user_inputs.get("income") or 0)
+    expenses: List[Dict] = [
+        {"name": expense.get("name") or "Expense", "amount": _round(float(expense.get("amount") or 0))}
+        for expense in user_inputs.get("expenses") or []
+    ]
+    total_expenses = sum(expense["amount"] for expense in expenses)
+    monthly_investment = max(0.0, float(user_inputs.get("monthly_investment") or 0))
+    annual_return = ANNUAL_RETURNS.get(str(user_inputs.get("risk_level", "")).lower(), DEFAULT_ANNUAL_RETURN)
+    monthly_return = (1 + annual_return) ** (1 / 12) - 1
+    savings_target = float(user_inputs.get("savings_target") or 0)
+
+    cash = 0.0
+    invested = 0.0
+    investment_value = 0.0
+    cashflow, goal_status = [], []
+    for month in range(1, n_months + 1):
+        # Investments are made first; whatever is left (or missing) is cash
+        savings = income - total_expenses - monthly_investment
+        investment_value = investment_value * (1 + monthly_return) + monthly_investment
+        invested += monthly_investment
+        cash += savings
+        net_worth = cash + investment_value
+
+        cashflow.append({
+            "month": month,
+            "income": {"total": _round(income)},
+            "expenses": {"total": _round(total_expenses), "items": expenses},
+            "savings": {"amount": _round(savings)},
+            "investment": {
+                "monthly": _round(monthly_investment),
+                "invested": _round(invested),
+                "value": _round(investment_value),
+            },
+            "cash_balance": _round(cash),
+            "net_worth": _round(net_worth),
+        })
+        if savings_target > 0:
+            goal_status.append({
+                "month": month,
+                "goals": [{
+                    "name": user_inputs.get("goal") or "Savings goal",
+                    "target_amount": _round(savings_target),
+                    "saved_so_far": _round(max(0.0, net_worth)),
+                }],
+            })
+
+    total_income = income * n_months
+    total_savings = (income - total_expenses) * n_months
+    return {
+        "user_id": user_inputs.get("user_id"),
+        "user_name": user_inputs.get("user_name"),
+        "n_months": n_months,
+        "simulated_cashflow": cashflow,
+        "goal_status": goal_status,
+        "summary": {
+            "monthly_income": _round(income),
+            "monthly_expenses": _round(total_expenses),
+            "monthly_investment": _round(monthly_investment),
+            "annual_return": annual_return,
+            "total_income": _round(total_income),
+            "total_expenses": _round(total_expenses * n_months),
+            # Income not spent, whether kept as cash or invested
+            "total_savings": _round(total_savings),
+            "savings_rate": _round(total_savings / total_income * 100) if total_income else 0,
+            "total_invested": _round(invested),
+            "investment_value": _round(investment_value),
+            "cash_balance": _round(cash),
+            "net_worth": _round(cash + investment_value),
+        },
+    }
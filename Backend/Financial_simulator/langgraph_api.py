@@ -24,6 +24,7 @@ import logging
 import numpy as np
 from datetime import datetime
 from langgraph_implementation import simulate_timeline_langgraph
+from direct_simulation import run_direct_simulation, MAX_MONTHS
 from teacher_agent import run_teacher_agent, handle_pdf_upload, handle_pdf_removal
 
 # Import MongoDB client
@@ -121,6 +122,11 @@ class SimulationInput(BaseModel):
     financial_type: str
     risk_level: str
 
+class DirectSimulationInput(SimulationInput):
+    n_months: int = 12
+    monthly_investment: float = 0  # SIP amount invested every month
+    savings_target: Optional[float] = None  # Amount the goal needs, if known
+
 class SimulateRequest(BaseModel):
     n_months: int = 6  # Default to 6 months
     simulation_unit: str = "Months"
@@ -370,6 +376,20 @@ async def get_simulation_status(task_id: str):
         "task_details": simulation_tasks[task_id]
     }
 
+@app.post("/run-direct-simulation")
+async def run_direct_simulation_endpoint(payload: DirectSimulationInput):
+    """
+    Run a deterministic cash flow projection and return it right away.
+    Used for quick what-ifs (e.g. a 10% lower rent or a new SIP), where
+    waiting for a full /start-simulation run would be too slow.
+    """
+    if not 1 <= payload.n_months <= MAX_MONTHS:
+        raise HTTPException(status_code=400, detail=f"n_months must be between 1 and {MAX_MONTHS}")
+
+    user_inputs = payload.model_dump()
+    user_inputs["expenses"] = [expense for expense in user_inputs["expenses"] if expense["amount"]]
+    return {"status": "success", **run_direct_simulation(user_inputs, payload.n_months)}
+
 @app.get("/simulation-results/{task_id}")
 async def get_simulation_results(task_id: str):
     """Get the latest results for a simulation task in progress"""
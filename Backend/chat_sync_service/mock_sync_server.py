@@ -0,0 +1,135 @@
+"""
+Chat Sync Mock Server
+Local stand-in for the per-user chat session store the frontend syncs with
+(new frontend/src/services/chatSyncService.js). Data is kept in a JSON file,
+so sessions survive restarts and several devices on the network can share it.
+
+Requests must carry the user's Supabase access token; a user can only
+read and write their own sessions. Set SUPABASE_JWT_SECRET to the project's
+JWT secret so tokens can be verified.
+
+Run:  python mock_sync_server.py   (port 8008, or CHAT_SYNC_PORT)
+"""
+
+import logging
+import os
+from typing import List, Optional
+
+import uvicorn
+from fastapi import Depends, FastAPI, HTTPException
+from fastapi.middleware.cors import CORSMiddleware
+from fastapi.security import HTTPAuthorizationCredentials, HTTPBearer
+from jose import JWTError, jwt
+from pydantic import BaseModel
+
+from sync_store import ChatSyncStore
+
+logging.basicConfig(level=logging.INFO)
+logger = logging.getLogger("chat_sync_service")
+
+DATA_FILE = os.getenv(
+    "CHAT_SYNC_DATA_FILE",
+    os.path.join(os.path.dirname(os.path.abspath(__file__)), "chat_sync_data.json"),
+)
+store = ChatSyncStore(DATA_FILE)
+
+# Supabase signs access tokens with the project's JWT secret (HS256)
+JWT_SECRET = os.getenv("SUPABASE_JWT_SECRET", "")
+bearer_scheme = HTTPBearer(auto_error=False)
+
+app = FastAPI(
+    title="Chat Sync Mock Server",
+    description="Per-user chat session sync for local development",
+    version="1.0.0",
+)
+
+# CORS Configuration (tightened via env ALLOWED_ORIGINS)
+_allowed = os.getenv("ALLOWED_ORIGINS", "").strip()
+_allowed_list = [o.strip() for o in _allowed.split(",") if o.strip()] or [
+    "http://localhost",
+    "http://localhost:3000",
+    "http://localhost:5173",
+]
+app.add_middleware(
+    CORSMiddleware,
+    allow_origins=_allowed_list,
+    allow_credentials=True,
+    allow_methods=["GET", "POST", "OPTIONS"],
+    allow_headers=["*"],
+)
+
+
+class SyncSession(BaseModel):
+    id: str
+    createdAt: Optional[str] = None
+    lastUpdated: Optional[str] = None
+    messages: List[dict] = []
+
+
+class SyncTombstone(BaseModel):
+    id: str
+    deletedAt: Optional[str] = None
+
+
+class SyncPush(BaseModel):
+    sessions: List[SyncSession] = []
+    deleted: List[SyncTombstone] = []
+
+
+def authorize_user(
+    user_id: str,
+    credentials: Optional[HTTPAuthorizationCredentials] = Depends(bearer_scheme),
+) -> str:
+    """The path's user_id, once the bearer token shows the caller is that user"""
+    if not JWT_SECRET:
+        # Fail closed rather than serve every user's sessions to anyone
+        raise HTTPException(status_code=503, detail="SUPABASE_JWT_SECRET is not set")
+    if credentials is None:
+        raise HTTPException(status_code=401, detail="Missing bearer token")
+
+    try:
+        payload = jwt.decode(
+            credentials.credentials,
+            JWT_SECRET,
+            algorithms=["HS256"],
+            audience="authenticated",
+        )
+    except JWTError as e:
+        raise HTTPException(status_code=401, detail=f"Invalid token: {str(e)}")
+
+    if payload.get("sub") != user_id:
+        raise HTTPException(status_code=403, detail="Token does not belong to this user")
+    return user_id
+
+
+@app.get("/health")
+async def health_check():
+    return {"status": "healthy", "service": "Chat Sync Mock Server"}
+
+
+@app.get("/chat-sync/{user_id}")
+async def pull_sessions(since: int = 0, user_id: str = Depends(authorize_user)):
+    """Sessions changed since the given revision"""
+    return store.pull(user_id, since)
+
+
+@app.post("/chat-sync/{user_id}")
+async def push_sessions(payload: SyncPush, user_id: str = Depends(authorize_user)):
+    """Merge sessions and deletions from a device and return the server copies"""
+    result = store.push(
+        user_id,
+        [session.model_dump() for session in payload.sessions],
+        [tombstone.model_dump() for tombstone in payload.deleted],
+    )
+    logger.info(
+        f"Synced {len(payload.sessions)} sessions and {len(payload.deleted)} deletions for {user_id}"
+    )
+    return result
+
+
+if __name__ == "__main__":
+    port = int(os.getenv("CHAT_SYNC_PORT", "8008"))
+    if not JWT_SECRET:
+        logger.warning("SUPABASE_JWT_SECRET is not set; every sync request will be refused")
+    logger.info(f"🚀 Starting Chat Sync Mock Server on port {port} (data: {DATA_FILE})")
+    uvicorn.run(app, host="0.0.0.0", port=port)
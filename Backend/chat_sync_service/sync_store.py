@@ -0,0 +1,126 @@
+"""
+Chat Sync Store
+Per-user server copy of chat sessions, used by the chat sync mock server.
+
+Every change bumps a per-user revision counter; clients pull everything
+after the revision they last saw. Sessions are merged on message IDs and a
+deleted session is kept as a tombstone so it can never come back.
+"""
+
+import json
+import os
+import threading
+from datetime import datetime, timezone
+
+
+def _message_key(message):
+    """Identity of a message across devices (same rule as the frontend)"""
+    return message.get("id") or f"{message.get('role')}|{message.get('timestamp')}"
+
+
+def _edited_at(message):
+    return message.get("updatedAt") or message.get("timestamp") or ""
+
+
+def merge_messages(stored, incoming):
+    """Union two message lists on message ID, ordered by timestamp. The later edit wins."""
+    entries = {}
+    for order, message in enumerate(stored):
+        entries[_message_key(message)] = {"message": message, "order": order}
+    for order, message in enumerate(incoming):
+        key = _message_key(message)
+        entry = entries.get(key)
+        if entry is None:
+            entries[key] = {"message": message, "order": order}
+        elif _edited_at(message) > _edited_at(entry["message"]):
+            entry["message"] = message
+
+    ordered = sorted(entries.values(), key=lambda e: (e["message"].get("timestamp") or "", e["order"]))
+    return [entry["message"] for entry in ordered]
+
+
+class ChatSyncStore:
+    """Chat sessions of every user, persisted to a JSON file"""
+
+    def __init__(self, data_file=None):
+        self.data_file = data_file
+        self.lock = threading.Lock()
+        self.users = {}
+        if data_file and os.path.exists(data_file):
+            with open(data_file, "r", encoding="utf-8") as f:
+                self.users = json.load(f)
+
+    def _user(self, user_id):
+        return self.users.setdefault(user_id, {"revision": 0, "sessions": {}})
+
+    def _save(self):
+        if not self.data_file:
+            return
+        temp_file = f"{self.data_file}.tmp"
+        with open(temp_file, "w", encoding="utf-8") as f:
+            json.dump(self.users, f)
+        os.replace(temp_file, self.data_file)
+
+    def _store(self, user, session):
+        user["revision"] += 1
+        session["revision"] = user["revision"]
+        user["sessions"][session["id"]] = session
+        return session
+
+    def pull(self, user_id, since=0):
+        """Sessions changed after revision `since`, and the revision to ask from next time"""
+        with self.lock:
+            user = self._user(user_id)
+            sessions = [s for s in user["sessions"].values() if s["revision"] > since]
+            sessions.sort(key=lambda s: s["revision"])
+            return {"sessions": sessions, "cursor": user["revision"]}
+
+    def push(self, user_id, sessions, deleted):
+        """
+        Merge sessions and deletions sent by a device.
+        Returns the server copy of every session that was sent.
+        """
+        with self.lock:
+            user = self._user(user_id)
+            result = {}
+
+            for tombstone in deleted:
+                existing = user["sessions"].get(tombstone["id"])
+                if existing and existing.get("deleted"):
+                    result[existing["id"]] = existing
+                    continue
+                result[tombstone["id"]] = self._store(user, {
+                    "id": tombstone["id"],
+                    "deleted": True,
+                    "deletedAt": tombstone.get("deletedAt") or datetime.now(timezone.utc).isoformat(),
+                    "messages": [],
+                })
+
+            for session in sessions:
+                existing = user["sessions"].get(session["id"])
+                if existing and existing.get("deleted"):
+                    # Tombstones always win
+                    result[existing["id"]] = existing
+                    continue
+
+                stored_messages = existing["messages"] if existing else []
+                merged = merge_messages(stored_messages, session.get("messages", []))
+                last_updated = max(
+                    filter(None, [existing and existing.get("lastUpdated"), session.get("lastUpdated")]),
+                    default=datetime.now(timezone.utc).isoformat(),
+                )
+
+                if existing and merged == stored_messages and last_updated == existing.get("lastUpdated"):
+                    result[existing["id"]] = existing
+                    continue
+
+                result[session["id"]] = self._store(user, {
+                    "id": session["id"],
+                    "createdAt": (existing or {}).get("createdAt") or session.get("createdAt"),
+                    "lastUpdated": last_updated,
+                    "deleted": False,
+                    "messages": merged,
+                })
+
+            self._save()
+            return {"sessions": list(result.values()), "cursor": user["revision"]}
@@ -0,0 +1,91 @@
+"""
+Chat model registry for the dedicated chatbot service
+
+Lists the models the chat UIs can offer. The frontend renders its model
+picker and per-message badges from GET /models, so adding an entry here is
+all it takes to offer a new model.
+"""
+
+from typing import Any, Dict, List
+
+# provider/model decide where a request is routed (see LLMService.stream_response).
+# color is the accent the UIs use for the model's badge.
+CHAT_MODELS: List[Dict[str, Any]] = [
+    {
+        "id": "grok",
+        "display_name": "Grok",
+        "provider": "groq",
+        "model": "llama3.1:latest",
+        "description": "Fast general-purpose answers",
+        "capabilities": ["chat", "streaming"],
+        "context_length": 8192,
+        "color": "#FF9933",
+        "default": True,
+    },
+    {
+        "id": "llama",
+        "display_name": "Llama",
+        "provider": "groq",
+        "model": "llama3.1:latest",
+        "description": "Open-weight Llama 3.1",
+        "capabilities": ["chat", "streaming"],
+        "context_length": 8192,
+        "color": "#0080FF",
+    },
+    {
+        "id": "gemma",
+        "display_name": "Gemma",
+        "provider": "groq",
+        "model": "gemma3:4b",
+        "description": "Lightweight model for short answers",
+        "capabilities": ["chat", "streaming"],
+        "context_length": 8192,
+        "color": "#E6B800",
+    },
+    {
+        "id": "chatgpt",
+        "display_name": "ChatGPT",
+        "provider": "openai",
+        "model": "gpt-3.5-turbo",
+        "description": "OpenAI GPT-3.5",
+        "capabilities": ["chat", "streaming"],
+        "context_length": 16385,
+        "color": "#10A37F",
+    },
+    {
+        "id": "uniguru",
+        "display_name": "UniGuru",
+        "provider": "groq",
+        "model": "llama3.1:latest",
+        "description": "Gurukul's own tutor model",
+        "capabilities": ["chat", "streaming", "tutoring"],
+        "context_length": 8192,
+        "color": "#8000FF",
+    },
+]
+
+
+def get_chat_model(model_id: str) -> Dict[str, Any]:
+    """Look up a model by id; unknown ids fall back to the default model"""
+    for entry in CHAT_MODELS:
+        if entry["id"] == model_id:
+            return entry
+    return next(entry for entry in CHAT_MODELS if entry.get("default"))
+
+
+def list_chat_models(llm_service) -> List[Dict[str, Any]]:
+    """Public model list, with availability taken from the configured providers"""
+    return [
+        {
+            "id": entry["id"],
+            "display_name": entry["display_name"],
+            "provider": entry["provider"],
+            "description": entry["description"],
+            "capabilities": entry["capabilities"],
+            "context_length": entry["context_length"],
+            "color": entry["color"],
+            "default": entry.get("default", False),
+            "available": llm_service.is_provider_configured(entry["provider"]),
+        }
+        for entry in CHAT_MODELS
+    ]
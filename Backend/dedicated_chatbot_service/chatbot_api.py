@@ -9,18 +9,22 @@ import shutil
 import time
 from datetime import datetime, timezone
 from typing import List, Optional
-from fastapi import FastAPI, HTTPException, File, UploadFile
+from fastapi import FastAPI, HTTPException, File, UploadFile, Request
 from fastapi.middleware.cors import CORSMiddleware
 from fastapi.responses import FileResponse, StreamingResponse
 from pydantic import BaseModel
+from starlette.concurrency import iterate_in_threadpool
 from pymongo import MongoClient
 from dotenv import load_dotenv
 import uvicorn
 import logging
+import json
+import asyncio
 
 # Add parent directory to path to import required modules
 sys.path.append(os.path.join(os.path.dirname(__file__), '..', 'Base_backend'))
 from llm_service import LLMService
+from chat_models import get_chat_model, list_chat_models
 
 # Define streaming TTS function (always available)
 def text_to_speech_stream(text):
@@ -160,6 +164,12 @@ class ChatMessage(BaseModel):
     llm: Optional[str] = "uniguru"
     type: str = "chat_message"
 
+class StreamChatRequest(BaseModel):
+    message: str
+    request_id: str
+    llm: Optional[str] = "uniguru"
+    type: str = "chat_message"
+
 class ChatResponse(BaseModel):
     message: str
     timestamp: str
@@ -311,6 +321,126 @@ async def get_chat_response(user_id: str = "guest-user"):
         logger.error(f"❌ Error generating chat response: {e}")
         raise HTTPException(status_code=500, detail=f"Failed to generate response: {str(e)}")
 
+@app.get("/models")
+async def get_chat_models():
+    """
+    List the chat models the UIs can offer, with display name, capabilities,
+    context length and whether their provider is configured
+    """
+    models = list_chat_models(llm_service)
+    default_model = next((m["id"] for m in models if m["default"]), models[0]["id"])
+    return {
+        "models": models,
+        "default_model": default_model,
+        "timestamp": datetime.now(timezone.utc).isoformat()
+    }
+
+def sse_event(event: str, payload: dict) -> str:
+    """Format a typed server-sent event with a JSON payload"""
+    return f"event: {event}\ndata: {json.dumps(payload)}\n\n"
+
+@app.post("/chat/stream")
+async def stream_chat_response(chat: StreamChatRequest, request: Request, user_id: str = "guest-user"):
+    """
+    Answer a chat message in a single request.
+    Streams typed server-sent events (progress, delta, error, done), each
+    carrying the client-generated request_id so the frontend can drop events
+    from an earlier, cancelled request. Closing the connection cancels
+    generation; the partial answer is kept with status "cancelled".
+    """
+    request_id = chat.request_id.strip()
+    if not request_id:
+        raise HTTPException(status_code=400, detail="request_id is required")
+    if chat_collection.find_one({"request_id": request_id, "user_id": user_id}):
+        raise HTTPException(status_code=409, detail=f"Request {request_id} already exists")
+
+    timestamp = datetime.now(timezone.utc).isoformat().replace('+00:00', 'Z')
+    result = chat_collection.insert_one({
+        "message": chat.message,
+        "timestamp": timestamp,
+        "type": chat.type,
+        "user_id": user_id,
+        "llm_model": chat.llm,
+        "request_id": request_id,
+        "response": None,
+        "status": "streaming"
+    })
+    record_id = result.inserted_id
+
+    logger.info(f"📝 Streaming response {request_id} for user {user_id}: {chat.message}")
+
+    # Route to the model's own provider; if that provider is not configured,
+    # let the service fall back through the others
+    chat_model = get_chat_model(chat.llm)
+    if llm_service.is_provider_configured(chat_model["provider"]):
+        preferred_provider, provider_model = chat_model["provider"], chat_model["model"]
+    else:
+        preferred_provider, provider_model = None, None
+
+    def event(event_type, **fields):
+        return sse_event(event_type, {"request_id": request_id, **fields})
+
+    def save_response(message, status):
+        chat_collection.update_one(
+            {"_id": record_id},
+            {
+                "$set": {
+                    "response": {
+                        "message": message,
+                        "timestamp": datetime.now(timezone.utc).isoformat().replace('+00:00', 'Z'),
+                        "type": "chat_response",
+                        "user_id": user_id,
+                        "llm_model": chat.llm
+                    },
+                    "status": status
+                }
+            }
+        )
+
+    async def generate():
+        chunks = []
+        yield event("progress", stage="start", message="Generating response")
+        try:
+            async for chunk in iterate_in_threadpool(
+                llm_service.stream_response(chat.message, preferred_provider=preferred_provider, model=provider_model)
+            ):
+                if await request.is_disconnected():
+                    save_response("".join(chunks).strip(), "cancelled")
+                    logger.info(f"🛑 Request {request_id} cancelled by client")
+                    return
+                chunks.append(chunk["content"])
+                yield event("delta", text=chunk["content"])
+        except asyncio.CancelledError:
+            # The server cancels the response task when the client goes away
+            save_response("".join(chunks).strip(), "cancelled")
+            logger.info(f"🛑 Request {request_id} cancelled by client")
+            raise
+        except Exception as e:
+            logger.error(f"❌ Streaming failed for request {request_id}: {e}")
+            save_response("".join(chunks).strip(), "failed")
+            yield event("error", message=f"Failed to generate response: {str(e)}", partial="".join(chunks).strip())
+            return
+
+        message = "".join(chunks).strip()
+        save_response(message, "completed")
+        logger.info(f"✅ Streamed response {request_id} for user {user_id}")
+        yield event(
+            "done",
+            message=message,
+            llm_model=chat.llm,
+            timestamp=datetime.now(timezone.utc).isoformat().replace('+00:00', 'Z')
+        )
+
+    return StreamingResponse(
+        generate(),
+        media_type="text/event-stream",
+        headers={
+            "Cache-Control": "no-cache",
+            "Connection": "keep-alive",
+            "X-Accel-Buffering": "no"
+        }
+    )
+
 @app.get("/chat-history")
 async def get_chat_history(user_id: str = "guest-user", limit: int = 50):
     """
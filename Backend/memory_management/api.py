@@ -26,7 +26,7 @@ from .models import (
     ContentType, ImportanceLevel
 )
 from .database import get_memory_database, MemoryDatabase
-from .auth import verify_api_key, get_current_user
+from .auth import verify_api_key, get_current_user, authorize_user_id
 from .utils import format_memory_response, format_interaction_response, paginate_results
 
 
@@ -53,6 +53,7 @@ _allowed = os.getenv("ALLOWED_ORIGINS", "").strip()
 _allowed_list = [o.strip() for o in _allowed.split(",") if o.strip()] or [
     "http://localhost",
     "http://localhost:3000",
+    "http://localhost:5173",
 ]
 app.add_middleware(
     CORSMiddleware,
@@ -69,6 +70,17 @@ security = HTTPBearer()
 db: MemoryDatabase = get_memory_database()
 
 
+def get_owned_memory(memory_id: str, current_user: str) -> Dict:
+    """A memory of the current user; other users' memories are reported as not found"""
+    memory_data = db.get_memory_by_id(memory_id)
+    if not memory_data or memory_data.get("user_id") != current_user:
+        raise HTTPException(
+            status_code=status.HTTP_404_NOT_FOUND,
+            detail="Memory not found"
+        )
+    return memory_data
+
+
 @app.middleware("http")
 async def add_request_id_middleware(request, call_next):
     """Add unique request ID for tracking."""
@@ -170,6 +182,8 @@ async def create_memory(
     - **metadata**: Additional metadata including tags, importance, topic
     - **timestamp**: Optional timestamp (defaults to current time)
     """
+    authorize_user_id(request.user_id, current_user)
+
     try:
         memory_id = db.create_memory_chunk(request)
 
@@ -216,6 +230,8 @@ async def create_interaction(
     - **context**: Interaction context including session, domain, intent
     - **metadata**: Additional metadata including response time, confidence
     """
+    authorize_user_id(request.user_id, current_user)
+
     try:
         interaction_id = db.create_interaction(request)
 
@@ -271,7 +287,10 @@ async def get_memories(
     - Returns recent interactions for chain-of-thought processing
     - Results ordered chronologically (oldest first)
     - Supports user and persona filtering
+    - Only the authenticated user's own memories are returned
     """
+    user_id = authorize_user_id(user_id, current_user)
+
     try:
         if recent_interactions:
             # Retrieve recent interactions
@@ -340,6 +359,55 @@ async def get_memories(
 
 # Additional Memory Retrieval Endpoints
 
+# Registered before /memory/{memory_id}, which would otherwise match "search"
+@app.get(
+    "/memory/search",
+    response_model=MemorySearchResponse,
+    tags=["Memory Search"],
+    summary="Search memories",
+    description="Search memories using text query with optional filters"
+)
+async def search_memories(
+    query: str = Query(..., min_length=1, description="Search query"),
+    persona_id: Optional[str] = Query(None, description="Persona ID filter"),
+    user_id: Optional[str] = Query(None, description="User ID filter"),
+    content_type: Optional[List[ContentType]] = Query(None, description="Content type filter"),
+    limit: int = Query(20, ge=1, le=100, description="Maximum results"),
+    current_user: str = Depends(get_current_user)
+):
+    """Search memories using text query."""
+    user_id = authorize_user_id(user_id, current_user)
+
+    try:
+        start_time = time.time()
+
+        results_data = db.search_memories(
+            query=query,
+            persona_id=persona_id,
+            user_id=user_id,
+            content_types=content_type,
+            limit=limit
+        )
+
+        search_time = time.time() - start_time
+        results = [format_memory_response(data) for data in results_data]
+
+        return MemorySearchResponse(
+            results=results,
+            query=query,
+            total_results=len(results),
+            search_time=search_time,
+            suggestions=[]  # Can be enhanced with search suggestions
+        )
+
+    except Exception as e:
+        logger.error(f"Error searching memories: {e}")
+        raise HTTPException(
+            status_code=status.HTTP_500_INTERNAL_SERVER_ERROR,
+            detail="Search failed"
+        )
+
+
 @app.get(
     "/memory/{memory_id}",
     response_model=MemoryChunkResponse,
@@ -353,12 +421,7 @@ async def get_memory_by_id(
 ):
     """Retrieve a specific memory chunk by ID."""
     try:
-        memory_data = db.get_memory_by_id(memory_id)
-        if not memory_data:
-            raise HTTPException(
-                status_code=status.HTTP_404_NOT_FOUND,
-                detail="Memory not found"
-            )
+        memory_data = get_owned_memory(memory_id, current_user)
 
         return format_memory_response(memory_data)
 
@@ -385,6 +448,8 @@ async def get_persona_memory_summary(
     current_user: str = Depends(get_current_user)
 ):
     """Get memory summary for a persona."""
+    user_id = authorize_user_id(user_id, current_user)
+
     try:
         summary_data = db.get_persona_memory_summary(persona_id, user_id)
         if not summary_data:
@@ -405,52 +470,6 @@ async def get_persona_memory_summary(
         )
 
 
-@app.get(
-    "/memory/search",
-    response_model=MemorySearchResponse,
-    tags=["Memory Search"],
-    summary="Search memories",
-    description="Search memories using text query with optional filters"
-)
-async def search_memories(
-    query: str = Query(..., min_length=1, description="Search query"),
-    persona_id: Optional[str] = Query(None, description="Persona ID filter"),
-    user_id: Optional[str] = Query(None, description="User ID filter"),
-    content_type: Optional[List[ContentType]] = Query(None, description="Content type filter"),
-    limit: int = Query(20, ge=1, le=100, description="Maximum results"),
-    current_user: str = Depends(get_current_user)
-):
-    """Search memories using text query."""
-    try:
-        start_time = time.time()
-
-        results_data = db.search_memories(
-            query=query,
-            persona_id=persona_id,
-            user_id=user_id,
-            content_types=content_type,
-            limit=limit
-        )
-
-        search_time = time.time() - start_time
-        results = [format_memory_response(data) for data in results_data]
-
-        return MemorySearchResponse(
-            results=results,
-            query=query,
-            total_results=len(results),
-            search_time=search_time,
-            suggestions=[]  # Can be enhanced with search suggestions
-        )
-
-    except Exception as e:
-        logger.error(f"Error searching memories: {e}")
-        raise HTTPException(
-            status_code=status.HTTP_500_INTERNAL_SERVER_ERROR,
-            detail="Search failed"
-        )
-
-
 # Memory Management Endpoints
 
 @app.put(
@@ -467,6 +486,7 @@ async def update_memory(
 ):
     """Update an existing memory chunk."""
     try:
+        get_owned_memory(memory_id, current_user)
         success = db.update_memory_chunk(memory_id, request)
         if not success:
             raise HTTPException(
@@ -503,6 +523,7 @@ async def delete_memory(
 ):
     """Delete a memory chunk (soft delete by default)."""
     try:
+        get_owned_memory(memory_id, current_user)
         success = db.delete_memory_chunk(memory_id, hard_delete=hard_delete)
         if not success:
             raise HTTPException(
@@ -13,7 +13,7 @@ from typing import Dict, Optional, Set
 from datetime import datetime, timedelta
 from collections import defaultdict, deque
 
-from fastapi import HTTPException, Depends, status
+from fastapi import HTTPException, Depends, Request, status
 from fastapi.security import HTTPBearer, HTTPAuthorizationCredentials
 
 # Configure logging
@@ -38,6 +38,11 @@ if env_api_keys:
     except Exception as e:
         logger.error(f"Failed to parse MEMORY_API_KEYS: {e}")
 
+# Header the proxy in front of the API sets to the user it authenticated.
+# API keys belong to trusted callers (the proxy, or a local development
+# build); the header says which end user a request is for.
+USER_HEADER = os.getenv("MEMORY_USER_HEADER", "X-Authenticated-User")
+
 # Rate limiting configuration
 RATE_LIMIT_REQUESTS = int(os.getenv("MEMORY_RATE_LIMIT_REQUESTS", "1000"))
 RATE_LIMIT_WINDOW = int(os.getenv("MEMORY_RATE_LIMIT_WINDOW", "3600"))  # 1 hour
@@ -183,17 +188,41 @@ def verify_api_key(credentials: HTTPAuthorizationCredentials = Depends(security)
     return user
 
 
-def get_current_user(user: str = Depends(verify_api_key)) -> str:
+def get_current_user(request: Request, user: str = Depends(verify_api_key)) -> str:
     """
     Get the current authenticated user.
     
     Args:
+        request: Incoming request, for the proxy's identity header
         user: User from API key verification
         
     Returns:
-        str: Current user identifier
+        str: The user named by the identity header, else the API key's user
     """
-    return user
+    return request.headers.get(USER_HEADER, "").strip() or user
+
+
+def authorize_user_id(user_id: Optional[str], current_user: str) -> str:
+    """
+    Check a user_id sent by the caller against the authenticated user.
+    
+    Args:
+        user_id: User the request asks about, if any
+        current_user: Authenticated user
+        
+    Returns:
+        str: The user to read or write memories for
+        
+    Raises:
+        HTTPException: If the request is for another user
+    """
+    if user_id and user_id != current_user:
+        logger.warning(f"User {current_user} asked for memories of {user_id}")
+        raise HTTPException(
+            status_code=status.HTTP_403_FORBIDDEN,
+            detail="Cannot access another user's memories",
+        )
+    return current_user
 
 
 def get_rate_limit_info(credentials: HTTPAuthorizationCredentials = Depends(security)) -> Dict[str, int]:
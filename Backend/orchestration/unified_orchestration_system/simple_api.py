@@ -191,7 +191,8 @@ class SimpleOrchestrationEngine:
 
             if selection_result['selected_model'] in ['prophet', 'arima']:
                 model = selection_result['model_object']
-                forecast_df = model.predict(periods=forecast_periods)
+                # Prophet also returns the fitted history; keep only the future periods
+                forecast_df = model.predict(periods=forecast_periods).tail(forecast_periods)
 
                 # Convert forecast to list format
                 forecast_data = []
@@ -224,6 +225,94 @@ class SimpleOrchestrationEngine:
                 "message": f"Forecast generation failed: {str(e)}"
             }
 
+    def backtest_models(self, data: list, metric_type: str = "general",
+                        holdout_periods: int = 7, models: Optional[list] = None) -> dict:
+        """
+        Hold out the last periods of a series, forecast them with each model
+        from the rest and score the forecasts against what actually happened
+
+        Args:
+            data: List of data points with 'date' and 'value' fields
+            metric_type: Type of metric ('probability', 'load', 'general')
+            holdout_periods: Number of trailing periods to hold out
+            models: Models to test (default: prophet and arima)
+
+        Returns:
+            Per-model accuracy metrics and held-out predictions
+        """
+        if not self.forecasting_enabled:
+            return {
+                "status": "error",
+                "message": "Advanced forecasting not available"
+            }
+
+        import math
+        import pandas as pd
+
+        df = pd.DataFrame([{'ds': point.get('date'), 'y': point.get('value')} for point in data])
+        df['ds'] = pd.to_datetime(df['ds'], errors='coerce')
+        df['y'] = pd.to_numeric(df['y'], errors='coerce')
+        df = df.dropna().sort_values('ds').drop_duplicates(subset=['ds']).reset_index(drop=True)
+
+        if holdout_periods < 1 or len(df) - holdout_periods < 10:
+            return {
+                "status": "error",
+                "message": f"Need at least {holdout_periods + 10} data points to hold out {holdout_periods}, got {len(df)}"
+            }
+
+        train_data = df.iloc[:-holdout_periods]
+        test_data = df.iloc[-holdout_periods:]
+        model_classes = {'prophet': EnhancedProphetModel, 'arima': EnhancedARIMAModel}
+
+        # inf/NaN metrics (e.g. MAPE on all-zero actuals) are not valid JSON
+        def finite(value):
+            value = float(value)
+            return value if math.isfinite(value) else None
+
+        results = {}
+        for model_name in models or list(model_classes):
+            if model_name not in model_classes:
+                results[model_name] = {"status": "error", "message": f"Unknown model: {model_name}"}
+                continue
+            try:
+                model = model_classes[model_name](metric_type)
+                model.fit(train_data)
+                # Prophet also returns the fitted history; keep only the held-out periods
+                forecast_df = model.predict(periods=holdout_periods).tail(holdout_periods)
+                metrics = self.performance_evaluator.calculate_accuracy_metrics(
+                    test_data['y'].values, forecast_df['yhat'].values
+                )
+                results[model_name] = {
+                    "status": "success",
+                    "accuracy_metrics": {key: finite(metrics[key]) for key in ('mae', 'rmse', 'mape', 'r2')},
+                    "predictions": [
+                        {
+                            "date": actual['ds'].isoformat(),
+                            "actual": float(actual['y']),
+                            "predicted_value": float(row['yhat']),
+                            "lower_bound": float(row.get('yhat_lower', row['yhat'])),
+                            "upper_bound": float(row.get('yhat_upper', row['yhat']))
+                        }
+                        for (_, actual), (_, row) in zip(test_data.iterrows(), forecast_df.iterrows())
+                    ]
+                }
+            except Exception as e:
+                logger.warning(f"{model_name} backtest failed: {e}")
+                results[model_name] = {"status": "error", "message": str(e)}
+
+        scored = {
+            name: result["accuracy_metrics"]["mae"]
+            for name, result in results.items()
+            if result["status"] == "success" and result["accuracy_metrics"]["mae"] is not None
+        }
+        return {
+            "status": "success" if scored else "error",
+            "holdout_periods": holdout_periods,
+            "train_periods": len(train_data),
+            "models": results,
+            "best_model": min(scored, key=scored.get) if scored else None
+        }
+
     def generate_response(self, prompt: str, fallback: str) -> str:
         """Generate response using Ollama (primary) and Gemini (fallback)"""
 
@@ -601,6 +690,56 @@ async def generate_forecast_endpoint(request: ForecastRequest):
             }
         }
 
+class BacktestRequest(BaseModel):
+    """Request model for backtesting forecast models"""
+    data: list
+    metric_type: str = "general"
+    holdout_periods: int = 7
+    models: Optional[list] = None
+    user_id: Optional[str] = None
+
+class ModelComparisonRequest(BaseModel):
+    """Request model for comparing forecast models"""
+    data: list
+    metric_type: str = "general"
+    language: str = "en"
+
+@app.post("/forecast/backtest")
+async def backtest_forecast_endpoint(request: BacktestRequest):
+    """Score each forecasting model on the last periods of the series"""
+    try:
+        return engine.backtest_models(
+            data=request.data,
+            metric_type=request.metric_type,
+            holdout_periods=request.holdout_periods,
+            models=request.models
+        )
+    except Exception as e:
+        logger.error(f"Backtest endpoint error: {e}")
+        return {"status": "error", "message": f"Backtest failed: {str(e)}"}
+
+@app.post("/compare-models")
+async def compare_models_endpoint(request: ModelComparisonRequest):
+    """Compare Prophet vs ARIMA on the last 20% of the series"""
+    result = engine.backtest_models(
+        data=request.data,
+        metric_type=request.metric_type,
+        holdout_periods=max(1, len(request.data) // 5)
+    )
+    if result["status"] != "success":
+        raise HTTPException(status_code=400, detail=result.get("message", "Model comparison failed"))
+
+    return {
+        "status": "success",
+        "best_model": result["best_model"],
+        "performance_summary": {
+            name: model["accuracy_metrics"]
+            for name, model in result["models"].items()
+            if model["status"] == "success"
+        },
+        "timestamp": datetime.now().isoformat()
+    }
+
 @app.get("/forecast/status")
 async def forecast_status():
     """Get forecasting system status"""
@@ -636,6 +775,12 @@ async def root():
             "POST": "/forecast with JSON body containing data array",
             "GET": "/forecast/status for system status"
         }
+        endpoints["forecast/backtest"] = {
+            "POST": "/forecast/backtest with data and holdout_periods"
+        }
+        endpoints["compare-models"] = {
+            "POST": "/compare-models with JSON body containing data array"
+        }
 
     return {
         "message": "Simple Orchestration API with Advanced Forecasting",
@@ -34,6 +34,11 @@ from fastapi.middleware.trustedhost import TrustedHostMiddleware
 # Add the current directory to the path so we can import our modules
 sys.path.append(os.path.dirname(os.path.abspath(__file__)))
 
+# Agent handlers shared with subject_generation live in Backend/utils
+sys.path.append(os.path.join(os.path.dirname(os.path.abspath(__file__)), '..'))
+from fastapi.concurrency import run_in_threadpool
+from utils.agent_handlers import AgentServiceError, resolve_agent_type, run_agent_step, run_custom_agent
+
 # In-memory storage for agent data (in production, use a proper database)
 agent_outputs = []
 agent_logs = []
@@ -2123,12 +2128,25 @@ class AgentMessageRequest(BaseModel):
     agent_id: int
     user_id: str = "guest-user"
     timestamp: str
+    # Agent definition from the user's roster; older clients only send agent_id
+    agent_type: Optional[str] = None
+    agent_name: Optional[str] = None
+    system_prompt: Optional[str] = None
+    inputs: Optional[Dict[str, Any]] = None
+    # Multi-agent runs: goal and output of the agents this step builds on
+    handoff: Optional[Dict[str, Any]] = None
+    financial_profile: Optional[Dict[str, Any]] = None
+    # Education steps: what the lesson is about
+    subject: Optional[str] = None
+    topic: Optional[str] = None
 
 
 class AgentSimulationRequest(BaseModel):
     agent_id: int
     user_id: str = "guest-user"
     timestamp: str
+    agent_type: Optional[str] = None
+    agent_name: Optional[str] = None
 
 
 class AgentResetRequest(BaseModel):
@@ -2144,23 +2162,40 @@ async def send_agent_message(request: AgentMessageRequest):
     try:
         logger.info(f"Received agent message: {request.message} for agent {request.agent_id}")
 
+        agent_type = resolve_agent_type(request.agent_id, request.agent_type)
+
         # Mock response based on agent type
         agent_responses = {
-            1: "As an educational agent, I can help you understand complex topics. What would you like to learn about?",
-            2: "As a financial advisor agent, I can help with investment strategies and financial planning. What's your financial goal?",
-            3: "As a wellness agent, I focus on your physical and mental wellbeing. How can I help you today?"
+            "education": "As an educational agent, I can help you understand complex topics. What would you like to learn about?",
+            "financial": "As a financial advisor agent, I can help with investment strategies and financial planning. What's your financial goal?",
+            "wellness": "As a wellness agent, I focus on your physical and mental wellbeing. How can I help you today?"
         }
 
-        response_text = agent_responses.get(request.agent_id, "I'm here to help! What can I do for you?")
+        step_output = None
+        if request.handoff:
+            # Steps of a multi-agent run answer with structured output for the next agent
+            step_output = await run_in_threadpool(run_agent_step, request, agent_type)
+            response_text = step_output["summary"]
+        elif agent_type in agent_responses:
+            response_text = agent_responses[agent_type]
+        else:
+            # Custom agents are defined by their system prompt and input form
+            response_text = await run_in_threadpool(
+                run_custom_agent,
+                request.message,
+                request.agent_name or f"Agent-{request.agent_id}",
+                request.system_prompt,
+                request.inputs,
+            )
 
         # Store the interaction
         agent_output = {
             "id": len(agent_outputs) + 1,
-            "agent_type": "education" if request.agent_id == 1 else "financial" if request.agent_id == 2 else "wellness",
+            "agent_type": agent_type,
             "query": request.message,
             "response": response_text,
             "confidence": 0.85,
-            "tags": ["conversation"],
+            "tags": ["handoff"] if request.handoff else ["conversation"],
             "timestamp": datetime.now().isoformat(),
             "user_id": request.user_id
         }
@@ -2171,9 +2206,16 @@ async def send_agent_message(request: AgentMessageRequest):
             "status": "success",
             "message": "Message sent successfully",
             "response": response_text,
-            "agent_id": request.agent_id
+            "agent_id": request.agent_id,
+            **(step_output or {})
         }
 
+    except AgentServiceError as e:
+        logger.error(f"Agent {request.agent_id} could not answer: {str(e)}")
+        raise HTTPException(
+            status_code=502,
+            detail=f"The agent could not answer: {str(e)}"
+        )
     except Exception as e:
         logger.error(f"Error sending agent message: {str(e)}")
         raise HTTPException(
@@ -2205,8 +2247,8 @@ async def start_agent_simulation(request: AgentSimulationRequest):
             "id": str(uuid.uuid4()),
             "user_id": request.user_id,
             "agent_id": request.agent_id,
-            "agent_name": f"Agent-{request.agent_id}",
-            "agent_type": "education" if request.agent_id == 1 else "financial" if request.agent_id == 2 else "wellness",
+            "agent_name": request.agent_name or f"Agent-{request.agent_id}",
+            "agent_type": resolve_agent_type(request.agent_id, request.agent_type),
             "action_type": "start",
             "start_time": datetime.now().isoformat(),
             "end_time": None,
@@ -180,6 +180,10 @@ def get_knowledge_store_data_sync(subject: str, topic: str) -> Dict[str, Any]:
 from utils.logging_config import configure_logging
 logger = configure_logging("subject_generation")
 
+# Agent handlers shared with pipline-24-master
+from fastapi.concurrency import run_in_threadpool
+from utils.agent_handlers import AgentServiceError, resolve_agent_type, run_agent_step, run_custom_agent
+
 # Simple function to check compute device
 def get_compute_device():
     """Get the available compute device (CPU or GPU)"""
@@ -213,6 +217,10 @@ app = FastAPI(
 quiz_generator = QuizGenerator()
 quiz_evaluator = QuizEvaluator()
 
+# Generated quizzes kept by quiz_id so submissions are graded against the real answers
+generated_quizzes = {}
+MAX_STORED_QUIZZES = 500
+
 # Add CORS middleware (tighten via ALLOWED_ORIGINS)
 _allowed = os.getenv("ALLOWED_ORIGINS", "").strip()
 _allowed_list = [o.strip() for o in _allowed.split(",") if o.strip()] or [
@@ -2755,12 +2763,25 @@ class AgentMessageRequest(BaseModel):
     agent_id: int
     user_id: str = "guest-user"
     timestamp: str
+    # Agent definition from the user's roster; older clients only send agent_id
+    agent_type: Optional[str] = None
+    agent_name: Optional[str] = None
+    system_prompt: Optional[str] = None
+    inputs: Optional[Dict[str, Any]] = None
+    # Multi-agent runs: goal and output of the agents this step builds on
+    handoff: Optional[Dict[str, Any]] = None
+    financial_profile: Optional[Dict[str, Any]] = None
+    # Education steps: what the lesson is about
+    subject: Optional[str] = None
+    topic: Optional[str] = None
 
 
 class AgentSimulationRequest(BaseModel):
     agent_id: int
     user_id: str = "guest-user"
     timestamp: str
+    agent_type: Optional[str] = None
+    agent_name: Optional[str] = None
 
 
 class AgentResetRequest(BaseModel):
@@ -2776,23 +2797,40 @@ async def send_agent_message(request: AgentMessageRequest):
     try:
         logger.info(f"Received agent message: {request.message} for agent {request.agent_id}")
 
+        agent_type = resolve_agent_type(request.agent_id, request.agent_type)
+
         # Mock response based on agent type
         agent_responses = {
-            1: "As an educational agent, I can help you understand complex topics. What would you like to learn about?",
-            2: "As a financial advisor agent, I can help with investment strategies and financial planning. What's your financial goal?",
-            3: "As a wellness agent, I focus on your physical and mental wellbeing. How can I help you today?"
+            "education": "As an educational agent, I can help you understand complex topics. What would you like to learn about?",
+            "financial": "As a financial advisor agent, I can help with investment strategies and financial planning. What's your financial goal?",
+            "wellness": "As a wellness agent, I focus on your physical and mental wellbeing. How can I help you today?"
         }
 
-        response_text = agent_responses.get(request.agent_id, "I'm here to help! What can I do for you?")
+        step_output = None
+        if request.handoff:
+            # Steps of a multi-agent run answer with structured output for the next agent
+            step_output = await run_in_threadpool(run_agent_step, request, agent_type)
+            response_text = step_output["summary"]
+        elif agent_type in agent_responses:
+            response_text = agent_responses[agent_type]
+        else:
+            # Custom agents are defined by their system prompt and input form
+            response_text = await run_in_threadpool(
+                run_custom_agent,
+                request.message,
+                request.agent_name or f"Agent-{request.agent_id}",
+                request.system_prompt,
+                request.inputs,
+            )
 
         # Store the interaction
         agent_output = {
             "id": len(agent_outputs) + 1,
-            "agent_type": "education" if request.agent_id == 1 else "financial" if request.agent_id == 2 else "wellness",
+            "agent_type": agent_type,
             "query": request.message,
             "response": response_text,
             "confidence": 0.85,
-            "tags": ["conversation"],
+            "tags": ["handoff"] if request.handoff else ["conversation"],
             "timestamp": datetime.now().isoformat(),
             "user_id": request.user_id
         }
@@ -2803,9 +2841,16 @@ async def send_agent_message(request: AgentMessageRequest):
             "status": "success",
             "message": "Message sent successfully",
             "response": response_text,
-            "agent_id": request.agent_id
+            "agent_id": request.agent_id,
+            **(step_output or {})
         }
 
+    except AgentServiceError as e:
+        logger.error(f"Agent {request.agent_id} could not answer: {str(e)}")
+        raise HTTPException(
+            status_code=502,
+            detail=f"The agent could not answer: {str(e)}"
+        )
     except Exception as e:
         logger.error(f"Error sending agent message: {str(e)}")
         raise HTTPException(
@@ -2837,8 +2882,8 @@ async def start_agent_simulation(request: AgentSimulationRequest):
             "id": str(uuid.uuid4()),
             "user_id": request.user_id,
             "agent_id": request.agent_id,
-            "agent_name": f"Agent-{request.agent_id}",
-            "agent_type": "education" if request.agent_id == 1 else "financial" if request.agent_id == 2 else "wellness",
+            "agent_name": request.agent_name or f"Agent-{request.agent_id}",
+            "agent_type": resolve_agent_type(request.agent_id, request.agent_type),
             "action_type": "start",
             "start_time": datetime.now().isoformat(),
             "end_time": None,
@@ -2993,6 +3038,10 @@ async def generate_quiz(request: QuizGenerationRequest):
             question_types=request.question_types
         )
 
+        generated_quizzes[quiz_data["quiz_id"]] = quiz_data
+        if len(generated_quizzes) > MAX_STORED_QUIZZES:
+            generated_quizzes.pop(next(iter(generated_quizzes)))
+
         logger.info(f"Successfully generated quiz with {quiz_data['total_questions']} questions")
 
         return {
@@ -3020,42 +3069,16 @@ async def submit_quiz(request: QuizSubmissionRequest):
     try:
         logger.info(f"Evaluating quiz submission for quiz {request.quiz_id}")
 
-        # For now, we'll need to retrieve the original quiz data
-        # In a real implementation, this would come from a database
-        # For demonstration, we'll create a mock quiz structure
-
-        # This is a placeholder - in production, fetch from database
-        mock_quiz_data = {
-            "quiz_id": request.quiz_id,
-            "subject": "Mathematics",
-            "topic": "Algebra",
-            "difficulty": "medium",
-            "total_questions": len(request.user_answers),
-            "estimated_time": len(request.user_answers) * 2,
-            "questions": [],  # Would be populated from database
-            "scoring": {
-                "total_points": len(request.user_answers) * 10,
-                "passing_score": len(request.user_answers) * 6,
-                "points_per_question": 10
-            }
-        }
+        quiz_data = generated_quizzes.get(request.quiz_id)
 
-        # Generate mock questions based on user answers for evaluation
-        for i, (question_id, user_answer) in enumerate(request.user_answers.items()):
-            mock_question = {
-                "question_id": question_id,
-                "type": "multiple_choice",
-                "question": f"Sample question {i+1}",
-                "options": ["Option A", "Option B", "Option C", "Option D"],
-                "correct_answer": 0,  # First option is correct
-                "explanation": "This is the correct answer because...",
-                "points": 10
-            }
-            mock_quiz_data["questions"].append(mock_question)
+        if quiz_data is None:
+            # Quizzes only live in this process (gone after a restart); the client
+            # grades unknown quizzes itself, so don't score them here
+            raise HTTPException(status_code=404, detail=f"Quiz {request.quiz_id} not found")
 
         # Evaluate the quiz submission
         evaluation_result = quiz_evaluator.evaluate_quiz_submission(
-            quiz_data=mock_quiz_data,
+            quiz_data=quiz_data,
             user_answers=request.user_answers,
             user_id=request.user_id
         )
@@ -3069,6 +3092,8 @@ async def submit_quiz(request: QuizSubmissionRequest):
             "evaluated_at": datetime.now().isoformat()
         }
 
+    except HTTPException:
+        raise
     except Exception as e:
         logger.error(f"Error evaluating quiz: {e}")
         raise HTTPException(
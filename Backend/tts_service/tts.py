@@ -7,6 +7,7 @@ import uuid
 import os
 import sys
 from pathlib import Path
+from typing import Optional
 
 # Load environment variables from centralized configuration
 sys.path.append(os.path.join(os.path.dirname(__file__), '..'))
@@ -85,8 +86,23 @@ async def list_audio_files():
     except Exception as e:
         raise HTTPException(status_code=500, detail=f"Error listing files: {str(e)}")
 
+def select_voice(engine, requested=None):
+    """Use the requested voice (matched by id or name), else a female voice if available"""
+    voices = engine.getProperty('voices') or []
+    if requested:
+        wanted = requested.lower()
+        for voice in voices:
+            if wanted == voice.id.lower() or wanted in voice.name.lower():
+                engine.setProperty('voice', voice.id)
+                return
+    for voice in voices:
+        if 'female' in voice.name.lower() or 'zira' in voice.name.lower():
+            engine.setProperty('voice', voice.id)
+            return
+
+
 @app.post("/api/generate")
-async def text_to_speech(text: str = Form(...)):
+async def text_to_speech(text: str = Form(...), voice: Optional[str] = Form(None)):
     """Generate TTS audio from text"""
     if not text:
         raise HTTPException(status_code=400, detail="Text is required")
@@ -104,13 +120,7 @@ async def text_to_speech(text: str = Form(...)):
         engine = pyttsx3.init()
 
         # Configure TTS settings for better quality
-        voices = engine.getProperty('voices')
-        if voices:
-            # Try to use a female voice if available
-            for voice in voices:
-                if 'female' in voice.name.lower() or 'zira' in voice.name.lower():
-                    engine.setProperty('voice', voice.id)
-                    break
+        select_voice(engine, voice)
 
         # Set speech rate (words per minute)
         engine.setProperty('rate', 180)  # Slightly slower for clarity
@@ -156,7 +166,7 @@ async def text_to_speech(text: str = Form(...)):
 
 
 @app.post("/api/generate/stream")
-async def text_to_speech_stream(text: str = Form(...)):
+async def text_to_speech_stream(text: str = Form(...), voice: Optional[str] = Form(None)):
     """Generate TTS audio and stream directly without saving to disk"""
     if not text:
         raise HTTPException(status_code=400, detail="Text is required")
@@ -175,13 +185,7 @@ async def text_to_speech_stream(text: str = Form(...)):
         engine = pyttsx3.init()
 
         # Configure TTS settings for better quality
-        voices = engine.getProperty('voices')
-        if voices:
-            # Try to use a female voice if available
-            for voice in voices:
-                if 'female' in voice.name.lower() or 'zira' in voice.name.lower():
-                    engine.setProperty('voice', voice.id)
-                    break
+        select_voice(engine, voice)
 
         # Set speech rate (words per minute)
         engine.setProperty('rate', 180)  # Slightly slower for clarity
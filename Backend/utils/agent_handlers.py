@@ -0,0 +1,256 @@
+"""
+Agent handlers shared by the lesson apps' /agent_message endpoints
+(subject_generation and pipline-24-master).
+
+Custom agents are defined on the client by a system prompt and an input
+form; their replies come from the same LLM providers as the chatbot.
+Steps of a multi-agent run go to the service that already does the work:
+lesson generation for education, the financial simulator's
+/run-direct-simulation and the orchestration API's /wellness.
+"""
+
+import os
+import re
+import sys
+import logging
+from typing import Any, Dict, List, Optional
+
+import requests
+
+# LLMService lives in Base_backend next to the chatbot that also uses it
+sys.path.append(os.path.join(os.path.dirname(__file__), '..', 'Base_backend'))
+from llm_service import LLMService
+
+logger = logging.getLogger(__name__)
+
+# Providers tried in order; the rule-based fallback is left out on purpose so
+# a custom agent never answers with canned text
+CUSTOM_AGENT_PROVIDERS = ['groq', 'openai']
+
+# Lesson generation, a simulation or a wellness answer can each take a while
+SERVICE_TIMEOUT = 120
+
+# Built-in agents, for clients that do not send the agent type
+DEFAULT_AGENT_TYPES = {1: "education", 2: "financial", 3: "wellness"}
+
+_llm_service = None
+
+
+class AgentServiceError(Exception):
+    """An agent could not get an answer from the service behind it"""
+
+
+def resolve_agent_type(agent_id: int, agent_type: Optional[str]) -> str:
+    """Handler type for an agent: the type the client sent, else the built-in agent's type"""
+    return agent_type or DEFAULT_AGENT_TYPES.get(agent_id, "custom")
+
+
+def _to_number(value) -> float:
+    try:
+        return float(value)
+    except (TypeError, ValueError):
+        return 0.0
+
+
+def _first_sentences(text: str, count: int = 2) -> str:
+    sentences = re.split(r"(?<=[.!?])\s+", (text or "").strip())
+    return " ".join(sentences[:count])
+
+
+def _post_json(service: str, url: str, payload: Dict[str, Any]) -> Dict[str, Any]:
+    try:
+        response = requests.post(url, json=payload, timeout=SERVICE_TIMEOUT)
+        response.raise_for_status()
+        return response.json()
+    except requests.RequestException as e:
+        raise AgentServiceError(f"{service} at {url} failed: {str(e)}")
+
+
+def _get_llm_service() -> LLMService:
+    global _llm_service
+    if _llm_service is None:
+        _llm_service = LLMService()
+    return _llm_service
+
+
+def build_custom_agent_prompt(
+    message: str,
+    agent_name: str,
+    system_prompt: Optional[str] = None,
+    inputs: Optional[Dict[str, Any]] = None,
+    handoff: Optional[Dict[str, Any]] = None,
+) -> str:
+    """
+    Prompt for a custom agent: its system prompt, the filled-in input form,
+    the goal and earlier results of a multi-agent run, then the message
+    """
+    parts = [system_prompt.strip() if system_prompt and system_prompt.strip() else f"You are {agent_name}, a helpful assistant."]
+
+    details = [f"- {key}: {value}" for key, value in (inputs or {}).items() if value not in (None, "")]
+    if details:
+        parts.append("Details the user gave about themselves:\n" + "\n".join(details))
+
+    if handoff:
+        earlier = [
+            f"- {step.get('agentName') or step.get('agentType') or 'Agent'}: {step['summary']}"
+            for step in handoff.get("previous") or []
+            if step.get("summary")
+        ]
+        if handoff.get("goal"):
+            parts.append(f"You are one step of a multi-agent plan with the goal: {handoff['goal']}")
+        if earlier:
+            parts.append("Results of the agents before you:\n" + "\n".join(earlier))
+
+    parts.append(f"User: {message}\n{agent_name}:")
+    return "\n\n".join(parts)
+
+
+def run_custom_agent(
+    message: str,
+    agent_name: str,
+    system_prompt: Optional[str] = None,
+    inputs: Optional[Dict[str, Any]] = None,
+    handoff: Optional[Dict[str, Any]] = None,
+) -> str:
+    """
+    Answer a message as a custom agent. Blocking; call it from a threadpool
+    in async endpoints. Raises AgentServiceError when no provider answers.
+    """
+    llm = _get_llm_service()
+    prompt = build_custom_agent_prompt(message, agent_name, system_prompt, inputs, handoff)
+
+    providers = [provider for provider in CUSTOM_AGENT_PROVIDERS if llm.is_provider_configured(provider)]
+    if not providers:
+        raise AgentServiceError("No LLM provider is configured for custom agents")
+
+    errors = []
+    for provider in providers:
+        call = llm.call_groq_api if provider == 'groq' else llm.call_openai_api
+        result = call(prompt)
+        if result.get("success") and result.get("content"):
+            return result["content"].strip()
+        logger.warning(f"Custom agent {agent_name}: {provider} failed: {result.get('error', 'empty response')}")
+        errors.append(f"{provider}: {result.get('error', 'empty response')}")
+
+    raise AgentServiceError("; ".join(errors))
+
+
+# Subject for education steps whose agent has no subject set
+DEFAULT_LESSON_SUBJECT = "General Studies"
+
+
+def run_education_step(subject: Optional[str], topic: Optional[str], goal: str) -> Dict[str, Any]:
+    """
+    Teach a lesson on the education agent's subject and topic. Without a
+    topic the run's goal is taught, under the default subject.
+    """
+    # Each lesson app imports its own generate_lesson_enhanced from next to
+    # app.py. pipline-24-master's takes only (subject, topic), and
+    # subject_generation's defaults its extra flags, so pass just those two.
+    from generate_lesson_enhanced import create_enhanced_lesson
+
+    subject = (subject or "").strip() or DEFAULT_LESSON_SUBJECT
+    topic = (topic or "").strip() or goal
+
+    try:
+        lesson = create_enhanced_lesson(subject, topic)
+    except Exception as e:
+        raise AgentServiceError(f"Lesson generation failed: {str(e)}")
+
+    title = lesson.get("title") or f"Lesson on {subject}: {topic}"
+    return {
+        "summary": f"{title}. {_first_sentences(lesson.get('explanation'))}".strip(),
+        "data": {
+            "subject": subject,
+            "topic": topic,
+            "title": title,
+            "explanation": lesson.get("explanation", ""),
+            "activity": lesson.get("activity", ""),
+            "question": lesson.get("question", ""),
+        },
+    }
+
+
+def run_financial_step(goal: str, user_id: str, financial_profile: Optional[Dict[str, Any]]) -> Dict[str, Any]:
+    """Project the user's budget with the financial simulator"""
+    profile = financial_profile or {}
+    income = _to_number(profile.get("monthlyIncome"))
+    if income <= 0:
+        raise AgentServiceError("The financial agent needs a monthly income in the financial profile")
+
+    expenses = [
+        {"name": expense.get("name") or "Expense", "amount": _to_number(expense.get("amount"))}
+        for expense in profile.get("expenses") or []
+        if isinstance(expense, dict) and _to_number(expense.get("amount"))
+    ]
+    base_url = os.getenv("FINANCIAL_SIMULATOR_URL", "http://localhost:8002").rstrip("/")
+    result = _post_json("Financial simulator", f"{base_url}/run-direct-simulation", {
+        "user_id": user_id,
+        "user_name": profile.get("name") or "User",
+        "income": income,
+        "expenses": expenses,
+        "total_expenses": sum(expense["amount"] for expense in expenses),
+        "goal": profile.get("financialGoal") or goal,
+        "financial_type": (profile.get("financialType") or "conservative").lower(),
+        "risk_level": (profile.get("riskLevel") or "low").lower(),
+    })
+
+    summary = result.get("summary") or {}
+    return {
+        "summary": (
+            f"Simulated {result.get('n_months', 12)} months: income {summary.get('monthly_income', income):.0f} "
+            f"and expenses {summary.get('monthly_expenses', 0):.0f} a month, "
+            f"{summary.get('savings_rate', 0)}% saved, net worth {summary.get('net_worth', 0):.0f} at the end."
+        ),
+        "data": summary,
+    }
+
+
+def run_wellness_step(goal: str, user_id: str, previous: List[Dict[str, Any]]) -> Dict[str, Any]:
+    """Ask the wellness agent about the goal, with what the earlier agents found"""
+    earlier = [
+        f"{step.get('agentName') or step.get('agentType')}: {step['summary']}"
+        for step in previous
+        if step.get("summary")
+    ]
+    query = goal
+    if earlier:
+        query = f"{goal.rstrip('.')}. Context from earlier agents: " + " ".join(earlier)
+
+    base_url = os.getenv("WELLNESS_API_URL", "http://localhost:8006").rstrip("/")
+    result = _post_json("Wellness agent", f"{base_url}/wellness", {"query": query, "user_id": user_id})
+
+    advice = result.get("response") or ""
+    if not advice:
+        raise AgentServiceError("The wellness agent returned an empty answer")
+    return {
+        "summary": _first_sentences(advice, 3),
+        "data": {"advice": advice, "sources": result.get("sources") or []},
+    }
+
+
+def run_agent_step(request, agent_type: str) -> Dict[str, Any]:
+    """
+    Structured output of one step in a multi-agent run. The summary and data
+    are handed to the agents that run after it. Takes either app's
+    AgentMessageRequest; blocking, so call it from a threadpool.
+    """
+    handoff = request.handoff or {}
+    previous = handoff.get("previous") or []
+    goal = handoff.get("goal") or request.message
+
+    if agent_type == "education":
+        return run_education_step(request.subject, request.topic, goal)
+
+    if agent_type == "financial":
+        return run_financial_step(goal, request.user_id, request.financial_profile)
+
+    if agent_type == "wellness":
+        return run_wellness_step(goal, request.user_id, previous)
+
+    name = request.agent_name or f"Agent-{request.agent_id}"
+    built_on = [step.get("agentName") for step in previous if step.get("agentName")]
+    return {
+        "summary": run_custom_agent(request.message, name, request.system_prompt, request.inputs, handoff),
+        "data": {"inputs": request.inputs or {}, "built_on": built_on},
+    }
@@ -0,0 +1,88 @@
+"""
+Tests for the shared agent handlers
+
+Run from Backend: python -m pytest utils/test_agent_handlers.py
+"""
+
+import importlib
+import os
+import sys
+import tempfile
+import unittest
+from unittest import mock
+
+BACKEND_DIR = os.path.abspath(os.path.join(os.path.dirname(__file__), '..'))
+PIPELINE_DIR = os.path.join(BACKEND_DIR, 'pipline-24-master')
+sys.path.insert(0, BACKEND_DIR)
+
+from utils import agent_handlers
+
+WIKIPEDIA_INFO = {
+    "wikipedia": {
+        "title": "Budget",
+        "summary": "A budget is a financial plan for a defined period. It lists expected income and spending.",
+        "url": "https://en.wikipedia.org/wiki/Budget",
+        "related_articles": [],
+    }
+}
+
+
+def load_lesson_module(app_dir):
+    """An app's generate_lesson_enhanced, imported from its directory the way app.py does"""
+    sys.modules.pop('generate_lesson_enhanced', None)
+    sys.path.insert(0, app_dir)
+    cwd = os.getcwd()
+    # The module opens enhanced_generator.log in the working directory
+    with tempfile.TemporaryDirectory() as log_dir:
+        os.chdir(log_dir)
+        try:
+            return importlib.import_module('generate_lesson_enhanced')
+        finally:
+            os.chdir(cwd)
+            sys.path.remove(app_dir)
+
+
+class PipelineEducationStepTest(unittest.TestCase):
+    """Education steps served by pipline-24-master, whose generator takes only (subject, topic)"""
+
+    def setUp(self):
+        self.lessons = load_lesson_module(PIPELINE_DIR)
+        self.addCleanup(sys.modules.pop, 'generate_lesson_enhanced', None)
+
+        # No knowledge store, Ollama or network: the lesson comes from Wikipedia
+        for name, value in [
+            ('get_lesson', None),
+            ('save_lesson', True),
+            ('check_ollama_service', (False, '')),
+        ]:
+            patcher = mock.patch.object(self.lessons, name, return_value=value)
+            patcher.start()
+            self.addCleanup(patcher.stop)
+        patcher = mock.patch.object(self.lessons, 'get_relevant_wikipedia_info', return_value=WIKIPEDIA_INFO)
+        self.wikipedia = patcher.start()
+        self.addCleanup(patcher.stop)
+
+    def test_teaches_the_agents_subject_and_topic(self):
+        output = agent_handlers.run_education_step('Economics', 'Budgeting', 'Save for a laptop')
+
+        self.wikipedia.assert_called_once_with('Economics', 'Budgeting')
+        self.assertEqual(output['data']['subject'], 'Economics')
+        self.assertEqual(output['data']['topic'], 'Budgeting')
+        self.assertIn('A budget is a financial plan', output['data']['explanation'])
+        self.assertTrue(output['summary'].startswith(output['data']['title']))
+
+    def test_teaches_the_goal_without_a_topic(self):
+        output = agent_handlers.run_education_step(None, ' ', 'Save for a laptop')
+
+        self.wikipedia.assert_called_once_with(agent_handlers.DEFAULT_LESSON_SUBJECT, 'Save for a laptop')
+        self.assertEqual(output['data']['topic'], 'Save for a laptop')
+
+    def test_reports_a_lesson_that_could_not_be_generated(self):
+        self.wikipedia.return_value = {"wikipedia": {"title": "", "summary": "", "url": "", "related_articles": []}}
+
+        with self.assertRaises(agent_handlers.AgentServiceError):
+            agent_handlers.run_education_step('Economics', 'Budgeting', 'Save for a laptop')
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,25 @@
+-- Agent logs table used by src/services/agentLogsService.js
+-- Run once in the Supabase SQL editor (or through src/utils/setupAgentLogs.js)
+
+CREATE TABLE IF NOT EXISTS agent_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  agent_id INTEGER,
+  agent_name TEXT,
+  agent_type TEXT,
+  action_type TEXT,
+  start_time TIMESTAMPTZ,
+  end_time TIMESTAMPTZ,
+  duration INTEGER,
+  status TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Multi-agent runs: each step is a log row with its handoff input and output
+ALTER TABLE agent_logs ADD COLUMN IF NOT EXISTS run_id TEXT;
+ALTER TABLE agent_logs ADD COLUMN IF NOT EXISTS step_index INTEGER;
+ALTER TABLE agent_logs ADD COLUMN IF NOT EXISTS step_input JSONB;
+ALTER TABLE agent_logs ADD COLUMN IF NOT EXISTS step_output JSONB;
+
+CREATE INDEX IF NOT EXISTS agent_logs_user_status_idx ON agent_logs (user_id, status);
+CREATE INDEX IF NOT EXISTS agent_logs_run_idx ON agent_logs (run_id, step_index);
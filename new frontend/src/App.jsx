@@ -24,7 +24,6 @@ import Lectures from "./pages/Lectures";
 import AgentSimulator from "./pages/AgentSimulator";
 import AvatarSelection from "./pages/AvatarSelection";
 import ForecastingDashboard from "./pages/ForecastingDashboard";
-import SimpleForecastingDashboard from "./pages/SimpleForecastingDashboard";
 import FinancialChatDemo from "./pages/FinancialChatDemo";
 import MobileInputDemo from "./pages/MobileInputDemo";
 import NotFound from "./pages/NotFound";
@@ -36,6 +35,11 @@ import AuthCallback from "./pages/AuthCallback";
 import ProtectedRoute from "./components/ProtectedRoute";
 import PublicRoute from "./components/PublicRoute";
 import SummaryView from "./pages/SummaryView";
+import StudyPackView from "./pages/StudyPackView";
+import UserLibrary from "./pages/UserLibrary";
+import ResourcePage from "./pages/ResourcePage";
+import MemoryDashboard from "./pages/MemoryDashboard";
+import PersonaSelector from "./pages/PersonaSelector";
 import { fetchCurrentUser } from "./store/authSlice";
 
 // Development utilities available in console if needed
@@ -179,10 +183,25 @@ export default function App() {
                           path="/learn/summary"
                           element={<SummaryView />}
                         />
+                        <Route
+                          path="/learn/summary/:summaryId"
+                          element={<SummaryView />}
+                        />
+                        <Route
+                          path="/learn/study-pack/:packId"
+                          element={<StudyPackView />}
+                        />
                         <Route path="/chatbot" element={<Chatbot />} />
                         <Route path="/test" element={<Test />} />
                         <Route path="/quiz/:subject/:topic" element={<QuizPage />} />
                         <Route path="/lectures" element={<Lectures />} />
+                        <Route path="/library" element={<UserLibrary />} />
+                        <Route
+                          path="/library/:resourceId"
+                          element={<ResourcePage />}
+                        />
+                        <Route path="/memory" element={<MemoryDashboard />} />
+                        <Route path="/personas" element={<PersonaSelector />} />
                         <Route
                           path="/agent-simulator"
                           element={<AgentSimulator />}
@@ -197,7 +216,7 @@ export default function App() {
                         />
                         <Route
                           path="/forecasting-simple"
-                          element={<SimpleForecastingDashboard />}
+                          element={<Navigate to="/forecasting" replace />}
                         />
                         <Route
                           path="/financial-chat-demo"
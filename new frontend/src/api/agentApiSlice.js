@@ -1,11 +1,10 @@
-import { createApi, fetchBaseQuery } from "@reduxjs/toolkit/query/react";
-import { AGENT_API_BASE_URL } from "../config";
+import { createApi } from "@reduxjs/toolkit/query/react";
+import { createServiceBaseQuery } from "./serviceBaseQuery";
 
 // Create a separate API slice for agent simulation endpoints using port 8005
 export const agentApiSlice = createApi({
   reducerPath: "agentApi",
-  baseQuery: fetchBaseQuery({
-    baseUrl: AGENT_API_BASE_URL,
+  baseQuery: createServiceBaseQuery("agent", {
     timeout: 60000, // 60 second timeout for agent simulations
   }),
   tagTypes: ["AgentOutput", "AgentLogs"],
@@ -25,7 +24,19 @@ export const agentApiSlice = createApi({
     }),
 
     sendAgentMessage: builder.mutation({
-      query: ({ message, agentId, userId }) => ({
+      query: ({
+        message,
+        agentId,
+        userId,
+        agentType,
+        agentName,
+        systemPrompt,
+        inputs,
+        handoff,
+        financialProfile,
+        subject,
+        topic,
+      }) => ({
         url: "/agent_message",
         method: "POST",
         body: {
@@ -33,19 +44,32 @@ export const agentApiSlice = createApi({
           agent_id: agentId,
           user_id: userId || "guest-user",
           timestamp: new Date().toISOString(),
+          // The roster definition tells the backend which handler answers
+          agent_type: agentType,
+          agent_name: agentName,
+          ...(systemPrompt && { system_prompt: systemPrompt }),
+          ...(inputs && { inputs }),
+          // Multi-agent runs: goal and output of the previous agents
+          ...(handoff && { handoff }),
+          ...(financialProfile && { financial_profile: financialProfile }),
+          // Education steps: the lesson's subject and topic
+          ...(subject && { subject }),
+          ...(topic && { topic }),
         },
       }),
       invalidatesTags: ["AgentOutput", "AgentLogs"],
     }),
 
     startAgentSimulation: builder.mutation({
-      query: ({ agentId, userId }) => ({
+      query: ({ agentId, userId, agentType, agentName }) => ({
         url: "/start_agent_simulation",
         method: "POST",
         body: {
           agent_id: agentId,
           user_id: userId || "guest-user",
           timestamp: new Date().toISOString(),
+          agent_type: agentType,
+          agent_name: agentName,
         },
       }),
       invalidatesTags: ["AgentOutput", "AgentLogs"],
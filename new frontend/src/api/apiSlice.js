@@ -1,13 +1,12 @@
-import { createApi, fetchBaseQuery } from "@reduxjs/toolkit/query/react";
-import { API_BASE_URL } from "../config";
+import { createApi } from "@reduxjs/toolkit/query/react";
+import { createServiceBaseQuery } from "./serviceBaseQuery";
 
 // API base URL configuration
 
 // Create a base API slice with shared configuration
 export const apiSlice = createApi({
   reducerPath: "api",
-  baseQuery: fetchBaseQuery({
-    baseUrl: API_BASE_URL,
+  baseQuery: createServiceBaseQuery("base", {
     prepareHeaders: (headers, { getState }) => {
       // You can add auth headers here if needed
       return headers;
@@ -1,5 +1,5 @@
-import { createApi, fetchBaseQuery } from "@reduxjs/toolkit/query/react";
-import { CHAT_API_BASE_URL } from "../config";
+import { createApi } from "@reduxjs/toolkit/query/react";
+import { createServiceBaseQuery } from "./serviceBaseQuery";
 
 // Chat API base URL configuration
 
@@ -10,8 +10,7 @@ import { CHAT_API_BASE_URL } from "../config";
  */
 export const avatarChatApiSlice = createApi({
   reducerPath: "avatarChatApi",
-  baseQuery: fetchBaseQuery({
-    baseUrl: CHAT_API_BASE_URL,
+  baseQuery: createServiceBaseQuery("chat", {
     prepareHeaders: (headers, { getState }) => {
       // You can add auth headers here if needed
       return headers;
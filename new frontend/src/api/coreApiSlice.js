@@ -1,16 +1,22 @@
 import { apiSlice } from "./apiSlice";
-import { createApi, fetchBaseQuery } from "@reduxjs/toolkit/query/react";
-import { CHAT_API_BASE_URL } from "../config";
+import { createApi } from "@reduxjs/toolkit/query/react";
+import { createServiceBaseQuery } from "./serviceBaseQuery";
 
 // Create a separate API slice for chat endpoints using port 8001
 export const chatApiSlice = createApi({
   reducerPath: "chatApi",
-  baseQuery: fetchBaseQuery({
-    baseUrl: CHAT_API_BASE_URL,
+  baseQuery: createServiceBaseQuery("chat", {
     timeout: 30000, // 30 second timeout for chat
   }),
-  tagTypes: ["ChatHistory"],
+  tagTypes: ["ChatHistory", "ChatModels"],
   endpoints: (builder) => ({
+    // Chat models offered by the service, with availability
+    getChatModels: builder.query({
+      query: () => "/models",
+      providesTags: ["ChatModels"],
+      keepUnusedDataFor: 600,
+    }),
+
     // Send chat message to port 8001
     sendChatMessage: builder.mutation({
       query: ({ aiMessage, userQuery, userId, llmModel = "uniguru" }) => ({
@@ -24,12 +30,6 @@ export const chatApiSlice = createApi({
       }),
       invalidatesTags: ["ChatHistory"],
     }),
-
-    // Fetch chatbot response from port 8001
-    fetchChatbotResponse: builder.query({
-      query: (userId) => `/chatbot?user_id=${userId || "guest-user"}`,
-      providesTags: ["ChatHistory"],
-    }),
   }),
 });
 
@@ -128,7 +128,7 @@ export const coreApiSlice = apiSlice.injectEndpoints({
 });
 
 // Export chat API functions from the dedicated chat API slice
-export const { useSendChatMessageMutation, useLazyFetchChatbotResponseQuery } =
+export const { useSendChatMessageMutation, useGetChatModelsQuery } =
   chatApiSlice;
 
 // Export core API functions (excluding chat functions which are now in chatApiSlice)
@@ -1,11 +1,10 @@
-import { createApi, fetchBaseQuery } from "@reduxjs/toolkit/query/react";
-import { FINANCIAL_API_BASE_URL } from "../config";
+import { createApi } from "@reduxjs/toolkit/query/react";
+import { createServiceBaseQuery } from "./serviceBaseQuery";
 
 // Create a separate API slice for financial simulation endpoints using port 8002
 export const financialApiSlice = createApi({
   reducerPath: "financialApi",
-  baseQuery: fetchBaseQuery({
-    baseUrl: FINANCIAL_API_BASE_URL,
+  baseQuery: createServiceBaseQuery("financial", {
     timeout: 60000, // 60 second timeout for financial simulations
   }),
   tagTypes: ["FinancialSimulation"],
@@ -46,14 +45,14 @@ export const financialApiSlice = createApi({
       ],
     }),
 
-    // Run direct simulation (synchronous)
+    // Run direct simulation (synchronous). A deterministic projection that
+    // isn't stored, so it doesn't invalidate the FinancialCrew runs.
     runDirectSimulation: builder.mutation({
       query: (userData) => ({
         url: "/run-direct-simulation",
         method: "POST",
         body: userData,
       }),
-      invalidatesTags: ["FinancialSimulation"],
     }),
   }),
 });
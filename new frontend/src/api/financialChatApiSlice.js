@@ -1,14 +1,66 @@
-import { createApi, fetchBaseQuery } from "@reduxjs/toolkit/query/react";
+import { createApi } from "@reduxjs/toolkit/query/react";
+import { createServiceBaseQuery } from "./serviceBaseQuery";
 
 /**
  * Financial Chat API Slice
  * Handles chat functionality specifically for financial data analysis
  * Integrates with Llama model API for financial guidance
  */
+
+// Model served by the UniGuru OpenAI-compatible endpoint
+const FINANCIAL_CHAT_MODEL = import.meta.env.VITE_FINANCIAL_CHAT_MODEL || "llama3.1";
+
+// Earlier turns sent with each message: the newest that fit both limits.
+// The financial summary in the system prompt counts against the characters.
+const MAX_HISTORY_MESSAGES = 12;
+const MAX_HISTORY_CHARS = 6000;
+// Longer turns are cut to this length before the limits are applied
+const MAX_TURN_CHARS = 1500;
+
+const ADVISOR_SYSTEM_PROMPT = `You are a professional financial advisor AI assistant with expertise in personal finance, budgeting, investing, and financial planning. You are in an ongoing conversation: use the earlier turns, and don't repeat advice you have already given.
+
+ANALYSIS FRAMEWORK:
+- Provide specific, actionable advice based on the user's actual financial data
+- Use concrete numbers and percentages from their simulation
+- Identify both strengths and areas for improvement
+- Offer prioritized recommendations
+- Answer the question asked; keep follow-up answers short
+
+WHAT-IF TOOL:
+You can test a change to the user's budget with their simulation. To do so, reply with only a line like:
+[[action:what_if {"changes": [{"type": "adjust_expense", "target": "rent", "percent": -10}, {"type": "add_investment", "amount": 5000}]}]]
+Change types:
+- adjust_expense: target (an expense name, or "all"), and percent or amount (negative to reduce)
+- add_expense: target (name) and amount per month
+- remove_expense: target
+- adjust_income: percent or amount
+- add_investment: amount invested every month (SIP)
+When a message includes WHAT-IF RESULTS, explain what those numbers mean for the user instead of calling the tool again.`;
+
+/**
+ * The newest chat turns that fit the history limits, oldest first
+ * @param {Array<{role: string, content: string}>} history - Earlier turns
+ * @param {number} [maxChars] - Character budget for the turns
+ * @returns {Array<{role: string, content: string}>} Turns to send, starting with a user turn
+ */
+export const trimChatHistory = (history = [], maxChars = MAX_HISTORY_CHARS) => {
+  const kept = [];
+  let chars = 0;
+  for (let index = history.length - 1; index >= 0 && kept.length < MAX_HISTORY_MESSAGES; index--) {
+    const { role, content } = history[index];
+    if (!content || !["user", "assistant"].includes(role)) continue;
+    const text = content.length > MAX_TURN_CHARS ? `${content.slice(0, MAX_TURN_CHARS)}…` : content;
+    if (chars + text.length > maxChars) break;
+    chars += text.length;
+    kept.unshift({ role, content: text });
+  }
+  // Chat templates expect the conversation to open with the user
+  while (kept.length > 0 && kept[0].role !== "user") kept.shift();
+  return kept;
+};
 export const financialChatApiSlice = createApi({
   reducerPath: "financialChatApi",
-  baseQuery: fetchBaseQuery({
-    baseUrl: import.meta.env.VITE_UNIGURU_API_BASE_URL || "http://localhost:8000",
+  baseQuery: createServiceBaseQuery("uniguru", {
     prepareHeaders: (headers) => {
       headers.set("Content-Type", "application/json");
       headers.set("Accept", "application/json");
@@ -18,38 +70,18 @@ export const financialChatApiSlice = createApi({
   }),
   tagTypes: ["FinancialChat"],
   endpoints: (builder) => ({
-    // Send financial chat message with context
+    // Send a message in a multi-turn financial chat. history holds the
+    // earlier turns ({ role, content }); financialSummary is the user's data
+    // as text (see summarizeFinancialData); whatIfResults, when given, is a
+    // what-if simulation run for this message for the advisor to explain.
     sendFinancialChatMessage: builder.mutation({
-      query: ({ message, financialContext, userId }) => {
-        // Create comprehensive financial context for the AI
-        const contextualPrompt = `
-You are a professional financial advisor AI assistant with expertise in personal finance, budgeting, investing, and financial planning.
-
-ANALYSIS FRAMEWORK:
-- Provide specific, actionable advice based on the user's actual financial data
-- Use concrete numbers and percentages from their simulation
-- Identify both strengths and areas for improvement
-- Offer prioritized recommendations
-- Consider their current progress and trends
-
-USER'S FINANCIAL SIMULATION DATA:
-${JSON.stringify(financialContext, null, 2)}
-
-USER QUESTION: ${message}
-
-RESPONSE GUIDELINES:
-1. Start with a brief assessment of their current situation
-2. Address their specific question with data-backed insights
-3. Provide 2-3 specific, actionable recommendations
-4. Include relevant financial metrics and benchmarks
-5. End with encouragement and next steps
-
-Please provide helpful, personalized financial advice that is:
-- Specific to their data (use actual numbers)
-- Actionable and practical
-- Encouraging but realistic
-- Focused on their question while considering their overall financial health
-`;
+      query: ({ message, history = [], financialSummary = "", whatIfResults }) => {
+        const userContent = whatIfResults
+          ? `${message}\n\nWHAT-IF RESULTS (from the simulation, not the user):\n${whatIfResults}`
+          : message;
+        const systemContent = financialSummary
+          ? `${ADVISOR_SYSTEM_PROMPT}\n\nUSER'S FINANCES:\n${financialSummary}`
+          : ADVISOR_SYSTEM_PROMPT;
 
         return {
           url: "/v1/chat/completions",
@@ -58,16 +90,16 @@ Please provide helpful, personalized financial advice that is:
             "ngrok-skip-browser-warning": "true",
           },
           body: {
-            model: "llama3.1",
+            model: FINANCIAL_CHAT_MODEL,
             messages: [
               {
                 role: "system",
-                content:
-                  "You are a professional financial advisor AI assistant. Provide helpful, accurate financial guidance based on the user's data.",
+                content: systemContent,
               },
+              ...trimChatHistory(history, Math.max(0, MAX_HISTORY_CHARS - financialSummary.length)),
               {
                 role: "user",
-                content: contextualPrompt,
+                content: userContent,
               },
             ],
             max_tokens: 2048,
@@ -81,7 +113,7 @@ Please provide helpful, personalized financial advice that is:
           return {
             message: response.choices[0].message.content.trim(),
             confidence: 0.9, // Default confidence
-            model: "llama3.1",
+            model: FINANCIAL_CHAT_MODEL,
           };
         }
         return {
@@ -120,7 +152,7 @@ Format your response in a clear, structured manner.
             "ngrok-skip-browser-warning": "true",
           },
           body: {
-            model: "llama3.1",
+            model: FINANCIAL_CHAT_MODEL,
             messages: [
               {
                 role: "system",
@@ -141,7 +173,7 @@ Format your response in a clear, structured manner.
         if (response?.choices?.[0]?.message?.content) {
           return {
             message: response.choices[0].message.content.trim(),
-            model: "llama3.1",
+            model: FINANCIAL_CHAT_MODEL,
           };
         }
         return { message: "Unable to analyze financial data at the moment." };
@@ -0,0 +1,69 @@
+import { createApi } from "@reduxjs/toolkit/query/react";
+import { createServiceBaseQuery } from "./serviceBaseQuery";
+
+// API slice for the forecasting endpoints of the orchestration service (port 8006)
+export const forecastingApiSlice = createApi({
+  reducerPath: "forecastingApi",
+  baseQuery: createServiceBaseQuery("orchestration", {
+    timeout: 120000, // Prophet/ARIMA fits can take a while on long series
+  }),
+  tagTypes: ["ForecastStatus"],
+  endpoints: (builder) => ({
+    // Whether Prophet/ARIMA are installed on the server
+    getForecastStatus: builder.query({
+      query: () => "/forecast/status",
+      providesTags: ["ForecastStatus"],
+    }),
+
+    // Forecast the next periods of a series with the auto-selected model
+    generateForecast: builder.mutation({
+      query: ({ data, metricType = "general", forecastPeriods = 30, userId }) => ({
+        url: "/forecast",
+        method: "POST",
+        body: {
+          data,
+          metric_type: metricType,
+          forecast_periods: forecastPeriods,
+          user_id: userId || "guest-user",
+        },
+      }),
+    }),
+
+    // Prophet vs ARIMA on the last 20% of the series
+    compareModels: builder.mutation({
+      query: ({ data, metricType = "general" }) => ({
+        url: "/compare-models",
+        method: "POST",
+        body: {
+          data,
+          metric_type: metricType,
+          language: "en",
+        },
+      }),
+    }),
+
+    // Hold out the last periods and score each model on them
+    backtestForecast: builder.mutation({
+      query: ({ data, metricType = "general", holdoutPeriods = 7, models, userId }) => ({
+        url: "/forecast/backtest",
+        method: "POST",
+        body: {
+          data,
+          metric_type: metricType,
+          holdout_periods: holdoutPeriods,
+          ...(models && { models }),
+          user_id: userId || "guest-user",
+        },
+      }),
+    }),
+  }),
+});
+
+export const {
+  useGetForecastStatusQuery,
+  useGenerateForecastMutation,
+  useCompareModelsMutation,
+  useBacktestForecastMutation,
+} = forecastingApiSlice;
+
+export default forecastingApiSlice;
@@ -1,5 +1,5 @@
 // API functions will go here
-import { API_BASE_URL, CHAT_API_BASE_URL } from "../config";
+import { resolveServiceUrl } from "../config/endpoints";
 
 // Export orchestration API functions
 export {
@@ -19,7 +19,7 @@ export {
 } from "./orchestrationApiSlice";
 
 export const getSubjects = async () => {
-  const response = await fetch(`${API_BASE_URL}/subjects`);
+  const response = await fetch(resolveServiceUrl("base", "/subjects"));
   if (!response.ok) {
     throw new Error("Failed to fetch subjects");
   }
@@ -27,7 +27,7 @@ export const getSubjects = async () => {
 };
 
 export const getLectures = async () => {
-  const response = await fetch(`${API_BASE_URL}/lectures`);
+  const response = await fetch(resolveServiceUrl("base", "/lectures"));
   if (!response.ok) {
     throw new Error("Failed to fetch lectures");
   }
@@ -35,7 +35,7 @@ export const getLectures = async () => {
 };
 
 export const getTests = async () => {
-  const response = await fetch(`${API_BASE_URL}/tests`);
+  const response = await fetch(resolveServiceUrl("base", "/tests"));
   if (!response.ok) {
     throw new Error("Failed to fetch tests");
   }
@@ -86,7 +86,7 @@ export const sendChatMessage = async (
     );
 
     const response = await fetch(
-      `${API_BASE_URL}/chatpost?${params.toString()}`,
+      resolveServiceUrl("base", `/chatpost?${params.toString()}`),
       {
         method: "POST",
         headers: {
@@ -215,7 +215,7 @@ export const fetchChatbotResponse = async (message, userId = null) => {
     // Send GET request to chatbot endpoint
 
     const response = await fetch(
-      `${CHAT_API_BASE_URL}/chatbot?${params.toString()}`,
+      resolveServiceUrl("chat", `/chatbot?${params.toString()}`),
       {
         method: "GET",
         headers: {
@@ -395,7 +395,7 @@ export const fetchChatbotResponse = async (message, userId = null) => {
       error.message === "Failed to fetch"
     ) {
       throw new Error(
-        `Unable to connect to the server at ${API_BASE_URL}/chatbot - please check if the server is running or your network connection.`
+        `Unable to connect to the server at ${resolveServiceUrl("chat", "/chatbot")} - please check if the server is running or your network connection.`
       );
     }
     throw error;
@@ -411,7 +411,7 @@ export const uploadFileForSummary = async (file) => {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
 
-    const response = await fetch(`${CHAT_API_BASE_URL}/process-pdf`, {
+    const response = await fetch(resolveServiceUrl("chat", "/process-pdf"), {
       method: "POST",
       body: formData,
       signal: controller.signal,
@@ -434,7 +434,7 @@ export const uploadFileForSummary = async (file) => {
 
 // Function to get file summary
 export const getFileSummary = async (fileId) => {
-  const response = await fetch(`${API_BASE_URL}/get-summary/${fileId}`);
+  const response = await fetch(resolveServiceUrl("base", `/get-summary/${fileId}`));
   if (!response.ok) {
     throw new Error("Failed to fetch summary");
   }
@@ -443,7 +443,7 @@ export const getFileSummary = async (fileId) => {
 
 // Function to fetch the last PDF summary
 export const getLastPdfSummary = async () => {
-  const response = await fetch(`${API_BASE_URL}/get-last-pdf`);
+  const response = await fetch(resolveServiceUrl("base", "/get-last-pdf"));
   if (!response.ok) {
     throw new Error("Failed to fetch summary");
   }
@@ -452,7 +452,7 @@ export const getLastPdfSummary = async () => {
 
 // Function to convert text to speech
 export const convertTextToSpeech = async (text) => {
-  const response = await fetch(`${API_BASE_URL}/text-to-speech`, {
+  const response = await fetch(resolveServiceUrl("base", "/text-to-speech"), {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
@@ -489,7 +489,7 @@ export const sendFinancialSimulationData = async (userData) => {
     console.log("DEBUG - Sending financial simulation data:", requestBody);
 
     // Send the data to the API
-    const response = await fetch(`${API_BASE_URL}/start-simulation`, {
+    const response = await fetch(resolveServiceUrl("base", "/start-simulation"), {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -593,7 +593,7 @@ export const runDirectSimulation = async (userData) => {
     console.log("DEBUG - Running direct simulation:", requestBody);
 
     // Send the data to the API
-    const response = await fetch(`${API_BASE_URL}/simulate`, {
+    const response = await fetch(resolveServiceUrl("base", "/simulate"), {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -692,7 +692,7 @@ export const checkSimulationStatus = async (taskId, userId = null) => {
     );
 
     // Add user_id as a query parameter
-    const url = new URL(`${API_BASE_URL}/simulation-status/${taskId}`);
+    const url = new URL(resolveServiceUrl("base", `/simulation-status/${taskId}`));
     url.searchParams.append("user_id", userIdentifier);
 
     // Fetch the simulation status from the API
@@ -803,7 +803,7 @@ export const getSimulationResultsByTaskId = async (taskId, userId = null) => {
     );
 
     // Add user_id as a query parameter
-    const url = new URL(`${API_BASE_URL}/simulation-results/${taskId}`);
+    const url = new URL(resolveServiceUrl("base", `/simulation-results/${taskId}`));
     url.searchParams.append("user_id", userIdentifier);
 
     // Fetch the simulation results from the API
@@ -919,7 +919,7 @@ export const getFinancialSimulationResults = async (userId) => {
 
     // Fetch the simulation results from the API
     const response = await fetch(
-      `${API_BASE_URL}/get-simulation-result/${userIdentifier}`,
+      resolveServiceUrl("base", `/get-simulation-result/${userIdentifier}`),
       {
         method: "GET",
         headers: {
@@ -1109,7 +1109,7 @@ export const getSimulationRealTimeUpdates = async (taskId, userId = null) => {
     );
 
     // Add user_id as a query parameter
-    const url = new URL(`${API_BASE_URL}/simulation-results/${taskId}/updates`);
+    const url = new URL(resolveServiceUrl("base", `/simulation-results/${taskId}/updates`));
     url.searchParams.append("user_id", userIdentifier);
 
     // Fetch the simulation updates from the API
@@ -1249,7 +1249,7 @@ export const sendUserLearningData = async (
     }
 
     // Send the data to the API
-    const response = await fetch(`${API_BASE_URL}/user/learning`, {
+    const response = await fetch(resolveServiceUrl("base", "/user/learning"), {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -1347,7 +1347,7 @@ export const checkLearningTaskStatus = async (taskId, userId = null) => {
     });
 
     // Add user_id as a query parameter
-    const url = new URL(`${API_BASE_URL}/user/learning/${taskId}`);
+    const url = new URL(resolveServiceUrl("base", `/user/learning/${taskId}`));
     url.searchParams.append("user_id", userIdentifier);
 
     // Send the request to check task status
@@ -1471,7 +1471,7 @@ export const notifyPdfRemoved = async (pdfId, userId = null) => {
       user_id: userIdentifier,
     });
 
-    const response = await fetch(`${API_BASE_URL}/pdf/removed`, {
+    const response = await fetch(resolveServiceUrl("base", "/pdf/removed"), {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -1567,7 +1567,7 @@ export const uploadPdfForChat = async (file, userId = null) => {
       user_id: userIdentifier,
     });
 
-    const response = await fetch(`${API_BASE_URL}/pdf/chat`, {
+    const response = await fetch(resolveServiceUrl("base", "/pdf/chat"), {
       method: "POST",
       body: formData,
       signal: controller.signal,
@@ -0,0 +1,230 @@
+import { createApi } from "@reduxjs/toolkit/query/react";
+import { createServiceBaseQuery } from "./serviceBaseQuery";
+import { MEMORY_API_KEY } from "../config";
+
+/**
+ * Memory API Slice
+ * Persona memories and interactions stored by the Memory Management API
+ * (Backend/memory_management, port 8003). The avatar chat uses it to remember
+ * what the user told each avatar persona. The API only serves the user named
+ * by the identity header, so every user_id sent here must be that user.
+ */
+export const memoryApiSlice = createApi({
+  reducerPath: "memoryApi",
+  baseQuery: createServiceBaseQuery("memory", {
+    prepareHeaders: (headers, { getState }) => {
+      // Without a key the proxy in front of the Memory API adds the
+      // credentials and the signed-in user's identity header. With a key
+      // (local development) this build stands in for the proxy.
+      if (MEMORY_API_KEY) {
+        headers.set("Authorization", `Bearer ${MEMORY_API_KEY}`);
+        headers.set("X-Authenticated-User", getState().auth.user?.id || "guest-user");
+      }
+      return headers;
+    },
+    timeout: 10000,
+  }),
+  tagTypes: ["PersonaMemories", "PersonaSummary", "RecentInteractions"],
+  endpoints: (builder) => ({
+    // Store a memory chunk
+    storeMemory: builder.mutation({
+      query: (memoryData) => ({
+        url: "/memory",
+        method: "POST",
+        body: memoryData,
+      }),
+      transformResponse: (response) => response.data,
+      invalidatesTags: (result, error, arg) => [
+        { type: "PersonaMemories", id: arg.persona_id },
+        { type: "PersonaSummary", id: arg.persona_id },
+      ],
+    }),
+
+    // Store a user/avatar exchange
+    storeInteraction: builder.mutation({
+      query: (interactionData) => ({
+        url: "/memory/interaction",
+        method: "POST",
+        body: interactionData,
+      }),
+      transformResponse: (response) => response.data,
+      invalidatesTags: (result, error, arg) => [
+        { type: "PersonaSummary", id: arg.persona_id },
+        { type: "RecentInteractions", id: arg.persona_id },
+      ],
+    }),
+
+    // Memories for a persona, most important first
+    getPersonaMemories: builder.query({
+      query: ({ personaId, userId, limit = 50, offset = 0, contentTypes = [], minImportance }) => {
+        const params = new URLSearchParams({
+          persona: personaId,
+          limit: String(limit),
+          offset: String(offset),
+        });
+        if (userId) params.append("user_id", userId);
+        if (minImportance) params.append("min_importance", String(minImportance));
+        contentTypes.forEach((type) => params.append("content_type", type));
+        return `/memory?${params.toString()}`;
+      },
+      transformResponse: (response) => ({
+        memories: response.memories || [],
+        totalCount: response.total_count || 0,
+        hasNext: Boolean(response.has_next),
+      }),
+      providesTags: (result, error, arg) => [{ type: "PersonaMemories", id: arg.personaId }],
+    }),
+
+    // Latest exchanges with a persona
+    getRecentInteractions: builder.query({
+      query: ({ personaId, userId, limit = 5 }) => {
+        const params = new URLSearchParams({
+          limit: String(limit),
+          recent_interactions: "true",
+        });
+        if (userId) params.append("user_id", userId);
+        if (personaId) params.append("persona", personaId);
+        return `/memory?${params.toString()}`;
+      },
+      transformResponse: (response) => response.interactions || [],
+      providesTags: (result, error, arg) => [{ type: "RecentInteractions", id: arg.personaId }],
+    }),
+
+    // Counts, topics and last interaction for a persona. The API answers 404
+    // until the persona has anything stored, which is reported as null.
+    getPersonaSummary: builder.query({
+      queryFn: async ({ personaId, userId }, api, extraOptions, baseQuery) => {
+        const params = userId ? `?user_id=${encodeURIComponent(userId)}` : "";
+        const result = await baseQuery(
+          `/memory/persona/${encodeURIComponent(personaId)}/summary${params}`
+        );
+        if (result.error?.status === 404) {
+          return { data: null };
+        }
+        return result;
+      },
+      providesTags: (result, error, arg) => [{ type: "PersonaSummary", id: arg.personaId }],
+    }),
+
+    // Full-text search over memory content
+    searchMemories: builder.query({
+      query: ({ query, personaId, userId, contentTypes = [], limit = 10 }) => {
+        const params = new URLSearchParams({ query, limit: String(limit) });
+        if (personaId) params.append("persona_id", personaId);
+        if (userId) params.append("user_id", userId);
+        contentTypes.forEach((type) => params.append("content_type", type));
+        return `/memory/search?${params.toString()}`;
+      },
+      transformResponse: (response) => response.results || [],
+      providesTags: (result, error, arg) => [{ type: "PersonaMemories", id: arg.personaId }],
+    }),
+
+    // Edit a memory's content or metadata
+    updateMemory: builder.mutation({
+      query: ({ memoryId, updateData }) => ({
+        url: `/memory/${memoryId}`,
+        method: "PUT",
+        body: updateData,
+      }),
+      invalidatesTags: (result, error, arg) => [
+        { type: "PersonaMemories", id: arg.personaId },
+        { type: "PersonaSummary", id: arg.personaId },
+      ],
+    }),
+
+    // Forget a memory (soft delete unless hardDelete is set)
+    deleteMemory: builder.mutation({
+      query: ({ memoryId, hardDelete = false }) => ({
+        url: `/memory/${memoryId}`,
+        method: "DELETE",
+        params: hardDelete ? { hard_delete: "true" } : undefined,
+      }),
+      invalidatesTags: (result, error, arg) => [
+        { type: "PersonaMemories", id: arg.personaId },
+        { type: "PersonaSummary", id: arg.personaId },
+      ],
+    }),
+  }),
+});
+
+export const {
+  useStoreMemoryMutation,
+  useStoreInteractionMutation,
+  useGetPersonaMemoriesQuery,
+  useGetRecentInteractionsQuery,
+  useGetPersonaSummaryQuery,
+  useSearchMemoriesQuery,
+  useLazySearchMemoriesQuery,
+  useLazyGetPersonaMemoriesQuery,
+  useUpdateMemoryMutation,
+  useDeleteMemoryMutation,
+} = memoryApiSlice;
+
+/**
+ * Memory content types accepted by the API
+ */
+export const CONTENT_TYPES = {
+  TEXT: "text",
+  INTERACTION: "interaction",
+  CONTEXT: "context",
+  REFLECTION: "reflection",
+  PREFERENCE: "preference",
+  FACT: "fact",
+};
+
+/**
+ * Build the body for storeMemory
+ */
+export const buildMemoryData = ({
+  userId,
+  personaId,
+  content,
+  contentType = CONTENT_TYPES.TEXT,
+  tags = [],
+  importance = 4,
+  topic = null,
+  source = "user_input",
+}) => ({
+  user_id: userId,
+  persona_id: personaId,
+  content,
+  content_type: contentType,
+  metadata: { tags, importance, topic, source },
+});
+
+/**
+ * Build the body for storeInteraction
+ */
+export const buildInteractionData = ({
+  userId,
+  personaId,
+  userMessage,
+  agentResponse,
+  sessionId = null,
+  conversationTurn = null,
+  domain = null,
+  responseTime = null,
+  modelUsed = null,
+  tags = [],
+}) => ({
+  user_id: userId,
+  persona_id: personaId,
+  user_message: userMessage,
+  agent_response: agentResponse,
+  context: {
+    session_id: sessionId,
+    conversation_turn: conversationTurn,
+    domain,
+  },
+  metadata: {
+    response_time: responseTime,
+    model_used: modelUsed,
+    tags,
+  },
+});
+
+/**
+ * Readable message for a Memory API error ({ error, message } bodies)
+ */
+export const getMemoryErrorMessage = (error) =>
+  error?.data?.message || error?.data?.detail || error?.error || "Memory service unavailable";
@@ -1,12 +1,11 @@
-import { createApi, fetchBaseQuery } from "@reduxjs/toolkit/query/react";
-import { API_BASE_URL } from "../config";
-import ttsService from "../services/ttsService";
+import { createApi } from "@reduxjs/toolkit/query/react";
+import { createServiceBaseQuery } from "./serviceBaseQuery";
+import libraryStorage from "../utils/libraryStorage";
 
 // Create orchestration API slice for enhanced educational features
 export const orchestrationApiSlice = createApi({
   reducerPath: "orchestrationApi",
-  baseQuery: fetchBaseQuery({
-    baseUrl: API_BASE_URL,
+  baseQuery: createServiceBaseQuery("base", {
     timeout: 90000, // 90 second timeout for orchestration calls
     prepareHeaders: (headers, { getState }) => {
       // Add any auth headers if needed
@@ -57,55 +56,25 @@ export const orchestrationApiSlice = createApi({
           },
         };
       },
-      async onQueryStarted(arg, { queryFulfilled }) {
-        try {
-          const { data } = await queryFulfilled;
-
-          // Trigger automatic TTS for enhanced lesson content
-          if (data && (data.explanation || data.text || data.content)) {
-            const contentToSpeak =
-              data.explanation || data.text || data.content;
-
-            if (contentToSpeak && contentToSpeak.trim()) {
-              console.log(
-                "🔊 Orchestration TTS: Triggering auto-play for enhanced lesson"
-              );
-
-              // Format content for better speech
-              const formattedContent = contentToSpeak
-                .replace(/\n\n/g, ". ")
-                .replace(/\n/g, " ")
-                .replace(/\*\*(.*?)\*\*/g, "$1") // Remove markdown bold
-                .replace(/\*(.*?)\*/g, "$1"); // Remove markdown italic
-
-              // Trigger TTS with a slight delay for better UX
-              setTimeout(() => {
-                ttsService
-                  .autoPlayAI(formattedContent, {
-                    delay: 1000,
-                    volume: 0.8,
-                  })
-                  .catch((error) => {
-                    console.warn(
-                      "🔊 Orchestration TTS: Auto-play failed:",
-                      error.message
-                    );
-                  });
-              }, 500);
-            }
-          }
-        } catch (error) {
-          console.warn(
-            "🔊 Orchestration TTS: Failed to process lesson for TTS:",
-            error
-          );
-        }
-      },
+      // Lessons are narrated by the read-along player on the page that shows them
       invalidatesTags: (result, error, { subject, topic, user_id }) => [
         { type: "EnhancedLessons", id: `${subject}-${topic}` },
         { type: "UserProgress", id: user_id },
         { type: "UserAnalytics", id: user_id },
       ],
+      // Save the lesson to the student's library once it's generated
+      async onQueryStarted({ subject, topic, user_id = "guest-user" }, { queryFulfilled }) {
+        try {
+          const { data } = await queryFulfilled;
+          await libraryStorage.saveLesson(
+            user_id,
+            { subject, topic, ...data, status: "completed" },
+            { source: "enhanced" }
+          );
+        } catch {
+          // Failed requests are reported by the caller; nothing to save
+        }
+      },
     }),
 
     // Get user progress and trigger analysis
@@ -1,11 +1,11 @@
-import { createApi, fetchBaseQuery } from "@reduxjs/toolkit/query/react";
-import { PIPELINE_API_BASE_URL } from "../config";
+import { createApi } from "@reduxjs/toolkit/query/react";
+import { createServiceBaseQuery } from "./serviceBaseQuery";
+import libraryStorage, { getLessonTtsAudioUrl } from "../utils/libraryStorage";
 
 // API slice for the deployed pipeline-24-master service on Render
 export const pipelineApiSlice = createApi({
   reducerPath: "pipelineApi",
-  baseQuery: fetchBaseQuery({
-    baseUrl: PIPELINE_API_BASE_URL,
+  baseQuery: createServiceBaseQuery("pipeline", {
     timeout: 300000, // 5 minute timeout for lesson generation
     prepareHeaders: (headers, { getState }) => {
       headers.set("Content-Type", "application/json");
@@ -113,6 +113,19 @@ export const pipelineApiSlice = createApi({
         },
       }),
       invalidatesTags: ["TTS"],
+      // Save the lesson audio to the student's library
+      async onQueryStarted({ subject, topic, user_id = "guest-user" }, { queryFulfilled }) {
+        try {
+          const { data } = await queryFulfilled;
+          await libraryStorage.saveAudio(user_id, {
+            url: getLessonTtsAudioUrl(data),
+            subject,
+            topic,
+          });
+        } catch {
+          // Failed requests are reported by the caller; nothing to save
+        }
+      },
     }),
 
     // Generate TTS from arbitrary text
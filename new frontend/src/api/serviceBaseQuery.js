@@ -0,0 +1,27 @@
+import { fetchBaseQuery } from "@reduxjs/toolkit/query/react";
+import { getServiceUrl } from "../config/endpoints";
+
+/**
+ * fetchBaseQuery bound to a registry service instead of a fixed URL.
+ * The base URL is looked up on every request, so runtime endpoint
+ * overrides apply to slices created before the overrides were loaded.
+ *
+ * @param {string} service - Service key from config/endpoints
+ * @param {Object} options - Any other fetchBaseQuery options
+ * @returns {Function} RTK Query base query
+ */
+export const createServiceBaseQuery = (service, options = {}) => {
+  let currentBaseUrl = null;
+  let baseQuery = null;
+
+  return (args, api, extraOptions) => {
+    const baseUrl = getServiceUrl(service);
+    if (baseUrl !== currentBaseUrl) {
+      currentBaseUrl = baseUrl;
+      baseQuery = fetchBaseQuery({ ...options, baseUrl });
+    }
+    return baseQuery(args, api, extraOptions);
+  };
+};
+
+export default createServiceBaseQuery;
@@ -1,11 +1,11 @@
-import { createApi, fetchBaseQuery } from "@reduxjs/toolkit/query/react";
-import { API_BASE_URL } from "../config";
+import { createApi } from "@reduxjs/toolkit/query/react";
+import { createServiceBaseQuery } from "./serviceBaseQuery";
+import { resolveServiceUrl } from "../config/endpoints";
 
 // Create a separate API slice for lesson endpoints using the same base URL
 export const lessonApiSlice = createApi({
   reducerPath: "lessonApi",
-  baseQuery: fetchBaseQuery({
-    baseUrl: API_BASE_URL,
+  baseQuery: createServiceBaseQuery("base", {
     timeout: 600000, // 10 minute timeout for Knowledge Store (can take 6+ minutes)
   }),
   tagTypes: ["Lessons"],
@@ -52,7 +52,7 @@ export const lessonApiSlice = createApi({
         };
 
         console.log("API Request config:", requestConfig);
-        console.log("Full URL:", `${API_BASE_URL}${requestConfig.url}`);
+        console.log("Full URL:", resolveServiceUrl("base", requestConfig.url));
 
         return requestConfig;
       },
@@ -1,14 +1,33 @@
-import { createApi, fetchBaseQuery } from "@reduxjs/toolkit/query/react";
-import { API_BASE_URL, CHAT_API_BASE_URL, UNIGURU_API_BASE_URL } from "../config";
+import { createApi } from "@reduxjs/toolkit/query/react";
+import { createServiceBaseQuery } from "./serviceBaseQuery";
+import { resolveServiceUrl } from "../config/endpoints";
+
+/**
+ * Stream URL for a summary job's progress and result (see streamEvents)
+ * @param {string} jobId - Job ID returned by createSummaryJob
+ * @returns {string} Absolute URL
+ */
+export const getSummaryEventsUrl = (jobId) =>
+  resolveServiceUrl("base", `/summaries/${encodeURIComponent(jobId)}/events`);
+
+// Job summaries point at audio on the base backend
+const withAbsoluteAudio = (summary) =>
+  summary?.audio_file && !/^https?:\/\//.test(summary.audio_file)
+    ? { ...summary, audio_file: resolveServiceUrl("base", summary.audio_file) }
+    : summary;
+
+// Study packs carry the summaries of their documents
+const withAbsoluteDocumentAudio = (pack) =>
+  pack ? { ...pack, documents: (pack.documents || []).map(withAbsoluteAudio) } : pack;
 
 // Create a separate API slice for summary endpoints using the correct port (8000 for Base_backend)
 export const summaryApiSlice = createApi({
   reducerPath: "summaryApi",
-  baseQuery: fetchBaseQuery({
-    baseUrl: API_BASE_URL, // Use port 8000 for PDF/Image processing (Base_backend)
+  // PDF/Image processing is served by the base backend
+  baseQuery: createServiceBaseQuery("base", {
     timeout: 60000, // 60 second timeout for file processing
   }),
-  tagTypes: ["Summary"],
+  tagTypes: ["Summary", "SummaryJobs", "StudyPack"],
   endpoints: (builder) => ({
     // Upload PDF for processing
     uploadPdfForSummary: builder.mutation({
@@ -42,13 +61,41 @@ export const summaryApiSlice = createApi({
       invalidatesTags: ["Summary"],
     }),
 
-    // Get PDF summary
+    // Start summarizing a PDF or image. Progress streams from
+    // getSummaryEventsUrl(job_id) and the result is getSummaryById(job_id).
+    createSummaryJob: builder.mutation({
+      query: ({ file, userId = "guest-user", sessionId, llm = "uniguru" }) => {
+        const formData = new FormData();
+        formData.append("file", file);
+        formData.append("user_id", userId);
+        formData.append("llm", llm);
+        if (sessionId) {
+          formData.append("session_id", sessionId);
+        }
+
+        return {
+          url: "/summaries",
+          method: "POST",
+          body: formData,
+        };
+      },
+      invalidatesTags: ["SummaryJobs"],
+    }),
+
+    // Summary jobs started from an upload session, newest first
+    listSummaryJobs: builder.query({
+      query: (sessionId) => `/summaries?session_id=${encodeURIComponent(sessionId)}`,
+      transformResponse: (response) => (response?.summaries || []).map(withAbsoluteAudio),
+      providesTags: ["SummaryJobs"],
+    }),
+
+    // Legacy: the last PDF processed by anyone; use createSummaryJob
     getPdfSummary: builder.query({
       query: () => "/summarize-pdf",
       providesTags: ["Summary"],
     }),
 
-    // Get image summary
+    // Legacy: the last image processed by anyone; use createSummaryJob
     getImageSummary: builder.query({
       query: () => "/summarize-img",
       providesTags: ["Summary"],
@@ -81,9 +128,10 @@ export const summaryApiSlice = createApi({
       providesTags: ["Summary"],
     }),
 
-    // Additional endpoints for summary-related operations
+    // A summary job by ID: its status while it runs, then the summary
     getSummaryById: builder.query({
-      query: (summaryId) => `/summary/${summaryId}`,
+      query: (summaryId) => `/summary/${encodeURIComponent(summaryId)}`,
+      transformResponse: withAbsoluteAudio,
       providesTags: (result, error, summaryId) => [
         { type: "Summary", id: summaryId },
       ],
@@ -91,10 +139,36 @@ export const summaryApiSlice = createApi({
 
     deleteSummary: builder.mutation({
       query: (summaryId) => ({
-        url: `/summary/${summaryId}`,
+        url: `/summary/${encodeURIComponent(summaryId)}`,
         method: "DELETE",
       }),
-      invalidatesTags: ["Summary"],
+      invalidatesTags: ["Summary", "SummaryJobs"],
+    }),
+
+    // Combine the summaries of several documents (createSummaryJob job IDs)
+    // into a study pack; follow it with getStudyPack until it completes
+    createStudyPack: builder.mutation({
+      query: ({ summaryIds, title, userId = "guest-user", sessionId }) => ({
+        url: "/study-packs",
+        method: "POST",
+        body: {
+          summary_ids: summaryIds,
+          title,
+          user_id: userId,
+          session_id: sessionId,
+        },
+      }),
+      transformResponse: withAbsoluteDocumentAudio,
+    }),
+
+    // A study pack: its documents' progress while it is built, then the
+    // outline, glossary, flashcards and the quiz_content for /quiz/generate
+    getStudyPack: builder.query({
+      query: (packId) => `/study-packs/${encodeURIComponent(packId)}`,
+      transformResponse: withAbsoluteDocumentAudio,
+      providesTags: (result, error, packId) => [
+        { type: "StudyPack", id: packId },
+      ],
     }),
 
     // UniGuru streaming endpoints
@@ -105,7 +179,7 @@ export const summaryApiSlice = createApi({
         formData.append("llm", "uniguru");
 
         return {
-          url: `${UNIGURU_API_BASE_URL}/process-pdf`,
+          url: resolveServiceUrl("uniguru", "/process-pdf"),
           method: "POST",
           body: formData,
           headers: {
@@ -123,7 +197,7 @@ export const summaryApiSlice = createApi({
         formData.append("llm", "uniguru");
 
         return {
-          url: `${UNIGURU_API_BASE_URL}/process-img`,
+          url: resolveServiceUrl("uniguru", "/process-img"),
           method: "POST",
           body: formData,
           headers: {
@@ -136,7 +210,7 @@ export const summaryApiSlice = createApi({
 
     getUniGuruPdfSummary: builder.query({
       query: () => ({
-        url: `${UNIGURU_API_BASE_URL}/summarize-pdf`,
+        url: resolveServiceUrl("uniguru", "/summarize-pdf"),
         headers: {
           "ngrok-skip-browser-warning": "true",
         },
@@ -146,7 +220,7 @@ export const summaryApiSlice = createApi({
 
     getUniGuruImageSummary: builder.query({
       query: () => ({
-        url: `${UNIGURU_API_BASE_URL}/summarize-img`,
+        url: resolveServiceUrl("uniguru", "/summarize-img"),
         headers: {
           "ngrok-skip-browser-warning": "true",
         },
@@ -167,7 +241,12 @@ export const {
   useGetFileSummaryQuery,
   useGetLastPdfSummaryQuery,
   useGetSummaryByIdQuery,
+  useLazyGetSummaryByIdQuery,
+  useCreateSummaryJobMutation,
+  useListSummaryJobsQuery,
   useDeleteSummaryMutation,
+  useCreateStudyPackMutation,
+  useGetStudyPackQuery,
   // UniGuru endpoints
   useUploadPdfForUniGuruMutation,
   useUploadImageForUniGuruMutation,
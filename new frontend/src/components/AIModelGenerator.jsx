@@ -1,23 +1,137 @@
 import React, { useState, useCallback } from 'react';
-import { 
-  Wand2, 
-  Type, 
-  Image as ImageIcon, 
-  Settings, 
-  Play, 
-  Square, 
+import {
+  Wand2,
+  Type,
+  Image as ImageIcon,
+  Settings,
+  Play,
+  Square,
   Download,
   Trash2,
   Eye,
-  Loader2
+  Loader2,
+  RotateCcw,
+  ListOrdered,
+  CheckCircle,
+  AlertCircle
 } from 'lucide-react';
 import { useModelGeneration } from '../hooks/useModelGeneration';
+import { JOB_STATUS } from '../services/modelGenerationQueue';
 import FileUploader from './FileUploader';
 import SimpleModelViewer from './SimpleModelViewer';
 
+const STATUS_LABELS = {
+  [JOB_STATUS.queued]: 'Waiting',
+  [JOB_STATUS.submitting]: 'Starting',
+  [JOB_STATUS.running]: 'Generating',
+  [JOB_STATUS.saving]: 'Saving',
+  [JOB_STATUS.completed]: 'Ready',
+  [JOB_STATUS.failed]: 'Failed',
+  [JOB_STATUS.cancelled]: 'Cancelled',
+};
+
+const ACTIVE_STATUSES = [JOB_STATUS.queued, JOB_STATUS.submitting, JOB_STATUS.running, JOB_STATUS.saving];
+
+// One row of the generation queue
+function GenerationJobItem({ job, providerName, isPreviewed, onPreview, onCancel, onRetry, onRemove, onDownload }) {
+  const isActive = ACTIVE_STATUSES.includes(job.status);
+  const isCompleted = job.status === JOB_STATUS.completed;
+
+  return (
+    <li
+      className={`p-3 rounded-lg border bg-white/5 ${
+        isPreviewed ? 'border-green-500/40' : 'border-white/10'
+      }`}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0 flex-1">
+          <p className="text-white text-sm truncate" title={job.prompt || job.sourceImageName}>
+            {job.type === 'image' ? <ImageIcon className="inline w-3 h-3 mr-1" /> : <Type className="inline w-3 h-3 mr-1" />}
+            {job.prompt || job.sourceImageName}
+          </p>
+          <p className="text-white/50 text-xs mt-0.5">
+            {providerName} · {STATUS_LABELS[job.status]}
+            {job.attempts > 1 && ` · attempt ${job.attempts}`}
+          </p>
+        </div>
+        <div className="flex items-center gap-1 shrink-0">
+          {isCompleted && (
+            <>
+              <button
+                onClick={() => onPreview(job)}
+                className="p-1.5 rounded text-white/60 hover:text-green-400 hover:bg-white/10"
+                title="Preview"
+              >
+                <Eye className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => onDownload(job)}
+                className="p-1.5 rounded text-white/60 hover:text-blue-400 hover:bg-white/10"
+                title="Download"
+              >
+                <Download className="w-4 h-4" />
+              </button>
+            </>
+          )}
+          {isActive && (
+            <button
+              onClick={() => onCancel(job.id)}
+              className="p-1.5 rounded text-white/60 hover:text-red-400 hover:bg-white/10"
+              title="Cancel"
+            >
+              <Square className="w-4 h-4" />
+            </button>
+          )}
+          {(job.status === JOB_STATUS.failed || job.status === JOB_STATUS.cancelled) && (
+            <button
+              onClick={() => onRetry(job.id)}
+              className="p-1.5 rounded text-white/60 hover:text-yellow-400 hover:bg-white/10"
+              title="Retry"
+            >
+              <RotateCcw className="w-4 h-4" />
+            </button>
+          )}
+          {!isActive && (
+            <button
+              onClick={() => onRemove(job.id)}
+              className="p-1.5 rounded text-white/60 hover:text-red-400 hover:bg-white/10"
+              title="Remove from queue (the model stays in your library)"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {isActive && (
+        <div className="mt-2 h-1.5 bg-white/10 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-gradient-to-r from-blue-500 to-purple-600 transition-all"
+            style={{ width: `${job.progress}%` }}
+          />
+        </div>
+      )}
+      {isCompleted && (
+        <p className="mt-1 text-xs text-green-400 flex items-center gap-1">
+          <CheckCircle className="w-3 h-3" />
+          Saved to your models and favorites
+        </p>
+      )}
+      {job.error && (
+        <p className="mt-1 text-xs text-red-400 flex items-center gap-1">
+          <AlertCircle className="w-3 h-3 shrink-0" />
+          {job.error}
+        </p>
+      )}
+    </li>
+  );
+}
+
 /**
  * AI Model Generator Component
- * Handles both text-to-3D and image-to-3D generation
+ * Queues text-to-3D and image-to-3D generations and lists their progress.
+ * Jobs keep running after the generator closes; finished models are added
+ * to the custom models and favorites.
  */
 export default function AIModelGenerator({
   onModelSelect,
@@ -29,33 +143,46 @@ export default function AIModelGenerator({
   const [textPrompt, setTextPrompt] = useState('');
   const [selectedImage, setSelectedImage] = useState(null);
   const [generationOptions, setGenerationOptions] = useState({
-    format: 'glb',
     quality: 'medium',
     style: 'realistic'
   });
-  const [previewModel, setPreviewModel] = useState(null);
+  const [previewJobId, setPreviewJobId] = useState(null);
+  const [apiKeyDraft, setApiKeyDraft] = useState('');
 
   const {
-    isGenerating,
-    generationProgress,
-    generatedModels,
-    error,
+    jobs,
+    activeJobCount,
+    provider,
+    hasApiKey,
+    rememberApiKeys,
     generateFromText,
     generateFromImage,
-    cancelGeneration,
-    removeModel,
+    cancelJob,
+    retryJob,
+    removeJob,
+    clearFinished,
     downloadModel,
+    setProvider,
+    setApiKey,
+    setRememberApiKeys,
     supportedProviders
   } = useModelGeneration();
 
+  const previewJob = jobs.find(job => job.id === previewJobId && job.status === JOB_STATUS.completed);
+  const previewModel = previewJob
+    ? { ...previewJob.result.metadata, url: previewJob.result.metadata.thumbnailUrl, jobId: previewJob.id }
+    : null;
+  const providerNames = Object.fromEntries(supportedProviders.map(option => [option.id, option.name]));
+  const supportsTab = activeTab === 'text' ? provider.textTo3D : provider.imageTo3D;
+
   const handleTextGeneration = useCallback(async () => {
     if (!textPrompt.trim()) {
       return;
     }
 
-    const result = await generateFromText(textPrompt, generationOptions);
-    if (result) {
-      setPreviewModel(result);
+    const job = await generateFromText(textPrompt, generationOptions);
+    if (job) {
+      setTextPrompt('');
     }
   }, [textPrompt, generationOptions, generateFromText]);
 
@@ -64,14 +191,10 @@ export default function AIModelGenerator({
       return;
     }
 
-    const result = await generateFromImage(selectedImage, generationOptions);
-    if (result) {
-      setPreviewModel(result);
-    }
+    await generateFromImage(selectedImage, generationOptions);
   }, [selectedImage, generationOptions, generateFromImage]);
 
   const handleModelSelect = useCallback((model) => {
-    setPreviewModel(model);
     if (onModelSelect) {
       onModelSelect(model);
     }
@@ -109,6 +232,12 @@ export default function AIModelGenerator({
     { value: 'low-poly', label: 'Low Poly' }
   ];
 
+  const generateButtonLabel = !supportsTab
+    ? `${provider.name} can't do ${activeTab === 'text' ? 'text' : 'image'}-to-3D`
+    : !hasApiKey
+      ? `Add a ${provider.name} API key`
+      : modelType === 'background' ? 'Queue Environment' : 'Queue 3D Model';
+
   return (
     <div className={`w-full ${className}`}>
       {/* Tab Navigation */}
@@ -141,8 +270,74 @@ export default function AIModelGenerator({
               <Settings className="mr-2 text-purple-400" />
               Generation Settings
             </h3>
-            
+
             <div className="space-y-4">
+              {/* Provider Setting */}
+              <div>
+                <label className="block text-white/80 text-sm font-medium mb-2">
+                  Provider
+                </label>
+                <select
+                  value={provider.id}
+                  onChange={(e) => {
+                    setProvider(e.target.value);
+                    setApiKeyDraft('');
+                  }}
+                  className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white focus:border-blue-400 focus:outline-none"
+                >
+                  {supportedProviders.map(option => (
+                    <option key={option.id} value={option.id} className="bg-gray-800">
+                      {option.name}
+                    </option>
+                  ))}
+                </select>
+                {!provider.requiresApiKey && (
+                  <p className="text-white/50 text-xs mt-1">
+                    Builds sample models in your browser, no API key needed.
+                  </p>
+                )}
+              </div>
+
+              {/* API Key Setting */}
+              {provider.requiresApiKey && (
+                <div>
+                  <label className="block text-white/80 text-sm font-medium mb-2">
+                    {provider.name} API key {hasApiKey && <span className="text-green-400 text-xs">(saved)</span>}
+                  </label>
+                  <div className="flex gap-2">
+                    <input
+                      type="password"
+                      value={apiKeyDraft}
+                      onChange={(e) => setApiKeyDraft(e.target.value)}
+                      placeholder={hasApiKey ? 'Enter a new key to replace it' : 'Paste your API key'}
+                      className="flex-1 px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-white/40 focus:border-blue-400 focus:outline-none"
+                    />
+                    <button
+                      onClick={() => {
+                        setApiKey(apiKeyDraft);
+                        setApiKeyDraft('');
+                      }}
+                      disabled={!apiKeyDraft.trim() && !hasApiKey}
+                      className="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm hover:bg-white/20 disabled:opacity-50"
+                    >
+                      {apiKeyDraft.trim() || !hasApiKey ? 'Save' : 'Remove'}
+                    </button>
+                  </div>
+                  <label className="flex items-start gap-2 mt-2 text-xs text-white/60">
+                    <input
+                      type="checkbox"
+                      checked={rememberApiKeys}
+                      onChange={(e) => setRememberApiKeys(e.target.checked)}
+                      className="mt-0.5"
+                    />
+                    <span>
+                      Remember keys on this device. They are stored unencrypted in this browser, where other
+                      scripts and people using it can read them. Otherwise keys are forgotten when the tab closes.
+                    </span>
+                  </label>
+                </div>
+              )}
+
               {/* Quality Setting */}
               <div>
                 <label className="block text-white/80 text-sm font-medium mb-2">
@@ -179,21 +374,8 @@ export default function AIModelGenerator({
                 </select>
               </div>
 
-              {/* Format Setting */}
-              <div>
-                <label className="block text-white/80 text-sm font-medium mb-2">
-                  Format
-                </label>
-                <select
-                  value={generationOptions.format}
-                  onChange={(e) => setGenerationOptions(prev => ({ ...prev, format: e.target.value }))}
-                  className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white focus:border-blue-400 focus:outline-none"
-                >
-                  <option value="glb" className="bg-gray-800">GLB (Recommended)</option>
-                  <option value="gltf" className="bg-gray-800">GLTF</option>
-                  <option value="obj" className="bg-gray-800">OBJ</option>
-                </select>
-              </div>
+              {/* Models are stored as avatars, which are GLB only */}
+              <p className="text-white/50 text-xs">Models are generated as GLB.</p>
             </div>
           </div>
 
@@ -225,20 +407,11 @@ export default function AIModelGenerator({
 
                 <button
                   onClick={handleTextGeneration}
-                  disabled={!textPrompt.trim() || isGenerating}
+                  disabled={!textPrompt.trim() || !supportsTab || !hasApiKey}
                   className="w-full px-6 py-3 bg-gradient-to-r from-blue-500 to-purple-600 text-white rounded-lg font-medium hover:from-blue-600 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all flex items-center justify-center space-x-2"
                 >
-                  {isGenerating ? (
-                    <>
-                      <Loader2 className="w-5 h-5 animate-spin" />
-                      <span>Generating... {generationProgress}%</span>
-                    </>
-                  ) : (
-                    <>
-                      <Play className="w-5 h-5" />
-                      <span>{modelType === 'background' ? 'Generate Environment' : 'Generate 3D Model'}</span>
-                    </>
-                  )}
+                  <Play className="w-5 h-5" />
+                  <span>{generateButtonLabel}</span>
                 </button>
               </div>
             ) : (
@@ -252,53 +425,72 @@ export default function AIModelGenerator({
 
                 <button
                   onClick={handleImageGeneration}
-                  disabled={!selectedImage || isGenerating}
+                  disabled={!selectedImage || !supportsTab || !hasApiKey}
                   className="w-full px-6 py-3 bg-gradient-to-r from-green-500 to-blue-600 text-white rounded-lg font-medium hover:from-green-600 hover:to-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all flex items-center justify-center space-x-2"
                 >
-                  {isGenerating ? (
-                    <>
-                      <Loader2 className="w-5 h-5 animate-spin" />
-                      <span>Generating... {generationProgress}%</span>
-                    </>
-                  ) : (
-                    <>
-                      <Play className="w-5 h-5" />
-                      <span>{modelType === 'background' ? 'Generate Environment' : 'Generate 3D Model'}</span>
-                    </>
-                  )}
+                  <Play className="w-5 h-5" />
+                  <span>{generateButtonLabel}</span>
                 </button>
               </div>
             )}
-
-            {/* Cancel Button */}
-            {isGenerating && (
-              <button
-                onClick={cancelGeneration}
-                className="w-full mt-3 px-6 py-2 bg-red-500/20 text-red-400 rounded-lg border border-red-500/30 hover:bg-red-500/30 transition-colors flex items-center justify-center space-x-2"
-              >
-                <Square className="w-4 h-4" />
-                <span>Cancel Generation</span>
-              </button>
-            )}
-
-            {/* Error Display */}
-            {error && (
-              <div className="mt-4 p-3 bg-red-500/20 border border-red-500/30 rounded-lg text-red-400 text-sm">
-                {error}
-              </div>
-            )}
           </div>
         </div>
 
         {/* Preview Panel */}
         <div className="space-y-6">
+          {/* Generation Queue */}
+          <div className="bg-white/5 backdrop-blur-sm rounded-xl border border-white/10 p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-white flex items-center">
+                <ListOrdered className="mr-2 text-blue-400" />
+                Queue
+                {activeJobCount > 0 && (
+                  <span className="ml-2 flex items-center text-sm font-normal text-white/60">
+                    <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                    {activeJobCount} in progress
+                  </span>
+                )}
+              </h3>
+              {jobs.length > activeJobCount && (
+                <button
+                  onClick={clearFinished}
+                  className="text-xs text-white/60 hover:text-white"
+                >
+                  Clear finished
+                </button>
+              )}
+            </div>
+
+            {jobs.length === 0 ? (
+              <p className="text-white/50 text-sm">
+                Queued generations appear here and keep running if you leave this page.
+              </p>
+            ) : (
+              <ul className="space-y-2 max-h-80 overflow-y-auto pr-1">
+                {jobs.map(job => (
+                  <GenerationJobItem
+                    key={job.id}
+                    job={job}
+                    providerName={providerNames[job.provider] || job.provider}
+                    isPreviewed={job.id === previewJobId}
+                    onPreview={(previewed) => setPreviewJobId(previewed.id)}
+                    onCancel={cancelJob}
+                    onRetry={retryJob}
+                    onRemove={removeJob}
+                    onDownload={downloadModel}
+                  />
+                ))}
+              </ul>
+            )}
+          </div>
+
           {/* 3D Model Preview */}
           <div className="bg-white/5 backdrop-blur-sm rounded-xl border border-white/10 p-6">
             <h3 className="text-lg font-semibold text-white mb-4 flex items-center">
               <Eye className="mr-2 text-green-400" />
               3D Preview
             </h3>
-            
+
             <div className="aspect-square bg-black/20 rounded-lg border border-white/10 overflow-hidden">
               {previewModel ? (
                 <SimpleModelViewer
@@ -312,7 +504,7 @@ export default function AIModelGenerator({
                 <div className="w-full h-full flex items-center justify-center text-white/50">
                   <div className="text-center">
                     <Eye className="w-12 h-12 mx-auto mb-2 opacity-50" />
-                    <p>Generate a model to see preview</p>
+                    <p>Preview a finished model from the queue</p>
                   </div>
                 </div>
               )}
@@ -321,18 +513,20 @@ export default function AIModelGenerator({
             {previewModel && (
               <div className="mt-4 flex space-x-2">
                 <button
-                  onClick={() => downloadModel(previewModel)}
+                  onClick={() => downloadModel(previewJob)}
                   className="flex-1 px-4 py-2 bg-blue-500/20 text-blue-400 rounded-lg border border-blue-500/30 hover:bg-blue-500/30 transition-colors flex items-center justify-center space-x-2"
                 >
                   <Download className="w-4 h-4" />
                   <span>Download</span>
                 </button>
-                <button
-                  onClick={() => handleModelSelect(previewModel)}
-                  className="flex-1 px-4 py-2 bg-green-500/20 text-green-400 rounded-lg border border-green-500/30 hover:bg-green-500/30 transition-colors"
-                >
-                  {modelType === 'background' ? 'Select Background' : 'Select as Avatar'}
-                </button>
+                {onModelSelect && (
+                  <button
+                    onClick={() => handleModelSelect(previewModel)}
+                    className="flex-1 px-4 py-2 bg-green-500/20 text-green-400 rounded-lg border border-green-500/30 hover:bg-green-500/30 transition-colors"
+                  >
+                    {modelType === 'background' ? 'Select Background' : 'Select as Avatar'}
+                  </button>
+                )}
               </div>
             )}
           </div>
@@ -0,0 +1,361 @@
+import React, { useState } from "react";
+import { Bot, Plus, Trash2, X, Save } from "lucide-react";
+import { AGENT_TYPES, INPUT_FIELD_TYPES } from "../config/agentTypes";
+import { validateAgent } from "../utils/agentRosterStorage";
+
+const COLOR_SWATCHES = [
+  "#10B981",
+  "#3B82F6",
+  "#F97316",
+  "#8B5CF6",
+  "#EC4899",
+  "#EAB308",
+  "#06B6D4",
+  "#EF4444",
+];
+
+const emptyField = () => ({
+  label: "",
+  type: "text",
+  required: false,
+  placeholder: "",
+  optionsText: "",
+});
+
+const toDraft = (agent) => ({
+  id: agent?.id,
+  name: agent?.name || "",
+  type: agent?.type || "custom",
+  color: agent?.color || AGENT_TYPES[agent?.type || "custom"].defaultColor,
+  confidence: agent?.confidence ?? 0.8,
+  goal: agent?.goal || "",
+  description: agent?.description || "",
+  systemPrompt: agent?.systemPrompt || "",
+  inputSchema: (agent?.inputSchema || []).map((field) => ({
+    ...emptyField(),
+    ...field,
+    optionsText: (field.options || []).join(", "),
+  })),
+});
+
+const fromDraft = (draft) => ({
+  ...draft,
+  confidence: Number(draft.confidence),
+  inputSchema: AGENT_TYPES[draft.type].builtInForm
+    ? []
+    : draft.inputSchema.map(({ optionsText, ...field }) => ({
+        ...field,
+        options: field.type === "select" ? optionsText.split(",") : undefined,
+      })),
+});
+
+const inputClass =
+  "w-full p-2 rounded-lg bg-white/10 border border-white/20 text-white text-sm placeholder-white/40 focus:outline-none focus:border-orange-400/60";
+
+/**
+ * Agent Editor Modal
+ * Creates or edits an Agent Simulator agent: its name, handler type, system
+ * prompt, input form and color
+ */
+const AgentEditorModal = ({ agent, roster, onSave, onClose }) => {
+  const [draft, setDraft] = useState(() => toDraft(agent));
+  const [errors, setErrors] = useState({});
+  const isNew = agent?.id === undefined;
+  const agentType = AGENT_TYPES[draft.type];
+
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const updateField = (index, changes) =>
+    setDraft((prev) => ({
+      ...prev,
+      inputSchema: prev.inputSchema.map((field, i) =>
+        i === index ? { ...field, ...changes } : field
+      ),
+    }));
+
+  const handleTypeChange = (type) => {
+    // Keep a color the user picked, but follow the type while it is still a default
+    const usesDefaultColor = Object.values(AGENT_TYPES).some(
+      (t) => t.defaultColor === draft.color
+    );
+    update({
+      type,
+      ...(usesDefaultColor && { color: AGENT_TYPES[type].defaultColor }),
+    });
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const definition = fromDraft(draft);
+    const validationErrors = validateAgent(definition, roster);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length === 0) {
+      onSave(definition);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white/10 backdrop-blur-lg rounded-2xl border border-white/20 p-6 max-w-2xl w-full max-h-[85vh] overflow-hidden flex flex-col"
+        style={{
+          background: "rgba(20, 20, 30, 0.85)",
+          backdropFilter: "blur(20px)",
+        }}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-white flex items-center gap-2">
+            <Bot className="w-6 h-6" style={{ color: draft.color }} />
+            {isNew ? "New Agent" : `Edit ${agent.name}`}
+          </h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-2 rounded-lg hover:bg-white/10 text-white/70 hover:text-white transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="overflow-y-auto custom-scrollbar pr-1 space-y-4 flex-1">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm text-white/80 mb-1">Name *</label>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => update({ name: e.target.value })}
+                placeholder="e.g. PhysicsMentor"
+                className={inputClass}
+              />
+              {errors.name && (
+                <p className="text-xs text-red-400 mt-1">{errors.name}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm text-white/80 mb-1">Type</label>
+              <select
+                value={draft.type}
+                onChange={(e) => handleTypeChange(e.target.value)}
+                className={inputClass}
+              >
+                {Object.entries(AGENT_TYPES).map(([type, config]) => (
+                  <option key={type} value={type} className="bg-gray-800">
+                    {config.label} ({config.handler})
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-white/50 mt-1">
+                {agentType.description}
+              </p>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm text-white/80 mb-1">Description</label>
+            <input
+              type="text"
+              value={draft.description}
+              onChange={(e) => update({ description: e.target.value })}
+              placeholder="Shown on the agent card"
+              className={inputClass}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm text-white/80 mb-1">Goal</label>
+              <input
+                type="text"
+                value={draft.goal}
+                onChange={(e) => update({ goal: e.target.value })}
+                placeholder="e.g. Exam preparation"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-white/80 mb-1">
+                Starting confidence: {Math.round(draft.confidence * 100)}%
+              </label>
+              <input
+                type="range"
+                min="0.5"
+                max="0.99"
+                step="0.01"
+                value={draft.confidence}
+                onChange={(e) => update({ confidence: e.target.value })}
+                className="w-full"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm text-white/80 mb-1">Color</label>
+            <div className="flex items-center gap-2 flex-wrap">
+              {COLOR_SWATCHES.map((color) => (
+                <button
+                  key={color}
+                  type="button"
+                  onClick={() => update({ color })}
+                  className={`w-7 h-7 rounded-full border-2 ${
+                    draft.color.toLowerCase() === color.toLowerCase()
+                      ? "border-white"
+                      : "border-transparent"
+                  }`}
+                  style={{ backgroundColor: color }}
+                  title={color}
+                />
+              ))}
+              <input
+                type="color"
+                value={draft.color}
+                onChange={(e) => update({ color: e.target.value })}
+                className="w-9 h-7 rounded bg-transparent cursor-pointer"
+                title="Custom color"
+              />
+            </div>
+            {errors.color && (
+              <p className="text-xs text-red-400 mt-1">{errors.color}</p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm text-white/80 mb-1">System prompt</label>
+            <textarea
+              value={draft.systemPrompt}
+              onChange={(e) => update({ systemPrompt: e.target.value })}
+              rows={4}
+              placeholder="You are a patient physics mentor for grade 10 students..."
+              className={`${inputClass} resize-y`}
+            />
+          </div>
+
+          {/* Input form schema */}
+          <div className="border-t border-white/10 pt-4">
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-white font-medium">Input form</h4>
+              {!agentType.builtInForm && (
+                <button
+                  type="button"
+                  onClick={() =>
+                    update({ inputSchema: [...draft.inputSchema, emptyField()] })
+                  }
+                  className="flex items-center gap-1 text-xs px-2 py-1 rounded-lg bg-orange-500/20 hover:bg-orange-500/30 text-orange-300 border border-orange-500/30 transition-colors"
+                >
+                  <Plus size={14} />
+                  Add field
+                </button>
+              )}
+            </div>
+
+            {agentType.builtInForm ? (
+              <p className="text-xs text-white/60">
+                {agentType.label} agents use the built-in {agentType.handler} form.
+              </p>
+            ) : draft.inputSchema.length === 0 ? (
+              <p className="text-xs text-white/60">
+                No fields yet. Fields are shown before a session starts and their
+                values are sent to the agent with every message.
+              </p>
+            ) : (
+              <div className="space-y-3">
+                {draft.inputSchema.map((field, index) => (
+                  <div
+                    key={index}
+                    className="p-3 rounded-lg bg-black/20 border border-white/10 space-y-2"
+                  >
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={field.label}
+                        onChange={(e) => updateField(index, { label: e.target.value, name: "" })}
+                        placeholder="Label, e.g. Grade level"
+                        className={inputClass}
+                      />
+                      <select
+                        value={field.type}
+                        onChange={(e) => updateField(index, { type: e.target.value })}
+                        className={`${inputClass} w-40`}
+                      >
+                        {Object.entries(INPUT_FIELD_TYPES).map(([type, label]) => (
+                          <option key={type} value={type} className="bg-gray-800">
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          update({
+                            inputSchema: draft.inputSchema.filter((_, i) => i !== index),
+                          })
+                        }
+                        className="p-2 rounded-lg hover:bg-red-500/20 text-white/60 hover:text-red-400 transition-colors"
+                        title="Remove field"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                    {field.type === "select" ? (
+                      <input
+                        type="text"
+                        value={field.optionsText}
+                        onChange={(e) => updateField(index, { optionsText: e.target.value })}
+                        placeholder="Choices, separated by commas"
+                        className={inputClass}
+                      />
+                    ) : field.type !== "checkbox" ? (
+                      <input
+                        type="text"
+                        value={field.placeholder}
+                        onChange={(e) => updateField(index, { placeholder: e.target.value })}
+                        placeholder="Placeholder (optional)"
+                        className={inputClass}
+                      />
+                    ) : null}
+                    <label className="flex items-center text-xs text-white/70">
+                      <input
+                        type="checkbox"
+                        checked={field.required}
+                        onChange={(e) => updateField(index, { required: e.target.checked })}
+                        className="mr-2"
+                      />
+                      Required
+                    </label>
+                    {errors[`inputSchema.${index}`] && (
+                      <p className="text-xs text-red-400">
+                        {errors[`inputSchema.${index}`]}
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-end gap-2 mt-4 pt-4 border-t border-white/10">
+          <button
+            type="button"
+            onClick={onClose}
+            className="py-2 px-4 rounded-lg bg-gray-600 hover:bg-gray-700 text-white transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="py-2 px-4 rounded-lg bg-orange-500 hover:bg-orange-600 text-white flex items-center transition-colors"
+          >
+            <Save size={16} className="mr-2" />
+            {isNew ? "Create Agent" : "Save Changes"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default AgentEditorModal;
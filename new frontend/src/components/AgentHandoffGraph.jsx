@@ -0,0 +1,65 @@
+import React from "react";
+import { ArrowDown, CheckCircle, XCircle, Loader2, Circle, Workflow } from "lucide-react";
+import { buildHandoffGraph, RUN_MODES, STEP_STATUS } from "../services/agentRunService";
+
+const STATUS_ICONS = {
+  [STEP_STATUS.PENDING]: <Circle size={12} className="text-white/40" />,
+  [STEP_STATUS.RUNNING]: <Loader2 size={12} className="text-orange-300 animate-spin" />,
+  [STEP_STATUS.COMPLETED]: <CheckCircle size={12} className="text-green-400" />,
+  [STEP_STATUS.FAILED]: <XCircle size={12} className="text-red-400" />,
+  [STEP_STATUS.CANCELLED]: <XCircle size={12} className="text-white/40" />,
+};
+
+/**
+ * Agent Handoff Graph
+ * Shows how the agents of a multi-agent run hand their results to each other
+ */
+const AgentHandoffGraph = ({ run }) => {
+  const { levels } = buildHandoffGraph(run);
+  if (levels.length === 0) return null;
+
+  return (
+    <div className="mb-3 p-3 rounded-lg bg-black/20 border border-white/10">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-xs font-medium text-white/80 flex items-center">
+          <Workflow size={14} className="mr-1.5 text-orange-400" />
+          Handoffs ({run.mode === RUN_MODES.PARALLEL ? "parallel" : "in sequence"})
+        </span>
+        <span className="text-xs text-white/50">{run.status}</span>
+      </div>
+
+      {levels.map((nodes, levelIndex) => (
+        <div key={levelIndex}>
+          {levelIndex > 0 && (
+            <div className="flex justify-center my-1">
+              <ArrowDown size={12} className="text-white/40" />
+            </div>
+          )}
+          <div className="flex gap-2">
+            {nodes.map((node) => (
+              <div
+                key={node.id}
+                className="flex-1 min-w-0 p-2 rounded-md border text-xs"
+                style={{
+                  backgroundColor: node.color ? `${node.color}20` : "rgba(255,255,255,0.05)",
+                  borderColor: node.color ? `${node.color}60` : "rgba(255,255,255,0.1)",
+                }}
+                title={node.detail}
+              >
+                <div className="flex items-center font-medium text-white">
+                  <span className="mr-1.5 flex-shrink-0">{STATUS_ICONS[node.status]}</span>
+                  <span className="truncate">{node.label}</span>
+                </div>
+                {node.detail && (
+                  <p className="mt-1 text-white/60 line-clamp-2">{node.detail}</p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AgentHandoffGraph;
@@ -0,0 +1,82 @@
+import React from "react";
+
+const inputClass =
+  "w-full p-2 rounded-lg bg-white/10 border border-white/20 text-white text-sm placeholder-white/40 focus:outline-none focus:border-orange-400/60";
+
+/**
+ * Agent Input Form
+ * Renders the input form a custom agent defines in its input schema
+ */
+const AgentInputForm = ({ agent, values = {}, onChange }) => {
+  const setValue = (name, value) => onChange({ ...values, [name]: value });
+
+  if (!agent.inputSchema || agent.inputSchema.length === 0) {
+    return (
+      <p className="text-sm text-white/60">
+        This agent has no input form. Start a session and chat with it directly.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {agent.inputSchema.map((field) => (
+        <div key={field.name}>
+          {field.type === "checkbox" ? (
+            <label className="flex items-center text-sm text-white/80">
+              <input
+                type="checkbox"
+                checked={Boolean(values[field.name])}
+                onChange={(e) => setValue(field.name, e.target.checked)}
+                className="mr-2"
+              />
+              {field.label}
+              {field.required && " *"}
+            </label>
+          ) : (
+            <>
+              <label className="block text-sm text-white/80 mb-1">
+                {field.label}
+                {field.required && " *"}
+              </label>
+              {field.type === "textarea" ? (
+                <textarea
+                  value={values[field.name] ?? ""}
+                  onChange={(e) => setValue(field.name, e.target.value)}
+                  placeholder={field.placeholder}
+                  rows={3}
+                  className={`${inputClass} resize-y`}
+                />
+              ) : field.type === "select" ? (
+                <select
+                  value={values[field.name] ?? ""}
+                  onChange={(e) => setValue(field.name, e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="" className="bg-gray-800">
+                    Select...
+                  </option>
+                  {(field.options || []).map((option) => (
+                    <option key={option} value={option} className="bg-gray-800">
+                      {option}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type={field.type === "number" ? "number" : "text"}
+                  value={values[field.name] ?? ""}
+                  onChange={(e) => setValue(field.name, e.target.value)}
+                  placeholder={field.placeholder}
+                  className={inputClass}
+                />
+              )}
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AgentInputForm;
@@ -0,0 +1,180 @@
+import React, { useState } from "react";
+import { Workflow, X, Play, ArrowUp, ArrowDown, Plus, Trash2 } from "lucide-react";
+import { RUN_MODES } from "../services/agentRunService";
+
+const inputClass =
+  "w-full p-2 rounded-lg bg-white/10 border border-white/20 text-white text-sm placeholder-white/40 focus:outline-none focus:border-orange-400/60";
+
+/**
+ * Agent Run Builder
+ * Picks a goal, the agents that work on it and whether they run one after
+ * another (handing off) or side by side
+ */
+const AgentRunBuilder = ({ agents, onStart, onClose }) => {
+  const [goal, setGoal] = useState("");
+  const [mode, setMode] = useState(RUN_MODES.SEQUENTIAL);
+  const [agentIds, setAgentIds] = useState(() => agents.map((agent) => agent.id));
+
+  const selected = agentIds
+    .map((id) => agents.find((agent) => agent.id === id))
+    .filter(Boolean);
+  const available = agents.filter((agent) => !agentIds.includes(agent.id));
+
+  const move = (index, offset) =>
+    setAgentIds((prev) => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+
+  const canStart = goal.trim() && selected.length >= 2;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div
+        className="bg-white/10 backdrop-blur-lg rounded-2xl border border-white/20 p-6 max-w-lg w-full max-h-[85vh] overflow-hidden flex flex-col"
+        style={{
+          background: "rgba(20, 20, 30, 0.85)",
+          backdropFilter: "blur(20px)",
+        }}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-white flex items-center gap-2">
+            <Workflow className="w-6 h-6 text-orange-400" />
+            Team Run
+          </h3>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg hover:bg-white/10 text-white/70 hover:text-white transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="overflow-y-auto custom-scrollbar pr-1 space-y-4 flex-1">
+          <div>
+            <label className="block text-sm text-white/80 mb-1">Goal *</label>
+            <textarea
+              value={goal}
+              onChange={(e) => setGoal(e.target.value)}
+              rows={3}
+              placeholder="e.g. Learn to budget my monthly income without stressing about money"
+              className={`${inputClass} resize-y`}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm text-white/80 mb-1">Mode</label>
+            <div className="grid grid-cols-2 gap-2">
+              {[
+                {
+                  value: RUN_MODES.SEQUENTIAL,
+                  label: "In sequence",
+                  hint: "Each agent builds on the previous one",
+                },
+                {
+                  value: RUN_MODES.PARALLEL,
+                  label: "In parallel",
+                  hint: "All agents work on the goal at once",
+                },
+              ].map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => setMode(option.value)}
+                  className={`p-3 rounded-lg text-left border transition-colors ${
+                    mode === option.value
+                      ? "bg-orange-500/20 border-orange-500/50"
+                      : "bg-white/5 border-white/10 hover:bg-white/10"
+                  }`}
+                >
+                  <div className="text-sm font-medium text-white">{option.label}</div>
+                  <div className="text-xs text-white/60">{option.hint}</div>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm text-white/80 mb-1">
+              Agents {mode === RUN_MODES.SEQUENTIAL && "(in handoff order)"}
+            </label>
+            <div className="space-y-2">
+              {selected.map((agent, index) => (
+                <div
+                  key={agent.id}
+                  className="flex items-center p-2 rounded-lg bg-black/20 border border-white/10"
+                >
+                  <span
+                    className="w-6 h-6 rounded-full flex items-center justify-center text-xs text-white mr-2"
+                    style={{ backgroundColor: `${agent.color}80` }}
+                  >
+                    {index + 1}
+                  </span>
+                  <span className="flex-1 text-sm text-white">{agent.name}</span>
+                  <button
+                    onClick={() => move(index, -1)}
+                    disabled={index === 0}
+                    className="p-1 rounded text-white/60 hover:text-white disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <ArrowUp size={14} />
+                  </button>
+                  <button
+                    onClick={() => move(index, 1)}
+                    disabled={index === selected.length - 1}
+                    className="p-1 rounded text-white/60 hover:text-white disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <ArrowDown size={14} />
+                  </button>
+                  <button
+                    onClick={() => setAgentIds((prev) => prev.filter((id) => id !== agent.id))}
+                    className="p-1 rounded text-white/60 hover:text-red-400"
+                    title="Remove from run"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+              {available.map((agent) => (
+                <button
+                  key={agent.id}
+                  onClick={() => setAgentIds((prev) => [...prev, agent.id])}
+                  className="w-full flex items-center p-2 rounded-lg border border-dashed border-white/15 text-sm text-white/60 hover:text-white hover:bg-white/5 transition-colors"
+                >
+                  <Plus size={14} className="mr-2" />
+                  Add {agent.name}
+                </button>
+              ))}
+            </div>
+            {selected.length < 2 && (
+              <p className="text-xs text-white/50 mt-2">Pick at least two agents.</p>
+            )}
+          </div>
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-end gap-2 mt-4 pt-4 border-t border-white/10">
+          <button
+            onClick={onClose}
+            className="py-2 px-4 rounded-lg bg-gray-600 hover:bg-gray-700 text-white transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onStart({ goal, mode, agents: selected })}
+            disabled={!canStart}
+            className="py-2 px-4 rounded-lg bg-orange-500 hover:bg-orange-600 text-white flex items-center transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            <Play size={16} className="mr-2" />
+            Start Run
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AgentRunBuilder;
@@ -1,7 +1,7 @@
-import React, { useState, useRef, useEffect, useCallback } from "react";
+import React, { useState, useRef, useEffect, useCallback, useMemo } from "react";
 import { useSelector, useDispatch } from "react-redux";
 import { useNavigate } from "react-router-dom";
-import { useAutoPlayDedicatedChatbotTTS } from "../hooks/useDedicatedChatbotTTS";
+import { useSpeechEngine } from "../hooks/useSpeechEngine";
 import {
   Send,
   LayoutDashboard,
@@ -22,8 +22,6 @@ import {
   Target,
   BarChart3,
   Search,
-  ExternalLink,
-  Save,
   Palette,
   Volume2,
   VolumeX,
@@ -33,13 +31,13 @@ import {
   Type,
   Bell,
   Square,
-  RefreshCw,
   Download,
   History,
   Zap,
   Maximize2,
   Minimize2,
   X,
+  Brain,
 } from "lucide-react";
 import { toast } from "react-hot-toast";
 import {
@@ -50,6 +48,7 @@ import {
   selectIsSpeaking,
   selectSelectedAvatar,
   selectFavorites,
+  selectActivePersona,
   setIsChatOpen,
   setIsChatExpanded,
   addChatMessage,
@@ -59,9 +58,25 @@ import {
 } from "../store/avatarSlice";
 import { selectUser } from "../store/authSlice";
 import { usePageContext, formatContextForAI } from "../hooks/usePageContext";
+import { usePageActions, usePageActionRegistry } from "../hooks/usePageActions";
+import pageActionRegistry, {
+  GLOBAL_PAGE_ID,
+  extractActionCalls,
+  stripActionCalls,
+} from "../services/pageActionRegistry";
 import { TerminalMessage } from "./TerminalTypewriter";
-import { CHAT_API_BASE_URL } from "../config";
+import chatStreamService from "../services/chatStreamService";
+import { useChatModels } from "../hooks/useChatModels";
+import { describeChatModel } from "../config/chatModels";
 import { supabase } from "../supabaseClient";
+import {
+  usePersonaMemory,
+  getPersonaId,
+  getPersonaName,
+  formatMemoriesForPrompt,
+} from "../hooks/usePersonaMemory";
+import { buildPersonaPrompt, getPersonaSpeechOptions } from "../utils/avatarPersona";
+import PersonaMemoryPanel from "./PersonaMemoryPanel";
 
 /**
  * LoadingDots - Animated loading indicator for chat responses
@@ -107,11 +122,56 @@ const InteractiveButton = ({ icon: Icon, label, onClick, variant = "primary", di
   </button>
 );
 
+// Pages the assistant's navigate action can open
+const NAVIGATION_PATHS = {
+  home: "/home",
+  dashboard: "/dashboard",
+  subjects: "/subjects",
+  learn: "/learn",
+  chatbot: "/chatbot",
+  test: "/test",
+  lectures: "/lectures",
+  library: "/library",
+  settings: "/settings",
+  "avatar-selection": "/avatar-selection",
+  "agent-simulator": "/agent-simulator",
+  memory: "/memory",
+  personas: "/personas",
+};
+
+// Explanation buttons shown next to a page's registered quick actions
+const PAGE_HELP_BUTTONS = {
+  "/dashboard": [
+    { icon: BarChart3, label: "View Stats", action: "view-stats" },
+    { icon: Target, label: "Goal Tips", action: "set-goal" },
+  ],
+  "/subjects": [{ icon: Sparkles, label: "Tips", action: "generate-lesson" }],
+  "/learn": [{ icon: Sparkles, label: "Tips", action: "learn-tips" }],
+  "/chatbot": [
+    { icon: History, label: "History", action: "view-history" },
+    { icon: Download, label: "Export", action: "export-chat" },
+  ],
+  "/test": [{ icon: Search, label: "Browse Tests", action: "browse-tests" }],
+  "/lectures": [{ icon: Search, label: "Browse Videos", action: "browse-lectures" }],
+  "/settings": [
+    { icon: Moon, label: "Toggle Theme", action: "toggle-theme" },
+    { icon: Volume2, label: "Audio Settings", action: "audio-settings" },
+  ],
+  "/avatar-selection": [
+    { icon: Upload, label: "Upload Model", action: "upload-model" },
+    { icon: Palette, label: "Customize", action: "customize-avatar" },
+  ],
+  "/agent-simulator": [{ icon: Play, label: "Simulations", action: "start-simulation" }],
+};
+
 /**
  * QuickActionButtons - Contextual action buttons based on current page functionality
+ * Buttons come from the actions the current page registered as quick actions
+ * (see usePageActions), followed by explanation buttons for the page.
  */
-const QuickActionButtons = ({ onAction, isFirstTime = false }) => {
+const QuickActionButtons = ({ onAction, onRunAction, isFirstTime = false }) => {
   const navigate = useNavigate();
+  usePageActionRegistry();
 
   const handleAction = (action, path = null) => {
     if (path) {
@@ -122,27 +182,6 @@ const QuickActionButtons = ({ onAction, isFirstTime = false }) => {
     }
   };
 
-  // Helper function to trigger actual page elements
-  const triggerPageAction = (selector, fallbackAction = null) => {
-    // Provide immediate feedback
-    if (onAction) {
-      onAction("action-triggered");
-    }
-
-    setTimeout(() => {
-      const element = document.querySelector(selector);
-      if (element) {
-        element.click();
-        // Show success feedback
-        if (onAction) {
-          onAction("action-success");
-        }
-      } else if (fallbackAction) {
-        handleAction(fallbackAction);
-      }
-    }, 500);
-  };
-
   if (isFirstTime) {
     return (
       <div className="flex flex-wrap gap-1">
@@ -170,242 +209,32 @@ const QuickActionButtons = ({ onAction, isFirstTime = false }) => {
     );
   }
 
-  const pathname = window.location.pathname;
-
-  // Dashboard - Goal setting, progress tracking
-  if (pathname === "/dashboard") {
-    return (
-      <div className="flex flex-wrap gap-1">
-        <InteractiveButton
-          icon={Target}
-          label="Set Goal"
-          onClick={() => triggerPageAction('button:contains("Set Daily Goal")', "set-goal")}
-        />
-        <InteractiveButton
-          icon={BarChart3}
-          label="View Stats"
-          onClick={() => handleAction("view-stats")}
-          variant="secondary"
-        />
-        <InteractiveButton
-          icon={RefreshCw}
-          label="Refresh"
-          onClick={() => window.location.reload()}
-          variant="secondary"
-        />
-      </div>
-    );
-  }
+  const pageActions = pageActionRegistry
+    .getActions()
+    .filter((action) => action.quick && action.pageId !== GLOBAL_PAGE_ID);
+  const helpButtons = PAGE_HELP_BUTTONS[window.location.pathname] || [
+    { icon: Sparkles, label: "Help", action: "help" },
+  ];
 
-  // Subjects - Topic exploration, lesson generation
-  if (pathname === "/subjects") {
-    return (
-      <div className="flex flex-wrap gap-1">
-        <InteractiveButton
-          icon={Search}
-          label="Focus Subject"
-          onClick={() => {
-            const subjectInput = document.querySelector('input[placeholder*="subject"]');
-            if (subjectInput) subjectInput.focus();
-          }}
-        />
-        <InteractiveButton
-          icon={BookOpen}
-          label="Generate Lesson"
-          onClick={() => triggerPageAction('button:contains("Explore Topic")', "generate-lesson")}
-        />
-        <InteractiveButton
-          icon={BarChart3}
-          label="View Progress"
-          onClick={() => triggerPageAction('button:contains("View Progress")', "view-progress")}
-          variant="secondary"
-        />
-      </div>
-    );
-  }
-
-  // Summarizer/Learn - File upload, document analysis
-  if (pathname === "/learn") {
-    return (
-      <div className="flex flex-wrap gap-1">
-        <InteractiveButton
-          icon={Upload}
-          label="Upload File"
-          onClick={() => {
-            const fileInput = document.querySelector('input[type="file"]');
-            if (fileInput) fileInput.click();
-            else handleAction("upload");
-          }}
-        />
-        <InteractiveButton
-          icon={FileTextIcon}
-          label="Change Model"
-          onClick={() => {
-            const modelSelect = document.querySelector('select');
-            if (modelSelect) modelSelect.focus();
-            else handleAction("change-model");
-          }}
-          variant="secondary"
-        />
-        <InteractiveButton
-          icon={Sparkles}
-          label="Tips"
-          onClick={() => handleAction("learn-tips")}
-          variant="secondary"
-        />
-      </div>
-    );
-  }
-
-  // Chatbot - Model selection, history management
-  if (pathname === "/chatbot") {
-    return (
-      <div className="flex flex-wrap gap-1">
-        <InteractiveButton
-          icon={RefreshCw}
-          label="New Session"
-          onClick={() => triggerPageAction('button:contains("New Session")', "new-session")}
-        />
-        <InteractiveButton
-          icon={History}
-          label="History"
-          onClick={() => triggerPageAction('button:contains("History")', "view-history")}
-          variant="secondary"
-        />
-        <InteractiveButton
-          icon={Download}
-          label="Export"
-          onClick={() => triggerPageAction('button:contains("Export")', "export-chat")}
-          variant="secondary"
-        />
-      </div>
-    );
-  }
-
-  // Test - Browse and take tests
-  if (pathname === "/test") {
-    return (
-      <div className="flex flex-wrap gap-1">
-        <InteractiveButton
-          icon={ExternalLink}
-          label="Take Test"
-          onClick={() => {
-            const testCard = document.querySelector('.flip-card');
-            if (testCard) testCard.click();
-            else handleAction("browse-tests");
-          }}
-        />
-        <InteractiveButton
-          icon={Search}
-          label="Browse Tests"
-          onClick={() => handleAction("browse-tests")}
-          variant="secondary"
-        />
-      </div>
-    );
-  }
-
-  // Lectures - Watch videos
-  if (pathname === "/lectures") {
-    return (
-      <div className="flex flex-wrap gap-1">
-        <InteractiveButton
-          icon={Play}
-          label="Watch Video"
-          onClick={() => {
-            const lectureCard = document.querySelector('.flip-card');
-            if (lectureCard) lectureCard.click();
-            else handleAction("browse-lectures");
-          }}
-        />
-        <InteractiveButton
-          icon={Search}
-          label="Browse Videos"
-          onClick={() => handleAction("browse-lectures")}
-          variant="secondary"
-        />
-      </div>
-    );
-  }
-
-  // Settings - Configuration options
-  if (pathname === "/settings") {
-    return (
-      <div className="flex flex-wrap gap-1">
-        <InteractiveButton
-          icon={Save}
-          label="Save Settings"
-          onClick={() => triggerPageAction('button:contains("Save")', "save-settings")}
-        />
-        <InteractiveButton
-          icon={Moon}
-          label="Toggle Theme"
-          onClick={() => handleAction("toggle-theme")}
-          variant="secondary"
-        />
-        <InteractiveButton
-          icon={Volume2}
-          label="Audio Settings"
-          onClick={() => handleAction("audio-settings")}
-          variant="secondary"
-        />
-      </div>
-    );
-  }
-
-  // Avatar Selection - Customization features
-  if (pathname === "/avatar-selection") {
-    return (
-      <div className="flex flex-wrap gap-1">
-        <InteractiveButton
-          icon={Save}
-          label="Save Avatar"
-          onClick={() => triggerPageAction('button:contains("Save")', "save-avatar")}
-        />
-        <InteractiveButton
-          icon={Upload}
-          label="Upload Model"
-          onClick={() => triggerPageAction('input[type="file"]', "upload-model")}
-          variant="secondary"
-        />
-        <InteractiveButton
-          icon={Palette}
-          label="Customize"
-          onClick={() => handleAction("customize-avatar")}
-          variant="secondary"
-        />
-      </div>
-    );
-  }
-
-  // Agent Simulator
-  if (pathname === "/agent-simulator") {
-    return (
-      <div className="flex flex-wrap gap-1">
+  return (
+    <div className="flex flex-wrap gap-1">
+      {pageActions.map((action) => (
         <InteractiveButton
-          icon={Play}
-          label="Start Sim"
-          onClick={() => triggerPageAction('button:contains("Start")', "start-simulation")}
+          key={action.name}
+          icon={action.icon || Zap}
+          label={action.label || action.name}
+          onClick={() => onRunAction?.(action.name)}
         />
+      ))}
+      {helpButtons.map(({ icon, label, action }) => (
         <InteractiveButton
-          icon={RefreshCw}
-          label="Reset"
-          onClick={() => triggerPageAction('button:contains("Reset")', "reset-simulation")}
+          key={action}
+          icon={icon}
+          label={label}
+          onClick={() => handleAction(action)}
           variant="secondary"
         />
-      </div>
-    );
-  }
-
-  // Default for unknown pages
-  return (
-    <div className="flex flex-wrap gap-1">
-      <InteractiveButton
-        icon={Sparkles}
-        label="Help"
-        onClick={() => handleAction("help")}
-        variant="secondary"
-      />
+      ))}
     </div>
   );
 };
@@ -436,175 +265,102 @@ export default function AvatarChatInterface({ avatarPosition }) {
   const isSpeaking = useSelector(selectIsSpeaking);
   const selectedAvatar = useSelector(selectSelectedAvatar);
   const favorites = useSelector(selectFavorites);
+  // Personality, teaching style, voice and language set for the selected avatar
+  const persona = useSelector(selectActivePersona);
+  const personaSpeech = useMemo(() => getPersonaSpeechOptions(persona), [persona]);
   const pageContext = usePageContext();
 
   const [input, setInput] = useState("");
   const [currentlyTypingMessageId, setCurrentlyTypingMessageId] =
     useState(null);
-  const [selectedModel, setSelectedModel] = useState("grok"); // Default to grok model
+  // Each selected avatar can keep its own default chat model
+  const {
+    models: chatModels,
+    selectedModel,
+    setSelectedModel,
+    getModel: getChatModel,
+  } = useChatModels(selectedAvatar?.id);
+  // The selected avatar is the persona whose memories the chat recalls and adds to
+  const personaId = getPersonaId(selectedAvatar);
+  const { recall, remember } = usePersonaMemory(personaId, user?.id || "guest-user");
+  const [showMemories, setShowMemories] = useState(false);
   const [isNavigating, setIsNavigating] = useState(false);
   const [isLoadingResponse, setIsLoadingResponse] = useState(false); // New loading state
   const [abortController, setAbortController] = useState(null); // For stopping queries
+  const [streamingMessage, setStreamingMessage] = useState(""); // Answer as it streams in
+  const activeRequestIdRef = useRef(null);
   const inputRef = useRef(null);
   const messagesEndRef = useRef(null);
 
+  // Actions the assistant can run from any page; pages add their own
+  usePageActions(GLOBAL_PAGE_ID, {
+    title: "Avatar assistant",
+    actions: {
+      navigate: {
+        label: "Open page",
+        description: "Open another page of the platform",
+        params: {
+          page: { type: "string", required: true, enum: Object.keys(NAVIGATION_PATHS) },
+        },
+        run: ({ page }) => {
+          navigate(NAVIGATION_PATHS[page]);
+          return { message: `🚀 Opened ${page}.` };
+        },
+      },
+      start_quiz: {
+        label: "Start Quiz",
+        description: "Open a quiz on a subject and topic",
+        params: {
+          subject: { type: "string", required: true },
+          topic: { type: "string", required: true },
+        },
+        run: ({ subject, topic }) => {
+          navigate(`/quiz/${encodeURIComponent(subject)}/${encodeURIComponent(topic)}`);
+          return { message: `📝 Starting a quiz on ${topic}.` };
+        },
+      },
+    },
+  });
+
   // TTS state management
   const [isTTSMuted, setIsTTSMuted] = useState(() => {
     return localStorage.getItem('avatarTTSMuted') === 'true';
   });
   const [lastProcessedMessageId, setLastProcessedMessageId] = useState("");
 
-  // Direct TTS integration using the service
-  const [serviceHealthy, setServiceHealthy] = useState(false);
-  const [ttsInitialized, setTtsInitialized] = useState(false);
-
-  // Check TTS service health on mount and when mute state changes
-  useEffect(() => {
-    const checkTTSHealth = async () => {
-      try {
-        // Try dedicated chatbot service first
-        const dedicatedTTSService = (await import('../services/dedicatedChatbotTTSService')).default;
-        let healthy = await dedicatedTTSService.checkServiceHealth();
-
-        if (!healthy) {
-          // Fallback to regular TTS service
-          const regularTTSService = (await import('../services/ttsService')).default;
-          healthy = await regularTTSService.checkServiceHealth();
-        }
-
-        setServiceHealthy(healthy);
-
-        // Ensure TTS service is properly initialized
-        if (healthy) {
-          // Always enable auto-play on the service
-          dedicatedTTSService.autoPlayEnabled = true;
-          setTtsInitialized(true);
-
-          // If not muted, ensure we're ready for auto-play
-          if (!isTTSMuted) {
-            // Force a small interaction to enable autoplay if needed
-            try {
-              const audio = new Audio();
-              audio.volume = 0;
-              const playPromise = audio.play();
-              if (playPromise) {
-                playPromise.catch(() => {
-                  // Autoplay blocked, will be enabled after user interaction
-                });
-              }
-            } catch (e) {
-              // Ignore audio creation errors
-            }
-          }
-        } else {
-          setTtsInitialized(false);
-        }
-      } catch (error) {
-        setServiceHealthy(false);
-        setTtsInitialized(false);
-      }
-    };
-
-    checkTTSHealth();
-
-    // Re-check health periodically to handle service restarts
-    const healthCheckInterval = setInterval(checkTTSHealth, 30000); // Check every 30 seconds
-
-    return () => clearInterval(healthCheckInterval);
-  }, [isTTSMuted]); // Re-run when mute state changes
-
-  // Enable autoplay after first user interaction
-  useEffect(() => {
-    const enableAutoplayAfterInteraction = async () => {
-      try {
-        const ttsService = (await import('../services/dedicatedChatbotTTSService')).default;
-        ttsService.autoPlayEnabled = true;
-
-        // Remove the event listeners after first interaction
-        document.removeEventListener('click', enableAutoplayAfterInteraction);
-        document.removeEventListener('keydown', enableAutoplayAfterInteraction);
-        document.removeEventListener('touchstart', enableAutoplayAfterInteraction);
-      } catch (error) {
-        // Ignore errors
-      }
-    };
-
-    // Add event listeners for user interaction
-    document.addEventListener('click', enableAutoplayAfterInteraction, { once: true });
-    document.addEventListener('keydown', enableAutoplayAfterInteraction, { once: true });
-    document.addEventListener('touchstart', enableAutoplayAfterInteraction, { once: true });
-
-    return () => {
-      // Cleanup event listeners
-      document.removeEventListener('click', enableAutoplayAfterInteraction);
-      document.removeEventListener('keydown', enableAutoplayAfterInteraction);
-      document.removeEventListener('touchstart', enableAutoplayAfterInteraction);
-    };
-  }, []);
+  // Replies are spoken through the shared speech engine, which falls back to
+  // the browser's own voice when the TTS servers are down
+  const {
+    serviceHealthy,
+    run: runSpeech,
+    stop: stopSpeech,
+  } = useSpeechEngine({ volume: 0.8, healthCheckInterval: 30000 });
 
-  // Direct TTS function for speaking text
-  const speakText = useCallback(async (text, messageId) => {
+  // Speak a reply, interrupting whatever the avatar was saying
+  const speakText = useCallback((text, messageId) => {
     if (!serviceHealthy || isTTSMuted || !text || !text.trim()) {
       return;
     }
 
-    try {
-
-      // Import TTS services dynamically
-      const dedicatedTTSService = (await import('../services/dedicatedChatbotTTSService')).default;
-      const regularTTSService = (await import('../services/ttsService')).default;
-
-      // Clean the text for better speech
-      const cleanText = text
-        .replace(/\*\*(.*?)\*\*/g, '$1') // Remove bold markdown
-        .replace(/\*(.*?)\*/g, '$1') // Remove italic markdown
-        .replace(/`(.*?)`/g, '$1') // Remove code markdown
-        .replace(/#{1,6}\s/g, '') // Remove headers
-        .replace(/\n+/g, '. ') // Replace newlines with periods
-        .replace(/\s+/g, ' ') // Normalize whitespace
-        .trim();
-
-      if (!cleanText) return;
-
-      // Try dedicated chatbot service first, fallback to regular TTS service
-      let ttsService = dedicatedTTSService;
-      let serviceHealthyCheck = await dedicatedTTSService.checkServiceHealth();
-
-      if (!serviceHealthyCheck) {
-        ttsService = regularTTSService;
-        serviceHealthyCheck = await regularTTSService.checkServiceHealth();
-      }
-
-      if (!serviceHealthyCheck) {
-        return;
-      }
-
-      // Play the TTS with visual feedback
-      await ttsService.playTTS(cleanText, {
-        volume: 0.8,
-        onPlayStart: () => {
-          dispatch(setIsSpeaking(true)); // Show speaking animation
-        },
-        onPlayEnd: () => {
-          dispatch(setIsSpeaking(false)); // Hide speaking animation
-        },
-        onError: (error) => {
-          dispatch(setIsSpeaking(false)); // Hide speaking animation on error
-        }
+    // Mark the message first so re-renders while it plays don't restart it
+    setLastProcessedMessageId(messageId);
+    runSpeech("playTTS", text, {
+      ...personaSpeech,
+      onPlayStart: () => {
+        dispatch(setIsSpeaking(true)); // Show speaking animation
+      },
+    })
+      .catch(() => {
+        // Silently handle TTS errors to avoid disrupting UX
+      })
+      .finally(() => {
+        dispatch(setIsSpeaking(false)); // Hide speaking animation
       });
-
-      // Mark this message as processed
-      setLastProcessedMessageId(messageId);
-
-    } catch (error) {
-      // Silently handle TTS errors to avoid disrupting UX
-      dispatch(setIsSpeaking(false));
-    }
-  }, [serviceHealthy, isTTSMuted, dispatch]);
+  }, [serviceHealthy, isTTSMuted, runSpeech, personaSpeech, dispatch]);
 
   // Monitor chat history for new assistant messages and speak them automatically
   useEffect(() => {
-    if (!serviceHealthy || !ttsInitialized || isTTSMuted || chatHistory.length === 0) {
+    if (!serviceHealthy || isTTSMuted || chatHistory.length === 0) {
       return;
     }
 
@@ -625,33 +381,20 @@ export default function AvatarChatInterface({ avatarPosition }) {
         speakText(latestAssistantMessage.content, latestAssistantMessage.id);
       }, 300);
     }
-  }, [chatHistory, serviceHealthy, ttsInitialized, isTTSMuted, lastProcessedMessageId, speakText]);
-
-
+  }, [chatHistory, serviceHealthy, isTTSMuted, lastProcessedMessageId, speakText]);
 
   // Handle TTS mute/unmute
-  const toggleTTSMute = useCallback(async () => {
+  const toggleTTSMute = useCallback(() => {
     const newMutedState = !isTTSMuted;
     setIsTTSMuted(newMutedState);
     localStorage.setItem('avatarTTSMuted', newMutedState.toString());
 
     // Stop current TTS if muting
     if (newMutedState) {
+      stopSpeech();
       dispatch(setIsSpeaking(false));
-    } else {
-      // When unmuting, ensure dedicated chatbot TTS service is properly initialized
-      try {
-        const ttsService = (await import('../services/dedicatedChatbotTTSService')).default;
-        ttsService.autoPlayEnabled = true;
-
-        // Re-check service health
-        const healthy = await ttsService.checkServiceHealth();
-        setServiceHealthy(healthy);
-      } catch (error) {
-        setServiceHealthy(false);
-      }
     }
-  }, [isTTSMuted, dispatch]);
+  }, [isTTSMuted, stopSpeech, dispatch]);
 
   // Handle chat expansion toggle
   const toggleChatExpansion = useCallback(() => {
@@ -676,13 +419,6 @@ export default function AvatarChatInterface({ avatarPosition }) {
 
 
 
-  // Load the selected model from localStorage if available
-  useEffect(() => {
-    const savedModel = localStorage.getItem("selectedAIModel");
-    if (savedModel) {
-      setSelectedModel(savedModel);
-    }
-  }, []);
 
   // Helper function to format messages for avatar chat
   const formatAvatarMessage = (message, role = "user", model = "grok", isWelcome = false) => {
@@ -888,75 +624,10 @@ What would you like to know?`;
     return "ask UniGuru anything...";
   };
 
-  // Direct API functions (same as main chatbot)
-  const sendChatMessage = async (userQuery, userId, llmModel = "grok", controller = null) => {
-
-    try {
-      const response = await fetch(`${CHAT_API_BASE_URL}/chatpost?user_id=${userId}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          message: userQuery,
-          llm: llmModel,
-          type: "chat_message",
-        }),
-        // Use the abort controller if provided
-        signal: controller ? controller.signal : null
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      // Check if this is an abort error
-      if (error.name === 'AbortError') {
-        throw new Error("Request aborted");
-      }
-      throw error;
-    }
-  };
-
-  const fetchChatbotResponse = async (userId, controller = null) => {
-
-    try {
-      // Add timestamp to prevent caching
-      const timestamp = new Date().getTime();
-      const response = await fetch(`${CHAT_API_BASE_URL}/chatbot?user_id=${userId}&timestamp=${timestamp}`, {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache, no-store, must-revalidate",
-          "Pragma": "no-cache",
-          "Expires": "0"
-        },
-        // Use the abort controller if provided
-        signal: controller ? controller.signal : null
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      // Check if this is an abort error
-      if (error.name === 'AbortError') {
-        throw new Error("Request aborted");
-      }
-      throw error;
-    }
-  };
-
   // Auto-scroll to bottom when new messages arrive or loading state changes
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [chatHistory, isTyping, isLoadingResponse]);
+  }, [chatHistory, isTyping, isLoadingResponse, streamingMessage]);
 
   // Detect navigation and prevent chat from closing
   useEffect(() => {
@@ -1045,10 +716,9 @@ What would you like to know?`;
         }
       }
 
-      // Also clean up any other potential chat history sources
+      // Also clean up any other potential avatar chat history sources.
+      // The main chat's sessions are migrated to IndexedDB by chatHistoryStorage.
       const chatHistoryKeys = [
-        'gurukul_chat_history',
-        'gurukul_chat_sessions',
         'avatar_chat_history',
         'chatHistory'
       ];
@@ -1214,8 +884,9 @@ What would you like to know?`;
       subjects: ['subjects', 'go to subjects', 'show subjects', 'browse subjects'],
       learn: ['summarizer', 'go to learn', 'upload document', 'analyze document', 'summarize'],
       chatbot: ['chatbot', 'full chat', 'main chat', 'go to chatbot'],
-      test: ['test', 'quiz', 'assessment', 'go to test', 'take test'],
+      test: ['test', 'assessment', 'go to test', 'take test'],
       lectures: ['lectures', 'videos', 'go to lectures', 'watch lectures'],
+      library: ['library', 'my library', 'saved lessons', 'go to library'],
       home: ['home', 'go home', 'back to home', 'main page']
     };
 
@@ -1246,6 +917,7 @@ What would you like to know?`;
         chatbot: '/chatbot',
         test: '/test',
         lectures: '/lectures',
+        library: '/library',
         home: '/home'
       };
 
@@ -1303,6 +975,9 @@ Navigate using the buttons above, the sidebar menu, or just ask me to take you s
       return;
     }
 
+    const requestId = chatStreamService.createRequestId();
+    activeRequestIdRef.current = requestId;
+
     try {
       // Create abort controller for this request
       const controller = new AbortController();
@@ -1338,98 +1013,70 @@ Navigate using the buttons above, the sidebar menu, or just ask me to take you s
         }
       }
 
-      // Send message with context (same as main chatbot)
-
-      // Enhance the message with page context for better AI responses
-      const contextualMessage = pageContext
-        ? `${formatContextForAI(pageContext)}\n\nUser Message: ${userMessage}`
+      // Enhance the message with the persona, page context and what this
+      // persona remembers about the user for better AI responses
+      const personaName = getPersonaName(selectedAvatar);
+      const memoryContext = formatMemoriesForPrompt(await recall(userMessage), personaName);
+      const context = [
+        buildPersonaPrompt(persona, personaName),
+        pageContext && formatContextForAI(pageContext),
+        memoryContext,
+      ]
+        .filter(Boolean)
+        .join("\n\n");
+      const contextualMessage = context
+        ? `${context}\n\nUser Message: ${userMessage}`
         : userMessage;
-
-      try {
-        // Send the user's query to the chatpost endpoint with the selected model
-        const chatpostResult = await sendChatMessage(contextualMessage, effectiveUserId, selectedModel, controller);
-      } catch (error) {
-        if (error.message === "Request aborted") {
-          return; // Exit early if request was aborted
-        }
-        // Continue anyway - the message might still be processed
-      }
-
-      // Wait a moment for backend processing
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-
-      // Fetch AI response with retry logic (similar to main chatbot)
-
-      let response = null;
-      let aiMessage = "";
-      let maxRetries = 5;
-      let retryCount = 0;
-      let retryDelay = 2000; // Start with 2 seconds
-
-      // Keep trying until we get a response or reach max retries
-      while (retryCount < maxRetries) {
-        try {
-          response = await fetchChatbotResponse(effectiveUserId, controller);
-
-          // If we got a valid response with no "No queries yet" error, break out of the loop
-          if (response && (!response.error || response.error !== "No queries yet")) {
-            break;
+      const startedAt = Date.now();
+
+      setStreamingMessage("");
+
+      // Send the query and stream the answer back in one request
+      const result = await chatStreamService.streamChat({
+        message: contextualMessage,
+        userId: effectiveUserId,
+        llm: selectedModel,
+        requestId,
+        signal: controller.signal,
+        onDelta: (content, text, id) => {
+          if (activeRequestIdRef.current === id) {
+            setStreamingMessage(stripActionCalls(content));
           }
+        },
+      });
 
-          // If we got a "No queries yet" error, wait and retry
-          retryCount++;
-
-          // Exponential backoff - increase delay with each retry
-          await new Promise((resolve) => setTimeout(resolve, retryDelay));
-          retryDelay = Math.min(retryDelay * 1.5, 10000); // Cap at 10 seconds
-        } catch (error) {
-          if (error.message === "Request aborted") {
-            return; // Exit early if request was aborted
-          }
-          retryCount++;
-          await new Promise((resolve) => setTimeout(resolve, retryDelay));
-          retryDelay = Math.min(retryDelay * 1.5, 10000);
-        }
+      // handleStopQuery has already kept the partial answer
+      if (result.cancelled) {
+        return;
       }
 
-      // If we've exhausted all retries and still have no valid response
-      if (!response || (response.error && response.error === "No queries yet")) {
-        aiMessage = "I'm processing your message. Please wait a moment and try again.";
-      }
+      // Action calls in the reply run against the current page
+      const { text: replyText, calls } = extractActionCalls(result.content);
+      const aiMessage = replyText || (calls.length > 0
+        ? "On it!"
+        : "I'm here to help! Feel free to ask me anything about what you're currently viewing.");
+
+      // The text was already shown token by token, so skip the typewriter
+      dispatch(addChatMessage({
+        ...formatAvatarMessage(aiMessage, "assistant", result.model),
+        requestId,
+        streamed: true,
+      }));
+
+      // Stored in the background; the chat doesn't wait for the Memory API
+      remember({
+        userMessage,
+        agentResponse: replyText,
+        model: result.model,
+        responseTime: (Date.now() - startedAt) / 1000,
+      });
 
-      // If we don't have an aiMessage yet, process the response
-      if (!aiMessage) {
-        if (response?.response?.message) {
-          aiMessage = response.response.message;
-        } else if (response?.message) {
-          aiMessage = response.message;
-        } else if (response?.isFirstQuery) {
-          aiMessage = "Hi! I'm your AI avatar assistant. I can help you with anything on this page. What would you like to know?";
-        } else {
-          // Fallback message if no response
-          aiMessage = "I'm here to help! Feel free to ask me anything about what you're currently viewing.";
-        }
+      if (calls.length > 0) {
+        await runPageActions(calls);
       }
 
-      if (aiMessage && aiMessage.trim() !== "") {
-        // Get the model used for this response
-        const modelUsed = response?.response?.llm || selectedModel;
-
-        const aiMessageObj = formatAvatarMessage(
-          aiMessage,
-          "assistant",
-          modelUsed
-        );
-        dispatch(addChatMessage(aiMessageObj));
-        setCurrentlyTypingMessageId(aiMessageObj.id);
-
-        // TTS will be automatically triggered by the chat history monitor
-      }
+      // TTS will be automatically triggered by the chat history monitor
     } catch (error) {
-      // Don't show error if request was aborted by user
-      if (error.message === "Request aborted") {
-        return;
-      }
       toast.error("Failed to send message. Please try again.");
 
       // Add error message to chat
@@ -1440,9 +1087,32 @@ Navigate using the buttons above, the sidebar menu, or just ask me to take you s
       );
       dispatch(addChatMessage(errorMessage));
     } finally {
-      setIsLoadingResponse(false);
-      dispatch(setIsTyping(false));
-      setAbortController(null); // Clean up abort controller
+      // After a stop, a newer request may already own the loading state
+      if (!activeRequestIdRef.current || activeRequestIdRef.current === requestId) {
+        setIsLoadingResponse(false);
+        dispatch(setIsTyping(false));
+        setAbortController(null); // Clean up abort controller
+        setStreamingMessage("");
+        activeRequestIdRef.current = null;
+      }
+    }
+  };
+
+  // Run actions requested by a chat reply or a quick action button, and
+  // report each outcome in the chat
+  const runPageActions = async (calls) => {
+    for (const { name, params } of calls) {
+      let resultMessage;
+      try {
+        const { action, result } = await pageActionRegistry.runAction(name, params);
+        resultMessage = result?.message || `✅ ${action.label || name} done.`;
+      } catch (error) {
+        resultMessage = `⚠️ I couldn't run ${name}: ${error.message}`;
+      }
+
+      const resultMessageObj = formatAvatarMessage(resultMessage, "assistant", "system");
+      dispatch(addChatMessage(resultMessageObj));
+      setCurrentlyTypingMessageId(resultMessageObj.id);
     }
   };
 
@@ -1462,6 +1132,18 @@ Navigate using the buttons above, the sidebar menu, or just ask me to take you s
       setAbortController(null);
     }
 
+    // Keep whatever was answered before the stop
+    if (streamingMessage.trim()) {
+      dispatch(addChatMessage({
+        ...formatAvatarMessage(streamingMessage.trim(), "assistant", selectedModel),
+        requestId: activeRequestIdRef.current,
+        streamed: true,
+        isStopped: true,
+      }));
+    }
+    activeRequestIdRef.current = null;
+    setStreamingMessage("");
+
     // Reset loading states
     setIsLoadingResponse(false);
     dispatch(setIsTyping(false));
@@ -1523,7 +1205,7 @@ I see you're ready to explore a topic! Here's how to get the best results:
 2. **Add a focused topic** (e.g., "derivatives", "causes", "loops")
 3. **Click "Explore Topic"** to generate comprehensive content
 
-The system will create structured lessons with explanations, examples, and key concepts. What subject interests you?`;
+Or just ask me, e.g. "make a lesson on photosynthesis", and I'll fill it in for you. What subject interests you?`;
         break;
 
       case "view-progress":
@@ -1563,14 +1245,6 @@ Each section has specialized tools to enhance your learning experience!`;
 4. **Get instant AI insights** in seconds!
 
 I can help explain any part of your document or answer questions about it. Try uploading something now!`;
-
-        // Try to trigger file upload if we're on the learn page
-        setTimeout(() => {
-          const uploadArea = document.querySelector('[data-upload-area], .upload-area, input[type="file"]');
-          if (uploadArea) {
-            uploadArea.click();
-          }
-        }, 1000);
         break;
 
       case "examples":
@@ -1991,6 +1665,26 @@ What specific help do you need?`;
             </a>
           </div>
           <div className="flex items-center gap-1">
+            {/* Chat model for this avatar */}
+            <select
+              value={selectedModel}
+              onChange={(e) => setSelectedModel(e.target.value)}
+              disabled={isLoadingResponse}
+              className="bg-transparent text-white/70 hover:text-white font-mono text-xs outline-none cursor-pointer"
+              title={describeChatModel(getChatModel(selectedModel))}
+            >
+              {chatModels.map((model) => (
+                <option
+                  key={model.id}
+                  value={model.id}
+                  disabled={!model.available}
+                  className="bg-[#1E1E28] text-white"
+                >
+                  {model.displayName}
+                </option>
+              ))}
+            </select>
+
             {/* TTS Speaking Indicator (without generation text) */}
             {isSpeaking && (
               <div className="flex items-center gap-1 text-xs text-green-400">
@@ -1998,6 +1692,15 @@ What specific help do you need?`;
               </div>
             )}
 
+            {/* What this persona remembers */}
+            <button
+              onClick={() => setShowMemories((value) => !value)}
+              className={`p-1 rounded transition-colors ${showMemories ? "bg-orange-500/20" : "hover:bg-white/10"}`}
+              title={showMemories ? "Back to chat" : "What I remember about you"}
+            >
+              <Brain className="w-4 h-4 text-orange-500" />
+            </button>
+
             {/* Expand/Collapse Button */}
             <button
               onClick={toggleChatExpansion}
@@ -2043,7 +1746,27 @@ What specific help do you need?`;
               ? 'max-h-80'
               : 'max-h-48'
         }`}>
-
+          {showMemories && (
+            <div className="mb-3 pb-3 border-b border-white/10">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-xs text-white/70">
+                  {getPersonaName(selectedAvatar)} remembers
+                </span>
+                <button
+                  onClick={() => navigate(`/memory?persona=${encodeURIComponent(personaId)}`)}
+                  className="text-xs text-orange-400 hover:text-orange-300"
+                >
+                  Manage all
+                </button>
+              </div>
+              <PersonaMemoryPanel
+                personaId={personaId}
+                personaName={getPersonaName(selectedAvatar)}
+                userId={user?.id || "guest-user"}
+                compact
+              />
+            </div>
+          )}
 
           {chatHistory.map((message) => (
             <TerminalMessage
@@ -2052,10 +1775,21 @@ What specific help do you need?`;
               isUser={message.role === "user"}
               isTyping={currentlyTypingMessageId === message.id}
               onTypingComplete={() => handleTypingComplete(message.id)}
+              immediate={message.streamed}
             />
           ))}
-          {/* Show loading indicator when waiting for response */}
-          {isLoadingResponse && <LoadingDots />}
+          {/* Show the answer as it streams in, or a loading indicator until the first token */}
+          {isLoadingResponse && (streamingMessage ? (
+            <div className="flex items-start gap-2 mb-2">
+              <span className="text-orange-500 font-mono text-xs">ॐ</span>
+              <div className="text-white font-mono text-xs break-words flex-1">
+                {streamingMessage}
+                <span className="animate-pulse">▋</span>
+              </div>
+            </div>
+          ) : (
+            <LoadingDots />
+          ))}
           <div ref={messagesEndRef} />
         </div>
 
@@ -2105,6 +1839,7 @@ What specific help do you need?`;
           </div>
           <QuickActionButtons
             onAction={handleQuickAction}
+            onRunAction={(name) => runPageActions([{ name, params: {} }])}
             isFirstTime={isFirstTimeUser && isOnHomePage}
           />
         </div>
@@ -0,0 +1,255 @@
+import React, { useEffect, useState } from "react";
+import { createPortal } from "react-dom";
+import { useDispatch } from "react-redux";
+import { toast } from "react-hot-toast";
+import { Download, Loader2, Save, UserCog, Volume2, X } from "lucide-react";
+import speechEngine from "../services/speechEngine";
+import { setFavoritePersona } from "../store/avatarSlice";
+import { useChatModels } from "../hooks/useChatModels";
+import {
+  PERSONA_LANGUAGES,
+  SPEECH_RATE_RANGE,
+  TEACHING_STYLES,
+  exportAvatarBundle,
+  getPersonaSpeechOptions,
+  normalizePersona,
+} from "../utils/avatarPersona";
+
+const inputClass =
+  "w-full p-2 rounded-lg bg-white/10 border border-white/20 text-white text-sm placeholder-white/40 focus:outline-none focus:border-orange-400/60";
+
+const toDraft = (persona) => {
+  const normalized = normalizePersona(persona);
+  return { ...normalized, subjects: normalized.subjects.join(", ") };
+};
+
+// Voice names the browser offers, as suggestions for the voice field
+const useBrowserVoices = () => {
+  const [voices, setVoices] = useState([]);
+
+  useEffect(() => {
+    if (!("speechSynthesis" in window)) return undefined;
+    const load = () => setVoices(window.speechSynthesis.getVoices().map((voice) => voice.name));
+    load();
+    window.speechSynthesis.addEventListener("voiceschanged", load);
+    return () => window.speechSynthesis.removeEventListener("voiceschanged", load);
+  }, []);
+
+  return voices;
+};
+
+/**
+ * Avatar Persona Editor
+ * Edits the persona a favourite avatar carries (personality, teaching style,
+ * voice, speed, chat model, language and subjects) and exports it as a
+ * bundle with the avatar's model or image
+ */
+const AvatarPersonaEditor = ({ favorite, displayName, onClose }) => {
+  const dispatch = useDispatch();
+  const [draft, setDraft] = useState(() => toDraft(favorite.persona));
+  const [isExporting, setIsExporting] = useState(false);
+  const voices = useBrowserVoices();
+  const { models, personaDefault, setPersonaDefault } = useChatModels(favorite.id);
+  const [model, setModel] = useState(personaDefault || "");
+
+  const update = (field) => (e) => setDraft((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleTestVoice = () => {
+    speechEngine
+      .playTTS(`Hello, I'm ${displayName}. Let's learn something together.`, {
+        ...getPersonaSpeechOptions(draft),
+        owner: "avatar-persona-editor",
+      })
+      .catch(() => toast.error("Couldn't play the voice sample"));
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    dispatch(setFavoritePersona({ id: favorite.id, persona: normalizePersona(draft) }));
+    setPersonaDefault(model || null);
+    toast.success(`${displayName}'s persona saved`);
+    onClose();
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      await exportAvatarBundle(
+        { ...favorite, persona: normalizePersona(draft) },
+        { name: displayName, model: model || null }
+      );
+    } catch (error) {
+      console.error("Error exporting avatar bundle:", error);
+      toast.error(error.message || "Failed to export avatar");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return createPortal(
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <form
+        onSubmit={handleSave}
+        className="bg-white/10 backdrop-blur-lg rounded-2xl border border-white/20 p-6 max-w-xl w-full max-h-[85vh] overflow-hidden flex flex-col"
+        style={{
+          background: "rgba(20, 20, 30, 0.85)",
+          backdropFilter: "blur(20px)",
+        }}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-white flex items-center gap-2">
+            <UserCog className="w-6 h-6 text-orange-400" />
+            {displayName}'s persona
+          </h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-2 rounded-lg hover:bg-white/10 text-white/70 hover:text-white transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="overflow-y-auto custom-scrollbar pr-1 space-y-4 flex-1">
+          <div>
+            <label className="block text-sm text-white/80 mb-1">Personality</label>
+            <textarea
+              value={draft.personality}
+              onChange={update("personality")}
+              rows={4}
+              maxLength={2000}
+              placeholder="A patient sage who loves astronomy and speaks warmly..."
+              className={inputClass}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm text-white/80 mb-1">Teaching style</label>
+              <select value={draft.teachingStyle} onChange={update("teachingStyle")} className={inputClass}>
+                {Object.entries(TEACHING_STYLES).map(([value, style]) => (
+                  <option key={value} value={value} className="bg-gray-900">
+                    {style.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm text-white/80 mb-1">Replies in</label>
+              <select value={draft.language} onChange={update("language")} className={inputClass}>
+                {PERSONA_LANGUAGES.map((option) => (
+                  <option key={option.value} value={option.value} className="bg-gray-900">
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm text-white/80 mb-1">Subject focus</label>
+            <input
+              type="text"
+              value={draft.subjects}
+              onChange={update("subjects")}
+              placeholder="Astronomy, Mathematics"
+              className={inputClass}
+            />
+            <p className="text-xs text-white/50 mt-1">Separate subjects with commas.</p>
+          </div>
+
+          <div>
+            <label className="block text-sm text-white/80 mb-1">Chat model</label>
+            <select value={model} onChange={(e) => setModel(e.target.value)} className={inputClass}>
+              <option value="" className="bg-gray-900">
+                Last model used
+              </option>
+              {models.map((option) => (
+                <option key={option.id} value={option.id} disabled={!option.available} className="bg-gray-900">
+                  {option.displayName}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm text-white/80 mb-1">Voice</label>
+              <input
+                type="text"
+                list="avatar-persona-voices"
+                value={draft.voice}
+                onChange={update("voice")}
+                placeholder="Default voice (e.g. Zira)"
+                className={inputClass}
+              />
+              <datalist id="avatar-persona-voices">
+                {voices.map((voice) => (
+                  <option key={voice} value={voice} />
+                ))}
+              </datalist>
+            </div>
+            <div>
+              <label className="block text-sm text-white/80 mb-1">
+                Speed: {Number(draft.rate).toFixed(1)}×
+              </label>
+              <div className="flex items-center gap-2">
+                <input
+                  type="range"
+                  min={SPEECH_RATE_RANGE.min}
+                  max={SPEECH_RATE_RANGE.max}
+                  step={SPEECH_RATE_RANGE.step}
+                  value={draft.rate}
+                  onChange={update("rate")}
+                  className="flex-1 accent-orange-500"
+                />
+                <button
+                  type="button"
+                  onClick={handleTestVoice}
+                  className="p-2 rounded-lg bg-white/10 hover:bg-white/20 text-white"
+                  title="Test voice"
+                >
+                  <Volume2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex flex-wrap justify-between gap-3 mt-6">
+          <button
+            type="button"
+            onClick={handleExport}
+            disabled={isExporting}
+            className="flex items-center gap-2 px-4 py-2 bg-white/10 border border-white/20 text-white rounded-lg hover:bg-white/20 transition-colors disabled:opacity-50"
+            title="Download this avatar and its persona as a shareable file"
+          >
+            {isExporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+            Export bundle
+          </button>
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-white/10 border border-white/20 text-white rounded-lg hover:bg-white/20 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="flex items-center gap-2 px-4 py-2 bg-orange-500/80 border border-orange-500/50 text-white rounded-lg hover:bg-orange-500 transition-colors"
+            >
+              <Save className="w-4 h-4" />
+              Save
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>,
+    document.body
+  );
+};
+
+export default AvatarPersonaEditor;
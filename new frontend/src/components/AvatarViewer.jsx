@@ -19,6 +19,7 @@ import {
   Html,
 } from "@react-three/drei";
 import useAvatarAnimations from "../hooks/useAvatarAnimations.js";
+import useLipSync from "../hooks/useLipSync";
 import { useModelLoadingPerformance } from "../hooks/usePerformanceMonitor";
 
 // Error Boundary for Avatar Viewer
@@ -69,6 +70,7 @@ const AvatarModel = memo(function AvatarModel({
   autoRotate = false,
   enableAnimations = true,
   enableInteractions = true,
+  isSpeaking = false,
   onError = null,
   onLoad = null,
   ...props
@@ -195,6 +197,10 @@ const AvatarModel = memo(function AvatarModel({
     }
   });
 
+  // Lip-sync to the TTS audio while this avatar speaks (after the transform
+  // update above, so the fallback gesture loop is applied on top of it)
+  useLipSync(scene, meshRef, { enabled: isSpeaking && enableAnimations });
+
   // If there's an error loading the model, return null to trigger fallback
   if (error || loadTimeout) {
     return null;
@@ -524,6 +530,7 @@ const AvatarViewer = memo(function AvatarViewer({
                     autoRotate={autoRotate}
                     enableAnimations={enableAnimations}
                     enableInteractions={enableInteraction}
+                    isSpeaking={isSpeaking}
                     onLoad={onLoad}
                     onError={(error) => {
                       setAvatarError(true);
@@ -540,6 +547,7 @@ const AvatarViewer = memo(function AvatarViewer({
                   autoRotate={autoRotate}
                   enableAnimations={enableAnimations}
                   enableInteractions={enableInteraction}
+                  isSpeaking={isSpeaking}
                   onLoad={onLoad}
                   onError={(error) => {
                     console.error(
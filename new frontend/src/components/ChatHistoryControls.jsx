@@ -1,6 +1,7 @@
 /**
  * Chat History Controls Component
- * Provides simple history and clear buttons for chat management
+ * Provides history and clear buttons for chat management, with paged
+ * conversations and search across every stored message
  */
 
 import React from 'react';
@@ -13,19 +14,33 @@ import {
   AlertTriangle,
   Plus,
   Calendar,
-  Clock
+  Clock,
+  Search,
+  Download,
+  Upload,
+  RefreshCw,
+  CloudOff
 } from 'lucide-react';
 import { useChatHistoryControls } from '../hooks/useChatHistory';
+import { EXPORT_FORMATS } from '../utils/chatExport';
+import { SYNC_STATUS } from '../services/chatSyncService';
+import { FALLBACK_CHAT_MODELS } from '../config/chatModels';
 
 const ChatHistoryControls = ({
   chatStats,
   onClearSession,
   onClearAll,
-  getAllSessions,
+  getSessionsPage,
+  searchMessages,
+  modelOptions = FALLBACK_CHAT_MODELS, // Chat model registry entries offered in the search filter
   switchToSession,
   createNewSession,
   deleteSession,
   getCurrentSessionInfo,
+  exportSessions,
+  importSessions,
+  syncStatus,
+  onSyncNow,
   className = ''
 }) => {
   const { t } = useTranslation();
@@ -64,11 +79,17 @@ const ChatHistoryControls = ({
       {showHistoryModal && (
         <ChatHistoryModal
           chatStats={chatStats}
-          getAllSessions={getAllSessions}
+          getSessionsPage={getSessionsPage}
+          searchMessages={searchMessages}
+          modelOptions={modelOptions}
           switchToSession={switchToSession}
           createNewSession={createNewSession}
           deleteSession={deleteSession}
           getCurrentSessionInfo={getCurrentSessionInfo}
+          exportSessions={exportSessions}
+          importSessions={importSessions}
+          syncStatus={syncStatus}
+          onSyncNow={onSyncNow}
           onClose={closeModals}
           t={t}
         />
@@ -144,28 +165,83 @@ const ChatHistoryControls = ({
 // ChatGPT-like History Modal Component
 const ChatHistoryModal = ({
   chatStats,
-  getAllSessions,
+  getSessionsPage,
+  searchMessages,
+  modelOptions,
   switchToSession,
   createNewSession,
   deleteSession,
   getCurrentSessionInfo,
+  exportSessions,
+  importSessions,
+  syncStatus,
+  onSyncNow,
   onClose,
   t
 }) => {
   const [sessions, setSessions] = React.useState([]);
+  const [hasMoreSessions, setHasMoreSessions] = React.useState(false);
   const [currentSession, setCurrentSession] = React.useState(null);
 
-  React.useEffect(() => {
-    if (getAllSessions) {
-      const allSessions = getAllSessions();
-      setSessions(allSessions);
+  // Search state
+  const [searchQuery, setSearchQuery] = React.useState('');
+  const [searchFrom, setSearchFrom] = React.useState('');
+  const [searchTo, setSearchTo] = React.useState('');
+  const [searchModel, setSearchModel] = React.useState('');
+  const [searchResults, setSearchResults] = React.useState(null);
+  const [hasMoreResults, setHasMoreResults] = React.useState(false);
+  const [isSearching, setIsSearching] = React.useState(false);
+
+  // Export / import state
+  const [exportFormat, setExportFormat] = React.useState('markdown');
+  const [importConflict, setImportConflict] = React.useState('rename');
+  const [isTransferring, setIsTransferring] = React.useState(false);
+  const importInputRef = React.useRef(null);
+
+  const isSearchActive = Boolean(searchQuery.trim() || searchFrom || searchTo || searchModel);
+
+  const loadSessions = React.useCallback(async (offset = 0) => {
+    if (!getSessionsPage) return;
+    const page = await getSessionsPage({ offset });
+    setSessions(prev => (offset === 0 ? page.sessions : [...prev, ...page.sessions]));
+    setHasMoreSessions(page.hasMore);
+  }, [getSessionsPage]);
 
-      const current = getCurrentSessionInfo();
-      setCurrentSession(current);
+  React.useEffect(() => {
+    loadSessions(0);
+    if (getCurrentSessionInfo) {
+      getCurrentSessionInfo().then(setCurrentSession);
     }
-  }, [getAllSessions, getCurrentSessionInfo]);
+  }, [loadSessions, getCurrentSessionInfo]);
 
+  const runSearch = React.useCallback(async (offset = 0) => {
+    if (!searchMessages) return;
+    setIsSearching(true);
+    try {
+      const page = await searchMessages({
+        query: searchQuery,
+        from: searchFrom || undefined,
+        to: searchTo || undefined,
+        model: searchModel || undefined,
+        offset,
+      });
+      setSearchResults(prev => (offset === 0 || !prev ? page.results : [...prev, ...page.results]));
+      setHasMoreResults(page.hasMore);
+    } finally {
+      setIsSearching(false);
+    }
+  }, [searchMessages, searchQuery, searchFrom, searchTo, searchModel]);
 
+  // Search as the user types, after a short pause
+  React.useEffect(() => {
+    if (!isSearchActive) {
+      setSearchResults(null);
+      setHasMoreResults(false);
+      return undefined;
+    }
+    const timeoutId = setTimeout(() => runSearch(0), 300);
+    return () => clearTimeout(timeoutId);
+  }, [isSearchActive, runSearch]);
 
   const handleSwitchSession = async (sessionId) => {
     const success = await switchToSession(sessionId);
@@ -179,11 +255,77 @@ const ChatHistoryModal = ({
     const success = await deleteSession(sessionId);
     if (success) {
       // Refresh sessions
-      const allSessions = getAllSessions();
-      setSessions(allSessions);
+      loadSessions(0);
+    }
+  };
+
+  const handleExport = async (sessionIds, event) => {
+    event?.stopPropagation();
+    setIsTransferring(true);
+    try {
+      await exportSessions(sessionIds, exportFormat);
+    } finally {
+      setIsTransferring(false);
     }
   };
 
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsTransferring(true);
+    try {
+      const summary = await importSessions(await file.text(), { onConflict: importConflict });
+      if (summary) {
+        loadSessions(0);
+      }
+    } finally {
+      setIsTransferring(false);
+    }
+  };
+
+  const clearSearch = () => {
+    setSearchQuery('');
+    setSearchFrom('');
+    setSearchTo('');
+    setSearchModel('');
+  };
+
+  // Short excerpt of a message around the first search term
+  const getExcerpt = (content) => {
+    const text = typeof content === 'string' ? content : '';
+    const term = searchQuery.trim().toLowerCase().split(/\s+/)[0];
+    const index = term ? text.toLowerCase().indexOf(term) : 0;
+    const start = Math.max(0, index - 40);
+    const excerpt = text.substring(start, start + 140);
+    return `${start > 0 ? '...' : ''}${excerpt}${start + 140 < text.length ? '...' : ''}`;
+  };
+
+  const isSyncEnabled = syncStatus && syncStatus.status !== SYNC_STATUS.DISABLED;
+
+  const getSyncMessage = () => {
+    switch (syncStatus.status) {
+      case SYNC_STATUS.SYNCING:
+        return t('Syncing with your other devices...');
+      case SYNC_STATUS.OFFLINE:
+        return t('Offline - changes are saved here and will sync when you reconnect');
+      case SYNC_STATUS.ERROR:
+        return t('Sync failed - changes are saved here and will be retried');
+      default:
+        return syncStatus.lastSyncedAt
+          ? t('Synced across your devices · {{time}}', {
+            time: new Date(syncStatus.lastSyncedAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' }),
+          })
+          : t('Waiting to sync with your other devices');
+    }
+  };
+
+  const handleSyncNow = async () => {
+    await onSyncNow();
+    loadSessions(0);
+  };
+
   const formatDate = (dateString) => {
     try {
       const date = new Date(dateString);
@@ -247,7 +389,163 @@ const ChatHistoryModal = ({
           </div>
         </div>
 
-        {/* Conversations List */}
+        {/* Search */}
+        <div className="mb-4 space-y-2">
+          <div className="relative">
+            <Search className="w-4 h-4 text-white/50 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder={t('Search all conversations')}
+              className="w-full pl-9 pr-9 py-2 rounded-lg bg-white/5 border border-white/10 text-white text-sm placeholder-white/40 outline-none focus:border-[#FF9933]/50"
+            />
+            {isSearchActive && (
+              <button
+                onClick={clearSearch}
+                className="absolute right-2 top-1/2 -translate-y-1/2 p-1 rounded hover:bg-white/10 text-white/60 hover:text-white"
+                title={t('Clear search')}
+              >
+                <X className="w-3 h-3" />
+              </button>
+            )}
+          </div>
+          <div className="grid grid-cols-3 gap-2">
+            <input
+              type="date"
+              value={searchFrom}
+              max={searchTo || undefined}
+              onChange={(e) => setSearchFrom(e.target.value)}
+              className="px-2 py-1.5 rounded-lg bg-white/5 border border-white/10 text-white/80 text-xs outline-none"
+              title={t('From date')}
+            />
+            <input
+              type="date"
+              value={searchTo}
+              min={searchFrom || undefined}
+              onChange={(e) => setSearchTo(e.target.value)}
+              className="px-2 py-1.5 rounded-lg bg-white/5 border border-white/10 text-white/80 text-xs outline-none"
+              title={t('To date')}
+            />
+            <select
+              value={searchModel}
+              onChange={(e) => setSearchModel(e.target.value)}
+              className="px-2 py-1.5 rounded-lg bg-white/5 border border-white/10 text-white/80 text-xs outline-none"
+              title={t('Model')}
+            >
+              <option value="" className="bg-[#1E1E28]">{t('All models')}</option>
+              {modelOptions.map((model) => (
+                <option key={model.id} value={model.id} className="bg-[#1E1E28]">
+                  {model.displayName}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Export / Import */}
+        {(exportSessions || importSessions) && (
+          <div className="mb-4 flex flex-wrap items-center gap-2">
+            {exportSessions && (
+              <>
+                <select
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  className="px-2 py-1.5 rounded-lg bg-white/5 border border-white/10 text-white/80 text-xs outline-none"
+                  title={t('Export format')}
+                >
+                  {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                    <option key={format} value={format} className="bg-[#1E1E28]">{label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleExport(null)}
+                  disabled={isTransferring || sessions.length === 0}
+                  className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-[#FF9933]/20 hover:bg-[#FF9933]/30 text-white text-xs border border-[#FF9933]/30 transition-colors disabled:opacity-50"
+                >
+                  <Download className="w-3 h-3" />
+                  {t('Export all')}
+                </button>
+              </>
+            )}
+            {importSessions && (
+              <div className="flex items-center gap-2 ml-auto">
+                <select
+                  value={importConflict}
+                  onChange={(e) => setImportConflict(e.target.value)}
+                  className="px-2 py-1.5 rounded-lg bg-white/5 border border-white/10 text-white/80 text-xs outline-none"
+                  title={t('When a conversation already exists')}
+                >
+                  <option value="rename" className="bg-[#1E1E28]">{t('Keep both')}</option>
+                  <option value="replace" className="bg-[#1E1E28]">{t('Replace existing')}</option>
+                  <option value="skip" className="bg-[#1E1E28]">{t('Skip existing')}</option>
+                </select>
+                <button
+                  onClick={() => importInputRef.current?.click()}
+                  disabled={isTransferring}
+                  className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-white text-xs border border-white/20 transition-colors disabled:opacity-50"
+                  title={t('Import a JSON chat export')}
+                >
+                  <Upload className="w-3 h-3" />
+                  {t('Import')}
+                </button>
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept=".json,application/json"
+                  onChange={handleImportFile}
+                  className="hidden"
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Search Results */}
+        {isSearchActive ? (
+        <div className="flex-1 overflow-y-auto chat-scrollbar">
+          {searchResults === null || (isSearching && searchResults.length === 0) ? (
+            <p className="text-center py-12 text-white/60 text-sm">{t('Searching...')}</p>
+          ) : searchResults.length === 0 ? (
+            <div className="text-center py-12 text-white/60">
+              <Search className="w-12 h-12 mx-auto mb-4 opacity-50" />
+              <p className="text-sm">{t('No messages match your search')}</p>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {searchResults.map(({ sessionId, position, message }) => (
+                <div
+                  key={`${sessionId}-${position}`}
+                  className="p-3 rounded-lg border bg-white/5 border-white/10 hover:bg-white/10 hover:border-white/20 transition-all cursor-pointer"
+                  onClick={() => handleSwitchSession(sessionId)}
+                >
+                  <div className="flex items-center gap-2 mb-1 text-xs text-white/60">
+                    <span className="font-medium text-white/80">
+                      {message.role === 'user' ? t('You') : t('Assistant')}
+                    </span>
+                    <span>{formatDate(message.timestamp)}</span>
+                    {message.model && (
+                      <span className="px-1.5 py-0.5 rounded bg-[#FF9933]/20 text-white/80">
+                        {message.model}
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-white text-sm line-clamp-3">{getExcerpt(message.content)}</p>
+                </div>
+              ))}
+              {hasMoreResults && (
+                <button
+                  onClick={() => runSearch(searchResults.length)}
+                  disabled={isSearching}
+                  className="w-full p-2 rounded-lg bg-white/5 hover:bg-white/10 text-white/80 text-sm border border-white/10 transition-colors"
+                >
+                  {isSearching ? t('Searching...') : t('Show more results')}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+        ) : (
         <div className="flex-1 overflow-y-auto chat-scrollbar">
           {sessions.length === 0 ? (
             <div className="text-center py-12 text-white/60">
@@ -291,6 +589,17 @@ const ChatHistoryModal = ({
                         </div>
                       </div>
 
+                      {exportSessions && (
+                        <button
+                          onClick={(e) => handleExport([session.id], e)}
+                          disabled={isTransferring}
+                          className="p-2 rounded hover:bg-[#FF9933]/20 text-white/60 hover:text-[#FF9933] transition-colors opacity-0 group-hover:opacity-100"
+                          title={t('Export conversation')}
+                        >
+                          <Download className="w-4 h-4" />
+                        </button>
+                      )}
+
                       {/* Delete button for non-current sessions */}
                       {!isCurrentSession && (
                         <button
@@ -305,15 +614,43 @@ const ChatHistoryModal = ({
                   </div>
                 );
               })}
+              {hasMoreSessions && (
+                <button
+                  onClick={() => loadSessions(sessions.length)}
+                  className="w-full p-2 rounded-lg bg-white/5 hover:bg-white/10 text-white/80 text-sm border border-white/10 transition-colors"
+                >
+                  {t('Load more conversations')}
+                </button>
+              )}
             </div>
           )}
         </div>
+        )}
 
         {/* Footer */}
         <div className="mt-4 pt-4 border-t border-white/10 text-center">
-          <p className="text-white/60 text-xs">
-            {t('Your conversations are saved locally and persist across sessions')}
-          </p>
+          {isSyncEnabled ? (
+            <div className="flex items-center justify-center gap-2 text-white/60 text-xs">
+              {(syncStatus.status === SYNC_STATUS.OFFLINE || syncStatus.status === SYNC_STATUS.ERROR) && (
+                <CloudOff className="w-3 h-3 text-yellow-400" />
+              )}
+              <span>{getSyncMessage()}</span>
+              {onSyncNow && (
+                <button
+                  onClick={handleSyncNow}
+                  disabled={syncStatus.status === SYNC_STATUS.SYNCING}
+                  className="p-1 rounded hover:bg-white/10 text-white/60 hover:text-white transition-colors disabled:opacity-50"
+                  title={t('Sync now')}
+                >
+                  <RefreshCw className={`w-3 h-3 ${syncStatus.status === SYNC_STATUS.SYNCING ? 'animate-spin' : ''}`} />
+                </button>
+              )}
+            </div>
+          ) : (
+            <p className="text-white/60 text-xs">
+              {t('Your conversations are saved locally and persist across sessions')}
+            </p>
+          )}
         </div>
       </div>
     </div>
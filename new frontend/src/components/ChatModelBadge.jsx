@@ -0,0 +1,19 @@
+import React from "react";
+import { getChatModelBadgeStyle, describeChatModel } from "../config/chatModels";
+
+/**
+ * Chat Model Badge
+ * Small colored label naming the model that wrote a message.
+ * Pass the registry entry from useChatModels().getModel(id).
+ */
+const ChatModelBadge = ({ model, className = "" }) => (
+  <span
+    className={`inline-block px-1.5 py-0.5 rounded text-[10px] font-medium ml-1 ${className}`}
+    style={getChatModelBadgeStyle(model)}
+    title={describeChatModel(model)}
+  >
+    {model.displayName}
+  </span>
+);
+
+export default ChatModelBadge;
@@ -3,7 +3,7 @@
  * Provides session management functionality for the chatbot
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useTranslation } from 'react-i18next';
 import { 
   Plus, 
@@ -12,42 +12,53 @@ import {
   Trash2, 
   MoreVertical,
   Clock,
-  ChevronRight 
+  ChevronRight,
+  Download
 } from 'lucide-react';
+import { EXPORT_FORMATS } from '../utils/chatExport';
 
 const ChatSessionManager = ({ 
-  getAllSessions, 
+  getSessionsPage, 
   switchToSession, 
   createNewSession, 
   deleteSession, 
   getCurrentSessionInfo,
+  exportSessions,
   onSessionChange 
 }) => {
   const { t } = useTranslation();
   const [sessions, setSessions] = useState([]);
+  const [hasMoreSessions, setHasMoreSessions] = useState(false);
   const [currentSession, setCurrentSession] = useState(null);
   const [showDropdown, setShowDropdown] = useState({});
 
+  // Reload the first page of sessions and the current session
+  const refreshSessions = useCallback(async () => {
+    if (!getSessionsPage) return;
+
+    const page = await getSessionsPage({ offset: 0 });
+    setSessions(page.sessions);
+    setHasMoreSessions(page.hasMore);
+
+    const current = await getCurrentSessionInfo();
+    setCurrentSession(current);
+  }, [getSessionsPage, getCurrentSessionInfo]);
+
   // Load sessions on mount and when dependencies change
   useEffect(() => {
-    if (getAllSessions) {
-      const allSessions = getAllSessions();
-      setSessions(allSessions);
-      
-      const current = getCurrentSessionInfo();
-      setCurrentSession(current);
-    }
-  }, [getAllSessions, getCurrentSessionInfo]);
+    refreshSessions();
+  }, [refreshSessions]);
+
+  const loadMoreSessions = async () => {
+    const page = await getSessionsPage({ offset: sessions.length });
+    setSessions(prev => [...prev, ...page.sessions]);
+    setHasMoreSessions(page.hasMore);
+  };
 
   const handleCreateNewSession = async () => {
     const newSessionId = await createNewSession();
     if (newSessionId) {
-      // Refresh sessions list
-      const allSessions = getAllSessions();
-      setSessions(allSessions);
-      
-      const current = getCurrentSessionInfo();
-      setCurrentSession(current);
+      await refreshSessions();
       
       if (onSessionChange) {
         onSessionChange(newSessionId);
@@ -58,12 +69,7 @@ const ChatSessionManager = ({
   const handleSwitchSession = async (sessionId) => {
     const success = await switchToSession(sessionId);
     if (success) {
-      // Refresh sessions list and current session
-      const allSessions = getAllSessions();
-      setSessions(allSessions);
-      
-      const current = getCurrentSessionInfo();
-      setCurrentSession(current);
+      await refreshSessions();
       
       if (onSessionChange) {
         onSessionChange(sessionId);
@@ -76,15 +82,19 @@ const ChatSessionManager = ({
     
     const success = await deleteSession(sessionId);
     if (success) {
-      // Refresh sessions list
-      const allSessions = getAllSessions();
-      setSessions(allSessions);
+      await refreshSessions();
       
       // Close dropdown
       setShowDropdown({});
     }
   };
 
+  const handleExportSession = async (sessionId, format, event) => {
+    event.stopPropagation();
+    setShowDropdown({});
+    await exportSessions([sessionId], format);
+  };
+
   const toggleDropdown = (sessionId, event) => {
     event.stopPropagation();
     setShowDropdown(prev => ({
@@ -209,7 +219,7 @@ const ChatSessionManager = ({
                   </div>
                   
                   {/* Session Actions */}
-                  {!isCurrentSession && (
+                  {(exportSessions || !isCurrentSession) && (
                     <div className="relative">
                       <button
                         onClick={(e) => toggleDropdown(session.id, e)}
@@ -219,14 +229,26 @@ const ChatSessionManager = ({
                       </button>
                       
                       {showDropdown[session.id] && (
-                        <div className="absolute right-0 top-8 bg-white/10 backdrop-blur-lg rounded-lg border border-white/20 py-1 z-10 min-w-[120px]">
-                          <button
-                            onClick={(e) => handleDeleteSession(session.id, e)}
-                            className="w-full px-3 py-2 text-left text-red-400 hover:bg-red-500/20 transition-colors flex items-center gap-2 text-sm"
-                          >
-                            <Trash2 className="w-3 h-3" />
-                            {t('Delete')}
-                          </button>
+                        <div className="absolute right-0 top-8 bg-white/10 backdrop-blur-lg rounded-lg border border-white/20 py-1 z-10 min-w-[160px]">
+                          {exportSessions && Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                            <button
+                              key={format}
+                              onClick={(e) => handleExportSession(session.id, format, e)}
+                              className="w-full px-3 py-2 text-left text-white/80 hover:bg-white/10 transition-colors flex items-center gap-2 text-sm"
+                            >
+                              <Download className="w-3 h-3" />
+                              {t('Export as {{format}}', { format: label })}
+                            </button>
+                          ))}
+                          {!isCurrentSession && (
+                            <button
+                              onClick={(e) => handleDeleteSession(session.id, e)}
+                              className="w-full px-3 py-2 text-left text-red-400 hover:bg-red-500/20 transition-colors flex items-center gap-2 text-sm"
+                            >
+                              <Trash2 className="w-3 h-3" />
+                              {t('Delete')}
+                            </button>
+                          )}
                         </div>
                       )}
                     </div>
@@ -240,13 +262,23 @@ const ChatSessionManager = ({
             );
           })
         )}
+        {hasMoreSessions && (
+          <button
+            onClick={loadMoreSessions}
+            className="w-full p-2 rounded-lg bg-white/5 hover:bg-white/10 text-white/80 text-xs border border-white/10 transition-colors"
+          >
+            {t('Load more conversations')}
+          </button>
+        )}
       </div>
 
       {/* Session Stats */}
       {sessions.length > 0 && (
         <div className="mt-4 pt-3 border-t border-white/10">
           <p className="text-xs text-white/60 text-center">
-            {t('{{count}} sessions total', { count: sessions.length })}
+            {hasMoreSessions
+              ? t('Showing {{count}} most recent sessions', { count: sessions.length })
+              : t('{{count}} sessions total', { count: sessions.length })}
           </p>
         </div>
       )}
@@ -37,7 +37,9 @@ import {
 } from '../store/avatarSlice';
 import { storage } from '../utils/storageUtils';
 import indexedDBStorage from '../utils/indexedDBStorage';
+import glbOptimizerService from '../services/glbOptimizerService';
 import MediaViewer from './MediaViewer';
+import GlbInspectionDialog from './GlbInspectionDialog';
 
 const CustomModelsTab = () => {
   const dispatch = useDispatch();
@@ -52,6 +54,7 @@ const CustomModelsTab = () => {
 
   const [dragOver, setDragOver] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(null);
+  const [pendingReview, setPendingReview] = useState(null); // { fileName, report, resolve }
   const [storageInfo, setStorageInfo] = useState({ usedMB: '0', quotaMB: '1000', availableMB: '1000', percentUsed: '0' });
   const [activeUploadTab, setActiveUploadTab] = useState('models'); // 'models' or 'images'
   const fileInputRef = useRef(null);
@@ -180,13 +183,71 @@ const CustomModelsTab = () => {
   };
 
   // Generate thumbnail (placeholder for now)
-  const generateThumbnail = async (file) => {
+  const generateThumbnail = async (base64Data) => {
     // TODO: Implement actual 3D model thumbnail generation
     // For now, return the file data itself as the preview URL
-    const base64Data = await fileToBase64(file);
     return base64Data;
   };
 
+  // Wait for the user to decide what to do about a model with issues
+  const reviewModel = (fileName, report) =>
+    new Promise((resolve) => setPendingReview({ fileName, report, resolve }));
+
+  const handleReviewDecision = (decision) => {
+    pendingReview?.resolve(decision);
+    setPendingReview(null);
+  };
+
+  // Inspect a model in the worker and optimize it if the user asks to.
+  // Returns the file to store with its inspection report, or null when cancelled.
+  // Like generated models, a model that can't be inspected or optimized is
+  // still saved as it was uploaded.
+  const prepareModel = async (file) => {
+    const uploaded = { blob: file, inspection: null, optimization: null };
+    setUploadProgress({ fileName: file.name, progress: 10, stage: 'Inspecting model' });
+    let report;
+    let buffer;
+    try {
+      ({ report, buffer } = await glbOptimizerService.inspect(await file.arrayBuffer()));
+    } catch (error) {
+      console.warn(`🧊 Could not inspect ${file.name}, saving it as uploaded:`, error);
+      return uploaded;
+    }
+    let optimization = null;
+
+    if (report.issues.some(issue => issue.level !== 'info')) {
+      setUploadProgress({ fileName: file.name, progress: 30, stage: 'Waiting for your review' });
+      const decision = await reviewModel(file.name, report);
+      if (!decision) return null;
+
+      if (decision.optimize) {
+        setUploadProgress({ fileName: file.name, progress: 40, stage: 'Optimizing model' });
+        const original = { fileSize: report.fileSize, triangles: report.geometry.triangles };
+        let optimized;
+        try {
+          optimized = await glbOptimizerService.optimize(buffer, decision.options);
+        } catch (error) {
+          console.warn(`🧊 Could not optimize ${file.name}, saving the original:`, error);
+          toast.error(`Could not optimize ${file.name}; saving the original file`);
+          return { ...uploaded, inspection: report };
+        }
+        ({ report, buffer } = optimized);
+        optimization = {
+          optimizedAt: new Date().toISOString(),
+          options: decision.options,
+          changes: optimized.changes,
+          original,
+        };
+      }
+    }
+
+    return {
+      blob: new Blob([buffer], { type: file.type || 'application/octet-stream' }),
+      inspection: report,
+      optimization,
+    };
+  };
+
   // Handle file upload
   const handleFileUpload = async (files, fileType = 'model') => {
     if (!files || files.length === 0) return;
@@ -204,34 +265,35 @@ const CustomModelsTab = () => {
     try {
       for (const file of files) {
         console.log('📁 Processing file:', file.name, 'Size:', file.size);
-        setUploadProgress({ fileName: file.name, progress: 0 });
-
-        // Add a small delay to ensure UI updates
-        await new Promise(resolve => setTimeout(resolve, 100));
+        setUploadProgress({ fileName: file.name, progress: 0, stage: 'Checking file' });
 
         // Validate file
         console.log('✅ Validating file...');
         await validateFile(file, fileType);
         console.log('✅ File validation complete');
 
-        setUploadProgress({ fileName: file.name, progress: 25 });
-        await new Promise(resolve => setTimeout(resolve, 100));
+        // Inspect (and optionally optimize) models before they are stored
+        let upload = { blob: file, inspection: null, optimization: null };
+        if (fileType === 'model') {
+          upload = await prepareModel(file);
+          if (!upload) {
+            toast(`Upload of ${file.name} cancelled`);
+            continue;
+          }
+        }
 
         // Convert to base64
+        setUploadProgress({ fileName: file.name, progress: 60, stage: 'Reading file' });
         console.log('🔄 Converting to base64...');
-        const base64Data = await fileToBase64(file);
+        const base64Data = await fileToBase64(upload.blob);
         console.log('✅ Base64 conversion complete, length:', base64Data.length);
 
-        setUploadProgress({ fileName: file.name, progress: 50 });
-        await new Promise(resolve => setTimeout(resolve, 100));
-
         // Generate thumbnail
         console.log('🖼️ Generating thumbnail...');
-        const thumbnailUrl = await generateThumbnail(file);
+        const thumbnailUrl = await generateThumbnail(base64Data);
         console.log('✅ Thumbnail generation complete');
 
-        setUploadProgress({ fileName: file.name, progress: 75 });
-        await new Promise(resolve => setTimeout(resolve, 100));
+        setUploadProgress({ fileName: file.name, progress: 80, stage: 'Saving' });
 
         // Create file metadata
         const fileId = `custom_${fileType}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -239,12 +301,14 @@ const CustomModelsTab = () => {
           id: fileId,
           name: file.name.replace(/\.[^/.]+$/, ""), // Remove extension
           fileName: file.name,
-          fileSize: file.size,
+          fileSize: upload.blob.size,
           uploadDate: new Date().toISOString(),
           thumbnailUrl,
           type: 'custom',
           isCustom: true,
           mediaType: fileType, // 'model' or 'image'
+          ...(upload.inspection && { inspection: upload.inspection }),
+          ...(upload.optimization && { optimization: upload.optimization }),
         };
 
         console.log('💾 Saving to IndexedDB...', fileId);
@@ -278,11 +342,12 @@ const CustomModelsTab = () => {
           dispatch(addCustomModel(metadata));
         }
 
-        setUploadProgress({ fileName: file.name, progress: 100 });
-        await new Promise(resolve => setTimeout(resolve, 100));
+        setUploadProgress({ fileName: file.name, progress: 100, stage: 'Done' });
 
         console.log('🎉 Upload complete for:', file.name);
-        toast.success(`${file.name} uploaded successfully!`);
+        toast.success(upload.optimization
+          ? `${file.name} optimized and uploaded!`
+          : `${file.name} uploaded successfully!`);
       }
     } catch (error) {
       console.error('❌ Upload error:', error);
@@ -706,12 +771,22 @@ const CustomModelsTab = () => {
         </div>
       </div>
 
+      {pendingReview && (
+        <GlbInspectionDialog
+          fileName={pendingReview.fileName}
+          report={pendingReview.report}
+          onDecision={handleReviewDecision}
+        />
+      )}
+
       {/* Upload Progress */}
       {uploadProgress && (
         <div className="mb-4 p-3 bg-white/5 rounded-lg border border-white/10">
           <div className="flex items-center justify-between mb-2">
             <span className="text-white text-sm">{uploadProgress.fileName}</span>
-            <span className="text-white/60 text-sm">{uploadProgress.progress}%</span>
+            <span className="text-white/60 text-sm">
+              {uploadProgress.stage && `${uploadProgress.stage} · `}{uploadProgress.progress}%
+            </span>
           </div>
           <div className="w-full bg-white/10 rounded-full h-2">
             <div
@@ -845,6 +920,20 @@ const CustomModelsTab = () => {
                   <div className="text-xs text-white/30 text-center">
                     {activeUploadTab === 'images' ? 'Image' : '3D Model'}
                   </div>
+                  {item.inspection && (
+                    <div
+                      className="text-xs text-white/40 text-center flex items-center justify-center gap-1"
+                      title={item.inspection.issues.map(issue => issue.message).join('\n') || 'No issues found'}
+                    >
+                      {item.inspection.issues.some(issue => issue.level !== 'info') ? (
+                        <AlertCircle className="w-3 h-3 text-yellow-400" />
+                      ) : (
+                        <CheckCircle className="w-3 h-3 text-green-400" />
+                      )}
+                      {item.inspection.geometry.triangles.toLocaleString()} triangles
+                      {item.optimization && ' · optimized'}
+                    </div>
+                  )}
                 </div>
               </div>
             ))}
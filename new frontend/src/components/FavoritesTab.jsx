@@ -1,20 +1,31 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { toast } from 'react-hot-toast';
 import {
   Heart,
   Trash2,
   AlertCircle,
-  Edit2
+  Edit2,
+  Upload,
+  UserCog
 } from 'lucide-react';
 import MediaViewer from './MediaViewer';
+import AvatarPersonaEditor from './AvatarPersonaEditor';
 import {
   selectFavorites,
   selectSelectedAvatar,
   setSelectedAvatar,
   loadAvatarSettings,
+  addFavorite,
   removeFavorite,
 } from '../store/avatarSlice';
+import { savePersonaDefaultModel } from '../hooks/useChatModels';
+import {
+  AVATAR_BUNDLE_EXTENSION,
+  createFavoriteFromBundle,
+  hasPersonaSettings,
+  parseAvatarBundle,
+} from '../utils/avatarPersona';
 
 const FavoritesTab = () => {
   const dispatch = useDispatch();
@@ -26,6 +37,9 @@ const FavoritesTab = () => {
 
 
   const [error, setError] = useState(null);
+  // Favorite whose persona is being edited
+  const [personaFavorite, setPersonaFavorite] = useState(null);
+  const bundleInputRef = useRef(null);
 
   // Custom names storage
   const [customNames, setCustomNames] = useState(() => {
@@ -86,8 +100,8 @@ const FavoritesTab = () => {
 
       // Handle different favorite types
       if (favorite.isCustomModel && favorite.fileData) {
-        // For custom models, convert base64 to blob URL
-        const bytes = Uint8Array.from(atob(favorite.fileData), c => c.charCodeAt(0));
+        // For custom models, convert base64 (with or without its data: prefix) to blob URL
+        const bytes = Uint8Array.from(atob(favorite.fileData.split(',').pop()), c => c.charCodeAt(0));
         const blob = new Blob([bytes], { type: 'application/octet-stream' });
         const blobUrl = URL.createObjectURL(blob);
 
@@ -108,6 +122,26 @@ const FavoritesTab = () => {
     }
   };
 
+  // Add the avatar and persona from a shared bundle file
+  const handleImportBundle = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const bundle = parseAvatarBundle(await file.text());
+      const favorite = createFavoriteFromBundle(bundle);
+      dispatch(addFavorite(favorite));
+      if (bundle.model) {
+        savePersonaDefaultModel(favorite.id, bundle.model);
+      }
+      toast.success(`${favorite.name} added to favorites`);
+    } catch (error) {
+      console.error('Error importing avatar bundle:', error);
+      toast.error(error.message || 'Failed to import avatar');
+    }
+  };
+
   // Handle favorite deletion
   const handleDeleteFavorite = async (favoriteId) => {
     const favorite = favorites.find(f => f.id === favoriteId);
@@ -139,6 +173,21 @@ const FavoritesTab = () => {
               {favorites.length} favorite{favorites.length !== 1 ? 's' : ''}
             </div>
           </div>
+          <button
+            onClick={() => bundleInputRef.current?.click()}
+            className="flex items-center gap-1 px-3 py-1 bg-white/10 border border-white/20 text-white rounded-lg hover:bg-white/20 transition-colors text-sm"
+            title="Add an avatar shared as a bundle file"
+          >
+            <Upload className="w-3 h-3" />
+            Import
+          </button>
+          <input
+            ref={bundleInputRef}
+            type="file"
+            accept={`${AVATAR_BUNDLE_EXTENSION},application/json`}
+            onChange={handleImportBundle}
+            className="hidden"
+          />
           {favorites.length > 0 && (
             <button
               onClick={() => {
@@ -188,11 +237,20 @@ const FavoritesTab = () => {
                 onSelect={handleSelectFavorite}
                 onDelete={handleDeleteFavorite}
                 onUpdateName={updateCustomName}
+                onEditPersona={setPersonaFavorite}
               />
             ))}
           </div>
         )}
       </div>
+
+      {personaFavorite && (
+        <AvatarPersonaEditor
+          favorite={personaFavorite}
+          displayName={getDisplayName(personaFavorite, favorites.findIndex(f => f.id === personaFavorite.id))}
+          onClose={() => setPersonaFavorite(null)}
+        />
+      )}
     </div>
   );
 };
@@ -204,7 +262,8 @@ const FavoriteCard = ({
   isSelected,
   onSelect,
   onDelete,
-  onUpdateName
+  onUpdateName,
+  onEditPersona
 }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editName, setEditName] = useState(displayName);
@@ -334,6 +393,22 @@ const FavoriteCard = ({
         >
           <Trash2 className="w-3 h-3 text-white" />
         </button>
+
+        {/* Persona button */}
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onEditPersona(favorite);
+          }}
+          className={`absolute top-2 left-2 p-1 backdrop-blur-sm rounded-full border transition-all z-20 ${
+            hasPersonaSettings(favorite.persona)
+              ? 'bg-orange-500/60 border-orange-400/60 opacity-100'
+              : 'bg-black/50 border-white/20 hover:bg-orange-500/50 opacity-0 group-hover:opacity-100'
+          }`}
+          title="Persona: personality, voice and teaching style"
+        >
+          <UserCog className="w-3 h-3 text-white" />
+        </button>
       </div>
 
       {/* Avatar Info with Editable Name */}
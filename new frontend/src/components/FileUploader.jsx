@@ -1,11 +1,12 @@
 import React, { useCallback, useState } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { Upload, X, Image, FileImage, AlertCircle } from 'lucide-react';
+import { Upload, X, Image, FileImage, FileText, AlertCircle } from 'lucide-react';
 import { toast } from 'react-hot-toast';
 
 /**
  * File Uploader Component with drag-and-drop support
- * Optimized for image uploads for 3D model generation
+ * Defaults to image uploads for 3D model generation; pass title and
+ * formatsLabel along with acceptedFileTypes for other kinds of files
  */
 export default function FileUploader({
   onFileSelect,
@@ -17,6 +18,8 @@ export default function FileUploader({
   multiple = false,
   className = '',
   disabled = false,
+  title = 'Drag & drop images here',
+  formatsLabel = 'PNG, JPG, JPEG, WebP, BMP',
 }) {
   const [uploadedFiles, setUploadedFiles] = useState([]);
   const [previewUrls, setPreviewUrls] = useState({});
@@ -29,7 +32,7 @@ export default function FileUploader({
           if (error.code === 'file-too-large') {
             toast.error(`File "${file.name}" is too large. Maximum size is ${maxFileSize / (1024 * 1024)}MB`);
           } else if (error.code === 'file-invalid-type') {
-            toast.error(`File "${file.name}" is not a supported image format`);
+            toast.error(`File "${file.name}" is not a supported format (${formatsLabel})`);
           } else {
             toast.error(`Error with file "${file.name}": ${error.message}`);
           }
@@ -39,9 +42,9 @@ export default function FileUploader({
 
     // Handle accepted files
     if (acceptedFiles.length > 0) {
-      const newFiles = acceptedFiles.map(file => ({
+      const newFiles = acceptedFiles.map((file, index) => ({
         file,
-        id: `${file.name}-${Date.now()}`,
+        id: `${file.name}-${Date.now()}-${index}`,
         name: file.name,
         size: file.size,
         type: file.type,
@@ -75,7 +78,7 @@ export default function FileUploader({
 
       toast.success(`${newFiles.length} file(s) uploaded successfully`);
     }
-  }, [maxFileSize, multiple, onFileSelect, previewUrls]);
+  }, [formatsLabel, maxFileSize, multiple, onFileSelect, previewUrls]);
 
   const removeFile = useCallback((fileId) => {
     setUploadedFiles(prev => {
@@ -166,7 +169,7 @@ export default function FileUploader({
                 ? isDragReject 
                   ? 'Invalid file type' 
                   : 'Drop files here'
-                : 'Drag & drop images here'
+                : title
               }
             </p>
             <p className="text-white/60 text-sm mt-1">
@@ -175,7 +178,7 @@ export default function FileUploader({
           </div>
           
           <div className="text-xs text-white/50">
-            <p>Supported formats: PNG, JPG, JPEG, WebP, BMP</p>
+            <p>Supported formats: {formatsLabel}</p>
             <p>Maximum file size: {formatFileSize(maxFileSize)}</p>
           </div>
         </div>
@@ -214,7 +217,11 @@ export default function FileUploader({
                     />
                   ) : (
                     <div className="w-12 h-12 bg-white/10 rounded border border-white/20 flex items-center justify-center">
-                      <FileImage className="w-6 h-6 text-white/60" />
+                      {fileData.type.startsWith('image/') ? (
+                        <FileImage className="w-6 h-6 text-white/60" />
+                      ) : (
+                        <FileText className="w-6 h-6 text-white/60" />
+                      )}
                     </div>
                   )}
                 </div>
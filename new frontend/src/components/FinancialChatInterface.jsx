@@ -11,14 +11,31 @@ import {
   AlertCircle,
   Lightbulb,
   Activity,
-  Shield
+  Shield,
+  FlaskConical
 } from "lucide-react";
 import { toast } from "react-hot-toast";
 import { useSendFinancialChatMessageMutation } from "../api/financialChatApiSlice";
+import { useRunDirectSimulationMutation } from "../api/financialApiSlice";
+import { extractActionCalls } from "../services/pageActionRegistry";
+import FinancialWhatIfResult from "./FinancialWhatIfResult";
+import {
+  parseWhatIf,
+  normalizeChanges,
+  toSimulationInputs,
+  canSimulate,
+  applyWhatIf,
+  compareWhatIf,
+  describeWhatIfResult,
+  summarizeFinancialData,
+} from "../utils/financialWhatIf";
 
 /**
  * Financial Chat Interface Component
- * Provides AI-powered chat for financial guidance based on simulation data
+ * Provides AI-powered chat for financial guidance based on simulation data.
+ * The conversation is sent with every message (trimmed to the newest turns),
+ * and what-ifs such as "cut rent 10%" are run through the direct simulation
+ * and charted under the answer.
  */
 const FinancialChatInterface = ({ 
   financialData, 
@@ -32,8 +49,12 @@ const FinancialChatInterface = ({
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
 
-  // RTK Query mutation
+  // RTK Query mutations
   const [sendFinancialChatMessage] = useSendFinancialChatMessageMutation();
+  const [runDirectSimulation] = useRunDirectSimulationMutation();
+
+  // Baseline run for the current inputs, reused across what-ifs
+  const baselineRef = useRef({ key: null, result: null });
 
   // Auto-scroll to bottom when new messages arrive
   const scrollToBottom = () => {
@@ -62,7 +83,8 @@ const FinancialChatInterface = ({
           "Review my spending patterns",
           "What are my biggest financial risks?",
           "Give me investment advice based on my data",
-          "How am I doing compared to my goals?"
+          "How am I doing compared to my goals?",
+          "What if I cut my expenses by 10% and add a ₹5000 SIP?"
         ];
       } else {
         welcomeContent += " I notice you don't have any financial simulation data yet. Please start a financial simulation first, then I can provide personalized advice based on your data.";
@@ -79,90 +101,57 @@ const FinancialChatInterface = ({
         type: "assistant",
         content: welcomeContent,
         timestamp: new Date().toISOString(),
-        suggestions: suggestions
+        suggestions: suggestions,
+        isWelcome: true
       };
       setMessages([welcomeMessage]);
     }
   }, [hasFinancialData, hasSimulationResults]);
 
-  // Prepare financial context for AI
-  const prepareFinancialContext = () => {
-    // Calculate additional insights
-    const currentMonth = simulationResults?.current_month || 1;
-    const monthlyData = simulationResults?.monthly_data || [];
-    const latestMonth = monthlyData[currentMonth - 1] || {};
-
-    // Calculate trends
-    const calculateTrend = (field) => {
-      if (monthlyData.length < 2) return "stable";
-      const recent = monthlyData.slice(-3).map(m => m[field] || 0);
-      const avg = recent.reduce((a, b) => a + b, 0) / recent.length;
-      const latest = recent[recent.length - 1];
-      if (latest > avg * 1.1) return "increasing";
-      if (latest < avg * 0.9) return "decreasing";
-      return "stable";
-    };
+  // The user's finances as a compact summary for the advisor's prompt
+  const buildFinancialSummary = () => {
+    const baselineKey = JSON.stringify(toSimulationInputs(financialData, userId));
+    const baseline = baselineRef.current.key === baselineKey ? baselineRef.current.result : null;
+    return summarizeFinancialData(financialData, { simulationResults, baseline });
+  };
 
-    const context = {
-      // Basic profile information
-      user_profile: {
-        monthly_income: financialData?.monthly_income || latestMonth?.income || 0,
-        monthly_expenses: financialData?.monthly_expenses || latestMonth?.expenses || 0,
-        savings_goal: financialData?.savings_goal || 0,
-        debt_info: financialData?.debt || {},
-        investment_accounts: financialData?.investment_accounts || {}
-      },
-
-      // Current simulation status
-      simulation_status: {
-        current_month: currentMonth,
-        total_months: simulationResults?.total_months || 12,
-        progress_percentage: Math.round((currentMonth / (simulationResults?.total_months || 12)) * 100)
-      },
-
-      // Financial performance metrics
-      performance_metrics: {
-        total_income: simulationResults?.total_income || 0,
-        total_expenses: simulationResults?.total_expenses || 0,
-        total_savings: simulationResults?.total_savings || 0,
-        savings_rate: simulationResults?.savings_rate || 0,
-        financial_health_score: simulationResults?.financial_health_score || 0,
-        emergency_fund_current: latestMonth?.emergency_fund || 0
-      },
-
-      // Trends analysis
-      trends: {
-        income_trend: calculateTrend('income'),
-        expense_trend: calculateTrend('expenses'),
-        savings_trend: calculateTrend('savings'),
-        emergency_fund_trend: calculateTrend('emergency_fund')
-      },
-
-      // Goals and targets
-      goals: simulationResults?.goals || {},
-
-      // Recent monthly data (last 3 months)
-      recent_performance: monthlyData.slice(-3),
-
-      // Key insights
-      insights: {
-        months_completed: currentMonth,
-        months_remaining: (simulationResults?.total_months || 12) - currentMonth,
-        average_monthly_savings: simulationResults?.total_savings ?
-          Math.round(simulationResults.total_savings / currentMonth) : 0,
-        debt_to_income_ratio: financialData?.debt && financialData?.monthly_income ?
-          Math.round((Object.values(financialData.debt).reduce((a, b) => a + b, 0) /
-          (financialData.monthly_income * 12)) * 100) : 0
-      }
-    };
+  // Simulate what-if changes against the user's data, before and after
+  const runWhatIf = async (changes) => {
+    const baseInputs = toSimulationInputs(financialData, userId);
+    if (!canSimulate(baseInputs)) {
+      return { applied: [], unmatched: [], error: "Add your monthly income to run what-if simulations" };
+    }
+
+    const { inputs, applied, unmatched } = applyWhatIf(baseInputs, changes);
+    if (applied.length === 0) {
+      return { applied, unmatched, error: "None of the changes match your expenses" };
+    }
 
-    return context;
+    try {
+      const baselineKey = JSON.stringify(baseInputs);
+      if (baselineRef.current.key !== baselineKey) {
+        baselineRef.current = { key: baselineKey, result: await runDirectSimulation(baseInputs).unwrap() };
+      }
+      const scenario = await runDirectSimulation(inputs).unwrap();
+      return { applied, unmatched, comparison: compareWhatIf(baselineRef.current.result, scenario) };
+    } catch (error) {
+      console.warn("💹 What-if simulation failed:", error);
+      return { applied, unmatched, error: "The simulation service is unavailable" };
+    }
   };
 
   // Handle sending message
   const handleSendMessage = async () => {
     if (!inputMessage.trim() || isLoading) return;
 
+    // Earlier turns, for the advisor's conversation memory
+    const history = messages
+      .filter((message) => !message.isWelcome && !message.isError)
+      .map((message) => ({
+        role: message.type === "user" ? "user" : "assistant",
+        content: message.content
+      }));
+
     const userMessage = {
       id: Date.now(),
       type: "user",
@@ -176,18 +165,36 @@ const FinancialChatInterface = ({
     setIsLoading(true);
 
     try {
-      // Prepare financial context
-      const financialContext = prepareFinancialContext();
 
-      // Send message to AI
-      const response = await sendFinancialChatMessage({
-        message: messageToSend,
-        financialContext: financialContext,
-        userId: userId
-      }).unwrap();
+      // What-ifs spelled out in the message are simulated before asking
+      const requestedChanges = parseWhatIf(messageToSend);
+      let whatIf = requestedChanges.length > 0 ? await runWhatIf(requestedChanges) : null;
+
+      const askAdvisor = (whatIfResult) =>
+        sendFinancialChatMessage({
+          message: messageToSend,
+          history,
+          financialSummary: buildFinancialSummary(),
+          whatIfResults: whatIfResult ? describeWhatIfResult(whatIfResult) : undefined,
+          userId: userId
+        }).unwrap();
+
+      let response = await askAdvisor(whatIf);
+      let { text: responseText, calls } = extractActionCalls(response.message || response.response || "");
+
+      // The advisor asked for a what-if: run it, then let it explain the result
+      const whatIfCall = calls.find((call) => call.name === "what_if");
+      const advisorChanges = whatIfCall ? normalizeChanges(whatIfCall.params.changes) : [];
+      if (!whatIf && advisorChanges.length > 0) {
+        whatIf = await runWhatIf(advisorChanges);
+        response = await askAdvisor(whatIf);
+        responseText = extractActionCalls(response.message || "").text;
+      }
 
       // Process and enhance the response
-      const responseContent = response.message || response.response || "I apologize, but I couldn't process your request at the moment. Please try again.";
+      const responseContent = responseText || (whatIf
+        ? "Here is how that change plays out in your simulation."
+        : "I apologize, but I couldn't process your request at the moment. Please try again.");
 
       // Generate follow-up suggestions based on the response content
       const generateFollowUpSuggestions = (content) => {
@@ -224,6 +231,7 @@ const FinancialChatInterface = ({
         timestamp: new Date().toISOString(),
         confidence: response.confidence || null,
         insights: response.insights || null,
+        whatIf,
         suggestions: generateFollowUpSuggestions(responseContent)
       };
 
@@ -283,12 +291,11 @@ const FinancialChatInterface = ({
   const getKeyMetrics = () => {
     if (!hasFinancialData && !hasSimulationResults) return null;
 
-    const context = prepareFinancialContext();
     return {
-      savingsRate: context.performance_metrics?.savings_rate || 0,
-      healthScore: context.performance_metrics?.financial_health_score || 0,
-      currentMonth: context.simulation_status?.current_month || 0,
-      totalMonths: context.simulation_status?.total_months || 12
+      savingsRate: simulationResults?.savings_rate || 0,
+      healthScore: simulationResults?.financial_health_score || 0,
+      currentMonth: simulationResults?.current_month || 1,
+      totalMonths: simulationResults?.total_months || 12
     };
   };
 
@@ -365,7 +372,10 @@ const FinancialChatInterface = ({
                   )}
                 </div>
                 <div className="flex-1">
-                  <p className="text-sm leading-relaxed mb-2">{message.content}</p>
+                  <p className="text-sm leading-relaxed mb-2 whitespace-pre-wrap">{message.content}</p>
+
+                  {/* What-if simulated for this answer */}
+                  {message.whatIf && <FinancialWhatIfResult whatIf={message.whatIf} />}
                   
                   {/* Show suggestions for assistant messages */}
                   {message.suggestions && (
@@ -487,6 +497,14 @@ const FinancialChatInterface = ({
             <Lightbulb size={16} className="mr-2" />
             6-Month Plan
           </button>
+          <button
+            onClick={() => handleSuggestionClick("What if I cut my expenses by 10% and add a ₹5000 SIP?")}
+            disabled={isLoading}
+            className="flex items-center px-3 py-2 text-sm bg-purple-600/20 hover:bg-purple-600/30 border border-purple-500/40 rounded-lg text-purple-200 transition-colors disabled:opacity-50 font-medium"
+          >
+            <FlaskConical size={16} className="mr-2" />
+            What-if
+          </button>
         </div>
       </div>
 
@@ -0,0 +1,349 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import { Save, Trash2, Download, FolderOpen, GitCompare, Layers } from "lucide-react";
+import { toast } from "react-hot-toast";
+import financialScenarioStorage, {
+  MAX_COMPARED_SCENARIOS,
+  SCENARIO_METRICS,
+  buildComparisonRows,
+  buildMonthDiff,
+} from "../utils/financialScenarioStorage";
+
+const SCENARIO_COLORS = ["#3B82F6", "#F59E0B", "#10B981"];
+
+const tooltipStyle = {
+  backgroundColor: "rgba(0, 0, 0, 0.85)",
+  border: "1px solid rgba(59, 130, 246, 0.5)",
+  borderRadius: "12px",
+  color: "#FFFFFF",
+};
+
+const formatValue = (value, metric) => {
+  if (value === null || value === undefined) return "–";
+  return SCENARIO_METRICS[metric].unit === "%"
+    ? `${value.toFixed(1)}%`
+    : `₹${Math.round(value).toLocaleString()}`;
+};
+
+const formatDiff = (value, metric) => {
+  if (value === null || value === undefined) return "–";
+  if (value === 0) return "±0";
+  return `${value > 0 ? "+" : "−"}${formatValue(Math.abs(value), metric)}`;
+};
+
+/**
+ * Financial Scenario Panel
+ * Saves FinancialCrew simulation runs as named scenarios and compares up to
+ * three of them month by month
+ */
+const FinancialScenarioPanel = ({
+  userId,
+  currentInputs,
+  currentResults,
+  currentMonth,
+  onLoad,
+}) => {
+  const [scenarios, setScenarios] = useState([]);
+  const [scenarioName, setScenarioName] = useState("");
+  const [comparedIds, setComparedIds] = useState([]);
+  const [metric, setMetric] = useState("savings");
+
+  useEffect(() => {
+    setScenarios(financialScenarioStorage.getScenarios(userId));
+    setComparedIds([]);
+  }, [userId]);
+
+  // Keep the order in which scenarios were picked: the first is the baseline
+  const compared = useMemo(
+    () =>
+      comparedIds
+        .map((id) => scenarios.find((scenario) => scenario.id === id))
+        .filter(Boolean),
+    [comparedIds, scenarios]
+  );
+  const comparisonRows = useMemo(
+    () => buildComparisonRows(compared, metric),
+    [compared, metric]
+  );
+  const monthDiff = useMemo(
+    () => buildMonthDiff(compared, currentMonth),
+    [compared, currentMonth]
+  );
+
+  const hasResults = currentResults?.simulated_cashflow?.length > 0;
+
+  const handleSave = async () => {
+    const name =
+      scenarioName.trim() ||
+      `${currentInputs.financialType} · ₹${currentInputs.monthlyIncome || 0}/month`;
+    const saved = await financialScenarioStorage.saveScenario(userId, {
+      name,
+      inputs: currentInputs,
+      results: currentResults,
+    });
+    if (!saved) {
+      toast.error("Could not save the scenario. Storage may be full.");
+      return;
+    }
+    setScenarios(financialScenarioStorage.getScenarios(userId));
+    setScenarioName("");
+    toast.success(`Saved scenario "${saved.name}"`);
+  };
+
+  const handleDelete = async (scenario) => {
+    if (!window.confirm(`Delete the scenario "${scenario.name}"?`)) return;
+    await financialScenarioStorage.deleteScenario(userId, scenario.id);
+    setScenarios(financialScenarioStorage.getScenarios(userId));
+    setComparedIds((prev) => prev.filter((id) => id !== scenario.id));
+  };
+
+  const toggleCompared = (scenarioId) => {
+    if (comparedIds.includes(scenarioId)) {
+      setComparedIds((prev) => prev.filter((id) => id !== scenarioId));
+      return;
+    }
+    if (comparedIds.length >= MAX_COMPARED_SCENARIOS) {
+      toast.error(`Compare up to ${MAX_COMPARED_SCENARIOS} scenarios at a time`);
+      return;
+    }
+    setComparedIds((prev) => (prev.includes(scenarioId) ? prev : [...prev, scenarioId]));
+  };
+
+  const handleExport = () => {
+    financialScenarioStorage.exportCsv(compared.length > 0 ? compared : scenarios);
+  };
+
+  return (
+    <div className="bg-blue-900/20 rounded-lg p-4 my-4 border border-blue-500/30">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-white flex items-center">
+          <Layers size={18} className="mr-2 text-blue-400" />
+          Scenarios
+        </h3>
+        <button
+          onClick={handleExport}
+          disabled={scenarios.length === 0}
+          className="flex items-center px-3 py-1.5 bg-blue-500/20 hover:bg-blue-500/30 text-blue-300 rounded-lg text-sm transition-colors disabled:opacity-40"
+          title={compared.length > 0 ? "Export the compared scenarios" : "Export all scenarios"}
+        >
+          <Download size={14} className="mr-2" />
+          CSV
+        </button>
+      </div>
+
+      {/* Save the current run */}
+      <div className="flex gap-2 mb-4">
+        <input
+          type="text"
+          value={scenarioName}
+          onChange={(e) => setScenarioName(e.target.value)}
+          placeholder={hasResults ? "Name this run, e.g. Cut dining out" : "Run a simulation to save it"}
+          disabled={!hasResults}
+          className="flex-1 p-2 rounded-lg bg-white/10 border border-white/20 text-white text-sm placeholder-white/40 focus:outline-none focus:border-blue-400/60 disabled:opacity-50"
+        />
+        <button
+          onClick={handleSave}
+          disabled={!hasResults}
+          className="flex items-center px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          <Save size={14} className="mr-2" />
+          Save
+        </button>
+      </div>
+
+      {/* Saved scenarios */}
+      {scenarios.length === 0 ? (
+        <p className="text-sm text-white/60">
+          No saved scenarios yet. Save runs with different incomes, expenses or
+          risk levels to compare them.
+        </p>
+      ) : (
+        <div className="space-y-2 max-h-56 overflow-y-auto custom-scrollbar pr-1">
+          {scenarios.map((scenario) => {
+            const compareIndex = comparedIds.indexOf(scenario.id);
+            return (
+              <div
+                key={scenario.id}
+                className="flex items-center p-2 rounded-lg bg-black/20 border border-white/10"
+              >
+                <input
+                  type="checkbox"
+                  checked={compareIndex !== -1}
+                  onChange={() => toggleCompared(scenario.id)}
+                  className="mr-3"
+                  title="Compare"
+                />
+                {compareIndex !== -1 && (
+                  <span
+                    className="w-2.5 h-2.5 rounded-full mr-2 flex-shrink-0"
+                    style={{ backgroundColor: SCENARIO_COLORS[compareIndex] }}
+                  />
+                )}
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm text-white truncate">{scenario.name}</div>
+                  <div className="text-xs text-white/50">
+                    ₹{scenario.inputs.monthlyIncome || 0}/month ·{" "}
+                    {scenario.inputs.financialType} · {scenario.inputs.riskLevel} risk ·{" "}
+                    {new Date(scenario.createdAt).toLocaleDateString()}
+                  </div>
+                </div>
+                <button
+                  onClick={() => onLoad(scenario)}
+                  className="p-1.5 rounded-md text-white/60 hover:text-white hover:bg-white/10 transition-colors"
+                  title="Load inputs and results"
+                >
+                  <FolderOpen size={14} />
+                </button>
+                <button
+                  onClick={() => handleDelete(scenario)}
+                  className="p-1.5 rounded-md text-white/60 hover:text-red-400 hover:bg-red-500/20 transition-colors"
+                  title="Delete scenario"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Side-by-side comparison */}
+      {compared.length >= 2 && (
+        <div className="mt-4 pt-4 border-t border-white/10">
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="text-white font-medium flex items-center">
+              <GitCompare size={16} className="mr-2 text-blue-400" />
+              Comparison
+            </h4>
+            <div className="flex bg-black/30 rounded-lg overflow-hidden">
+              {Object.entries(SCENARIO_METRICS).map(([key, config]) => (
+                <button
+                  key={key}
+                  onClick={() => setMetric(key)}
+                  className={`px-3 py-1 text-xs transition-colors ${
+                    metric === key
+                      ? "bg-blue-500/40 text-white"
+                      : "text-white/60 hover:text-white"
+                  }`}
+                >
+                  {config.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="h-56">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={comparisonRows}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.2)" />
+                <XAxis dataKey="month" stroke="#FFFFFF" fontSize={12} />
+                <YAxis stroke="#FFFFFF" fontSize={12} />
+                <Tooltip
+                  contentStyle={tooltipStyle}
+                  labelFormatter={(month) => `Month ${month}`}
+                  formatter={(value) => formatValue(value, metric)}
+                />
+                <Legend />
+                <ReferenceLine x={currentMonth} stroke="rgba(255, 255, 255, 0.5)" strokeDasharray="4 4" />
+                {compared.map((scenario, index) => (
+                  <Line
+                    key={scenario.id}
+                    type="monotone"
+                    dataKey={scenario.id}
+                    name={scenario.name}
+                    stroke={SCENARIO_COLORS[index]}
+                    strokeWidth={2}
+                    connectNulls
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* Difference from the baseline in the month being viewed */}
+          <p className="text-xs text-white/60 mt-4 mb-2">
+            Month {currentMonth}: difference from "{compared[0].name}"
+          </p>
+          <div className="h-40">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart
+                data={monthDiff.slice(1).map((row) => ({
+                  name: row.name,
+                  diff: row.diff[metric] ?? 0,
+                }))}
+              >
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.2)" />
+                <XAxis dataKey="name" stroke="#FFFFFF" fontSize={12} />
+                <YAxis stroke="#FFFFFF" fontSize={12} />
+                <Tooltip
+                  contentStyle={tooltipStyle}
+                  formatter={(value) => formatDiff(value, metric)}
+                />
+                <ReferenceLine y={0} stroke="rgba(255, 255, 255, 0.5)" />
+                <Bar dataKey="diff" name={SCENARIO_METRICS[metric].label} fill={SCENARIO_COLORS[1]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <table className="w-full mt-3 text-xs text-white/80">
+            <thead>
+              <tr className="text-white/50">
+                <th className="text-left font-medium py-1">Scenario</th>
+                {Object.entries(SCENARIO_METRICS).map(([key, config]) => (
+                  <th key={key} className="text-right font-medium py-1">
+                    {config.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {monthDiff.map((row, index) => (
+                <tr key={row.id} className="border-t border-white/5">
+                  <td className="py-1 pr-2">
+                    <span
+                      className="inline-block w-2 h-2 rounded-full mr-2"
+                      style={{ backgroundColor: SCENARIO_COLORS[index] }}
+                    />
+                    {row.name}
+                  </td>
+                  {Object.keys(SCENARIO_METRICS).map((key) => (
+                    <td key={key} className="text-right py-1">
+                      {formatValue(row.values?.[key], key)}
+                      {index > 0 && (
+                        <span
+                          className={`ml-1 ${
+                            !row.diff[key]
+                              ? "text-white/40"
+                              : row.diff[key] > 0 === SCENARIO_METRICS[key].higherIsBetter
+                              ? "text-green-400"
+                              : "text-red-400"
+                          }`}
+                        >
+                          ({formatDiff(row.diff[key], key)})
+                        </span>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FinancialScenarioPanel;
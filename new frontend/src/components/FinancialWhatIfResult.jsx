@@ -0,0 +1,130 @@
+import React from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { FlaskConical, AlertCircle } from "lucide-react";
+import { describeChange } from "../utils/financialWhatIf";
+
+const tooltipStyle = {
+  backgroundColor: "rgba(0, 0, 0, 0.85)",
+  border: "1px solid rgba(59, 130, 246, 0.5)",
+  borderRadius: "12px",
+  color: "#FFFFFF",
+};
+
+const formatMoney = (value) =>
+  `${value < 0 ? "−" : ""}₹${Math.round(Math.abs(value)).toLocaleString()}`;
+
+const formatDiff = (value) => {
+  if (value === 0) return "±0";
+  return `${value > 0 ? "+" : "−"}${formatMoney(Math.abs(value))}`;
+};
+
+const diffColor = (metric) => {
+  if (metric.diff === 0) return "text-white/60";
+  return (metric.diff > 0) === metric.higherIsBetter ? "text-green-400" : "text-red-400";
+};
+
+/**
+ * Financial What-If Result
+ * Shown under an advisor answer that ran a what-if: the changes simulated,
+ * how the key figures moved and net worth month by month, before and after
+ */
+const FinancialWhatIfResult = ({ whatIf }) => {
+  const { applied = [], unmatched = [], comparison, error } = whatIf;
+
+  return (
+    <div className="mt-3 rounded-lg border border-purple-500/30 bg-purple-900/10 p-3">
+      <div className="flex items-center flex-wrap gap-2 mb-2">
+        <FlaskConical size={14} className="text-purple-300" />
+        <span className="text-xs font-medium text-purple-200">What-if simulation</span>
+        {applied.map((change, index) => (
+          <span
+            key={index}
+            className="text-xs rounded-full bg-purple-600/30 border border-purple-500/40 px-2 py-0.5 text-purple-100"
+          >
+            {describeChange(change)}
+          </span>
+        ))}
+      </div>
+
+      {unmatched.length > 0 && (
+        <p className="text-xs text-yellow-200/80 mb-2">
+          No matching expense for: {unmatched.map((change) => change.target).join(", ")}
+        </p>
+      )}
+
+      {error && (
+        <p className="flex items-center text-xs text-red-300">
+          <AlertCircle size={12} className="mr-1" />
+          {error}
+        </p>
+      )}
+
+      {comparison && (
+        <>
+          <div className="grid grid-cols-2 gap-2 mb-3">
+            {comparison.metrics.map((metric) => (
+              <div key={metric.key} className="rounded-md bg-gray-900/40 px-2 py-1.5">
+                <p className="text-[11px] text-white/60">{metric.label}</p>
+                <p className="text-sm text-white">
+                  {formatMoney(metric.scenario)}{" "}
+                  <span className={`text-xs ${diffColor(metric)}`}>{formatDiff(metric.diff)}</span>
+                </p>
+              </div>
+            ))}
+          </div>
+
+          <p className="text-[11px] text-white/60 mb-1">
+            Net worth over {comparison.months} months
+          </p>
+          <div className="h-40">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={comparison.rows}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+                <XAxis dataKey="month" stroke="rgba(255,255,255,0.6)" fontSize={10} />
+                <YAxis
+                  stroke="rgba(255,255,255,0.6)"
+                  fontSize={10}
+                  width={48}
+                  tickFormatter={(value) => `${Math.round(value / 1000)}k`}
+                />
+                <Tooltip
+                  contentStyle={tooltipStyle}
+                  formatter={(value) => formatMoney(value)}
+                  labelFormatter={(month) => `Month ${month}`}
+                />
+                <Legend wrapperStyle={{ fontSize: 11 }} />
+                <Line
+                  type="monotone"
+                  dataKey="baseline"
+                  name="Now"
+                  stroke="#3B82F6"
+                  strokeDasharray="4 4"
+                  dot={false}
+                />
+                <Line
+                  type="monotone"
+                  dataKey="scenario"
+                  name="What-if"
+                  stroke="#A855F7"
+                  strokeWidth={2}
+                  dot={false}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FinancialWhatIfResult;
@@ -0,0 +1,92 @@
+import React from "react";
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+
+const formatDate = (date) => {
+  const [year, month, day] = String(date).split("-");
+  return day ? `${month}/${day}/${year.slice(2)}` : date;
+};
+
+const formatTooltipValue = (value) => {
+  if (Array.isArray(value)) {
+    return `${value[0]?.toFixed(2)} – ${value[1]?.toFixed(2)}`;
+  }
+  return typeof value === "number" ? value.toFixed(2) : value;
+};
+
+/**
+ * Forecast Chart
+ * Observed values and forecast lines over a shaded prediction interval.
+ * Rows come from buildForecastChartRows or buildBacktestChartRows; `band`
+ * holds each row's [lower, upper] interval.
+ */
+const ForecastChart = ({ rows, lines, bandLabel = "95% interval", bandColor = "#FF9933", height = "h-96" }) => (
+  <div className={height}>
+    <ResponsiveContainer width="100%" height="100%">
+      <ComposedChart data={rows}>
+        <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.2)" />
+        <XAxis
+          dataKey="date"
+          stroke="#FFFFFF"
+          fontSize={12}
+          tickFormatter={formatDate}
+          minTickGap={24}
+        />
+        <YAxis stroke="#FFFFFF" fontSize={12} />
+        <Tooltip
+          contentStyle={{
+            backgroundColor: "rgba(0, 0, 0, 0.85)",
+            border: "2px solid #FFD700",
+            borderRadius: "12px",
+            color: "#FFFFFF",
+          }}
+          labelFormatter={formatDate}
+          formatter={formatTooltipValue}
+        />
+        <Legend />
+        <Area
+          type="monotone"
+          dataKey="band"
+          name={bandLabel}
+          stroke="none"
+          fill={bandColor}
+          fillOpacity={0.2}
+          connectNulls
+          isAnimationActive={false}
+        />
+        <Line
+          type="monotone"
+          dataKey="actual"
+          name="Observed"
+          stroke="#D6A76C"
+          strokeWidth={2}
+          dot={false}
+        />
+        {lines.map((line) => (
+          <Line
+            key={line.dataKey}
+            type="monotone"
+            dataKey={line.dataKey}
+            name={line.name}
+            stroke={line.color}
+            strokeWidth={line.width || 3}
+            strokeDasharray={line.dashed ? "5 5" : undefined}
+            dot={false}
+            connectNulls
+          />
+        ))}
+      </ComposedChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+export default ForecastChart;
@@ -0,0 +1,214 @@
+import React, { useState } from "react";
+import { createPortal } from "react-dom";
+import { AlertCircle, AlertTriangle, Info, ScanSearch, Wand2, X } from "lucide-react";
+import { formatModelSize } from "../utils/modelUtils";
+import { GLB_LIMITS, suggestOptimizeOptions } from "../utils/glbOptimizer";
+
+const selectClass =
+  "p-1.5 rounded-lg bg-white/10 border border-white/20 text-white text-sm focus:outline-none focus:border-orange-400/60";
+
+const ISSUE_STYLES = {
+  error: { icon: AlertCircle, className: "text-red-400 bg-red-500/10 border-red-500/30" },
+  warning: { icon: AlertTriangle, className: "text-yellow-400 bg-yellow-500/10 border-yellow-500/30" },
+  info: { icon: Info, className: "text-blue-400 bg-blue-500/10 border-blue-500/30" },
+};
+
+const TRIANGLE_TARGETS = [25000, 50000, 100000];
+const TEXTURE_SIZES = [512, 1024, 2048];
+
+const Stat = ({ label, value }) => (
+  <div className="p-2 rounded-lg bg-white/5 border border-white/10">
+    <div className="text-xs text-white/50">{label}</div>
+    <div className="text-sm text-white">{value}</div>
+  </div>
+);
+
+const IssueRow = ({ issue }) => {
+  const style = ISSUE_STYLES[issue.level] || ISSUE_STYLES.info;
+  const IssueIcon = style.icon;
+  return (
+    <li className={`flex items-start gap-2 p-2 rounded-lg border text-sm ${style.className}`}>
+      <IssueIcon className="w-4 h-4 mt-0.5 shrink-0" />
+      <span>{issue.message}</span>
+    </li>
+  );
+};
+
+/**
+ * GLB Inspection Dialog
+ * Shows the inspection report of an uploaded model, warns about what will
+ * render slowly or wrongly and offers to optimize it before it is saved.
+ * onDecision gets null to cancel, or { optimize, options }.
+ */
+const GlbInspectionDialog = ({ fileName, report, onDecision }) => {
+  const [options, setOptions] = useState(() => suggestOptimizeOptions(report));
+  const { geometry, textures, animations, morphTargets, skeleton, bounds, issues } = report;
+  const canOptimize = options.simplifyMeshes || options.resizeTextures || options.autoFit;
+
+  const toggle = (field) => (e) => setOptions((prev) => ({ ...prev, [field]: e.target.checked }));
+  const choose = (field) => (e) => setOptions((prev) => ({ ...prev, [field]: Number(e.target.value) }));
+
+  return createPortal(
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div
+        className="bg-white/10 backdrop-blur-lg rounded-2xl border border-white/20 p-6 max-w-2xl w-full max-h-[85vh] overflow-hidden flex flex-col"
+        style={{
+          background: "rgba(20, 20, 30, 0.85)",
+          backdropFilter: "blur(20px)",
+        }}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-white flex items-center gap-2 min-w-0">
+            <ScanSearch className="w-6 h-6 text-orange-400 shrink-0" />
+            <span className="truncate">Check {fileName}</span>
+          </h3>
+          <button
+            type="button"
+            onClick={() => onDecision(null)}
+            className="p-2 rounded-lg hover:bg-white/10 text-white/70 hover:text-white transition-colors"
+            title="Cancel upload"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="overflow-y-auto custom-scrollbar pr-1 space-y-4 flex-1">
+          {issues.length > 0 && (
+            <ul className="space-y-2">
+              {issues.map((issue, index) => (
+                <IssueRow key={`${issue.code}-${index}`} issue={issue} />
+              ))}
+            </ul>
+          )}
+
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            <Stat label="File size" value={formatModelSize(report.fileSize)} />
+            <Stat label="Triangles" value={geometry.triangles.toLocaleString()} />
+            <Stat label="Vertices" value={geometry.vertices.toLocaleString()} />
+            <Stat label="Meshes / materials" value={`${geometry.meshInstances} / ${geometry.materials}`} />
+            <Stat label="Textures" value={`${textures.count} (~${textures.memoryMB} MB GPU)`} />
+            <Stat label="Animations" value={animations.length} />
+            <Stat
+              label="Morph targets"
+              value={morphTargets.meshes ? `${morphTargets.maxTargets} on ${morphTargets.meshes} mesh${morphTargets.meshes === 1 ? "" : "es"}` : "None"}
+            />
+            <Stat
+              label="Skeleton"
+              value={skeleton.skins ? `${skeleton.joints} bones, ${skeleton.skinnedMeshes} skinned` : "None"}
+            />
+          </div>
+
+          {bounds && (
+            <p className="text-xs text-white/50">
+              Size {bounds.size.join(" × ")} units, centred at ({bounds.center.join(", ")})
+            </p>
+          )}
+
+          {textures.images.length > 0 && (
+            <div>
+              <h4 className="text-sm text-white/80 mb-1">Textures</h4>
+              <ul className="text-xs text-white/60 space-y-0.5">
+                {textures.images.map((image) => (
+                  <li
+                    key={image.index}
+                    className={Math.max(image.width || 0, image.height || 0) > GLB_LIMITS.textureSize ? "text-yellow-400" : ""}
+                  >
+                    {image.name}: {image.width ? `${image.width}×${image.height}` : "unknown size"}
+                    {image.mimeType && ` ${image.mimeType.replace("image/", "")}`}, {formatModelSize(image.bytes)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {animations.length > 0 && (
+            <div>
+              <h4 className="text-sm text-white/80 mb-1">Animations</h4>
+              <p className="text-xs text-white/60">
+                {animations.map((animation) => `${animation.name} (${animation.duration}s)`).join(", ")}
+              </p>
+            </div>
+          )}
+
+          {/* Optimization */}
+          <div className="p-3 rounded-lg bg-white/5 border border-white/10 space-y-3">
+            <h4 className="text-sm font-medium text-white flex items-center gap-2">
+              <Wand2 className="w-4 h-4 text-orange-400" />
+              Optimize before saving
+            </h4>
+            <label className="flex items-center justify-between gap-3 text-sm text-white/80">
+              <span className="flex items-center gap-2">
+                <input type="checkbox" checked={options.simplifyMeshes} onChange={toggle("simplifyMeshes")} />
+                Simplify meshes (softens fine detail)
+              </span>
+              <select
+                value={options.targetTriangles}
+                onChange={choose("targetTriangles")}
+                disabled={!options.simplifyMeshes}
+                className={selectClass}
+              >
+                {TRIANGLE_TARGETS.map((target) => (
+                  <option key={target} value={target} className="bg-gray-900">
+                    {target.toLocaleString()} triangles
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center justify-between gap-3 text-sm text-white/80">
+              <span className="flex items-center gap-2">
+                <input type="checkbox" checked={options.resizeTextures} onChange={toggle("resizeTextures")} />
+                Shrink PNG and JPEG textures
+              </span>
+              <select
+                value={options.maxTextureSize}
+                onChange={choose("maxTextureSize")}
+                disabled={!options.resizeTextures}
+                className={selectClass}
+              >
+                {TEXTURE_SIZES.map((size) => (
+                  <option key={size} value={size} className="bg-gray-900">
+                    {size}px
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2 text-sm text-white/80">
+              <input type="checkbox" checked={options.autoFit} onChange={toggle("autoFit")} />
+              Centre the model and scale it to avatar size
+            </label>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 pt-4 mt-4 border-t border-white/10">
+          <button
+            type="button"
+            onClick={() => onDecision(null)}
+            className="px-4 py-2 rounded-lg text-white/70 hover:text-white hover:bg-white/10 transition-colors text-sm"
+          >
+            Cancel upload
+          </button>
+          <button
+            type="button"
+            onClick={() => onDecision({ optimize: false, options })}
+            className="px-4 py-2 rounded-lg bg-white/10 border border-white/20 text-white hover:bg-white/20 transition-colors text-sm"
+          >
+            Save as is
+          </button>
+          <button
+            type="button"
+            onClick={() => onDecision({ optimize: true, options })}
+            disabled={!canOptimize}
+            className="px-4 py-2 rounded-lg bg-orange-500 hover:bg-orange-600 text-white transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Optimize and save
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default GlbInspectionDialog;
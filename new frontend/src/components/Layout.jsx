@@ -9,6 +9,7 @@ import { LoaderProvider, useLoader } from "../context/LoaderContext";
 import { VideoProvider, useVideo } from "../context/VideoContext";
 import { useTimeTracking } from "../hooks/useTimeTracking";
 import { useAvatarPersistence } from "../hooks/useAvatarPersistence";
+import { useGeneratedModelDelivery } from "../hooks/useModelGeneration";
 import SessionTracker from "./SessionTracker";
 import GlobalPinnedAvatar from "./GlobalPinnedAvatar";
 
@@ -24,6 +25,8 @@ function LayoutContent({ children }) {
 
   // Initialize avatar persistence for global state management
   useAvatarPersistence();
+  // Resume queued 3D generations and add finished models to favorites
+  useGeneratedModelDelivery();
 
   // Save the current path whenever the location changes
   useEffect(() => {
@@ -1,10 +1,13 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { formatLessonContent } from '../utils/contentFormatter';
+import { toLessonDocument, lessonDocumentToMarkdown } from '../utils/lessonDocument';
 import '../styles/lessonRenderer.css';
 
 /**
  * LessonLiveRenderer - Component for rendering lesson content line by line with typing effect
- * Similar to chatbot streaming but optimized for lesson content display
+ * Similar to chatbot streaming but optimized for lesson content display.
+ * `content` is lesson text or a structured lesson document; documents are
+ * typed out as the markdown they serialize to.
  */
 export const LessonLiveRenderer = ({
   content = '',
@@ -23,8 +26,13 @@ export const LessonLiveRenderer = ({
   const [userHasScrolled, setUserHasScrolled] = useState(false);
   const contentRef = useRef(null);
 
+  const text = useMemo(
+    () => (typeof content === 'string' ? content : lessonDocumentToMarkdown(toLessonDocument(content))),
+    [content]
+  );
+
   // Split content into lines for progressive rendering
-  const lines = content ? content.split('\n').filter(line => line.trim()) : [];
+  const lines = text ? text.split('\n').filter(line => line.trim()) : [];
 
   // Smart auto-scroll: only scroll to bottom if user hasn't manually scrolled up
   useEffect(() => {
@@ -54,14 +62,14 @@ export const LessonLiveRenderer = ({
 
   // Start rendering when content changes
   useEffect(() => {
-    if (content && autoStart && !isRendering) {
+    if (text && autoStart && !isRendering) {
       setDisplayedContent('');
       setCurrentLineIndex(0);
       setCurrentCharIndex(0);
       setIsComplete(false);
       setIsRendering(true);
     }
-  }, [content, autoStart]);
+  }, [text, autoStart]);
 
   // Main rendering logic
   useEffect(() => {
@@ -117,7 +125,7 @@ export const LessonLiveRenderer = ({
 
   // Skip to end function
   const skipToEnd = () => {
-    setDisplayedContent(content);
+    setDisplayedContent(text);
     setIsComplete(true);
     setIsRendering(false);
     if (onComplete) onComplete();
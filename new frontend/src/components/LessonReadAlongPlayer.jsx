@@ -0,0 +1,200 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { useTranslation } from "react-i18next";
+import { Play, Pause, RotateCcw, SkipBack, SkipForward, Loader2 } from "lucide-react";
+import { buildNarrationScript } from "../utils/lessonNarration";
+import { useLessonNarration, NARRATION_RATES } from "../hooks/useLessonNarration";
+import "../styles/lessonRenderer.css";
+
+/**
+ * LessonReadAlongPlayer - Narrates a lesson document and highlights the
+ * sentence being spoken. Students can play, pause, change speed, jump to a
+ * section or click any sentence to continue from there; progress is saved
+ * so the lesson resumes where they stopped.
+ */
+export const LessonReadAlongPlayer = ({
+  content = "",
+  lessonKey,
+  userId,
+  autoPlay = false,
+  className = "",
+}) => {
+  const { t } = useTranslation();
+  const script = useMemo(() => buildNarrationScript(content), [content]);
+  const { blocks, sections, sentences } = script;
+  const { position, state, rate, resumedFrom, play, pause, seek, restart, setRate } =
+    useLessonNarration(script, { lessonKey, userId, autoPlay });
+  const contentRef = useRef(null);
+
+  const current = sentences[position];
+  const isActive = state === "playing" || state === "loading";
+  const progress = sentences.length > 0 ? ((position + (state === "ended" ? 1 : 0)) / sentences.length) * 100 : 0;
+
+  // Highlight the current sentence and keep it in view
+  useEffect(() => {
+    const container = contentRef.current;
+    if (!container) return;
+
+    container.querySelectorAll(".lesson-sentence-active").forEach((element) => {
+      element.classList.remove("lesson-sentence-active");
+    });
+    if (state === "idle" && resumedFrom === null && position === 0) return;
+
+    const spans = container.querySelectorAll(`[data-sentence="${position}"]`);
+    spans.forEach((element) => element.classList.add("lesson-sentence-active"));
+
+    const first = spans[0];
+    if (first && isActive) {
+      const containerRect = container.getBoundingClientRect();
+      const rect = first.getBoundingClientRect();
+      if (rect.top < containerRect.top || rect.bottom > containerRect.bottom) {
+        container.scrollTo({
+          top: container.scrollTop + rect.top - containerRect.top - container.clientHeight / 3,
+          behavior: "smooth",
+        });
+      }
+    }
+  }, [position, state, resumedFrom, isActive, blocks]);
+
+  // Clicking a sentence (or anywhere in its paragraph) continues from there
+  const handleContentClick = (event) => {
+    const sentence = event.target.closest("[data-sentence]");
+    if (sentence) {
+      seek(Number(sentence.dataset.sentence));
+      return;
+    }
+    const block = blocks[Number(event.target.closest("[data-block]")?.dataset.block)];
+    // Code, media and sources aren't narrated, so they aren't seek targets
+    if (block && block.lastSentence >= block.firstSentence) {
+      seek(block.firstSentence);
+    }
+  };
+
+  if (sentences.length === 0) {
+    return (
+      <div className="text-white/70 text-center py-8">
+        <p>{t("No content available to display.")}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`lesson-read-along ${className}`}>
+      {/* Player controls */}
+      <div className="flex flex-wrap items-center gap-3 mb-4 bg-black/20 border border-white/10 rounded-2xl px-4 py-3">
+        <button
+          onClick={() => seek(position - 1)}
+          disabled={position === 0}
+          className="p-2 rounded-full text-white/70 hover:text-white hover:bg-white/10 disabled:opacity-30 transition-colors"
+          title={t("Previous sentence")}
+        >
+          <SkipBack className="w-4 h-4" />
+        </button>
+        <button
+          onClick={isActive ? pause : play}
+          className="p-3 rounded-full bg-amber-500/80 hover:bg-amber-500 text-white shadow-lg transition-colors"
+          title={isActive ? t("Pause") : t("Play")}
+        >
+          {state === "loading" ? (
+            <Loader2 className="w-5 h-5 animate-spin" />
+          ) : isActive ? (
+            <Pause className="w-5 h-5" />
+          ) : (
+            <Play className="w-5 h-5" />
+          )}
+        </button>
+        <button
+          onClick={() => seek(position + 1)}
+          disabled={position >= sentences.length - 1}
+          className="p-2 rounded-full text-white/70 hover:text-white hover:bg-white/10 disabled:opacity-30 transition-colors"
+          title={t("Next sentence")}
+        >
+          <SkipForward className="w-4 h-4" />
+        </button>
+        <button
+          onClick={restart}
+          className="p-2 rounded-full text-white/70 hover:text-white hover:bg-white/10 transition-colors"
+          title={t("Start over")}
+        >
+          <RotateCcw className="w-4 h-4" />
+        </button>
+
+        {sections.length > 1 && (
+          <select
+            value={current?.sectionIndex ?? 0}
+            onChange={(e) => seek(sections[Number(e.target.value)].firstSentence, { play: isActive })}
+            className="bg-white/10 border border-white/20 rounded-lg px-3 py-1.5 text-sm text-white max-w-[14rem] truncate"
+            title={t("Jump to section")}
+          >
+            {sections.map((section, index) => (
+              <option key={section.firstSentence} value={index} className="bg-gray-900">
+                {section.title || t("Introduction")}
+              </option>
+            ))}
+          </select>
+        )}
+
+        <select
+          value={rate}
+          onChange={(e) => setRate(Number(e.target.value))}
+          className="bg-white/10 border border-white/20 rounded-lg px-3 py-1.5 text-sm text-white"
+          title={t("Speed")}
+        >
+          {NARRATION_RATES.map((value) => (
+            <option key={value} value={value} className="bg-gray-900">
+              {value}×
+            </option>
+          ))}
+        </select>
+
+        <span className="ml-auto text-xs text-white/60">
+          {t("Sentence")} {position + 1} / {sentences.length}
+        </span>
+      </div>
+
+      {/* Progress through the lesson */}
+      <div className="h-1 w-full bg-white/10 rounded-full mb-4 overflow-hidden">
+        <div className="h-full bg-amber-400 transition-all duration-300" style={{ width: `${progress}%` }} />
+      </div>
+
+      {resumedFrom !== null && state === "idle" && (
+        <div className="flex flex-wrap items-center gap-3 mb-4 bg-amber-500/10 border border-amber-500/30 rounded-xl px-4 py-3 text-sm text-amber-200">
+          <span>{t("You stopped part way through this lesson.")}</span>
+          <button
+            onClick={play}
+            className="px-3 py-1 bg-amber-500/30 hover:bg-amber-500/50 rounded-lg text-white transition-colors"
+          >
+            {t("Resume")}
+          </button>
+          <button
+            onClick={restart}
+            className="px-3 py-1 bg-white/10 hover:bg-white/20 rounded-lg text-white/80 transition-colors"
+          >
+            {t("Start over")}
+          </button>
+        </div>
+      )}
+
+      {/* Lesson text */}
+      <div
+        ref={contentRef}
+        onClick={handleContentClick}
+        className="lesson-content text-white/95 leading-relaxed text-lg w-full max-w-none max-h-[70vh] overflow-y-auto custom-scrollbar"
+      >
+        <div className="font-sans prose prose-invert max-w-none w-full overflow-x-hidden break-words">
+          {blocks.map((block, index) => (
+            <div
+              key={index}
+              data-block={index}
+              className={`lesson-read-along-block ${
+                current?.blockIndex === index && state !== "idle" ? "lesson-read-along-block-active" : ""
+              }`}
+              dangerouslySetInnerHTML={{ __html: block.html }}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LessonReadAlongPlayer;
@@ -13,6 +13,8 @@ import {
   FileDigit,
   UserCircle,
   TrendingUp,
+  Library,
+  Brain,
 } from "lucide-react";
 import MediaViewer from "./MediaViewer";
 import {
@@ -49,9 +51,11 @@ export default function MobileBottomNavigation() {
     { icon: FileDigit, label: "Summarizer", href: "/learn" },
     { icon: FileTextIcon, label: "Test", href: "/test" },
     { icon: Video, label: "Lectures", href: "/lectures" },
+    { icon: Library, label: "Library", href: "/library" },
     { icon: Cpu, label: "Agent Simulator", href: "/agent-simulator" },
-    { icon: TrendingUp, label: "Forecasting", href: "/forecasting-simple" },
+    { icon: TrendingUp, label: "Forecasting", href: "/forecasting" },
     { icon: UserCircle, label: "Avatar", href: "/avatar-selection" },
+    { icon: Brain, label: "Memories", href: "/memory" },
     { icon: Settings, label: "Settings", href: "/settings" },
   ];
 
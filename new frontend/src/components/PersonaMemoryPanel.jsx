@@ -0,0 +1,155 @@
+import React, { useState } from "react";
+import { useTranslation } from "react-i18next";
+import { Brain, Check, Loader2, Pencil, Trash2, X } from "lucide-react";
+import { toast } from "react-hot-toast";
+import {
+  useUpdateMemoryMutation,
+  useDeleteMemoryMutation,
+  getMemoryErrorMessage,
+} from "../api/memoryApiSlice";
+import { usePersonaMemories } from "../hooks/usePersonaMemory";
+
+function MemoryItem({ memory, personaId, compact }) {
+  const { t } = useTranslation();
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(memory.content);
+  const [updateMemory, { isLoading: isSaving }] = useUpdateMemoryMutation();
+  const [deleteMemory, { isLoading: isForgetting }] = useDeleteMemoryMutation();
+
+  const handleSave = async () => {
+    const content = draft.trim();
+    if (!content || content === memory.content) {
+      setIsEditing(false);
+      return;
+    }
+    try {
+      await updateMemory({ memoryId: memory.memory_id, personaId, updateData: { content } }).unwrap();
+      setIsEditing(false);
+    } catch (error) {
+      toast.error(getMemoryErrorMessage(error));
+    }
+  };
+
+  const handleForget = async () => {
+    if (!window.confirm(t("Forget this memory?"))) return;
+    try {
+      await deleteMemory({ memoryId: memory.memory_id, personaId }).unwrap();
+      toast.success(t("Memory forgotten"));
+    } catch (error) {
+      toast.error(getMemoryErrorMessage(error));
+    }
+  };
+
+  return (
+    <li className={`rounded-lg border border-white/10 bg-white/5 ${compact ? "p-2" : "p-3"}`}>
+      {isEditing ? (
+        <>
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={compact ? 2 : 3}
+            maxLength={10000}
+            className="w-full bg-black/30 border border-white/20 rounded p-2 text-xs text-white focus:outline-none focus:border-orange-400"
+          />
+          <div className="flex justify-end gap-1 mt-1">
+            <button
+              onClick={() => {
+                setDraft(memory.content);
+                setIsEditing(false);
+              }}
+              className="p-1 rounded text-white/60 hover:text-white hover:bg-white/10"
+              title={t("Cancel")}
+            >
+              <X className="w-3 h-3" />
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="p-1 rounded text-green-300 hover:text-green-200 hover:bg-white/10 disabled:opacity-50"
+              title={t("Save")}
+            >
+              {isSaving ? <Loader2 className="w-3 h-3 animate-spin" /> : <Check className="w-3 h-3" />}
+            </button>
+          </div>
+        </>
+      ) : (
+        <div className="flex items-start gap-2">
+          <div className="min-w-0 flex-1">
+            <p className={`text-white/90 whitespace-pre-wrap break-words ${compact ? "text-xs" : "text-sm"}`}>
+              {memory.content}
+            </p>
+            <p className="text-[10px] text-white/40 mt-1">
+              {new Date(memory.timestamp).toLocaleDateString()} · {memory.content_type}
+              {!compact && ` · ${t("importance")} ${memory.metadata?.importance ?? "-"}/10`}
+            </p>
+          </div>
+          <button
+            onClick={() => setIsEditing(true)}
+            className="p-1 rounded text-white/50 hover:text-white hover:bg-white/10"
+            title={t("Edit memory")}
+          >
+            <Pencil className="w-3 h-3" />
+          </button>
+          <button
+            onClick={handleForget}
+            disabled={isForgetting}
+            className="p-1 rounded text-white/50 hover:text-red-300 hover:bg-white/10 disabled:opacity-50"
+            title={t("Forget")}
+          >
+            {isForgetting ? <Loader2 className="w-3 h-3 animate-spin" /> : <Trash2 className="w-3 h-3" />}
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+/**
+ * PersonaMemoryPanel - What a persona remembers about the user, with edit and
+ * forget for each memory. Lists the persona's memories, or the ones matching
+ * searchQuery when given.
+ */
+export default function PersonaMemoryPanel({
+  personaId,
+  personaName,
+  userId,
+  searchQuery = "",
+  compact = false,
+}) {
+  const { t } = useTranslation();
+  const { memories, isLoading, error } = usePersonaMemories(personaId, userId, { searchQuery });
+
+  if (isLoading && memories.length === 0) {
+    return (
+      <div className="flex items-center gap-2 text-xs text-white/60 py-3">
+        <Loader2 className="w-3 h-3 animate-spin" />
+        {t("Loading memories...")}
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-xs text-red-300 py-3">{getMemoryErrorMessage(error)}</p>;
+  }
+
+  if (memories.length === 0) {
+    return (
+      <div className="flex flex-col items-center text-center py-4 text-white/50">
+        <Brain className="w-6 h-6 mb-2" />
+        <p className="text-xs">
+          {searchQuery.trim()
+            ? t("No memories match your search.")
+            : t("{{name}} doesn't remember anything about you yet.", { name: personaName })}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <ul className="space-y-2">
+      {memories.map((memory) => (
+        <MemoryItem key={memory.memory_id} memory={memory} personaId={personaId} compact={compact} />
+      ))}
+    </ul>
+  );
+}
@@ -15,6 +15,8 @@ import {
   FileDigit,
   UserCircle,
   TrendingUp,
+  Library,
+  Brain,
 } from "lucide-react";
 
 export default function Sidebar({ collapsed = false, onToggle }) {
@@ -34,9 +36,11 @@ export default function Sidebar({ collapsed = false, onToggle }) {
       { icon: MessageSquare, label: "Chatbot", href: "/chatbot" },
       { icon: FileTextIcon, label: "Test", href: "/test" },
       { icon: Video, label: "Lectures", href: "/lectures" },
+      { icon: Library, label: "Library", href: "/library" },
       { icon: Cpu, label: "Agent Simulator", href: "/agent-simulator" },
-      { icon: TrendingUp, label: "Forecasting", href: "/forecasting-simple" },
+      { icon: TrendingUp, label: "Forecasting", href: "/forecasting" },
       { icon: UserCircle, label: "Avatar", href: "/avatar-selection" },
+      { icon: Brain, label: "Memories", href: "/memory" },
     ],
     []
   );
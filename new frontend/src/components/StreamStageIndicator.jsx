@@ -0,0 +1,67 @@
+import React from "react";
+import { Check } from "lucide-react";
+
+/**
+ * StreamStageIndicator - Shows the progress stages reported by a stream
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.stages - Stages from streamingClient ({ stage, message, status })
+ * @param {boolean} props.isStreaming - Whether the stream is still open
+ * @param {string} props.accentColor - Color used for the active stage (default: "#FF9933")
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element|null} - Stage list, or null when there are no stages yet
+ */
+export default function StreamStageIndicator({
+  stages = [],
+  isStreaming = false,
+  accentColor = "#FF9933",
+  className = "",
+}) {
+  if (!stages.length) return null;
+
+  const completedCount = stages.filter((stage) => stage.status === "complete").length;
+  const percent = isStreaming
+    ? Math.min(95, Math.round(((completedCount + 0.5) / (stages.length + 1)) * 100))
+    : 100;
+
+  return (
+    <div className={`w-full ${className}`}>
+      <div className="w-full bg-white/10 rounded-full h-1 mb-3">
+        <div
+          className="h-1 rounded-full transition-all duration-500"
+          style={{ width: `${percent}%`, backgroundColor: accentColor }}
+        ></div>
+      </div>
+      <ol className="flex flex-wrap gap-2">
+        {stages.map((stage) => {
+          const isActive = stage.status === "active" && isStreaming;
+          const isComplete = stage.status === "complete" || (!isStreaming && stage.status === "active");
+          const isWarning = stage.status === "warning";
+
+          return (
+            <li
+              key={stage.stage}
+              className={`flex items-center gap-1.5 px-3 py-1 rounded-full text-xs border ${
+                isWarning
+                  ? "bg-yellow-500/10 border-yellow-500/30 text-yellow-300"
+                  : isActive
+                    ? "bg-white/10 border-white/30 text-white"
+                    : "bg-white/5 border-white/10 text-white/60"
+              }`}
+            >
+              {isComplete ? (
+                <Check className="w-3 h-3 text-green-400" />
+              ) : (
+                <span
+                  className={`w-2 h-2 rounded-full ${isActive ? "animate-pulse" : ""}`}
+                  style={{ backgroundColor: isWarning ? "#FACC15" : accentColor }}
+                ></span>
+              )}
+              <span>{stage.message}</span>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
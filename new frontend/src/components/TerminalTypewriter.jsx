@@ -52,14 +52,17 @@ export default function TerminalTypewriter({
 
 /**
  * TerminalMessage - Wrapper component for terminal-style messages
+ * `immediate` skips the short reveal delay, e.g. for answers that were
+ * already shown while streaming in
  */
 export function TerminalMessage({
   message,
   isUser = false,
   isTyping = false,
-  onTypingComplete = null
+  onTypingComplete = null,
+  immediate = false
 }) {
-  const [showMessage, setShowMessage] = useState(isUser);
+  const [showMessage, setShowMessage] = useState(isUser || immediate);
 
   useEffect(() => {
     if (!isUser && !showMessage) {
@@ -100,6 +103,9 @@ export function TerminalMessage({
         ) : (
           message.content
         )}
+        {message.isStopped && (
+          <span className="text-white/40 italic"> [stopped]</span>
+        )}
       </div>
     </div>
   );
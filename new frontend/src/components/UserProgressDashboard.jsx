@@ -7,7 +7,8 @@ import {
   BookOpen, 
   Target,
   Brain,
-  Zap
+  Zap,
+  Clock
 } from "lucide-react";
 import GlassContainer from "./GlassContainer";
 import GlassButton from "./GlassButton";
@@ -15,6 +16,7 @@ import GlassButton from "./GlassButton";
 const UserProgressDashboard = ({ 
   userProgress, 
   userAnalytics, 
+  quizHistory,
   onTriggerIntervention, 
   isLoadingProgress = false,
   isLoadingAnalytics = false,
@@ -35,7 +37,7 @@ const UserProgressDashboard = ({
     );
   }
 
-  if (!userProgress && !userAnalytics) {
+  if (!userProgress && !userAnalytics && !quizHistory?.attemptCount) {
     return (
       <GlassContainer className="p-6 text-center">
         <Brain className="w-12 h-12 text-white/50 mx-auto mb-3" />
@@ -51,7 +53,10 @@ const UserProgressDashboard = ({
   const analyticsData = userAnalytics || {};
   
   // Extract key metrics
-  const quizScores = progressData.quiz_scores || analyticsData.orchestration_data?.orchestration_session?.educational_progress?.quiz_scores || [];
+  const serverQuizScores = progressData.quiz_scores || analyticsData.orchestration_data?.orchestration_session?.educational_progress?.quiz_scores || [];
+  // Fall back to locally stored quiz attempts when the server has no scores yet
+  const quizScores = serverQuizScores.length > 0 ? serverQuizScores : quizHistory?.quizScores || [];
+  const quizTopics = quizHistory?.topics || [];
   const averageScore = quizScores.length > 0 ? quizScores.reduce((a, b) => a + b, 0) / quizScores.length : null;
   const latestScore = quizScores.length > 0 ? quizScores[quizScores.length - 1] : null;
   const lessonCount = analyticsData.lesson_count || 0;
@@ -179,6 +184,37 @@ const UserProgressDashboard = ({
         </GlassContainer>
       )}
 
+      {/* Quiz Topics from attempt history */}
+      {quizTopics.length > 0 && (
+        <GlassContainer className="p-6">
+          <h4 className="text-lg font-semibold text-white mb-4">Quiz Topics</h4>
+          <div className="space-y-3">
+            {quizTopics.map((topicStats) => (
+              <div
+                key={`${topicStats.subject}-${topicStats.topic}`}
+                className="flex items-center justify-between p-4 rounded-lg bg-white/5 border border-white/10"
+              >
+                <div>
+                  <p className="text-white font-medium">{topicStats.subject}: {topicStats.topic}</p>
+                  <p className="text-white/60 text-sm">
+                    {topicStats.attemptCount} attempt{topicStats.attemptCount === 1 ? "" : "s"} •
+                    avg {Math.round(topicStats.averageScore)}% • best {Math.round(topicStats.bestScore)}%
+                    {topicStats.averageTimePerQuestion !== null && (
+                      <span className="ml-1">
+                        • <Clock className="w-3 h-3 inline" /> {Math.round(topicStats.averageTimePerQuestion)}s/question
+                      </span>
+                    )}
+                  </p>
+                </div>
+                <span className="bg-blue-500/20 text-blue-300 px-3 py-1 rounded-full text-xs capitalize">
+                  Next: {topicStats.nextDifficulty}
+                </span>
+              </div>
+            ))}
+          </div>
+        </GlassContainer>
+      )}
+
       {/* Recommendations */}
       {recommendations.length > 0 && (
         <GlassContainer className="p-6">
@@ -40,12 +40,50 @@ export const PIPELINE_API_BASE_URL = getEnvVar(
   isDevelopment ? 'http://localhost:8000' : 'https://pipeline-24-master-1.onrender.com'
 );
 
-// UniGuru API Base URL
+// UniGuru API Base URL (served by the base backend in local development)
 export const UNIGURU_API_BASE_URL = getEnvVar(
   'VITE_UNIGURU_API_BASE_URL',
-  isDevelopment ? 'https://e7d45d4c3f30.ngrok-free.app' : 'https://api.gurukul.com'
+  isDevelopment ? 'http://localhost:8000' : 'https://api.gurukul.com'
+);
+
+// Orchestration API Base URL (forecasting and wellness agents)
+export const ORCHESTRATION_API_BASE_URL = getEnvVar(
+  'VITE_ORCHESTRATION_API_BASE_URL',
+  isDevelopment ? 'http://localhost:8006' : 'https://api.gurukul.com'
+);
+
+// TTS API Base URL
+export const TTS_API_BASE_URL = getEnvVar(
+  'VITE_TTS_API_BASE_URL',
+  isDevelopment ? 'http://localhost:8007' : 'https://api.gurukul.com'
+);
+
+// Chat Sync API Base URL (per-user server copy of chat sessions). Only a
+// mock server exists so far, so production builds leave syncing off unless
+// a URL is configured
+export const CHAT_SYNC_API_BASE_URL = getEnvVar(
+  'VITE_CHAT_SYNC_API_BASE_URL',
+  isDevelopment ? 'http://localhost:8008' : ''
+);
+
+// Memory API Base URL (persona memories for the avatar chat)
+export const MEMORY_API_BASE_URL = getEnvVar(
+  'VITE_MEMORY_API_BASE_URL',
+  isDevelopment ? 'http://localhost:8003' : 'https://api.gurukul.com'
 );
 
+// Vision API Base URL (AnimateDiff video generation, reached through the chat API's proxy)
+export const VISION_API_BASE_URL = getEnvVar(
+  'VITE_VISION_API_BASE_URL',
+  isDevelopment ? 'http://localhost:8501' : 'https://api.gurukul.com'
+);
+
+// Memory API bearer token. Anything set here ends up in the public bundle, so
+// only set it for local development; deployed builds should leave it empty
+// and reach the Memory API through a proxy that authenticates the user and
+// sets X-Authenticated-User to their ID
+export const MEMORY_API_KEY = getEnvVar('VITE_MEMORY_API_KEY', '');
+
 // Feature flags
 export const ENABLE_ANALYTICS = getEnvVar('VITE_ENABLE_ANALYTICS', 'false') === 'true';
 export const ENABLE_ERROR_REPORTING = getEnvVar('VITE_ENABLE_ERROR_REPORTING', 'true') === 'true';
@@ -0,0 +1,57 @@
+/**
+ * Agent Type Registry
+ * Every agent in the Agent Simulator has a type, and the type decides which
+ * backend handler answers it. Agents are user-editable definitions
+ * (see utils/agentRosterStorage.js); the handlers are fixed here.
+ */
+
+export const AGENT_TYPES = {
+  education: {
+    label: 'Education',
+    handler: 'EduMentor lesson generation',
+    description: 'Generates lessons for a subject and topic, then answers questions about them',
+    defaultColor: '#10B981',
+    // Uses the built-in subject/topic form instead of a custom input schema
+    builtInForm: true,
+  },
+  financial: {
+    label: 'Financial',
+    handler: 'Financial simulation',
+    description: 'Runs a monthly financial simulation from an income and expense profile',
+    defaultColor: '#3B82F6',
+    builtInForm: true,
+  },
+  wellness: {
+    label: 'Wellness',
+    handler: 'Wellness orchestration',
+    description: 'Gives emotional and financial wellness guidance',
+    defaultColor: '#F97316',
+    builtInForm: true,
+  },
+  custom: {
+    label: 'Custom',
+    handler: 'Agent chat',
+    description: 'Answers chat messages following its system prompt and input form',
+    defaultColor: '#8B5CF6',
+    builtInForm: false,
+  },
+};
+
+export const DEFAULT_AGENT_TYPE = 'custom';
+
+// Field types available in a custom agent's input form
+export const INPUT_FIELD_TYPES = {
+  text: 'Short text',
+  textarea: 'Long text',
+  number: 'Number',
+  select: 'Choice',
+  checkbox: 'Checkbox',
+};
+
+/**
+ * Look up a type, falling back to the custom handler for unknown types
+ * (e.g. from a roster exported by a newer version)
+ */
+export const getAgentType = (type) => AGENT_TYPES[type] || AGENT_TYPES[DEFAULT_AGENT_TYPE];
+
+export default AGENT_TYPES;
@@ -0,0 +1,169 @@
+/**
+ * Chat Model Registry
+ * The chat UIs render their model picker and per-message badges from the
+ * list served by the chat service (GET /models, see
+ * Backend/dedicated_chatbot_service/chat_models.py). The list below mirrors
+ * it and is used while that request is in flight or when the service is
+ * unreachable, so a new model only needs a backend entry.
+ */
+
+export const FALLBACK_CHAT_MODELS = [
+  {
+    id: 'grok',
+    displayName: 'Grok',
+    provider: 'groq',
+    description: 'Fast general-purpose answers',
+    capabilities: ['chat', 'streaming'],
+    contextLength: 8192,
+    color: '#FF9933',
+    isDefault: true,
+    available: true,
+  },
+  {
+    id: 'llama',
+    displayName: 'Llama',
+    provider: 'groq',
+    description: 'Open-weight Llama 3.1',
+    capabilities: ['chat', 'streaming'],
+    contextLength: 8192,
+    color: '#0080FF',
+    isDefault: false,
+    available: true,
+  },
+  {
+    id: 'gemma',
+    displayName: 'Gemma',
+    provider: 'groq',
+    description: 'Lightweight model for short answers',
+    capabilities: ['chat', 'streaming'],
+    contextLength: 8192,
+    color: '#E6B800',
+    isDefault: false,
+    available: true,
+  },
+  {
+    id: 'chatgpt',
+    displayName: 'ChatGPT',
+    provider: 'openai',
+    description: 'OpenAI GPT-3.5',
+    capabilities: ['chat', 'streaming'],
+    contextLength: 16385,
+    color: '#10A37F',
+    isDefault: false,
+    available: true,
+  },
+  {
+    id: 'uniguru',
+    displayName: 'UniGuru',
+    provider: 'groq',
+    description: "Gurukul's own tutor model",
+    capabilities: ['chat', 'streaming', 'tutoring'],
+    contextLength: 8192,
+    color: '#8000FF',
+    isDefault: false,
+    available: true,
+  },
+];
+
+export const DEFAULT_CHAT_MODEL_ID = 'grok';
+
+// Badge color for models the registry doesn't know, e.g. on old messages
+const UNKNOWN_MODEL_COLOR = '#8000FF';
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Convert the /models response into registry entries
+ * @param {Object} response - { models: [...] } from the chat service
+ * @returns {Array} Registry entries, or the fallback list if the response is unusable
+ */
+export const normalizeChatModels = (response) => {
+  const models = Array.isArray(response?.models) ? response.models : [];
+  const normalized = models
+    .filter((model) => model && typeof model.id === 'string' && model.id)
+    .map((model) => ({
+      id: model.id,
+      displayName: model.display_name || model.id,
+      provider: model.provider || '',
+      description: model.description || '',
+      capabilities: Array.isArray(model.capabilities) ? model.capabilities : [],
+      contextLength: Number(model.context_length) || null,
+      color: HEX_COLOR.test(model.color || '') ? model.color : UNKNOWN_MODEL_COLOR,
+      isDefault: Boolean(model.default),
+      available: model.available !== false,
+    }));
+
+  return normalized.length > 0 ? normalized : FALLBACK_CHAT_MODELS;
+};
+
+/**
+ * Find a model by ID. Unknown IDs still get a displayable entry.
+ * @param {Array} models - Registry entries
+ * @param {string} modelId - Model ID stored on a message or picked by the user
+ * @returns {Object} Registry entry
+ */
+export const getChatModel = (models, modelId) => {
+  const model = models.find((entry) => entry.id === modelId);
+  if (model) return model;
+
+  const id = modelId || DEFAULT_CHAT_MODEL_ID;
+  return {
+    id,
+    displayName: id.charAt(0).toUpperCase() + id.slice(1),
+    provider: '',
+    description: '',
+    capabilities: [],
+    contextLength: null,
+    color: UNKNOWN_MODEL_COLOR,
+    isDefault: false,
+    available: false,
+  };
+};
+
+/**
+ * The model new chats start with: the registry's default if it is
+ * available, otherwise the first available model
+ * @param {Array} models - Registry entries
+ * @returns {string} Model ID
+ */
+export const getDefaultChatModelId = (models) => {
+  const available = models.filter((model) => model.available);
+  const preferred = available.find((model) => model.isDefault) || available[0];
+  return preferred?.id || DEFAULT_CHAT_MODEL_ID;
+};
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}`;
+};
+
+/**
+ * Inline style for a model badge, derived from the model's accent color
+ * @param {Object} model - Registry entry
+ * @returns {Object} Style object
+ */
+export const getChatModelBadgeStyle = (model) => {
+  const rgb = hexToRgb(HEX_COLOR.test(model?.color || '') ? model.color : UNKNOWN_MODEL_COLOR);
+  return {
+    background: `linear-gradient(135deg, rgba(${rgb}, 0.3), rgba(${rgb}, 0.1))`,
+    border: `1px solid rgba(${rgb}, 0.3)`,
+    boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
+  };
+};
+
+/**
+ * Short description for the model picker tooltip
+ * @param {Object} model - Registry entry
+ * @returns {string} e.g. "Fast general-purpose answers · 8K context"
+ */
+export const describeChatModel = (model) => {
+  const parts = [model.description];
+  if (model.contextLength) {
+    parts.push(`${Math.round(model.contextLength / 1024)}K context`);
+  }
+  if (!model.available) {
+    parts.push('currently unavailable');
+  }
+  return parts.filter(Boolean).join(' · ');
+};
+
+export default FALLBACK_CHAT_MODELS;
@@ -0,0 +1,213 @@
+/**
+ * Service Endpoint Registry
+ * Resolves the base URL of every backend service the frontend talks to.
+ *
+ * Defaults come from config.js (VITE_* variables at build time). A JSON file
+ * served with the app (/endpoints.json by default) can override any service
+ * at runtime, so one build can point at local stand-ins, staging or production:
+ *
+ *   { "services": { "chat": "https://staging-chat.example.com" } }
+ */
+
+import {
+  API_BASE_URL,
+  CHAT_API_BASE_URL,
+  FINANCIAL_API_BASE_URL,
+  AGENT_API_BASE_URL,
+  PIPELINE_API_BASE_URL,
+  UNIGURU_API_BASE_URL,
+  ORCHESTRATION_API_BASE_URL,
+  TTS_API_BASE_URL,
+  CHAT_SYNC_API_BASE_URL,
+  MEMORY_API_BASE_URL,
+  VISION_API_BASE_URL,
+} from '../config';
+
+export const ENDPOINTS_CONFIG_URL =
+  import.meta.env.VITE_ENDPOINTS_CONFIG_URL || '/endpoints.json';
+
+// Known services, keyed by the name used throughout the app
+export const SERVICES = {
+  base: {
+    name: 'Base Backend',
+    envKey: 'VITE_API_BASE_URL',
+    defaultUrl: API_BASE_URL,
+  },
+  chat: {
+    name: 'Chat API',
+    envKey: 'VITE_CHAT_API_BASE_URL',
+    defaultUrl: CHAT_API_BASE_URL,
+  },
+  financial: {
+    name: 'Financial Simulator',
+    envKey: 'VITE_FINANCIAL_API_BASE_URL',
+    defaultUrl: FINANCIAL_API_BASE_URL,
+  },
+  agent: {
+    name: 'Agent & Quiz API',
+    envKey: 'VITE_AGENT_API_BASE_URL',
+    defaultUrl: AGENT_API_BASE_URL,
+  },
+  orchestration: {
+    name: 'Orchestration (Forecasting & Wellness)',
+    envKey: 'VITE_ORCHESTRATION_API_BASE_URL',
+    defaultUrl: ORCHESTRATION_API_BASE_URL,
+  },
+  pipeline: {
+    name: 'Lesson Pipeline',
+    envKey: 'VITE_PIPELINE_API_BASE_URL',
+    defaultUrl: PIPELINE_API_BASE_URL,
+  },
+  uniguru: {
+    name: 'UniGuru API',
+    envKey: 'VITE_UNIGURU_API_BASE_URL',
+    defaultUrl: UNIGURU_API_BASE_URL,
+  },
+  tts: {
+    name: 'Text-to-Speech',
+    envKey: 'VITE_TTS_API_BASE_URL',
+    defaultUrl: TTS_API_BASE_URL,
+  },
+  chatSync: {
+    name: 'Chat Sync',
+    envKey: 'VITE_CHAT_SYNC_API_BASE_URL',
+    defaultUrl: CHAT_SYNC_API_BASE_URL,
+  },
+  memory: {
+    name: 'Memory API',
+    envKey: 'VITE_MEMORY_API_BASE_URL',
+    defaultUrl: MEMORY_API_BASE_URL,
+  },
+  vision: {
+    name: 'Vision (Video Generation)',
+    envKey: 'VITE_VISION_API_BASE_URL',
+    defaultUrl: VISION_API_BASE_URL,
+  },
+};
+
+let overrides = {};
+const listeners = new Set();
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+const notifyListeners = () => {
+  listeners.forEach((listener) => {
+    try {
+      listener(getEndpointSnapshot());
+    } catch (error) {
+      console.error('Endpoint listener failed:', error);
+    }
+  });
+};
+
+/**
+ * Replace the runtime overrides
+ * @param {Object} serviceUrls - Map of service key to base URL
+ * @returns {Object} The overrides that were accepted
+ */
+export const setEndpointOverrides = (serviceUrls = {}) => {
+  const accepted = {};
+
+  Object.entries(serviceUrls).forEach(([service, url]) => {
+    if (!SERVICES[service]) {
+      console.warn(`Ignoring endpoint override for unknown service "${service}"`);
+      return;
+    }
+    if (typeof url !== 'string' || !url.trim()) {
+      console.warn(`Ignoring empty endpoint override for "${service}"`);
+      return;
+    }
+    accepted[service] = trimTrailingSlash(url.trim());
+  });
+
+  overrides = accepted;
+  notifyListeners();
+  return accepted;
+};
+
+/**
+ * Load runtime overrides from the JSON config served with the app.
+ * A missing or malformed file leaves the build-time defaults in place.
+ * @param {string} [url] - Location of the config file
+ * @returns {Promise<Object>} The overrides that were applied
+ */
+export const loadEndpointOverrides = async (url = ENDPOINTS_CONFIG_URL) => {
+  try {
+    const response = await fetch(url, { cache: 'no-store' });
+    const contentType = response.headers.get('content-type') || '';
+
+    // The dev server answers unknown paths with index.html, so check the type too
+    if (!response.ok || !contentType.includes('json')) {
+      return {};
+    }
+
+    const config = await response.json();
+    const serviceUrls = config?.services ?? config ?? {};
+    return setEndpointOverrides(serviceUrls);
+  } catch (error) {
+    console.warn('Could not load endpoint overrides, using defaults:', error.message);
+    return {};
+  }
+};
+
+/**
+ * Base URL a service currently resolves to
+ * @param {string} service - Service key from SERVICES
+ * @returns {string} Base URL without a trailing slash
+ */
+export const getServiceUrl = (service) => {
+  const definition = SERVICES[service];
+  if (!definition) {
+    throw new Error(`Unknown service "${service}"`);
+  }
+  return overrides[service] || trimTrailingSlash(definition.defaultUrl);
+};
+
+/**
+ * Full URL for a path on a service
+ * @param {string} service - Service key from SERVICES
+ * @param {string} [path] - Path, with or without a leading slash
+ * @returns {string} Absolute URL
+ */
+export const resolveServiceUrl = (service, path = '') => {
+  if (!path) return getServiceUrl(service);
+  const separator = path.startsWith('/') || path.startsWith('?') ? '' : '/';
+  return `${getServiceUrl(service)}${separator}${path}`;
+};
+
+/**
+ * Describe every service and where its URL came from, for display
+ * @returns {Array} [{ key, name, url, source }] where source is runtime, env or default
+ */
+export const getEndpointSnapshot = () =>
+  Object.entries(SERVICES).map(([key, definition]) => {
+    let source = 'default';
+    if (overrides[key]) {
+      source = 'runtime';
+    } else if (import.meta.env[definition.envKey] !== undefined) {
+      source = 'env';
+    }
+    return { key, name: definition.name, url: getServiceUrl(key), source };
+  });
+
+/**
+ * Listen for override changes
+ * @param {Function} listener - Called with the new snapshot
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToEndpoints = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const endpoints = {
+  SERVICES,
+  getServiceUrl,
+  resolveServiceUrl,
+  loadEndpointOverrides,
+  setEndpointOverrides,
+  getEndpointSnapshot,
+  subscribeToEndpoints,
+};
+
+export default endpoints;
@@ -7,8 +7,9 @@ import { useState, useEffect, useCallback, useRef } from 'react';
 import { useTranslation } from 'react-i18next';
 import { toast } from 'react-hot-toast';
 import chatHistoryStorage, { DEFAULT_WELCOME_MESSAGE } from '../utils/chatHistoryStorage';
-import chatErrorRecovery from '../utils/chatErrorRecovery';
 import chatPerformanceOptimizer from '../utils/chatPerformanceOptimizer';
+import { exportChatSessions } from '../utils/chatExport';
+import chatSyncService from '../services/chatSyncService';
 import { supabase } from '../supabaseClient';
 
 /**
@@ -23,9 +24,9 @@ export const useChatHistory = () => {
   const [chatStats, setChatStats] = useState({
     sessionCount: 0,
     totalMessages: 0,
-    storageSize: 0,
   });
-  const [optimizedMessages, setOptimizedMessages] = useState([DEFAULT_WELCOME_MESSAGE]);
+  const [hasOlderMessages, setHasOlderMessages] = useState(false);
+  const [syncStatus, setSyncStatus] = useState(() => chatSyncService.getStatus());
 
   // Use ref to track if we're currently saving to prevent race conditions
   const isSavingRef = useRef(false);
@@ -45,16 +46,20 @@ export const useChatHistory = () => {
       const success = await chatHistoryStorage.init(currentUserId || 'guest-user');
       
       if (success) {
-        // Load existing chat history
-        const history = chatHistoryStorage.loadChatHistory();
+        // Load the latest page of chat history
+        const history = await chatHistoryStorage.loadChatHistory();
         setMessages(history);
-        
+        setHasOlderMessages(chatHistoryStorage.hasOlderMessages());
+
         // Update stats
-        const stats = chatHistoryStorage.getChatStats();
+        const stats = await chatHistoryStorage.getChatStats();
         setChatStats(stats);
         
         setIsInitialized(true);
         console.log('✅ Chat history initialized with', history.length, 'messages');
+
+        // Reconcile with the server copy in the background
+        chatSyncService.start(currentUserId || 'guest-user');
       } else {
         console.warn('⚠️ Failed to initialize chat history, using default');
         setMessages([DEFAULT_WELCOME_MESSAGE]);
@@ -88,12 +93,12 @@ export const useChatHistory = () => {
 
       if (success) {
         // Update stats after successful save
-        const stats = chatHistoryStorage.getChatStats();
+        const stats = await chatHistoryStorage.getChatStats();
         setChatStats(stats);
+        chatSyncService.scheduleSync();
       }
     } catch (error) {
       console.error('Failed to save chat history:', error);
-      chatErrorRecovery.handleError(error, 'saveToStorage');
     } finally {
       isSavingRef.current = false;
     }
@@ -126,7 +131,6 @@ export const useChatHistory = () => {
         if (isInitialized) {
           saveToStorage(updated).catch(error => {
             console.error('Failed to save message to storage:', error);
-            chatErrorRecovery.handleError(error, 'addMessage');
           });
         }
         return updated;
@@ -135,7 +139,6 @@ export const useChatHistory = () => {
       return newMessage;
     } catch (error) {
       console.error('Failed to add message:', error);
-      chatErrorRecovery.handleError(error, 'addMessage');
 
       // Still try to add the message to the UI even if storage fails
       const fallbackMessage = {
@@ -172,10 +175,12 @@ export const useChatHistory = () => {
       
       if (success) {
         setMessages([DEFAULT_WELCOME_MESSAGE]);
-        
+        setHasOlderMessages(false);
+
         // Update stats
-        const stats = chatHistoryStorage.getChatStats();
+        const stats = await chatHistoryStorage.getChatStats();
         setChatStats(stats);
+        chatSyncService.scheduleSync();
         
         toast.success(t('Chat history cleared'), {
           duration: 2000,
@@ -205,11 +210,12 @@ export const useChatHistory = () => {
       
       if (success) {
         setMessages([DEFAULT_WELCOME_MESSAGE]);
+        setHasOlderMessages(false);
         setChatStats({
           sessionCount: 0,
           totalMessages: 0,
-          storageSize: 0,
         });
+        chatSyncService.scheduleSync();
         
         toast.success(t('All chat history cleared'), {
           duration: 2000,
@@ -284,13 +290,31 @@ export const useChatHistory = () => {
     };
   }, [initializeChatHistory]);
 
-  // Optimize messages for rendering when they change
+  // Pick up sessions that changed on other devices
   useEffect(() => {
-    if (messages.length > 0) {
-      const optimized = chatPerformanceOptimizer.optimizeMessagesForRendering(messages);
-      setOptimizedMessages(optimized);
-    }
-  }, [messages]);
+    const unsubscribe = chatSyncService.subscribe(async ({ result, ...status }) => {
+      setSyncStatus(status);
+      if (!result || result.changedSessionIds.length === 0) return;
+
+      if (result.currentSessionChanged) {
+        const history = await chatHistoryStorage.loadChatHistory();
+        setMessages(history);
+        setHasOlderMessages(chatHistoryStorage.hasOlderMessages());
+      }
+      const stats = await chatHistoryStorage.getChatStats();
+      setChatStats(stats);
+    });
+
+    return () => {
+      unsubscribe();
+      chatSyncService.stop();
+    };
+  }, []);
+
+  /**
+   * Sync with the server copy right away
+   */
+  const syncNow = useCallback(() => chatSyncService.syncNow(), []);
 
   // Auto-save when messages change (debounced)
   useEffect(() => {
@@ -302,11 +326,33 @@ export const useChatHistory = () => {
 
 
   /**
-   * Get all sessions for current user (simplified)
+   * Get a page of the current user's sessions, most recent first
+   */
+  const getSessionsPage = useCallback(async (options) => {
+    if (!isInitialized) return { sessions: [], hasMore: false };
+    return chatHistoryStorage.getSessionsPage(options);
+  }, [isInitialized]);
+
+  /**
+   * Load the page of messages before the oldest loaded one
+   */
+  const loadOlderMessages = useCallback(async () => {
+    if (!isInitialized) return 0;
+
+    const older = await chatHistoryStorage.loadOlderMessages();
+    if (older.length > 0) {
+      setMessages(prev => [...older, ...prev]);
+    }
+    setHasOlderMessages(chatHistoryStorage.hasOlderMessages());
+    return older.length;
+  }, [isInitialized]);
+
+  /**
+   * Search messages across all sessions by keyword, date range and model
    */
-  const getAllSessions = useCallback(() => {
-    if (!isInitialized) return [];
-    return chatHistoryStorage.getAllSessions();
+  const searchMessages = useCallback(async (criteria) => {
+    if (!isInitialized) return { results: [], hasMore: false };
+    return chatHistoryStorage.searchMessages(criteria);
   }, [isInitialized]);
 
   /**
@@ -318,11 +364,12 @@ export const useChatHistory = () => {
 
       if (success) {
         // Reload messages for the new session
-        const newMessages = chatHistoryStorage.loadChatHistory();
+        const newMessages = await chatHistoryStorage.loadChatHistory();
         setMessages(newMessages);
+        setHasOlderMessages(chatHistoryStorage.hasOlderMessages());
 
         // Update stats
-        const stats = chatHistoryStorage.getChatStats();
+        const stats = await chatHistoryStorage.getChatStats();
         setChatStats(stats);
 
         toast.success(t('Switched to conversation'), {
@@ -351,11 +398,12 @@ export const useChatHistory = () => {
 
       if (newSessionId) {
         // Load the new session (should have welcome message)
-        const newMessages = chatHistoryStorage.loadChatHistory();
+        const newMessages = await chatHistoryStorage.loadChatHistory();
         setMessages(newMessages);
+        setHasOlderMessages(false);
 
         // Update stats
-        const stats = chatHistoryStorage.getChatStats();
+        const stats = await chatHistoryStorage.getChatStats();
         setChatStats(stats);
 
         toast.success(t('New conversation started'), {
@@ -384,8 +432,9 @@ export const useChatHistory = () => {
 
       if (success) {
         // Update stats
-        const stats = chatHistoryStorage.getChatStats();
+        const stats = await chatHistoryStorage.getChatStats();
         setChatStats(stats);
+        chatSyncService.scheduleSync();
 
         toast.success(t('Conversation deleted'), {
           duration: 2000,
@@ -404,22 +453,91 @@ export const useChatHistory = () => {
     return false;
   }, [isInitialized, t]);
 
+  /**
+   * Export sessions as Markdown, JSON or a printable PDF
+   * @param {Array<string>|null} sessionIds - Sessions to export, or null for all
+   * @param {string} format - markdown, json or pdf
+   */
+  const exportSessions = useCallback(async (sessionIds, format) => {
+    if (!isInitialized) return false;
+
+    try {
+      // Flush the conversation on screen so the export includes it
+      await saveToStorage(messages);
+
+      const sessions = await chatHistoryStorage.getSessionsForExport(sessionIds);
+      if (sessions.length === 0) {
+        toast.error(t('No conversations to export'), { duration: 3000 });
+        return false;
+      }
+
+      exportChatSessions(sessions, format);
+      return true;
+    } catch (error) {
+      console.error('Failed to export chat sessions:', error);
+      toast.error(error.message || t('Failed to export conversations'), {
+        duration: 3000,
+        icon: '❌',
+      });
+      return false;
+    }
+  }, [isInitialized, messages, saveToStorage, t]);
+
+  /**
+   * Import sessions from a JSON chat export
+   * @param {string} text - Contents of the export file
+   * @param {Object} options - See chatHistoryStorage.importSessions
+   */
+  const importSessions = useCallback(async (text, options) => {
+    if (!isInitialized) return null;
+
+    try {
+      const summary = await chatHistoryStorage.importSessions(text, options);
+
+      // The current session may have been replaced
+      const currentMessages = await chatHistoryStorage.loadChatHistory();
+      setMessages(currentMessages);
+      setHasOlderMessages(chatHistoryStorage.hasOlderMessages());
+
+      const stats = await chatHistoryStorage.getChatStats();
+      setChatStats(stats);
+      chatSyncService.scheduleSync();
+
+      toast.success(
+        t('Imported {{count}} conversations', { count: summary.imported }) +
+          (summary.skipped ? ` (${t('{{count}} skipped', { count: summary.skipped })})` : ''),
+        { duration: 3000, icon: '📥' }
+      );
+      return summary;
+    } catch (error) {
+      console.error('Failed to import chat sessions:', error);
+      toast.error(error.message || t('Failed to import conversations'), {
+        duration: 4000,
+        icon: '❌',
+      });
+      return null;
+    }
+  }, [isInitialized, t]);
+
   /**
    * Get current session info
    */
-  const getCurrentSessionInfo = useCallback(() => {
+  const getCurrentSessionInfo = useCallback(async () => {
     if (!isInitialized) return null;
     return chatHistoryStorage.getCurrentSessionInfo();
   }, [isInitialized]);
 
   return {
     // State
-    messages: optimizedMessages, // Return optimized messages for rendering
-    rawMessages: messages, // Provide access to raw messages if needed
+    // Storage loads one page at a time, so every loaded message is rendered
+    messages,
+    rawMessages: messages,
     isLoading,
     userId,
     isInitialized,
     chatStats,
+    hasOlderMessages,
+    syncStatus,
 
     // Actions
     addMessage,
@@ -427,13 +545,24 @@ export const useChatHistory = () => {
     clearCurrentSession,
     clearAllHistory,
 
+    // Paging and search
+    loadOlderMessages,
+    searchMessages,
+
     // Session Management (ChatGPT-like)
-    getAllSessions,
+    getSessionsPage,
     switchToSession,
     createNewSession,
     deleteSession,
     getCurrentSessionInfo,
 
+    // Export and import
+    exportSessions,
+    importSessions,
+
+    // Server sync
+    syncNow,
+
     // Utilities
     initializeChatHistory,
   };
@@ -0,0 +1,114 @@
+import { useCallback, useMemo, useState } from 'react';
+import { useGetChatModelsQuery } from '../api/coreApiSlice';
+import {
+  FALLBACK_CHAT_MODELS,
+  normalizeChatModels,
+  getChatModel,
+  getDefaultChatModelId,
+} from '../config/chatModels';
+
+// Last model picked in either chat UI (key predates the registry)
+const SELECTED_MODEL_KEY = 'selectedAIModel';
+// Per-persona default models: { [personaId]: modelId }
+const PERSONA_MODELS_KEY = 'gurukul_persona_chat_models';
+
+// Persona used when no avatar is selected
+export const DEFAULT_PERSONA_ID = 'guru';
+
+const loadPersonaDefaults = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PERSONA_MODELS_KEY) || '{}');
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Default model of a persona, or null
+ * @param {string} personaId - Persona (avatar) ID
+ * @returns {string|null} Model ID
+ */
+export const getPersonaDefaultModel = (personaId) => loadPersonaDefaults()[personaId] || null;
+
+/**
+ * Make a model a persona's default, or clear it with null
+ * @param {string} personaId - Persona (avatar) ID
+ * @param {string|null} modelId - Model ID
+ * @returns {Object} All persona defaults after the change
+ */
+export const savePersonaDefaultModel = (personaId, modelId) => {
+  const next = { ...loadPersonaDefaults() };
+  if (modelId) {
+    next[personaId] = modelId;
+  } else {
+    delete next[personaId];
+  }
+  localStorage.setItem(PERSONA_MODELS_KEY, JSON.stringify(next));
+  return next;
+};
+
+/**
+ * Chat models from the registry and the model selected for a persona
+ *
+ * The selection starts from the persona's default model, then the last model
+ * picked anywhere, then the registry default; a model that is no longer
+ * available falls through to the next choice.
+ *
+ * @param {string} [personaId] - Persona (selected avatar) the chat speaks as
+ * @returns {Object} Models, selection and persona default helpers
+ */
+export const useChatModels = (personaId = DEFAULT_PERSONA_ID) => {
+  const { data, isLoading, isError } = useGetChatModelsQuery();
+  const models = useMemo(
+    () => (data ? normalizeChatModels(data) : FALLBACK_CHAT_MODELS),
+    [data]
+  );
+
+  const [personaDefaults, setPersonaDefaults] = useState(loadPersonaDefaults);
+  // Model picked during this visit, remembered for the persona it was picked for
+  const [picked, setPicked] = useState(null);
+
+  const personaDefault = personaDefaults[personaId] || null;
+  const candidate =
+    picked?.personaId === personaId
+      ? picked.modelId
+      : personaDefault || localStorage.getItem(SELECTED_MODEL_KEY);
+  const selectedModel = models.some((model) => model.id === candidate && model.available)
+    ? candidate
+    : getDefaultChatModelId(models);
+
+  const setSelectedModel = useCallback(
+    (modelId) => {
+      setPicked({ personaId, modelId });
+      localStorage.setItem(SELECTED_MODEL_KEY, modelId);
+    },
+    [personaId]
+  );
+
+  /**
+   * Make a model the default for this persona, or clear it with null
+   */
+  const setPersonaDefault = useCallback(
+    (modelId) => {
+      setPersonaDefaults(savePersonaDefaultModel(personaId, modelId));
+    },
+    [personaId]
+  );
+
+  const getModel = useCallback((modelId) => getChatModel(models, modelId), [models]);
+
+  return {
+    models,
+    isLoading,
+    // True when the list is the built-in fallback rather than the server's
+    isFallback: !data || isError,
+    selectedModel,
+    setSelectedModel,
+    personaDefault,
+    setPersonaDefault,
+    getModel,
+  };
+};
+
+export default useChatModels;
@@ -1,10 +1,12 @@
 /**
  * useDedicatedChatbotTTS Hook
- * React hook for TTS integration using the dedicated chatbot service
+ * React hook for chatbot TTS. A thin wrapper around the shared speech engine
+ * (see useSpeechEngine) that rethrows playback errors to the caller.
  */
 
 import { useState, useEffect, useCallback, useRef } from 'react';
-import dedicatedChatbotTTSService from '../services/dedicatedChatbotTTSService';
+import speechEngine from '../services/speechEngine';
+import { useSpeechEngine } from './useSpeechEngine';
 
 /**
  * Custom hook for Dedicated Chatbot TTS functionality
@@ -12,51 +14,11 @@ import dedicatedChatbotTTSService from '../services/dedicatedChatbotTTSService';
  * @returns {Object} TTS hook interface
  */
 export function useDedicatedChatbotTTS(options = {}) {
-  const [isGenerating, setIsGenerating] = useState(false);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [error, setError] = useState(null);
-  const [audioData, setAudioData] = useState(null);
-  const [serviceHealthy, setServiceHealthy] = useState(null);
-  
-  const mountedRef = useRef(true);
-  const lastTextRef = useRef('');
-
-  // Configuration
-  const {
-    autoPlay = false,
-    enableQueue = false,
-    volume = 0.8,
-    onPlayStart,
-    onPlayEnd,
-    onError,
-    debounceMs = 300
-  } = options;
-
-  // Check service health on mount
-  useEffect(() => {
-    const checkHealth = async () => {
-      try {
-        const healthy = await dedicatedChatbotTTSService.checkServiceHealth();
-        if (mountedRef.current) {
-          setServiceHealthy(healthy);
-        }
-      } catch (err) {
-        if (mountedRef.current) {
-          setServiceHealthy(false);
-        }
-      }
-    };
+  const { autoPlay = false, onError } = options;
 
-    checkHealth();
-    
-    // Periodic health check
-    const healthInterval = setInterval(checkHealth, 30000);
-    
-    return () => {
-      clearInterval(healthInterval);
-      mountedRef.current = false;
-    };
-  }, []);
+  const speech = useSpeechEngine({ healthCheckInterval: 30000, ...options });
+  const { run, setError } = speech;
+  const [audioData, setAudioData] = useState(null);
 
   /**
    * Generate TTS audio
@@ -64,33 +26,16 @@ export function useDedicatedChatbotTTS(options = {}) {
    * @param {Object} generateOptions - Generation options
    */
   const generateTTS = useCallback(async (text, generateOptions = {}) => {
-    if (!text || !text.trim()) {
-      throw new Error('Text is required for TTS generation');
-    }
-
-    setIsGenerating(true);
-    setError(null);
-
     try {
-      const result = await dedicatedChatbotTTSService.generateTTS(text, generateOptions);
-      
-      if (mountedRef.current) {
-        setAudioData(result);
-        setIsGenerating(false);
-      }
-      
+      const result = await speechEngine.generateTTS(text, generateOptions);
+      setAudioData(result);
       return result;
     } catch (err) {
-      if (mountedRef.current) {
-        setError(err.message);
-        setIsGenerating(false);
-        if (onError) {
-          onError(err);
-        }
-      }
+      setError(err);
+      onError?.(err);
       throw err;
     }
-  }, [onError]);
+  }, [setError, onError]);
 
   /**
    * Play TTS audio
@@ -101,146 +46,42 @@ export function useDedicatedChatbotTTS(options = {}) {
     if (!text || !text.trim()) {
       return;
     }
-
-    setError(null);
-    
-    try {
-      setIsPlaying(true);
-      
-      await dedicatedChatbotTTSService.playTTS(text, {
-        volume,
-        onPlayStart: (audioUrl) => {
-          if (mountedRef.current) {
-            setIsPlaying(true);
-            if (onPlayStart) {
-              onPlayStart(text);
-            }
-          }
-        },
-        onPlayEnd: (audioUrl) => {
-          if (mountedRef.current) {
-            setIsPlaying(false);
-            if (onPlayEnd) {
-              onPlayEnd(text);
-            }
-          }
-        },
-        onError: (err) => {
-          if (mountedRef.current) {
-            setIsPlaying(false);
-            setError(err.message);
-            if (onError) {
-              onError(err);
-            }
-          }
-        },
-        ...playOptions
-      });
-      
-    } catch (err) {
-      if (mountedRef.current) {
-        setIsPlaying(false);
-        setError(err.message);
-        if (onError) {
-          onError(err);
-        }
-      }
-      throw err;
-    }
-  }, [volume, onPlayStart, onPlayEnd, onError]);
+    await run('playTTS', text, playOptions);
+  }, [run]);
 
   /**
    * Auto-play TTS for AI content
    * @param {string} text - AI-generated text
    * @param {Object} autoPlayOptions - Auto-play options
    */
-  const autoPlayAI = useCallback(async (text, autoPlayOptions = {}) => {
-    if (!autoPlay || !serviceHealthy) {
+  const autoPlayAI = useCallback((text, autoPlayOptions = {}) => {
+    if (!autoPlay) {
       return;
     }
+    run('autoPlayAI', text, autoPlayOptions);
+  }, [autoPlay, run]);
 
-    try {
-      await dedicatedChatbotTTSService.autoPlayAI(text, {
-        volume,
-        onPlayStart: (audioUrl) => {
-          if (mountedRef.current) {
-            setIsPlaying(true);
-            if (onPlayStart) {
-              onPlayStart(text);
-            }
-          }
-        },
-        onPlayEnd: (audioUrl) => {
-          if (mountedRef.current) {
-            setIsPlaying(false);
-            if (onPlayEnd) {
-              onPlayEnd(text);
-            }
-          }
-        },
-        onError: (err) => {
-          if (mountedRef.current) {
-            setIsPlaying(false);
-            if (onError) {
-              onError(err);
-            }
-          }
-        },
-        ...autoPlayOptions
-      });
-    } catch (err) {
-      // Auto-play errors are handled silently to avoid disrupting UX
-      console.warn('Dedicated Chatbot TTS auto-play failed:', err.message);
-
-      // If autoplay failed due to browser policy, show a subtle notification
-      if (err.message.includes('user interaction required')) {
-        console.info('🔊 Dedicated Chatbot TTS: Autoplay requires user interaction');
-      }
-    }
-  }, [autoPlay, serviceHealthy, volume, onPlayStart, onPlayEnd, onError]);
-
-  /**
-   * Stop current TTS playback
-   */
-  const stopTTS = useCallback(() => {
-    dedicatedChatbotTTSService.stopCurrentAudio();
-    if (mountedRef.current) {
-      setIsPlaying(false);
-    }
-  }, []);
-
-  /**
-   * Clear TTS cache
-   */
-  const clearCache = useCallback(() => {
-    dedicatedChatbotTTSService.clearCache();
-  }, []);
-
-  /**
-   * Get TTS service status
-   */
-  const getStatus = useCallback(() => {
-    return dedicatedChatbotTTSService.getStatus();
-  }, []);
+  const clearCache = useCallback(() => speechEngine.clearCache(), []);
+  const getStatus = useCallback(() => speechEngine.getStatus(), []);
 
   return {
     // State
-    isGenerating,
-    isPlaying,
-    error,
+    isGenerating: speech.isGenerating,
+    isPlaying: speech.isPlaying,
+    error: speech.error?.message || null,
     audioData,
-    serviceHealthy,
-    
+    serviceHealthy: speech.serviceHealthy,
+
     // Actions
     generateTTS,
     playTTS,
     autoPlayAI,
-    stopTTS,
+    stopTTS: speech.stop,
     clearCache,
     getStatus,
-    
+
     // Service reference for advanced usage
-    service: dedicatedChatbotTTSService
+    service: speechEngine
   };
 }
 
@@ -274,45 +115,24 @@ export function useDedicatedChatbotTTSWithVisuals(options = {}) {
     volume: 0.8,
     ...options
   });
+  const { autoPlayAI } = ttsHook;
 
   const [isVisuallyActive, setIsVisuallyActive] = useState(false);
 
   // Enhanced auto-play with visual feedback
-  const autoPlayWithVisuals = useCallback(async (text, visualOptions = {}) => {
+  const autoPlayWithVisuals = useCallback((text, visualOptions = {}) => {
     if (!text || !text.trim()) {
       return;
     }
 
-    try {
-      setIsVisuallyActive(true);
-      
-      await ttsHook.autoPlayAI(text, {
-        onPlayStart: (playedText) => {
-          setIsVisuallyActive(true);
-          if (options.onPlayStart) {
-            options.onPlayStart(playedText);
-          }
-        },
-        onPlayEnd: (playedText) => {
-          setIsVisuallyActive(false);
-          if (options.onPlayEnd) {
-            options.onPlayEnd(playedText);
-          }
-        },
-        onError: (error) => {
-          setIsVisuallyActive(false);
-          if (options.onError) {
-            options.onError(error);
-          }
-        },
-        ...visualOptions
-      });
-      
-    } catch (error) {
-      setIsVisuallyActive(false);
-      console.warn('TTS with visuals failed:', error);
-    }
-  }, [ttsHook, options]);
+    setIsVisuallyActive(true);
+    autoPlayAI(text, {
+      onPlayStart: () => setIsVisuallyActive(true),
+      onPlayEnd: () => setIsVisuallyActive(false),
+      onError: () => setIsVisuallyActive(false),
+      ...visualOptions
+    });
+  }, [autoPlayAI]);
 
   return {
     ...ttsHook,
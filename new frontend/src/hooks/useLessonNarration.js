@@ -0,0 +1,169 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import speechEngine from '../services/speechEngine';
+import lessonProgressStorage from '../utils/lessonProgressStorage';
+
+export const NARRATION_RATES = [0.75, 1, 1.25, 1.5, 2];
+
+/**
+ * Narrate a read-along script through the speech engine
+ *
+ * The whole lesson from the current sentence is spoken as one engine item
+ * with a segment per sentence, so the engine prefetches the next sentence
+ * and reports each one as it starts. Seeking or changing section starts a
+ * new item from the chosen sentence. Progress is saved per user and lesson
+ * and restored when the same lesson is opened again.
+ *
+ * @param {Object} script - From buildNarrationScript
+ * @param {Object} options - { lessonKey, userId, autoPlay }
+ * @returns {Object} { position, state, rate, resumedFrom, play, pause, seek, restart, setRate }
+ */
+export const useLessonNarration = (script, { lessonKey, userId = 'guest-user', autoPlay = false } = {}) => {
+  const { sentences, contentHash } = script;
+  const [position, setPosition] = useState(0);
+  // 'idle' | 'loading' | 'playing' | 'paused' | 'ended'
+  const [state, setState] = useState('idle');
+  const [rate, setRateState] = useState(1);
+  const [resumedFrom, setResumedFrom] = useState(null);
+
+  const ownerRef = useRef({});
+  const runRef = useRef(0);
+  const rateRef = useRef(1);
+  const autoPlayedRef = useRef(null);
+  const resumableRef = useRef(false);
+
+  const saveProgress = useCallback((sentenceIndex, completed = false) => {
+    if (!lessonKey || sentences.length === 0) return;
+    lessonProgressStorage.saveProgress(userId, lessonKey, {
+      sentenceIndex,
+      sentenceCount: sentences.length,
+      contentHash,
+      rate: rateRef.current,
+      completed,
+    });
+  }, [lessonKey, userId, sentences.length, contentHash]);
+
+  /**
+   * Speak from a sentence to the end of the lesson
+   */
+  const playFrom = useCallback((index) => {
+    const start = Math.min(Math.max(0, index), sentences.length - 1);
+    if (start < 0) return;
+
+    const runId = ++runRef.current;
+    setPosition(start);
+    setState('loading');
+
+    speechEngine
+      .speak('', {
+        owner: ownerRef.current,
+        interrupt: true,
+        priority: 'high',
+        rate: rateRef.current,
+        segments: sentences.slice(start).map((sentence) => sentence.text),
+        onSegmentStart: (offset) => {
+          if (runRef.current !== runId) return;
+          setPosition(start + offset);
+          setState('playing');
+          saveProgress(start + offset);
+        },
+      })
+      .then(({ completed }) => {
+        if (runRef.current !== runId) return;
+        if (completed) {
+          setState('ended');
+          saveProgress(sentences.length - 1, true);
+        } else {
+          setState('idle');
+        }
+      })
+      .catch((error) => {
+        if (runRef.current !== runId) return;
+        console.warn('📖 Lesson narration failed:', error.message);
+        setState('idle');
+      });
+  }, [sentences, saveProgress]);
+
+  const play = useCallback(() => {
+    if (state === 'paused' && speechEngine.getStatus().isPaused) {
+      speechEngine.resume();
+      setState('playing');
+      return;
+    }
+    playFrom(state === 'ended' ? 0 : position);
+  }, [state, position, playFrom]);
+
+  const pause = useCallback(() => {
+    if (state !== 'playing' && state !== 'loading') return;
+    speechEngine.pause();
+    setState('paused');
+  }, [state]);
+
+  /**
+   * Jump to a sentence, keeping playback going (or starting it)
+   * @param {number} index - Sentence index
+   * @param {Object} [options] - { play }: false only moves the cursor
+   */
+  const seek = useCallback((index, { play: startPlaying = true } = {}) => {
+    const target = Math.min(Math.max(0, index), sentences.length - 1);
+    if (startPlaying) {
+      playFrom(target);
+      return;
+    }
+    runRef.current += 1;
+    speechEngine.stop({ owner: ownerRef.current });
+    setPosition(target);
+    setState('idle');
+    saveProgress(target);
+  }, [sentences.length, playFrom, saveProgress]);
+
+  const restart = useCallback(() => {
+    resumableRef.current = false;
+    setResumedFrom(null);
+    playFrom(0);
+  }, [playFrom]);
+
+  const setRate = useCallback((nextRate) => {
+    rateRef.current = nextRate;
+    setRateState(nextRate);
+    // While the lesson is playing, the engine's current item is this lesson
+    if (state === 'playing' || state === 'paused' || state === 'loading') {
+      speechEngine.setRate(nextRate);
+    }
+  }, [state]);
+
+  // Restore saved progress when a lesson is opened
+  useEffect(() => {
+    runRef.current += 1;
+    const owner = ownerRef.current;
+    speechEngine.stop({ owner });
+
+    const saved = lessonKey ? lessonProgressStorage.getProgress(userId, lessonKey) : null;
+    const resumable = saved && saved.contentHash === contentHash && !saved.completed &&
+      saved.sentenceIndex > 0 && saved.sentenceIndex < sentences.length;
+
+    resumableRef.current = Boolean(resumable);
+    setPosition(resumable ? saved.sentenceIndex : 0);
+    setResumedFrom(resumable ? saved.sentenceIndex : null);
+    setState('idle');
+    if (saved?.rate) {
+      rateRef.current = saved.rate;
+      setRateState(saved.rate);
+    }
+
+    return () => speechEngine.stop({ owner });
+  }, [lessonKey, userId, contentHash, sentences.length]);
+
+  // Start narrating a new lesson on its own, once
+  useEffect(() => {
+    if (!autoPlay || sentences.length === 0 || autoPlayedRef.current === contentHash) return;
+    autoPlayedRef.current = contentHash;
+    // Resumed lessons wait for the student to choose resume or start over
+    if (!resumableRef.current) {
+      playFrom(0);
+    }
+  }, [autoPlay, contentHash, sentences.length, playFrom]);
+
+  return { position, state, rate, resumedFrom, play, pause, seek, restart, setRate };
+};
+
+export default useLessonNarration;
@@ -0,0 +1,76 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import libraryStorage, { LIBRARY_ITEM_TYPES } from '../utils/libraryStorage';
+
+/**
+ * A user's library items, reloaded whenever the library changes
+ *
+ * @param {string} userId - Owner of the items
+ * @param {Object} [filters] - Passed to libraryStorage.getItems
+ * @returns {Object} { items, allItems, loading } where allItems ignores the filters
+ */
+export const useLibraryItems = (userId = 'guest-user', filters = {}) => {
+  const [items, setItems] = useState([]);
+  const [allItems, setAllItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const { query = '', type, subject, tag, pinnedOnly = false } = filters;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = () => {
+      Promise.all([
+        libraryStorage.getItems(userId),
+        libraryStorage.getItems(userId, { query, type, subject, tag, pinnedOnly }),
+      ])
+        .then(([all, filtered]) => {
+          if (cancelled) return;
+          setAllItems(all);
+          setItems(filtered);
+        })
+        .catch((error) => console.warn('📚 Could not load library:', error))
+        .finally(() => {
+          if (!cancelled) setLoading(false);
+        });
+    };
+
+    load();
+    const unsubscribe = libraryStorage.subscribe(load);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [userId, query, type, subject, tag, pinnedOnly]);
+
+  return { items, allItems, loading };
+};
+
+/**
+ * Open a library item where it belongs: lessons in the lesson view,
+ * summaries in the summary view and audio on its resource page
+ *
+ * @returns {Function} openItem(item)
+ */
+export const useOpenLibraryItem = () => {
+  const navigate = useNavigate();
+
+  return useCallback((item) => {
+    switch (item.type) {
+      case LIBRARY_ITEM_TYPES.LESSON:
+        // Subjects marks the item opened once it has loaded the lesson
+        navigate('/subjects', { state: { libraryItemId: item.id } });
+        break;
+      case LIBRARY_ITEM_TYPES.SUMMARY:
+        // SummaryView reads the summary the Summarizer left in localStorage
+        localStorage.setItem('summaryData', JSON.stringify(item.data.summary));
+        localStorage.setItem('fileData', JSON.stringify(item.data.file || {}));
+        libraryStorage.markOpened(item.id);
+        navigate('/learn/summary');
+        break;
+      default:
+        navigate(`/library/${item.id}`);
+    }
+  }, [navigate]);
+};
+
+export default useLibraryItems;
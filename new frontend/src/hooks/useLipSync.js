@@ -0,0 +1,141 @@
+import { useEffect, useMemo, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import speechAnalysisService from "../services/speechAnalysisService";
+
+// Morph target names used by common avatar rigs (ARKit blend shapes, Ready
+// Player Me / Oculus visemes, VRM and generic exports), matched case-insensitively
+const MOUTH_TARGETS = {
+  open: ["jawopen", "mouthopen", "mouth_open", "viseme_aa", "aa", "a", "vrc.v_aa", "fcl_mth_a"],
+  wide: ["viseme_e", "viseme_i", "mouthsmile", "mouthstretch_l", "mouthstretch_r", "e", "i", "ee", "ih", "vrc.v_e", "fcl_mth_e", "fcl_mth_i"],
+  round: ["viseme_o", "viseme_u", "mouthfunnel", "mouthpucker", "o", "u", "oh", "ou", "vrc.v_oh", "fcl_mth_o", "fcl_mth_u"],
+};
+
+const JAW_BONE = /jaw/i;
+const HEAD_BONE = /head/i;
+
+// Jaw rotation (radians) at a fully open mouth
+const MAX_JAW_ROTATION = 0.22;
+// How quickly weights follow the audio; higher is snappier
+const ATTACK = 18;
+const RELEASE = 10;
+
+/**
+ * Find the mouth morph targets and jaw/head bones in a loaded GLB scene
+ * @param {THREE.Object3D} scene - Scene from useGLTF
+ * @returns {Object} { morphs: [{ mesh, index, channel }], jaw, head }
+ */
+const findFacialRig = (scene) => {
+  const morphs = [];
+  let jaw = null;
+  let head = null;
+
+  scene?.traverse((object) => {
+    if (object.isBone) {
+      if (!jaw && JAW_BONE.test(object.name)) jaw = object;
+      if (!head && HEAD_BONE.test(object.name)) head = object;
+    }
+
+    if (!object.isMesh || !object.morphTargetDictionary || !object.morphTargetInfluences) return;
+    Object.entries(object.morphTargetDictionary).forEach(([name, index]) => {
+      const lowerName = name.toLowerCase();
+      const channel = Object.keys(MOUTH_TARGETS).find((key) =>
+        MOUTH_TARGETS[key].includes(lowerName)
+      );
+      if (channel) morphs.push({ mesh: object, index, channel });
+    });
+  });
+
+  return {
+    morphs,
+    jaw: jaw ? { bone: jaw, baseX: jaw.rotation.x } : null,
+    head: head ? { bone: head, baseX: head.rotation.x, baseY: head.rotation.y } : null,
+  };
+};
+
+/**
+ * Move an avatar's mouth in time with the TTS audio that is playing
+ *
+ * Uses the model's mouth morph targets or jaw bone when it has them. Models
+ * without a facial rig get a speaking gesture loop instead: a head nod when
+ * there is a head bone, otherwise a gentle nod and bob of the whole model.
+ * Must be called inside a react-three-fiber Canvas, after the component's
+ * own useFrame so the gesture is applied on top of its transform.
+ *
+ * @param {THREE.Object3D} scene - Loaded GLB scene
+ * @param {Object} meshRef - Ref to the rendered model root
+ * @param {Object} options - { enabled }: whether this avatar is the one speaking
+ * @returns {Object} { hasFacialRig, rigType }
+ */
+export function useLipSync(scene, meshRef, { enabled = true } = {}) {
+  const rig = useMemo(() => findFacialRig(scene), [scene]);
+  const hasFacialRig = rig.morphs.length > 0 || Boolean(rig.jaw);
+  const weightsRef = useRef({ open: 0, wide: 0, round: 0, level: 0 });
+  const restingRef = useRef(true);
+
+  useFrame((state, delta) => {
+    const weights = weightsRef.current;
+    const frame = enabled ? speechAnalysisService.getFrame(state.clock.elapsedTime) : null;
+
+    // Nothing to animate and already at rest: leave the model to other animations
+    if (!frame?.active && restingRef.current) return;
+
+    ["open", "wide", "round", "level"].forEach((channel) => {
+      const target = frame?.[channel] || 0;
+      const rate = target > weights[channel] ? ATTACK : RELEASE;
+      weights[channel] += (target - weights[channel]) * Math.min(1, rate * delta);
+    });
+
+    const settled = !frame?.active && weights.level < 0.01 && weights.open < 0.01;
+    if (settled) {
+      weights.open = weights.wide = weights.round = weights.level = 0;
+    }
+
+    if (hasFacialRig) {
+      rig.morphs.forEach(({ mesh, index, channel }) => {
+        mesh.morphTargetInfluences[index] = weights[channel];
+      });
+      if (rig.jaw) {
+        rig.jaw.bone.rotation.x = rig.jaw.baseX + weights.open * MAX_JAW_ROTATION;
+      }
+    } else {
+      // Speaking gesture loop for models without a facial rig
+      const time = state.clock.elapsedTime;
+      const nod = Math.sin(time * 5.5) * 0.04 * weights.level;
+      const sway = Math.sin(time * 1.7) * 0.05 * weights.level;
+      if (rig.head) {
+        rig.head.bone.rotation.x = rig.head.baseX + nod;
+        rig.head.bone.rotation.y = rig.head.baseY + sway;
+      } else if (meshRef.current) {
+        // The model's own useFrame resets its transform every frame, so
+        // offsets are added rather than accumulated
+        meshRef.current.rotation.x += nod;
+        meshRef.current.rotation.y += sway * 0.5;
+        meshRef.current.position.y += Math.abs(Math.sin(time * 5.5)) * 0.015 * weights.level;
+      }
+    }
+
+    restingRef.current = settled;
+  });
+
+  // Put the face back when the model changes or unmounts
+  useEffect(
+    () => () => {
+      rig.morphs.forEach(({ mesh, index }) => {
+        mesh.morphTargetInfluences[index] = 0;
+      });
+      if (rig.jaw) rig.jaw.bone.rotation.x = rig.jaw.baseX;
+      if (rig.head) {
+        rig.head.bone.rotation.x = rig.head.baseX;
+        rig.head.bone.rotation.y = rig.head.baseY;
+      }
+    },
+    [rig]
+  );
+
+  return {
+    hasFacialRig,
+    rigType: rig.morphs.length > 0 ? "morphTargets" : rig.jaw ? "jawBone" : "gesture",
+  };
+}
+
+export default useLipSync;
@@ -1,289 +1,204 @@
-import { useState, useCallback, useRef, useEffect } from 'react';
-import { aiModelService } from '../services/aiModelService';
+import { useState, useCallback, useEffect, useMemo, useSyncExternalStore } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
 import { toast } from 'react-hot-toast';
+import modelGenerationQueue, { JOB_STATUS } from '../services/modelGenerationQueue';
+import {
+  MODEL_GENERATION_PROVIDERS,
+  SAMPLE_PROVIDER_ID,
+  getGenerationSettings,
+  saveGenerationSettings,
+} from '../services/modelGenerationProviders';
+import indexedDBStorage from '../utils/indexedDBStorage';
+import { downloadFile } from '../utils/chatExport';
+import {
+  addCustomModel,
+  addFavorite,
+  selectCustomModels,
+  selectFavorites,
+} from '../store/avatarSlice';
+
+const ACTIVE_STATUSES = [JOB_STATUS.queued, JOB_STATUS.submitting, JOB_STATUS.running, JOB_STATUS.saving];
+
+const useGenerationJobs = () =>
+  useSyncExternalStore(
+    (listener) => modelGenerationQueue.subscribe(listener),
+    () => modelGenerationQueue.getJobs()
+  );
 
 /**
  * Custom hook for AI 3D model generation
- * Handles text-to-3D and image-to-3D generation with progress tracking
+ * Queues text-to-3D and image-to-3D jobs on the shared generation queue,
+ * which keeps running them when this component unmounts
  */
 export function useModelGeneration() {
-  const [isGenerating, setIsGenerating] = useState(false);
-  const [generationProgress, setGenerationProgress] = useState(0);
-  const [generatedModels, setGeneratedModels] = useState([]);
-  const [currentTask, setCurrentTask] = useState(null);
-  const [error, setError] = useState(null);
-  
-  const pollIntervalRef = useRef(null);
-  const abortControllerRef = useRef(null);
+  const jobs = useGenerationJobs();
+  const [settings, setSettings] = useState(getGenerationSettings);
 
-  // Cleanup on unmount
   useEffect(() => {
-    return () => {
-      if (pollIntervalRef.current) {
-        clearInterval(pollIntervalRef.current);
-      }
-      if (abortControllerRef.current) {
-        abortControllerRef.current.abort();
-      }
-    };
+    modelGenerationQueue.start();
   }, []);
 
-  /**
-   * Generate 3D model from text prompt
-   */
-  const generateFromText = useCallback(async (prompt, options = {}) => {
-    // Validate prompt
-    const validation = aiModelService.constructor.validatePrompt(prompt);
-    if (!validation.valid) {
-      setError(validation.error);
-      toast.error(validation.error);
-      return null;
-    }
-
-    setIsGenerating(true);
-    setError(null);
-    setGenerationProgress(0);
-    
-    // Create abort controller for this generation
-    abortControllerRef.current = new AbortController();
+  const provider = MODEL_GENERATION_PROVIDERS[settings.provider] || MODEL_GENERATION_PROVIDERS[SAMPLE_PROVIDER_ID];
+  const hasApiKey = !provider.requiresApiKey || Boolean(settings.apiKeys[provider.id]);
 
+  const enqueue = useCallback(async (request) => {
     try {
-      toast.loading('Starting text-to-3D generation...', { id: 'generation-progress' });
-      
-      // Start generation
-      const response = await aiModelService.generateFromText(prompt, options);
-      
-      if (response.task_id) {
-        setCurrentTask(response.task_id);
-        await pollGenerationStatus(response.task_id, 'text-to-3D');
-      } else if (response.model_url) {
-        // Direct response with model URL
-        const newModel = {
-          id: Date.now().toString(),
-          type: 'text-to-3d',
-          prompt,
-          url: response.model_url,
-          thumbnail: response.thumbnail_url,
-          createdAt: new Date().toISOString(),
-          format: options.format || 'glb',
-        };
-        
-        setGeneratedModels(prev => [newModel, ...prev]);
-        toast.success('3D model generated successfully!', { id: 'generation-progress' });
-        return newModel;
-      }
+      const job = await modelGenerationQueue.enqueue({ ...request, provider: provider.id });
+      toast.success('Added to the generation queue');
+      return job;
     } catch (err) {
-      console.error('Text-to-3D generation error:', err);
-      setError(err.message);
-      toast.error(`Generation failed: ${err.message}`, { id: 'generation-progress' });
-      return null;
-    } finally {
-      setIsGenerating(false);
-      setCurrentTask(null);
-      setGenerationProgress(0);
-    }
-  }, []);
-
-  /**
-   * Generate 3D model from image
-   */
-  const generateFromImage = useCallback(async (imageFile, options = {}) => {
-    if (!imageFile) {
-      const errorMsg = 'Image file is required';
-      setError(errorMsg);
-      toast.error(errorMsg);
-      return null;
-    }
-
-    setIsGenerating(true);
-    setError(null);
-    setGenerationProgress(0);
-    
-    // Create abort controller for this generation
-    abortControllerRef.current = new AbortController();
-
-    try {
-      toast.loading('Starting image-to-3D generation...', { id: 'generation-progress' });
-      
-      // Start generation
-      const response = await aiModelService.generateFromImage(imageFile, options);
-      
-      if (response.task_id) {
-        setCurrentTask(response.task_id);
-        await pollGenerationStatus(response.task_id, 'image-to-3D');
-      } else if (response.model_url) {
-        // Direct response with model URL
-        const newModel = {
-          id: Date.now().toString(),
-          type: 'image-to-3d',
-          sourceImage: URL.createObjectURL(imageFile),
-          url: response.model_url,
-          thumbnail: response.thumbnail_url,
-          createdAt: new Date().toISOString(),
-          format: options.format || 'glb',
-        };
-        
-        setGeneratedModels(prev => [newModel, ...prev]);
-        toast.success('3D model generated successfully!', { id: 'generation-progress' });
-        return newModel;
-      }
-    } catch (err) {
-      console.error('Image-to-3D generation error:', err);
-      setError(err.message);
-      toast.error(`Generation failed: ${err.message}`, { id: 'generation-progress' });
+      toast.error(err.message);
       return null;
-    } finally {
-      setIsGenerating(false);
-      setCurrentTask(null);
-      setGenerationProgress(0);
     }
-  }, []);
+  }, [provider.id]);
 
   /**
-   * Poll generation status
+   * Queue a 3D model from a text prompt
    */
-  const pollGenerationStatus = useCallback(async (taskId, generationType) => {
-    let attempts = 0;
-    const maxAttempts = 60; // 5 minutes with 5-second intervals
-    
-    pollIntervalRef.current = setInterval(async () => {
-      try {
-        attempts++;
-        
-        if (attempts > maxAttempts) {
-          clearInterval(pollIntervalRef.current);
-          throw new Error('Generation timeout - please try again');
-        }
-
-        const status = await aiModelService.checkStatus(taskId);
-        
-        // Update progress based on status
-        if (status.progress) {
-          setGenerationProgress(status.progress);
-          toast.loading(`Generating... ${status.progress}%`, { id: 'generation-progress' });
-        }
-
-        if (status.status === 'completed' && status.model_url) {
-          clearInterval(pollIntervalRef.current);
-          
-          const newModel = {
-            id: taskId,
-            type: generationType,
-            url: status.model_url,
-            thumbnail: status.thumbnail_url,
-            createdAt: new Date().toISOString(),
-            format: status.format || 'glb',
-          };
-          
-          setGeneratedModels(prev => [newModel, ...prev]);
-          setGenerationProgress(100);
-          toast.success('3D model generated successfully!', { id: 'generation-progress' });
-          
-        } else if (status.status === 'failed') {
-          clearInterval(pollIntervalRef.current);
-          throw new Error(status.error || 'Generation failed');
-        }
-        
-      } catch (err) {
-        clearInterval(pollIntervalRef.current);
-        console.error('Status polling error:', err);
-        setError(err.message);
-        toast.error(`Generation failed: ${err.message}`, { id: 'generation-progress' });
-      }
-    }, 5000); // Poll every 5 seconds
-  }, []);
-
-  /**
-   * Cancel current generation
-   */
-  const cancelGeneration = useCallback(() => {
-    if (pollIntervalRef.current) {
-      clearInterval(pollIntervalRef.current);
-    }
-    
-    if (abortControllerRef.current) {
-      abortControllerRef.current.abort();
-    }
-    
-    setIsGenerating(false);
-    setCurrentTask(null);
-    setGenerationProgress(0);
-    toast.dismiss('generation-progress');
-    toast.success('Generation cancelled');
-  }, []);
+  const generateFromText = useCallback(
+    (prompt, options = {}) => enqueue({ type: 'text', prompt, options }),
+    [enqueue]
+  );
 
   /**
-   * Remove a generated model
+   * Queue a 3D model from an image
    */
-  const removeModel = useCallback((modelId) => {
-    setGeneratedModels(prev => prev.filter(model => model.id !== modelId));
-    toast.success('Model removed');
-  }, []);
+  const generateFromImage = useCallback(
+    (image, options = {}) => enqueue({ type: 'image', image, options }),
+    [enqueue]
+  );
 
-  /**
-   * Clear all generated models
-   */
-  const clearAllModels = useCallback(() => {
-    setGeneratedModels([]);
-    toast.success('All models cleared');
-  }, []);
+  const cancelJob = useCallback((jobId) => modelGenerationQueue.cancel(jobId), []);
+  const retryJob = useCallback((jobId) => modelGenerationQueue.retry(jobId), []);
+  const removeJob = useCallback((jobId) => modelGenerationQueue.remove([jobId]), []);
+  const clearFinished = useCallback(() => modelGenerationQueue.clearFinished(), []);
 
   /**
-   * Download a model
+   * Download the GLB a finished job made
    */
-  const downloadModel = useCallback(async (model) => {
+  const downloadModel = useCallback(async (job) => {
     try {
-      toast.loading('Downloading model...', { id: 'download-progress' });
-      
-      const filename = `${model.type}-${model.id}.${model.format}`;
-      await aiModelService.downloadModel(model.url, filename);
-      
-      toast.success('Model downloaded successfully!', { id: 'download-progress' });
+      const stored = await indexedDBStorage.loadGlbFile(job.result?.modelId);
+      if (!stored) {
+        throw new Error('The model is no longer in your library');
+      }
+      const blob = await (await fetch(stored.data)).blob();
+      downloadFile(blob, stored.metadata.fileName || `${job.id}.glb`, 'model/gltf-binary');
     } catch (err) {
       console.error('Download error:', err);
-      toast.error(`Download failed: ${err.message}`, { id: 'download-progress' });
+      toast.error(`Download failed: ${err.message}`);
     }
   }, []);
 
   /**
    * Set AI provider
    */
-  const setProvider = useCallback((providerName) => {
-    try {
-      aiModelService.setProvider(providerName);
-      toast.success(`Switched to ${providerName}`);
-    } catch (err) {
-      toast.error(err.message);
-    }
+  const setProvider = useCallback((providerId) => {
+    setSettings(saveGenerationSettings({ provider: providerId }));
   }, []);
 
   /**
-   * Set API key
+   * Set (or clear with '') the API key of the current provider
    */
   const setApiKey = useCallback((apiKey) => {
-    aiModelService.setApiKey(apiKey);
+    const apiKeys = { ...getGenerationSettings().apiKeys };
+    if (apiKey.trim()) {
+      apiKeys[provider.id] = apiKey.trim();
+    } else {
+      delete apiKeys[provider.id];
+    }
+    setSettings(saveGenerationSettings({ apiKeys }));
     toast.success('API key updated');
+  }, [provider.id]);
+
+  /**
+   * Keep API keys on this device (localStorage) instead of this tab only
+   */
+  const setRememberApiKeys = useCallback((rememberKeys) => {
+    setSettings(saveGenerationSettings({ rememberKeys }));
   }, []);
 
+  const supportedProviders = useMemo(
+    () => Object.values(MODEL_GENERATION_PROVIDERS).map(({ id, name, textTo3D, imageTo3D, requiresApiKey }) => ({
+      id,
+      name,
+      textTo3D,
+      imageTo3D,
+      requiresApiKey,
+    })),
+    []
+  );
+
   return {
     // State
-    isGenerating,
-    generationProgress,
-    generatedModels,
-    currentTask,
-    error,
-    
+    jobs,
+    activeJobCount: jobs.filter(job => ACTIVE_STATUSES.includes(job.status)).length,
+    provider,
+    hasApiKey,
+    rememberApiKeys: settings.rememberKeys,
+
     // Actions
     generateFromText,
     generateFromImage,
-    cancelGeneration,
-    removeModel,
-    clearAllModels,
+    cancelJob,
+    retryJob,
+    removeJob,
+    clearFinished,
     downloadModel,
     setProvider,
     setApiKey,
-    
+    setRememberApiKeys,
+
     // Utilities
-    supportedProviders: aiModelService.constructor.getSupportedProviders(),
+    supportedProviders,
   };
 }
+
+/**
+ * Add models the generation queue finished to the custom models and
+ * favorites, wherever the user is in the app. Mounted once by Layout; it
+ * also starts the queue so jobs from an earlier visit resume.
+ */
+export function useGeneratedModelDelivery() {
+  const dispatch = useDispatch();
+  const jobs = useGenerationJobs();
+  const favorites = useSelector(selectFavorites);
+  const customModels = useSelector(selectCustomModels);
+
+  useEffect(() => {
+    modelGenerationQueue.start();
+  }, []);
+
+  useEffect(() => {
+    modelGenerationQueue.getUndelivered().forEach((job) => {
+      const { metadata } = job.result;
+      const favoriteId = `fav_${metadata.id}`;
+
+      if (!customModels.some(model => model.id === metadata.id)) {
+        dispatch(addCustomModel(metadata));
+      }
+      if (!favorites.some(fav => fav.id === favoriteId)) {
+        // Same shape as a favorite added from the custom models tab
+        dispatch(addFavorite({
+          ...metadata,
+          id: favoriteId,
+          originalId: metadata.id,
+          timestamp: new Date().toISOString(),
+          activeTab: 'custom-models',
+          previewUrl: metadata.thumbnailUrl,
+          fileData: metadata.thumbnailUrl,
+          isCustomModel: true,
+          gridPosition: { x: 0, y: 0, z: 0 },
+          gridRotation: { x: 0, y: 0, z: 0 },
+          gridScale: 1,
+          pinPosition: { x: 0, y: 0, z: 0 },
+          pinRotation: { x: 0, y: 0, z: 0 },
+          pinScale: 1,
+        }));
+      }
+
+      modelGenerationQueue.markDelivered(job.id, { favoriteId });
+      toast.success(`${metadata.name} is ready in your favorites`);
+    });
+  }, [jobs, favorites, customModels, dispatch]);
+}
@@ -19,15 +19,12 @@ export const useNavigationPersistence = () => {
    */
   const saveStateBeforeNavigation = useCallback(async () => {
     try {
-      // Force save current chat state
+      // Messages are written to IndexedDB as they arrive, so only the location needs saving
       if (chatHistoryStorage.isInitialized) {
-        const currentMessages = chatHistoryStorage.loadChatHistory();
-        await chatHistoryStorage.saveChatHistory(currentMessages);
-        
         // Save current location for potential return
         localStorage.setItem('gurukul_last_chat_location', location.pathname);
         
-        console.log('💾 Chat state saved before navigation');
+        console.log('💾 Chat location saved before navigation');
       }
     } catch (error) {
       console.error('Failed to save state before navigation:', error);
@@ -48,9 +45,8 @@ export const useNavigationPersistence = () => {
         // Small delay to ensure component is mounted
         setTimeout(async () => {
           if (chatHistoryStorage.isInitialized) {
-            // Force reload chat history to ensure it's fresh
-            const history = chatHistoryStorage.loadChatHistory();
-            console.log('📚 Restored chat history with', history.length, 'messages');
+            const session = await chatHistoryStorage.getCurrentSessionInfo();
+            console.log('📚 Restored chat history with', session?.messageCount || 0, 'messages');
           }
         }, 100);
       }
@@ -116,36 +112,8 @@ export const useAuthPersistence = () => {
     try {
       console.log('👤 User logged in, migrating chat history...');
       
-      // Get current guest session data
-      const guestSessions = chatHistoryStorage.loadSessions();
-      const guestSessionKeys = Object.keys(guestSessions).filter(key => 
-        key.startsWith('guest-user_')
-      );
-      
-      if (guestSessionKeys.length > 0) {
-        // Migrate guest sessions to user account
-        const userSessions = {};
-        
-        guestSessionKeys.forEach(guestKey => {
-          const sessionData = guestSessions[guestKey];
-          const datePart = guestKey.split('_').slice(1).join('_'); // Everything after 'guest-user_'
-          const newKey = `${newUserId}_${datePart}`;
-          userSessions[newKey] = sessionData;
-        });
-        
-        // Save migrated sessions
-        const allSessions = { ...guestSessions, ...userSessions };
-        await chatHistoryStorage.saveSessions(allSessions);
-        
-        // Switch to the most recent user session
-        const userSessionKeys = Object.keys(userSessions);
-        if (userSessionKeys.length > 0) {
-          const mostRecentSession = userSessionKeys.sort().pop();
-          await chatHistoryStorage.switchToSession(mostRecentSession);
-        }
-        
-        console.log(`✅ Migrated ${guestSessionKeys.length} guest sessions to user account`);
-      }
+      // Move guest conversations to the signed-in account
+      await chatHistoryStorage.transferSessions('guest-user', newUserId);
       
       // Re-initialize with new user ID
       await chatHistoryStorage.init(newUserId);
@@ -162,10 +130,6 @@ export const useAuthPersistence = () => {
     try {
       console.log('👋 User logged out, switching to guest mode...');
       
-      // Save current state before switching
-      const currentMessages = chatHistoryStorage.loadChatHistory();
-      await chatHistoryStorage.saveChatHistory(currentMessages);
-      
       // Re-initialize as guest user
       await chatHistoryStorage.init('guest-user');
       
@@ -181,83 +145,3 @@ export const useAuthPersistence = () => {
     handleUserLogout,
   };
 };
-
-/**
- * Hook to handle storage quota management for chat history
- */
-export const useChatStorageQuota = () => {
-  /**
-   * Check storage quota and clean up if needed
-   */
-  const checkAndCleanupStorage = useCallback(async () => {
-    try {
-      const stats = chatHistoryStorage.getChatStats();
-      const storageSize = stats.storageSize;
-      
-      // If storage is getting large (>5MB), trigger cleanup
-      if (storageSize > 5 * 1024 * 1024) {
-        console.log('🧹 Storage quota getting high, triggering cleanup...');
-        
-        // Get all sessions and remove oldest ones
-        const sessions = chatHistoryStorage.loadSessions();
-        const sessionKeys = Object.keys(sessions);
-        
-        if (sessionKeys.length > 20) {
-          // Sort by last updated and keep only the 15 most recent
-          const sortedSessions = sessionKeys
-            .map(key => ({ key, lastUpdated: sessions[key].lastUpdated }))
-            .sort((a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated))
-            .slice(0, 15);
-          
-          const cleanedSessions = {};
-          sortedSessions.forEach(({ key }) => {
-            cleanedSessions[key] = sessions[key];
-          });
-          
-          await chatHistoryStorage.saveSessions(cleanedSessions);
-          
-          const removedCount = sessionKeys.length - 15;
-          console.log(`🧹 Cleaned up ${removedCount} old chat sessions`);
-          
-          return removedCount;
-        }
-      }
-      
-      return 0;
-    } catch (error) {
-      console.error('Failed to check and cleanup storage:', error);
-      return 0;
-    }
-  }, []);
-
-  /**
-   * Get storage usage information
-   */
-  const getStorageInfo = useCallback(() => {
-    try {
-      const stats = chatHistoryStorage.getChatStats();
-      const totalStorage = 10 * 1024 * 1024; // Assume 10MB limit for localStorage
-      const usedPercentage = (stats.storageSize / totalStorage) * 100;
-      
-      return {
-        used: stats.storageSize,
-        total: totalStorage,
-        percentage: Math.min(usedPercentage, 100),
-        isNearLimit: usedPercentage > 80,
-      };
-    } catch (error) {
-      console.error('Failed to get storage info:', error);
-      return {
-        used: 0,
-        total: 10 * 1024 * 1024,
-        percentage: 0,
-        isNearLimit: false,
-      };
-    }
-  }, []);
-
-  return {
-    checkAndCleanupStorage,
-    getStorageInfo,
-  };
-};
@@ -0,0 +1,51 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+import pageActionRegistry from '../services/pageActionRegistry';
+
+/**
+ * Register a page's actions and state with the page action registry
+ *
+ * The registry always reads the latest values passed here, so action
+ * handlers can close over current state without re-registering. Subscribers
+ * (the avatar assistant) are notified when the context changes.
+ *
+ * @param {string} pageId - Page identifier, e.g. 'subjects'
+ * @param {Object} config - { title, actions, context }
+ */
+export const usePageActions = (pageId, { title, actions = {}, context = {} }) => {
+  const configRef = useRef({ title, actions, context });
+  configRef.current = { title, actions, context };
+
+  useEffect(
+    () =>
+      pageActionRegistry.register(pageId, {
+        getTitle: () => configRef.current.title,
+        getActions: () => configRef.current.actions,
+        getContext: () => configRef.current.context,
+      }),
+    [pageId]
+  );
+
+  const contextKey = JSON.stringify(context);
+  const actionKey = Object.keys(actions).join(',');
+  const firstRenderRef = useRef(true);
+  useEffect(() => {
+    // Registration already notified on mount
+    if (firstRenderRef.current) {
+      firstRenderRef.current = false;
+      return;
+    }
+    pageActionRegistry.notify();
+  }, [contextKey, actionKey, title]);
+};
+
+/**
+ * Re-render whenever a page registers, unregisters or changes its context
+ * @returns {number} Registry version; read the registry itself for actions and state
+ */
+export const usePageActionRegistry = () =>
+  useSyncExternalStore(
+    (listener) => pageActionRegistry.subscribe(listener),
+    () => pageActionRegistry.getVersion()
+  );
+
+export default usePageActions;
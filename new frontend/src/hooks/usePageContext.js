@@ -1,67 +1,31 @@
-import { useState, useEffect } from "react";
+import { useMemo } from "react";
 import { useLocation } from "react-router-dom";
+import pageActionRegistry from "../services/pageActionRegistry";
+import { usePageActionRegistry } from "./usePageActions";
 
 /**
- * Hook to detect current page context and extract relevant information
- * for the avatar chatbot to provide contextually aware responses
+ * Hook to describe the current page for the avatar chatbot
+ *
+ * Pages publish their state and actions through usePageActions; this hook
+ * combines that with the route description, so the assistant gets the
+ * page's own structured state rather than text scraped from the DOM.
  */
 export const usePageContext = () => {
   const location = useLocation();
-  const [pageContext, setPageContext] = useState(null);
-
-  useEffect(() => {
-    const extractPageContext = () => {
-      const pathname = location.pathname;
-      const pageTitle = document.title;
-      
-      // Extract main content from the page
-      const mainContent = document.querySelector('main') || document.querySelector('[role="main"]') || document.body;
-      const headings = Array.from(document.querySelectorAll('h1, h2, h3')).map(h => h.textContent?.trim()).filter(Boolean);
-      const pageText = mainContent?.textContent?.trim() || '';
-      
-      // Get route-specific context
-      const routeContext = getRouteContext(pathname);
-      
-      // Extract key information (limit text to avoid overwhelming the AI)
-      const contextText = pageText.length > 1000 ? pageText.substring(0, 1000) + '...' : pageText;
-      
-      const context = {
-        pathname,
-        pageTitle,
-        routeContext,
-        headings: headings.slice(0, 5), // Limit to first 5 headings
-        contentSummary: contextText,
-        timestamp: new Date().toISOString(),
-        // Add specific page data based on route
-        pageData: extractPageSpecificData(pathname),
-      };
-
-      setPageContext(context);
-    };
-
-    // Extract context immediately
-    extractPageContext();
-
-    // Re-extract context when DOM changes (debounced)
-    let timeoutId;
-    const observer = new MutationObserver(() => {
-      clearTimeout(timeoutId);
-      timeoutId = setTimeout(extractPageContext, 500);
-    });
-
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true,
-      attributes: false,
-    });
-
-    return () => {
-      observer.disconnect();
-      clearTimeout(timeoutId);
+  const registryVersion = usePageActionRegistry();
+
+  return useMemo(() => {
+    const { pages, actions } = pageActionRegistry.getSnapshot();
+    return {
+      pathname: location.pathname,
+      pageTitle: pages[0]?.title || document.title,
+      routeContext: getRouteContext(location.pathname),
+      pages,
+      actions,
+      registryVersion,
+      timestamp: new Date().toISOString(),
     };
-  }, [location.pathname]);
-
-  return pageContext;
+  }, [location.pathname, registryVersion]);
 };
 
 /**
@@ -109,6 +73,11 @@ const getRouteContext = (pathname) => {
       description: 'User is browsing lectures',
       features: ['video content', 'educational materials', 'course content'],
     },
+    '/library': {
+      type: 'learning',
+      description: 'User is browsing their saved lessons, summaries and audio',
+      features: ['saved lessons', 'tags and search', 'offline reading'],
+    },
     '/agent-simulator': {
       type: 'ai_interaction',
       description: 'User is in the agent simulator',
@@ -138,66 +107,28 @@ const getRouteContext = (pathname) => {
   };
 };
 
-/**
- * Extract page-specific data based on the current route
- */
-const extractPageSpecificData = (pathname) => {
-  try {
-    switch (pathname) {
-      case '/subjects':
-        // Extract subject information
-        const subjects = Array.from(document.querySelectorAll('[data-subject], .subject-card')).map(el => ({
-          name: el.textContent?.trim(),
-          id: el.dataset?.subject || el.id,
-        })).filter(s => s.name);
-        return { subjects: subjects.slice(0, 10) };
-
-      case '/learn':
-      case '/learn/summary':
-        // Extract learning content information
-        const uploadedFile = document.querySelector('input[type="file"]')?.files?.[0]?.name;
-        const selectedModel = localStorage.getItem('selectedAIModel');
-        return { uploadedFile, selectedModel };
-
-      case '/chatbot':
-        // Extract chat context
-        const messages = Array.from(document.querySelectorAll('.message, [data-message]')).length;
-        const currentModel = localStorage.getItem('selectedAIModel');
-        return { messageCount: messages, currentModel };
-
-      case '/avatar-selection':
-        // Extract avatar context
-        const selectedAvatar = localStorage.getItem('gurukul_selected_avatar');
-        const favorites = JSON.parse(localStorage.getItem('gurukul_favorite_avatars') || '[]');
-        return { selectedAvatar, favoriteCount: favorites.length };
-
-      default:
-        return {};
-    }
-  } catch (error) {
-    console.warn('Error extracting page-specific data:', error);
-    return {};
-  }
-};
-
 /**
  * Format page context for AI consumption
  */
 export const formatContextForAI = (pageContext) => {
   if (!pageContext) return '';
 
-  const { pathname, pageTitle, routeContext, headings, contentSummary, pageData } = pageContext;
-
-  return `
-Current Page Context:
-- Page: ${pageTitle} (${pathname})
-- Type: ${routeContext.type}
-- Description: ${routeContext.description}
-- Available Features: ${routeContext.features.join(', ')}
-- Main Headings: ${headings.join(', ')}
-- Page Data: ${JSON.stringify(pageData)}
-- Content Preview: ${contentSummary.substring(0, 300)}...
-
-Please provide contextually relevant assistance based on what the user is currently viewing.
-  `.trim();
+  const { pathname, pageTitle, routeContext, pages } = pageContext;
+  const pageState = pages
+    .map(({ title, context }) => `- ${title} state: ${JSON.stringify(context)}`)
+    .join('\n');
+  const actionHelp = pageActionRegistry.describeForPrompt();
+
+  return [
+    'Current Page Context:',
+    `- Page: ${pageTitle} (${pathname})`,
+    `- Type: ${routeContext.type}`,
+    `- Description: ${routeContext.description}`,
+    `- Available Features: ${routeContext.features.join(', ')}`,
+    pageState,
+    actionHelp && `\n${actionHelp}`,
+    '\nPlease provide contextually relevant assistance based on what the user is currently viewing.',
+  ]
+    .filter(Boolean)
+    .join('\n');
 };
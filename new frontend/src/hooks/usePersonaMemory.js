@@ -0,0 +1,212 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  useGetPersonaMemoriesQuery,
+  useSearchMemoriesQuery,
+  useLazySearchMemoriesQuery,
+  useLazyGetPersonaMemoriesQuery,
+  useStoreMemoryMutation,
+  useStoreInteractionMutation,
+  buildMemoryData,
+  buildInteractionData,
+  CONTENT_TYPES,
+} from '../api/memoryApiSlice';
+import { DEFAULT_PERSONA_ID } from './useChatModels';
+
+// Memories added to each prompt
+const RECALL_LIMIT = 5;
+// Messages shorter than this ("hi", "thanks!") aren't kept as memories
+const MIN_MEMORY_LENGTH = 15;
+// Pause before trying the Memory API again after it failed to answer
+const RETRY_AFTER_MS = 60000;
+// Field limits enforced by the API
+const MAX_USER_MESSAGE = 5000;
+const MAX_CONTENT = 10000;
+
+/**
+ * Persona ID for an avatar; the chat speaks as the selected avatar
+ * @param {Object} [avatar] - Selected avatar, if any
+ * @returns {string} Persona ID
+ */
+export const getPersonaId = (avatar) => (avatar?.id ? String(avatar.id) : DEFAULT_PERSONA_ID);
+
+/**
+ * Display name for an avatar persona, honouring names given in avatar selection
+ * @param {Object} [avatar] - Avatar, if any
+ * @returns {string} Persona name
+ */
+export const getPersonaName = (avatar) => {
+  if (!avatar) return 'Guru';
+  try {
+    const customNames = JSON.parse(localStorage.getItem('avatar-custom-names') || '{}');
+    return customNames[avatar.id] || avatar.name || 'Assistant';
+  } catch {
+    return avatar.name || 'Assistant';
+  }
+};
+
+/**
+ * Personas the user can talk to: the default guide and each favourite avatar
+ * @param {Array} favorites - Favourite avatars
+ * @returns {Array} [{ id, name, avatar }]
+ */
+export const getAvatarPersonas = (favorites = []) => [
+  { id: DEFAULT_PERSONA_ID, name: getPersonaName(null), avatar: null },
+  ...favorites.map((avatar) => ({ id: getPersonaId(avatar), name: getPersonaName(avatar), avatar })),
+];
+
+/**
+ * Prompt section listing what the persona remembers about the user
+ * @param {Array} memories - Memory chunks from the API
+ * @param {string} personaName - Name the chat speaks as
+ * @returns {string} Prompt text, empty when there is nothing to recall
+ */
+export const formatMemoriesForPrompt = (memories, personaName) => {
+  if (!memories?.length) return '';
+  const lines = memories.map((memory) => `- ${memory.content}`);
+  return `What you (${personaName}) remember about this user from earlier conversations:\n${lines.join('\n')}`;
+};
+
+/**
+ * A persona's memories, or the ones matching a search
+ * @param {string} personaId - Persona to list
+ * @param {string} userId - Owner of the memories
+ * @param {Object} [options] - { searchQuery, limit }
+ * @returns {Object} { memories, isLoading, error }
+ */
+export const usePersonaMemories = (personaId, userId, { searchQuery = '', limit = 50 } = {}) => {
+  const query = searchQuery.trim();
+  const listed = useGetPersonaMemoriesQuery(
+    { personaId, userId, limit },
+    { skip: !personaId || Boolean(query) }
+  );
+  const searched = useSearchMemoriesQuery(
+    { query, personaId, userId, limit },
+    { skip: !personaId || !query }
+  );
+
+  const active = query ? searched : listed;
+  return {
+    memories: (query ? searched.data : listed.data?.memories) || [],
+    isLoading: active.isFetching,
+    error: active.error,
+  };
+};
+
+/**
+ * Debounced search text for memory lists
+ * @param {number} [delay] - Debounce delay in ms
+ * @returns {Array} [searchText, setSearchText, debouncedText]
+ */
+export const useMemorySearchText = (delay = 400) => {
+  const [searchText, setSearchText] = useState('');
+  const [debouncedText, setDebouncedText] = useState('');
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedText(searchText), delay);
+    return () => clearTimeout(timer);
+  }, [searchText, delay]);
+
+  return [searchText, setSearchText, debouncedText];
+};
+
+/**
+ * Memory for a chat that speaks as a persona
+ *
+ * recall() finds memories relevant to a message (falling back to the most
+ * important ones) and remember() stores the exchange plus the user's message
+ * as a memory. Both give up quietly while the Memory API is unreachable, so
+ * the chat keeps working without it.
+ *
+ * @param {string} personaId - Persona the chat speaks as
+ * @param {string} userId - Current user
+ * @returns {Object} { recall, remember }
+ */
+export const usePersonaMemory = (personaId, userId) => {
+  const [searchMemories] = useLazySearchMemoriesQuery();
+  const [getPersonaMemories] = useLazyGetPersonaMemoriesQuery();
+  const [storeMemory] = useStoreMemoryMutation();
+  const [storeInteraction] = useStoreInteractionMutation();
+
+  const unavailableUntilRef = useRef(0);
+  const turnRef = useRef(0);
+  const [sessionId] = useState(() => `avatar_${Date.now()}`);
+
+  const backOff = useCallback((error) => {
+    // Network errors have string statuses (FETCH_ERROR, TIMEOUT_ERROR); a
+    // rejected or missing key won't start working on the next message either
+    if (typeof error?.status === 'string' || error?.status >= 500 || [401, 403].includes(error?.status)) {
+      unavailableUntilRef.current = Date.now() + RETRY_AFTER_MS;
+    }
+    console.warn('🧠 Memory API request failed:', error);
+  }, []);
+
+  const recall = useCallback(
+    async (message) => {
+      if (Date.now() < unavailableUntilRef.current) return [];
+      try {
+        const found = await searchMemories({
+          query: message.slice(0, 500),
+          personaId,
+          userId,
+          limit: RECALL_LIMIT,
+        }).unwrap();
+        if (found.length > 0) return found;
+
+        // Nothing matched the words of the message
+        const { memories } = await getPersonaMemories({ personaId, userId, limit: RECALL_LIMIT }).unwrap();
+        return memories;
+      } catch (error) {
+        backOff(error);
+        return [];
+      }
+    },
+    [personaId, userId, searchMemories, getPersonaMemories, backOff]
+  );
+
+  const remember = useCallback(
+    async ({ userMessage, agentResponse, model = null, responseTime = null }) => {
+      if (Date.now() < unavailableUntilRef.current || !agentResponse) return;
+      turnRef.current += 1;
+
+      const writes = [
+        storeInteraction(
+          buildInteractionData({
+            userId,
+            personaId,
+            userMessage: userMessage.slice(0, MAX_USER_MESSAGE),
+            agentResponse: agentResponse.slice(0, MAX_CONTENT),
+            sessionId,
+            conversationTurn: turnRef.current,
+            domain: 'avatar_chat',
+            responseTime,
+            modelUsed: model,
+          })
+        ).unwrap(),
+      ];
+      if (userMessage.length >= MIN_MEMORY_LENGTH) {
+        writes.push(
+          storeMemory(
+            buildMemoryData({
+              userId,
+              personaId,
+              content: userMessage.slice(0, MAX_CONTENT),
+              contentType: CONTENT_TYPES.TEXT,
+              tags: ['avatar_chat'],
+            })
+          ).unwrap()
+        );
+      }
+
+      try {
+        await Promise.all(writes);
+      } catch (error) {
+        backOff(error);
+      }
+    },
+    [personaId, userId, sessionId, storeMemory, storeInteraction, backOff]
+  );
+
+  return { recall, remember };
+};
+
+export default usePersonaMemory;
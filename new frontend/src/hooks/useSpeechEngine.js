@@ -0,0 +1,91 @@
+import { useCallback, useEffect, useRef, useState, useSyncExternalStore } from 'react';
+import speechEngine from '../services/speechEngine';
+
+/**
+ * Speak through the shared speech engine from a component
+ *
+ * isPlaying and isGenerating describe the engine as a whole, so any
+ * component can show (and stop) whatever is being said. Speech started here
+ * is tagged with this component as its owner and stops when it unmounts.
+ *
+ * @param {Object} options - { volume, onPlayStart, onPlayEnd, onError, healthCheckInterval }
+ * @returns {Object} { status, isPlaying, isGenerating, error, setError, serviceHealthy, run, stop, engine }
+ */
+export const useSpeechEngine = (options = {}) => {
+  const { volume = 0.8, healthCheckInterval = 0 } = options;
+  const status = useSyncExternalStore(
+    (listener) => speechEngine.subscribe(listener),
+    () => speechEngine.getStatus()
+  );
+  const [serviceHealthy, setServiceHealthy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const mountedRef = useRef(true);
+  const ownerRef = useRef({});
+  const callbacksRef = useRef(options);
+  callbacksRef.current = options;
+
+  useEffect(() => {
+    mountedRef.current = true;
+    const checkHealth = () => {
+      speechEngine
+        .checkServiceHealth()
+        .then((healthy) => mountedRef.current && setServiceHealthy(healthy))
+        .catch(() => mountedRef.current && setServiceHealthy(false));
+    };
+
+    checkHealth();
+    const interval = healthCheckInterval > 0 ? setInterval(checkHealth, healthCheckInterval) : null;
+
+    const owner = ownerRef.current;
+    return () => {
+      mountedRef.current = false;
+      if (interval) clearInterval(interval);
+      speechEngine.stop({ owner });
+    };
+  }, [healthCheckInterval]);
+
+  /**
+   * Call a speech engine method with this component's volume and callbacks
+   * @param {string} method - 'playTTS', 'queueTTS', 'autoPlayAI' or 'speak'
+   * @param {string} text - Text to speak
+   * @param {Object} callOptions - Engine options; callbacks run after the hook's own
+   */
+  const run = useCallback((method, text, callOptions = {}) => {
+    setError(null);
+    return speechEngine[method](text, {
+      volume,
+      owner: ownerRef.current,
+      ...callOptions,
+      onPlayStart: () => {
+        callbacksRef.current.onPlayStart?.(text);
+        callOptions.onPlayStart?.(text);
+      },
+      onPlayEnd: () => {
+        callbacksRef.current.onPlayEnd?.(text);
+        callOptions.onPlayEnd?.(text);
+      },
+      onError: (err) => {
+        if (mountedRef.current) setError(err);
+        callbacksRef.current.onError?.(err);
+        callOptions.onError?.(err);
+      }
+    });
+  }, [volume]);
+
+  const stop = useCallback(() => speechEngine.stop(), []);
+
+  return {
+    status,
+    isPlaying: status.isPlaying,
+    isGenerating: status.isGenerating,
+    error,
+    setError,
+    serviceHealthy,
+    run,
+    stop,
+    engine: speechEngine
+  };
+};
+
+export default useSpeechEngine;
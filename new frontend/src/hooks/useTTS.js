@@ -1,10 +1,12 @@
 /**
  * useTTS Hook
- * React hook for easy TTS integration in components
+ * React hook for easy TTS integration in components. A thin wrapper around
+ * the shared speech engine (see useSpeechEngine).
  */
 
 import { useState, useEffect, useCallback, useRef } from 'react';
-import ttsService from '../services/ttsService';
+import speechEngine from '../services/speechEngine';
+import { useSpeechEngine } from './useSpeechEngine';
 
 /**
  * Custom hook for TTS functionality
@@ -12,222 +14,89 @@ import ttsService from '../services/ttsService';
  * @returns {Object} TTS hook interface
  */
 export function useTTS(options = {}) {
-  const [isGenerating, setIsGenerating] = useState(false);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [error, setError] = useState(null);
-  const [audioData, setAudioData] = useState(null);
-  const [serviceHealthy, setServiceHealthy] = useState(null);
-  
-  const mountedRef = useRef(true);
-  const lastTextRef = useRef('');
-
-  // Configuration
   const {
     autoPlay = false,
     enableQueue = false,
-    volume = 0.8,
-    onPlayStart,
-    onPlayEnd,
-    onError,
-    debounceMs = 300
+    onError
   } = options;
 
-  // Check service health on mount
-  useEffect(() => {
-    const checkHealth = async () => {
-      try {
-        const healthy = await ttsService.checkServiceHealth();
-        if (mountedRef.current) {
-          setServiceHealthy(healthy);
-        }
-      } catch (err) {
-        if (mountedRef.current) {
-          setServiceHealthy(false);
-        }
-      }
-    };
-
-    checkHealth();
-
-    return () => {
-      mountedRef.current = false;
-    };
-  }, []);
-
-  // Configure TTS service
-  useEffect(() => {
-    ttsService.configure({
-      autoPlayEnabled: autoPlay,
-      volume: volume
-    });
-  }, [autoPlay, volume]);
+  const speech = useSpeechEngine(options);
+  const { run, setError } = speech;
+  const [audioData, setAudioData] = useState(null);
 
   /**
-   * Generate TTS audio from text
+   * Generate TTS audio from text without playing it
    * @param {string} text - Text to convert
    * @param {Object} generateOptions - Generation options
-   * @returns {Promise<Object>} Audio data
+   * @returns {Promise<Object>} Audio data, or null on failure
    */
   const generateTTS = useCallback(async (text, generateOptions = {}) => {
-    if (!text || !text.trim()) {
-      const error = new Error('Text is required for TTS generation');
-      setError(error);
-      onError?.(error);
-      return null;
-    }
-
-    // Avoid duplicate generations
-    if (text === lastTextRef.current && isGenerating) {
-      return audioData;
-    }
-
-    setIsGenerating(true);
-    setError(null);
-    lastTextRef.current = text;
-
     try {
-      const result = await ttsService.generateTTS(text, generateOptions);
-      
-      if (mountedRef.current) {
-        setAudioData(result);
-        setIsGenerating(false);
-        return result;
-      }
+      const result = await speechEngine.generateTTS(text, generateOptions);
+      setAudioData(result);
+      return result;
     } catch (err) {
-      if (mountedRef.current) {
-        setError(err);
-        setIsGenerating(false);
-        onError?.(err);
-      }
+      setError(err);
+      onError?.(err);
       return null;
     }
-  }, [isGenerating, audioData, onError]);
+  }, [setError, onError]);
 
   /**
-   * Play TTS audio
+   * Play TTS audio now, stopping anything already playing
    * @param {string} text - Text to play
    * @param {Object} playOptions - Play options
    */
-  const playTTS = useCallback(async (text, playOptions = {}) => {
-    if (!serviceHealthy) {
-      const error = new Error('TTS service is not available');
-      setError(error);
-      onError?.(error);
-      return;
-    }
-
-    setIsPlaying(true);
-    setError(null);
-    onPlayStart?.(text);
-
-    try {
-      await ttsService.playTTS(text, playOptions);
-      
-      if (mountedRef.current) {
-        setIsPlaying(false);
-        onPlayEnd?.(text);
-      }
-    } catch (err) {
-      if (mountedRef.current) {
-        setIsPlaying(false);
-        setError(err);
-        onError?.(err);
-      }
-    }
-  }, [serviceHealthy, onPlayStart, onPlayEnd, onError]);
+  const playTTS = useCallback(
+    (text, playOptions = {}) => run('playTTS', text, playOptions).catch(() => {}),
+    [run]
+  );
 
   /**
    * Queue TTS for sequential playback
    * @param {string} text - Text to queue
    * @param {Object} queueOptions - Queue options
    */
-  const queueTTS = useCallback(async (text, queueOptions = {}) => {
-    if (!enableQueue) {
-      return playTTS(text, queueOptions);
-    }
-
-    try {
-      await ttsService.queueTTS(text, queueOptions);
-    } catch (err) {
-      setError(err);
-      onError?.(err);
-    }
-  }, [enableQueue, playTTS, onError]);
+  const queueTTS = useCallback(
+    (text, queueOptions = {}) =>
+      run(enableQueue ? 'queueTTS' : 'playTTS', text, queueOptions).catch(() => {}),
+    [enableQueue, run]
+  );
 
   /**
    * Auto-play TTS for AI content
    * @param {string} text - AI-generated text
    * @param {Object} autoPlayOptions - Auto-play options
    */
-  const autoPlayAI = useCallback(async (text, autoPlayOptions = {}) => {
-    if (!autoPlay || !serviceHealthy) {
+  const autoPlayAI = useCallback((text, autoPlayOptions = {}) => {
+    if (!autoPlay) {
       return;
     }
+    run('autoPlayAI', text, autoPlayOptions);
+  }, [autoPlay, run]);
 
-    try {
-      await ttsService.autoPlayAI(text, autoPlayOptions);
-    } catch (err) {
-      // Auto-play errors are handled silently to avoid disrupting UX
-      console.warn('TTS auto-play failed:', err.message);
-
-      // If autoplay failed due to browser policy, show a subtle notification
-      if (err.message.includes('user interaction required')) {
-        console.info('💡 TTS: Click anywhere on the page to enable auto-play for future AI responses');
-      }
-    }
-  }, [autoPlay, serviceHealthy]);
-
-  /**
-   * Stop current TTS playback
-   */
-  const stopTTS = useCallback(() => {
-    ttsService.stopCurrentAudio();
-    setIsPlaying(false);
-  }, []);
-
-  /**
-   * Clear TTS cache
-   */
-  const clearCache = useCallback(() => {
-    ttsService.clearCache();
-  }, []);
-
-  /**
-   * Get TTS service status
-   */
-  const getStatus = useCallback(() => {
-    return ttsService.getStatus();
-  }, []);
-
-  // Cleanup on unmount
-  useEffect(() => {
-    return () => {
-      mountedRef.current = false;
-      if (isPlaying) {
-        ttsService.stopCurrentAudio();
-      }
-    };
-  }, [isPlaying]);
+  const clearCache = useCallback(() => speechEngine.clearCache(), []);
+  const getStatus = useCallback(() => speechEngine.getStatus(), []);
 
   return {
     // State
-    isGenerating,
-    isPlaying,
-    error,
+    isGenerating: speech.isGenerating,
+    isPlaying: speech.isPlaying,
+    error: speech.error,
     audioData,
-    serviceHealthy,
-    
+    serviceHealthy: speech.serviceHealthy,
+
     // Actions
     generateTTS,
     playTTS,
     queueTTS,
     autoPlayAI,
-    stopTTS,
+    stopTTS: speech.stop,
     clearCache,
     getStatus,
-    
+
     // Service reference for advanced usage
-    ttsService
+    ttsService: speechEngine
   };
 }
 
@@ -262,25 +131,23 @@ export function useJupiterTTS(options = {}) {
     volume: 0.9,
     ...options
   });
+  const { autoPlayAI } = ttsHook;
 
   /**
    * Handle Jupiter model response with TTS
    * @param {string} response - Jupiter model response
    * @param {Object} jupiterOptions - Jupiter-specific options
    */
-  const handleJupiterResponse = useCallback(async (response, jupiterOptions = {}) => {
+  const handleJupiterResponse = useCallback((response, jupiterOptions = {}) => {
     if (!response || !response.trim()) {
       return;
     }
 
-    // Add Jupiter-specific formatting
-    const formattedResponse = response.replace(/\n\n/g, '. ').replace(/\n/g, ' ');
-    
-    await ttsHook.autoPlayAI(formattedResponse, {
+    autoPlayAI(response, {
       delay: 800, // Slightly longer delay for Jupiter responses
       ...jupiterOptions
     });
-  }, [ttsHook]);
+  }, [autoPlayAI]);
 
   return {
     ...ttsHook,
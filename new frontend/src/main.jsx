@@ -6,6 +6,7 @@ import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
 import { Provider } from "react-redux";
 import { PersistGate } from 'redux-persist/integration/react';
 import { store, persistor } from "./store/store";
+import { loadEndpointOverrides } from "./config/endpoints";
 
 // Configure the query client with default options
 const queryClient = new QueryClient({
@@ -18,14 +19,17 @@ const queryClient = new QueryClient({
   },
 });
 
-createRoot(document.getElementById("root")).render(
-  <StrictMode>
-    <Provider store={store}>
-      <PersistGate loading={null} persistor={persistor}>
-        <QueryClientProvider client={queryClient}>
-          <App />
-        </QueryClientProvider>
-      </PersistGate>
-    </Provider>
-  </StrictMode>
-);
+// Apply runtime endpoint overrides before any request is made
+loadEndpointOverrides().finally(() => {
+  createRoot(document.getElementById("root")).render(
+    <StrictMode>
+      <Provider store={store}>
+        <PersistGate loading={null} persistor={persistor}>
+          <QueryClientProvider client={queryClient}>
+            <App />
+          </QueryClientProvider>
+        </PersistGate>
+      </Provider>
+    </StrictMode>
+  );
+});
@@ -35,7 +35,16 @@ import {
 import { selectUser, selectUserId } from "../store/authSlice";
 import { selectAudioEnabled, selectAudioVolume } from "../store/settingsSlice";
 import agentLogsService from "../services/agentLogsService";
-import { API_BASE_URL } from "../config";
+import { getServiceUrl } from "../config/endpoints";
+import { streamEvents } from "../services/streamingClient";
+import StreamStageIndicator from "../components/StreamStageIndicator";
+import AgentEditorModal from "../components/AgentEditorModal";
+import AgentInputForm from "../components/AgentInputForm";
+import AgentRunBuilder from "../components/AgentRunBuilder";
+import AgentHandoffGraph from "../components/AgentHandoffGraph";
+import FinancialScenarioPanel from "../components/FinancialScenarioPanel";
+import agentRunService, { RUN_MODES, STEP_STATUS } from "../services/agentRunService";
+import agentRosterStorage, { getMissingInputs } from "../utils/agentRosterStorage";
 import {
   Play,
   Pause,
@@ -64,6 +73,12 @@ import {
   X,
   Activity,
   Settings,
+  Pencil,
+  Copy,
+  Trash2,
+  Download,
+  Upload,
+  Workflow,
 } from "lucide-react";
 
 // Unique ID generator to prevent duplicate keys
@@ -73,6 +88,27 @@ const generateUniqueId = () => {
   return `${Date.now()}-${messageIdCounter}`;
 };
 
+// Agent definitions are plain JSON, so icons come from the handler type
+const AGENT_ICONS = {
+  education: BookOpen,
+  financial: DollarSign,
+  wellness: Heart,
+  custom: Bot,
+};
+
+// Roster definition -> agent with runtime state (status, drifting confidence)
+const toRuntimeAgent = (definition) => ({
+  ...definition,
+  status: "idle",
+  icon: AGENT_ICONS[definition.type] || Bot,
+  baseConfidence: definition.confidence,
+});
+
+const toDefinition = (agent) => {
+  const { status: _status, icon: _icon, baseConfidence, ...definition } = agent;
+  return { ...definition, confidence: baseConfidence ?? definition.confidence };
+};
+
 export default function AgentSimulator() {
   const user = useSelector(selectUser);
   const userId = useSelector(selectUserId) || "guest-user";
@@ -117,41 +153,17 @@ export default function AgentSimulator() {
   const [isMuted] = useState(!audioEnabled);
   const audioRef = useRef(null);
 
-  const [agents, setAgents] = useState([
-    {
-      id: 1,
-      name: "EduMentor",
-      type: "education",
-      status: "idle",
-      color: "#10B981", // Green
-      icon: BookOpen,
-      confidence: 0.85,
-      goal: "Knowledge transfer",
-      description: "Specialized in educational content and academic guidance",
-    },
-    {
-      id: 2,
-      name: "FinancialCrew",
-      type: "financial",
-      status: "idle",
-      color: "#3B82F6", // Blue
-      icon: DollarSign,
-      confidence: 0.78,
-      goal: "Financial literacy",
-      description: "Expert in financial planning and investment strategies",
-    },
-    {
-      id: 3,
-      name: "WellnessBot",
-      type: "wellness",
-      status: "idle",
-      color: "#F97316", // Orange
-      icon: Heart,
-      confidence: 0.92,
-      goal: "Health optimization",
-      description: "Focused on mental and physical wellbeing advice",
-    },
-  ]);
+  const [agents, setAgents] = useState(() =>
+    agentRosterStorage.getRoster(userId).map(toRuntimeAgent)
+  );
+  const [editingAgent, setEditingAgent] = useState(null); // {} for a new agent
+  const [agentInputs, setAgentInputs] = useState({}); // Custom form values by agent ID
+  const rosterImportRef = useRef(null);
+
+  // Multi-agent run state
+  const [agentRun, setAgentRun] = useState(null);
+  const [showRunBuilder, setShowRunBuilder] = useState(false);
+  const runAbortRef = useRef(null);
 
   // Financial simulation form state
   const [financialProfile, setFinancialProfile] = useState({
@@ -176,6 +188,7 @@ export default function AgentSimulator() {
   const [lessonData, setLessonData] = useState(null);
   const [isGeneratingLesson, setIsGeneratingLesson] = useState(false);
   const [lessonTaskId, setLessonTaskId] = useState(null);
+  const [lessonStages, setLessonStages] = useState([]);
 
   // Safely render activity content that may be an object or string
   const renderActivityContent = (activity) => {
@@ -318,7 +331,108 @@ export default function AgentSimulator() {
     }
   }, [messages]);
 
+  // Load the signed-in user's agents once auth has resolved
+  useEffect(() => {
+    setAgents(agentRosterStorage.getRoster(userId).map(toRuntimeAgent));
+    setSelectedAgent(null);
+    setAgentInputs({});
+  }, [userId]);
+
+  // Persist roster edits, keeping each agent's runtime status
+  const saveRoster = async (definitions) => {
+    setAgents((prev) =>
+      definitions.map((definition) => ({
+        ...toRuntimeAgent(definition),
+        status: prev.find((a) => a.id === definition.id)?.status || "idle",
+      }))
+    );
+
+    const saved = await agentRosterStorage.saveRoster(userId, definitions);
+    if (!saved) {
+      toast.error("Could not save your agents on this device");
+    }
+  };
+
+  const handleSaveAgent = (definition) => {
+    const roster = agents.map(toDefinition);
+    try {
+      if (definition.id === undefined) {
+        const next = agentRosterStorage.addAgent(roster, definition);
+        saveRoster(next);
+        setSelectedAgent(next[next.length - 1].id);
+        toast.success(`${definition.name} created`);
+      } else {
+        saveRoster(roster.map((a) => (a.id === definition.id ? definition : a)));
+        toast.success(`${definition.name} updated`);
+      }
+      setEditingAgent(null);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleCloneAgent = (agent) => {
+    try {
+      const next = agentRosterStorage.cloneAgent(agents.map(toDefinition), toDefinition(agent));
+      saveRoster(next);
+      toast.success(`Created ${next[next.length - 1].name}`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleDeleteAgent = (agent) => {
+    if (!window.confirm(`Delete the agent "${agent.name}"? This cannot be undone.`)) {
+      return;
+    }
+    saveRoster(agents.filter((a) => a.id !== agent.id).map(toDefinition));
+    setAgentInputs((prev) => {
+      const { [agent.id]: _removed, ...rest } = prev;
+      return rest;
+    });
+    if (selectedAgent === agent.id) {
+      setSelectedAgent(null);
+    }
+    toast.success(`${agent.name} deleted`);
+  };
+
+  const handleExportRoster = () => {
+    agentRosterStorage.exportRoster(agents.map(toDefinition));
+  };
+
+  const handleImportRoster = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      const imported = agentRosterStorage.parseExport(await file.text());
+      const { roster, imported: count } = agentRosterStorage.importAgents(
+        agents.map(toDefinition),
+        imported
+      );
+      await saveRoster(roster);
+      toast.success(`Imported ${count} agent${count === 1 ? "" : "s"}`);
+    } catch (error) {
+      toast.error(`Import failed: ${error.message}`);
+    }
+  };
 
+  // Restore a saved financial scenario's inputs and results
+  const handleLoadScenario = (scenario) => {
+    const expenses = scenario.inputs.expenses || [];
+    setFinancialProfile((prev) => ({
+      ...prev,
+      ...scenario.inputs,
+      expenses:
+        expenses.length > 0
+          ? expenses.map((expense, index) => ({ id: index + 1, ...expense }))
+          : [{ id: 1, name: "", amount: "" }],
+    }));
+    setSimulationResults(scenario.results);
+    setCurrentMonth(getAvailableMonths(scenario.results)[0]);
+    toast.success(`Loaded scenario "${scenario.name}"`);
+  };
 
   // Handle PDF file selection
   const handleFileChange = async (event) => {
@@ -629,6 +743,7 @@ export default function AgentSimulator() {
       if (lessonData) {
         setLessonData(null);
         setLessonTaskId(null);
+        setLessonStages([]);
       }
     }
   };
@@ -645,9 +760,14 @@ export default function AgentSimulator() {
     }
 
     setIsGeneratingLesson(true);
-
-    // Set the education agent as active and start simulation mode
-    const educationAgent = agents.find(agent => agent.type === "education");
+    setLessonStages([]);
+
+    // Set the education agent as active and start simulation mode.
+    // Prefer the selected one when the roster has several mentors.
+    const currentAgent = agents.find(agent => agent.id === selectedAgent);
+    const educationAgent = currentAgent?.type === "education"
+      ? currentAgent
+      : agents.find(agent => agent.type === "education");
     if (educationAgent) {
       setSelectedAgent(educationAgent.id);
       setIsSimulating(true);
@@ -656,7 +776,7 @@ export default function AgentSimulator() {
       setAgents(prevAgents =>
         prevAgents.map(agent => ({
           ...agent,
-          status: agent.type === "education" ? "active" : "idle",
+          status: agent.id === educationAgent.id ? "active" : "idle",
         }))
       );
     }
@@ -699,6 +819,13 @@ export default function AgentSimulator() {
           include_wikipedia: eduMentorProfile.includeWikipedia,
         });
       } else {
+        // Stream the lesson first so progress and content show as they arrive
+        console.log("🌊 Using streaming lesson generation...");
+
+        if (await streamEduMentorLesson(trimmedSubject, trimmedTopic)) {
+          return;
+        }
+
         // Fallback to basic lesson creation
         console.log("📚 Using basic lesson generation...");
 
@@ -780,6 +907,62 @@ export default function AgentSimulator() {
     }
   };
 
+  // Stream a lesson through the shared streaming client.
+  // Returns false when streaming fails so the caller can fall back to createLesson.
+  const streamEduMentorLesson = async (subject, topic) => {
+    const streamUrl = `${getServiceUrl("base")}/generate_lesson_stream?subject=${encodeURIComponent(subject)}&topic=${encodeURIComponent(topic)}&include_wikipedia=${eduMentorProfile.includeWikipedia}&use_knowledge_store=${eduMentorProfile.useKnowledgeStore}`;
+    const title = `${subject}: ${topic}`;
+
+    try {
+      const result = await streamEvents(streamUrl, {
+        onProgress: (stages) => setLessonStages(stages),
+        onDelta: (content) => {
+          setLessonData({ title, subject, topic, explanation: content, streaming: true });
+        },
+      });
+
+      if (!result.content.trim()) {
+        throw new Error("Stream finished without lesson content");
+      }
+
+      setLessonData({
+        title,
+        subject,
+        topic,
+        explanation: result.content.trim(),
+        sources: result.sources,
+        status: "success",
+        source: "streaming",
+      });
+
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: generateUniqueId(),
+          sender: "learning-agent",
+          agentName: "EduMentor",
+          agentColor: "#10B981",
+          agentType: "education",
+          content: `Lesson generated successfully! Here's your personalized content for ${subject}: ${topic}`,
+          isLoading: false,
+          timestamp: new Date().toISOString(),
+        },
+      ]);
+
+      toast.success("Lesson generated successfully!", {
+        icon: "📚",
+        duration: 4000,
+      });
+
+      return true;
+    } catch (error) {
+      console.warn("Streaming lesson generation failed, falling back to basic generation:", error);
+      setLessonData(null);
+      setLessonStages([]);
+      return false;
+    }
+  };
+
   // Handle immediate lesson completion (for direct responses without task_id)
   const handleLessonCompletion = async (lessonData) => {
     try {
@@ -839,7 +1022,7 @@ export default function AgentSimulator() {
 
       try {
         // Check task status using the status endpoint (same as Subjects.jsx)
-        const statusUrl = `${API_BASE_URL}/lessons/status/${taskId}`;
+        const statusUrl = `${getServiceUrl("base")}/lessons/status/${taskId}`;
         console.log(`Polling URL: ${statusUrl}`);
 
         const statusResponse = await fetch(statusUrl);
@@ -1418,6 +1601,17 @@ export default function AgentSimulator() {
       toast.error("Add at least one agent to start simulation");
       return;
     }
+    setAgentRun(null);
+
+    // Custom agents need their required inputs before a session starts
+    const agentToStart = agents.find((a) => a.id === (selectedAgent || agents[0].id));
+    if (agentToStart?.type === "custom") {
+      const missing = getMissingInputs(agentToStart.inputSchema, agentInputs[agentToStart.id]);
+      if (missing.length > 0) {
+        toast.error(`Please fill in: ${missing.join(", ")}`);
+        return;
+      }
+    }
 
     setIsSimulating(true);
 
@@ -1537,6 +1731,8 @@ export default function AgentSimulator() {
       // Include financial profile data if the financial agent is selected
       const payload = {
         agentId: activeAgentId,
+        agentType: activeAgent.type,
+        agentName: activeAgent.name,
         userId: user?.id || "anonymous-user", // Use Supabase user ID or fallback to anonymous user
       };
 
@@ -1583,8 +1779,179 @@ export default function AgentSimulator() {
     }
   };
 
+  // Run one step of a multi-agent run: send the goal and the handoff to the
+  // agent API, answering locally when it is unavailable
+  const executeRunStep = async (step, handoff) => {
+    const agent = agents.find((a) => a.id === step.agentId) || step;
+
+    const lastHandoff = handoff.previous[handoff.previous.length - 1];
+    if (lastHandoff) {
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: generateUniqueId(),
+          sender: "system",
+          content: `${lastHandoff.agentName} handed off to ${step.agentName}: ${lastHandoff.summary}`,
+          timestamp: new Date().toISOString(),
+        },
+      ]);
+    }
+
+    const payload = {
+      message: handoff.goal,
+      agentId: step.agentId,
+      agentType: step.agentType,
+      agentName: step.agentName,
+      systemPrompt: agent.systemPrompt,
+      userId: user?.id || "anonymous-user",
+      handoff,
+    };
+    if (step.agentType === "financial") {
+      const { uniqueId: _uniqueId, ...financialProfileData } = financialProfile;
+      payload.financialProfile = financialProfileData;
+    }
+    if (step.agentType === "education") {
+      payload.subject = eduMentorProfile.selectedSubject;
+      payload.topic = eduMentorProfile.topic;
+    }
+    if (step.agentType === "custom") {
+      payload.inputs = agentInputs[step.agentId] || {};
+    }
+
+    let output = null;
+    try {
+      const response = await sendAgentMessage(payload).unwrap();
+      const content = response?.content || response?.response;
+      if (content) {
+        output = {
+          content,
+          summary: response.summary || content,
+          data: response.data || null,
+        };
+      }
+    } catch (error) {
+      console.warn(`Agent server unavailable for ${step.agentName}, answering locally:`, error?.status || error);
+    }
+    if (!output) {
+      const content = generateAgentResponse(handoff.goal, agent);
+      output = { content, summary: content, data: null };
+    }
+
+    setMessages((prev) => [
+      ...prev,
+      {
+        id: generateUniqueId(),
+        sender: step.agentId,
+        agentName: step.agentName,
+        agentColor: step.color,
+        agentType: step.agentType,
+        content: output.content,
+        timestamp: new Date().toISOString(),
+        confidence: agent.confidence,
+      },
+    ]);
+    return output;
+  };
+
+  // Start a multi-agent run on one goal
+  const startAgentRun = async ({ goal, mode, agents: runAgents }) => {
+    const missingInputs = runAgents
+      .filter((agent) => agent.type === "custom")
+      .map((agent) => ({
+        agent,
+        missing: getMissingInputs(agent.inputSchema, agentInputs[agent.id]),
+      }))
+      .find(({ missing }) => missing.length > 0);
+    if (missingInputs) {
+      toast.error(
+        `Please fill in ${missingInputs.agent.name}'s inputs: ${missingInputs.missing.join(", ")}`
+      );
+      return;
+    }
+
+    setShowRunBuilder(false);
+    const run = agentRunService.createRun({ goal, mode, agents: runAgents });
+    const controller = new AbortController();
+    runAbortRef.current = controller;
+
+    setAgentRun(run);
+    setIsSimulating(true);
+    setSelectedAgent(runAgents[0].id);
+    setMessages([
+      {
+        id: generateUniqueId(),
+        sender: "system",
+        content: `Team run started ${
+          mode === RUN_MODES.PARALLEL ? "in parallel" : "in sequence"
+        }: ${runAgents
+          .map((agent) => agent.name)
+          .join(mode === RUN_MODES.PARALLEL ? ", " : " → ")}. Goal: ${run.goal}`,
+        timestamp: new Date().toISOString(),
+      },
+    ]);
+
+    const finished = await agentRunService.execute(run, {
+      userId: user?.id || "guest-user",
+      signal: controller.signal,
+      executeStep: executeRunStep,
+      onUpdate: (updated) => {
+        setAgentRun(updated);
+        const runningIds = updated.steps
+          .filter((step) => step.status === STEP_STATUS.RUNNING)
+          .map((step) => step.agentId);
+        setAgents((prev) =>
+          prev.map((agent) => ({
+            ...agent,
+            status: runningIds.includes(agent.id) ? "active" : "idle",
+          }))
+        );
+      },
+    });
+
+    // The run was reset while it was going
+    if (runAbortRef.current !== controller) return;
+    runAbortRef.current = null;
+
+    const completedSteps = finished.steps.filter(
+      (step) => step.status === STEP_STATUS.COMPLETED
+    );
+    setMessages((prev) => [
+      ...prev,
+      {
+        id: generateUniqueId(),
+        sender: "system",
+        content:
+          finished.status === STEP_STATUS.COMPLETED
+            ? mode === RUN_MODES.PARALLEL
+              ? `Team run completed. Combined result: ${completedSteps
+                  .map((step) => `${step.agentName}: ${step.output.summary}`)
+                  .join(" | ")}`
+              : `Team run completed. ${completedSteps[completedSteps.length - 1].agentName} had the last word.`
+            : `Team run ${finished.status} after ${completedSteps.length} of ${finished.steps.length} steps.`,
+        timestamp: new Date().toISOString(),
+      },
+    ]);
+
+    if (finished.status === STEP_STATUS.COMPLETED) {
+      // Keep chatting with the agent that finished the run
+      const lastAgentId = completedSteps[completedSteps.length - 1].agentId;
+      setSelectedAgent(lastAgentId);
+      setAgents((prev) =>
+        prev.map((agent) => ({
+          ...agent,
+          status: agent.id === lastAgentId ? "active" : "idle",
+        }))
+      );
+      toast.success("Team run completed");
+    } else if (finished.status === STEP_STATUS.FAILED) {
+      toast.error("Team run stopped at a failed step");
+    }
+  };
+
   // Stop simulation
   const stopSimulation = async () => {
+    // Stops a team run before its next step
+    runAbortRef.current?.abort();
     setIsSimulating(false);
 
     // Find the active agent before updating statuses
@@ -1609,8 +1976,8 @@ export default function AgentSimulator() {
       },
     ]);
 
-    // Log agent stop in Supabase
-    if (activeAgent) {
+    // Log agent stop in Supabase (team run steps log their own stop)
+    if (activeAgent && !agentRun) {
       try {
         const userId = user?.id || "guest-user";
         await agentLogsService.logAgentStop({
@@ -1655,6 +2022,9 @@ export default function AgentSimulator() {
 
   // Reset simulation
   const resetSimulation = async () => {
+    runAbortRef.current?.abort();
+    runAbortRef.current = null;
+    setAgentRun(null);
     setIsSimulating(false);
     setMessages([]);
 
@@ -1711,7 +2081,7 @@ export default function AgentSimulator() {
     setIsWellnessLoading(true);
 
     try {
-      const orchestrationUrl = "http://localhost:8006"; // Wellness API with Ollama on port 8006
+      const orchestrationUrl = getServiceUrl("orchestration"); // Wellness API with Ollama
 
       // Try multiple endpoints in order of preference
       const endpoints = [
@@ -1904,7 +2274,7 @@ export default function AgentSimulator() {
         const helpMessage = {
           id: generateUniqueId() + 1,
           sender: "system",
-          content: `🔧 Wellness API Setup Required\n\nTo use the wellness features, please:\n\n1. Run: Backend/start_all_services.bat (starts all services including wellness)\n2. Or manually: cd Backend/orchestration/unified_orchestration_system && python simple_api.py --port 8006\n3. ✅ Ollama is now the primary LLM (no API keys needed!)\n4. The wellness server will start at http://localhost:8006\n\n🤖 Now powered by local Ollama LLM for unlimited usage!`,
+          content: `🔧 Wellness API Setup Required\n\nTo use the wellness features, please:\n\n1. Run: Backend/start_all_services.bat (starts all services including wellness)\n2. Or manually: cd Backend/orchestration/unified_orchestration_system && python simple_api.py --port 8006\n3. ✅ Ollama is now the primary LLM (no API keys needed!)\n4. The wellness server is expected at ${getServiceUrl("orchestration")}\n\n🤖 Now powered by local Ollama LLM for unlimited usage!`,
           timestamp: new Date().toISOString(),
         };
 
@@ -2150,8 +2520,8 @@ export default function AgentSimulator() {
 
       try {
         // Try direct fetch first using the dynamic API base URL
-        // Example: ${API_BASE_URL}/user/learning/af3c9b32-48ff-4ca3-afbd-4e88e475c0d6
-        const directUrl = `${API_BASE_URL}/user/learning/${taskId}`;
+        // Example: <base backend>/user/learning/af3c9b32-48ff-4ca3-afbd-4e88e475c0d6
+        const directUrl = `${getServiceUrl("base")}/user/learning/${taskId}`;
         console.log(`Polling attempt ${attempts} - Direct URL:`, directUrl);
 
         let statusResponse;
@@ -2566,9 +2936,17 @@ export default function AgentSimulator() {
       const payload = {
         message: messageText,
         agentId: respondingAgent.id,
+        agentType: respondingAgent.type,
+        agentName: respondingAgent.name,
+        systemPrompt: respondingAgent.systemPrompt,
         userId: userId, // Use the userId we already determined above
       };
 
+      // Custom agents send the values of their input form
+      if (respondingAgent.type === "custom") {
+        payload.inputs = agentInputs[respondingAgent.id] || {};
+      }
+
       // Add financial profile data if the financial agent is active
       if (respondingAgent.type === "financial") {
         // Create a copy of the financial profile without the uniqueId field
@@ -2687,7 +3065,7 @@ export default function AgentSimulator() {
         // In a real app, this would be a real audio URL from the API
         audioUrl:
           Math.random() > 0.3
-            ? `${API_BASE_URL}/simulated-audio-${respondingAgent.id}.mp3`
+            ? `${getServiceUrl("base")}/simulated-audio-${respondingAgent.id}.mp3`
             : null,
       };
 
@@ -5149,11 +5527,21 @@ export default function AgentSimulator() {
                         )}
                       </div>
 
+                      {/* Streaming progress stages */}
+                      {lessonStages.length > 0 && (
+                        <StreamStageIndicator
+                          stages={lessonStages}
+                          isStreaming={isGeneratingLesson}
+                          accentColor="#10B981"
+                          className="mt-3"
+                        />
+                      )}
+
                       {/* Show lesson data if available */}
                       {lessonData && (
                         <div className="mt-3 p-3 bg-green-800/20 rounded-lg border border-green-600/30">
                           <div className="text-xs text-green-200 font-medium mb-1">
-                            ✅ Lesson Generated Successfully
+                            {lessonData.streaming ? "📡 Lesson Streaming..." : "✅ Lesson Generated Successfully"}
                           </div>
                           <div className="text-xs text-green-100/80">
                             {lessonData.title || `${eduMentorProfile.selectedSubject}: ${eduMentorProfile.topic}`}
@@ -5306,6 +5694,41 @@ export default function AgentSimulator() {
                     </div>
                   )}
 
+                {/* Custom Agent Form - Only show when a custom agent is selected and not simulating */}
+                {selectedAgent &&
+                  agents.find((a) => a.id === selectedAgent)?.type ===
+                    "custom" &&
+                  !isSimulating &&
+                  (() => {
+                    const customAgent = agents.find((a) => a.id === selectedAgent);
+                    return (
+                      <div
+                        className="mb-4 rounded-lg p-4 border h-[calc(100%-8rem)] overflow-y-auto custom-scrollbar"
+                        style={{
+                          backgroundColor: `${customAgent.color}15`,
+                          borderColor: `${customAgent.color}50`,
+                        }}
+                      >
+                        <h3 className="text-lg font-semibold text-white mb-3 flex items-center">
+                          <Bot size={18} className="mr-2" style={{ color: customAgent.color }} />
+                          {customAgent.name}
+                        </h3>
+                        {customAgent.goal && (
+                          <p className="text-sm text-white/80 mb-4">
+                            Goal: {customAgent.goal}
+                          </p>
+                        )}
+                        <AgentInputForm
+                          agent={customAgent}
+                          values={agentInputs[customAgent.id]}
+                          onChange={(values) =>
+                            setAgentInputs((prev) => ({ ...prev, [customAgent.id]: values }))
+                          }
+                        />
+                      </div>
+                    );
+                  })()}
+
                 {/* Session Activity Log - Only show when not showing agent forms or when simulating */}
                 {(!selectedAgent ||
                   (agents.find((a) => a.id === selectedAgent)?.type !==
@@ -5313,9 +5736,12 @@ export default function AgentSimulator() {
                    agents.find((a) => a.id === selectedAgent)?.type !==
                     "education" &&
                    agents.find((a) => a.id === selectedAgent)?.type !==
-                    "wellness") ||
+                    "wellness" &&
+                   agents.find((a) => a.id === selectedAgent)?.type !==
+                    "custom") ||
                   isSimulating) && (
                   <div>
+                    {agentRun && <AgentHandoffGraph run={agentRun} />}
                     {messages.length > 0 ? (
                       <div className="overflow-y-auto custom-scrollbar px-1 h-[calc(100%-35rem)] timeline-list-container" style={{ minHeight: "120px" }}>
                         <div className="timeline-container" ref={timelineRef}>
@@ -5373,6 +5799,7 @@ export default function AgentSimulator() {
                             onClick={() => {
                               setLessonData(null);
                               setLessonTaskId(null);
+                              setLessonStages([]);
                               toast.success("Lesson cleared. Ready to generate new content.");
                             }}
                             className="bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded-lg flex items-center justify-center transition-colors"
@@ -5679,7 +6106,16 @@ export default function AgentSimulator() {
                           switch (activeAgent.type) {
                             case "financial":
                               return (
-                                simulationResults && renderSimulationResults()
+                                <>
+                                  {simulationResults && renderSimulationResults()}
+                                  <FinancialScenarioPanel
+                                    userId={userId}
+                                    currentInputs={financialProfile}
+                                    currentResults={simulationResults}
+                                    currentMonth={currentMonth}
+                                    onLoad={handleLoadScenario}
+                                  />
+                                </>
                               );
                             case "education":
                               return (
@@ -5695,7 +6131,7 @@ export default function AgentSimulator() {
                                     {lessonData && (
                                       <div className="ml-auto">
                                         <span className="bg-emerald-500/20 text-emerald-300 px-2 py-1 rounded-full text-xs font-medium">
-                                          ✅ Lesson Generated
+                                          {lessonData.streaming ? "📡 Streaming" : "✅ Lesson Generated"}
                                         </span>
                                       </div>
                                     )}
@@ -5721,7 +6157,7 @@ export default function AgentSimulator() {
                                             <span className="bg-amber-500 w-6 h-6 rounded-full flex items-center justify-center mr-2 text-white text-sm font-bold">1</span>
                                             Explanation
                                           </h4>
-                                          <p className="text-white/90 leading-relaxed">{lessonData.explanation}</p>
+                                          <p className="text-white/90 leading-relaxed whitespace-pre-line">{lessonData.explanation}</p>
                                         </div>
                                       )}
 
@@ -5777,7 +6213,7 @@ export default function AgentSimulator() {
                                       <div className="bg-emerald-800/20 rounded-lg p-3 border border-emerald-600/30">
                                         <div className="flex items-center justify-between text-xs text-emerald-300">
                                           <span>
-                                            Generated using {integrationStatus?.integration_status?.overall_valid && eduMentorProfile.useOrchestration ? 'Enhanced AI Orchestration' : 'Basic Lesson Generation'}
+                                            Generated using {lessonData.source === 'streaming' || lessonData.streaming ? 'Streaming Lesson Generation' : integrationStatus?.integration_status?.overall_valid && eduMentorProfile.useOrchestration ? 'Enhanced AI Orchestration' : 'Basic Lesson Generation'}
                                           </span>
                                           {lessonTaskId && (
                                             <span>Task: {lessonTaskId.substring(0, 8)}...</span>
@@ -6054,9 +6490,53 @@ export default function AgentSimulator() {
                       Available Agents
                     </h2>
                   </div>
+                  <div className="flex items-center space-x-1">
+                    <button
+                      onClick={() => setShowRunBuilder(true)}
+                      disabled={agents.length < 2}
+                      className="p-2 bg-gray-700/50 rounded-full hover:bg-gray-700/70 transition-colors disabled:opacity-40"
+                      title="Team run: several agents on one goal"
+                    >
+                      <Workflow size={16} className="text-white" />
+                    </button>
+                    <button
+                      onClick={() => setEditingAgent({})}
+                      className="p-2 bg-orange-500/20 rounded-full hover:bg-orange-500/30 transition-colors"
+                      title="New agent"
+                    >
+                      <Plus size={16} className="text-orange-300" />
+                    </button>
+                    <button
+                      onClick={() => rosterImportRef.current?.click()}
+                      className="p-2 bg-gray-700/50 rounded-full hover:bg-gray-700/70 transition-colors"
+                      title="Import agents (JSON)"
+                    >
+                      <Upload size={16} className="text-white" />
+                    </button>
+                    <button
+                      onClick={handleExportRoster}
+                      disabled={agents.length === 0}
+                      className="p-2 bg-gray-700/50 rounded-full hover:bg-gray-700/70 transition-colors disabled:opacity-40"
+                      title="Export agents (JSON)"
+                    >
+                      <Download size={16} className="text-white" />
+                    </button>
+                    <input
+                      ref={rosterImportRef}
+                      type="file"
+                      accept="application/json,.json"
+                      onChange={handleImportRoster}
+                      className="hidden"
+                    />
+                  </div>
                 </div>
 
                 <div className="overflow-y-auto custom-scrollbar px-1 h-[calc(100%-4rem)] agent-list-container">
+                  {agents.length === 0 && (
+                    <div className="text-center text-white/60 text-sm mt-8">
+                      No agents yet. Use + to create one.
+                    </div>
+                  )}
                   {agents.map((agent, index) => (
                     <div
                       key={agent.id}
@@ -6179,10 +6659,37 @@ export default function AgentSimulator() {
                       </div>
 
                       {/* Agent description */}
-                      <div className="mt-2 p-2 rounded-md bg-black/20 border border-white/5">
-                        <p className="text-xs text-white/80 italic leading-tight">
-                          "{agent.description}"
-                        </p>
+                      {agent.description && (
+                        <div className="mt-2 p-2 rounded-md bg-black/20 border border-white/5">
+                          <p className="text-xs text-white/80 italic leading-tight">
+                            "{agent.description}"
+                          </p>
+                        </div>
+                      )}
+
+                      {/* Agent actions */}
+                      <div className="mt-2 flex justify-end space-x-1">
+                        {[
+                          { label: "Edit", icon: Pencil, onClick: () => setEditingAgent(toDefinition(agent)) },
+                          { label: "Clone", icon: Copy, onClick: () => handleCloneAgent(agent) },
+                          { label: "Delete", icon: Trash2, onClick: () => handleDeleteAgent(agent) },
+                        ].map((action) => (
+                          <button
+                            key={action.label}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              action.onClick();
+                            }}
+                            className={`p-1.5 rounded-md text-white/60 transition-colors ${
+                              action.label === "Delete"
+                                ? "hover:bg-red-500/20 hover:text-red-400"
+                                : "hover:bg-white/10 hover:text-white"
+                            }`}
+                            title={`${action.label} ${agent.name}`}
+                          >
+                            <action.icon size={14} />
+                          </button>
+                        ))}
                       </div>
 
                       {/* Confidence bar */}
@@ -6219,6 +6726,23 @@ export default function AgentSimulator() {
           </div>
         </div>
       </GlassContainer>
+
+      {editingAgent && (
+        <AgentEditorModal
+          agent={editingAgent.id === undefined ? null : editingAgent}
+          roster={agents}
+          onSave={handleSaveAgent}
+          onClose={() => setEditingAgent(null)}
+        />
+      )}
+
+      {showRunBuilder && (
+        <AgentRunBuilder
+          agents={agents}
+          onStart={startAgentRun}
+          onClose={() => setShowRunBuilder(false)}
+        />
+      )}
     </div>
   );
 }
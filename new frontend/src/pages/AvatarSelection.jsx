@@ -12,7 +12,7 @@ import AvatarSettingsTabs from "../components/AvatarSettingsTabs";
 import { toast } from "react-hot-toast";
 import gsap from "gsap";
 // Note: storage utils now handled by individual components
-import { User, Heart, Upload } from "lucide-react";
+import { User, Heart, Upload, Wand2 } from "lucide-react";
 
 import {
   selectFavorites,
@@ -28,6 +28,8 @@ import {
   resetPinSettings,
   autoSaveAvatarSettings,
   setActiveMainTab,
+  setSelectedAvatar,
+  loadAvatarSettings,
 } from "../store/avatarSlice";
 import { useAvatarPersistence } from "../hooks/useAvatarPersistence";
 import { testPersistence } from "../utils/testPersistence";
@@ -35,6 +37,7 @@ import { testPersistence } from "../utils/testPersistence";
 // Performance optimizations and loading states
 import FavoritesTab from "../components/FavoritesTab";
 import CustomModelsTab from "../components/CustomModelsTab";
+import AIModelGenerator from "../components/AIModelGenerator";
 import {
   LoadingOverlay,
 } from "../components/LoadingSkeletons";
@@ -154,6 +157,19 @@ export default function AvatarSelection() {
     dispatch(setActiveMainTab(tabId));
   }, [dispatch]);
 
+  // Select a generated model through the favorite the generation queue added
+  const handleGeneratedModelSelect = useCallback((model) => {
+    const favorite = favorites.find((fav) => fav.id === `fav_${model.id}`);
+    if (!favorite) {
+      toast.error("The model is still being added to your favorites");
+      return;
+    }
+
+    dispatch(setSelectedAvatar(favorite));
+    dispatch(loadAvatarSettings(favorite));
+    toast.success(`Selected ${favorite.name}`);
+  }, [favorites, dispatch]);
+
   // Save current avatar position and settings
   const handleSavePosition = useCallback(() => {
     if (!selectedAvatar) {
@@ -243,6 +259,17 @@ export default function AvatarSelection() {
                 <Upload className="w-4 h-4" />
                 <span className="font-medium text-sm">Upload</span>
               </button>
+              <button
+                onClick={() => handleTabChange("generate")}
+                className={`flex items-center justify-center space-x-2 px-4 py-3 rounded-lg transition-all w-32 border ${
+                  activeMainTab === "generate"
+                    ? 'bg-orange-500/30 text-orange-300 border-orange-400/60 shadow-lg shadow-orange-500/20'
+                    : 'text-white/90 hover:text-white hover:bg-white/20 bg-white/10 border-white/20 hover:border-white/40'
+                }`}
+              >
+                <Wand2 className="w-4 h-4" />
+                <span className="font-medium text-sm">Generate</span>
+              </button>
             </div>
 
             {/* Content Area - Two Column Layout */}
@@ -252,6 +279,10 @@ export default function AvatarSelection() {
                 <div className="bg-white/5 backdrop-blur-sm rounded-xl border border-white/10 p-6 h-full relative flex flex-col min-h-0 z-0">
                   {activeMainTab === "favorites" ? (
                     <FavoritesTab />
+                  ) : activeMainTab === "generate" ? (
+                    <div className="overflow-y-auto min-h-0">
+                      <AIModelGenerator onModelSelect={handleGeneratedModelSelect} />
+                    </div>
                   ) : (
                     <CustomModelsTab />
                   )}
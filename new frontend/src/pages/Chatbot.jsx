@@ -5,14 +5,21 @@ import { useSelector, useDispatch } from "react-redux";
 import GlassContainer from "../components/GlassContainer";
 import ChatHistoryControls from "../components/ChatHistoryControls";
 import { FiFile } from "react-icons/fi";
-import { Volume2, VolumeX, Play, Send, Paperclip, MoreVertical, Menu } from "lucide-react";
+import { Volume2, VolumeX, Play, Send, Square, Star, Paperclip, MoreVertical, Menu, RefreshCw } from "lucide-react";
 import { toast } from "react-hot-toast";
 import "../styles/chatbot.css";
 import chatLogsService from "../services/chatLogsService";
-import { CHAT_API_BASE_URL } from "../config";
+import chatStreamService from "../services/chatStreamService";
+import { getServiceUrl } from "../config/endpoints";
 import { useChatHistory } from "../hooks/useChatHistory";
 import { useNavigationPersistence, useAuthPersistence } from "../hooks/useNavigationPersistence";
-import { selectIsSpeaking, setIsSpeaking } from "../store/avatarSlice";
+import { selectIsSpeaking, setIsSpeaking, selectSelectedAvatar } from "../store/avatarSlice";
+import { useChatModels } from "../hooks/useChatModels";
+import ChatModelBadge from "../components/ChatModelBadge";
+import { describeChatModel } from "../config/chatModels";
+import { usePageActions } from "../hooks/usePageActions";
+import { useSpeechEngine } from "../hooks/useSpeechEngine";
+import { PageActionError } from "../services/pageActionRegistry";
 
 export default function Chatbot() {
   const { t } = useTranslation();
@@ -27,23 +34,42 @@ export default function Chatbot() {
     userId,
     isInitialized,
     chatStats,
+    hasOlderMessages,
+    loadOlderMessages,
+    searchMessages,
     addMessage,
     updateMessages,
     clearCurrentSession,
     clearAllHistory,
-    getAllSessions,
+    getSessionsPage,
     switchToSession,
     createNewSession,
     deleteSession,
     getCurrentSessionInfo,
+    exportSessions,
+    importSessions,
+    syncStatus,
+    syncNow,
   } = useChatHistory();
 
   const [input, setInput] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [currentStreamingMessage, setCurrentStreamingMessage] = useState("");
-  const [selectedModel, setSelectedModel] = useState("grok"); // Default to grok model
+  const selectedAvatar = useSelector(selectSelectedAvatar);
+  const {
+    models: chatModels,
+    selectedModel,
+    setSelectedModel,
+    personaDefault,
+    setPersonaDefault,
+    getModel,
+  } = useChatModels(selectedAvatar?.id);
+  const personaName = selectedAvatar?.name || t("Guru AI");
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  // The in-flight streaming request: its ID and the controller that cancels it
+  const activeRequestIdRef = useRef(null);
+  const abortControllerRef = useRef(null);
 
   // Mobile detection
   const [isMobile, setIsMobile] = useState(false);
@@ -53,12 +79,17 @@ export default function Chatbot() {
   const [isTTSMuted, setIsTTSMuted] = useState(() => {
     return localStorage.getItem('chatbotTTSMuted') === 'true';
   });
-  const [serviceHealthy, setServiceHealthy] = useState(false);
-  const [ttsInitialized, setTtsInitialized] = useState(false);
   const [isGeneratingTTS, setIsGeneratingTTS] = useState(false);
-  const [lastProcessedMessageId, setLastProcessedMessageId] = useState("");
   const [playingMessageId, setPlayingMessageId] = useState(null); // Track which individual message is playing
 
+  // Replies are spoken through the shared speech engine, which falls back to
+  // the browser's own voice when the TTS servers are down
+  const {
+    serviceHealthy,
+    run: runSpeech,
+    stop: stopSpeech,
+  } = useSpeechEngine({ volume: 0.8, healthCheckInterval: 30000 });
+
   // Navigation and auth persistence
   useNavigationPersistence();
   useAuthPersistence();
@@ -74,304 +105,55 @@ export default function Chatbot() {
     return () => window.removeEventListener('resize', checkMobile);
   }, []);
 
-  // Check TTS service health on mount and when mute state changes
-  useEffect(() => {
-    const checkTTSHealth = async () => {
-      try {
-        // Check both TTS services - dedicated chatbot service and regular TTS service
-        const dedicatedTTSService = (await import('../services/dedicatedChatbotTTSService')).default;
-        const regularTTSService = (await import('../services/ttsService')).default;
-
-        // Try dedicated chatbot service first (port 8002)
-        let healthy = await dedicatedTTSService.checkServiceHealth();
-
-        if (!healthy) {
-          // Fallback to regular TTS service (port 8007)
-          healthy = await regularTTSService.checkServiceHealth();
-        }
-
-        setServiceHealthy(healthy);
-
-        if (healthy) {
-          // Always enable auto-play on the service
-          dedicatedTTSService.autoPlayEnabled = true;
-          setTtsInitialized(true);
-
-          // If not muted, ensure we're ready for auto-play
-          if (!isTTSMuted) {
-            // Force a small interaction to enable autoplay if needed
-            try {
-              const audio = new Audio();
-              audio.volume = 0;
-              const playPromise = audio.play();
-              if (playPromise) {
-                playPromise.catch(() => {
-                  // Autoplay blocked, will be enabled after user interaction
-                });
-              }
-            } catch (e) {
-              // Ignore audio creation errors
-            }
-          }
-        } else {
-          setTtsInitialized(false);
-        }
-      } catch (error) {
-        setServiceHealthy(false);
-        setTtsInitialized(false);
-      }
-    };
-
-    checkTTSHealth();
-
-    // Re-check health periodically to handle service restarts
-    const healthCheckInterval = setInterval(checkTTSHealth, 30000); // Check every 30 seconds
-
-    return () => clearInterval(healthCheckInterval);
-  }, [isTTSMuted]); // Re-run when mute state changes
-
-  // Direct TTS function for speaking text
-  const speakText = useCallback(async (text, messageId) => {
+  /**
+   * Speak text, interrupting whatever is playing
+   * @param {string} text - Message text; markdown is stripped by the engine
+   * @param {string|null} messageId - Message whose play button shows progress
+   */
+  const speakText = useCallback((text, messageId = null) => {
     if (!serviceHealthy || isTTSMuted || !text || !text.trim()) {
       return;
     }
 
-    try {
-      // Import TTS services dynamically
-      const dedicatedTTSService = (await import('../services/dedicatedChatbotTTSService')).default;
-      const regularTTSService = (await import('../services/ttsService')).default;
-
-      // Clean the text for better speech
-      const cleanText = text
-        .replace(/\*\*(.*?)\*\*/g, '$1') // Remove bold markdown
-        .replace(/\*(.*?)\*/g, '$1') // Remove italic markdown
-        .replace(/`(.*?)`/g, '$1') // Remove code markdown
-        .replace(/#{1,6}\s/g, '') // Remove headers
-        .replace(/\n+/g, '. ') // Replace newlines with periods
-        .replace(/\s+/g, ' ') // Normalize whitespace
-        .trim();
-
-      if (!cleanText) return;
-
-      // Show TTS generation indicator
-      setIsGeneratingTTS(true);
-
-      // Try dedicated chatbot service first, fallback to regular TTS service
-      let ttsService = dedicatedTTSService;
-      let serviceHealthyCheck = await dedicatedTTSService.checkServiceHealth();
-
-      if (!serviceHealthyCheck) {
-        ttsService = regularTTSService;
-        serviceHealthyCheck = await regularTTSService.checkServiceHealth();
-      }
-
-      if (!serviceHealthyCheck) {
+    // Show TTS generation indicator
+    setIsGeneratingTTS(true);
+    setPlayingMessageId(messageId);
+
+    runSpeech("playTTS", text, {
+      onPlayStart: () => {
+        setIsGeneratingTTS(false); // Hide generation indicator
+        dispatch(setIsSpeaking(true)); // Show speaking animation
+      },
+    })
+      .catch(() => {
+        // Silently handle TTS errors to avoid disrupting UX
+      })
+      .finally(() => {
         setIsGeneratingTTS(false);
-        return;
-      }
-
-      // Play the TTS with visual feedback
-      await ttsService.playTTS(cleanText, {
-        volume: 0.8,
-        onPlayStart: () => {
-          setIsGeneratingTTS(false); // Hide generation indicator
-          dispatch(setIsSpeaking(true)); // Show speaking animation
-        },
-        onPlayEnd: () => {
-          dispatch(setIsSpeaking(false)); // Hide speaking animation
-        },
-        onError: () => {
-          setIsGeneratingTTS(false); // Hide generation indicator on error
-          dispatch(setIsSpeaking(false)); // Hide speaking animation on error
-        }
-      });
-
-      // Mark this message as processed
-      setLastProcessedMessageId(messageId);
-
-    } catch (error) {
-      // Silently handle TTS errors to avoid disrupting UX
-      setIsGeneratingTTS(false);
-      dispatch(setIsSpeaking(false));
-    }
-  }, [serviceHealthy, isTTSMuted, dispatch]);
-
-  // Function to speak individual message
-  const speakIndividualMessage = useCallback(async (text, messageId) => {
-    if (!serviceHealthy || isTTSMuted || !text || !text.trim()) {
-      return;
-    }
-
-    // Stop any currently playing message
-    if (playingMessageId) {
-      try {
-        const dedicatedTTSService = (await import('../services/dedicatedChatbotTTSService')).default;
-        dedicatedTTSService.stopTTS();
-        setPlayingMessageId(null);
-        dispatch(setIsSpeaking(false));
-      } catch (error) {
-        // Ignore errors when stopping
-      }
-    }
-
-    try {
-      // Import TTS services dynamically
-      const dedicatedTTSService = (await import('../services/dedicatedChatbotTTSService')).default;
-      const regularTTSService = (await import('../services/ttsService')).default;
-
-      // Clean the text for better speech
-      const cleanText = text
-        .replace(/\*\*(.*?)\*\*/g, '$1') // Remove bold markdown
-        .replace(/\*(.*?)\*/g, '$1') // Remove italic markdown
-        .replace(/`(.*?)`/g, '$1') // Remove code markdown
-        .replace(/#{1,6}\s/g, '') // Remove headers
-        .replace(/\n+/g, '. ') // Replace newlines with periods
-        .replace(/\s+/g, ' ') // Normalize whitespace
-        .trim();
-
-      if (!cleanText) return;
-
-      // Set this message as playing
-      setPlayingMessageId(messageId);
-
-      // Try dedicated chatbot service first, fallback to regular TTS service
-      let ttsService = dedicatedTTSService;
-      let serviceHealthyCheck = await dedicatedTTSService.checkServiceHealth();
-
-      if (!serviceHealthyCheck) {
-        ttsService = regularTTSService;
-        serviceHealthyCheck = await regularTTSService.checkServiceHealth();
-      }
-
-      if (!serviceHealthyCheck) {
-        setPlayingMessageId(null);
-        return;
-      }
-
-      // Play the TTS with visual feedback
-      await ttsService.playTTS(cleanText, {
-        volume: 0.8,
-        onPlayStart: () => {
-          dispatch(setIsSpeaking(true)); // Show speaking animation
-        },
-        onPlayEnd: () => {
-          setPlayingMessageId(null); // Clear playing state
-          dispatch(setIsSpeaking(false)); // Hide speaking animation
-        },
-        onError: () => {
-          setPlayingMessageId(null); // Clear playing state on error
-          dispatch(setIsSpeaking(false)); // Hide speaking animation on error
-        }
+        // A newer message may have taken over the play button
+        setPlayingMessageId((current) => (current === messageId ? null : current));
+        dispatch(setIsSpeaking(false)); // Hide speaking animation
       });
-
-    } catch (error) {
-      // Silently handle TTS errors to avoid disrupting UX
-      setPlayingMessageId(null);
-      dispatch(setIsSpeaking(false));
-    }
-  }, [serviceHealthy, isTTSMuted, dispatch, playingMessageId]);
+  }, [serviceHealthy, isTTSMuted, runSpeech, dispatch]);
 
   // Handle TTS mute/unmute
-  const toggleTTSMute = useCallback(async () => {
+  const toggleTTSMute = useCallback(() => {
     const newMutedState = !isTTSMuted;
     setIsTTSMuted(newMutedState);
     localStorage.setItem('chatbotTTSMuted', newMutedState.toString());
 
     // Stop current TTS if muting
     if (newMutedState) {
+      stopSpeech();
       dispatch(setIsSpeaking(false));
-    } else {
-      // When unmuting, ensure TTS service is properly initialized
-      try {
-        const dedicatedTTSService = (await import('../services/dedicatedChatbotTTSService')).default;
-        dedicatedTTSService.autoPlayEnabled = true;
-
-        // Re-check service health
-        const healthy = await dedicatedTTSService.checkServiceHealth();
-        setServiceHealthy(healthy);
-      } catch (error) {
-        setServiceHealthy(false);
-      }
-    }
-  }, [isTTSMuted, dispatch]);
-
-  // Direct API functions
-  const sendChatMessage = async (userQuery, userId, llmModel = "grok") => {
-    console.log(`DEBUG - Sending chat message to ${CHAT_API_BASE_URL}/chatpost`);
-    console.log(`DEBUG - User ID: ${userId}, Model: ${llmModel}`);
-    console.log(`DEBUG - Message: ${userQuery}`);
-
-    try {
-      const response = await fetch(`${CHAT_API_BASE_URL}/chatpost?user_id=${userId}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          message: userQuery,
-          llm: llmModel,
-          type: "chat_message",
-        }),
-      });
-
-      if (!response.ok) {
-        console.error(`HTTP error! status: ${response.status}`);
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      console.log("DEBUG - Chat message sent successfully:", data);
-      return data;
-    } catch (error) {
-      console.error("DEBUG - Error sending chat message:", error);
-      throw error;
     }
-  };
-
-  const fetchChatbotResponse = async (userId) => {
-    console.log(`DEBUG - Fetching chatbot response from ${CHAT_API_BASE_URL}/chatbot`);
-    console.log(`DEBUG - User ID: ${userId}`);
-
-    try {
-      // Add timestamp to prevent caching
-      const timestamp = new Date().getTime();
-      const response = await fetch(`${CHAT_API_BASE_URL}/chatbot?user_id=${userId}&timestamp=${timestamp}`, {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache, no-store, must-revalidate",
-          "Pragma": "no-cache",
-          "Expires": "0"
-        },
-      });
-
-      if (!response.ok) {
-        console.error(`HTTP error! status: ${response.status}`);
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      console.log("DEBUG - Chatbot response received:", data);
-      return data;
-    } catch (error) {
-      console.error("DEBUG - Error fetching chatbot response:", error);
-      throw error;
-    }
-  };
+  }, [isTTSMuted, stopSpeech, dispatch]);
 
   // Function to navigate to Summarizer page
   const handleNavigateToLearn = () => {
     navigate("/learn");
   };
 
-  // Load the selected model from localStorage if available
-  useEffect(() => {
-    const savedModel = localStorage.getItem("selectedAIModel");
-    if (savedModel) {
-      setSelectedModel(savedModel);
-    }
-  }, []);
-
   // Auto-scroll to bottom when new messages arrive - DESKTOP ONLY
   useEffect(() => {
     // Only auto-scroll on desktop, not mobile
@@ -432,171 +214,66 @@ export default function Chatbot() {
       }
     };
 
-    try {
-      // Enhanced debugging for user ID and query
-      console.log("DEBUG - Sending message with user ID:", userId);
-      console.log("DEBUG - User query:", userQuery);
-      console.log("DEBUG - Query length:", userQuery.length);
+    const requestId = chatStreamService.createRequestId();
+    const controller = new AbortController();
+    activeRequestIdRef.current = requestId;
+    abortControllerRef.current = controller;
 
+    try {
       try {
         // Make sure userId is always defined
         const effectiveUserId = userId || "guest-user";
-        console.log("DEBUG - Using effective user ID:", effectiveUserId);
-
-        // STEP 1: First send the user's query to the chatpost endpoint
-        console.log("DEBUG - Sending user query to chatpost");
-
-        try {
-          // Send the user's query to the chatpost endpoint with the selected model
-          const chatpostResult = await sendChatMessage(userQuery, effectiveUserId, selectedModel);
-          console.log("DEBUG - Initial chatpost result:", chatpostResult);
-        } catch (error) {
-          console.error("DEBUG - Error sending chat message:", error);
-          // Continue anyway - the message might still be processed
-        }
-
-        // STEP 2: Now fetch the response from the chatbot endpoint
-        console.log("DEBUG - Now fetching response from chatbot endpoint");
 
-        // Wait a moment to allow the backend to process the query
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-
-        // Initialize variables
-        let response = null;
-        let aiMessage = "";
-        let maxRetries = 5;
-        let retryCount = 0;
-        let retryDelay = 2000; // Start with 2 seconds
-
-        // Keep trying until we get a response or reach max retries
-        while (retryCount < maxRetries) {
-          try {
-            response = await fetchChatbotResponse(effectiveUserId);
-            console.log("DEBUG - Got response:", response);
-
-            // If we got a valid response with no "No queries yet" error, break out of the loop
-            if (response && (!response.error || response.error !== "No queries yet")) {
-              break;
-            }
-
-            // If we got a "No queries yet" error, wait and retry
-            console.log(`DEBUG - Got 'No queries yet' error, retrying (${retryCount + 1}/${maxRetries})...`);
-            retryCount++;
-
-            // Exponential backoff - increase delay with each retry
-            await new Promise((resolve) => setTimeout(resolve, retryDelay));
-            retryDelay = Math.min(retryDelay * 1.5, 10000); // Cap at 10 seconds
-          } catch (error) {
-            console.error("DEBUG - Error fetching response:", error);
-            retryCount++;
-            await new Promise((resolve) => setTimeout(resolve, retryDelay));
-            retryDelay = Math.min(retryDelay * 1.5, 10000);
-          }
-        }
-
-        // If we've exhausted all retries and still have no valid response
-        if (!response || (response.error && response.error === "No queries yet")) {
-          aiMessage = "I'm processing your message. Please wait a moment and try again.";
-          console.log("DEBUG - No valid response after all retries, using fallback");
-        }
-
-        // If we don't have an aiMessage yet, process the response
-        if (!aiMessage) {
-          // Expected structure from dedicated chatbot service:
-          // {
-          //   "_id": "...",
-          //   "query": "user message",
-          //   "response": {
-          //     "message": "AI response",
-          //     "timestamp": "...",
-          //     "type": "chat_response",
-          //     "user_id": "..."
-          //   }
-          // }
-
-          if (response && response.response && response.response.message) {
-            // This is the expected structure from the dedicated chatbot service
-            aiMessage = response.response.message;
-            console.log("DEBUG - Found message in response.response.message:", aiMessage);
-          } else if (response && response.message) {
-            // Fallback: direct message property
-            aiMessage = response.message;
-            console.log("DEBUG - Found message directly:", aiMessage);
-          } else if (response && typeof response === "string") {
-            // Fallback: response is a string
-            aiMessage = response;
-            console.log("DEBUG - Response is a string:", aiMessage);
-          } else if (response && response.error) {
-            // Handle other error cases
-            aiMessage = `I encountered an issue: ${response.error}. Please try again.`;
-            console.log("DEBUG - Found error message:", response.error);
-          } else {
-            // Last resort fallback
-            aiMessage = "I received your message but had trouble generating a response. Please try again.";
-            console.log("DEBUG - Using fallback message");
-          }
-        }
-
-        // Check if this is the first query to the server
-        if (response && response.isFirstQuery) {
-          // Show a toast notification to inform the user
-          toast(
-            "This is your first query to the server. Future responses will be more personalized.",
-            {
-              duration: 5000,
-              icon: "🔄",
-            }
-          );
-
-          // Automatically retry the chatpost endpoint to initialize the chat history
-          try {
-            console.log(
-              "DEBUG - Initializing chat history with effectiveUserId:",
-              effectiveUserId
-            );
-
-            // Make sure we have both the AI message and user query
-            if (!aiMessage || !userQuery) {
-              console.log(
-                "DEBUG - Missing aiMessage or userQuery for chat history initialization"
-              );
-              console.log("DEBUG - aiMessage:", aiMessage);
-              console.log("DEBUG - userQuery:", userQuery);
-
-              // For initialization, we don't need to send again since we already sent the message
-              console.log("DEBUG - Chat history initialization not needed with direct API");
-            } else {
-              // For initialization, we don't need to send again since we already sent the message
-              console.log("DEBUG - Chat history initialization not needed with direct API");
+        // Send the query and stream the answer back in one request
+        const result = await chatStreamService.streamChat({
+          message: userQuery,
+          userId: effectiveUserId,
+          llm: selectedModel,
+          requestId,
+          signal: controller.signal,
+          onDelta: (content, text, id) => {
+            if (activeRequestIdRef.current === id) {
+              setCurrentStreamingMessage(content);
             }
+          },
+        });
 
-            console.log("DEBUG - Chat history initialized successfully");
-          } catch (err) {
-            // Log error but continue - this is non-critical
-            console.log("DEBUG - Failed to initialize chat history:", err);
+        const aiMessage = result.content;
+
+        if (result.cancelled) {
+          // Keep whatever was answered before the user stopped it
+          if (aiMessage) {
+            await addMessage({
+              role: "assistant",
+              content: aiMessage,
+              model: result.model,
+              timestamp: result.timestamp,
+              requestId,
+              isStopped: true,
+            });
           }
+          return;
         }
 
         // Add the bot's response to messages
         if (aiMessage && aiMessage.trim() !== "") {
           // Get the model used for this response
-          const modelUsed = response?.response?.llm || selectedModel;
+          const modelUsed = result.model;
 
           // Add assistant message to chat history
           const assistantMessage = {
             role: "assistant",
             content: aiMessage,
             model: modelUsed,
-            timestamp: new Date().toISOString(),
+            timestamp: result.timestamp,
+            requestId,
           };
           await addMessage(assistantMessage);
 
           // Trigger TTS for the AI response
           if (serviceHealthy && !isTTSMuted && aiMessage) {
-            // Use timestamp as unique message ID for TTS tracking
-            const messageId = assistantMessage.timestamp;
             setTimeout(() => {
-              speakText(aiMessage, messageId);
+              speakText(aiMessage);
             }, 300); // Small delay for better UX
           }
 
@@ -613,9 +290,6 @@ export default function Chatbot() {
             // Continue even if logging fails
           }
 
-          // We've already sent the user query and received the response
-          // No need to do anything else here
-
           // Ensure input is ready for next interaction after successful response
           setTimeout(() => {
             ensureInputReady();
@@ -643,7 +317,7 @@ export default function Chatbot() {
           userErrorMessage = t(
             "I apologize, but the server is temporarily unavailable. Please try again in a few minutes or check with support if the issue persists."
           );
-          toastMessage = `Server ${API_BASE_URL} is temporarily unavailable`;
+          toastMessage = `Server ${getServiceUrl("chat")} is temporarily unavailable`;
         } else if (
           errorMessage.includes("timeout") ||
           errorMessage.includes("not responding")
@@ -664,16 +338,7 @@ export default function Chatbot() {
           userErrorMessage = t(
             "I apologize, but I received an empty response from the server. This might be due to a configuration issue."
           );
-          toastMessage = `Empty response from ${CHAT_API_BASE_URL}. Check server configuration.`;
-        } else if (
-          errorMessage.includes("No queries yet") ||
-          errorMessage.includes("No queries found for this user")
-        ) {
-          userErrorMessage = t(
-            "This appears to be your first query. The system is initializing your chat history."
-          );
-          toastMessage =
-            "First-time setup. Please try sending your message again.";
+          toastMessage = `Empty response from ${getServiceUrl("chat")}. Check server configuration.`;
         } else if (errorMessage.includes("Server error:")) {
           userErrorMessage = t(
             "I apologize, but the server returned an error. The developers have been notified."
@@ -720,6 +385,10 @@ export default function Chatbot() {
         ensureInputReady();
       }, 100);
     } finally {
+      if (activeRequestIdRef.current === requestId) {
+        activeRequestIdRef.current = null;
+        abortControllerRef.current = null;
+      }
       setIsLoading(false);
       setCurrentStreamingMessage("");
 
@@ -730,6 +399,56 @@ export default function Chatbot() {
     }
   };
 
+  // Stop the answer that is streaming in; the part received so far is kept
+  const handleStopMessage = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // Cancel an unfinished answer when leaving the page
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  usePageActions("chatbot", {
+    title: t("AI Guru Chat"),
+    context: {
+      persona: personaName,
+      model: selectedModel,
+      messageCount: messages.length,
+      answering: isLoading,
+    },
+    actions: {
+      new_session: {
+        label: t("New Session"),
+        icon: RefreshCw,
+        quick: true,
+        description: "Start a new chat session",
+        run: async () => {
+          await createNewSession();
+          return { message: "🆕 Started a new chat session." };
+        },
+      },
+      select_model: {
+        label: t("Change Model"),
+        description: "Switch the model that answers in the chat",
+        params: {
+          model: {
+            type: "string",
+            required: true,
+            enum: chatModels.filter((model) => model.available).map((model) => model.id),
+          },
+        },
+        run: ({ model }) => {
+          if (isLoading) {
+            throw new PageActionError("wait for the current answer to finish", "busy");
+          }
+          setSelectedModel(model);
+          return { message: `🤖 The chat now uses ${getModel(model).displayName}.` };
+        },
+      },
+    },
+  });
+
   // Handle Enter key press and auto-resize textarea
   const handleKeyDown = (e) => {
     // Submit on Enter (without Shift)
@@ -837,7 +556,7 @@ export default function Chatbot() {
                       <p className="mobile-message-text">{currentStreamingMessage}</p>
                       {serviceHealthy && (
                         <button
-                          onClick={() => speakIndividualMessage(currentStreamingMessage, 'streaming')}
+                          onClick={() => speakText(currentStreamingMessage, 'streaming')}
                           className="mobile-tts-btn"
                           disabled={isTTSMuted}
                         >
@@ -852,6 +571,15 @@ export default function Chatbot() {
                   </div>
                 )}
 
+                {hasOlderMessages && (
+                  <button
+                    onClick={loadOlderMessages}
+                    className="mx-auto mb-2 px-3 py-1 rounded-full bg-white/10 text-white/70 text-xs"
+                  >
+                    {t("Load earlier messages")}
+                  </button>
+                )}
+
                 {/* Regular messages */}
                 {messages.map((message, index) => {
                   const isUser = message.role === "user";
@@ -867,7 +595,7 @@ export default function Chatbot() {
                         
                         {!isUser && !isError && serviceHealthy && (
                           <button
-                            onClick={() => speakIndividualMessage(message.content, message.id || message.timestamp)}
+                            onClick={() => speakText(message.content, message.id || message.timestamp)}
                             className="mobile-tts-btn"
                             disabled={isTTSMuted}
                           >
@@ -881,7 +609,8 @@ export default function Chatbot() {
                         
                         {!isUser && message.model && (
                           <div className="mobile-model-badge">
-                            {message.model.charAt(0).toUpperCase() + message.model.slice(1)}
+                            {getModel(message.model).displayName}
+                            {message.isStopped && ` · ${t("Stopped")}`}
                           </div>
                         )}
                       </div>
@@ -898,17 +627,15 @@ export default function Chatbot() {
                 <div className="mobile-controls">
                   <select
                     value={selectedModel}
-                    onChange={(e) => {
-                      setSelectedModel(e.target.value);
-                      localStorage.setItem("selectedAIModel", e.target.value);
-                    }}
+                    onChange={(e) => setSelectedModel(e.target.value)}
                     className="mobile-model-select"
                     disabled={isLoading || !isInitialized}
                   >
-                    <option value="grok">Grok</option>
-                    <option value="llama">Llama</option>
-                    <option value="chatgpt">ChatGPT</option>
-                    <option value="uniguru">UniGuru</option>
+                    {chatModels.map((model) => (
+                      <option key={model.id} value={model.id} disabled={!model.available}>
+                        {model.displayName}
+                      </option>
+                    ))}
                   </select>
                   
                   {/* Status indicators */}
@@ -957,17 +684,27 @@ export default function Chatbot() {
                     rows="1"
                   />
                   
-                  <button
-                    onClick={handleSendMessage}
-                    className={`mobile-send-btn ${
-                      input.trim() && !isLoading && isInitialized
-                        ? 'active'
-                        : 'disabled'
-                    }`}
-                    disabled={isLoading || !input.trim() || !isInitialized}
-                  >
-                    <Send className="w-4 h-4" />
-                  </button>
+                  {isLoading ? (
+                    <button
+                      onClick={handleStopMessage}
+                      className="mobile-send-btn active"
+                      title={t("Stop")}
+                    >
+                      <Square className="w-4 h-4" />
+                    </button>
+                  ) : (
+                    <button
+                      onClick={handleSendMessage}
+                      className={`mobile-send-btn ${
+                        input.trim() && isInitialized
+                          ? 'active'
+                          : 'disabled'
+                      }`}
+                      disabled={!input.trim() || !isInitialized}
+                    >
+                      <Send className="w-4 h-4" />
+                    </button>
+                  )}
                 </div>
               </div>
             </>
@@ -980,13 +717,19 @@ export default function Chatbot() {
             <div className="mobile-menu-content" onClick={(e) => e.stopPropagation()}>
               <ChatHistoryControls
                 chatStats={chatStats}
+                modelOptions={chatModels}
                 onClearSession={clearCurrentSession}
                 onClearAll={clearAllHistory}
-                getAllSessions={getAllSessions}
+                getSessionsPage={getSessionsPage}
+                searchMessages={searchMessages}
                 switchToSession={switchToSession}
                 createNewSession={createNewSession}
                 deleteSession={deleteSession}
                 getCurrentSessionInfo={getCurrentSessionInfo}
+                exportSessions={exportSessions}
+                importSessions={importSessions}
+                syncStatus={syncStatus}
+                onSyncNow={syncNow}
               />
               
               {serviceHealthy && !isTTSMuted && messages.length > 0 && (
@@ -1096,13 +839,19 @@ export default function Chatbot() {
           {/* Chat History Controls */}
           <ChatHistoryControls
             chatStats={chatStats}
+            modelOptions={chatModels}
             onClearSession={clearCurrentSession}
             onClearAll={clearAllHistory}
-            getAllSessions={getAllSessions}
+            getSessionsPage={getSessionsPage}
+            searchMessages={searchMessages}
             switchToSession={switchToSession}
             createNewSession={createNewSession}
             deleteSession={deleteSession}
             getCurrentSessionInfo={getCurrentSessionInfo}
+            exportSessions={exportSessions}
+            importSessions={importSessions}
+            syncStatus={syncStatus}
+            onSyncNow={syncNow}
           />
         </div>
       </div>
@@ -1153,31 +902,7 @@ export default function Chatbot() {
               <p className="mt-1 text-xs text-white/60">
                 <span>
                   {t("Guru AI")}{" "}
-                  <span
-                    className="inline-block px-1.5 py-0.5 rounded text-[10px] font-medium ml-1"
-                    style={{
-                      background:
-                        selectedModel === "grok"
-                          ? "linear-gradient(135deg, rgba(255, 153, 51, 0.3), rgba(255, 153, 51, 0.1))"
-                          : selectedModel === "llama"
-                          ? "linear-gradient(135deg, rgba(0, 128, 255, 0.3), rgba(0, 128, 255, 0.1))"
-                          : selectedModel === "chatgpt"
-                          ? "linear-gradient(135deg, rgba(16, 163, 127, 0.3), rgba(16, 163, 127, 0.1))"
-                          : "linear-gradient(135deg, rgba(128, 0, 255, 0.3), rgba(128, 0, 255, 0.1))",
-                      border:
-                        selectedModel === "grok"
-                          ? "1px solid rgba(255, 153, 51, 0.3)"
-                          : selectedModel === "llama"
-                          ? "1px solid rgba(0, 128, 255, 0.3)"
-                          : selectedModel === "chatgpt"
-                          ? "1px solid rgba(16, 163, 127, 0.3)"
-                          : "1px solid rgba(128, 0, 255, 0.3)",
-                      boxShadow: "0 1px 3px rgba(0, 0, 0, 0.1)",
-                    }}
-                  >
-                    {selectedModel.charAt(0).toUpperCase() +
-                      selectedModel.slice(1)}
-                  </span>{" "}
+                  <ChatModelBadge model={getModel(selectedModel)} />{" "}
                   {t("is thinking...")}
                 </span>
               </p>
@@ -1211,7 +936,7 @@ export default function Chatbot() {
                 {/* Individual TTS Button for Streaming Message */}
                 {serviceHealthy && currentStreamingMessage && (
                   <button
-                    onClick={() => speakIndividualMessage(currentStreamingMessage, 'streaming')}
+                    onClick={() => speakText(currentStreamingMessage, 'streaming')}
                     className={`absolute top-2 right-2 p-1.5 rounded-lg transition-all duration-200 opacity-0 group-hover:opacity-100 ${
                       playingMessageId === 'streaming'
                         ? 'bg-green-500/20 text-green-400'
@@ -1233,31 +958,7 @@ export default function Chatbot() {
               <p className="mt-1 text-xs text-white/60 text-left">
                 <span>
                   {t("Guru AI")}{" "}
-                  <span
-                    className="inline-block px-1.5 py-0.5 rounded text-[10px] font-medium ml-1"
-                    style={{
-                      background:
-                        selectedModel === "grok"
-                          ? "linear-gradient(135deg, rgba(255, 153, 51, 0.3), rgba(255, 153, 51, 0.1))"
-                          : selectedModel === "llama"
-                          ? "linear-gradient(135deg, rgba(0, 128, 255, 0.3), rgba(0, 128, 255, 0.1))"
-                          : selectedModel === "chatgpt"
-                          ? "linear-gradient(135deg, rgba(16, 163, 127, 0.3), rgba(16, 163, 127, 0.1))"
-                          : "linear-gradient(135deg, rgba(128, 0, 255, 0.3), rgba(128, 0, 255, 0.1))",
-                      border:
-                        selectedModel === "grok"
-                          ? "1px solid rgba(255, 153, 51, 0.3)"
-                          : selectedModel === "llama"
-                          ? "1px solid rgba(0, 128, 255, 0.3)"
-                          : selectedModel === "chatgpt"
-                          ? "1px solid rgba(16, 163, 127, 0.3)"
-                          : "1px solid rgba(128, 0, 255, 0.3)",
-                      boxShadow: "0 1px 3px rgba(0, 0, 0, 0.1)",
-                    }}
-                  >
-                    {selectedModel.charAt(0).toUpperCase() +
-                      selectedModel.slice(1)}
-                  </span>
+                  <ChatModelBadge model={getModel(selectedModel)} />
                 </span>
               </p>
             </div>
@@ -1308,7 +1009,7 @@ export default function Chatbot() {
                 {/* Individual TTS Button for Assistant Messages */}
                 {!isUser && !isError && serviceHealthy && (
                   <button
-                    onClick={() => speakIndividualMessage(message.content, message.id || message.timestamp)}
+                    onClick={() => speakText(message.content, message.id || message.timestamp)}
                     className={`absolute top-2 right-2 p-1.5 rounded-lg transition-all duration-200 opacity-0 group-hover:opacity-100 ${
                       playingMessageId === (message.id || message.timestamp)
                         ? 'bg-green-500/20 text-green-400'
@@ -1338,31 +1039,10 @@ export default function Chatbot() {
                   <span>
                     {t("Guru AI")}{" "}
                     {message.model && (
-                      <span
-                        className="inline-block px-1.5 py-0.5 rounded text-[10px] font-medium ml-1"
-                        style={{
-                          background:
-                            message.model === "grok"
-                              ? "linear-gradient(135deg, rgba(255, 153, 51, 0.3), rgba(255, 153, 51, 0.1))"
-                              : message.model === "llama"
-                              ? "linear-gradient(135deg, rgba(0, 128, 255, 0.3), rgba(0, 128, 255, 0.1))"
-                              : message.model === "chatgpt"
-                              ? "linear-gradient(135deg, rgba(16, 163, 127, 0.3), rgba(16, 163, 127, 0.1))"
-                              : "linear-gradient(135deg, rgba(128, 0, 255, 0.3), rgba(128, 0, 255, 0.1))",
-                          border:
-                            message.model === "grok"
-                              ? "1px solid rgba(255, 153, 51, 0.3)"
-                              : message.model === "llama"
-                              ? "1px solid rgba(0, 128, 255, 0.3)"
-                              : message.model === "chatgpt"
-                              ? "1px solid rgba(16, 163, 127, 0.3)"
-                              : "1px solid rgba(128, 0, 255, 0.3)",
-                          boxShadow: "0 1px 3px rgba(0, 0, 0, 0.1)",
-                        }}
-                      >
-                        {message.model.charAt(0).toUpperCase() +
-                          message.model.slice(1)}
-                      </span>
+                      <ChatModelBadge model={getModel(message.model)} />
+                    )}
+                    {message.isStopped && (
+                      <span className="ml-2 italic text-white/40">{t("Stopped")}</span>
                     )}
                   </span>
                 )}
@@ -1370,6 +1050,16 @@ export default function Chatbot() {
             </div>
           );
           })}
+
+          {/* Older pages sit at the visual top of the reversed list */}
+          {hasOlderMessages && (
+            <button
+              onClick={loadOlderMessages}
+              className="self-center mb-4 px-4 py-1.5 rounded-full bg-white/10 hover:bg-white/20 text-white/70 text-sm transition-colors"
+            >
+              {t("Load earlier messages")}
+            </button>
+          )}
           </div>
         )}
       </div>
@@ -1401,11 +1091,7 @@ export default function Chatbot() {
             </div>
             <select
               value={selectedModel}
-              onChange={(e) => {
-                setSelectedModel(e.target.value);
-                // Save the selected model to localStorage for use in other components
-                localStorage.setItem("selectedAIModel", e.target.value);
-              }}
+              onChange={(e) => setSelectedModel(e.target.value)}
               className="model-selector appearance-none bg-gradient-to-r from-[#FF9933]/30 to-[#FF9933]/10 text-white border-2 border-[#FF9933]/30 rounded-lg px-3 py-2 text-sm font-medium outline-none cursor-pointer transition-all duration-300"
               style={{
                 backdropFilter: "blur(10px)",
@@ -1415,18 +1101,19 @@ export default function Chatbot() {
               }}
               disabled={isLoading || !isInitialized}
             >
-              <option value="grok" className="bg-[#1E1E28] text-white">
-                Grok
-              </option>
-              <option value="llama" className="bg-[#1E1E28] text-white">
-                Llama
-              </option>
-              <option value="chatgpt" className="bg-[#1E1E28] text-white">
-                ChatGPT
-              </option>
-              <option value="uniguru" className="bg-[#1E1E28] text-white">
-                UniGuru
-              </option>
+              {chatModels.map((model) => (
+                <option
+                  key={model.id}
+                  value={model.id}
+                  disabled={!model.available}
+                  title={describeChatModel(model)}
+                  className="bg-[#1E1E28] text-white"
+                >
+                  {model.available
+                    ? model.displayName
+                    : `${model.displayName} (${t("unavailable")})`}
+                </option>
+              ))}
             </select>
             {/* Custom dropdown arrow */}
             <div className="absolute right-2 top-1/2 transform -translate-y-1/2 pointer-events-none">
@@ -1448,6 +1135,32 @@ export default function Chatbot() {
             </div>
           </div>
 
+          {/* Make the selected model the default for the current persona */}
+          <button
+            type="button"
+            onClick={() =>
+              setPersonaDefault(personaDefault === selectedModel ? null : selectedModel)
+            }
+            className={`flex-shrink-0 p-2 rounded-lg transition-colors ${
+              personaDefault === selectedModel
+                ? "text-[#FF9933] bg-[#FF9933]/20"
+                : "text-white/50 hover:text-white hover:bg-white/10"
+            }`}
+            title={
+              personaDefault === selectedModel
+                ? t("Default model for {{persona}} (click to clear)", { persona: personaName })
+                : t("Use {{model}} by default for {{persona}}", {
+                    model: getModel(selectedModel).displayName,
+                    persona: personaName,
+                  })
+            }
+          >
+            <Star
+              className="w-4 h-4"
+              fill={personaDefault === selectedModel ? "currentColor" : "none"}
+            />
+          </button>
+
           {/* Textarea with fixed height */}
           <div
             className="flex-grow mx-2 min-w-0"
@@ -1484,21 +1197,38 @@ export default function Chatbot() {
             />
           </div>
 
-          {/* Send button */}
-          <button
-            onClick={handleSendMessage}
-            type="button"
-            className="px-6 py-3 rounded-xl transition-all hover:scale-105 disabled:opacity-50 disabled:hover:scale-100 flex-shrink-0"
-            disabled={isLoading || !input.trim() || !isInitialized}
-            style={{
-              background: "rgba(255, 153, 51, 0.7)",
-              backdropFilter: "blur(10px)",
-              boxShadow: "0 4px 15px rgba(255, 153, 51, 0.3)",
-              color: "white",
-            }}
-          >
-            {t("Send")}
-          </button>
+          {/* Send button, or Stop while an answer is streaming in */}
+          {isLoading ? (
+            <button
+              onClick={handleStopMessage}
+              type="button"
+              className="px-6 py-3 rounded-xl transition-all hover:scale-105 flex-shrink-0 flex items-center gap-2"
+              style={{
+                background: "rgba(239, 68, 68, 0.6)",
+                backdropFilter: "blur(10px)",
+                boxShadow: "0 4px 15px rgba(239, 68, 68, 0.3)",
+                color: "white",
+              }}
+            >
+              <Square className="w-4 h-4" />
+              {t("Stop")}
+            </button>
+          ) : (
+            <button
+              onClick={handleSendMessage}
+              type="button"
+              className="px-6 py-3 rounded-xl transition-all hover:scale-105 disabled:opacity-50 disabled:hover:scale-100 flex-shrink-0"
+              disabled={!input.trim() || !isInitialized}
+              style={{
+                background: "rgba(255, 153, 51, 0.7)",
+                backdropFilter: "blur(10px)",
+                boxShadow: "0 4px 15px rgba(255, 153, 51, 0.3)",
+                color: "white",
+              }}
+            >
+              {t("Send")}
+            </button>
+          )}
         </div>
       </div>
 
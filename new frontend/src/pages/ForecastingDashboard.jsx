@@ -1,290 +1,241 @@
-import React, { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar } from 'recharts';
-import { TrendingUp, Activity, Brain, AlertTriangle, CheckCircle, Clock, Target } from 'lucide-react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar } from 'recharts';
+import { TrendingUp, Activity, Brain, CheckCircle, Target, Upload, History, SlidersHorizontal } from 'lucide-react';
 import GlassContainer from '../components/GlassContainer';
-import GlassButton from '../components/GlassButton';
+import ForecastChart from '../components/ForecastChart';
 import toast from 'react-hot-toast';
+import { getServiceUrl } from '../config/endpoints';
+import { selectUserId } from '../store/authSlice';
+import {
+  useGetForecastStatusQuery,
+  useGenerateForecastMutation,
+  useCompareModelsMutation,
+  useBacktestForecastMutation,
+} from '../api/forecastingApiSlice';
+import {
+  METRIC_TYPES,
+  MIN_SERIES_POINTS,
+  generateSampleSeries,
+  parseSeriesCsv,
+  buildDemoForecast,
+  backtestLocally,
+  summarizeForecast,
+  buildForecastChartRows,
+  buildBacktestChartRows,
+} from '../utils/forecastSeries';
+
+const CSV_SOURCE = 'csv';
+
+const MODEL_LABELS = {
+  prophet: 'Prophet',
+  arima: 'ARIMA',
+  naive: 'Naive',
+  moving_average: 'Moving Average',
+  linear_trend: 'Linear Trend',
+  demo_linear_trend: 'Linear Trend (demo)',
+};
 
-// Utility function for robust date formatting
-const formatDateSafely = (dateString) => {
-  try {
-    // Handle various date formats
-    let date;
-
-    if (dateString.includes('T')) {
-      // ISO format with time
-      date = new Date(dateString);
-    } else {
-      // Date only format - add time to avoid timezone issues
-      date = new Date(dateString + 'T00:00:00');
-    }
+const MODEL_COLORS = ['#FF9933', '#60A5FA', '#4ADE80', '#F472B6'];
 
-    if (isNaN(date.getTime())) {
-      console.error('Invalid date:', dateString);
-      return dateString; // Return original if parsing fails
-    }
+const ERROR_METRICS = ['mae', 'rmse', 'mape'];
+
+const getModelLabel = (model) => MODEL_LABELS[model] || model?.toUpperCase() || 'N/A';
 
-    return `${(date.getMonth() + 1).toString().padStart(2, '0')}/${date.getDate().toString().padStart(2, '0')}/${date.getFullYear()}`;
-  } catch (error) {
-    console.error('Date formatting error:', error, 'for date:', dateString);
-    return dateString; // Return original if error occurs
-  }
+const getErrorMessage = (error) => error?.data?.detail || error?.data?.message || error?.error || error?.message || 'unknown error';
+
+const formatMetric = (value) => (typeof value === 'number' ? value.toFixed(3) : '–');
+
+const controlStyle = {
+  background: 'rgba(255, 255, 255, 0.15)',
+  backdropFilter: 'blur(12px)',
+  border: '2px solid rgba(255, 215, 0, 0.3)',
+  color: '#FFFFFF',
+  fontWeight: '500'
 };
 
-// Generate consistent future dates
-const generateFutureDates = (startDaysFromNow = 1, count = 30) => {
-  const dates = [];
-  const today = new Date();
+const optionStyle = { background: '#FDF6E3', color: '#000000' };
 
-  for (let i = 0; i < count; i++) {
-    const futureDate = new Date(today.getTime() + ((startDaysFromNow + i) * 24 * 60 * 60 * 1000));
-    dates.push(futureDate.toISOString().split('T')[0]);
-  }
+const actionButtonClass = 'flex items-center justify-center space-x-3 py-3 px-6 text-base font-bold rounded-lg transition-all duration-300 border-2 disabled:opacity-50';
+
+const primaryButtonStyle = {
+  background: 'linear-gradient(135deg, rgba(255, 153, 51, 0.4) 0%, rgba(255, 165, 0, 0.3) 50%, rgba(255, 69, 0, 0.2) 100%)',
+  backdropFilter: 'blur(16px)',
+  border: '2px solid rgba(255, 153, 51, 0.6)',
+  boxShadow: '0 8px 32px rgba(255, 153, 51, 0.25), 0 0 0 1px rgba(255, 165, 0, 0.3), inset 0 1px 0 rgba(255, 255, 255, 0.4)',
+  color: '#FFFFFF',
+  textShadow: '0 2px 4px rgba(0, 0, 0, 0.3)'
+};
 
-  return dates;
+const secondaryButtonStyle = {
+  background: 'linear-gradient(135deg, rgba(93, 0, 30, 0.4) 0%, rgba(139, 69, 19, 0.3) 50%, rgba(160, 82, 45, 0.2) 100%)',
+  backdropFilter: 'blur(16px)',
+  border: '2px solid rgba(160, 82, 45, 0.6)',
+  boxShadow: '0 8px 32px rgba(93, 0, 30, 0.25), 0 0 0 1px rgba(160, 82, 45, 0.3), inset 0 1px 0 rgba(255, 255, 255, 0.4)',
+  color: '#FFFFFF',
+  textShadow: '0 2px 4px rgba(0, 0, 0, 0.3)'
 };
 
+const Spinner = () => <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>;
+
+/**
+ * Forecasting Dashboard
+ * Forecasts a built-in sample metric or an uploaded CSV series with
+ * prediction intervals. Advanced mode adds Prophet vs ARIMA comparison and
+ * backtesting on held-out periods. Falls back to simple baseline models when
+ * the forecasting service is not available.
+ */
 const ForecastingDashboard = () => {
-  const [forecastData, setForecastData] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [modelComparison, setModelComparison] = useState(null);
-  const [systemStatus, setSystemStatus] = useState(null);
-  const [selectedMetricType, setSelectedMetricType] = useState('general');
+  const userId = useSelector(selectUserId) || 'guest-user';
+  const fileInputRef = useRef(null);
+
+  const [advanced, setAdvanced] = useState(false);
+  const [source, setSource] = useState('general');
+  const [uploaded, setUploaded] = useState(null);
   const [forecastPeriods, setForecastPeriods] = useState(30);
+  const [holdoutPeriods, setHoldoutPeriods] = useState(7);
+  const [forecast, setForecast] = useState(null);
+  const [modelComparison, setModelComparison] = useState(null);
+  const [backtest, setBacktest] = useState(null);
 
-  // Sample data for demonstration with current dates
-  const generateSampleData = (type) => {
-    const data = [];
-    const today = new Date();
-
-    // Generate 30 days of historical data (past dates)
-    for (let i = -30; i < 0; i++) {
-      const date = new Date(today.getTime() + (i * 24 * 60 * 60 * 1000));
-
-      let value;
-      switch (type) {
-        case 'probability':
-          value = Math.max(0, Math.min(1, 0.3 + 0.4 * Math.sin(i / 10) + Math.random() * 0.2));
-          break;
-        case 'load':
-          value = 50 + 30 * Math.sin(i / 7) + 20 * Math.sin(i / 30) + Math.random() * 10;
-          break;
-        default:
-          value = 100 + 50 * Math.sin(i / 15) + Math.random() * 20;
-      }
+  const { data: systemStatus, isError: statusFailed } = useGetForecastStatusQuery();
+  const [generateForecast, { isLoading: isForecasting }] = useGenerateForecastMutation();
+  const [compareModels, { isLoading: isComparing }] = useCompareModelsMutation();
+  const [backtestForecast, { isLoading: isBacktesting }] = useBacktestForecastMutation();
 
-      data.push({
-        date: date.toISOString().split('T')[0],
-        value: Math.round(value * 100) / 100
-      });
-    }
-    return data;
-  };
+  const serviceReady = !statusFailed && Boolean(systemStatus?.forecasting_enabled);
+  const loading = isForecasting || isComparing || isBacktesting;
+
+  const metricType = source === CSV_SOURCE ? 'general' : source;
+  const series = useMemo(
+    () => (source === CSV_SOURCE && uploaded ? uploaded.series : generateSampleSeries(source)),
+    [source, uploaded]
+  );
+  const lineColor = METRIC_TYPES[metricType].color;
+
+  // Results belong to the series they were computed from
+  useEffect(() => {
+    setForecast(null);
+    setModelComparison(null);
+    setBacktest(null);
+  }, [series]);
+
+  const handleUpload = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
 
-  const checkSystemStatus = async () => {
     try {
-      const response = await fetch('http://localhost:8006/forecast/status');
-      if (response.ok) {
-        const status = await response.json();
-        setSystemStatus(status);
-        return status.forecasting_enabled;
-      }
+      const parsed = parseSeriesCsv(await file.text());
+      setUploaded({ name: file.name, series: parsed });
+      setSource(CSV_SOURCE);
+      toast.success(`Loaded ${parsed.length} points from ${file.name}`);
     } catch (error) {
-      console.error('Failed to check system status:', error);
-      setSystemStatus({ forecasting_enabled: false, error: error.message });
-      return false;
+      toast.error(`Could not read ${file.name}: ${error.message}`);
     }
   };
 
-  const generateForecast = async () => {
-    setLoading(true);
-    setForecastData(null); // Clear previous data
-    console.log('🔄 Generating fresh forecast data...');
+  const handleGenerateForecast = async () => {
+    setForecast(null);
+    const periods = Math.max(1, Math.min(365, forecastPeriods || 30));
 
-    try {
-      // Check if backend is available
-      const isSystemReady = await checkSystemStatus();
-      
-      if (!isSystemReady) {
-        // Use demo data if backend is not available
-        toast.error('Backend not available - showing demo data');
-        const demoData = generateDemoForecast();
-        setForecastData(demoData);
-        setLoading(false);
-        return;
-      }
+    if (!serviceReady) {
+      toast.error('Forecasting service not available - showing a demo forecast');
+      setForecast({ ...buildDemoForecast(series, periods, metricType), demo: true });
+      return;
+    }
 
-      const sampleData = generateSampleData(selectedMetricType);
-      
-      const response = await fetch('http://localhost:8006/forecast', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          data: sampleData,
-          metric_type: selectedMetricType,
-          forecast_periods: forecastPeriods,
-          user_id: 'demo_user',
-          timestamp: Date.now() // Force fresh data
-        })
-      });
-
-      if (response.ok) {
-        const result = await response.json();
-        setForecastData(result);
-        toast.success('Forecast generated successfully!');
-      } else {
-        throw new Error(`HTTP ${response.status}`);
+    try {
+      const result = await generateForecast({
+        data: series,
+        metricType,
+        forecastPeriods: periods,
+        userId,
+      }).unwrap();
+      const content = result.content || {};
+      if (content.status !== 'success') {
+        throw new Error(content.message || content.selection_reason || 'No forecast returned');
       }
+      setForecast({ ...content, summary: content.summary || summarizeForecast(content.forecast_data) });
+      toast.success('Forecast generated successfully!');
     } catch (error) {
       console.error('Forecast generation failed:', error);
-      toast.error('Using demo data - backend unavailable');
-      const demoData = generateDemoForecast();
-      setForecastData(demoData);
+      toast.error(`Forecast failed (${getErrorMessage(error)}) - showing a demo forecast`);
+      setForecast({ ...buildDemoForecast(series, periods, metricType), demo: true });
     }
-    setLoading(false);
   };
 
-  const generateDemoForecast = () => {
-    const forecastData = [];
-
-    // Force fresh date generation every time
-    const today = new Date();
-    console.log('🔄 Current date:', today.toISOString());
-
-    const futureDates = [];
-    for (let i = 1; i <= forecastPeriods; i++) {
-      const futureDate = new Date(today.getTime() + (i * 24 * 60 * 60 * 1000));
-      const dateString = futureDate.toISOString().split('T')[0];
-      futureDates.push(dateString);
-    }
-
-    // Debug: log the generated dates
-    console.log('🗓️ Generated future dates:', futureDates.slice(0, 5));
-
-    futureDates.forEach((dateString, i) => {
-      let baseValue;
-      switch (selectedMetricType) {
-        case 'probability':
-          baseValue = 0.4 + 0.3 * Math.sin((i + 1) / 10);
-          break;
-        case 'load':
-          baseValue = 60 + 25 * Math.sin((i + 1) / 7);
-          break;
-        default:
-          baseValue = 120 + 40 * Math.sin((i + 1) / 15);
+  const handleCompareModels = async () => {
+    if (serviceReady) {
+      try {
+        setModelComparison(await compareModels({ data: series, metricType }).unwrap());
+        toast.success('Model comparison completed!');
+        return;
+      } catch (error) {
+        console.error('Model comparison failed:', error);
+        toast.error(`Model comparison failed (${getErrorMessage(error)}) - comparing baseline models`);
       }
+    }
 
-      const noise = (Math.random() - 0.5) * 0.1 * baseValue;
-      const predicted_value = Math.max(0, baseValue + noise);
-
-      forecastData.push({
-        date: dateString,
-        predicted_value: Math.round(predicted_value * 100) / 100,
-        lower_bound: Math.round((predicted_value * 0.9) * 100) / 100,
-        upper_bound: Math.round((predicted_value * 1.1) * 100) / 100
-      });
-
-      // Debug: log first few dates
-      if (i < 3) {
-        console.log(`Generated forecast date ${i + 1}:`, dateString, 'formatted:', formatDateSafely(dateString));
-      }
+    // Demo mode: compare the baseline models on the last 20% of the series
+    const local = backtestLocally(series, Math.max(1, Math.floor(series.length / 5)), metricType);
+    if (local.status !== 'success') {
+      toast.error(local.message);
+      return;
+    }
+    setModelComparison({
+      status: 'success',
+      best_model: local.best_model,
+      performance_summary: Object.fromEntries(
+        Object.entries(local.models).map(([model, result]) => [model, result.accuracy_metrics])
+      ),
+      demo: true,
     });
-
-    return {
-      content: {
-        status: 'success',
-        forecast_data: forecastData,
-        model_used: 'demo_prophet',
-        accuracy_metrics: {
-          mae: 2.45,
-          rmse: 3.12,
-          mape: 1.95
-        },
-        summary: {
-          mean_prediction: forecastData.reduce((sum, d) => sum + d.predicted_value, 0) / forecastData.length,
-          trend: forecastData[forecastData.length - 1].predicted_value > forecastData[0].predicted_value ? 'increasing' : 'decreasing'
-        },
-        recommendations: [
-          'Demo forecast generated successfully',
-          'Start the backend service to see real Prophet/ARIMA forecasting',
-          'This demonstrates the forecasting dashboard capabilities'
-        ]
-      }
-    };
   };
 
-  const compareModels = async () => {
-    setLoading(true);
-    try {
-      const sampleData = generateSampleData(selectedMetricType);
-      
-      const response = await fetch('http://localhost:8006/compare-models', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          data: sampleData,
-          metric_type: selectedMetricType,
-          language: 'en'
-        })
-      });
-
-      if (response.ok) {
-        const result = await response.json();
-        setModelComparison(result);
-        toast.success('Model comparison completed!');
-      } else {
-        throw new Error(`HTTP ${response.status}`);
-      }
-    } catch (error) {
-      console.error('Model comparison failed:', error);
-      toast.error('Model comparison failed - using demo data');
-      
-      // Demo comparison data
-      setModelComparison({
-        status: 'success',
-        best_model: 'prophet',
-        performance_summary: {
-          prophet: { mae: 2.45, rmse: 3.12, mape: 1.95, r2: 0.85 },
-          arima: { mae: 3.21, rmse: 4.05, mape: 2.87, r2: 0.78 }
+  const handleBacktest = async () => {
+    setBacktest(null);
+    const holdout = Math.max(1, holdoutPeriods || 1);
+    if (series.length - holdout < MIN_SERIES_POINTS) {
+      toast.error(`Keep at least ${MIN_SERIES_POINTS} points for training: hold out at most ${series.length - MIN_SERIES_POINTS}`);
+      return;
+    }
+
+    if (serviceReady) {
+      try {
+        const result = await backtestForecast({
+          data: series,
+          metricType,
+          holdoutPeriods: holdout,
+          userId,
+        }).unwrap();
+        if (result.status !== 'success') {
+          throw new Error(result.message || 'Every model failed');
         }
-      });
+        setBacktest(result);
+        toast.success(`Backtested ${Object.keys(result.models).length} models on ${holdout} held-out periods`);
+        return;
+      } catch (error) {
+        console.error('Backtest failed:', error);
+        toast.error(`Backtest failed (${getErrorMessage(error)}) - backtesting baseline models`);
+      }
     }
-    setLoading(false);
-  };
 
-  useEffect(() => {
-    checkSystemStatus();
-  }, []);
-
-  const formatChartData = () => {
-    if (!forecastData?.content?.forecast_data) return [];
-
-    return forecastData.content.forecast_data.map((item, index) => {
-      // Force fresh date calculation for display
-      const today = new Date();
-      const displayDate = new Date(today.getTime() + ((index + 1) * 24 * 60 * 60 * 1000));
-      const formattedDate = `${(displayDate.getMonth() + 1).toString().padStart(2, '0')}/${displayDate.getDate().toString().padStart(2, '0')}/${displayDate.getFullYear()}`;
-
-      return {
-        date: formattedDate,
-        predicted: item.predicted_value,
-        lower: item.lower_bound,
-        upper: item.upper_bound
-      };
-    });
+    setBacktest({ ...backtestLocally(series, holdout, metricType), demo: true });
   };
 
-  const getMetricTypeColor = () => {
-    switch (selectedMetricType) {
-      case 'probability': return '#FF9933'; // Saffron
-      case 'load': return '#2E4A3F'; // Forest Green
-      default: return '#FFFFFF'; // White
-    }
-  };
+  const forecastRows = useMemo(
+    () => (forecast ? buildForecastChartRows(series, forecast.forecast_data) : []),
+    [series, forecast]
+  );
+  const backtestRows = useMemo(
+    () => (backtest ? buildBacktestChartRows(series, backtest) : []),
+    [series, backtest]
+  );
+  const backtestModels = backtest
+    ? Object.keys(backtest.models).filter((model) => backtest.models[model].status === 'success')
+    : [];
+  const comparedModels = modelComparison ? Object.keys(modelComparison.performance_summary || {}) : [];
 
   return (
     <div className="min-h-screen overflow-auto" style={{
@@ -299,33 +250,52 @@ const ForecastingDashboard = () => {
 
         {/* Header */}
         <GlassContainer className="p-8" noFixedHeight={true}>
-          <div className="flex items-center justify-between">
+          <div className="flex flex-wrap items-center justify-between gap-4">
             <div className="space-y-3">
               <h1 className="text-4xl font-bold flex items-center" style={{ color: '#FFFFFF' }}>
                 <TrendingUp className="mr-4 h-10 w-10" style={{ color: '#FF9933' }} />
-                Advanced Forecasting Dashboard
+                Forecasting Dashboard
               </h1>
               <p className="text-lg" style={{ color: '#FFFFFF' }}>
                 Prophet & ARIMA Time Series Forecasting with Smart Model Selection
               </p>
             </div>
             <div className="flex items-center space-x-4">
-              {systemStatus && (
+              {/* Simple / advanced toggle */}
+              <div className="flex rounded-full overflow-hidden border-2" style={{ borderColor: 'rgba(255, 215, 0, 0.3)' }}>
+                {[
+                  { value: false, label: 'Simple' },
+                  { value: true, label: 'Advanced' },
+                ].map((option) => (
+                  <button
+                    key={option.label}
+                    onClick={() => setAdvanced(option.value)}
+                    className="px-4 py-2 text-sm font-semibold transition-colors"
+                    style={{
+                      color: '#FFFFFF',
+                      background: advanced === option.value ? 'rgba(255, 153, 51, 0.4)' : 'transparent'
+                    }}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              {(systemStatus || statusFailed) && (
                 <div className={`flex items-center space-x-3 px-4 py-2 rounded-full font-medium border-2 ${
-                  systemStatus.forecasting_enabled
+                  serviceReady
                     ? 'border-[#FF9933] text-[#FFFFFF]'
                     : 'border-[#FFD700] text-[#FFFFFF]'
                 }`} style={{
-                  background: systemStatus.forecasting_enabled
+                  background: serviceReady
                     ? 'rgba(255, 153, 51, 0.15)'
                     : 'rgba(255, 215, 0, 0.15)',
                   backdropFilter: 'blur(12px)'
                 }}>
                   <div className={`w-3 h-3 rounded-full animate-pulse`} style={{
-                    backgroundColor: systemStatus.forecasting_enabled ? '#FF9933' : '#FFD700'
+                    backgroundColor: serviceReady ? '#FF9933' : '#FFD700'
                   }}></div>
                   <span className="text-sm font-semibold">
-                    {systemStatus.forecasting_enabled ? 'System Ready' : 'Demo Mode'}
+                    {serviceReady ? 'System Ready' : 'Demo Mode'}
                   </span>
                 </div>
               )}
@@ -335,91 +305,70 @@ const ForecastingDashboard = () => {
 
         {/* Controls */}
         <GlassContainer className="p-8" noFixedHeight={true}>
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-6 items-end">
+          <div className={`grid grid-cols-1 gap-6 items-end ${advanced ? 'md:grid-cols-4' : 'md:grid-cols-3'}`}>
             <div>
-              <label className="block text-sm font-medium mb-3" style={{ color: '#FFFFFF' }}>Metric Type</label>
-              <select
-                value={selectedMetricType}
-                onChange={(e) => setSelectedMetricType(e.target.value)}
-                className="w-full rounded-lg px-4 py-3 transition-all border-2"
-                style={{
-                  background: 'rgba(255, 255, 255, 0.15)',
-                  backdropFilter: 'blur(12px)',
-                  border: '2px solid rgba(255, 215, 0, 0.3)',
-                  color: '#FFFFFF',
-                  fontWeight: '500'
-                }}
-                onFocus={(e) => {
-                  e.target.style.borderColor = '#FF9933';
-                  e.target.style.boxShadow = '0 0 0 2px rgba(255, 153, 51, 0.2)';
-                }}
-                onBlur={(e) => {
-                  e.target.style.borderColor = 'rgba(255, 215, 0, 0.3)';
-                  e.target.style.boxShadow = 'none';
-                }}
-              >
-                <option value="general" style={{ background: '#FDF6E3', color: '#000000' }}>General</option>
-                <option value="probability" style={{ background: '#FDF6E3', color: '#000000' }}>Probability (0-1)</option>
-                <option value="load" style={{ background: '#FDF6E3', color: '#000000' }}>Load/Performance</option>
-              </select>
+              <label className="block text-sm font-medium mb-3" style={{ color: '#FFFFFF' }}>Data</label>
+              <div className="flex gap-2">
+                <select
+                  value={source}
+                  onChange={(e) => setSource(e.target.value)}
+                  className="w-full rounded-lg px-4 py-3 transition-all border-2"
+                  style={controlStyle}
+                >
+                  {Object.entries(METRIC_TYPES).map(([key, config]) => (
+                    <option key={key} value={key} style={optionStyle}>{config.label} (sample)</option>
+                  ))}
+                  {uploaded && (
+                    <option value={CSV_SOURCE} style={optionStyle}>{uploaded.name}</option>
+                  )}
+                </select>
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  className="rounded-lg px-3 border-2 transition-all hover:bg-white/10"
+                  style={controlStyle}
+                  title="Upload a CSV with date and value columns"
+                >
+                  <Upload size={18} />
+                </button>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept=".csv,text/csv"
+                  onChange={handleUpload}
+                  className="hidden"
+                />
+              </div>
+              <p className="text-xs mt-2 text-white/60">
+                {series.length} points, {series[0]?.date} to {series[series.length - 1]?.date}
+              </p>
             </div>
 
-            <div>
-              <label className="block text-sm font-medium mb-3" style={{ color: '#FFFFFF' }}>Forecast Periods</label>
-              <input
-                type="number"
-                value={forecastPeriods}
-                onChange={(e) => setForecastPeriods(parseInt(e.target.value))}
-                min="7"
-                max="365"
-                className="w-full rounded-lg px-4 py-3 transition-all border-2"
-                style={{
-                  background: 'rgba(255, 255, 255, 0.15)',
-                  backdropFilter: 'blur(12px)',
-                  border: '2px solid rgba(255, 215, 0, 0.3)',
-                  color: '#FFFFFF',
-                  fontWeight: '500'
-                }}
-                placeholder="Enter days to forecast"
-                onFocus={(e) => {
-                  e.target.style.borderColor = '#FF9933';
-                  e.target.style.boxShadow = '0 0 0 2px rgba(255, 153, 51, 0.2)';
-                }}
-                onBlur={(e) => {
-                  e.target.style.borderColor = 'rgba(255, 215, 0, 0.3)';
-                  e.target.style.boxShadow = 'none';
-                }}
-              />
-            </div>
+            {advanced && (
+              <div>
+                <label className="block text-sm font-medium mb-3" style={{ color: '#FFFFFF' }}>Forecast Periods</label>
+                <input
+                  type="number"
+                  value={forecastPeriods}
+                  onChange={(e) => setForecastPeriods(parseInt(e.target.value))}
+                  min="1"
+                  max="365"
+                  className="w-full rounded-lg px-4 py-3 transition-all border-2"
+                  style={controlStyle}
+                  placeholder="Enter periods to forecast"
+                />
+                <p className="text-xs mt-2 text-white/60">&nbsp;</p>
+              </div>
+            )}
 
             <button
-              onClick={generateForecast}
+              onClick={handleGenerateForecast}
               disabled={loading}
-              className="flex items-center justify-center space-x-3 py-3 px-6 text-base font-bold rounded-lg transition-all duration-300 border-2 disabled:opacity-50"
-              style={{
-                background: 'linear-gradient(135deg, rgba(255, 153, 51, 0.4) 0%, rgba(255, 165, 0, 0.3) 50%, rgba(255, 69, 0, 0.2) 100%)',
-                backdropFilter: 'blur(16px)',
-                border: '2px solid rgba(255, 153, 51, 0.6)',
-                boxShadow: '0 8px 32px rgba(255, 153, 51, 0.25), 0 0 0 1px rgba(255, 165, 0, 0.3), inset 0 1px 0 rgba(255, 255, 255, 0.4)',
-                color: '#FFFFFF',
-                textShadow: '0 2px 4px rgba(0, 0, 0, 0.3)'
-              }}
-              onMouseEnter={(e) => {
-                if (!loading) {
-                  e.target.style.transform = 'translateY(-2px)';
-                  e.target.style.boxShadow = '0 12px 40px rgba(255, 153, 51, 0.35), 0 0 0 1px rgba(255, 165, 0, 0.4), inset 0 1px 0 rgba(255, 255, 255, 0.5)';
-                }
-              }}
-              onMouseLeave={(e) => {
-                if (!loading) {
-                  e.target.style.transform = 'translateY(0)';
-                  e.target.style.boxShadow = '0 8px 32px rgba(255, 153, 51, 0.25), 0 0 0 1px rgba(255, 165, 0, 0.3), inset 0 1px 0 rgba(255, 255, 255, 0.4)';
-                }
-              }}
+              className={actionButtonClass}
+              style={primaryButtonStyle}
             >
-              {loading ? (
+              {isForecasting ? (
                 <>
-                  <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+                  <Spinner />
                   <span>Generating...</span>
                 </>
               ) : (
@@ -430,39 +379,26 @@ const ForecastingDashboard = () => {
               )}
             </button>
 
-            <button
-              onClick={compareModels}
-              disabled={loading}
-              className="flex items-center justify-center space-x-3 py-3 px-6 text-base font-bold rounded-lg transition-all duration-300 border-2 disabled:opacity-50"
-              style={{
-                background: 'linear-gradient(135deg, rgba(93, 0, 30, 0.4) 0%, rgba(139, 69, 19, 0.3) 50%, rgba(160, 82, 45, 0.2) 100%)',
-                backdropFilter: 'blur(16px)',
-                border: '2px solid rgba(160, 82, 45, 0.6)',
-                boxShadow: '0 8px 32px rgba(93, 0, 30, 0.25), 0 0 0 1px rgba(160, 82, 45, 0.3), inset 0 1px 0 rgba(255, 255, 255, 0.4)',
-                color: '#FFFFFF',
-                textShadow: '0 2px 4px rgba(0, 0, 0, 0.3)'
-              }}
-              onMouseEnter={(e) => {
-                if (!loading) {
-                  e.target.style.transform = 'translateY(-2px)';
-                  e.target.style.boxShadow = '0 12px 40px rgba(93, 0, 30, 0.35), 0 0 0 1px rgba(160, 82, 45, 0.4), inset 0 1px 0 rgba(255, 255, 255, 0.5)';
-                }
-              }}
-              onMouseLeave={(e) => {
-                if (!loading) {
-                  e.target.style.transform = 'translateY(0)';
-                  e.target.style.boxShadow = '0 8px 32px rgba(93, 0, 30, 0.25), 0 0 0 1px rgba(160, 82, 45, 0.3), inset 0 1px 0 rgba(255, 255, 255, 0.4)';
-                }
-              }}
-            >
-              <Brain size={20} />
-              <span>Compare Models</span>
-            </button>
+            {advanced ? (
+              <button
+                onClick={handleCompareModels}
+                disabled={loading}
+                className={actionButtonClass}
+                style={secondaryButtonStyle}
+              >
+                {isComparing ? <Spinner /> : <Brain size={20} />}
+                <span>Compare Models</span>
+              </button>
+            ) : (
+              <p className="text-sm text-white/70">
+                Switch to Advanced for model comparison, backtesting and custom forecast periods.
+              </p>
+            )}
           </div>
         </GlassContainer>
 
         {/* Forecast Results */}
-        {forecastData && (
+        {forecast && (
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
 
             {/* Main Chart */}
@@ -471,59 +407,13 @@ const ForecastingDashboard = () => {
                 <h3 className="text-2xl font-bold mb-6 flex items-center" style={{ color: '#FFFFFF' }}>
                   <Activity className="mr-3 h-6 w-6" style={{ color: '#FF9933' }} />
                   Forecast Visualization
+                  {forecast.demo && <span className="ml-3 text-sm font-medium text-white/60">(demo)</span>}
                 </h3>
 
-                <div className="h-96 mb-4">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <LineChart data={formatChartData()}>
-                      <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.2)" />
-                      <XAxis
-                        dataKey="date"
-                        stroke="#FFFFFF"
-                        fontSize={12}
-                        fontWeight="500"
-                      />
-                      <YAxis stroke="#FFFFFF" fontSize={12} fontWeight="500" />
-                      <Tooltip
-                        contentStyle={{
-                          backgroundColor: 'rgba(0, 0, 0, 0.85)',
-                          border: '2px solid #FFD700',
-                          borderRadius: '12px',
-                          color: '#FFFFFF',
-                          backdropFilter: 'blur(12px)',
-                          fontWeight: '500'
-                        }}
-                      />
-                      <Legend />
-                      <Line
-                        type="monotone"
-                        dataKey="predicted"
-                        stroke={getMetricTypeColor()}
-                        strokeWidth={3}
-                        name="Predicted Value"
-                        dot={{ fill: getMetricTypeColor(), strokeWidth: 2, r: 4 }}
-                      />
-                      <Line
-                        type="monotone"
-                        dataKey="lower"
-                        stroke="#D6A76C"
-                        strokeWidth={2}
-                        strokeDasharray="5 5"
-                        name="Lower Bound"
-                        dot={false}
-                      />
-                      <Line
-                        type="monotone"
-                        dataKey="upper"
-                        stroke="#D6A76C"
-                        strokeWidth={2}
-                        strokeDasharray="5 5"
-                        name="Upper Bound"
-                        dot={false}
-                      />
-                    </LineChart>
-                  </ResponsiveContainer>
-                </div>
+                <ForecastChart
+                  rows={forecastRows}
+                  lines={[{ dataKey: 'predicted', name: 'Predicted Value', color: lineColor }]}
+                />
               </GlassContainer>
             </div>
 
@@ -535,63 +425,172 @@ const ForecastingDashboard = () => {
                   <div className="flex justify-between">
                     <span style={{ color: '#FFFFFF' }}>Model Used:</span>
                     <span className="font-semibold" style={{ color: '#FFFFFF' }}>
-                      {forecastData.content.model_used?.toUpperCase() || 'N/A'}
+                      {getModelLabel(forecast.model_used)}
                     </span>
                   </div>
                   <div className="flex justify-between">
                     <span style={{ color: '#FFFFFF' }}>Mean Prediction:</span>
                     <span className="font-semibold" style={{ color: '#FFFFFF' }}>
-                      {forecastData.content.summary?.mean_prediction?.toFixed(2) || 'N/A'}
+                      {forecast.summary?.mean_prediction?.toFixed(2) || 'N/A'}
                     </span>
                   </div>
                   <div className="flex justify-between">
                     <span style={{ color: '#FFFFFF' }}>Trend:</span>
                     <span className="font-semibold" style={{
-                      color: forecastData.content.summary?.trend === 'increasing'
+                      color: forecast.summary?.trend === 'increasing'
                         ? '#FF9933'
                         : '#D6A76C'
                     }}>
-                      {forecastData.content.summary?.trend || 'N/A'}
+                      {forecast.summary?.trend || 'N/A'}
                     </span>
                   </div>
+                  {forecast.selection_reason && (
+                    <p className="text-xs text-white/60">{forecast.selection_reason}</p>
+                  )}
                 </div>
               </GlassContainer>
 
-              <GlassContainer className="p-4" noFixedHeight={true}>
-                <h4 className="text-lg font-bold text-white mb-3">Accuracy Metrics</h4>
-                <div className="space-y-3">
-                  {forecastData.content.accuracy_metrics && Object.entries(forecastData.content.accuracy_metrics).map(([key, value]) => (
-                    <div key={key} className="flex justify-between">
-                      <span className="text-white/70">{key.toUpperCase()}:</span>
-                      <span className="text-white font-semibold">
-                        {typeof value === 'number' ? value.toFixed(3) : value}
-                      </span>
-                    </div>
-                  ))}
-                </div>
-              </GlassContainer>
+              {advanced && forecast.accuracy_metrics && (
+                <GlassContainer className="p-4" noFixedHeight={true}>
+                  <h4 className="text-lg font-bold text-white mb-3">Accuracy Metrics</h4>
+                  <div className="space-y-3">
+                    {Object.entries(forecast.accuracy_metrics).map(([key, value]) => (
+                      <div key={key} className="flex justify-between">
+                        <span className="text-white/70">{key.toUpperCase()}:</span>
+                        <span className="text-white font-semibold">{formatMetric(value)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </GlassContainer>
+              )}
 
-              <GlassContainer className="p-4" noFixedHeight={true}>
-                <h4 className="text-lg font-bold text-white mb-3">Recommendations</h4>
-                <div className="space-y-2">
-                  {forecastData.content.recommendations?.map((rec, index) => (
-                    <div key={index} className="flex items-start space-x-2">
-                      <CheckCircle size={16} className="text-green-400 mt-0.5 flex-shrink-0" />
-                      <span className="text-white/80 text-sm">{rec}</span>
-                    </div>
-                  ))}
-                </div>
-              </GlassContainer>
+              {advanced && forecast.recommendations?.length > 0 && (
+                <GlassContainer className="p-4" noFixedHeight={true}>
+                  <h4 className="text-lg font-bold text-white mb-3">Recommendations</h4>
+                  <div className="space-y-2">
+                    {forecast.recommendations.map((rec, index) => (
+                      <div key={index} className="flex items-start space-x-2">
+                        <CheckCircle size={16} className="text-green-400 mt-0.5 flex-shrink-0" />
+                        <span className="text-white/80 text-sm">{rec}</span>
+                      </div>
+                    ))}
+                  </div>
+                </GlassContainer>
+              )}
             </div>
           </div>
         )}
 
+        {/* Backtest */}
+        {advanced && (
+          <GlassContainer className="p-6" noFixedHeight={true}>
+            <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+              <div>
+                <h3 className="text-xl font-bold text-white flex items-center">
+                  <History className="mr-2" />
+                  Backtest
+                  {backtest?.demo && <span className="ml-3 text-sm font-medium text-white/60">(baseline models)</span>}
+                </h3>
+                <p className="text-sm text-white/70 mt-1">
+                  Hide the last periods from each model, forecast them, and compare with what actually happened.
+                </p>
+              </div>
+              <div className="flex items-end gap-3">
+                <div>
+                  <label className="block text-sm font-medium mb-2" style={{ color: '#FFFFFF' }}>Hold out periods</label>
+                  <input
+                    type="number"
+                    value={holdoutPeriods}
+                    onChange={(e) => setHoldoutPeriods(parseInt(e.target.value))}
+                    min="1"
+                    max={Math.max(1, series.length - MIN_SERIES_POINTS)}
+                    className="w-32 rounded-lg px-4 py-2 transition-all border-2"
+                    style={controlStyle}
+                  />
+                </div>
+                <button
+                  onClick={handleBacktest}
+                  disabled={loading}
+                  className="flex items-center space-x-2 py-2 px-5 font-bold rounded-lg transition-all duration-300 border-2 disabled:opacity-50"
+                  style={primaryButtonStyle}
+                >
+                  {isBacktesting ? <Spinner /> : <SlidersHorizontal size={18} />}
+                  <span>Run Backtest</span>
+                </button>
+              </div>
+            </div>
+
+            {backtest?.status === 'error' && (
+              <p className="text-sm text-red-300">{backtest.message}</p>
+            )}
+
+            {backtest?.status === 'success' && (
+              <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="lg:col-span-2">
+                  <ForecastChart
+                    rows={backtestRows}
+                    height="h-80"
+                    bandLabel={`${getModelLabel(backtest.best_model)} interval`}
+                    lines={backtestModels.map((model, index) => ({
+                      dataKey: model,
+                      name: getModelLabel(model),
+                      color: MODEL_COLORS[index % MODEL_COLORS.length],
+                      width: 2,
+                      dashed: model !== backtest.best_model,
+                    }))}
+                  />
+                </div>
+                <div>
+                  <p className="text-sm text-white/70 mb-3">
+                    Trained on {backtest.train_periods} periods, tested on the last {backtest.holdout_periods}.
+                  </p>
+                  <table className="w-full text-sm text-white">
+                    <thead>
+                      <tr className="text-white/60">
+                        <th className="text-left font-medium py-1">Model</th>
+                        {ERROR_METRICS.map((metric) => (
+                          <th key={metric} className="text-right font-medium py-1">{metric.toUpperCase()}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(backtest.models).map(([model, result]) => (
+                        <tr key={model} className="border-t border-white/10">
+                          <td className="py-2 font-semibold">
+                            {getModelLabel(model)}
+                            {model === backtest.best_model && (
+                              <CheckCircle size={14} className="inline ml-1 text-green-400" />
+                            )}
+                          </td>
+                          {result.status === 'success' ? (
+                            ERROR_METRICS.map((metric) => (
+                              <td key={metric} className="text-right py-2">
+                                {formatMetric(result.accuracy_metrics[metric])}
+                              </td>
+                            ))
+                          ) : (
+                            <td colSpan={ERROR_METRICS.length} className="text-right py-2 text-red-300 text-xs">
+                              {result.message}
+                            </td>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <p className="text-xs text-white/50 mt-3">Lower is better. The best model by MAE is marked.</p>
+                </div>
+              </div>
+            )}
+          </GlassContainer>
+        )}
+
         {/* Model Comparison */}
-        {modelComparison && (
+        {advanced && modelComparison && (
           <GlassContainer className="p-6" noFixedHeight={true}>
             <h3 className="text-xl font-bold text-white mb-4 flex items-center">
               <Brain className="mr-2" />
               Model Performance Comparison
+              {modelComparison.demo && <span className="ml-3 text-sm font-medium text-white/60">(baseline models)</span>}
             </h3>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -599,23 +598,13 @@ const ForecastingDashboard = () => {
                 <h4 className="text-lg font-semibold text-white mb-3">Performance Metrics</h4>
                 <div className="h-64">
                   <ResponsiveContainer width="100%" height="100%">
-                    <BarChart data={[
-                      {
-                        metric: 'MAE',
-                        Prophet: modelComparison.performance_summary?.prophet?.mae || 0,
-                        ARIMA: modelComparison.performance_summary?.arima?.mae || 0
-                      },
-                      {
-                        metric: 'RMSE',
-                        Prophet: modelComparison.performance_summary?.prophet?.rmse || 0,
-                        ARIMA: modelComparison.performance_summary?.arima?.rmse || 0
-                      },
-                      {
-                        metric: 'MAPE',
-                        Prophet: modelComparison.performance_summary?.prophet?.mape || 0,
-                        ARIMA: modelComparison.performance_summary?.arima?.mape || 0
-                      }
-                    ]}>
+                    <BarChart data={ERROR_METRICS.map((metric) => ({
+                      metric: metric.toUpperCase(),
+                      ...Object.fromEntries(comparedModels.map((model) => [
+                        getModelLabel(model),
+                        modelComparison.performance_summary[model]?.[metric] || 0
+                      ]))
+                    }))}>
                       <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
                       <XAxis dataKey="metric" stroke="rgba(255,255,255,0.7)" />
                       <YAxis stroke="rgba(255,255,255,0.7)" />
@@ -628,8 +617,9 @@ const ForecastingDashboard = () => {
                         }}
                       />
                       <Legend />
-                      <Bar dataKey="Prophet" fill="#8884d8" />
-                      <Bar dataKey="ARIMA" fill="#82ca9d" />
+                      {comparedModels.map((model, index) => (
+                        <Bar key={model} dataKey={getModelLabel(model)} fill={MODEL_COLORS[index % MODEL_COLORS.length]} />
+                      ))}
                     </BarChart>
                   </ResponsiveContainer>
                 </div>
@@ -640,7 +630,7 @@ const ForecastingDashboard = () => {
                 <div className="bg-gradient-to-r from-green-500/20 to-blue-500/20 rounded-lg p-4 border border-white/20">
                   <div className="text-center">
                     <div className="text-3xl font-bold text-white mb-2">
-                      {modelComparison.best_model?.toUpperCase() || 'N/A'}
+                      {getModelLabel(modelComparison.best_model)}
                     </div>
                     <div className="text-white/70">
                       Recommended Model
@@ -675,12 +665,12 @@ const ForecastingDashboard = () => {
                 <div>1. Start the enhanced orchestration system:</div>
                 <code className="block bg-black/30 p-2 rounded text-green-400">
                   cd Backend/orchestration/unified_orchestration_system<br/>
-                  python simple_api.py --port 8002
+                  python simple_api.py --port 8006
                 </code>
 
                 <div className="mt-3">2. Check forecasting status:</div>
                 <code className="block bg-black/30 p-2 rounded text-green-400">
-                  curl http://localhost:8002/forecast/status
+                  curl {getServiceUrl('orchestration')}/forecast/status
                 </code>
 
                 <div className="mt-3">3. Run comprehensive tests:</div>
@@ -691,31 +681,18 @@ const ForecastingDashboard = () => {
             </div>
 
             <div>
-              <h4 className="text-lg font-semibold text-white mb-3">Frontend Features</h4>
+              <h4 className="text-lg font-semibold text-white mb-3">Your Own Data</h4>
               <div className="space-y-2 text-sm text-white/80">
-                <div className="flex items-center space-x-2">
-                  <CheckCircle size={16} className="text-green-400" />
-                  <span>Interactive forecasting dashboard</span>
-                </div>
-                <div className="flex items-center space-x-2">
-                  <CheckCircle size={16} className="text-green-400" />
-                  <span>Prophet vs ARIMA model comparison</span>
-                </div>
-                <div className="flex items-center space-x-2">
-                  <CheckCircle size={16} className="text-green-400" />
-                  <span>Real-time accuracy metrics</span>
-                </div>
-                <div className="flex items-center space-x-2">
-                  <CheckCircle size={16} className="text-green-400" />
-                  <span>Smart model selection visualization</span>
-                </div>
-                <div className="flex items-center space-x-2">
-                  <CheckCircle size={16} className="text-green-400" />
-                  <span>Confidence intervals and trends</span>
-                </div>
-                <div className="flex items-center space-x-2">
-                  <CheckCircle size={16} className="text-green-400" />
-                  <span>Demo mode when backend unavailable</span>
+                <div>Upload a CSV with a date column and a numeric value column, for example:</div>
+                <code className="block bg-black/30 p-2 rounded text-green-400">
+                  date,value<br/>
+                  2024-01-01,120.5<br/>
+                  2024-01-02,118.2
+                </code>
+                <div>
+                  Columns named date/ds/timestamp and value/y/amount are picked up automatically; a series
+                  needs at least {MIN_SERIES_POINTS} dates. Weekly or monthly series are forecast at the same spacing
+                  in demo mode.
                 </div>
               </div>
             </div>
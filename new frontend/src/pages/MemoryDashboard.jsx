@@ -0,0 +1,204 @@
+import React, { useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import { Brain, Loader2, Plus, Search, Users } from "lucide-react";
+import { toast } from "react-hot-toast";
+import GlassContainer from "../components/GlassContainer";
+import PersonaMemoryPanel from "../components/PersonaMemoryPanel";
+import { selectUser } from "../store/authSlice";
+import { selectFavorites, selectSelectedAvatar } from "../store/avatarSlice";
+import {
+  useGetPersonaSummaryQuery,
+  useStoreMemoryMutation,
+  buildMemoryData,
+  getMemoryErrorMessage,
+  CONTENT_TYPES,
+} from "../api/memoryApiSlice";
+import {
+  getAvatarPersonas,
+  getPersonaId,
+  useMemorySearchText,
+} from "../hooks/usePersonaMemory";
+
+// Kinds of memory a user can add by hand
+const MANUAL_CONTENT_TYPES = [
+  { value: CONTENT_TYPES.FACT, label: "Fact about me" },
+  { value: CONTENT_TYPES.PREFERENCE, label: "Preference" },
+  { value: CONTENT_TYPES.TEXT, label: "Note" },
+];
+
+function PersonaSummary({ personaId, userId }) {
+  const { t } = useTranslation();
+  const { data: summary, isLoading } = useGetPersonaSummaryQuery({ personaId, userId });
+
+  if (isLoading) {
+    return <Loader2 className="w-4 h-4 text-white/60 animate-spin" />;
+  }
+  if (!summary) {
+    return <p className="text-sm text-white/60">{t("No conversations yet.")}</p>;
+  }
+
+  return (
+    <div className="flex flex-wrap gap-3 text-sm text-white/80">
+      <span className="px-3 py-1 rounded-lg bg-white/10">
+        {t("{{count}} memories", { count: summary.total_memories })}
+      </span>
+      {Object.entries(summary.memory_categories || {}).map(([type, count]) => (
+        <span key={type} className="px-3 py-1 rounded-lg bg-white/5">
+          {type}: {count}
+        </span>
+      ))}
+      {summary.last_interaction && (
+        <span className="px-3 py-1 rounded-lg bg-white/5">
+          {t("Last chat")}: {new Date(summary.last_interaction).toLocaleDateString()}
+        </span>
+      )}
+    </div>
+  );
+}
+
+function AddMemoryForm({ personaId, userId }) {
+  const { t } = useTranslation();
+  const [content, setContent] = useState("");
+  const [contentType, setContentType] = useState(CONTENT_TYPES.FACT);
+  const [storeMemory, { isLoading }] = useStoreMemoryMutation();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+    try {
+      await storeMemory(
+        buildMemoryData({
+          userId,
+          personaId,
+          content: content.trim(),
+          contentType,
+          importance: 7,
+          source: "manual_entry",
+        })
+      ).unwrap();
+      setContent("");
+      toast.success(t("Memory saved"));
+    } catch (error) {
+      toast.error(getMemoryErrorMessage(error));
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap gap-2">
+      <input
+        type="text"
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        maxLength={10000}
+        placeholder={t("Tell this persona something to remember")}
+        className="flex-1 min-w-[14rem] bg-white/10 border border-white/20 rounded-xl px-3 py-2 text-white placeholder-white/50 focus:outline-none focus:border-amber-400/60"
+      />
+      <select
+        value={contentType}
+        onChange={(e) => setContentType(e.target.value)}
+        className="bg-white/10 border border-white/20 rounded-xl px-3 py-2 text-sm text-white"
+      >
+        {MANUAL_CONTENT_TYPES.map((type) => (
+          <option key={type.value} value={type.value} className="bg-gray-900">
+            {t(type.label)}
+          </option>
+        ))}
+      </select>
+      <button
+        type="submit"
+        disabled={isLoading || !content.trim()}
+        className="flex items-center gap-2 px-4 py-2 rounded-xl bg-amber-500/80 hover:bg-amber-500 text-white text-sm disabled:opacity-50"
+      >
+        {isLoading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+        {t("Remember")}
+      </button>
+    </form>
+  );
+}
+
+/**
+ * MemoryDashboard - Everything each avatar persona remembers about the user,
+ * with search, manual additions, edit and forget. ?persona=<id> picks the
+ * persona; it defaults to the selected avatar.
+ */
+export default function MemoryDashboard() {
+  const { t } = useTranslation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const user = useSelector(selectUser);
+  const favorites = useSelector(selectFavorites);
+  const selectedAvatar = useSelector(selectSelectedAvatar);
+  const [searchText, setSearchText, debouncedSearch] = useMemorySearchText();
+
+  const userId = user?.id || "guest-user";
+  const personas = useMemo(() => getAvatarPersonas(favorites), [favorites]);
+  const personaId = searchParams.get("persona") || getPersonaId(selectedAvatar);
+  const persona = personas.find((entry) => entry.id === personaId) || { id: personaId, name: personaId };
+
+  return (
+    <GlassContainer>
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-6">
+        <div>
+          <h2
+            className="text-4xl md:text-5xl font-extrabold mb-2 drop-shadow-lg flex items-center gap-3"
+            style={{ color: "#FFFFFF", fontFamily: "Nunito, sans-serif" }}
+          >
+            <Brain className="w-10 h-10" />
+            {t("Memories")}
+          </h2>
+          <p className="text-white/80">
+            {t("What each avatar remembers from your conversations. Edit or forget anything.")}
+          </p>
+        </div>
+        <Link
+          to="/personas"
+          className="flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm"
+        >
+          <Users className="w-4 h-4" />
+          {t("All personas")}
+        </Link>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <select
+          value={personaId}
+          onChange={(e) => {
+            setSearchParams({ persona: e.target.value });
+            setSearchText("");
+          }}
+          className="bg-white/10 border border-white/20 rounded-xl px-3 py-2 text-sm text-white"
+        >
+          {personas.map((entry) => (
+            <option key={entry.id} value={entry.id} className="bg-gray-900">
+              {entry.name}
+            </option>
+          ))}
+        </select>
+        <PersonaSummary personaId={personaId} userId={userId} />
+      </div>
+
+      <div className="mb-4">
+        <AddMemoryForm personaId={personaId} userId={userId} />
+      </div>
+
+      <div className="relative mb-4">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-white/50" />
+        <input
+          type="search"
+          value={searchText}
+          onChange={(e) => setSearchText(e.target.value)}
+          placeholder={t("Search {{name}}'s memories", { name: persona.name })}
+          className="w-full bg-white/10 border border-white/20 rounded-xl pl-9 pr-3 py-2 text-white placeholder-white/50 focus:outline-none focus:border-amber-400/60"
+        />
+      </div>
+
+      <PersonaMemoryPanel
+        personaId={personaId}
+        personaName={persona.name}
+        userId={userId}
+        searchQuery={debouncedSearch}
+      />
+    </GlassContainer>
+  );
+}
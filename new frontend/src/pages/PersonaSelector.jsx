@@ -0,0 +1,131 @@
+import React, { useMemo } from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import { Brain, CheckCircle, Loader2, MessageSquare, UserCircle } from "lucide-react";
+import { toast } from "react-hot-toast";
+import GlassContainer from "../components/GlassContainer";
+import { selectUser } from "../store/authSlice";
+import {
+  selectFavorites,
+  selectSelectedAvatar,
+  setSelectedAvatar,
+  setIsChatOpen,
+} from "../store/avatarSlice";
+import { useGetPersonaSummaryQuery } from "../api/memoryApiSlice";
+import { getAvatarPersonas, getPersonaId } from "../hooks/usePersonaMemory";
+
+function PersonaCard({ persona, userId, isActive, onSelect }) {
+  const { t } = useTranslation();
+  const { data: summary, isLoading } = useGetPersonaSummaryQuery({ personaId: persona.id, userId });
+
+  return (
+    <li
+      className={`rounded-xl border p-4 bg-white/5 transition-colors ${
+        isActive ? "border-amber-400/70" : "border-white/10 hover:border-white/30"
+      }`}
+    >
+      <div className="flex items-center gap-3 mb-3">
+        <UserCircle className="w-8 h-8 text-white/80 shrink-0" />
+        <div className="min-w-0 flex-1">
+          <p className="text-white font-semibold truncate">{persona.name}</p>
+          <p className="text-xs text-white/50">
+            {persona.avatar ? t("Avatar") : t("Default guide")}
+          </p>
+        </div>
+        {isActive && <CheckCircle className="w-5 h-5 text-amber-300 shrink-0" />}
+      </div>
+
+      <div className="text-xs text-white/70 mb-4 min-h-[2.5rem]">
+        {isLoading ? (
+          <Loader2 className="w-3 h-3 animate-spin" />
+        ) : summary ? (
+          <>
+            <p>{t("{{count}} memories", { count: summary.total_memories })}</p>
+            {summary.last_interaction && (
+              <p>
+                {t("Last chat")}: {new Date(summary.last_interaction).toLocaleDateString()}
+              </p>
+            )}
+            {summary.recent_topics?.length > 0 && (
+              <p className="truncate">{summary.recent_topics.slice(0, 3).join(", ")}</p>
+            )}
+          </>
+        ) : (
+          <p>{t("No conversations yet.")}</p>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          onClick={() => onSelect(persona)}
+          className="flex-1 flex items-center justify-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-amber-500/70 hover:bg-amber-500 text-white"
+        >
+          <MessageSquare className="w-3 h-3" />
+          {isActive ? t("Open chat") : t("Chat as this persona")}
+        </button>
+        <Link
+          to={`/memory?persona=${encodeURIComponent(persona.id)}`}
+          className="flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-white/10 hover:bg-white/20 text-white"
+        >
+          <Brain className="w-3 h-3" />
+          {t("Memories")}
+        </Link>
+      </div>
+    </li>
+  );
+}
+
+/**
+ * PersonaSelector - Pick which avatar persona the avatar chat speaks as.
+ * Each favourite avatar is a persona with its own memories; the default
+ * guide is used when no avatar is selected.
+ */
+export default function PersonaSelector() {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const user = useSelector(selectUser);
+  const favorites = useSelector(selectFavorites);
+  const selectedAvatar = useSelector(selectSelectedAvatar);
+
+  const userId = user?.id || "guest-user";
+  const personas = useMemo(() => getAvatarPersonas(favorites), [favorites]);
+  const activePersonaId = getPersonaId(selectedAvatar);
+
+  const handleSelect = (persona) => {
+    if (persona.id !== activePersonaId) {
+      dispatch(setSelectedAvatar(persona.avatar));
+      toast.success(t("Now chatting with {{name}}", { name: persona.name }));
+    }
+    dispatch(setIsChatOpen(true));
+  };
+
+  return (
+    <GlassContainer>
+      <h2
+        className="text-4xl md:text-5xl font-extrabold mb-2 drop-shadow-lg"
+        style={{ color: "#FFFFFF", fontFamily: "Nunito, sans-serif" }}
+      >
+        {t("Personas")}
+      </h2>
+      <p className="text-white/80 mb-6">
+        {t("Each avatar remembers its own conversations with you.")}{" "}
+        <Link to="/avatar-selection" className="underline hover:text-white">
+          {t("Add avatars")}
+        </Link>
+      </p>
+
+      <ul className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+        {personas.map((persona) => (
+          <PersonaCard
+            key={persona.id}
+            persona={persona}
+            userId={userId}
+            isActive={persona.id === activePersonaId}
+            onSelect={handleSelect}
+          />
+        ))}
+      </ul>
+    </GlassContainer>
+  );
+}
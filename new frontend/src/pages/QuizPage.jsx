@@ -1,12 +1,22 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
 import GlassContainer from '../components/GlassContainer';
 import CenteredLoader from '../components/CenteredLoader';
-import { CheckCircle, XCircle, Clock, Award, BookOpen, ArrowLeft, ArrowRight } from 'lucide-react';
+import { selectUserId } from '../store/authSlice';
+import quizHistoryStorage from '../utils/quizHistoryStorage';
+import { resolveServiceUrl } from '../config/endpoints';
+import { usePageActions } from '../hooks/usePageActions';
+import { PageActionError } from '../services/pageActionRegistry';
+import { CheckCircle, XCircle, Clock, Award, BookOpen, ArrowLeft, ArrowRight, RotateCcw, TrendingUp, Send } from 'lucide-react';
 
 const QuizPage = () => {
   const { subject, topic } = useParams();
+  // Quizzes on a study pack are generated from its documents' summaries
+  const [searchParams] = useSearchParams();
+  const studyPackId = searchParams.get('studyPack');
   const navigate = useNavigate();
+  const userId = useSelector(selectUserId) || 'guest-user';
   
   const [quiz, setQuiz] = useState(null);
   const [currentQuestion, setCurrentQuestion] = useState(0);
@@ -17,10 +27,19 @@ const QuizPage = () => {
   const [timeLeft, setTimeLeft] = useState(null);
   const [error, setError] = useState(null);
 
+  // Attempt history and adaptive settings
+  const [adaptiveSettings, setAdaptiveSettings] = useState(null);
+  const [lastAttempt, setLastAttempt] = useState(null);
+  const [retryOf, setRetryOf] = useState(null);
+  const [showReview, setShowReview] = useState(false);
+  const startedAtRef = useRef(null);
+  const questionStartRef = useRef(null);
+  const timeSpentRef = useRef({});
+
   // Generate quiz on component mount
   useEffect(() => {
     generateQuiz();
-  }, [subject, topic]);
+  }, [subject, topic, studyPackId]);
 
   // Timer effect
   useEffect(() => {
@@ -32,12 +51,54 @@ const QuizPage = () => {
     }
   }, [timeLeft, results]);
 
+  // Track time spent on each question
+  useEffect(() => {
+    if (!quiz || results) return;
+    questionStartRef.current = Date.now();
+    const questionId = quiz.questions[currentQuestion]?.question_id;
+    return () => {
+      if (questionId && questionStartRef.current) {
+        const elapsed = (Date.now() - questionStartRef.current) / 1000;
+        timeSpentRef.current[questionId] = (timeSpentRef.current[questionId] || 0) + elapsed;
+        questionStartRef.current = null;
+      }
+    };
+  }, [quiz, currentQuestion, results]);
+
+  const resetAttemptState = () => {
+    setCurrentQuestion(0);
+    setUserAnswers({});
+    setResults(null);
+    setLastAttempt(null);
+    setShowReview(false);
+    timeSpentRef.current = {};
+    startedAtRef.current = new Date().toISOString();
+  };
+
   const generateQuiz = async () => {
     try {
       setIsLoading(true);
       setError(null);
-      
-      const response = await fetch('http://localhost:8005/quiz/generate', {
+      setRetryOf(null);
+
+      // Pick difficulty and question mix from past attempts on this topic
+      const settings = quizHistoryStorage.getAdaptiveSettings(
+        userId,
+        subject || 'General Knowledge',
+        topic || 'Mixed Topics'
+      );
+      setAdaptiveSettings(settings);
+
+      let lessonContent;
+      if (studyPackId) {
+        const packResponse = await fetch(resolveServiceUrl('base', `/study-packs/${encodeURIComponent(studyPackId)}`));
+        if (!packResponse.ok) {
+          throw new Error('Failed to load study pack');
+        }
+        lessonContent = (await packResponse.json()).quiz_content || undefined;
+      }
+
+      const response = await fetch(resolveServiceUrl('agent', '/quiz/generate'), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -45,9 +106,10 @@ const QuizPage = () => {
         body: JSON.stringify({
           subject: subject || 'General Knowledge',
           topic: topic || 'Mixed Topics',
-          num_questions: 5,
-          difficulty: 'medium',
-          question_types: ['multiple_choice', 'true_false']
+          num_questions: settings.num_questions,
+          difficulty: settings.difficulty,
+          question_types: settings.question_types,
+          lesson_content: lessonContent
         }),
       });
 
@@ -56,6 +118,7 @@ const QuizPage = () => {
       }
 
       const data = await response.json();
+      resetAttemptState();
       setQuiz(data.quiz);
       setTimeLeft(data.quiz.estimated_time * 60); // Convert minutes to seconds
       
@@ -74,30 +137,67 @@ const QuizPage = () => {
     }));
   };
 
+  const submitToServer = async () => {
+    const response = await fetch(resolveServiceUrl('agent', '/quiz/submit'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        quiz_id: quiz.quiz_id,
+        user_answers: userAnswers,
+        user_id: userId
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to submit quiz');
+    }
+
+    const data = await response.json();
+    return data.evaluation;
+  };
+
   const handleSubmitQuiz = async () => {
     if (!quiz) return;
     
     try {
       setIsSubmitting(true);
-      
-      const response = await fetch('http://localhost:8005/quiz/submit', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          quiz_id: quiz.quiz_id,
-          user_answers: userAnswers,
-          user_id: 'current_user'
-        }),
-      });
 
-      if (!response.ok) {
-        throw new Error('Failed to submit quiz');
+      // Count the time on the question being shown when the quiz is submitted
+      const currentId = quiz.questions[currentQuestion]?.question_id;
+      if (currentId && questionStartRef.current) {
+        timeSpentRef.current[currentId] =
+          (timeSpentRef.current[currentId] || 0) + (Date.now() - questionStartRef.current) / 1000;
+        questionStartRef.current = Date.now();
       }
 
-      const data = await response.json();
-      setResults(data.evaluation);
+      let evaluation;
+      if (retryOf) {
+        // Retries only hold a subset of the original quiz, so grade them here
+        evaluation = quizHistoryStorage.evaluateLocally(quiz, userAnswers);
+      } else {
+        try {
+          evaluation = await submitToServer();
+        } catch (submitError) {
+          console.warn('Quiz submission failed, grading locally:', submitError);
+          evaluation = quizHistoryStorage.evaluateLocally(quiz, userAnswers);
+        }
+      }
+
+      const attempt = quizHistoryStorage.buildAttempt({
+        quiz,
+        userAnswers,
+        evaluation,
+        timeSpent: timeSpentRef.current,
+        startedAt: startedAtRef.current,
+        isRetry: Boolean(retryOf),
+        parentAttemptId: retryOf,
+      });
+      await quizHistoryStorage.saveAttempt(userId, attempt);
+
+      setLastAttempt(attempt);
+      setResults(evaluation);
       
     } catch (error) {
       console.error('Error submitting quiz:', error);
@@ -107,6 +207,33 @@ const QuizPage = () => {
     }
   };
 
+  // Start a new round holding only the questions missed in the last attempt
+  const handleRetryMissed = () => {
+    if (!lastAttempt) return;
+    const missedQuestions = quizHistoryStorage.getMissedQuestions(lastAttempt);
+    if (missedQuestions.length === 0) return;
+
+    const parentAttemptId = lastAttempt.parentAttemptId || lastAttempt.attemptId;
+    resetAttemptState();
+    setRetryOf(parentAttemptId);
+    setQuiz(prev => ({
+      ...prev,
+      questions: missedQuestions,
+      total_questions: missedQuestions.length,
+      estimated_time: missedQuestions.length * 2,
+    }));
+    setTimeLeft(missedQuestions.length * 2 * 60);
+  };
+
+  const formatAnswer = (question, answer) => {
+    if (answer === null || answer === undefined) return 'No answer';
+    if (question.type === 'true_false') return answer ? 'True' : 'False';
+    if (question.options && typeof answer === 'number') {
+      return `${String.fromCharCode(65 + answer)}. ${question.options[answer]}`;
+    }
+    return String(answer);
+  };
+
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
@@ -123,6 +250,74 @@ const QuizPage = () => {
     }
   };
 
+  const totalQuestions = quiz?.questions?.length || 0;
+
+  usePageActions('quiz', {
+    title: 'Quiz',
+    context: {
+      subject: quiz?.subject || subject || null,
+      topic: quiz?.topic || topic || null,
+      loading: isLoading,
+      questionNumber: quiz ? currentQuestion + 1 : null,
+      totalQuestions,
+      answered: Object.keys(userAnswers).length,
+      timeLeftSeconds: results ? null : timeLeft,
+      score: results
+        ? {
+            percentage: results.score_summary?.percentage_score,
+            grade: results.score_summary?.grade,
+          }
+        : null,
+    },
+    actions: {
+      start_quiz: {
+        label: 'New Quiz',
+        icon: RotateCcw,
+        quick: true,
+        description: 'Start a new quiz; subject and topic default to the current quiz',
+        params: {
+          subject: { type: 'string', description: 'Subject, e.g. Biology' },
+          topic: { type: 'string', description: 'Topic, e.g. Photosynthesis' },
+        },
+        run: ({ subject: nextSubject = subject, topic: nextTopic = topic }) => {
+          if (nextSubject !== subject || nextTopic !== topic) {
+            navigate(`/quiz/${encodeURIComponent(nextSubject || 'General Knowledge')}/${encodeURIComponent(nextTopic || 'Mixed Topics')}`);
+          } else {
+            generateQuiz();
+          }
+          return { message: `📝 Starting a new quiz on ${nextTopic || 'mixed topics'}.` };
+        },
+      },
+      next_question: {
+        label: 'Next Question',
+        description: 'Go to the next question',
+        run: () => {
+          if (!quiz || results || currentQuestion >= totalQuestions - 1) {
+            throw new PageActionError('there is no next question', 'unavailable');
+          }
+          setCurrentQuestion(currentQuestion + 1);
+          return { message: `➡️ Question ${currentQuestion + 2} of ${totalQuestions}.` };
+        },
+      },
+      submit_quiz: {
+        label: 'Submit Quiz',
+        icon: Send,
+        quick: true,
+        description: 'Submit the answers given so far',
+        run: async () => {
+          if (!quiz || results) {
+            throw new PageActionError('there is no quiz in progress', 'unavailable');
+          }
+          if (isSubmitting) {
+            throw new PageActionError('the quiz is already being submitted', 'busy');
+          }
+          await handleSubmitQuiz();
+          return { message: '✅ Submitted your quiz.' };
+        },
+      },
+    },
+  });
+
   if (isLoading) {
     return (
       <GlassContainer>
@@ -153,13 +348,21 @@ const QuizPage = () => {
   }
 
   if (results) {
+    const missedCount = lastAttempt ? lastAttempt.questions.filter(question => !question.isCorrect).length : 0;
+    const topicStats = quizHistoryStorage.getTopicStats(userId, quiz?.subject, quiz?.topic);
+    const nextSettings = quizHistoryStorage.getAdaptiveSettings(userId, quiz?.subject, quiz?.topic);
+
     return (
       <GlassContainer>
         <div className="max-w-4xl mx-auto">
           <div className="text-center mb-8">
             <Award className="w-20 h-20 text-yellow-400 mx-auto mb-4" />
-            <h2 className="text-3xl font-bold text-white mb-2">Quiz Complete!</h2>
-            <p className="text-gray-300">Here are your results</p>
+            <h2 className="text-3xl font-bold text-white mb-2">
+              {retryOf ? 'Retry Complete!' : 'Quiz Complete!'}
+            </h2>
+            <p className="text-gray-300">
+              {retryOf ? 'Here are your results on the questions you missed' : 'Here are your results'}
+            </p>
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
@@ -203,7 +406,96 @@ const QuizPage = () => {
             )}
           </div>
 
-          <div className="flex justify-center space-x-4">
+          {/* Answer Review */}
+          {lastAttempt && (
+            <div className="bg-white/10 rounded-lg p-6 mb-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-bold text-white">Review Answers</h3>
+                <button
+                  onClick={() => setShowReview(!showReview)}
+                  className="text-sm text-orange-400 hover:text-orange-300 transition-colors"
+                >
+                  {showReview ? 'Hide' : 'Show'} details
+                </button>
+              </div>
+              <p className="text-gray-300 text-sm mb-2">
+                Time spent: {formatTime(lastAttempt.totalTimeSeconds)} •{' '}
+                {missedCount} question{missedCount === 1 ? '' : 's'} to review
+              </p>
+
+              {showReview && (
+                <div className="space-y-3 mt-4">
+                  {lastAttempt.questions.map((question, index) => (
+                    <div
+                      key={question.questionId}
+                      className={`p-4 rounded-lg border ${
+                        question.isCorrect
+                          ? 'border-green-500/30 bg-green-500/10'
+                          : 'border-red-500/30 bg-red-500/10'
+                      }`}
+                    >
+                      <div className="flex items-start justify-between">
+                        <p className="text-white font-medium">
+                          {index + 1}. {question.question}
+                        </p>
+                        {question.isCorrect ? (
+                          <CheckCircle className="w-5 h-5 text-green-400 flex-shrink-0 ml-3" />
+                        ) : (
+                          <XCircle className="w-5 h-5 text-red-400 flex-shrink-0 ml-3" />
+                        )}
+                      </div>
+                      <p className="text-gray-300 text-sm mt-2">
+                        Your answer: {formatAnswer(question, question.userAnswer)}
+                      </p>
+                      {!question.isCorrect && question.correctAnswer !== null && (
+                        <p className="text-green-300 text-sm">
+                          Correct answer: {formatAnswer(question, question.correctAnswer)}
+                        </p>
+                      )}
+                      {question.explanation && (
+                        <p className="text-gray-400 text-sm mt-1">{question.explanation}</p>
+                      )}
+                      <p className="text-gray-500 text-xs mt-1">
+                        <Clock className="w-3 h-3 inline mr-1" />
+                        {question.timeSpentSeconds}s
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Next quiz preview */}
+          {topicStats.attemptCount > 0 && (
+            <div className="bg-white/10 rounded-lg p-6 mb-6">
+              <h3 className="text-xl font-bold text-white mb-4 flex items-center">
+                <TrendingUp className="w-5 h-5 mr-2 text-orange-400" />
+                Your History on This Topic
+              </h3>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
+                <div>
+                  <p className="text-gray-400 text-sm">Attempts</p>
+                  <p className="text-white text-xl font-semibold">{topicStats.attemptCount}</p>
+                </div>
+                <div>
+                  <p className="text-gray-400 text-sm">Average</p>
+                  <p className="text-white text-xl font-semibold">{Math.round(topicStats.averageScore)}%</p>
+                </div>
+                <div>
+                  <p className="text-gray-400 text-sm">Best</p>
+                  <p className="text-white text-xl font-semibold">{Math.round(topicStats.bestScore)}%</p>
+                </div>
+                <div>
+                  <p className="text-gray-400 text-sm">Next Quiz</p>
+                  <p className="text-orange-400 text-xl font-semibold capitalize">{nextSettings.difficulty}</p>
+                </div>
+              </div>
+              <p className="text-gray-400 text-sm mt-4">{nextSettings.reason}</p>
+            </div>
+          )}
+
+          <div className="flex flex-wrap justify-center gap-4">
             <button
               onClick={() => navigate('/subjects')}
               className="px-6 py-3 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors flex items-center"
@@ -211,8 +503,17 @@ const QuizPage = () => {
               <ArrowLeft className="w-4 h-4 mr-2" />
               Back to Subjects
             </button>
+            {missedCount > 0 && (
+              <button
+                onClick={handleRetryMissed}
+                className="px-6 py-3 bg-white/10 text-white rounded-lg hover:bg-white/20 transition-colors flex items-center"
+              >
+                <RotateCcw className="w-4 h-4 mr-2" />
+                Retry Missed Questions ({missedCount})
+              </button>
+            )}
             <button
-              onClick={() => window.location.reload()}
+              onClick={generateQuiz}
               className="px-6 py-3 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors"
             >
               Take Another Quiz
@@ -243,7 +544,12 @@ const QuizPage = () => {
         <div className="flex justify-between items-center mb-6">
           <div>
             <h1 className="text-2xl font-bold text-white">{quiz.subject} - {quiz.topic}</h1>
-            <p className="text-gray-300">Question {currentQuestion + 1} of {quiz.questions.length}</p>
+            <p className="text-gray-300">
+              {retryOf ? 'Retrying missed questions • ' : ''}Question {currentQuestion + 1} of {quiz.questions.length}
+            </p>
+            {!retryOf && adaptiveSettings?.reason && (
+              <p className="text-gray-400 text-sm">{adaptiveSettings.reason}</p>
+            )}
           </div>
           <div className="flex items-center space-x-4">
             <div className="flex items-center text-white">
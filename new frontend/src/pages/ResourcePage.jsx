@@ -1,14 +1,200 @@
-import React from "react";
-import { useParams } from "react-router-dom";
+import React, { useEffect, useMemo, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { toast } from "react-hot-toast";
+import { ArrowLeft, Pin, PinOff, Trash2, WifiOff, X } from "lucide-react";
+import GlassContainer from "../components/GlassContainer";
+import libraryStorage, { LIBRARY_ITEM_TYPES } from "../utils/libraryStorage";
+import { formatLessonContent } from "../utils/contentFormatter";
+import { useBlobUrl } from "../hooks/useBlobUrl";
+import { useOpenLibraryItem } from "../hooks/useLibrary";
+import "../styles/lessonRenderer.css";
 
-const ResourcePage = () => {
+const OPEN_LABELS = {
+  [LIBRARY_ITEM_TYPES.LESSON]: "Open in lesson view",
+  [LIBRARY_ITEM_TYPES.SUMMARY]: "Open summary",
+};
+
+/**
+ * ResourcePage - One library item: its saved text, its audio (played from
+ * the downloaded copy when it's pinned) and its tags.
+ */
+export default function ResourcePage() {
+  const { t } = useTranslation();
   const { resourceId } = useParams();
+  const navigate = useNavigate();
+  const openItem = useOpenLibraryItem();
+  const [item, setItem] = useState(undefined);
+  const [audioSource, setAudioSource] = useState(null);
+  const [tagInput, setTagInput] = useState("");
+
+  // Load the item and follow changes made elsewhere (pinning, tagging)
+  useEffect(() => {
+    let cancelled = false;
+    const load = () => {
+      libraryStorage.getItem(resourceId).then((loaded) => {
+        if (!cancelled) setItem(loaded);
+      });
+    };
+    load();
+    const unsubscribe = libraryStorage.subscribe(load);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [resourceId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    libraryStorage.getAudioSource(item).then((source) => {
+      if (!cancelled) setAudioSource(source);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [item]);
+
+  const { url: blobUrl } = useBlobUrl(audioSource instanceof Blob ? audioSource : null, "ResourcePage");
+  const audioUrl = audioSource instanceof Blob ? blobUrl : audioSource;
+
+  const html = useMemo(() => {
+    if (item?.type === LIBRARY_ITEM_TYPES.LESSON) return formatLessonContent(item.data.lesson);
+    if (item?.type === LIBRARY_ITEM_TYPES.SUMMARY) return formatLessonContent(item.data.summary?.answer || "");
+    return "";
+  }, [item]);
+
+  if (item === undefined) {
+    return (
+      <GlassContainer>
+        <p className="text-white/60">{t("Loading...")}</p>
+      </GlassContainer>
+    );
+  }
+
+  if (!item) {
+    return (
+      <GlassContainer>
+        <p className="text-white/80 mb-4">{t("This item is no longer in your library.")}</p>
+        <Link to="/library" className="text-amber-300 hover:underline">{t("Back to library")}</Link>
+      </GlassContainer>
+    );
+  }
+
+  const addTag = () => {
+    const tag = tagInput.trim();
+    if (!tag) return;
+    libraryStorage.setTags(item.id, [...item.tags, tag]);
+    setTagInput("");
+  };
+
+  const removeTag = (tag) => {
+    libraryStorage.setTags(item.id, item.tags.filter((itemTag) => itemTag !== tag));
+  };
+
+  const handleTogglePin = async () => {
+    const updated = await libraryStorage.setPinned(item.id, !item.pinned);
+    if (updated?.pinned && updated.audio && !updated.audio.offline) {
+      toast.error(t("Pinned, but the audio could not be downloaded. It will stream when you are online."));
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(t("Remove \"{{title}}\" from your library?", { title: item.title }))) return;
+    await libraryStorage.deleteItem(item.id);
+    toast.success(t("Removed from your library"));
+    navigate("/library");
+  };
+
   return (
-    <div style={{ padding: 40, textAlign: "center" }}>
-      <h2>Resource Details</h2>
-      <p>Resource ID: {resourceId}</p>
-    </div>
-  );
-};
+    <GlassContainer>
+      <Link to="/library" className="inline-flex items-center gap-1 text-sm text-white/70 hover:text-white mb-4">
+        <ArrowLeft className="w-4 h-4" />
+        {t("Library")}
+      </Link>
 
-export default ResourcePage;
+      <div className="flex flex-wrap items-start gap-3 mb-4">
+        <div className="flex-1 min-w-0">
+          <h2
+            className="text-3xl md:text-4xl font-extrabold drop-shadow-lg break-words"
+            style={{ color: "#FFFFFF", fontFamily: "Nunito, sans-serif" }}
+          >
+            {item.title}
+          </h2>
+          <p className="text-sm text-white/60 mt-1">
+            {[item.subject, item.topic].filter(Boolean).join(" · ")}
+            {item.subject || item.topic ? " · " : ""}
+            {t("Saved")} {new Date(item.createdAt).toLocaleString()}
+          </p>
+        </div>
+        {item.pinned && (
+          <span className="flex items-center gap-1 text-xs text-emerald-300 bg-emerald-500/15 rounded-full px-2 py-1">
+            <WifiOff className="w-3 h-3" />
+            {t("Available offline")}
+          </span>
+        )}
+      </div>
+
+      {/* Actions */}
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {OPEN_LABELS[item.type] && (
+          <button
+            onClick={() => openItem(item)}
+            className="px-4 py-2 text-sm bg-amber-500/70 hover:bg-amber-500 rounded-lg text-white transition-colors"
+          >
+            {t(OPEN_LABELS[item.type])}
+          </button>
+        )}
+        <button
+          onClick={handleTogglePin}
+          className="flex items-center gap-2 px-4 py-2 text-sm bg-white/10 hover:bg-white/20 rounded-lg text-white transition-colors"
+        >
+          {item.pinned ? <PinOff className="w-4 h-4" /> : <Pin className="w-4 h-4" />}
+          {item.pinned ? t("Unpin") : t("Pin for offline reading")}
+        </button>
+        <button
+          onClick={handleDelete}
+          className="flex items-center gap-2 px-4 py-2 text-sm bg-white/10 hover:bg-red-500/20 rounded-lg text-white/80 hover:text-red-200 transition-colors"
+        >
+          <Trash2 className="w-4 h-4" />
+          {t("Delete")}
+        </button>
+      </div>
+
+      {/* Tags */}
+      <div className="flex flex-wrap items-center gap-2 mb-6">
+        {item.tags.map((tag) => (
+          <span key={tag} className="flex items-center gap-1 text-xs text-white/90 bg-white/10 rounded-full pl-2 pr-1 py-0.5">
+            #{tag}
+            <button onClick={() => removeTag(tag)} className="p-0.5 rounded-full hover:bg-white/20" title={t("Remove tag")}>
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <input
+          value={tagInput}
+          onChange={(e) => setTagInput(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && addTag()}
+          onBlur={addTag}
+          placeholder={t("Add a tag")}
+          className="bg-transparent border-b border-white/20 focus:border-amber-400/60 px-1 py-0.5 text-sm text-white placeholder-white/40 focus:outline-none w-32"
+        />
+      </div>
+
+      {audioUrl && (
+        <audio controls src={audioUrl} className="w-full mb-6">
+          {t("Your browser does not support audio playback.")}
+        </audio>
+      )}
+      {item.audio && !audioUrl && (
+        <p className="text-sm text-white/60 mb-6">{t("Loading audio...")}</p>
+      )}
+
+      {html && (
+        <div
+          className="lesson-content text-white/95 leading-relaxed text-lg"
+          dangerouslySetInnerHTML={{ __html: html }}
+        />
+      )}
+    </GlassContainer>
+  );
+}
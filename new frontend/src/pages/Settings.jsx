@@ -6,6 +6,18 @@ import { supabase } from "../supabaseClient";
 import toast from "react-hot-toast";
 import { useTranslation } from "react-i18next";
 import { createPortal } from "react-dom";
+import {
+  getEndpointSnapshot,
+  subscribeToEndpoints,
+  ENDPOINTS_CONFIG_URL,
+} from "../config/endpoints";
+
+// Labels for where a service URL came from
+const ENDPOINT_SOURCE_LABELS = {
+  runtime: "Runtime override",
+  env: "Build setting",
+  default: "Default",
+};
 
 export default function Settings() {
   const {
@@ -94,6 +106,11 @@ export default function Settings() {
     }
   };
 
+  // Endpoint each backend service currently resolves to
+  const [endpoints, setEndpoints] = useState(getEndpointSnapshot);
+
+  useEffect(() => subscribeToEndpoints(setEndpoints), []);
+
   // State for delete confirmation modal
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
 
@@ -359,6 +376,53 @@ export default function Settings() {
         </div>
       </div>
 
+      {/* Service Endpoints */}
+      <div
+        className="p-6 rounded-xl mt-8"
+        style={{
+          background: "rgba(255, 255, 255, 0.1)",
+          backdropFilter: "blur(10px)",
+          border: "1px solid rgba(255, 255, 255, 0.18)",
+        }}
+      >
+        <h3
+          className="text-2xl font-bold mb-2 transition-all duration-300 hover:bg-gradient-to-r hover:from-white hover:to-[#FF9933] hover:bg-clip-text hover:text-transparent"
+          style={{
+            color: "#FFFFFF",
+            fontFamily: "Tiro Devanagari Hindi, serif",
+          }}
+        >
+          {t("Service Endpoints")}
+        </h3>
+        <p className="text-white/60 text-sm mb-4">
+          {t("Backend services this app is connected to. Runtime overrides are read from")}{" "}
+          <code className="text-white/80">{ENDPOINTS_CONFIG_URL}</code>.
+        </p>
+
+        <ul className="divide-y divide-white/10">
+          {endpoints.map((endpoint) => (
+            <li
+              key={endpoint.key}
+              className="flex flex-col md:flex-row md:items-center md:justify-between gap-1 py-2"
+            >
+              <span className="text-white">{t(endpoint.name)}</span>
+              <span className="flex items-center gap-2 min-w-0">
+                <code className="text-sm text-white/80 truncate">{endpoint.url}</code>
+                <span
+                  className={`px-2 py-0.5 rounded-full text-xs whitespace-nowrap ${
+                    endpoint.source === "runtime"
+                      ? "bg-[#FF9933]/30 text-white"
+                      : "bg-white/10 text-white/60"
+                  }`}
+                >
+                  {t(ENDPOINT_SOURCE_LABELS[endpoint.source])}
+                </span>
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
       <div className="mt-8 text-center">
         <button
           onClick={saveSettings}
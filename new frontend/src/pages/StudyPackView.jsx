@@ -0,0 +1,294 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import {
+  ArrowLeft,
+  ArrowRight,
+  Award,
+  BookOpen,
+  CheckCircle,
+  ChevronDown,
+  ChevronUp,
+  FileText,
+  Layers,
+  ListTree,
+  Loader2,
+  XCircle,
+} from "lucide-react";
+import GlassContainer from "../components/GlassContainer";
+import { useGetStudyPackQuery } from "../api/summaryApiSlice";
+import { formatLessonContent } from "../utils/contentFormatter";
+import "../styles/lessonRenderer.css";
+
+const FINISHED_PACK_STATUSES = ["completed", "failed"];
+
+const TABS = [
+  { value: "summaries", label: "Summaries", icon: FileText },
+  { value: "outline", label: "Outline", icon: ListTree },
+  { value: "glossary", label: "Glossary", icon: BookOpen },
+  { value: "flashcards", label: "Flashcards", icon: Layers },
+];
+
+// QuizPage generates the quiz from the pack's combined summaries
+const getStudyPackQuizPath = (pack) =>
+  `/quiz/${encodeURIComponent("Study Pack")}/${encodeURIComponent(pack.title)}?studyPack=${encodeURIComponent(pack.pack_id)}`;
+
+function DocumentSummary({ packDocument }) {
+  const { t } = useTranslation();
+  const [expanded, setExpanded] = useState(false);
+  const html = useMemo(() => (expanded ? formatLessonContent(packDocument.answer || "") : ""), [expanded, packDocument.answer]);
+  const finished = FINISHED_PACK_STATUSES.includes(packDocument.status);
+
+  return (
+    <li className="bg-white/5 border border-white/10 rounded-xl">
+      <div className="flex items-center gap-3 px-4 py-3">
+        {packDocument.status === "completed" ? (
+          <CheckCircle className="w-4 h-4 text-emerald-300 shrink-0" />
+        ) : packDocument.status === "failed" ? (
+          <XCircle className="w-4 h-4 text-red-400 shrink-0" />
+        ) : (
+          <Loader2 className="w-4 h-4 text-amber-300 animate-spin shrink-0" />
+        )}
+        <div className="min-w-0 flex-1">
+          <p className="text-white/90 text-sm truncate">{packDocument.filename || t("Document")}</p>
+          <p className={`text-xs ${packDocument.status === "failed" ? "text-red-400" : "text-white/50"}`}>
+            {packDocument.status === "completed"
+              ? packDocument.title
+              : packDocument.status === "failed"
+              ? packDocument.error || t("Summary failed")
+              : packDocument.message || t("Waiting to start")}
+          </p>
+        </div>
+        {packDocument.status === "completed" && (
+          <>
+            <Link
+              to={`/learn/summary/${packDocument.summary_id}`}
+              className="px-3 py-1 text-xs bg-white/10 hover:bg-white/20 text-white rounded-lg transition-colors"
+            >
+              {t("Full summary")}
+            </Link>
+            <button
+              onClick={() => setExpanded((value) => !value)}
+              className="p-1 rounded-lg text-white/70 hover:text-white hover:bg-white/10"
+              title={expanded ? t("Hide summary") : t("Show summary")}
+            >
+              {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+            </button>
+          </>
+        )}
+        {!finished && packDocument.summary_id && (
+          <Link
+            to={`/learn/summary/${packDocument.summary_id}`}
+            className="px-3 py-1 text-xs bg-white/10 hover:bg-white/20 text-white rounded-lg transition-colors"
+          >
+            {t("Follow")}
+          </Link>
+        )}
+      </div>
+      {expanded && (
+        <div
+          className="lesson-content text-white/90 leading-relaxed px-4 pb-4"
+          dangerouslySetInnerHTML={{ __html: html }}
+        />
+      )}
+    </li>
+  );
+}
+
+function Flashcards({ cards }) {
+  const { t } = useTranslation();
+  const [index, setIndex] = useState(0);
+  const [flipped, setFlipped] = useState(false);
+
+  if (cards.length === 0) {
+    return <p className="text-white/60">{t("No flashcards could be made from these documents.")}</p>;
+  }
+
+  const card = cards[Math.min(index, cards.length - 1)];
+  const go = (step) => {
+    setFlipped(false);
+    setIndex((current) => (current + step + cards.length) % cards.length);
+  };
+
+  return (
+    <div className="max-w-xl mx-auto">
+      <button
+        onClick={() => setFlipped((value) => !value)}
+        className={`w-full min-h-[12rem] rounded-2xl border p-6 flex flex-col items-center justify-center text-center transition-colors ${
+          flipped ? "bg-amber-500/15 border-amber-400/40" : "bg-white/5 border-white/15 hover:border-white/30"
+        }`}
+      >
+        <span className="text-xs uppercase tracking-wide text-white/50 mb-3">
+          {flipped ? t("Answer") : t("Question")}
+        </span>
+        <span className="text-lg text-white">{flipped ? card.back : card.front}</span>
+        <span className="text-xs text-white/40 mt-4">{t("Click to flip")}</span>
+      </button>
+      <div className="flex items-center justify-between mt-4">
+        <button onClick={() => go(-1)} className="p-2 rounded-lg text-white/70 hover:text-white hover:bg-white/10" title={t("Previous")}>
+          <ArrowLeft className="w-5 h-5" />
+        </button>
+        <span className="text-sm text-white/60">
+          {index + 1} / {cards.length}
+        </span>
+        <button onClick={() => go(1)} className="p-2 rounded-lg text-white/70 hover:text-white hover:bg-white/10" title={t("Next")}>
+          <ArrowRight className="w-5 h-5" />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * StudyPackView - A study pack built from several documents: the progress of
+ * each document while it is summarized, then the per-document summaries, a
+ * merged outline, a glossary, flashcards and a quiz opened in QuizPage.
+ */
+export default function StudyPackView() {
+  const { t } = useTranslation();
+  const { packId } = useParams();
+  const navigate = useNavigate();
+  const [tab, setTab] = useState("summaries");
+  const [pollPack, setPollPack] = useState(true);
+
+  const { data: pack, error } = useGetStudyPackQuery(packId, {
+    pollingInterval: pollPack ? 2000 : 0,
+  });
+
+  // Keep polling until the pack is built or has failed
+  useEffect(() => {
+    if (error || FINISHED_PACK_STATUSES.includes(pack?.status)) {
+      setPollPack(false);
+    }
+  }, [pack, error]);
+
+  if (error) {
+    return (
+      <GlassContainer>
+        <p className="text-white/80 mb-4">
+          {error.status === 404
+            ? t("This study pack could not be found. It may have expired.")
+            : t("Failed to load the study pack")}
+        </p>
+        <Link to="/learn" className="text-amber-300 hover:underline">{t("Back to the Summarizer")}</Link>
+      </GlassContainer>
+    );
+  }
+
+  if (!pack) {
+    return (
+      <GlassContainer>
+        <p className="text-white/60">{t("Loading...")}</p>
+      </GlassContainer>
+    );
+  }
+
+  const building = !FINISHED_PACK_STATUSES.includes(pack.status);
+
+  return (
+    <GlassContainer>
+      <Link to="/learn" className="inline-flex items-center gap-1 text-sm text-white/70 hover:text-white mb-4">
+        <ArrowLeft className="w-4 h-4" />
+        {t("Summarizer")}
+      </Link>
+
+      <div className="flex flex-wrap items-start gap-3 mb-6">
+        <div className="flex-1 min-w-0">
+          <h2
+            className="text-3xl md:text-4xl font-extrabold drop-shadow-lg break-words"
+            style={{ color: "#FFFFFF", fontFamily: "Nunito, sans-serif" }}
+          >
+            {pack.title}
+          </h2>
+          <p className="text-sm text-white/60 mt-1">
+            {t("{{count}} documents", { count: pack.documents.length })}
+            {pack.message ? ` · ${pack.message}` : ""}
+          </p>
+        </div>
+        {pack.status === "completed" && (
+          <button
+            onClick={() => navigate(getStudyPackQuizPath(pack))}
+            className="flex items-center gap-2 px-4 py-2 text-sm bg-amber-500/70 hover:bg-amber-500 rounded-lg text-white transition-colors"
+          >
+            <Award className="w-4 h-4" />
+            {t("Take the quiz")}
+          </button>
+        )}
+      </div>
+
+      {pack.status === "failed" && (
+        <div className="text-red-400 bg-red-500/10 p-4 rounded-xl border border-red-500/20 mb-6">
+          {pack.error || t("The study pack could not be built")}
+        </div>
+      )}
+
+      {building && (
+        <div className="flex items-center gap-2 text-white/70 mb-6">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          {pack.message || t("Building your study pack...")}
+        </div>
+      )}
+
+      {/* Sections */}
+      <div className="flex flex-wrap rounded-xl overflow-hidden border border-white/20 mb-6 w-fit">
+        {TABS.map((option) => (
+          <button
+            key={option.value}
+            onClick={() => setTab(option.value)}
+            disabled={option.value !== "summaries" && pack.status !== "completed"}
+            className={`flex items-center gap-2 px-4 py-2 text-sm transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+              tab === option.value ? "bg-amber-500/40 text-white" : "bg-white/5 text-white/70 hover:bg-white/10"
+            }`}
+          >
+            <option.icon className="w-4 h-4" />
+            {t(option.label)}
+          </button>
+        ))}
+      </div>
+
+      {tab === "summaries" && (
+        <ul className="space-y-2">
+          {pack.documents.map((packDocument) => (
+            <DocumentSummary key={packDocument.summary_id} packDocument={packDocument} />
+          ))}
+        </ul>
+      )}
+
+      {tab === "outline" && (
+        <ol className="space-y-5">
+          {pack.outline.map((section, sectionIndex) => (
+            <li key={`${section.heading}-${sectionIndex}`}>
+              <h3 className="text-lg font-semibold text-white">
+                {sectionIndex + 1}. {section.heading}
+              </h3>
+              {section.sources?.filter(Boolean).length > 0 && (
+                <p className="text-xs text-white/50 mb-1">{section.sources.filter(Boolean).join(", ")}</p>
+              )}
+              <ul className="list-disc pl-6 space-y-1 text-white/85">
+                {section.points.map((point, pointIndex) => (
+                  <li key={pointIndex}>{point}</li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {tab === "glossary" &&
+        (pack.glossary.length === 0 ? (
+          <p className="text-white/60">{t("No key terms were found in these documents.")}</p>
+        ) : (
+          <dl className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {pack.glossary.map((entry) => (
+              <div key={entry.term} className="bg-white/5 border border-white/10 rounded-xl p-3">
+                <dt className="font-semibold text-amber-200">{entry.term}</dt>
+                <dd className="text-sm text-white/85 mt-1">{entry.definition}</dd>
+              </div>
+            ))}
+          </dl>
+        ))}
+
+      {tab === "flashcards" && <Flashcards cards={pack.flashcards} />}
+    </GlassContainer>
+  );
+}
@@ -1,9 +1,11 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
 import GlassContainer from "../components/GlassContainer";
 import GlassInput from "../components/GlassInput";
 import GlassButton from "../components/GlassButton";
 import { LessonLiveRenderer, LessonStreamRenderer } from "../components/LessonLiveRenderer";
-import { useJupiterTTS } from "../hooks/useTTS";
+import { useSpeechEngine } from "../hooks/useSpeechEngine";
+import LessonReadAlongPlayer from "../components/LessonReadAlongPlayer";
 
 import {
   useGenerateEnhancedLessonMutation,
@@ -19,9 +21,15 @@ import { cleanContentForVideo } from "../utils/contentFormatter";
 import { useSelector } from "react-redux";
 import { selectUserId } from "../store/authSlice";
 import { toast } from "react-hot-toast";
-import { API_BASE_URL, CHAT_API_BASE_URL } from "../config";
+import { getServiceUrl } from "../config/endpoints";
+import { streamEvents } from "../services/streamingClient";
 import { useVideo } from "../context/VideoContext";
 import UserProgressDashboard from "../components/UserProgressDashboard";
+import StreamStageIndicator from "../components/StreamStageIndicator";
+import quizHistoryStorage from "../utils/quizHistoryStorage";
+import libraryStorage, { LIBRARY_ITEM_TYPES } from "../utils/libraryStorage";
+import { usePageActions } from "../hooks/usePageActions";
+import { PageActionError } from "../services/pageActionRegistry";
 
 export default function Subjects() {
   // Get user ID first (needed for hooks)
@@ -72,6 +80,12 @@ export default function Subjects() {
   const [showProgressDashboard, setShowProgressDashboard] = useState(false);
   const [lastQuizScore, setLastQuizScore] = useState(null);
   const [showInterventionPanel, setShowInterventionPanel] = useState(false);
+  // Set by the avatar assistant's generate_lesson action once the form is filled
+  const [queuedLesson, setQueuedLesson] = useState(false);
+  // A lesson opened from the library, shown once its subject and topic are set
+  const [libraryLesson, setLibraryLesson] = useState(null);
+  const location = useLocation();
+  const navigate = useNavigate();
 
   // Edge case handling states
   const [retryCount, setRetryCount] = useState(0);
@@ -82,18 +96,24 @@ export default function Subjects() {
   const maxRetries = 3;
   const extendedWaitThreshold = 300; // 5 minutes
 
-  // TTS integration for Jupiter model responses
-  const { handleJupiterResponse, serviceHealthy, isPlaying, stopTTS } = useJupiterTTS({
-    onPlayStart: (text) => {
-      console.log("🔊 Jupiter TTS: Started playing lesson content");
-    },
-    onPlayEnd: (text) => {
-      console.log("🔊 Jupiter TTS: Finished playing lesson content");
-    },
-    onError: (error) => {
-      console.warn("🔊 Jupiter TTS: Auto-play failed:", error.message);
-    }
-  });
+  // Quiz progress from stored attempts, recomputed only when the user or
+  // their attempts change. Also seeds the last quiz score.
+  const [quizProgress, setQuizProgress] = useState(null);
+  useEffect(() => {
+    const load = () => {
+      const summary = quizHistoryStorage.getProgressSummary(userId);
+      setQuizProgress(summary);
+      if (summary.quizScores.length > 0) {
+        setLastQuizScore(summary.quizScores[summary.quizScores.length - 1]);
+      }
+    };
+    load();
+    return quizHistoryStorage.subscribe(load);
+  }, [userId]);
+
+  // Lessons are narrated by the read-along player once they finish typing out
+  const { serviceHealthy } = useSpeechEngine();
+  const [readAlongContent, setReadAlongContent] = useState(null);
 
   // Use the imported cleanContentForVideo utility for cleaning content
 
@@ -101,8 +121,9 @@ export default function Subjects() {
   const transformLessonToVideoFormat = (lessonData, subject, topic) => {
     const rawExplanation = lessonData.explanation || lessonData.text || "";
 
-    // Clean the content first using the imported utility
-    const cleanedContent = cleanContentForVideo(rawExplanation);
+    // Clean the content first using the imported utility; a structured
+    // lesson document is preferred over the raw text when the backend sent one
+    const cleanedContent = cleanContentForVideo(lessonData.document || rawExplanation);
 
     // Create a narrative story from the lesson content
     const narrativeStory = createNarrativeStory(cleanedContent, subject, topic);
@@ -380,6 +401,9 @@ export default function Subjects() {
   const isLoadingData = isSubmitting;
   const isErrorData = false;
   const subjectData = lessonData;
+  const lessonContent = subjectData?.content || subjectData?.explanation || subjectData?.text || "";
+  // A structured lesson document from the backend wins over parsing the lesson text
+  const lessonSource = subjectData?.document || subjectData?.lesson_document || lessonContent;
 
   // Reset results when subject or topic changes
   useEffect(() => {
@@ -559,7 +583,7 @@ export default function Subjects() {
 
       console.log("🎬 AnimateDiff API Payload:", payload);
       if (import.meta.env.VITE_DEBUG_PROXY === 'true') {
-        console.log("🎬 Target endpoint:", import.meta.env.VITE_VISION_API_URL || 'http://localhost:8501/generate-video');
+        console.log("🎬 Target endpoint:", `${getServiceUrl("vision")}/generate-video`);
         console.log("🎬 Ngrok endpoint:", import.meta.env.VITE_VISION_NGROK_URL || '');
       }
 
@@ -575,8 +599,8 @@ export default function Subjects() {
 
       try {
         // First attempt: Use flexible backend proxy (most reliable - avoids CORS)
-        console.log("🎬 Attempting flexible backend proxy request via localhost:8001/proxy/vision-flexible...");
-        const flexibleProxyResponse = await fetch(`${CHAT_API_BASE_URL}/proxy/vision-flexible`, {
+        console.log(`🎬 Attempting flexible backend proxy request via ${getServiceUrl("chat")}/proxy/vision-flexible...`);
+        const flexibleProxyResponse = await fetch(`${getServiceUrl("chat")}/proxy/vision-flexible`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -602,8 +626,8 @@ export default function Subjects() {
 
         try {
           // Second attempt: Use standard backend proxy
-          console.log("🎬 Attempting standard backend proxy request via localhost:8001/proxy/vision...");
-          const backendProxyResponse = await fetch(`${CHAT_API_BASE_URL}/proxy/vision`, {
+          console.log(`🎬 Attempting standard backend proxy request via ${getServiceUrl("chat")}/proxy/vision...`);
+          const backendProxyResponse = await fetch(`${getServiceUrl("chat")}/proxy/vision`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -613,7 +637,7 @@ export default function Subjects() {
           credentials: 'same-origin',
           body: JSON.stringify({
             ...payload,
-            target_endpoint: (import.meta.env.VITE_VISION_API_URL || "http://localhost:8501/generate-video")
+            target_endpoint: `${getServiceUrl("vision")}/generate-video`
           })
         });
 
@@ -632,8 +656,8 @@ export default function Subjects() {
 
           try {
             // Third attempt: Use backend test proxy
-          console.log("🎬 Attempting backend test proxy via localhost:8001/test-generate-video...");
-          const testProxyResponse = await fetch(`${CHAT_API_BASE_URL}/test-generate-video`, {
+          console.log(`🎬 Attempting backend test proxy via ${getServiceUrl("chat")}/test-generate-video...`);
+          const testProxyResponse = await fetch(`${getServiceUrl("chat")}/test-generate-video`, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
@@ -770,7 +794,7 @@ export default function Subjects() {
           console.log("🎬 Video transferred to main system, fetching from:", result.access_url);
 
           try {
-            const videoResponse = await fetch(`${API_BASE_URL}${result.access_url}`, {
+            const videoResponse = await fetch(`${getServiceUrl("base")}${result.access_url}`, {
               method: 'GET',
               headers: {
                 'Accept': 'video/mp4',
@@ -843,7 +867,7 @@ export default function Subjects() {
       // Determine error type for better user feedback
       let errorMessage = error.message;
       if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-        errorMessage = "Network connection failed. Please check that your backend (localhost:8001) is running and can reach the AnimateDiff service.";
+        errorMessage = `Network connection failed. Please check that your backend (${getServiceUrl("chat")}) is running and can reach the AnimateDiff service.`;
       } else if (error.message.includes('CORS')) {
         errorMessage = "Cross-origin request blocked. Using backend proxy to resolve the issue.";
       } else if (error.message.includes('404')) {
@@ -858,7 +882,8 @@ export default function Subjects() {
 
       // Show error toast (non-blocking)
       toast.error(
-        `🎬 Failed to connect to AnimateDiff API: ${errorMessage}\n📍 Backend Proxy: localhost:8001 → 192.168.0.121:8501\n🌐 Ngrok Fallback: 8c9ce043b836.ngrok-free.app`,
+        `🎬 Failed to connect to AnimateDiff API: ${errorMessage}\n📍 Backend Proxy: ${getServiceUrl("chat")} → ${getServiceUrl("vision")}` +
+          (import.meta.env.VITE_VISION_NGROK_URL ? `\n🌐 Ngrok Fallback: ${import.meta.env.VITE_VISION_NGROK_URL}` : ""),
         {
           duration: 8000,
           style: {
@@ -883,7 +908,7 @@ export default function Subjects() {
 
   // Streaming lesson generation function
   const handleStreamingSubmit = async (e) => {
-    e.preventDefault();
+    e?.preventDefault();
 
     // Prevent submission if already processing
     if (isButtonDisabled()) {
@@ -912,7 +937,19 @@ export default function Subjects() {
 
     setIsSubmitting(true);
     setShowResults(true);
-    setLessonData({ streaming: true, content: "" }); // Initialize streaming state
+    // Initialize streaming state
+    setLessonData({
+      streaming: true,
+      content: "",
+      stages: [],
+      sources: [],
+      subject: trimmedSubject,
+      topic: trimmedTopic,
+      title: `In-Depth Study: ${trimmedTopic} in ${trimmedSubject}`,
+      status: "streaming",
+      knowledge_base_used: useKnowledgeStore,
+      wikipedia_used: includeWikipedia
+    });
 
     // Show loading toast
     toast.loading(
@@ -935,94 +972,55 @@ export default function Subjects() {
 
     try {
       // Determine which API endpoint to use
-      const baseUrl = API_BASE_URL || "http://localhost:8001";
+      const baseUrl = getServiceUrl("base");
       const streamUrl = `${baseUrl}/generate_lesson_stream?subject=${encodeURIComponent(trimmedSubject)}&topic=${encodeURIComponent(trimmedTopic)}&include_wikipedia=${includeWikipedia}&use_knowledge_store=${useKnowledgeStore}`;
 
       console.log("🌊 Starting streaming lesson generation:", streamUrl);
 
-      const response = await fetch(streamUrl);
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let accumulatedContent = "";
-
-      // Process the stream
-      while (true) {
-        const { done, value } = await reader.read();
-
-        if (done) {
-          console.log("🏁 Streaming complete");
-          break;
-        }
-
-        const chunk = decoder.decode(value, { stream: true });
-        const lines = chunk.split('\n');
-
-        for (const line of lines) {
-          if (line.trim()) {
-            // Check for special markers
-            if (line.includes('[STREAM_END]')) {
-              console.log("✅ Stream ended successfully");
-              break;
-            } else if (line.includes('[STREAM_ERROR]')) {
-              throw new Error("Streaming error occurred");
-            } else if (line.startsWith('data: ')) {
-              // Remove 'data: ' prefix
-              const content = line.substring(6);
-
-              // Filter out status messages and only accumulate actual lesson content
-              const isStatusMessage = content.includes('🎓') || content.includes('📚') ||
-                                    content.includes('🔍') || content.includes('✅') ||
-                                    content.includes('⚠️') || content.includes('🌐') ||
-                                    content.includes('🧠') || content.includes('📖') ||
-                                    content.includes('📊') || content.includes('🎯') ||
-                                    content.includes('[END]') || content.includes('[ERROR]') ||
-                                    content.includes('Starting lesson') || content.includes('Gathering educational') ||
-                                    content.includes('Accessing knowledge') || content.includes('Searching Wikipedia') ||
-                                    content.includes('Generating comprehensive') || content.includes('Lesson content ready') ||
-                                    content.includes('Total content:') || content.includes('Sources used:') ||
-                                    content.includes('Lesson generation complete');
-
-              // Only add actual lesson content, not status messages
-              if (!isStatusMessage && content.trim()) {
-                accumulatedContent += content + '\n';
-              }
+      const result = await streamEvents(streamUrl, {
+        onProgress: (stages) => {
+          setLessonData(prev => ({ ...prev, stages }));
+        },
+        onDelta: (content) => {
+          setLessonData(prev => ({ ...prev, content }));
+        },
+        onSources: (sources) => {
+          setLessonData(prev => ({ ...prev, sources }));
+        },
+        onDocument: (document) => {
+          setLessonData(prev => ({ ...prev, document }));
+        },
+      });
 
-              // Update the lesson data with accumulated content
-              setLessonData({
-                streaming: true,
-                content: accumulatedContent,
-                subject: trimmedSubject,
-                topic: trimmedTopic,
-                title: `In-Depth Study: ${trimmedTopic} in ${trimmedSubject}`,
-                status: "streaming",
-                knowledge_base_used: useKnowledgeStore,
-                wikipedia_used: includeWikipedia
-              });
-            } else {
-              // Regular content line
-              accumulatedContent += line + '\n';
-              setLessonData(prev => ({
-                ...prev,
-                content: accumulatedContent
-              }));
-            }
-          }
-        }
-      }
+      console.log("🏁 Streaming complete");
 
       // Finalize the lesson data
+      const generatedAt = new Date().toISOString();
       setLessonData(prev => ({
         ...prev,
         streaming: false,
         status: "completed",
-        generated_at: new Date().toISOString()
+        generated_at: generatedAt
       }));
 
+      // Keep the lesson in the student's library so it survives a new search
+      if (result.content.trim() || result.document) {
+        libraryStorage
+          .saveLesson(userId, {
+            content: result.content,
+            sources: result.sources,
+            document: result.document,
+            subject: trimmedSubject,
+            topic: trimmedTopic,
+            title: `In-Depth Study: ${trimmedTopic} in ${trimmedSubject}`,
+            status: "completed",
+            knowledge_base_used: useKnowledgeStore,
+            wikipedia_used: includeWikipedia,
+            generated_at: generatedAt,
+          })
+          .catch((error) => console.warn("📚 Could not save lesson to library:", error));
+      }
+
       // Dismiss loading toast and show success
       toast.dismiss("streaming-lesson-generation");
       toast.success(
@@ -1042,12 +1040,6 @@ export default function Subjects() {
         }
       );
 
-      // Trigger TTS for the final content if available
-      if (serviceHealthy && accumulatedContent) {
-        console.log("🔊 Jupiter TTS: Triggering auto-play for streamed content");
-        handleJupiterResponse(accumulatedContent);
-      }
-
     } catch (error) {
       console.error("❌ Streaming lesson generation failed:", error);
 
@@ -1079,6 +1071,113 @@ export default function Subjects() {
     }
   };
 
+  // Latest submit handler, so the effect below starts the lesson with the
+  // subject and topic of the render that queued it
+  const streamingSubmitRef = useRef(handleStreamingSubmit);
+  useEffect(() => {
+    streamingSubmitRef.current = handleStreamingSubmit;
+  });
+
+  // Start a lesson queued by the assistant. Declared after the reset effect
+  // above so the new subject and topic don't clear the lesson it starts.
+  useEffect(() => {
+    if (queuedLesson) {
+      setQueuedLesson(false);
+      streamingSubmitRef.current();
+    }
+  }, [queuedLesson]);
+
+  // Open a lesson from the library without generating it again
+  useEffect(() => {
+    const itemId = location.state?.libraryItemId;
+    if (!itemId) return;
+    navigate(location.pathname, { replace: true, state: null });
+
+    libraryStorage
+      .getItem(itemId)
+      .then((item) => {
+        if (item?.type !== LIBRARY_ITEM_TYPES.LESSON) {
+          toast.error("That lesson is no longer in your library.");
+          return;
+        }
+        setSelectedSubject(item.subject);
+        setTopic(item.topic);
+        setLibraryLesson(item.data.lesson);
+        libraryStorage.markOpened(item.id);
+      })
+      .catch((error) => {
+        console.warn("📚 Could not open lesson from library:", error);
+        toast.error("That lesson is no longer in your library.");
+      });
+  }, [location.state, location.pathname, navigate]);
+
+  // Like the queued lesson, this runs after the reset effect clears the results
+  useEffect(() => {
+    if (libraryLesson) {
+      setLessonData(libraryLesson);
+      setShowResults(true);
+      setLibraryLesson(null);
+    }
+  }, [libraryLesson]);
+
+  usePageActions("subjects", {
+    title: "Subjects",
+    context: {
+      subject: selectedSubject,
+      topic,
+      generating: isSubmitting,
+      lesson: lessonData
+        ? { title: lessonData.title, status: lessonData.status || "completed" }
+        : null,
+      progressDashboardOpen: showProgressDashboard,
+    },
+    actions: {
+      generate_lesson: {
+        label: "Generate Lesson",
+        icon: BookOpen,
+        quick: true,
+        description: "Generate a lesson; subject and topic default to what is in the form",
+        params: {
+          subject: { type: "string", description: "Subject, e.g. Biology" },
+          topic: { type: "string", description: "Topic, e.g. Photosynthesis" },
+        },
+        run: ({ subject = selectedSubject, topic: lessonTopic = topic }) => {
+          if (isSubmitting) {
+            throw new PageActionError("a lesson is already being generated", "busy");
+          }
+          if (!subject.trim() || !lessonTopic.trim()) {
+            throw new PageActionError("tell me the subject and topic for the lesson", "invalid_params");
+          }
+          setSelectedSubject(subject);
+          setTopic(lessonTopic);
+          setQueuedLesson(true);
+          return { message: `📚 Generating a lesson on ${lessonTopic} (${subject}).` };
+        },
+      },
+      new_search: {
+        label: "New Search",
+        description: "Clear the form and the current lesson",
+        run: () => {
+          handleNewSearch();
+          return { message: "🔄 Cleared the lesson form." };
+        },
+      },
+      view_progress: {
+        label: "View Progress",
+        icon: BarChart3,
+        quick: true,
+        description: "Show the learning progress dashboard",
+        run: () => {
+          if (!userId || userId === "guest-user") {
+            throw new PageActionError("sign in to see your learning progress", "unavailable");
+          }
+          setShowProgressDashboard(true);
+          return { message: "📈 Opened your progress dashboard." };
+        },
+      },
+    },
+  });
+
   return (
     <GlassContainer>
       <div className="max-w-full mx-auto px-8 py-10">
@@ -1121,6 +1220,7 @@ export default function Subjects() {
                 <UserProgressDashboard
                   userProgress={formatUserProgressData(userProgress)}
                   userAnalytics={userAnalytics}
+                  quizHistory={quizProgress}
                   onTriggerIntervention={handleTriggerIntervention}
                   isLoadingProgress={isLoadingProgress}
                   isLoadingAnalytics={isLoadingAnalytics}
@@ -1414,7 +1514,7 @@ export default function Subjects() {
         {showResults && (
           <div className="bg-white/20 rounded-xl p-8 backdrop-blur-md border border-white/30 shadow-xl">
 
-            {isLoadingData || isSubmitting ? (
+            {(isLoadingData || isSubmitting) && !subjectData?.streaming ? (
               <div className="text-center py-8">
                 <p className="text-white/70">Loading...</p>
               </div>
@@ -1557,7 +1657,7 @@ export default function Subjects() {
                   })()}
 
                   {/* Explanation/Content - Enhanced User-Friendly Design */}
-                  {(subjectData?.explanation || subjectData?.text || subjectData?.content) && (
+                  {(subjectData?.streaming || lessonSource) && (
                     <div className="relative">
                       {/* Content Header with Modern Design */}
                       <div className="mb-6">
@@ -1593,10 +1693,24 @@ export default function Subjects() {
                           </div>
                         </div>
 
-                        {/* Progress Bar for Streaming */}
+                        {/* Stage Indicator for Streaming */}
                         {subjectData?.streaming && (
-                          <div className="w-full bg-white/10 rounded-full h-1 mb-4">
-                            <div className="bg-gradient-to-r from-amber-400 to-amber-500 h-1 rounded-full animate-pulse" style={{width: '70%'}}></div>
+                          <StreamStageIndicator
+                            stages={subjectData?.stages}
+                            isStreaming={subjectData?.streaming}
+                            className="mb-4"
+                          />
+                        )}
+
+                        {/* Sources reported by the stream */}
+                        {subjectData?.sources?.length > 0 && (
+                          <div className="flex flex-wrap items-center gap-2 mb-4">
+                            <span className="text-white/60 text-xs">Sources:</span>
+                            {subjectData.sources.map((source) => (
+                              <span key={source} className="bg-white/10 px-3 py-1 rounded-full text-white/70 text-xs">
+                                {source}
+                              </span>
+                            ))}
                           </div>
                         )}
                       </div>
@@ -1617,18 +1731,19 @@ export default function Subjects() {
                               className="w-full"
                               onComplete={() => {
                                 console.log('🎉 Lesson streaming completed');
-                                // Auto-play TTS after streaming completes
-                                if (serviceHealthy && subjectData?.content) {
-                                  setTimeout(() => {
-                                    console.log("🔊 Jupiter TTS: Triggering auto-play for streamed lesson content");
-                                    handleJupiterResponse(subjectData.content);
-                                  }, 1000);
-                                }
                               }}
                             />
-                          ) : subjectData?.content || subjectData?.explanation || subjectData?.text ? (
+                          ) : lessonSource && readAlongContent === lessonSource ? (
+                            <LessonReadAlongPlayer
+                              content={lessonSource}
+                              lessonKey={`${subjectData?.subject || ""}:${subjectData?.topic || ""}`.toLowerCase()}
+                              userId={userId}
+                              autoPlay={Boolean(serviceHealthy)}
+                              className="w-full"
+                            />
+                          ) : lessonSource ? (
                             <LessonLiveRenderer
-                              content={subjectData?.content || subjectData?.explanation || subjectData?.text || ''}
+                              content={lessonSource}
                               speed={20} // Optimal character rendering speed
                               lineDelay={150} // Smooth delay between lines
                               autoStart={true}
@@ -1636,14 +1751,8 @@ export default function Subjects() {
                               className="w-full"
                               onComplete={() => {
                                 console.log('🎉 Lesson rendering completed');
-                                // Auto-play TTS after rendering completes
-                                const content = subjectData?.content || subjectData?.explanation || subjectData?.text;
-                                if (serviceHealthy && content) {
-                                  setTimeout(() => {
-                                    console.log("🔊 Jupiter TTS: Triggering auto-play for rendered lesson content");
-                                    handleJupiterResponse(content);
-                                  }, 1000);
-                                }
+                                // Switch to the read-along player, which narrates the lesson
+                                setReadAlongContent(lessonSource);
                               }}
                             />
                           ) : (
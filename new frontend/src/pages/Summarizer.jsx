@@ -1,31 +1,58 @@
 import React, { useState, useRef, useEffect } from "react";
 import GlassContainer from "../components/GlassContainer";
-import { FiUpload, FiFileText, FiX } from "react-icons/fi";
+import { FiUpload, FiFileText, FiX, FiLayers } from "react-icons/fi";
 import { useNavigate } from "react-router-dom";
 import { toast } from "react-hot-toast";
 import { useTranslation } from "react-i18next";
 import { supabase } from "../supabaseClient";
 import chatLogsService from "../services/chatLogsService";
-import { CHAT_API_BASE_URL, API_BASE_URL } from "../config";
 import { useTTS } from "../hooks/useTTS";
+import { streamEvents } from "../services/streamingClient";
+import StreamStageIndicator from "../components/StreamStageIndicator";
+import FileUploader from "../components/FileUploader";
+import { usePageActions } from "../hooks/usePageActions";
+import { PageActionError } from "../services/pageActionRegistry";
+import libraryStorage from "../utils/libraryStorage";
 import {
-  useUploadPdfForSummaryMutation,
-  useUploadImageForSummaryMutation,
-  useLazyGetPdfSummaryQuery,
-  useLazyGetImageSummaryQuery,
-  useUploadPdfForUniGuruMutation,
-  useUploadImageForUniGuruMutation,
-  useLazyGetUniGuruPdfSummaryQuery,
-  useLazyGetUniGuruImageSummaryQuery,
+  useCreateSummaryJobMutation,
+  useLazyGetSummaryByIdQuery,
+  useListSummaryJobsQuery,
+  useCreateStudyPackMutation,
+  getSummaryEventsUrl,
 } from "../api/summaryApiSlice";
 
+// Groups the documents summarized in this tab; kept for the tab's lifetime
+const getSummarySessionId = () => {
+  let sessionId = sessionStorage.getItem("summarySessionId");
+  if (!sessionId) {
+    sessionId = `summary_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+    sessionStorage.setItem("summarySessionId", sessionId);
+  }
+  return sessionId;
+};
+
+const FINISHED_JOB_STATUSES = ["completed", "failed"];
+
+// Study packs are built from the documents the backend can summarize
+const STUDY_PACK_FILE_TYPES = {
+  "application/pdf": [".pdf"],
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/png": [".png"],
+};
+const MAX_STUDY_PACK_FILES = 10;
+
+const MODES = [
+  { value: "single", label: "Single document", icon: FiFileText },
+  { value: "pack", label: "Study pack", icon: FiLayers },
+];
+
 export default function Summarizer() {
   const { t } = useTranslation();
   const [file, setFile] = useState(null);
-  const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [isStreaming, setIsStreaming] = useState(false);
   const [streamingContent, setStreamingContent] = useState("");
+  const [streamingStages, setStreamingStages] = useState([]);
   const [showStreamingView, setShowStreamingView] = useState(false);
   const [previewUrl, setPreviewUrl] = useState(null);
   const [selectedModel, setSelectedModel] = useState("uniguru"); // Fixed to UniGuru model
@@ -34,11 +61,22 @@ export default function Summarizer() {
   const streamingControllerRef = useRef(null);
   const navigate = useNavigate();
 
-  // RTK Query hooks - Using local backend with UniGuru model
-  const [uploadPdfForSummary] = useUploadPdfForSummaryMutation();
-  const [uploadImageForSummary] = useUploadImageForSummaryMutation();
-  const [getPdfSummary] = useLazyGetPdfSummaryQuery();
-  const [getImageSummary] = useLazyGetImageSummaryQuery();
+  // Summary jobs - every upload gets its own job ID and result
+  const [sessionId] = useState(getSummarySessionId);
+  const [completedSummaryId, setCompletedSummaryId] = useState(null);
+  const [createSummaryJob] = useCreateSummaryJobMutation();
+  const [getSummaryById] = useLazyGetSummaryByIdQuery();
+  const [pollSessionJobs, setPollSessionJobs] = useState(false);
+  const { data: sessionJobs = [] } = useListSummaryJobsQuery(sessionId, {
+    pollingInterval: pollSessionJobs ? 3000 : 0,
+  });
+
+  // Study packs - several documents summarized and combined into one pack
+  const [mode, setMode] = useState("single");
+  const [packFiles, setPackFiles] = useState([]);
+  const [packTitle, setPackTitle] = useState("");
+  const [isCreatingPack, setIsCreatingPack] = useState(false);
+  const [createStudyPack] = useCreateStudyPackMutation();
 
   // TTS functionality
   const { autoPlayAI, serviceHealthy: ttsServiceHealthy } = useTTS({
@@ -78,6 +116,11 @@ export default function Summarizer() {
     getUserId();
   }, []);
 
+  // Keep refreshing the session's documents while any is still being summarized
+  useEffect(() => {
+    setPollSessionJobs(sessionJobs.some((job) => !FINISHED_JOB_STATUSES.includes(job.status)));
+  }, [sessionJobs]);
+
   // Cleanup preview URL when file changes or component unmounts
   useEffect(() => {
     return () => {
@@ -134,126 +177,6 @@ export default function Summarizer() {
     }
   };
 
-  const getSummary = async (isImage) => {
-    try {
-      if (isImage) {
-        const response = await getImageSummary().unwrap();
-        return response;
-      } else {
-        const response = await getPdfSummary().unwrap();
-        return response;
-      }
-    } catch (error) {
-      throw new Error("Failed to fetch summary");
-    }
-  };
-
-  const handleUpload = async () => {
-    if (!file) {
-      const errorMsg = "Please select a file first";
-      setError(errorMsg);
-      toast.error(errorMsg, {
-        icon: "📁",
-        position: "bottom-right",
-      });
-      return;
-    }
-
-    try {
-      setLoading(true);
-      setError("");
-
-      const isImage = file.type.startsWith("image/");
-
-      // Save the selected model to localStorage for use in other components
-      localStorage.setItem("selectedAIModel", selectedModel);
-
-      // Show upload progress toast
-      toast.loading(
-        `Uploading file to ${
-          selectedModel.charAt(0).toUpperCase() + selectedModel.slice(1)
-        }...`,
-        {
-          id: "upload-progress",
-          position: "bottom-right",
-        }
-      );
-
-      // Upload file using RTK Query with UniGuru model
-      if (isImage) {
-        await uploadImageForSummary({
-          file,
-          llm: "uniguru",
-        }).unwrap();
-      } else {
-        await uploadPdfForSummary({
-          file,
-          llm: "uniguru",
-        }).unwrap();
-      }
-
-      // Dismiss upload progress toast
-      toast.dismiss("upload-progress");
-
-      // Show analyzing toast
-      toast.loading("Analyzing document...", {
-        id: "analyzing-progress",
-        position: "bottom-right",
-      });
-
-      // Get summary from the appropriate endpoint based on file type
-      const summaryResponse = await getSummary(isImage);
-
-      // Dismiss analyzing toast
-      toast.dismiss("analyzing-progress");
-
-      // Save data to localStorage
-      localStorage.setItem("summaryData", JSON.stringify(summaryResponse));
-      localStorage.setItem(
-        "fileData",
-        JSON.stringify({
-          type: file.type,
-          name: file.name,
-        })
-      );
-
-      // Show success toast
-      toast.success("Document analyzed successfully!", {
-        icon: "🎉",
-        position: "bottom-right",
-        duration: 3000,
-      });
-
-      // Log document summary to Supabase
-      try {
-        const effectiveUserId = userId || "guest-user";
-        await chatLogsService.logDocumentSummary({
-          userId: effectiveUserId,
-          fileName: file.name,
-          fileType: file.type,
-          fileSize: file.size,
-          model: selectedModel,
-          hasAudio: summaryResponse.audio_file ? true : false,
-        });
-        // Document summary logged successfully
-      } catch (logError) {
-        // Continue even if logging fails
-      }
-
-      // Navigate to summary page
-      navigate("/learn/summary");
-    } catch (err) {
-      const errorMsg = err.message || "Failed to process file";
-      setError(errorMsg);
-      toast.error(errorMsg, {
-        position: "bottom-right",
-        duration: 5000,
-      });
-    } finally {
-      setLoading(false);
-    }
-  };
-
   // Streaming analysis function
   const handleStreamingAnalysis = async () => {
     if (!file) return;
@@ -262,9 +185,12 @@ export default function Summarizer() {
       setIsStreaming(true);
       setShowStreamingView(true);
       setStreamingContent("");
+      setStreamingStages([]);
+      setCompletedSummaryId(null);
       setError("");
 
       const isImage = file.type.startsWith("image/");
+      const effectiveUserId = userId || "guest-user";
 
       // Upload file first
       toast.loading("Uploading file to UniGuru...", {
@@ -272,91 +198,62 @@ export default function Summarizer() {
         position: "bottom-right",
       });
 
-      if (isImage) {
-        await uploadImageForSummary({ file }).unwrap();
-      } else {
-        await uploadPdfForSummary({ file }).unwrap();
-      }
+      const job = await createSummaryJob({
+        file,
+        userId: effectiveUserId,
+        sessionId,
+        llm: selectedModel,
+      }).unwrap();
 
       toast.dismiss("upload-progress");
 
-      // Start streaming analysis using Base_backend (port 8000)
-      const streamUrl = isImage 
-        ? `${API_BASE_URL}/process-img-stream?llm=uniguru`
-        : `${API_BASE_URL}/process-pdf-stream?llm=uniguru`;
-
-      console.log(`🌊 Starting streaming ${isImage ? 'image' : 'document'} analysis:`, streamUrl);
+      // Follow this upload's job, not whatever was processed last
+      const streamUrl = getSummaryEventsUrl(job.job_id);
+      console.log(`🌊 Following ${isImage ? 'image' : 'document'} summary job:`, job.job_id);
 
       // Create abort controller for canceling the stream
       const controller = new AbortController();
       streamingControllerRef.current = controller;
 
-      const response = await fetch(streamUrl, { signal: controller.signal });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let accumulatedContent = "";
-
-      // Process the stream
-      while (true) {
-        const { done, value } = await reader.read();
+      const { content: accumulatedContent, summary: doneEvent } = await streamEvents(streamUrl, {
+        signal: controller.signal,
+        onProgress: (stages) => setStreamingStages(stages),
+        onDelta: (content) => setStreamingContent(content),
+      });
 
-        if (done) {
-          console.log("🏁 Streaming complete");
-          break;
-        }
+      console.log("🏁 Streaming complete");
 
-        const chunk = decoder.decode(value, { stream: true });
-        const lines = chunk.split('\n');
-
-        for (const line of lines) {
-          if (line.trim()) {
-            if (line.includes('[END]')) {
-              console.log("✅ Stream ended successfully");
-              break;
-            } else if (line.includes('[ERROR]')) {
-              throw new Error("Streaming error occurred");
-            } else if (line.startsWith('data: ')) {
-              const content = line.substring(6);
-
-              // Filter out status messages and only accumulate actual content
-              const isStatusMessage = content.includes('🔍') || content.includes('📄') ||
-                                    content.includes('🖼️') || content.includes('🤖') || content.includes('📝') ||
-                                    content.includes('✅') || content.includes('🎵') ||
-                                    content.includes('[END]') || content.includes('[ERROR]') ||
-                                    content.includes('Starting document') || content.includes('Starting image') || content.includes('Processing:') ||
-                                    content.includes('Using UNIGURU') || content.includes('Generating comprehensive') ||
-                                    content.includes('Document analysis complete') || content.includes('Image analysis complete') || 
-                                    content.includes('Audio summary available') || content.includes('Text extracted from image') ||
-                                    content.includes('Analysis Results') || content.includes('📖') || content.includes('📊');
-
-              // Add actual content, not status messages
-              if (!isStatusMessage && content.trim()) {
-                accumulatedContent += content + '\n';
-                setStreamingContent(accumulatedContent);
-              }
-            }
-          }
-        }
-      }
-
-      // Save the final content to localStorage for potential navigation
+      const summaryId = doneEvent?.summary_id || job.job_id;
       const finalSummaryData = {
-        answer: accumulatedContent,
-        title: isImage ? "Image Analysis" : "Document Summary",
-        llm: "uniguru",
-        audio_file: null, // Will be handled separately
+        ...(await getSummaryById(summaryId).unwrap()),
+        llm: selectedModel,
       };
+      setCompletedSummaryId(summaryId);
 
+      // The library opens summaries from these keys, also while offline
       localStorage.setItem("summaryData", JSON.stringify(finalSummaryData));
       localStorage.setItem("fileData", JSON.stringify({
         type: file.type,
         name: file.name,
       }));
+      if (finalSummaryData.answer?.trim()) {
+        libraryStorage
+          .saveSummary(effectiveUserId, finalSummaryData, { type: file.type, name: file.name })
+          .catch((saveError) => console.warn("📚 Could not save summary to library:", saveError));
+      }
+
+      chatLogsService
+        .logDocumentSummary({
+          userId: effectiveUserId,
+          fileName: file.name,
+          fileType: file.type,
+          fileSize: file.size,
+          model: selectedModel,
+          hasAudio: Boolean(finalSummaryData.audio_file),
+        })
+        .catch(() => {
+          // Continue even if logging fails
+        });
 
       toast.success(`${isImage ? 'Image' : 'Document'} analysis complete!`, {
         icon: "🎉",
@@ -410,6 +307,128 @@ export default function Summarizer() {
     }
   };
 
+  const handlePackFilesSelect = (selectedFiles) => {
+    setPackFiles((prev) => [...prev, ...selectedFiles]);
+  };
+
+  // FileUploader passes null when all files are cleared
+  const handlePackFileRemove = (removedFile) => {
+    setPackFiles((prev) => (removedFile ? prev.filter((packFile) => packFile !== removedFile) : []));
+  };
+
+  // Start a summary job per document, then a pack that waits for them all
+  const handleCreateStudyPack = async () => {
+    if (packFiles.length < 2 || packFiles.length > MAX_STUDY_PACK_FILES) return;
+
+    const effectiveUserId = userId || "guest-user";
+    try {
+      setIsCreatingPack(true);
+      setError("");
+
+      const summaryIds = [];
+      for (const [index, packFile] of packFiles.entries()) {
+        toast.loading(`Uploading ${index + 1} of ${packFiles.length}: ${packFile.name}`, {
+          id: "upload-progress",
+          position: "bottom-right",
+        });
+        const job = await createSummaryJob({
+          file: packFile,
+          userId: effectiveUserId,
+          sessionId,
+          llm: selectedModel,
+        }).unwrap();
+        summaryIds.push(job.job_id);
+      }
+
+      const pack = await createStudyPack({
+        summaryIds,
+        title: packTitle.trim() || undefined,
+        userId: effectiveUserId,
+        sessionId,
+      }).unwrap();
+
+      toast.dismiss("upload-progress");
+      toast.success("Documents uploaded - building your study pack", {
+        icon: "📚",
+        position: "bottom-right",
+      });
+      navigate(`/learn/study-pack/${pack.pack_id}`);
+    } catch (err) {
+      toast.dismiss("upload-progress");
+      const errorMsg = err?.data?.detail || err?.message || "Failed to create the study pack";
+      setError(errorMsg);
+      toast.error(errorMsg, {
+        position: "bottom-right",
+        duration: 5000,
+      });
+    } finally {
+      setIsCreatingPack(false);
+    }
+  };
+
+  const packFileCountError =
+    packFiles.length > MAX_STUDY_PACK_FILES
+      ? `A study pack can hold at most ${MAX_STUDY_PACK_FILES} documents`
+      : null;
+
+  usePageActions("summarizer", {
+    title: t("Summarizer"),
+    context: {
+      file: file ? { name: file.name, type: file.type, sizeMb: Number((file.size / (1024 * 1024)).toFixed(2)) } : null,
+      mode,
+      studyPackFiles: packFiles.map((packFile) => packFile.name),
+      analyzing: isStreaming || isCreatingPack,
+      hasAnalysis: Boolean(streamingContent) && !isStreaming,
+      error: error || null,
+    },
+    actions: {
+      upload_file: {
+        label: t("Upload File"),
+        icon: FiUpload,
+        quick: true,
+        description: "Open the file picker to choose a PDF or image",
+        run: () => {
+          fileInputRef.current?.click();
+          return { message: "📂 Choose a PDF or image to analyze." };
+        },
+      },
+      analyze: {
+        label: t("Analyze"),
+        icon: FiFileText,
+        quick: true,
+        description: "Analyze the chosen file",
+        run: () => {
+          if (!file) {
+            throw new PageActionError("choose a file first", "unavailable");
+          }
+          if (isStreaming) {
+            throw new PageActionError("the file is already being analyzed", "busy");
+          }
+          handleStreamingAnalysis();
+          return { message: `🔍 Analyzing ${file.name}.` };
+        },
+      },
+      build_study_pack: {
+        label: t("Build Study Pack"),
+        icon: FiLayers,
+        description: "Combine the documents chosen in study pack mode into a study pack",
+        run: () => {
+          if (packFiles.length < 2) {
+            throw new PageActionError("choose at least two documents in study pack mode first", "unavailable");
+          }
+          if (packFileCountError) {
+            throw new PageActionError(packFileCountError.toLowerCase(), "unavailable");
+          }
+          if (isCreatingPack) {
+            throw new PageActionError("the study pack is already being created", "busy");
+          }
+          handleCreateStudyPack();
+          return { message: `📚 Building a study pack from ${packFiles.length} documents.` };
+        },
+      },
+    },
+  });
+
   return (
     <GlassContainer>
       <div className="w-[95%] mx-auto px-4">
@@ -467,6 +486,7 @@ export default function Summarizer() {
                   setIsStreaming(false);
                   setShowStreamingView(false);
                   setStreamingContent("");
+                  setStreamingStages([]);
                 }}
                 className="absolute top-3 right-3 p-2 bg-white/10 hover:bg-white/20 rounded-full transition-all duration-200 border border-white/20 backdrop-blur-sm"
                 title="Close analysis"
@@ -522,6 +542,12 @@ export default function Summarizer() {
                     </div>
                   </div>
 
+                  <StreamStageIndicator
+                    stages={streamingStages}
+                    isStreaming={isStreaming}
+                    className="mb-3"
+                  />
+
                   <div className="bg-black/20 p-4 rounded-xl border border-white/5 flex-1 overflow-auto">
                     {streamingContent ? (
                       <div className="text-white/90 whitespace-pre-wrap leading-relaxed">
@@ -549,7 +575,7 @@ export default function Summarizer() {
                   {!isStreaming && streamingContent && (
                     <div className="mt-4 flex justify-end gap-3">
                       <button
-                        onClick={() => navigate('/learn/summary')}
+                        onClick={() => navigate(completedSummaryId ? `/learn/summary/${completedSummaryId}` : "/learn/summary")}
                         className="px-5 py-2 bg-[#FF9933]/20 hover:bg-[#FF9933]/30 text-white rounded-lg transition-all duration-200"
                       >
                         View Full Summary
@@ -562,63 +588,130 @@ export default function Summarizer() {
           </div>
         ) : (
           <div className="flex flex-col items-center space-y-6 mt-6">
-            {/* Upload Box */}
-            <div
-              className="w-72 h-72 border-2 border-dashed border-white/30 rounded-2xl flex flex-col items-center justify-center p-8 bg-white/5 hover:bg-white/10 transition-all duration-300 cursor-pointer group relative overflow-hidden"
-              onClick={() => fileInputRef.current.click()}
-            >
-              <input
-                type="file"
-                onChange={handleFileChange}
-                ref={fileInputRef}
-                className="hidden"
-                accept=".pdf,.doc,.docx,.jpg,.jpeg,.png"
-              />
-
-              <div className="absolute inset-0 bg-gradient-to-br from-white/5 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
-
-              {!file ? (
-                <>
-                  <FiFileText className="text-white/70 w-20 h-20 mb-6 group-hover:text-[#FF9933] transition-colors duration-300" />
-                  <div className="text-center relative z-10">
-                    <p className="text-white text-lg font-medium mb-2">
-                      Drop your file here
-                    </p>
-                    <p className="text-white/60">or click to browse</p>
-                  </div>
-                </>
-              ) : (
-                <div className="text-center relative z-10">
-                  <FiFileText className="text-[#FF9933] w-16 h-16 mx-auto mb-4" />
-                  <p className="text-white/90 font-medium mb-2 break-all">
-                    {file.name}
-                  </p>
-                  <p className="text-white/60">
-                    {(file.size / (1024 * 1024)).toFixed(2)} MB
-                  </p>
-                </div>
-              )}
+            {/* One document, or several combined into a study pack */}
+            <div className="flex rounded-xl overflow-hidden border border-white/20">
+              {MODES.map((option) => (
+                <button
+                  key={option.value}
+                  onClick={() => setMode(option.value)}
+                  disabled={isCreatingPack}
+                  className={`flex items-center gap-2 px-4 py-2 text-sm transition-colors ${
+                    mode === option.value ? "bg-[#FF9933]/30 text-white" : "bg-white/5 text-white/70 hover:bg-white/10"
+                  }`}
+                >
+                  <option.icon className="w-4 h-4" />
+                  {t(option.label)}
+                </button>
+              ))}
             </div>
 
-            {/* Analysis Button */}
-            <button
-              onClick={handleStreamingAnalysis}
-              disabled={!file || isStreaming}
-              className={`w-72 px-8 py-4 rounded-xl transition-all duration-300 flex items-center justify-center space-x-3 ${
-                !file || isStreaming
-                  ? "bg-gray-500/50 cursor-not-allowed"
-                  : "bg-[#FF9933]/20 hover:bg-[#FF9933]/30 hover:scale-105 active:scale-95"
-              }`}
-            >
-              {isStreaming ? (
-                <div className="w-6 h-6 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
-              ) : (
-                <FiUpload className="text-white w-5 h-5" />
-              )}
-              <span className="text-white text-lg">
-                {isStreaming ? "Analyzing..." : "Analysis"}
-              </span>
-            </button>
+            {mode === "single" ? (
+              <>
+                {/* Upload Box */}
+                <div
+                  className="w-72 h-72 border-2 border-dashed border-white/30 rounded-2xl flex flex-col items-center justify-center p-8 bg-white/5 hover:bg-white/10 transition-all duration-300 cursor-pointer group relative overflow-hidden"
+                  onClick={() => fileInputRef.current.click()}
+                >
+                  <input
+                    type="file"
+                    onChange={handleFileChange}
+                    ref={fileInputRef}
+                    className="hidden"
+                    accept=".pdf,.doc,.docx,.jpg,.jpeg,.png"
+                  />
+
+                  <div className="absolute inset-0 bg-gradient-to-br from-white/5 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
+
+                  {!file ? (
+                    <>
+                      <FiFileText className="text-white/70 w-20 h-20 mb-6 group-hover:text-[#FF9933] transition-colors duration-300" />
+                      <div className="text-center relative z-10">
+                        <p className="text-white text-lg font-medium mb-2">
+                          Drop your file here
+                        </p>
+                        <p className="text-white/60">or click to browse</p>
+                      </div>
+                    </>
+                  ) : (
+                    <div className="text-center relative z-10">
+                      <FiFileText className="text-[#FF9933] w-16 h-16 mx-auto mb-4" />
+                      <p className="text-white/90 font-medium mb-2 break-all">
+                        {file.name}
+                      </p>
+                      <p className="text-white/60">
+                        {(file.size / (1024 * 1024)).toFixed(2)} MB
+                      </p>
+                    </div>
+                  )}
+                </div>
+
+                {/* Analysis Button */}
+                <button
+                  onClick={handleStreamingAnalysis}
+                  disabled={!file || isStreaming}
+                  className={`w-72 px-8 py-4 rounded-xl transition-all duration-300 flex items-center justify-center space-x-3 ${
+                    !file || isStreaming
+                      ? "bg-gray-500/50 cursor-not-allowed"
+                      : "bg-[#FF9933]/20 hover:bg-[#FF9933]/30 hover:scale-105 active:scale-95"
+                  }`}
+                >
+                  {isStreaming ? (
+                    <div className="w-6 h-6 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+                  ) : (
+                    <FiUpload className="text-white w-5 h-5" />
+                  )}
+                  <span className="text-white text-lg">
+                    {isStreaming ? "Analyzing..." : "Analysis"}
+                  </span>
+                </button>
+              </>
+            ) : (
+              <div className="w-full max-w-xl space-y-4">
+                <p className="text-white/70 text-sm text-center">
+                  {t("Upload a set of documents, such as a week's lecture notes, to get a summary of each, a merged outline, a glossary, flashcards and a quiz.")}
+                </p>
+                <FileUploader
+                  onFileSelect={handlePackFilesSelect}
+                  onFileRemove={handlePackFileRemove}
+                  acceptedFileTypes={STUDY_PACK_FILE_TYPES}
+                  multiple
+                  disabled={isCreatingPack}
+                  title={t("Drag & drop your documents here")}
+                  formatsLabel="PDF, JPG, PNG"
+                />
+                <input
+                  value={packTitle}
+                  onChange={(e) => setPackTitle(e.target.value)}
+                  placeholder={t("Study pack title (optional)")}
+                  className="w-full bg-white/10 border border-white/20 rounded-xl px-4 py-2 text-white placeholder-white/50 focus:outline-none focus:border-[#FF9933]/60"
+                />
+                {packFileCountError && (
+                  <p className="text-red-400 text-sm text-center">{packFileCountError}</p>
+                )}
+                <button
+                  onClick={handleCreateStudyPack}
+                  disabled={packFiles.length < 2 || Boolean(packFileCountError) || isCreatingPack}
+                  className={`w-full px-8 py-4 rounded-xl transition-all duration-300 flex items-center justify-center space-x-3 ${
+                    packFiles.length < 2 || packFileCountError || isCreatingPack
+                      ? "bg-gray-500/50 cursor-not-allowed"
+                      : "bg-[#FF9933]/20 hover:bg-[#FF9933]/30 hover:scale-105 active:scale-95"
+                  }`}
+                >
+                  {isCreatingPack ? (
+                    <div className="w-6 h-6 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+                  ) : (
+                    <FiLayers className="text-white w-5 h-5" />
+                  )}
+                  <span className="text-white text-lg">
+                    {isCreatingPack
+                      ? t("Uploading...")
+                      : packFiles.length < 2
+                      ? t("Choose at least two documents")
+                      : t("Build Study Pack ({{count}} documents)", { count: packFiles.length })}
+                  </span>
+                </button>
+              </div>
+            )}
 
             {/* Error Display */}
             {error && (
@@ -626,6 +719,41 @@ export default function Summarizer() {
                 {error}
               </div>
             )}
+
+            {/* Documents summarized in this tab, each with its own result */}
+            {sessionJobs.length > 0 && (
+              <div className="w-full max-w-xl">
+                <h3 className="text-white/80 text-sm font-semibold mb-2">{t("This session's documents")}</h3>
+                <ul className="space-y-2">
+                  {sessionJobs.map((job) => (
+                    <li
+                      key={job.job_id}
+                      className="flex items-center gap-3 bg-white/5 border border-white/10 rounded-xl px-4 py-2"
+                    >
+                      <FiFileText className="w-4 h-4 text-[#FF9933] shrink-0" />
+                      <div className="min-w-0 flex-1">
+                        <p className="text-white/90 text-sm truncate">{job.filename}</p>
+                        <p className={`text-xs ${job.status === "failed" ? "text-red-400" : "text-white/50"}`}>
+                          {job.status === "completed"
+                            ? job.title || t("Summary ready")
+                            : job.status === "failed"
+                            ? job.error || t("Summary failed")
+                            : job.message || t("Waiting to start")}
+                        </p>
+                      </div>
+                      {job.status !== "failed" && (
+                        <button
+                          onClick={() => navigate(`/learn/summary/${job.job_id}`)}
+                          className="px-3 py-1 text-xs bg-[#FF9933]/20 hover:bg-[#FF9933]/30 text-white rounded-lg transition-all duration-200"
+                        >
+                          {job.status === "completed" ? t("View") : t("Follow")}
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
         )}
       </div>
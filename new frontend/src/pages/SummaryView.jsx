@@ -7,11 +7,27 @@ import {
   FiVolume2,
   FiVolumeX,
 } from "react-icons/fi";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useParams } from "react-router-dom";
 import GlassContainer from "../components/GlassContainer";
-import { CHAT_API_BASE_URL } from "../config";
+import { getServiceUrl } from "../config/endpoints";
+import { useGetSummaryByIdQuery } from "../api/summaryApiSlice";
 import toast from "react-hot-toast";
 
+// Summaries loaded by ID carry an absolute audio URL; older ones name a file on the chat service
+const getSummaryAudioUrl = (audioFile) => {
+  if (/^https?:\/\//.test(audioFile)) return audioFile;
+  return audioFile.startsWith('/api/stream/')
+    ? `${getServiceUrl("chat")}${audioFile}`
+    : `${getServiceUrl("chat")}/api/stream/${audioFile.split("/").pop()}`;
+};
+
+const getSummaryAudioDownloadUrl = (audioFile) => {
+  if (/^https?:\/\//.test(audioFile)) return audioFile.replace('/api/stream/', '/api/audio/');
+  return audioFile.startsWith('/api/')
+    ? `${getServiceUrl("chat")}${audioFile.replace('/stream/', '/audio/')}`
+    : `${getServiceUrl("chat")}/api/audio/${audioFile.split("/").pop()}`;
+};
+
 // Custom styled audio player component
 const CustomAudioPlayer = ({ audioSrc, autoPlay = true, onAutoPlayAttempted }) => {
   const [isPlaying, setIsPlaying] = useState(false);
@@ -332,14 +348,58 @@ const CustomAudioPlayer = ({ audioSrc, autoPlay = true, onAutoPlayAttempted }) =
 
 export default function SummaryView() {
   const navigate = useNavigate();
+  // Set when a summary is opened by ID, e.g. from a bookmark
+  const { summaryId } = useParams();
   const [summaryData, setSummaryData] = React.useState(null);
   const [file, setFile] = React.useState(null);
   const [error, setError] = React.useState(null);
   const [shouldAutoPlay, setShouldAutoPlay] = React.useState(false);
   const [autoPlayFailed, setAutoPlayFailed] = React.useState(false);
+  const [pollSummary, setPollSummary] = React.useState(false);
+
+  const {
+    data: summaryJob,
+    error: summaryJobError,
+    refetch: refetchSummary,
+  } = useGetSummaryByIdQuery(summaryId, {
+    skip: !summaryId,
+    pollingInterval: pollSummary ? 2000 : 0,
+  });
+
+  // Summaries opened by ID are shown once their job has finished
+  useEffect(() => {
+    if (!summaryId) return;
+
+    if (summaryJobError) {
+      setPollSummary(false);
+      setError(
+        summaryJobError.status === 404
+          ? "This summary could not be found. It may have expired."
+          : "Failed to load summary data"
+      );
+      return;
+    }
+    if (!summaryJob) return;
 
-  // Load data from localStorage on mount
+    if (summaryJob.status === "failed") {
+      setPollSummary(false);
+      setError(summaryJob.error || "The document could not be summarized");
+    } else if (summaryJob.status !== "completed") {
+      setPollSummary(true);
+    } else {
+      setPollSummary(false);
+      setError(null);
+      setSummaryData(summaryJob);
+      setFile({
+        name: summaryJob.filename,
+        type: summaryJob.kind === "image" ? "image" : "application/pdf",
+      });
+    }
+  }, [summaryId, summaryJob, summaryJobError]);
+
+  // Without an ID, show the summary the Summarizer or the library left in localStorage
   useEffect(() => {
+    if (summaryId) return;
     try {
       const savedSummary = localStorage.getItem("summaryData");
       const savedFile = localStorage.getItem("fileData");
@@ -361,9 +421,7 @@ export default function SummaryView() {
             console.log("🎵 Attempting immediate auto-play...");
             const audioUrl = JSON.parse(savedSummary).audio_file;
             if (audioUrl) {
-              const finalUrl = audioUrl.startsWith('/api/stream/')
-                ? `${CHAT_API_BASE_URL}${audioUrl}`
-                : `${CHAT_API_BASE_URL}/api/stream/${audioUrl.split("/").pop()}`;
+              const finalUrl = getSummaryAudioUrl(audioUrl);
 
               console.log("🎵 Trying to play:", finalUrl);
               const audio = new Audio(finalUrl);
@@ -386,7 +444,7 @@ export default function SummaryView() {
       setError("Failed to load summary data");
       console.error("Error loading summary:", err);
     }
-  }, [navigate]);
+  }, [navigate, summaryId]);
 
   const handleReset = () => {
     try {
@@ -399,13 +457,18 @@ export default function SummaryView() {
   };
 
   const handleRefreshAudio = () => {
+    if (summaryId) {
+      refetchSummary();
+      return;
+    }
+
     try {
       // Force refresh by clearing localStorage and fetching latest data
       localStorage.removeItem("summaryData");
       localStorage.removeItem("fileData");
 
       // Fetch latest summary from API
-      fetch(`${CHAT_API_BASE_URL}/summarize-pdf`)
+      fetch(`${getServiceUrl("chat")}/summarize-pdf`)
         .then(response => {
           if (!response.ok) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -561,8 +624,14 @@ export default function SummaryView() {
   if (!summaryData || !file) {
     return (
       <GlassContainer>
-        <div className="flex items-center justify-center py-8">
+        <div className="flex flex-col items-center justify-center gap-3 py-8">
           <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-[#FF9933]"></div>
+          {/* A summary opened by ID may still be in progress */}
+          {summaryJob && summaryJob.status !== "completed" && (
+            <p className="text-white/70 text-sm">
+              {summaryJob.filename}: {summaryJob.message || "Waiting to start"}
+            </p>
+          )}
         </div>
       </GlassContainer>
     );
@@ -603,9 +672,7 @@ export default function SummaryView() {
               {(shouldAutoPlay || autoPlayFailed) && summaryData.audio_file && (
                 <button
                   onClick={() => {
-                    const audioUrl = summaryData.audio_file.startsWith('/api/stream/')
-                      ? `${CHAT_API_BASE_URL}${summaryData.audio_file}`
-                      : `${CHAT_API_BASE_URL}/api/stream/${summaryData.audio_file.split("/").pop()}`;
+                    const audioUrl = getSummaryAudioUrl(summaryData.audio_file);
 
                     const audio = new Audio(audioUrl);
                     audio.play()
@@ -735,9 +802,7 @@ export default function SummaryView() {
                       </div>
                       <button
                         onClick={() => {
-                          const audioUrl = summaryData.audio_file.startsWith('/api/stream/')
-                            ? `${CHAT_API_BASE_URL}${summaryData.audio_file}`
-                            : `${CHAT_API_BASE_URL}/api/stream/${summaryData.audio_file.split("/").pop()}`;
+                          const audioUrl = getSummaryAudioUrl(summaryData.audio_file);
 
                           const audio = new Audio(audioUrl);
                           audio.play()
@@ -776,9 +841,7 @@ export default function SummaryView() {
                     <div className="flex items-center gap-2">
                       <button
                         onClick={() => {
-                          const audioUrl = summaryData.audio_file.startsWith('/api/stream/')
-                            ? `${CHAT_API_BASE_URL}${summaryData.audio_file}`
-                            : `${CHAT_API_BASE_URL}/api/stream/${summaryData.audio_file.split("/").pop()}`;
+                          const audioUrl = getSummaryAudioUrl(summaryData.audio_file);
                           testAudioUrl(audioUrl);
                         }}
                         className="p-2 bg-green-600/20 hover:bg-green-600/30 rounded-lg transition-all duration-300 group"
@@ -787,9 +850,7 @@ export default function SummaryView() {
                         <FiPlay className="w-4 h-4 text-green-400 group-hover:text-green-300 group-hover:scale-110 transition-all duration-300" />
                       </button>
                       <a
-                        href={summaryData.audio_file.startsWith('/api/')
-                          ? `${CHAT_API_BASE_URL}${summaryData.audio_file.replace('/stream/', '/audio/')}`
-                          : `${CHAT_API_BASE_URL}/api/audio/${summaryData.audio_file.split("/").pop()}`}
+                        href={getSummaryAudioDownloadUrl(summaryData.audio_file)}
                         download
                         className="p-2 bg-[#FF9933]/10 hover:bg-[#FF9933]/20 rounded-lg transition-all duration-300 group"
                         title="Download audio"
@@ -801,9 +862,7 @@ export default function SummaryView() {
 
                   <div className="px-4 pb-3">
                     {(() => {
-                      const audioUrl = summaryData.audio_file.startsWith('/api/stream/')
-                        ? `${CHAT_API_BASE_URL}${summaryData.audio_file}`
-                        : `${CHAT_API_BASE_URL}/api/stream/${summaryData.audio_file.split("/").pop()}`;
+                      const audioUrl = getSummaryAudioUrl(summaryData.audio_file);
 
                       return (
                         <CustomAudioPlayer
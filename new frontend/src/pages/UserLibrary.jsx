@@ -1,12 +1,239 @@
-import React from "react";
+import React, { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import { toast } from "react-hot-toast";
+import {
+  BookOpen,
+  FileText,
+  Headphones,
+  Search,
+  Pin,
+  PinOff,
+  Trash2,
+  Info,
+  WifiOff,
+} from "lucide-react";
+import GlassContainer from "../components/GlassContainer";
+import { selectUserId } from "../store/authSlice";
+import libraryStorage, { LIBRARY_ITEM_TYPES, getLibraryFacets } from "../utils/libraryStorage";
+import { useLibraryItems, useOpenLibraryItem } from "../hooks/useLibrary";
 
-const UserLibrary = () => {
-  return (
-    <div style={{ padding: 40, textAlign: "center" }}>
-      <h2>User Library</h2>
-      <p>This is your library page.</p>
-    </div>
-  );
+const TYPE_FILTERS = [
+  { value: "", label: "All" },
+  { value: LIBRARY_ITEM_TYPES.LESSON, label: "Lessons" },
+  { value: LIBRARY_ITEM_TYPES.SUMMARY, label: "Summaries" },
+  { value: LIBRARY_ITEM_TYPES.AUDIO, label: "Audio" },
+];
+
+const TYPE_ICONS = {
+  [LIBRARY_ITEM_TYPES.LESSON]: BookOpen,
+  [LIBRARY_ITEM_TYPES.SUMMARY]: FileText,
+  [LIBRARY_ITEM_TYPES.AUDIO]: Headphones,
 };
 
-export default UserLibrary;
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : "");
+
+/**
+ * UserLibrary - Lessons, summaries and audio the student has generated,
+ * saved automatically. Items can be searched, filtered by subject or tag,
+ * pinned for offline reading and opened again without regenerating them.
+ */
+export default function UserLibrary() {
+  const { t } = useTranslation();
+  const userId = useSelector(selectUserId) || "guest-user";
+  const [query, setQuery] = useState("");
+  const [type, setType] = useState("");
+  const [subject, setSubject] = useState("");
+  const [tag, setTag] = useState("");
+  const [pinnedOnly, setPinnedOnly] = useState(false);
+
+  const { items, allItems, loading } = useLibraryItems(userId, { query, type, subject, tag, pinnedOnly });
+  const facets = useMemo(() => getLibraryFacets(allItems), [allItems]);
+  const openItem = useOpenLibraryItem();
+
+  const handleTogglePin = async (item) => {
+    const updated = await libraryStorage.setPinned(item.id, !item.pinned);
+    if (updated?.pinned && updated.audio && !updated.audio.offline) {
+      toast.error(t("Pinned, but the audio could not be downloaded. It will stream when you are online."));
+    } else if (updated?.pinned) {
+      toast.success(t("Available offline"));
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!window.confirm(t("Remove \"{{title}}\" from your library?", { title: item.title }))) return;
+    await libraryStorage.deleteItem(item.id);
+    toast.success(t("Removed from your library"));
+  };
+
+  return (
+    <GlassContainer>
+      <h2
+        className="text-4xl md:text-5xl font-extrabold mb-6 drop-shadow-lg"
+        style={{ color: "#FFFFFF", fontFamily: "Nunito, sans-serif" }}
+      >
+        {t("Library")}
+      </h2>
+      <p
+        className="text-lg md:text-xl font-medium mb-6"
+        style={{ color: "#FFFFFF", fontFamily: "Nunito, sans-serif" }}
+      >
+        {t("Your lessons, summaries and audio are saved here automatically.")}
+      </p>
+
+      {/* Search and filters */}
+      <div className="flex flex-wrap items-center gap-3 mb-6">
+        <div className="relative flex-1 min-w-[14rem]">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-white/50" />
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t("Search your library")}
+            className="w-full bg-white/10 border border-white/20 rounded-xl pl-9 pr-3 py-2 text-white placeholder-white/50 focus:outline-none focus:border-amber-400/60"
+          />
+        </div>
+        <div className="flex rounded-xl overflow-hidden border border-white/20">
+          {TYPE_FILTERS.map((filter) => (
+            <button
+              key={filter.value}
+              onClick={() => setType(filter.value)}
+              className={`px-3 py-2 text-sm transition-colors ${
+                type === filter.value ? "bg-amber-500/40 text-white" : "bg-white/5 text-white/70 hover:bg-white/10"
+              }`}
+            >
+              {t(filter.label)}
+            </button>
+          ))}
+        </div>
+        {facets.subjects.length > 0 && (
+          <select
+            value={subject}
+            onChange={(e) => setSubject(e.target.value)}
+            className="bg-white/10 border border-white/20 rounded-xl px-3 py-2 text-sm text-white"
+          >
+            <option value="" className="bg-gray-900">{t("All subjects")}</option>
+            {facets.subjects.map((value) => (
+              <option key={value} value={value} className="bg-gray-900">{value}</option>
+            ))}
+          </select>
+        )}
+        {facets.tags.length > 0 && (
+          <select
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            className="bg-white/10 border border-white/20 rounded-xl px-3 py-2 text-sm text-white"
+          >
+            <option value="" className="bg-gray-900">{t("All tags")}</option>
+            {facets.tags.map((value) => (
+              <option key={value} value={value} className="bg-gray-900">#{value}</option>
+            ))}
+          </select>
+        )}
+        <label className="flex items-center gap-2 text-sm text-white/80 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={pinnedOnly}
+            onChange={(e) => setPinnedOnly(e.target.checked)}
+            className="accent-amber-500"
+          />
+          {t("Offline only")}
+        </label>
+      </div>
+
+      {loading ? (
+        <p className="text-white/60">{t("Loading your library...")}</p>
+      ) : items.length === 0 ? (
+        <div className="text-center py-16 text-white/70">
+          <BookOpen className="w-12 h-12 mx-auto mb-4 text-white/40" />
+          {allItems.length === 0 ? (
+            <p>
+              {t("Nothing saved yet. Lessons from")}{" "}
+              <Link to="/subjects" className="text-amber-300 hover:underline">{t("Subjects")}</Link>{" "}
+              {t("and summaries from the")}{" "}
+              <Link to="/learn" className="text-amber-300 hover:underline">{t("Summarizer")}</Link>{" "}
+              {t("will appear here.")}
+            </p>
+          ) : (
+            <p>{t("No items match your search.")}</p>
+          )}
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+          {items.map((item) => {
+            const Icon = TYPE_ICONS[item.type] || BookOpen;
+            return (
+              <div
+                key={item.id}
+                className="flex flex-col bg-white/5 border border-white/15 rounded-2xl p-4 hover:border-amber-400/40 transition-colors"
+              >
+                <div className="flex items-start gap-3 mb-2">
+                  <Icon className="w-5 h-5 mt-1 text-amber-300 shrink-0" />
+                  <div className="min-w-0 flex-1">
+                    <h3 className="font-semibold text-white truncate" title={item.title}>{item.title}</h3>
+                    <p className="text-xs text-white/60">
+                      {[item.subject, item.topic].filter(Boolean).join(" · ")}
+                      {item.subject || item.topic ? " · " : ""}
+                      {formatDate(item.updatedAt)}
+                    </p>
+                  </div>
+                  {item.pinned && (
+                    <span className="flex items-center gap-1 text-xs text-emerald-300 bg-emerald-500/15 rounded-full px-2 py-0.5 shrink-0">
+                      <WifiOff className="w-3 h-3" />
+                      {t("Available offline")}
+                    </span>
+                  )}
+                </div>
+
+                {item.tags.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mb-3">
+                    {item.tags.map((itemTag) => (
+                      <button
+                        key={itemTag}
+                        onClick={() => setTag(itemTag)}
+                        className="text-xs text-white/80 bg-white/10 hover:bg-white/20 rounded-full px-2 py-0.5"
+                      >
+                        #{itemTag}
+                      </button>
+                    ))}
+                  </div>
+                )}
+
+                <div className="flex items-center gap-2 mt-auto pt-2">
+                  <button
+                    onClick={() => openItem(item)}
+                    className="px-3 py-1.5 text-sm bg-amber-500/70 hover:bg-amber-500 rounded-lg text-white transition-colors"
+                  >
+                    {t("Open")}
+                  </button>
+                  <Link
+                    to={`/library/${item.id}`}
+                    className="p-2 rounded-lg text-white/70 hover:text-white hover:bg-white/10"
+                    title={t("Details")}
+                  >
+                    <Info className="w-4 h-4" />
+                  </Link>
+                  <button
+                    onClick={() => handleTogglePin(item)}
+                    className="p-2 rounded-lg text-white/70 hover:text-white hover:bg-white/10"
+                    title={item.pinned ? t("Unpin") : t("Pin for offline reading")}
+                  >
+                    {item.pinned ? <PinOff className="w-4 h-4" /> : <Pin className="w-4 h-4" />}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(item)}
+                    className="p-2 rounded-lg text-white/70 hover:text-red-300 hover:bg-red-500/10 ml-auto"
+                    title={t("Delete")}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </GlassContainer>
+  );
+}
@@ -1,7 +1,9 @@
 import { supabase } from '../supabaseClient';
 
 /**
- * Service for handling agent logging operations
+ * Service for handling agent logging operations.
+ * Steps of a multi-agent run (see agentRunService) are logged like single
+ * agents, with their run ID, position, handoff input and output.
  */
 const agentLogsService = {
   /**
@@ -11,9 +13,12 @@ const agentLogsService = {
    * @param {number} params.agentId - Agent ID
    * @param {string} params.agentName - Agent name
    * @param {string} params.agentType - Agent type (e.g., 'financial', 'education')
+   * @param {string} [params.runId] - Multi-agent run this step belongs to
+   * @param {number} [params.stepIndex] - Position of the step in the run
+   * @param {Object} [params.input] - Handoff the step received
    * @returns {Promise<Object>} - The created log entry
    */
-  async logAgentStart({ userId, agentId, agentName, agentType }) {
+  async logAgentStart({ userId, agentId, agentName, agentType, runId, stepIndex, input }) {
     try {
       // Ensure we have a valid user ID
       const safeUserId = userId || 'guest-user';
@@ -28,7 +33,12 @@ const agentLogsService = {
           agent_type: agentType,
           action_type: 'start',
           start_time: new Date().toISOString(),
-          status: 'active'
+          status: 'active',
+          ...(runId && {
+            run_id: runId,
+            step_index: stepIndex,
+            step_input: input ?? null
+          })
         })
         .select()
         .single();
@@ -50,20 +60,28 @@ const agentLogsService = {
    * @param {Object} params - Parameters for logging
    * @param {string} params.userId - User ID (or 'guest-user')
    * @param {number} params.agentId - Agent ID
+   * @param {string} [params.runId] - Multi-agent run the step belongs to
+   * @param {number} [params.stepIndex] - Position of the step in the run
+   * @param {Object} [params.output] - What the step produced
+   * @param {boolean} [params.failed] - Whether the step ended with an error
    * @returns {Promise<Object>} - The updated log entry
    */
-  async logAgentStop({ userId, agentId }) {
+  async logAgentStop({ userId, agentId, runId, stepIndex, output, failed = false }) {
     try {
       // Ensure we have a valid user ID
       const safeUserId = userId || 'guest-user';
       
-      // Find the active log entry for this agent
-      const { data: activeLog, error: findError } = await supabase
+      // Find the active log entry for this agent (or for this run step)
+      let query = supabase
         .from('agent_logs')
         .select('*')
         .eq('user_id', safeUserId)
         .eq('agent_id', agentId)
-        .eq('status', 'active')
+        .eq('status', 'active');
+      if (runId) {
+        query = query.eq('run_id', runId).eq('step_index', stepIndex);
+      }
+      const { data: activeLog, error: findError } = await query
         .order('created_at', { ascending: false })
         .limit(1)
         .single();
@@ -89,8 +107,9 @@ const agentLogsService = {
         .update({
           end_time: endTime.toISOString(),
           duration: durationSeconds,
-          status: 'completed',
-          action_type: 'stop'
+          status: failed ? 'failed' : 'completed',
+          action_type: 'stop',
+          ...(runId && { step_output: output ?? null })
         })
         .eq('id', activeLog.id)
         .select()
@@ -109,7 +128,8 @@ const agentLogsService = {
   },
   
   /**
-   * Log agent reset event
+   * Log agent reset event. Interrupts every active log of the user,
+   * including the unfinished steps of a multi-agent run.
    * @param {Object} params - Parameters for logging
    * @param {string} params.userId - User ID (or 'guest-user')
    * @returns {Promise<Object>} - Result of the operation
@@ -189,6 +209,33 @@ const agentLogsService = {
       console.error('Unexpected error fetching agent logs:', error);
       return { success: false, error };
     }
+  },
+
+  /**
+   * Get the step logs of a multi-agent run, in step order
+   * @param {string} userId - User ID (or 'guest-user')
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object>} - The run's step logs with their inputs and outputs
+   */
+  async getRunLogs(userId, runId) {
+    try {
+      const { data, error } = await supabase
+        .from('agent_logs')
+        .select('*')
+        .eq('user_id', userId || 'guest-user')
+        .eq('run_id', runId)
+        .order('step_index', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching agent run logs:', error);
+        return { success: false, error };
+      }
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Unexpected error fetching agent run logs:', error);
+      return { success: false, error };
+    }
   }
 };
 
@@ -0,0 +1,222 @@
+/**
+ * Agent Run Service
+ * Runs several Agent Simulator agents on one user goal, one after another
+ * (each agent building on the previous ones) or side by side.
+ *
+ * Every step receives a handoff: the goal plus the structured output of
+ * the steps it builds on. Steps are logged through agentLogsService with
+ * their inputs and outputs, so a run can be replayed from the logs.
+ */
+
+import agentLogsService from './agentLogsService';
+
+export const RUN_MODES = {
+  SEQUENTIAL: 'sequential',
+  PARALLEL: 'parallel',
+};
+
+export const STEP_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const generateRunId = () => `run_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+// What a later step needs to know about an earlier one
+const toHandoffEntry = (step) => ({
+  stepIndex: step.index,
+  agentId: step.agentId,
+  agentName: step.agentName,
+  agentType: step.agentType,
+  summary: step.output?.summary || '',
+  data: step.output?.data || null,
+});
+
+/**
+ * Nodes and edges of a run's handoff graph, grouped into levels for drawing
+ * @param {Object} run - Run created by createRun
+ * @returns {{levels: Array<Array<Object>>, edges: Array<Object>}}
+ */
+export const buildHandoffGraph = (run) => {
+  if (!run) return { levels: [], edges: [] };
+
+  const goalNode = { id: 'goal', label: 'Goal', detail: run.goal, status: STEP_STATUS.COMPLETED };
+  const stepNodes = run.steps.map((step) => ({
+    id: `step-${step.index}`,
+    label: step.agentName,
+    detail: step.output?.summary || step.error || '',
+    color: step.color,
+    status: step.status,
+  }));
+
+  if (run.mode === RUN_MODES.PARALLEL) {
+    const done = run.steps.every((step) => step.status !== STEP_STATUS.PENDING && step.status !== STEP_STATUS.RUNNING);
+    const resultNode = { id: 'result', label: 'Combined result', detail: '', status: done ? run.status : STEP_STATUS.PENDING };
+    return {
+      levels: [[goalNode], stepNodes, [resultNode]],
+      edges: [
+        ...stepNodes.map((node) => ({ from: 'goal', to: node.id })),
+        ...stepNodes.map((node) => ({ from: node.id, to: 'result' })),
+      ],
+    };
+  }
+
+  return {
+    levels: [[goalNode], ...stepNodes.map((node) => [node])],
+    edges: stepNodes.map((node, i) => ({ from: i === 0 ? 'goal' : stepNodes[i - 1].id, to: node.id })),
+  };
+};
+
+class AgentRunService {
+  /**
+   * Create a run for a goal and an ordered list of agents
+   * @param {Object} params
+   * @param {string} params.goal - What the user wants the agents to work on
+   * @param {Array} params.agents - Agents in the order they hand off
+   * @param {string} params.mode - One of RUN_MODES
+   * @returns {Object} The run, with one pending step per agent
+   */
+  createRun({ goal, agents, mode = RUN_MODES.SEQUENTIAL }) {
+    return {
+      id: generateRunId(),
+      goal: goal.trim(),
+      mode,
+      status: STEP_STATUS.PENDING,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      steps: agents.map((agent, index) => ({
+        index,
+        agentId: agent.id,
+        agentName: agent.name,
+        agentType: agent.type,
+        color: agent.color,
+        status: STEP_STATUS.PENDING,
+        handoff: null,
+        output: null,
+        error: null,
+      })),
+    };
+  }
+
+  /**
+   * The handoff a step receives: the goal and the output of the steps before
+   * it (sequential runs) or just the goal (parallel runs)
+   */
+  buildHandoff(run, stepIndex) {
+    const previous = run.mode === RUN_MODES.SEQUENTIAL
+      ? run.steps.slice(0, stepIndex).filter((step) => step.status === STEP_STATUS.COMPLETED)
+      : [];
+
+    return {
+      runId: run.id,
+      mode: run.mode,
+      goal: run.goal,
+      stepIndex,
+      totalSteps: run.steps.length,
+      previous: previous.map(toHandoffEntry),
+    };
+  }
+
+  /**
+   * Execute a run
+   * @param {Object} run - Run created by createRun
+   * @param {Object} options
+   * @param {string} options.userId - User the steps are logged for
+   * @param {Function} options.executeStep - async (step, handoff) => { content, summary, data }
+   * @param {Function} [options.onUpdate] - Called with a copy of the run whenever a step changes
+   * @param {AbortSignal} [options.signal] - Stops the run before the next step starts
+   * @returns {Promise<Object>} The finished run
+   */
+  async execute(run, { userId, executeStep, onUpdate, signal }) {
+    let current = { ...run, status: STEP_STATUS.RUNNING };
+    const publish = () => onUpdate?.(current);
+    const updateStep = (index, changes) => {
+      current = {
+        ...current,
+        steps: current.steps.map((step) => (step.index === index ? { ...step, ...changes } : step)),
+      };
+      publish();
+    };
+
+    const runStep = async (step) => {
+      if (signal?.aborted) {
+        updateStep(step.index, { status: STEP_STATUS.CANCELLED });
+        return false;
+      }
+
+      const handoff = this.buildHandoff(current, step.index);
+      updateStep(step.index, { status: STEP_STATUS.RUNNING, handoff, startedAt: new Date().toISOString() });
+      await agentLogsService.logAgentStart({
+        userId,
+        agentId: step.agentId,
+        agentName: step.agentName,
+        agentType: step.agentType,
+        runId: current.id,
+        stepIndex: step.index,
+        input: handoff,
+      });
+
+      try {
+        const output = await executeStep(step, handoff);
+        updateStep(step.index, { status: STEP_STATUS.COMPLETED, output, endedAt: new Date().toISOString() });
+        await agentLogsService.logAgentStop({
+          userId,
+          agentId: step.agentId,
+          runId: current.id,
+          stepIndex: step.index,
+          output,
+        });
+        return true;
+      } catch (error) {
+        updateStep(step.index, { status: STEP_STATUS.FAILED, error: error.message, endedAt: new Date().toISOString() });
+        await agentLogsService.logAgentStop({
+          userId,
+          agentId: step.agentId,
+          runId: current.id,
+          stepIndex: step.index,
+          output: { error: error.message },
+          failed: true,
+        });
+        return false;
+      }
+    };
+
+    publish();
+
+    if (current.mode === RUN_MODES.PARALLEL) {
+      await Promise.all(current.steps.map(runStep));
+    } else {
+      for (const step of current.steps) {
+        const succeeded = await runStep(step);
+        if (!succeeded) {
+          // Later agents would build on a missing handoff, so stop here
+          current.steps
+            .filter((later) => later.index > step.index)
+            .forEach((later) => updateStep(later.index, { status: STEP_STATUS.CANCELLED }));
+          break;
+        }
+      }
+    }
+
+    const statuses = current.steps.map((step) => step.status);
+    current = {
+      ...current,
+      status: statuses.every((status) => status === STEP_STATUS.COMPLETED)
+        ? STEP_STATUS.COMPLETED
+        : statuses.includes(STEP_STATUS.FAILED)
+          ? STEP_STATUS.FAILED
+          : STEP_STATUS.CANCELLED,
+      endedAt: new Date().toISOString(),
+    };
+    publish();
+    return current;
+  }
+}
+
+// Create singleton instance
+const agentRunService = new AgentRunService();
+
+export default agentRunService;
@@ -0,0 +1,101 @@
+/**
+ * Chat Stream Service
+ * Sends a chat message and streams the reply back in a single request,
+ * replacing the old post-then-poll flow (/chatpost followed by /chatbot).
+ *
+ * Every request carries a client-generated request ID. The server tags each
+ * event with it, and streamEvents drops events for any other ID (deltas,
+ * errors and done alike), so a reply from a cancelled request can never leak
+ * into or end the next one.
+ *
+ * Server API (see Backend/dedicated_chatbot_service):
+ *   POST /chat/stream?user_id={userId} { message, llm, request_id, type }
+ *     -> text/event-stream: progress, delta { text }, error, done { message }
+ */
+
+import { getServiceUrl } from '../config/endpoints';
+import { DEFAULT_CHAT_MODEL_ID } from '../config/chatModels';
+import { streamEvents } from './streamingClient';
+
+class ChatStreamService {
+  /**
+   * Create a unique ID for one chat request
+   * @returns {string} Request ID
+   */
+  createRequestId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return `req-${crypto.randomUUID()}`;
+    }
+    return `req-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Send a message and stream the reply
+   * @param {Object} options - Request options
+   * @param {string} options.message - Message sent to the model
+   * @param {string} [options.userId] - User the message belongs to
+   * @param {string} [options.llm] - Selected model
+   * @param {string} [options.requestId] - Request ID, generated when omitted
+   * @param {AbortSignal} [options.signal] - Signal used to cancel mid-answer
+   * @param {Function} [options.onDelta] - Called with (content, text, requestId) as tokens arrive
+   * @returns {Promise<Object>} { requestId, content, model, timestamp, cancelled }
+   */
+  async streamChat({
+    message,
+    userId,
+    llm = DEFAULT_CHAT_MODEL_ID,
+    requestId = this.createRequestId(),
+    signal,
+    onDelta,
+  }) {
+    let content = '';
+
+    const url = `${getServiceUrl('chat')}/chat/stream?user_id=${encodeURIComponent(userId || 'guest-user')}`;
+
+    try {
+      const result = await streamEvents(url, {
+        signal,
+        fetchOptions: {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            message,
+            llm,
+            request_id: requestId,
+            type: 'chat_message',
+          }),
+        },
+        requestId,
+        onDelta: (text, delta) => {
+          content = text;
+          onDelta?.(content, delta, requestId);
+        },
+      });
+
+      return {
+        requestId,
+        // The done event carries the stored answer, which is the trimmed stream
+        content: result.summary?.message ?? content.trim(),
+        model: result.summary?.llm_model || llm,
+        timestamp: result.summary?.timestamp || new Date().toISOString(),
+        cancelled: false,
+      };
+    } catch (error) {
+      if (error?.name === 'AbortError' || signal?.aborted) {
+        return {
+          requestId,
+          content: content.trim(),
+          model: llm,
+          timestamp: new Date().toISOString(),
+          cancelled: true,
+        };
+      }
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const chatStreamService = new ChatStreamService();
+
+export default chatStreamService;
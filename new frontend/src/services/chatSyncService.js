@@ -0,0 +1,258 @@
+/**
+ * Chat Sync Service
+ * Reconciles the chat sessions kept in the browser (chatHistoryStorage) with
+ * a per-user copy on the server, so a conversation started on one device
+ * shows up on the others.
+ *
+ * Local storage stays the source of truth for the UI: every change is saved
+ * locally first and pushed when the server is reachable. Sessions are merged
+ * on message IDs, and deletions travel as tombstones that always win.
+ *
+ * Requests carry the user's Supabase access token, and the server only
+ * serves the user the token belongs to. Without a configured server URL
+ * (the production default) syncing stays disabled.
+ *
+ * Server API (see Backend/chat_sync_service):
+ *   GET  /chat-sync/{userId}?since={cursor} -> { sessions, cursor }
+ *   POST /chat-sync/{userId} { sessions, deleted } -> { sessions, cursor }
+ */
+
+import chatHistoryStorage from '../utils/chatHistoryStorage';
+import { getServiceUrl, resolveServiceUrl } from '../config/endpoints';
+import { supabase } from '../supabaseClient';
+
+const SYNC_STATE_KEY = 'gurukul_chat_sync_state';
+const SYNC_INTERVAL_MS = 60 * 1000;
+const SYNC_DEBOUNCE_MS = 3000;
+
+export const SYNC_STATUS = {
+  DISABLED: 'disabled', // Guest users, or no sync server configured
+  IDLE: 'idle',
+  SYNCING: 'syncing',
+  SYNCED: 'synced',
+  OFFLINE: 'offline',
+  ERROR: 'error',
+};
+
+class ChatSyncService {
+  constructor() {
+    this.userId = null;
+    this.status = SYNC_STATUS.DISABLED;
+    this.lastSyncedAt = null;
+    this.lastError = null;
+    this.listeners = new Set();
+    this.syncPromise = null;
+    this.resyncRequested = false;
+    this.intervalId = null;
+    this.debounceId = null;
+
+    this.handleOnline = () => this.syncNow();
+    this.handleOffline = () => this.setStatus(SYNC_STATUS.OFFLINE);
+  }
+
+  /**
+   * Start syncing for a user. Guests are not synced.
+   * @param {string} userId - Signed-in user
+   */
+  start(userId) {
+    this.stop();
+    if (!userId || userId === 'guest-user' || !getServiceUrl('chatSync')) {
+      this.setStatus(SYNC_STATUS.DISABLED);
+      return;
+    }
+
+    this.userId = userId;
+    this.lastSyncedAt = this.loadState(userId).lastSyncedAt || null;
+    this.setStatus(SYNC_STATUS.IDLE);
+
+    window.addEventListener('online', this.handleOnline);
+    window.addEventListener('offline', this.handleOffline);
+    this.intervalId = setInterval(() => {
+      if (document.visibilityState === 'visible') {
+        this.syncNow();
+      }
+    }, SYNC_INTERVAL_MS);
+
+    this.syncNow();
+  }
+
+  /**
+   * Stop syncing; local changes keep accumulating until the next start
+   */
+  stop() {
+    window.removeEventListener('online', this.handleOnline);
+    window.removeEventListener('offline', this.handleOffline);
+    clearInterval(this.intervalId);
+    clearTimeout(this.debounceId);
+    this.intervalId = null;
+    this.debounceId = null;
+    this.userId = null;
+  }
+
+  /**
+   * Sync shortly after local changes, batching bursts of saves
+   */
+  scheduleSync() {
+    if (!this.userId) return;
+    clearTimeout(this.debounceId);
+    this.debounceId = setTimeout(() => this.syncNow(), SYNC_DEBOUNCE_MS);
+  }
+
+  /**
+   * Pull remote changes, then push local ones
+   * @returns {Promise<Object|null>} Result passed to listeners, or null when skipped
+   */
+  syncNow() {
+    if (!this.userId) {
+      return Promise.resolve(null);
+    }
+    if (this.syncPromise) {
+      // Run once more after the current pass so its changes are not missed
+      this.resyncRequested = true;
+      return this.syncPromise;
+    }
+
+    this.syncPromise = this.runSync(this.userId).finally(() => {
+      this.syncPromise = null;
+      if (this.resyncRequested) {
+        this.resyncRequested = false;
+        this.scheduleSync();
+      }
+    });
+    return this.syncPromise;
+  }
+
+  async runSync(userId) {
+    if (!navigator.onLine) {
+      this.setStatus(SYNC_STATUS.OFFLINE);
+      return null;
+    }
+    // Storage may still belong to the previous user while auth changes
+    if (chatHistoryStorage.userId !== userId) {
+      return null;
+    }
+
+    this.setStatus(SYNC_STATUS.SYNCING);
+    const result = { changedSessionIds: [], currentSessionChanged: false };
+
+    const applySessions = async (sessions) => {
+      for (const session of sessions) {
+        const applied = await chatHistoryStorage.applyRemoteSession(session);
+        if (applied.changed) {
+          result.changedSessionIds.push(session.id);
+          result.currentSessionChanged = result.currentSessionChanged || applied.isCurrent;
+        }
+      }
+    };
+
+    try {
+      const state = this.loadState(userId);
+      const pulled = await this.request(userId, `?since=${encodeURIComponent(state.cursor || 0)}`);
+      await applySessions(pulled.sessions || []);
+
+      const { sessions, tombstones } = await chatHistoryStorage.getPendingSyncChanges();
+      if (sessions.length > 0 || tombstones.length > 0) {
+        const pushed = await this.request(userId, '', {
+          method: 'POST',
+          body: JSON.stringify({
+            sessions,
+            deleted: tombstones.map(({ id, deletedAt }) => ({ id, deletedAt })),
+          }),
+        });
+        await chatHistoryStorage.markTombstonesSynced(tombstones);
+        await applySessions(pushed.sessions || []);
+      }
+
+      // Keep the pull cursor rather than the push one, which would skip
+      // changes other devices made between our pull and push
+      this.lastSyncedAt = new Date().toISOString();
+      this.saveState(userId, { cursor: pulled.cursor ?? state.cursor, lastSyncedAt: this.lastSyncedAt });
+      this.lastError = null;
+      this.setStatus(SYNC_STATUS.SYNCED, result);
+      return result;
+    } catch (error) {
+      console.warn('Chat sync failed, changes stay local until the next attempt:', error.message);
+      this.lastError = error.message;
+      this.setStatus(navigator.onLine ? SYNC_STATUS.ERROR : SYNC_STATUS.OFFLINE, result);
+      return result;
+    }
+  }
+
+  async request(userId, query, options = {}) {
+    const { data } = await supabase.auth.getSession();
+    const accessToken = data?.session?.access_token;
+    if (!accessToken) {
+      throw new Error('Chat sync failed: not signed in');
+    }
+
+    const response = await fetch(
+      resolveServiceUrl('chatSync', `/chat-sync/${encodeURIComponent(userId)}${query}`),
+      {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${accessToken}`,
+        },
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Chat sync failed: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }
+
+  loadState(userId) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(SYNC_STATE_KEY) || '{}');
+      return stored[userId] || {};
+    } catch {
+      return {};
+    }
+  }
+
+  saveState(userId, userState) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(SYNC_STATE_KEY) || '{}');
+      stored[userId] = userState;
+      localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(stored));
+    } catch (error) {
+      console.warn('Failed to save chat sync state:', error);
+    }
+  }
+
+  /**
+   * Current sync status for display
+   * @returns {{status: string, lastSyncedAt: string|null, error: string|null}}
+   */
+  getStatus() {
+    return { status: this.status, lastSyncedAt: this.lastSyncedAt, error: this.lastError };
+  }
+
+  setStatus(status, result = null) {
+    this.status = status;
+    const snapshot = { ...this.getStatus(), result };
+    this.listeners.forEach((listener) => {
+      try {
+        listener(snapshot);
+      } catch (error) {
+        console.error('Chat sync listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Listen for status changes and sync results
+   * @param {Function} listener - Called with { status, lastSyncedAt, error, result }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Create singleton instance
+const chatSyncService = new ChatSyncService();
+
+export default chatSyncService;
@@ -0,0 +1,76 @@
+/**
+ * GLB Optimizer Service
+ * Inspects and optimizes uploaded GLB files in a worker so large models don't
+ * freeze the page. The worker is started on first use and shared.
+ */
+
+class GlbOptimizerService {
+  constructor() {
+    this.worker = null;
+    this.pending = new Map(); // request id -> { resolve, reject }
+    this.nextId = 1;
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('../workers/glbOptimizer.worker.js', import.meta.url), {
+        type: 'module',
+      });
+
+      this.worker.onmessage = (event) => {
+        const { id, result, error } = event.data;
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+        if (error) {
+          request.reject(new Error(error));
+        } else {
+          request.resolve(result);
+        }
+      };
+
+      // A crashed worker fails everything in flight; the next call starts a new one
+      this.worker.onerror = (event) => {
+        console.error('🧊 GLB optimizer worker error:', event.message);
+        this.pending.forEach(({ reject }) => reject(new Error('The model could not be processed')));
+        this.pending.clear();
+        this.worker.terminate();
+        this.worker = null;
+      };
+    }
+    return this.worker;
+  }
+
+  request(action, buffer, options) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.pending.set(id, { resolve, reject });
+      // The buffer moves to the worker and comes back with the result
+      this.getWorker().postMessage({ id, action, buffer, options }, [buffer]);
+    });
+  }
+
+  /**
+   * Inspect a GLB
+   * @param {ArrayBuffer} buffer - GLB file contents; moved to the worker
+   * @returns {Promise<Object>} { report, buffer } with the buffer handed back
+   */
+  inspect(buffer) {
+    return this.request('inspect', buffer);
+  }
+
+  /**
+   * Optimize a GLB
+   * @param {ArrayBuffer} buffer - GLB file contents; moved to the worker
+   * @param {Object} options - See DEFAULT_OPTIMIZE_OPTIONS in utils/glbOptimizer
+   * @returns {Promise<Object>} { report, buffer, changes } for the new GLB
+   */
+  optimize(buffer, options) {
+    return this.request('optimize', buffer, options);
+  }
+}
+
+// Create singleton instance
+const glbOptimizerService = new GlbOptimizerService();
+
+export default glbOptimizerService;
@@ -0,0 +1,165 @@
+/**
+ * 3D Model Generation Providers
+ * The generation queue drives every provider through the same three calls:
+ * submit(job) starts a generation, checkStatus(job) reports its progress and
+ * the model URL once ready, and fetchModel(job) downloads the GLB. Meshy,
+ * Tripo and Stability go through AIModelService; the sample provider builds
+ * models locally so the whole flow works without API keys.
+ */
+
+import AIModelService from './aiModelService';
+import { buildSampleModel } from '../utils/sampleModels';
+
+// Chosen provider, kept across visits. API keys stay in sessionStorage (this
+// tab only, enough for queued jobs to resume after a reload) unless the user
+// opts in to remembering them on this device.
+const SETTINGS_KEY = 'gurukul_model_generation_settings';
+const SESSION_KEYS_KEY = 'gurukul_model_generation_keys';
+
+export const SAMPLE_PROVIDER_ID = 'SAMPLE';
+
+// How long the sample provider takes for each quality setting
+const SAMPLE_DURATION = { low: 4000, medium: 7000, high: 11000 };
+
+const readJson = (storage, key) => {
+  try {
+    const value = JSON.parse(storage.getItem(key) || '{}');
+    return value && typeof value === 'object' ? value : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Provider, API keys and whether the keys are remembered on this device
+ * @returns {Object} { provider, apiKeys: { [providerId]: key }, rememberKeys }
+ */
+export const getGenerationSettings = () => {
+  const stored = readJson(localStorage, SETTINGS_KEY);
+  const rememberKeys = stored.rememberKeys === true;
+  if (!rememberKeys && stored.apiKeys) {
+    // Keys saved before remembering them was opt-in
+    delete stored.apiKeys;
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(stored));
+  }
+  const apiKeys = rememberKeys ? stored.apiKeys : readJson(sessionStorage, SESSION_KEYS_KEY);
+  return {
+    provider: stored.provider || SAMPLE_PROVIDER_ID,
+    apiKeys: apiKeys && typeof apiKeys === 'object' ? apiKeys : {},
+    rememberKeys,
+  };
+};
+
+/**
+ * Update the provider, API keys or whether keys are remembered
+ * @param {Object} updates - { provider, apiKeys, rememberKeys }
+ * @returns {Object} Settings after the update
+ */
+export const saveGenerationSettings = (updates) => {
+  const next = { ...getGenerationSettings(), ...updates };
+  const { provider, apiKeys, rememberKeys } = next;
+  if (rememberKeys) {
+    // The user accepted that the keys are stored unencrypted in this browser
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ provider, apiKeys, rememberKeys }));
+    sessionStorage.removeItem(SESSION_KEYS_KEY);
+  } else {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ provider, rememberKeys }));
+    sessionStorage.setItem(SESSION_KEYS_KEY, JSON.stringify(apiKeys));
+  }
+  return next;
+};
+
+const createRemoteProvider = ({ id, name, textTo3D, imageTo3D }) => {
+  const getService = () => {
+    const apiKey = getGenerationSettings().apiKeys[id];
+    if (!apiKey) {
+      throw new Error(`Add a ${name} API key to generate with it`);
+    }
+    const service = new AIModelService({ provider: id });
+    service.setApiKey(apiKey);
+    return service;
+  };
+
+  return {
+    id,
+    name,
+    textTo3D,
+    imageTo3D,
+    requiresApiKey: true,
+    pollInterval: 5000,
+    timeout: 5 * 60 * 1000,
+
+    async submit(job) {
+      const service = getService();
+      const response = job.type === 'image'
+        ? await service.generateFromImage(job.sourceImage, job.options)
+        : await service.generateFromText(job.prompt, job.options);
+      return { taskId: response.task_id || null, modelUrl: response.model_url || null };
+    },
+
+    async checkStatus(job) {
+      const status = await getService().checkStatus(job.taskId);
+      if (status.status === 'failed') {
+        throw new Error(status.error || 'Generation failed');
+      }
+      return {
+        progress: status.progress,
+        modelUrl: status.status === 'completed' ? status.model_url || null : null,
+      };
+    },
+
+    async fetchModel(job, { signal } = {}) {
+      const response = await fetch(job.modelUrl, { signal });
+      if (!response.ok) {
+        throw new Error(`Could not download the model (${response.status})`);
+      }
+      return response.blob();
+    },
+  };
+};
+
+// Progress is worked out from the start time in the task ID, so a sample
+// job carries on where it was after a reload
+const sampleProvider = {
+  id: SAMPLE_PROVIDER_ID,
+  name: 'Sample models (offline)',
+  textTo3D: true,
+  imageTo3D: true,
+  requiresApiKey: false,
+  pollInterval: 1000,
+  timeout: 60 * 1000,
+
+  async submit() {
+    return { taskId: `sample_${Date.now()}`, modelUrl: null };
+  },
+
+  async checkStatus(job) {
+    const startedAt = Number(job.taskId.split('_')[1]) || Date.now();
+    const duration = SAMPLE_DURATION[job.options?.quality] || SAMPLE_DURATION.medium;
+    const progress = Math.min(100, Math.round(((Date.now() - startedAt) / duration) * 100));
+    return { progress, modelUrl: progress >= 100 ? `sample:${job.taskId}` : null };
+  },
+
+  async fetchModel(job) {
+    return buildSampleModel(job.prompt || job.sourceImageName, job.options);
+  },
+};
+
+export const MODEL_GENERATION_PROVIDERS = {
+  [SAMPLE_PROVIDER_ID]: sampleProvider,
+  ...Object.fromEntries(
+    AIModelService.getSupportedProviders().map((provider) => [provider.id, createRemoteProvider(provider)])
+  ),
+};
+
+/**
+ * Provider by ID
+ * @throws {Error} For an unknown provider
+ */
+export const getGenerationProvider = (providerId) => {
+  const provider = MODEL_GENERATION_PROVIDERS[providerId];
+  if (!provider) {
+    throw new Error(`Unsupported provider: ${providerId}`);
+  }
+  return provider;
+};
@@ -0,0 +1,400 @@
+/**
+ * 3D Model Generation Queue
+ *
+ * Runs text-to-3D and image-to-3D jobs through any provider in
+ * modelGenerationProviders, a few at a time. Jobs live in IndexedDB, so a job
+ * keeps going when the generator is closed and resumes after a reload:
+ * submitted jobs go back to polling and the rest are submitted again.
+ *
+ * A finished model is stored with the custom models in IndexedDB. The job
+ * then waits as "undelivered" until the app adds it to the Redux custom model
+ * and favorites lists (see useGeneratedModelDelivery) and marks it delivered.
+ */
+
+import indexedDBStorage from '../utils/indexedDBStorage';
+import AIModelService from './aiModelService';
+import { getGenerationProvider } from './modelGenerationProviders';
+import glbOptimizerService from './glbOptimizerService';
+
+export const JOB_STATUS = {
+  queued: 'queued',
+  submitting: 'submitting',
+  running: 'running',
+  saving: 'saving',
+  completed: 'completed',
+  failed: 'failed',
+  cancelled: 'cancelled',
+};
+
+// Jobs the queue is working on at the same time
+const MAX_CONCURRENT_JOBS = 2;
+
+const ACTIVE_STATUSES = [JOB_STATUS.submitting, JOB_STATUS.running, JOB_STATUS.saving];
+const FINISHED_STATUSES = [JOB_STATUS.completed, JOB_STATUS.failed, JOB_STATUS.cancelled];
+
+const createAbortError = () => {
+  const error = new Error('Generation cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Resolve after ms, or reject as soon as the signal aborts
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+const modelNameFor = (job) =>
+  (job.prompt || job.sourceImageName?.replace(/\.[^/.]+$/, '') || 'Generated model').trim().slice(0, 40);
+
+class ModelGenerationQueue {
+  constructor() {
+    this.jobs = new Map();
+    this.controllers = new Map(); // jobId -> AbortController of running jobs
+    this.listeners = new Set();
+    this.snapshot = [];
+    this.startPromise = null;
+  }
+
+  /**
+   * Load saved jobs and resume the unfinished ones. Safe to call repeatedly.
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (!this.startPromise) {
+      this.startPromise = indexedDBStorage
+        .getGenerationJobs()
+        .then((saved) => {
+          saved.forEach((job) => {
+            // Only the previous page knew how far an active job had got
+            if (ACTIVE_STATUSES.includes(job.status)) {
+              const status = job.taskId || job.modelUrl ? JOB_STATUS.running : JOB_STATUS.queued;
+              this.jobs.set(job.id, { ...job, status });
+            } else if (!this.jobs.has(job.id)) {
+              this.jobs.set(job.id, job);
+            }
+          });
+          this.emit();
+          this.pump();
+        })
+        .catch((error) => {
+          console.error('🧊 Could not load generation jobs:', error);
+        });
+    }
+    return this.startPromise;
+  }
+
+  /**
+   * Listen for job changes
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit() {
+    this.snapshot = [...this.jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    this.listeners.forEach((listener) => listener(this.snapshot));
+  }
+
+  /**
+   * All jobs, newest first. The array only changes when a job does.
+   */
+  getJobs() {
+    return this.snapshot;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Add a generation job
+   * @param {Object} request - { type: 'text'|'image', prompt, image, provider, options }
+   * @returns {Promise<Object>} The queued job
+   * @throws {Error} When the request cannot be generated
+   */
+  async enqueue({ type = 'text', prompt = '', image = null, provider: providerId, options = {} }) {
+    const provider = getGenerationProvider(providerId);
+
+    if (type === 'image') {
+      if (!provider.imageTo3D) {
+        throw new Error(`${provider.name} doesn't support image-to-3D generation`);
+      }
+      if (!image) {
+        throw new Error('Image file is required');
+      }
+    } else {
+      if (!provider.textTo3D) {
+        throw new Error(`${provider.name} doesn't support text-to-3D generation`);
+      }
+      const validation = AIModelService.validatePrompt(prompt);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+    }
+
+    await this.start();
+    const now = new Date().toISOString();
+    const job = {
+      id: `gen_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      prompt: type === 'text' ? prompt.trim() : '',
+      // Blobs are stored as they are in IndexedDB
+      sourceImage: type === 'image' ? image : null,
+      sourceImageName: type === 'image' ? image.name || 'image' : null,
+      provider: provider.id,
+      // Only GLB can be stored as an avatar
+      options: { ...options, format: 'glb' },
+      status: JOB_STATUS.queued,
+      progress: 0,
+      taskId: null,
+      modelUrl: null,
+      error: null,
+      attempts: 1,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+      result: null,
+      delivered: false,
+    };
+
+    this.update(job.id, job);
+    this.pump();
+    return job;
+  }
+
+  /**
+   * Stop a queued or running job
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return;
+
+    this.update(jobId, { status: JOB_STATUS.cancelled, error: null });
+    this.controllers.get(jobId)?.abort();
+  }
+
+  /**
+   * Run a failed or cancelled job again from the start
+   */
+  retry(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || ![JOB_STATUS.failed, JOB_STATUS.cancelled].includes(job.status)) return;
+
+    this.update(jobId, {
+      status: JOB_STATUS.queued,
+      progress: 0,
+      taskId: null,
+      modelUrl: null,
+      error: null,
+      startedAt: null,
+      attempts: job.attempts + 1,
+    });
+    this.pump();
+  }
+
+  /**
+   * Forget finished jobs; the models they made stay in the library
+   * @param {Array<string>} jobIds - Jobs to remove
+   */
+  async remove(jobIds) {
+    const ids = jobIds.filter((id) => FINISHED_STATUSES.includes(this.jobs.get(id)?.status));
+    if (ids.length === 0) return;
+
+    ids.forEach((id) => this.jobs.delete(id));
+    this.emit();
+    await indexedDBStorage.deleteGenerationJobs(ids);
+  }
+
+  /**
+   * Forget every finished job
+   */
+  clearFinished() {
+    return this.remove(
+      [...this.jobs.values()]
+        .filter((job) => FINISHED_STATUSES.includes(job.status) && (job.delivered || job.status !== JOB_STATUS.completed))
+        .map((job) => job.id)
+    );
+  }
+
+  /**
+   * Finished models that have not been added to the app's lists yet
+   */
+  getUndelivered() {
+    return this.snapshot.filter((job) => job.status === JOB_STATUS.completed && !job.delivered);
+  }
+
+  /**
+   * Record that a finished model was added to the app's lists
+   */
+  markDelivered(jobId, details = {}) {
+    if (!this.jobs.has(jobId)) return;
+    this.update(jobId, {
+      delivered: true,
+      result: { ...this.jobs.get(jobId).result, ...details },
+    });
+  }
+
+  update(jobId, changes) {
+    // A removed job is only added back by enqueue, which passes the whole job
+    if (!this.jobs.has(jobId) && !changes.id) return null;
+    const job = {
+      ...this.jobs.get(jobId),
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    };
+    this.jobs.set(jobId, job);
+    this.emit();
+    indexedDBStorage.saveGenerationJob(job).catch((error) => {
+      console.error('🧊 Could not save generation job:', error);
+    });
+    return job;
+  }
+
+  // Start queued jobs while there is room, oldest first
+  pump() {
+    const waiting = [...this.jobs.values()]
+      .filter((job) => !this.controllers.has(job.id))
+      .filter((job) => job.status === JOB_STATUS.queued || job.status === JOB_STATUS.running)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of waiting) {
+      if (this.controllers.size >= MAX_CONCURRENT_JOBS) break;
+      this.run(job.id);
+    }
+  }
+
+  async run(jobId) {
+    const controller = new AbortController();
+    this.controllers.set(jobId, controller);
+    const { signal } = controller;
+
+    try {
+      let job = this.jobs.get(jobId);
+      const provider = getGenerationProvider(job.provider);
+
+      if (!job.taskId && !job.modelUrl) {
+        job = this.update(jobId, {
+          status: JOB_STATUS.submitting,
+          startedAt: new Date().toISOString(),
+        });
+        const { taskId, modelUrl } = await provider.submit(job, { signal });
+        if (signal.aborted) throw createAbortError();
+        job = this.update(jobId, { status: JOB_STATUS.running, taskId, modelUrl });
+      } else if (job.status !== JOB_STATUS.running) {
+        job = this.update(jobId, { status: JOB_STATUS.running });
+      }
+
+      const deadline = new Date(job.startedAt || job.createdAt).getTime() + provider.timeout;
+      while (!job.modelUrl) {
+        await wait(provider.pollInterval, signal);
+        if (Date.now() > deadline) {
+          throw new Error('Generation timed out - please try again');
+        }
+        const status = await provider.checkStatus(job, { signal });
+        if (signal.aborted) throw createAbortError();
+        job = this.update(jobId, {
+          progress: Math.min(99, Math.round(status.progress ?? job.progress)),
+          modelUrl: status.modelUrl,
+        });
+      }
+
+      job = this.update(jobId, { status: JOB_STATUS.saving, progress: 99 });
+      const blob = await provider.fetchModel(job, { signal });
+      if (signal.aborted) throw createAbortError();
+      await this.saveModel(job, blob);
+    } catch (error) {
+      if (error.name === 'AbortError' || signal.aborted) return;
+      console.error('🧊 Model generation failed:', error);
+      this.update(jobId, { status: JOB_STATUS.failed, error: error.message || 'Generation failed' });
+    } finally {
+      this.controllers.delete(jobId);
+      this.pump();
+    }
+  }
+
+  // Store the model with the custom models, the same way uploads are stored
+  async saveModel(job, blob) {
+    const fileData = await blobToDataUrl(blob);
+    // Kept with the model like an upload's report; a model that can't be inspected is still saved
+    const inspection = await blob
+      .arrayBuffer()
+      .then((buffer) => glbOptimizerService.inspect(buffer))
+      .then(({ report }) => report)
+      .catch((error) => {
+        console.warn('🧊 Could not inspect generated model:', error);
+        return null;
+      });
+    const modelId = `custom_model_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const name = modelNameFor(job);
+    const metadata = {
+      id: modelId,
+      name,
+      fileName: `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'model'}.glb`,
+      fileSize: blob.size,
+      uploadDate: new Date().toISOString(),
+      thumbnailUrl: fileData,
+      type: 'custom',
+      isCustom: true,
+      mediaType: 'model',
+      generation: {
+        jobId: job.id,
+        provider: job.provider,
+        type: job.type,
+        prompt: job.prompt || null,
+        sourceImageName: job.sourceImageName,
+      },
+      ...(inspection && { inspection }),
+    };
+
+    try {
+      await indexedDBStorage.saveGlbFile(modelId, fileData, metadata);
+    } catch (error) {
+      if (error?.name === 'QuotaExceededError') {
+        throw new Error('Storage quota exceeded. Please delete some models and retry.');
+      }
+      throw error;
+    }
+
+    // Cancelled while the file was being written
+    if (this.jobs.get(job.id)?.status !== JOB_STATUS.saving) {
+      await indexedDBStorage.deleteGlbFile(modelId);
+      return;
+    }
+
+    this.update(job.id, {
+      status: JOB_STATUS.completed,
+      progress: 100,
+      completedAt: new Date().toISOString(),
+      result: { modelId, metadata },
+    });
+  }
+}
+
+// Create singleton instance
+const modelGenerationQueue = new ModelGenerationQueue();
+
+export default modelGenerationQueue;
@@ -0,0 +1,262 @@
+/**
+ * Page Action Registry
+ * Pages register named actions (with typed parameters) and their current
+ * state here while they are mounted. The avatar assistant reads the registry
+ * instead of scraping the DOM: it shows the actions as quick buttons, gives
+ * the page state and the action list to the model, and runs the actions a
+ * chat reply asks for, e.g. "make a lesson on photosynthesis" becomes
+ * generate_lesson({ subject: "Biology", topic: "Photosynthesis" }).
+ *
+ * Pages register through the usePageActions hook. Action definitions:
+ *   {
+ *     label: 'Generate Lesson',
+ *     description: 'Generate a lesson on a topic',
+ *     params: { topic: { type: 'string', required: true, description: '...' } },
+ *     quick: true,   // offer as a quick button in the avatar chat
+ *     run: async ({ topic }) => ...,
+ *   }
+ *
+ * Chat replies call actions with a marker the model is told to use:
+ *   [[action:generate_lesson {"subject": "Biology", "topic": "Photosynthesis"}]]
+ */
+
+export const PARAM_TYPES = ['string', 'number', 'boolean'];
+
+// Global actions (e.g. navigation) are registered under this page ID and
+// are overridden by page actions with the same name
+export const GLOBAL_PAGE_ID = 'global';
+
+const ACTION_CALL_PATTERN = /\[\[action:([a-z0-9_]+)\s*(\{[\s\S]*?\})?\s*\]\]/gi;
+// An action marker still streaming in at the end of a reply
+const PARTIAL_ACTION_CALL = /\[\[(a(c(t(i(o(n(:[^\]]*)?)?)?)?)?)?)?\]?$/i;
+
+export class PageActionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PageActionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Check and coerce call parameters against an action's parameter schema
+ * @param {Object} schema - { name: { type, required, enum } }
+ * @param {Object} params - Parameters from a button or a chat reply
+ * @returns {Object} Coerced parameters
+ */
+export const validateActionParams = (schema = {}, params = {}) => {
+  const values = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([name, spec]) => {
+    let value = params[name];
+    if (value === undefined || value === null || value === '') {
+      if (spec.required) errors.push(`${name} is required`);
+      return;
+    }
+
+    if (spec.type === 'number') {
+      value = Number(value);
+      if (!Number.isFinite(value)) {
+        errors.push(`${name} must be a number`);
+        return;
+      }
+    } else if (spec.type === 'boolean') {
+      value = value === true || value === 'true';
+    } else {
+      value = String(value).trim();
+    }
+
+    if (spec.enum && !spec.enum.includes(value)) {
+      errors.push(`${name} must be one of ${spec.enum.join(', ')}`);
+      return;
+    }
+    values[name] = value;
+  });
+
+  if (errors.length > 0) {
+    throw new PageActionError(errors.join('; '), 'invalid_params');
+  }
+  return values;
+};
+
+/**
+ * Pull action calls out of a chat reply
+ * @param {string} text - Reply text
+ * @returns {{ text: string, calls: Array<{ name: string, params: Object }> }} Reply without the markers, and the calls
+ */
+export const extractActionCalls = (text = '') => {
+  const calls = [];
+  const cleaned = text.replace(ACTION_CALL_PATTERN, (match, name, json) => {
+    let params = {};
+    if (json) {
+      try {
+        params = JSON.parse(json);
+      } catch {
+        return match; // Leave malformed calls visible rather than guess
+      }
+    }
+    calls.push({ name, params: params && typeof params === 'object' ? params : {} });
+    return '';
+  });
+
+  return { text: cleaned.replace(/\n{3,}/g, '\n\n').trim(), calls };
+};
+
+/**
+ * Hide action markers from a reply that is still streaming in
+ * @param {string} text - Partial reply
+ * @returns {string} Text safe to display
+ */
+export const stripActionCalls = (text = '') =>
+  extractActionCalls(text).text.replace(PARTIAL_ACTION_CALL, '').trimEnd();
+
+class PageActionRegistry {
+  constructor() {
+    this.pages = new Map();
+    this.listeners = new Set();
+    this.version = 0;
+  }
+
+  /**
+   * Register a page while it is mounted
+   * @param {string} pageId - Page identifier, e.g. 'subjects'
+   * @param {Object} source - { getTitle, getActions, getContext } returning the page's latest values
+   * @returns {Function} Unregister function
+   */
+  register(pageId, source) {
+    // Re-registering moves the page to the end, making it the active page
+    this.pages.delete(pageId);
+    this.pages.set(pageId, source);
+    this.notify();
+
+    return () => {
+      if (this.pages.get(pageId) === source) {
+        this.pages.delete(pageId);
+        this.notify();
+      }
+    };
+  }
+
+  /**
+   * Tell subscribers that a page's context or actions changed
+   */
+  notify() {
+    this.version += 1;
+    this.listeners.forEach((listener) => {
+      try {
+        listener(this.version);
+      } catch (error) {
+        console.error('Page action listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * @param {Function} listener - Called whenever the registry changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getVersion() {
+    return this.version;
+  }
+
+  /**
+   * Registered actions, most recently registered page first
+   * @returns {Array} [{ name, pageId, label, description, params, quick, icon, run }]
+   */
+  getActions() {
+    const seen = new Set();
+    const actions = [];
+    const pageIds = [...this.pages.keys()].reverse();
+    // Global actions come last so page actions win on name clashes
+    pageIds.sort((a, b) => (a === GLOBAL_PAGE_ID) - (b === GLOBAL_PAGE_ID));
+
+    pageIds.forEach((pageId) => {
+      const pageActions = this.pages.get(pageId).getActions?.() || {};
+      Object.entries(pageActions).forEach(([name, action]) => {
+        if (seen.has(name) || !action?.run) return;
+        seen.add(name);
+        actions.push({ params: {}, ...action, name, pageId });
+      });
+    });
+    return actions;
+  }
+
+  /**
+   * Structured state of the registered pages, for the assistant's prompt
+   * @returns {Object} { pages: [{ id, title, context }], actions: [{ name, label, description, params }] }
+   */
+  getSnapshot() {
+    const pages = [...this.pages.entries()]
+      .filter(([pageId]) => pageId !== GLOBAL_PAGE_ID)
+      .reverse()
+      .map(([pageId, source]) => ({
+        id: pageId,
+        title: source.getTitle?.() || pageId,
+        context: source.getContext?.() || {},
+      }));
+
+    const actions = this.getActions().map(({ name, label, description, params, pageId }) => ({
+      name,
+      label,
+      description,
+      params,
+      pageId,
+    }));
+
+    return { pages, actions };
+  }
+
+  /**
+   * Run a registered action
+   * @param {string} name - Action name
+   * @param {Object} [params] - Call parameters, checked against the action's schema
+   * @returns {Promise<Object>} { action, params, result }
+   */
+  async runAction(name, params = {}) {
+    const action = this.getActions().find((entry) => entry.name === name);
+    if (!action) {
+      throw new PageActionError(`"${name}" is not available on this page`, 'unknown_action');
+    }
+
+    const values = validateActionParams(action.params, params);
+    const result = await action.run(values);
+    return { action, params: values, result };
+  }
+
+  /**
+   * Describe the registered actions for the model, with the call syntax
+   * @returns {string} Prompt section, or '' when nothing is registered
+   */
+  describeForPrompt() {
+    const actions = this.getActions();
+    if (actions.length === 0) return '';
+
+    const lines = actions.map(({ name, description, params }) => {
+      const args = Object.entries(params)
+        .map(([param, spec]) => {
+          const options = spec.enum ? ` (${spec.enum.join('|')})` : '';
+          return `${param}${spec.required ? '' : '?'}: ${spec.type || 'string'}${options}`;
+        })
+        .join(', ');
+      return `- ${name}(${args}): ${description || ''}`;
+    });
+
+    return [
+      'Actions you can run for the user on this page:',
+      ...lines,
+      'To run one, add a line like [[action:name {"param": "value"}]] to your reply.',
+      'Only run an action when the user asks for it.',
+    ].join('\n');
+  }
+}
+
+// Create singleton instance
+const pageActionRegistry = new PageActionRegistry();
+
+export default pageActionRegistry;
@@ -0,0 +1,200 @@
+/**
+ * Speech Analysis Service
+ * Analyses the TTS audio that is playing so avatars can move their mouths in
+ * time with it. The speech engine hands every audio element it plays to
+ * track(); while one plays, getFrame() returns the loudness and a rough
+ * mouth shape estimated from the spectrum.
+ *
+ * Audio is only routed through Web Audio once the AudioContext is running
+ * (browsers start it suspended until the user interacts with the page). An
+ * element routed through a suspended context would play silently, so until
+ * then playback is only tracked and getFrame() returns a synthetic talking
+ * envelope instead.
+ */
+
+// Frequency bands (Hz) used to estimate the mouth shape. The first formant
+// (F1) rises with jaw opening; a low second formant (F2) means rounded lips
+// ("oh"/"oo"), a high one spread lips ("ee"); sibilants narrow the mouth.
+const BANDS = {
+  voice: [80, 4000],
+  f1: [250, 900],
+  f2Low: [700, 1400],
+  f2High: [1600, 3200],
+  sibilant: [4000, 8000],
+};
+
+// Loudness (0-1 RMS of the voice band) that counts as a fully open mouth
+const FULL_OPEN_LEVEL = 0.35;
+const SILENCE_LEVEL = 0.02;
+
+const EMPTY_FRAME = { level: 0, open: 0, wide: 0, round: 0, active: false, analysed: false };
+
+class SpeechAnalysisService {
+  constructor() {
+    this.context = null;
+    this.analyser = null;
+    this.frequencyData = null;
+    this.activeElements = new Set();
+    this.externalSources = new Set();
+
+    // Create the AudioContext on the first interaction so it starts running
+    if (typeof document !== 'undefined') {
+      const unlock = () => {
+        this.ensureContext();
+        document.removeEventListener('pointerdown', unlock);
+        document.removeEventListener('keydown', unlock);
+      };
+      document.addEventListener('pointerdown', unlock);
+      document.addEventListener('keydown', unlock);
+    }
+  }
+
+  /**
+   * Create or resume the shared AudioContext
+   * @returns {AudioContext|null} The context, or null without Web Audio support
+   */
+  ensureContext() {
+    const AudioContextClass = typeof window !== 'undefined'
+      ? window.AudioContext || window.webkitAudioContext
+      : null;
+    if (!AudioContextClass) return null;
+
+    if (!this.context) {
+      try {
+        this.context = new AudioContextClass();
+        this.analyser = this.context.createAnalyser();
+        this.analyser.fftSize = 1024;
+        this.analyser.smoothingTimeConstant = 0.5;
+        this.analyser.connect(this.context.destination);
+        this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+      } catch (error) {
+        console.warn('🗣️ Speech analysis unavailable:', error.message);
+        this.context = null;
+        return null;
+      }
+    }
+
+    if (this.context.state === 'suspended') {
+      this.context.resume().catch(() => {});
+    }
+    return this.context;
+  }
+
+  /**
+   * Track an audio element that is about to play speech
+   * @param {HTMLAudioElement} audio - Element created by the speech engine
+   */
+  track(audio) {
+    if (!audio || audio.__speechTracked) return;
+    audio.__speechTracked = true;
+
+    const context = this.ensureContext();
+    if (context && context.state === 'running') {
+      try {
+        const source = context.createMediaElementSource(audio);
+        source.connect(this.analyser);
+        audio.__speechAnalysed = true;
+      } catch (error) {
+        console.warn('🗣️ Could not analyse TTS audio:', error.message);
+      }
+    }
+
+    const start = () => this.activeElements.add(audio);
+    const stop = () => this.activeElements.delete(audio);
+    audio.addEventListener('play', start);
+    audio.addEventListener('playing', start);
+    audio.addEventListener('pause', stop);
+    audio.addEventListener('ended', stop);
+    audio.addEventListener('error', stop);
+    audio.addEventListener('emptied', stop);
+  }
+
+  /**
+   * Mark speech that plays without an audio element (e.g. speechSynthesis)
+   * @param {string} sourceId - Identifies the speaker
+   * @param {boolean} active - Whether it is speaking now
+   */
+  setExternalSpeech(sourceId, active) {
+    if (active) {
+      this.externalSources.add(sourceId);
+    } else {
+      this.externalSources.delete(sourceId);
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether any tracked speech is playing
+   */
+  isSpeaking() {
+    return this.activeElements.size > 0 || this.externalSources.size > 0;
+  }
+
+  /**
+   * Average level (0-1) of the analyser bins in a frequency band
+   */
+  bandLevel([low, high]) {
+    const binWidth = this.context.sampleRate / 2 / this.frequencyData.length;
+    const from = Math.max(0, Math.floor(low / binWidth));
+    const to = Math.min(this.frequencyData.length - 1, Math.ceil(high / binWidth));
+    if (to < from) return 0;
+
+    let sum = 0;
+    for (let i = from; i <= to; i++) {
+      const value = this.frequencyData[i] / 255;
+      sum += value * value;
+    }
+    return Math.sqrt(sum / (to - from + 1));
+  }
+
+  /**
+   * Current speech frame
+   * @param {number} [time] - Clock time in seconds, drives the synthetic envelope
+   * @returns {Object} { level, open, wide, round, active, analysed }, weights 0-1
+   */
+  getFrame(time = performance.now() / 1000) {
+    if (!this.isSpeaking()) return EMPTY_FRAME;
+
+    const analysed = [...this.activeElements].some((audio) => audio.__speechAnalysed);
+    if (!analysed || !this.analyser) {
+      // Syllable-rate envelope for speech we can't analyse
+      const syllable = Math.abs(Math.sin(time * 11));
+      const phrase = 0.6 + 0.4 * Math.sin(time * 2.3);
+      const open = Math.min(1, syllable * phrase);
+      return {
+        level: open,
+        open,
+        wide: 0.3 * Math.max(0, Math.sin(time * 4.7)),
+        round: 0.3 * Math.max(0, Math.sin(time * 3.1 + 1)),
+        active: true,
+        analysed: false,
+      };
+    }
+
+    this.analyser.getByteFrequencyData(this.frequencyData);
+    const voice = this.bandLevel(BANDS.voice);
+    if (voice < SILENCE_LEVEL) {
+      return { ...EMPTY_FRAME, active: true, analysed: true };
+    }
+
+    const level = Math.min(1, voice / FULL_OPEN_LEVEL);
+    const f1 = this.bandLevel(BANDS.f1);
+    const f2Low = this.bandLevel(BANDS.f2Low);
+    const f2High = this.bandLevel(BANDS.f2High);
+    const sibilant = this.bandLevel(BANDS.sibilant);
+    const total = f1 + f2Low + f2High + sibilant || 1;
+
+    return {
+      level,
+      open: Math.min(1, level * (0.5 + f1 / total)),
+      wide: Math.min(1, level * ((f2High + sibilant) / total) * 1.5),
+      round: Math.min(1, level * (f2Low / total) * 1.5),
+      active: true,
+      analysed: true,
+    };
+  }
+}
+
+// Create singleton instance
+const speechAnalysisService = new SpeechAnalysisService();
+
+export default speechAnalysisService;
@@ -0,0 +1,219 @@
+/**
+ * Speech Backends
+ * The ways the speech engine can turn text into speech, tried in order:
+ *
+ *   gurukul   - Gurukul TTS server, streams back an audio file
+ *   pipeline  - Lesson pipeline /tts/generate, saves a file we then download
+ *   browser   - The browser's own speechSynthesis, works offline
+ *
+ * Audio backends implement synthesize(text) and return a Blob the engine
+ * caches and plays. Native backends speak directly with speak(text) and
+ * can't be cached.
+ */
+
+import { getServiceUrl } from '../config/endpoints';
+import speechAnalysisService from './speechAnalysisService';
+
+const REQUEST_TIMEOUT_MS = 30000;
+const HEALTH_TIMEOUT_MS = 5000;
+const PIPELINE_MAX_TEXT_LENGTH = 10000;
+
+export class SpeechBackendError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SpeechBackendError';
+    this.code = code;
+  }
+}
+
+/**
+ * fetch() that gives up after a timeout or when the caller aborts
+ */
+const fetchWithTimeout = async (url, options = {}, timeout = REQUEST_TIMEOUT_MS) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const abort = () => controller.abort();
+  options.signal?.addEventListener('abort', abort);
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timeoutId);
+    options.signal?.removeEventListener('abort', abort);
+  }
+};
+
+const readAudioBlob = async (response, backendId) => {
+  if (!response.ok) {
+    throw new SpeechBackendError(
+      `${backendId} TTS failed: ${response.status} ${response.statusText}`,
+      'http_error'
+    );
+  }
+  const blob = await response.blob();
+  if (!blob.size) {
+    throw new SpeechBackendError(`${backendId} TTS returned no audio`, 'empty_audio');
+  }
+  return blob;
+};
+
+export const gurukulServerBackend = {
+  id: 'gurukul',
+  label: 'Gurukul TTS server',
+  type: 'audio',
+
+  async checkHealth() {
+    const response = await fetchWithTimeout(`${getServiceUrl('tts')}/api/health`, {}, HEALTH_TIMEOUT_MS);
+    if (!response.ok) return false;
+    const health = await response.json().catch(() => ({}));
+    return !health.status || health.status === 'healthy';
+  },
+
+  async synthesize(text, { signal, voice } = {}) {
+    const formData = new FormData();
+    formData.append('text', text);
+    if (voice) formData.append('voice', voice);
+
+    const response = await fetchWithTimeout(`${getServiceUrl('tts')}/api/generate/stream`, {
+      method: 'POST',
+      body: formData,
+      headers: {
+        'X-Source-System': 'gurukul-frontend',
+        'X-Request-Type': 'auto-tts-stream'
+      },
+      signal
+    });
+    return readAudioBlob(response, this.id);
+  }
+};
+
+export const pipelineBackend = {
+  id: 'pipeline',
+  label: 'Lesson pipeline TTS',
+  type: 'audio',
+
+  async checkHealth() {
+    const response = await fetchWithTimeout(`${getServiceUrl('pipeline')}/`, {}, HEALTH_TIMEOUT_MS);
+    return response.ok;
+  },
+
+  async synthesize(text, { signal, userId = 'guest-user' } = {}) {
+    const baseUrl = getServiceUrl('pipeline');
+    const response = await fetchWithTimeout(`${baseUrl}/tts/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text: text.slice(0, PIPELINE_MAX_TEXT_LENGTH),
+        user_id: userId,
+        description: 'Spoken reply'
+      }),
+      signal
+    });
+    if (!response.ok) {
+      throw new SpeechBackendError(`pipeline TTS failed: ${response.status} ${response.statusText}`, 'http_error');
+    }
+
+    const data = await response.json();
+    const filename = data?.tts_result?.audio_info?.filename;
+    if (data?.status === 'error' || !filename) {
+      throw new SpeechBackendError(data?.message || 'pipeline TTS returned no audio file', 'empty_audio');
+    }
+
+    const audioResponse = await fetchWithTimeout(
+      `${baseUrl}/api/audio/${encodeURIComponent(filename)}`,
+      { signal }
+    );
+    return readAudioBlob(audioResponse, this.id);
+  }
+};
+
+export const browserSpeechBackend = {
+  id: 'browser',
+  label: 'Browser speech',
+  type: 'native',
+
+  isSupported() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window;
+  },
+
+  async checkHealth() {
+    return this.isSupported();
+  },
+
+  /**
+   * Speak with speechSynthesis
+   * @returns {Promise<void>} Resolves when speech ends or is cancelled
+   */
+  speak(text, { volume = 1, rate = 1, lang, voice, onStart, signal } = {}) {
+    if (!this.isSupported()) {
+      return Promise.reject(new SpeechBackendError('Speech synthesis is not supported', 'unsupported'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.volume = volume;
+      utterance.rate = rate;
+      if (lang) utterance.lang = lang;
+      if (voice) {
+        // Same matching as the TTS server: exact name or a part of it ("Zira")
+        const wanted = voice.toLowerCase();
+        const voices = window.speechSynthesis.getVoices();
+        const match = voices.find((option) => option.name.toLowerCase() === wanted)
+          || voices.find((option) => option.name.toLowerCase().includes(wanted));
+        if (match) utterance.voice = match;
+      }
+
+      const finish = () => {
+        speechAnalysisService.setExternalSpeech(this.id, false);
+        signal?.removeEventListener('abort', cancel);
+      };
+      const cancel = () => window.speechSynthesis.cancel();
+
+      utterance.onstart = () => {
+        speechAnalysisService.setExternalSpeech(this.id, true);
+        onStart?.();
+      };
+      utterance.onend = () => {
+        finish();
+        resolve();
+      };
+      utterance.onerror = (event) => {
+        finish();
+        // Cancelling speech reports an error; that is a normal stop
+        if (event.error === 'interrupted' || event.error === 'canceled') {
+          resolve();
+        } else if (event.error === 'not-allowed') {
+          reject(new SpeechBackendError('Speech needs a user interaction first', 'autoplay_blocked'));
+        } else {
+          reject(new SpeechBackendError(`Browser speech failed: ${event.error}`, 'native_error'));
+        }
+      };
+
+      signal?.addEventListener('abort', cancel);
+      window.speechSynthesis.speak(utterance);
+    });
+  },
+
+  pause() {
+    if (this.isSupported()) {
+      window.speechSynthesis.pause();
+    }
+    speechAnalysisService.setExternalSpeech(this.id, false);
+  },
+
+  resume() {
+    if (this.isSupported()) {
+      window.speechSynthesis.resume();
+    }
+    speechAnalysisService.setExternalSpeech(this.id, true);
+  },
+
+  cancel() {
+    if (this.isSupported()) {
+      window.speechSynthesis.cancel();
+    }
+    speechAnalysisService.setExternalSpeech(this.id, false);
+  }
+};
+
+export const DEFAULT_SPEECH_BACKENDS = [gurukulServerBackend, pipelineBackend, browserSpeechBackend];
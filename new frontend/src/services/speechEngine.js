@@ -0,0 +1,696 @@
+/**
+ * Speech Engine
+ * The one place the app turns text into speech. Every caller (avatar chat,
+ * chatbot, lessons, summaries, forecasts) speaks through the same queue, so
+ * two replies never talk over each other.
+ *
+ * - Backends (see speechBackends.js) are tried in order; one that fails is
+ *   skipped for a while, and the browser's own speech is the last resort.
+ * - Text is split into sentences. The first sentence is synthesized on its
+ *   own so playback starts quickly, and the next chunk is fetched while the
+ *   current one plays.
+ * - Synthesized audio is cached in memory and in IndexedDB, so replayed
+ *   messages and repeated lesson lines don't hit the server again.
+ * - Items are queued by priority; interrupt stops whatever is playing.
+ * - Callers that highlight text as it is read (the lesson player) pass their
+ *   own segments and get onSegmentStart as each one starts.
+ * - When the browser blocks autoplay, the item waits at the head of the
+ *   queue and resumes on the next click or key press.
+ */
+
+import blobUrlManager from '../utils/blobUrlManager';
+import indexedDBStorage from '../utils/indexedDBStorage';
+import speechAnalysisService from './speechAnalysisService';
+import { DEFAULT_SPEECH_BACKENDS, SpeechBackendError } from './speechBackends';
+
+export const SPEECH_PRIORITY = {
+  high: 2,
+  normal: 1,
+  low: 0
+};
+
+const MAX_CHUNK_LENGTH = 250;
+const MEMORY_CACHE_SIZE = 50;
+const PERSISTENT_CACHE_SIZE = 200;
+// How long a failing backend is skipped before it is tried again
+const BACKEND_RETRY_MS = 30000;
+const HEALTH_CACHE_MS = 30000;
+
+const SENTENCE_PATTERN = /[^.!?।]+(?:[.!?।]+["')\]]*|$)/g;
+
+/**
+ * Strip markdown and other markup that shouldn't be read aloud
+ * @param {string} text - Reply or lesson text
+ * @returns {string} Plain text for speech
+ */
+export const cleanTextForSpeech = (text = '') =>
+  String(text)
+    .replace(/```[\s\S]*?```/g, ' ') // Drop code blocks
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '') // Drop images
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // Keep link text
+    .replace(/\*\*(.*?)\*\*/g, '$1') // Remove bold markdown
+    .replace(/\*(.*?)\*/g, '$1') // Remove italic markdown
+    .replace(/`(.*?)`/g, '$1') // Remove code markdown
+    .replace(/#{1,6}\s/g, '') // Remove headers
+    .replace(/^\s*[-*+]\s+/gm, '') // Remove list bullets
+    .replace(/([.!?:;])\s*\n+/g, '$1 ') // Lines that already end a sentence
+    .replace(/\n+/g, '. ') // Replace remaining newlines with periods
+    .replace(/\s+/g, ' ') // Normalize whitespace
+    .trim();
+
+/**
+ * Split text at separator boundaries, packing pieces up to maxLength
+ */
+const packPieces = (pieces, maxLength, joiner) => {
+  const chunks = [];
+  let current = '';
+  pieces.forEach((piece) => {
+    const next = current ? `${current}${joiner}${piece}` : piece;
+    if (current && next.length > maxLength) {
+      chunks.push(current);
+      current = piece;
+    } else {
+      current = next;
+    }
+  });
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+const splitLongSentence = (sentence, maxLength) => {
+  if (sentence.length <= maxLength) return [sentence];
+
+  return packPieces(sentence.split(/(?<=[,;:])\s+/), maxLength, ' ').flatMap((part) =>
+    part.length <= maxLength ? [part] : packPieces(part.split(/\s+/), maxLength, ' ')
+  );
+};
+
+/**
+ * Split text into chunks to synthesize one at a time
+ *
+ * The first sentence is its own chunk so speech starts as soon as possible;
+ * later sentences are packed together up to maxLength to keep requests few.
+ *
+ * @param {string} text - Plain text
+ * @param {number} [maxLength] - Longest chunk, in characters
+ * @returns {string[]} Chunks in reading order
+ */
+export const splitIntoSentences = (text = '', maxLength = MAX_CHUNK_LENGTH) => {
+  const sentences = (text.match(SENTENCE_PATTERN) || [])
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => /[\p{L}\p{N}]/u.test(sentence))
+    .flatMap((sentence) => splitLongSentence(sentence, maxLength));
+
+  if (sentences.length <= 1) return sentences;
+  return [sentences[0], ...packPieces(sentences.slice(1), maxLength, ' ')];
+};
+
+const hashText = (str) => {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) - hash) + str.charCodeAt(i);
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  return Math.abs(hash).toString(36);
+};
+
+const isAbortError = (error) => error?.name === 'AbortError';
+
+const autoplayBlockedError = () =>
+  new SpeechBackendError('Speech needs a user interaction first', 'autoplay_blocked');
+
+let nextItemId = 1;
+
+class SpeechEngine {
+  constructor(backends = DEFAULT_SPEECH_BACKENDS) {
+    this.backends = [...backends];
+    this.backendFailures = new Map(); // backend id -> time of last failure
+    this.memoryCache = new Map(); // cache key -> { url, blob, backend }, oldest first
+    this.queue = [];
+    this.currentItem = null;
+    this.currentAudio = null;
+    this.isProcessingQueue = false;
+    this.currentSource = null;
+    this.isLoading = false;
+    this.isPaused = false;
+    this.resumeWaiters = [];
+    this.lastBackend = null;
+    this.autoPlayEnabled = true;
+    this.volume = 0.8;
+    this.autoplayBlocked = false;
+    this.health = { checkedAt: 0, promise: null, backends: {} };
+    this.listeners = new Set();
+    this.snapshot = this.buildStatus();
+  }
+
+  /**
+   * Replace the backends, in the order they should be tried
+   * @param {Array} backends - Backend objects (see speechBackends.js)
+   */
+  setBackends(backends) {
+    this.backends = [...backends];
+    this.backendFailures.clear();
+    this.health.checkedAt = 0;
+    this.emit();
+  }
+
+  /**
+   * Speak text through the shared queue
+   * @param {string} text - Text to speak; markdown is stripped
+   * @param {Object} [options] - { priority, interrupt, volume, rate, lang, voice, owner, segments,
+   *   onPlayStart, onPlayEnd, onSegmentStart, onError }. segments replaces the
+   *   sentence splitting; onSegmentStart(index) fires as each one starts playing.
+   * @returns {Promise<Object>} Resolves { completed } when the text has been spoken or was stopped
+   */
+  speak(text, options = {}) {
+    const chunks = options.segments
+      ? options.segments.map(cleanTextForSpeech)
+      : splitIntoSentences(cleanTextForSpeech(text));
+    const cleaned = chunks.filter(Boolean).join(' ');
+    if (!cleaned) {
+      return Promise.resolve({ completed: true });
+    }
+
+    const priority = typeof options.priority === 'number'
+      ? options.priority
+      : SPEECH_PRIORITY[options.priority] ?? SPEECH_PRIORITY.normal;
+
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+
+    const item = {
+      id: nextItemId++,
+      text: cleaned,
+      chunks,
+      chunkIndex: 0,
+      priority,
+      rate: options.rate || 1,
+      options,
+      controller: new AbortController(),
+      prefetched: new Map(),
+      started: false,
+      settled: false,
+      resolve,
+      reject
+    };
+
+    if (options.interrupt) {
+      this.stop();
+    }
+
+    // Stable insert: after everything of the same or higher priority
+    const index = this.queue.findIndex((queued) => queued.priority < priority);
+    this.queue.splice(index === -1 ? this.queue.length : index, 0, item);
+    this.emit();
+    this.processQueue();
+
+    return promise;
+  }
+
+  /**
+   * Stop the current speech and drop everything queued
+   * @param {Object} [filter] - { owner }: only stop speech started with this owner option
+   */
+  stop({ owner } = {}) {
+    const matches = (item) => !owner || item.options.owner === owner;
+    const current = this.currentItem && matches(this.currentItem) ? this.currentItem : null;
+    const stopped = this.queue.filter(matches);
+    if (owner && !current && stopped.length === 0) return;
+
+    this.queue = this.queue.filter((item) => !matches(item));
+
+    [...stopped, current].filter(Boolean).forEach((item) => this.settleItem(item, { completed: false }));
+    if (!owner || current) {
+      if (this.currentAudio) {
+        this.currentAudio.pause();
+        this.currentAudio = null;
+      }
+      this.backends.forEach((backend) => backend.cancel?.());
+      this.releasePause();
+    }
+    this.emit();
+  }
+
+  /**
+   * Pause the current speech; queued items wait until resume()
+   */
+  pause() {
+    if (!this.currentItem || this.isPaused) return;
+    this.isPaused = true;
+
+    if (this.currentSource?.type === 'native') {
+      this.currentSource.backend.pause?.();
+    } else {
+      this.currentAudio?.pause();
+    }
+    this.emit();
+  }
+
+  resume() {
+    if (!this.isPaused) return;
+
+    if (this.currentSource?.type === 'native') {
+      this.currentSource.backend.resume?.();
+    } else if (this.currentAudio) {
+      this.currentAudio.play().catch((error) => {
+        console.warn('🔊 Speech: Could not resume audio:', error.message);
+      });
+    }
+    this.releasePause();
+    this.emit();
+  }
+
+  releasePause() {
+    this.isPaused = false;
+    this.resumeWaiters.splice(0).forEach((resolve) => resolve());
+  }
+
+  /**
+   * Change the playback speed of the current item
+   * @param {number} rate - 1 is normal speed. Browser speech picks it up from the next segment.
+   */
+  setRate(rate) {
+    if (!this.currentItem || !(rate > 0)) return;
+    this.currentItem.rate = rate;
+    if (this.currentAudio) {
+      this.currentAudio.playbackRate = rate;
+    }
+  }
+
+  settleItem(item, result, error = null) {
+    if (item.settled) return;
+    item.settled = true;
+    item.controller.abort();
+
+    if (error) {
+      item.options.onError?.(error);
+      item.reject(error);
+    } else {
+      if (result.completed) item.options.onPlayEnd?.(item.text);
+      item.resolve(result);
+    }
+  }
+
+  async processQueue() {
+    if (this.isProcessingQueue || this.autoplayBlocked) return;
+    this.isProcessingQueue = true;
+
+    while (this.queue.length > 0 && !this.autoplayBlocked) {
+      const item = this.queue.shift();
+      this.currentItem = item;
+      this.emit();
+
+      try {
+        await this.playItem(item);
+        this.settleItem(item, { completed: true });
+      } catch (error) {
+        if (error?.code === 'autoplay_blocked' && !item.settled) {
+          // Wait at the head of the queue for the user to interact
+          this.queue.unshift(item);
+          this.blockUntilInteraction();
+        } else if (isAbortError(error) || item.settled) {
+          this.settleItem(item, { completed: false });
+        } else {
+          console.warn('🔊 Speech: Could not speak text:', error.message);
+          this.settleItem(item, null, error);
+        }
+      }
+
+      this.currentItem = null;
+      this.currentAudio = null;
+      this.currentSource = null;
+      this.isLoading = false;
+    }
+
+    this.isProcessingQueue = false;
+    this.emit();
+  }
+
+  async playItem(item) {
+    for (let i = item.chunkIndex; i < item.chunks.length; i++) {
+      if (item.settled) return;
+      if (!item.chunks[i]) continue;
+
+      const loading = item.prefetched.get(i) || this.loadChunk(item.chunks[i], item);
+      item.prefetched.delete(i);
+
+      // Fetch the next chunk while this one plays
+      if (item.chunks[i + 1] && !item.prefetched.has(i + 1)) {
+        const next = this.loadChunk(item.chunks[i + 1], item);
+        next.catch(() => {}); // Reported when it is awaited
+        item.prefetched.set(i + 1, next);
+      }
+
+      this.isLoading = true;
+      this.emit();
+      const source = await loading;
+      this.isLoading = false;
+      if (this.isPaused) {
+        await new Promise((resolve) => this.resumeWaiters.push(resolve));
+      }
+      if (item.settled) return;
+
+      item.chunkIndex = i;
+      await this.playChunk(source, i, item);
+      item.chunkIndex = i + 1;
+    }
+  }
+
+  /**
+   * Get audio for a chunk from the caches or the first backend that works
+   * @returns {Promise<Object>} { type: 'audio', url, backend } or { type: 'native', backend }
+   */
+  async loadChunk(text, item) {
+    const key = this.getCacheKey(text, item.options);
+
+    const cached = this.memoryCache.get(key);
+    if (cached) {
+      // Re-insert to mark as most recently used
+      this.memoryCache.delete(key);
+      this.memoryCache.set(key, cached);
+      return { type: 'audio', url: cached.url, backend: cached.backend };
+    }
+
+    try {
+      const stored = await indexedDBStorage.getTtsAudio(key);
+      if (stored?.blob) {
+        return this.remember(key, stored.blob, stored.backend);
+      }
+    } catch (error) {
+      console.warn('🔊 Speech: Audio cache unavailable:', error.message);
+    }
+
+    let lastError = null;
+    for (const backend of this.backends) {
+      const failedAt = this.backendFailures.get(backend.id);
+      if (failedAt && Date.now() - failedAt < BACKEND_RETRY_MS) continue;
+
+      if (backend.type === 'native') {
+        if (backend.isSupported?.() === false) continue;
+        return { type: 'native', backend };
+      }
+
+      try {
+        const blob = await backend.synthesize(text, {
+          signal: item.controller.signal,
+          lang: item.options.lang,
+          voice: item.options.voice,
+          userId: item.options.userId
+        });
+        this.backendFailures.delete(backend.id);
+        indexedDBStorage
+          .saveTtsAudio({
+            key,
+            text,
+            blob,
+            backend: backend.id,
+            size: blob.size,
+            createdAt: Date.now()
+          }, PERSISTENT_CACHE_SIZE)
+          .catch((error) => console.warn('🔊 Speech: Could not cache audio:', error.message));
+        return this.remember(key, blob, backend.id);
+      } catch (error) {
+        if (item.controller.signal.aborted) throw error;
+        console.warn(`🔊 Speech: ${backend.label} failed, trying the next backend:`, error.message);
+        this.backendFailures.set(backend.id, Date.now());
+        lastError = error;
+      }
+    }
+
+    throw lastError || new SpeechBackendError('No speech backend is available', 'unavailable');
+  }
+
+  remember(key, blob, backendId) {
+    const url = blobUrlManager.createBlobUrl(blob, 'SpeechEngine', { purpose: 'tts-audio' });
+    if (!url) {
+      throw new SpeechBackendError('Could not load synthesized audio', 'empty_audio');
+    }
+
+    this.memoryCache.set(key, { url, blob, backend: backendId });
+    while (this.memoryCache.size > MEMORY_CACHE_SIZE) {
+      const [oldestKey, oldest] = this.memoryCache.entries().next().value;
+      if (oldest.url === this.currentAudio?.src) break;
+      this.memoryCache.delete(oldestKey);
+      blobUrlManager.revokeBlobUrl(oldest.url);
+    }
+    return { type: 'audio', url, backend: backendId };
+  }
+
+  playChunk(source, index, item) {
+    const volume = item.options.volume ?? this.volume;
+    this.currentSource = source;
+    const onStart = () => {
+      this.lastBackend = typeof source.backend === 'string' ? source.backend : source.backend.id;
+      this.emit();
+      if (!item.started) {
+        item.started = true;
+        item.options.onPlayStart?.(item.text);
+      }
+      item.options.onSegmentStart?.(index);
+    };
+
+    if (source.type === 'native') {
+      return source.backend.speak(item.chunks[index], {
+        volume,
+        rate: item.rate,
+        lang: item.options.lang,
+        voice: item.options.voice,
+        onStart,
+        signal: item.controller.signal
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      const audio = new Audio();
+      audio.volume = volume;
+      audio.playbackRate = item.rate;
+      audio.preload = 'auto';
+      audio.crossOrigin = 'anonymous';
+
+      // Let avatars lip-sync to this audio
+      speechAnalysisService.track(audio);
+      this.currentAudio = audio;
+
+      const cleanup = () => item.controller.signal.removeEventListener('abort', handleAbort);
+      const handleAbort = () => {
+        cleanup();
+        audio.pause();
+        resolve();
+      };
+      item.controller.signal.addEventListener('abort', handleAbort);
+
+      audio.addEventListener('ended', () => {
+        cleanup();
+        resolve();
+      });
+      audio.addEventListener('error', () => {
+        cleanup();
+        reject(new SpeechBackendError('Audio playback failed', 'playback_error'));
+      });
+
+      audio.src = source.url;
+      audio.play().then(onStart).catch((error) => {
+        cleanup();
+        reject(error.name === 'NotAllowedError' ? autoplayBlockedError() : error);
+      });
+    });
+  }
+
+  blockUntilInteraction() {
+    if (this.autoplayBlocked || typeof document === 'undefined') return;
+    this.autoplayBlocked = true;
+    console.info('🔊 Speech: Autoplay blocked - will continue after user interaction');
+
+    const resume = () => {
+      document.removeEventListener('click', resume);
+      document.removeEventListener('keydown', resume);
+      document.removeEventListener('touchstart', resume);
+      this.autoplayBlocked = false;
+      this.emit();
+      this.processQueue();
+    };
+    document.addEventListener('click', resume);
+    document.addEventListener('keydown', resume);
+    document.addEventListener('touchstart', resume);
+    this.emit();
+  }
+
+  /**
+   * Speak text now, stopping anything already playing
+   */
+  playTTS(text, options = {}) {
+    return this.speak(text, { priority: SPEECH_PRIORITY.high, ...options, interrupt: true });
+  }
+
+  /**
+   * Speak text after whatever is already queued
+   */
+  queueTTS(text, options = {}) {
+    return this.speak(text, options);
+  }
+
+  /**
+   * Speak an AI reply if auto-play is on. Failures are logged, not thrown.
+   * @param {string} text - AI-generated text
+   * @param {Object} options - speak() options plus { delay } in ms
+   */
+  autoPlayAI(text, options = {}) {
+    if (!this.autoPlayEnabled || !text || !text.trim()) {
+      return;
+    }
+
+    // Add a small delay for better UX
+    const { delay = 500, ...speakOptions } = options;
+    setTimeout(() => {
+      this.speak(text, { interrupt: true, ...speakOptions }).catch((error) => {
+        console.warn('⚠️ Speech: Auto-play failed, continuing silently:', error.message);
+      });
+    }, delay);
+  }
+
+  /**
+   * Synthesize text to a single audio file without playing it
+   * @returns {Promise<Object>} { status, audioUrl, fullAudioUrl, backend, text }
+   */
+  async generateTTS(text, options = {}) {
+    const cleaned = cleanTextForSpeech(text);
+    if (!cleaned) {
+      throw new Error('Text is required for TTS generation');
+    }
+
+    const item = { options, controller: new AbortController() };
+    const source = await this.loadChunk(cleaned, item);
+    if (source.type !== 'audio') {
+      throw new SpeechBackendError('No TTS server is available to generate audio', 'unavailable');
+    }
+    return {
+      status: 'success',
+      audioUrl: source.url,
+      fullAudioUrl: source.url,
+      backend: source.backend,
+      text: cleaned
+    };
+  }
+
+  /**
+   * @deprecated Use stop()
+   */
+  stopCurrentAudio() {
+    this.stop();
+  }
+
+  getCacheKey(text, options = {}) {
+    return `tts_${hashText(text)}_${text.length}_${options.lang || 'default'}${options.voice ? `_${hashText(options.voice)}` : ''}`;
+  }
+
+  /**
+   * Check which backends are reachable. Results are shared for a short while
+   * so every mounted hook doesn't ping the servers.
+   * @returns {Promise<boolean>} Whether any backend, including the browser's, can speak
+   */
+  async checkServiceHealth({ force = false } = {}) {
+    const fresh = Date.now() - this.health.checkedAt < HEALTH_CACHE_MS;
+    if (!force && fresh) return Object.values(this.health.backends).some(Boolean);
+    if (!this.health.promise) {
+      this.health.promise = Promise.all(
+        this.backends.map(async (backend) => {
+          try {
+            return [backend.id, Boolean(await backend.checkHealth())];
+          } catch {
+            return [backend.id, false];
+          }
+        })
+      ).then((results) => {
+        this.health = { checkedAt: Date.now(), promise: null, backends: Object.fromEntries(results) };
+        results.forEach(([id, healthy]) => {
+          if (healthy) this.backendFailures.delete(id);
+        });
+        this.emit();
+        return results.some(([, healthy]) => healthy);
+      });
+    }
+    return this.health.promise;
+  }
+
+  /**
+   * Configure TTS settings
+   * @param {Object} settings - { autoPlayEnabled, volume }
+   */
+  configure(settings = {}) {
+    if (typeof settings.autoPlayEnabled === 'boolean') {
+      this.autoPlayEnabled = settings.autoPlayEnabled;
+    }
+    if (typeof settings.volume === 'number' && settings.volume >= 0 && settings.volume <= 1) {
+      this.volume = settings.volume;
+    }
+    this.emit();
+  }
+
+  /**
+   * Clear the memory and IndexedDB audio caches
+   */
+  clearCache() {
+    this.memoryCache.forEach(({ url }) => blobUrlManager.revokeBlobUrl(url));
+    this.memoryCache.clear();
+    indexedDBStorage
+      .clearTtsAudio()
+      .catch((error) => console.warn('🔊 Speech: Could not clear audio cache:', error.message));
+    this.emit();
+  }
+
+  buildStatus() {
+    return {
+      isPlaying: Boolean(this.currentItem?.started) && !this.autoplayBlocked,
+      isGenerating: this.isLoading,
+      isPaused: this.isPaused,
+      isProcessingQueue: this.isProcessingQueue,
+      currentText: this.currentItem?.text || null,
+      queueLength: this.queue.length,
+      autoplayBlocked: this.autoplayBlocked,
+      autoPlayEnabled: this.autoPlayEnabled,
+      volume: this.volume,
+      cacheSize: this.memoryCache.size,
+      backend: this.lastBackend,
+      backendHealth: this.health.backends
+    };
+  }
+
+  /**
+   * Get engine status; the same object is returned until something changes
+   * @returns {Object} Status snapshot
+   */
+  getStatus() {
+    return this.snapshot;
+  }
+
+  emit() {
+    this.snapshot = this.buildStatus();
+    this.listeners.forEach((listener) => {
+      try {
+        listener(this.snapshot);
+      } catch (error) {
+        console.error('Speech engine listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * @param {Function} listener - Called with the status whenever it changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Create singleton instance
+const speechEngine = new SpeechEngine();
+
+export default speechEngine;
+
+export { SpeechEngine };
@@ -0,0 +1,290 @@
+/**
+ * Streaming Client
+ * ================
+ *
+ * Shared reader for the server-sent event streams used by lesson generation
+ * and document analysis. Events are typed (progress, delta, sources, document,
+ * error, done) and parsed with a buffer, so a line cut in half by a chunk boundary
+ * is only handled once it is complete.
+ */
+
+export const STREAM_EVENTS = {
+  PROGRESS: 'progress',
+  DELTA: 'delta',
+  SOURCES: 'sources',
+  // A structured lesson document (see utils/lessonDocument.js)
+  DOCUMENT: 'document',
+  ERROR: 'error',
+  DONE: 'done',
+};
+
+// Markers sent as plain `data:` lines by backends that predate typed events
+const LEGACY_DONE_MARKERS = ['[END]', '[STREAM_END]'];
+const LEGACY_ERROR_MARKERS = ['[ERROR]', '[STREAM_ERROR]'];
+
+/**
+ * Create an incremental SSE parser
+ * @param {Function} onMessage - Called with { event, data, id } for every complete message
+ * @returns {{ push: Function, flush: Function }} Parser handle
+ */
+export const createSSEParser = (onMessage) => {
+  let buffer = '';
+  let eventName = '';
+  let dataLines = [];
+  let lastEventId = null;
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onMessage({
+        event: eventName || 'message',
+        data: dataLines.join('\n'),
+        id: lastEventId,
+      });
+    }
+    eventName = '';
+    dataLines = [];
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) {
+      return; // Comment / keep-alive
+    }
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'event':
+        eventName = value;
+        break;
+      case 'data':
+        dataLines.push(value);
+        break;
+      case 'id':
+        lastEventId = value;
+        break;
+      default:
+        break; // `retry` and unknown fields are ignored
+    }
+  };
+
+  return {
+    /**
+     * Feed decoded text into the parser
+     * @param {string} text - Decoded chunk
+     */
+    push(text) {
+      buffer += text;
+      const lines = buffer.split(/\r\n|\r|\n/);
+      // The last entry may be an incomplete line; keep it for the next chunk
+      buffer = lines.pop();
+      lines.forEach(processLine);
+    },
+
+    /**
+     * Handle whatever is left once the stream has ended
+     */
+    flush() {
+      if (buffer) {
+        processLine(buffer);
+        buffer = '';
+      }
+      dispatch();
+    },
+  };
+};
+
+/**
+ * Convert a raw SSE message into a typed stream event
+ * @param {Object} message - Message from createSSEParser
+ * @returns {Object} Typed event: { type, ...payload }
+ */
+export const toStreamEvent = ({ event, data }) => {
+  if (event === 'message') {
+    const marker = data.trim();
+    if (LEGACY_DONE_MARKERS.includes(marker)) {
+      return { type: STREAM_EVENTS.DONE };
+    }
+    if (LEGACY_ERROR_MARKERS.includes(marker)) {
+      return { type: STREAM_EVENTS.ERROR, message: 'Streaming error occurred' };
+    }
+    return { type: STREAM_EVENTS.DELTA, text: `${data}\n` };
+  }
+
+  let payload;
+  try {
+    payload = data ? JSON.parse(data) : {};
+  } catch {
+    payload = { text: data, message: data };
+  }
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    payload = { value: payload };
+  }
+
+  return { ...payload, type: event };
+};
+
+/**
+ * Record a progress event in an ordered list of stages.
+ * Earlier stages are marked complete when a new stage starts.
+ * @param {Array} stages - Current stages
+ * @param {Object} event - Progress event ({ stage, message, status })
+ * @returns {Array} Updated stages
+ */
+export const applyProgressEvent = (stages, event) => {
+  const key = event.stage || event.message;
+  const status = event.status || 'active';
+  const existing = stages.find((stage) => stage.stage === key);
+
+  if (existing) {
+    return stages.map((stage) =>
+      stage.stage === key
+        ? { ...stage, message: event.message || stage.message, status }
+        : stage
+    );
+  }
+
+  return [
+    ...stages.map((stage) =>
+      stage.status === 'active' ? { ...stage, status: 'complete' } : stage
+    ),
+    { stage: key, message: event.message || key, status },
+  ];
+};
+
+/**
+ * Mark every stage complete, used once a stream finishes
+ * @param {Array} stages - Current stages
+ * @returns {Array} Updated stages
+ */
+export const completeStages = (stages) =>
+  stages.map((stage) =>
+    stage.status === 'active' ? { ...stage, status: 'complete' } : stage
+  );
+
+/**
+ * Open a stream and dispatch its typed events
+ * @param {string} url - Stream URL
+ * @param {Object} options - Stream options
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the stream
+ * @param {Object} [options.fetchOptions] - Extra options passed to fetch
+ * @param {string} [options.requestId] - When set, events tagged with another
+ *   request_id are dropped, including their error and done events
+ * @param {Function} [options.onEvent] - Called with every typed event
+ * @param {Function} [options.onProgress] - Called with (stages, event) on progress
+ * @param {Function} [options.onDelta] - Called with (content, text) as content arrives
+ * @param {Function} [options.onSources] - Called with the list of sources
+ * @param {Function} [options.onDocument] - Called with a structured lesson document
+ * @returns {Promise<Object>} { content, sources, document, stages, completed, summary }
+ */
+export async function streamEvents(url, options = {}) {
+  const { signal, fetchOptions = {}, requestId, onEvent, onProgress, onDelta, onSources, onDocument } = options;
+
+  const response = await fetch(url, {
+    ...fetchOptions,
+    signal,
+    headers: { Accept: 'text/event-stream', ...(fetchOptions.headers || {}) },
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const result = {
+    content: '',
+    sources: [],
+    document: null,
+    stages: [],
+    completed: false,
+    summary: null,
+  };
+  let streamError = null;
+
+  const handleEvent = (event) => {
+    if (result.completed || streamError) {
+      return;
+    }
+    if (requestId && event.request_id && event.request_id !== requestId) {
+      return;
+    }
+    onEvent?.(event);
+
+    switch (event.type) {
+      case STREAM_EVENTS.PROGRESS:
+        result.stages = applyProgressEvent(result.stages, event);
+        onProgress?.(result.stages, event);
+        break;
+      case STREAM_EVENTS.DELTA:
+        if (event.text) {
+          result.content += event.text;
+          onDelta?.(result.content, event.text);
+        }
+        break;
+      case STREAM_EVENTS.SOURCES:
+        result.sources = Array.isArray(event.sources) ? event.sources : [];
+        onSources?.(result.sources);
+        break;
+      case STREAM_EVENTS.DOCUMENT:
+        if (event.document && typeof event.document === 'object') {
+          result.document = event.document;
+          onDocument?.(result.document);
+        }
+        break;
+      case STREAM_EVENTS.ERROR:
+        streamError = new Error(event.message || 'Streaming error occurred');
+        break;
+      case STREAM_EVENTS.DONE:
+        result.completed = true;
+        result.summary = event;
+        result.stages = completeStages(result.stages);
+        onProgress?.(result.stages, event);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const parser = createSSEParser((message) => handleEvent(toStreamEvent(message)));
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  try {
+    while (!result.completed && !streamError) {
+      const { done, value } = await reader.read();
+      if (done) {
+        parser.push(decoder.decode());
+        parser.flush();
+        break;
+      }
+      parser.push(decoder.decode(value, { stream: true }));
+    }
+  } finally {
+    if (result.completed || streamError) {
+      reader.cancel().catch(() => {});
+    }
+  }
+
+  if (streamError) {
+    throw streamError;
+  }
+
+  return result;
+}
+
+const streamingClient = {
+  streamEvents,
+  createSSEParser,
+  toStreamEvent,
+  applyProgressEvent,
+  completeStages,
+};
+
+export default streamingClient;
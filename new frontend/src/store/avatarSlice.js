@@ -1,5 +1,6 @@
 import { createSlice, createSelector } from "@reduxjs/toolkit";
 import { storage } from "../utils/storageUtils";
+import { normalizePersona } from "../utils/avatarPersona";
 
 const initialState = {
   // Favorites state
@@ -21,7 +22,7 @@ const initialState = {
   activeSettingsTab: "pin",
 
   // Main page tab state (for avatar-selection page)
-  activeMainTab: "favorites", // 'custom-models' or 'favorites'
+  activeMainTab: "favorites", // 'custom-models', 'favorites' or 'generate'
 
   // Custom Models state
   customModels: [], // Array of uploaded .glb models with metadata
@@ -124,6 +125,32 @@ export const avatarSlice = createSlice({
       }
     },
 
+    // Persona settings of a favorite; the selected avatar follows so the chat
+    // picks them up straight away
+    setFavoritePersona: (state, action) => {
+      if (!Array.isArray(state.favorites)) {
+        state.favorites = [];
+        return;
+      }
+      const { id, persona } = action.payload;
+      const index = state.favorites.findIndex((fav) => fav.id === id);
+      if (index === -1) return;
+
+      state.favorites[index].persona = persona;
+      if (state.selectedAvatar?.id === id) {
+        state.selectedAvatar.persona = persona;
+      }
+
+      try {
+        localStorage.setItem(
+          "gurukul_favorite_avatars",
+          JSON.stringify(state.favorites)
+        );
+      } catch (error) {
+        console.error("Error saving favorites after persona update:", error);
+      }
+    },
+
     // Selected avatar
     setSelectedAvatar: (state, action) => {
       state.selectedAvatar = action.payload;
@@ -511,6 +538,7 @@ export const {
   addFavorite,
   removeFavorite,
   updateFavorite,
+  setFavoritePersona,
   setSelectedAvatar,
   // Grid actions removed
   setPinPosition,
@@ -566,6 +594,16 @@ export const selectSelectedAvatar = createSelector(
   (avatarState) => avatarState.selectedAvatar
 );
 
+// Persona of the selected avatar; the favorite holds the latest settings
+export const selectActivePersona = createSelector(
+  [selectFavorites, selectSelectedAvatar],
+  (favorites, selectedAvatar) => {
+    if (!selectedAvatar) return normalizePersona(null);
+    const favorite = favorites.find((fav) => fav.id === selectedAvatar.id);
+    return normalizePersona(favorite?.persona || selectedAvatar.persona);
+  }
+);
+
 // Grid selectors removed - only pin mode now
 
 export const selectPinPosition = createSelector(
@@ -140,6 +140,8 @@ import { avatarChatApiSlice } from "../api/avatarChatApiSlice";
 import { agentApiSlice } from "../api/agentApiSlice";
 import { financialChatApiSlice } from "../api/financialChatApiSlice";
 import { pipelineApiSlice } from "../api/pipelineApiSlice";
+import { forecastingApiSlice } from "../api/forecastingApiSlice";
+import { memoryApiSlice } from "../api/memoryApiSlice";
 
 // Migration transform to clean up old data and optimize storage
 const avatarMigrationTransform = {
@@ -317,6 +319,8 @@ const rootReducer = combineReducers({
   [agentApiSlice.reducerPath]: agentApiSlice.reducer,
   [financialChatApiSlice.reducerPath]: financialChatApiSlice.reducer,
   [pipelineApiSlice.reducerPath]: pipelineApiSlice.reducer,
+  [forecastingApiSlice.reducerPath]: forecastingApiSlice.reducer,
+  [memoryApiSlice.reducerPath]: memoryApiSlice.reducer,
 });
 
 export const store = configureStore({
@@ -337,7 +341,9 @@ export const store = configureStore({
       avatarChatApiSlice.middleware,
       agentApiSlice.middleware,
       financialChatApiSlice.middleware,
-      pipelineApiSlice.middleware
+      pipelineApiSlice.middleware,
+      forecastingApiSlice.middleware,
+      memoryApiSlice.middleware
     ),
   devTools: process.env.NODE_ENV !== "production",
 });
@@ -3,6 +3,8 @@
  * This file contains manual tests to verify the image upload feature works correctly
  */
 
+import { DB_NAME, DB_VERSION } from '../utils/indexedDBStorage';
+
 // Test 1: File Type Detection
 export const testFileTypeDetection = () => {
   console.log('🧪 Testing file type detection...');
@@ -62,10 +64,8 @@ export const testIndexedDBStructure = async () => {
     }
     
     // Test database opening
-    const dbName = 'GurukulStorage';
-    const dbVersion = 2;
-    
-    const request = indexedDB.open(dbName, dbVersion);
+    // Open the schema the app uses, or opening would fail or run a stale upgrade
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
     
     return new Promise((resolve, reject) => {
       request.onsuccess = (event) => {
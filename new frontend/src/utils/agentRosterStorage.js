@@ -0,0 +1,329 @@
+/**
+ * Agent Roster Storage Utility
+ * Stores each user's Agent Simulator agents in localStorage and converts
+ * them to and from a JSON export, so rosters can be shared between teachers
+ */
+
+import { safeSetItem } from './storageManager';
+import { downloadFile } from './chatExport';
+import { AGENT_TYPES, DEFAULT_AGENT_TYPE, INPUT_FIELD_TYPES } from '../config/agentTypes';
+
+// Storage keys
+const AGENT_ROSTERS_KEY = 'gurukul_agent_rosters';
+
+export const AGENT_ROSTER_FORMAT = 'gurukul-agent-roster';
+export const AGENT_ROSTER_VERSION = 1;
+
+const MAX_AGENTS_PER_USER = 50;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Agents every user starts with. IDs stay numeric: the agent API and the
+// agent logs table both key on integer agent IDs.
+export const DEFAULT_AGENTS = [
+  {
+    id: 1,
+    name: 'EduMentor',
+    type: 'education',
+    color: '#10B981',
+    confidence: 0.85,
+    goal: 'Knowledge transfer',
+    description: 'Specialized in educational content and academic guidance',
+    systemPrompt: '',
+    inputSchema: [],
+  },
+  {
+    id: 2,
+    name: 'FinancialCrew',
+    type: 'financial',
+    color: '#3B82F6',
+    confidence: 0.78,
+    goal: 'Financial literacy',
+    description: 'Expert in financial planning and investment strategies',
+    systemPrompt: '',
+    inputSchema: [],
+  },
+  {
+    id: 3,
+    name: 'WellnessBot',
+    type: 'wellness',
+    color: '#F97316',
+    confidence: 0.92,
+    goal: 'Health optimization',
+    description: 'Focused on mental and physical wellbeing advice',
+    systemPrompt: '',
+    inputSchema: [],
+  },
+];
+
+const toFieldKey = (value) =>
+  (value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+const clampConfidence = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(1, Math.max(0, number)) : 0.8;
+};
+
+/**
+ * Clean up an input form field, deriving its key from the label when missing
+ */
+const normalizeField = (field) => {
+  const label = (field.label || field.name || '').trim();
+  const type = INPUT_FIELD_TYPES[field.type] ? field.type : 'text';
+  const options = Array.isArray(field.options)
+    ? field.options.map((option) => String(option).trim()).filter(Boolean)
+    : [];
+
+  return {
+    name: toFieldKey(field.name || label),
+    label,
+    type,
+    required: Boolean(field.required),
+    placeholder: (field.placeholder || '').trim(),
+    ...(type === 'select' && { options }),
+  };
+};
+
+/**
+ * Clean up an agent definition: unknown types fall back to custom and only
+ * definition fields are kept (status and confidence drift are runtime state)
+ */
+export const normalizeAgent = (agent) => {
+  const type = AGENT_TYPES[agent.type] ? agent.type : DEFAULT_AGENT_TYPE;
+  const seenFields = new Set();
+
+  return {
+    id: agent.id,
+    name: (agent.name || '').trim(),
+    type,
+    color: HEX_COLOR.test(agent.color || '') ? agent.color : AGENT_TYPES[type].defaultColor,
+    confidence: clampConfidence(agent.confidence),
+    goal: (agent.goal || '').trim(),
+    description: (agent.description || '').trim(),
+    systemPrompt: (agent.systemPrompt || '').trim(),
+    inputSchema: (Array.isArray(agent.inputSchema) ? agent.inputSchema : [])
+      .filter((field) => field && typeof field === 'object')
+      .map(normalizeField)
+      .filter((field) => {
+        if (!field.name || seenFields.has(field.name)) return false;
+        seenFields.add(field.name);
+        return true;
+      }),
+  };
+};
+
+/**
+ * Check an agent definition before it is saved
+ * @param {Object} agent - Definition being edited
+ * @param {Array} roster - The other agents in the roster
+ * @returns {Object} Error messages keyed by field; empty when valid
+ */
+export const validateAgent = (agent, roster = []) => {
+  const errors = {};
+  const name = (agent.name || '').trim();
+
+  if (!name) {
+    errors.name = 'Name is required';
+  } else if (
+    roster.some((other) => other.id !== agent.id && other.name.toLowerCase() === name.toLowerCase())
+  ) {
+    errors.name = 'Another agent already has this name';
+  }
+  if (!AGENT_TYPES[agent.type]) {
+    errors.type = 'Choose a type';
+  }
+  if (!HEX_COLOR.test(agent.color || '')) {
+    errors.color = 'Use a hex color such as #10B981';
+  }
+
+  const fieldNames = new Set();
+  (agent.inputSchema || []).forEach((field, index) => {
+    const key = toFieldKey(field.name || field.label);
+    if (!key) {
+      errors[`inputSchema.${index}`] = 'Field label is required';
+    } else if (fieldNames.has(key)) {
+      errors[`inputSchema.${index}`] = 'Field names must be unique';
+    } else if (field.type === 'select' && !(field.options || []).some((option) => String(option).trim())) {
+      errors[`inputSchema.${index}`] = 'Add at least one choice';
+    }
+    fieldNames.add(key);
+  });
+
+  return errors;
+};
+
+/**
+ * Required fields that still have no value
+ * @param {Array} schema - The agent's input form fields
+ * @param {Object} values - Current values keyed by field name
+ * @returns {Array} Labels of the missing fields
+ */
+export const getMissingInputs = (schema = [], values = {}) =>
+  schema
+    .filter((field) => {
+      if (!field.required) return false;
+      const value = values[field.name];
+      return field.type === 'checkbox' ? !value : !String(value ?? '').trim();
+    })
+    .map((field) => field.label);
+
+const nextAgentId = (roster) => Math.max(0, ...roster.map((agent) => Number(agent.id) || 0)) + 1;
+
+class AgentRosterStorage {
+  /**
+   * Load rosters for every user from localStorage
+   */
+  loadAll() {
+    try {
+      const stored = localStorage.getItem(AGENT_ROSTERS_KEY);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        if (typeof parsed === 'object' && parsed !== null) {
+          return parsed;
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to load agent rosters:', error);
+    }
+    return {};
+  }
+
+  /**
+   * Save rosters for every user to localStorage
+   */
+  async saveAll(rostersByUser) {
+    try {
+      const result = await safeSetItem(AGENT_ROSTERS_KEY, JSON.stringify(rostersByUser));
+      return result.success;
+    } catch (error) {
+      console.error('Failed to save agent rosters:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a user's agents; users who never edited their roster get the defaults
+   */
+  getRoster(userId = 'guest-user') {
+    const roster = this.loadAll()[userId];
+    if (!Array.isArray(roster)) {
+      return DEFAULT_AGENTS.map((agent) => normalizeAgent(agent));
+    }
+    return roster.filter((agent) => agent && agent.name).map(normalizeAgent);
+  }
+
+  /**
+   * Replace a user's agents
+   * @returns {Promise<boolean>} Whether the roster was saved
+   */
+  async saveRoster(userId = 'guest-user', roster) {
+    const rosters = this.loadAll();
+    rosters[userId] = roster.slice(0, MAX_AGENTS_PER_USER).map(normalizeAgent);
+    return this.saveAll(rosters);
+  }
+
+  /**
+   * Add an agent to a roster with the next free ID
+   * @returns {Array} The new roster
+   */
+  addAgent(roster, agent) {
+    if (roster.length >= MAX_AGENTS_PER_USER) {
+      throw new Error(`A roster can hold at most ${MAX_AGENTS_PER_USER} agents`);
+    }
+    return [...roster, normalizeAgent({ ...agent, id: nextAgentId(roster) })];
+  }
+
+  /**
+   * Copy an agent under an unused "(copy)" name
+   * @returns {Array} The new roster
+   */
+  cloneAgent(roster, agent) {
+    const names = new Set(roster.map((other) => other.name.toLowerCase()));
+    let name = `${agent.name} (copy)`;
+    for (let n = 2; names.has(name.toLowerCase()); n += 1) {
+      name = `${agent.name} (copy ${n})`;
+    }
+    return this.addAgent(roster, { ...agent, name });
+  }
+
+  /**
+   * Build the JSON export document for a roster
+   */
+  buildExport(roster) {
+    return {
+      format: AGENT_ROSTER_FORMAT,
+      version: AGENT_ROSTER_VERSION,
+      exportedAt: new Date().toISOString(),
+      agents: roster.map(normalizeAgent),
+    };
+  }
+
+  /**
+   * Download a roster as a JSON file
+   */
+  exportRoster(roster) {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      JSON.stringify(this.buildExport(roster), null, 2),
+      `gurukul-agents-${date}.json`,
+      'application/json'
+    );
+  }
+
+  /**
+   * Validate an export document (or its JSON text)
+   * @param {string|Object} input - JSON text or parsed document
+   * @returns {Array} The agents it contains, without IDs
+   * @throws {Error} When the document is not a readable Gurukul agent roster
+   */
+  parseExport(input) {
+    let data = input;
+    if (typeof input === 'string') {
+      try {
+        data = JSON.parse(input);
+      } catch {
+        throw new Error('The file is not valid JSON');
+      }
+    }
+
+    if (!data || data.format !== AGENT_ROSTER_FORMAT || !Array.isArray(data.agents)) {
+      throw new Error('The file is not a Gurukul agent roster');
+    }
+    if (!Number.isInteger(data.version) || data.version > AGENT_ROSTER_VERSION) {
+      throw new Error(`Unsupported agent roster version: ${data.version}`);
+    }
+
+    return data.agents
+      .filter((agent) => agent && typeof agent === 'object' && typeof agent.name === 'string' && agent.name.trim())
+      .map((agent) => ({ ...normalizeAgent(agent), id: undefined }));
+  }
+
+  /**
+   * Append imported agents to a roster. Imported agents get new IDs, and
+   * clones when their name is already taken; exact copies are skipped.
+   * @returns {{roster: Array, imported: number}}
+   */
+  importAgents(roster, agents) {
+    const sameDefinition = (a, b) =>
+      JSON.stringify({ ...normalizeAgent(a), id: null }) === JSON.stringify({ ...normalizeAgent(b), id: null });
+
+    let next = roster;
+    agents.forEach((agent) => {
+      const namesake = next.find((other) => other.name.toLowerCase() === agent.name.toLowerCase());
+      if (!namesake) {
+        next = this.addAgent(next, agent);
+      } else if (!sameDefinition(namesake, agent)) {
+        next = this.cloneAgent(next, agent);
+      }
+    });
+    return { roster: next, imported: next.length - roster.length };
+  }
+}
+
+// Create singleton instance
+const agentRosterStorage = new AgentRosterStorage();
+
+export default agentRosterStorage;
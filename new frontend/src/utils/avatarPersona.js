@@ -0,0 +1,275 @@
+/**
+ * Avatar Personas
+ * A favourite avatar can carry a persona: its personality and teaching style,
+ * the voice and speed it speaks with, the language it answers in and the
+ * subjects it focuses on. The avatar chat applies the persona of whichever
+ * avatar is selected. Personas are shared as bundle files that also hold the
+ * avatar's GLB or image.
+ */
+
+import { downloadFile } from './chatExport';
+
+export const AVATAR_BUNDLE_FORMAT = 'gurukul-avatar-bundle';
+export const AVATAR_BUNDLE_VERSION = 1;
+export const AVATAR_BUNDLE_EXTENSION = '.gurukul-avatar.json';
+
+export const TEACHING_STYLES = {
+  balanced: {
+    label: 'Balanced',
+    prompt: '',
+  },
+  socratic: {
+    label: 'Socratic',
+    prompt: 'Teach by asking guiding questions that lead the student to the answer instead of giving it straight away.',
+  },
+  step_by_step: {
+    label: 'Step by step',
+    prompt: 'Break explanations into short numbered steps and check the student is following before moving on.',
+  },
+  storyteller: {
+    label: 'Storyteller',
+    prompt: 'Explain ideas through stories, analogies and everyday examples.',
+  },
+  concise: {
+    label: 'Concise',
+    prompt: 'Keep answers short and to the point, expanding only when asked.',
+  },
+};
+
+// Reply languages and the speech language used to read replies aloud
+export const PERSONA_LANGUAGES = [
+  { value: '', label: 'Same as the student', speechLang: null },
+  { value: 'English', label: 'English', speechLang: 'en-IN' },
+  { value: 'Hindi', label: 'हिन्दी (Hindi)', speechLang: 'hi-IN' },
+  { value: 'Sanskrit', label: 'संस्कृतम् (Sanskrit)', speechLang: 'sa-IN' },
+  { value: 'Marathi', label: 'मराठी (Marathi)', speechLang: 'mr-IN' },
+  { value: 'Bengali', label: 'বাংলা (Bengali)', speechLang: 'bn-IN' },
+  { value: 'Tamil', label: 'தமிழ் (Tamil)', speechLang: 'ta-IN' },
+  { value: 'Telugu', label: 'తెలుగు (Telugu)', speechLang: 'te-IN' },
+  { value: 'Spanish', label: 'Español (Spanish)', speechLang: 'es-ES' },
+  { value: 'French', label: 'Français (French)', speechLang: 'fr-FR' },
+];
+
+export const SPEECH_RATE_RANGE = { min: 0.5, max: 2, step: 0.1 };
+
+export const DEFAULT_PERSONA = {
+  personality: '',
+  teachingStyle: 'balanced',
+  voice: '',
+  rate: 1,
+  language: '',
+  subjects: [],
+};
+
+// Longest personality text kept; it is sent with every message
+const MAX_PERSONALITY_LENGTH = 2000;
+const MAX_SUBJECTS = 10;
+
+/**
+ * Fill in and clean up persona settings
+ * @param {Object} [persona] - Stored or imported persona
+ * @returns {Object} Persona with every DEFAULT_PERSONA field
+ */
+export const normalizePersona = (persona) => {
+  if (!persona || typeof persona !== 'object') {
+    return { ...DEFAULT_PERSONA };
+  }
+
+  const subjects = Array.isArray(persona.subjects)
+    ? persona.subjects
+    : String(persona.subjects || '').split(',');
+  const rate = Number(persona.rate);
+
+  return {
+    personality: String(persona.personality || '').trim().slice(0, MAX_PERSONALITY_LENGTH),
+    teachingStyle: TEACHING_STYLES[persona.teachingStyle] ? persona.teachingStyle : DEFAULT_PERSONA.teachingStyle,
+    voice: String(persona.voice || '').trim(),
+    rate: Number.isFinite(rate)
+      ? Math.min(SPEECH_RATE_RANGE.max, Math.max(SPEECH_RATE_RANGE.min, rate))
+      : DEFAULT_PERSONA.rate,
+    language: PERSONA_LANGUAGES.some((option) => option.value === persona.language) ? persona.language : '',
+    subjects: [...new Set(subjects.map((subject) => String(subject).trim()).filter(Boolean))].slice(0, MAX_SUBJECTS),
+  };
+};
+
+/**
+ * Whether a persona changes anything from the defaults
+ */
+export const hasPersonaSettings = (persona) => {
+  const normalized = normalizePersona(persona);
+  return Object.keys(DEFAULT_PERSONA).some(
+    (key) => JSON.stringify(normalized[key]) !== JSON.stringify(DEFAULT_PERSONA[key])
+  );
+};
+
+/**
+ * Prompt section describing who the avatar is and how it teaches
+ * @param {Object} persona - Persona settings
+ * @param {string} name - Name the chat speaks as
+ * @returns {string} Prompt text, empty when the persona sets nothing
+ */
+export const buildPersonaPrompt = (persona, name) => {
+  const { personality, teachingStyle, language, subjects } = normalizePersona(persona);
+  const lines = [
+    personality && `You are ${name}. ${personality}`,
+    TEACHING_STYLES[teachingStyle].prompt,
+    subjects.length > 0 &&
+      `You focus on ${subjects.join(', ')}; connect other questions back to these subjects where it helps.`,
+    language && `Always reply in ${language}.`,
+  ].filter(Boolean);
+
+  return lines.length > 0 ? `How you (${name}) speak and teach:\n${lines.join('\n')}` : '';
+};
+
+/**
+ * speechEngine options that make replies sound like the persona
+ * @param {Object} persona - Persona settings
+ * @returns {Object} { voice, rate, lang }
+ */
+export const getPersonaSpeechOptions = (persona) => {
+  const { voice, rate, language } = normalizePersona(persona);
+  const speechLang = PERSONA_LANGUAGES.find((option) => option.value === language)?.speechLang;
+  return {
+    voice: voice || undefined,
+    rate,
+    lang: speechLang || undefined,
+  };
+};
+
+const readAsDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+// The avatar's GLB or image as a data URL
+const getAvatarMediaData = async (avatar) => {
+  if (typeof avatar.fileData === 'string' && avatar.fileData.startsWith('data:')) {
+    return avatar.fileData;
+  }
+  if (!avatar.previewUrl) {
+    throw new Error('This avatar has no model or image to export');
+  }
+  if (avatar.previewUrl.startsWith('data:')) {
+    return avatar.previewUrl;
+  }
+
+  const response = await fetch(avatar.previewUrl);
+  if (!response.ok) {
+    throw new Error(`Could not read the avatar file (${response.status})`);
+  }
+  return readAsDataUrl(await response.blob());
+};
+
+const getMediaType = (avatar, data) =>
+  avatar.mediaType === 'image' || data.startsWith('data:image/') ? 'image' : '3d';
+
+/**
+ * Build a shareable bundle of an avatar, its persona and its media
+ * @param {Object} avatar - Favourite avatar
+ * @param {Object} [options] - { name, model } display name and default chat model
+ * @returns {Promise<Object>} Bundle document
+ */
+export const buildAvatarBundle = async (avatar, { name, model = null } = {}) => {
+  const data = await getAvatarMediaData(avatar);
+
+  return {
+    format: AVATAR_BUNDLE_FORMAT,
+    version: AVATAR_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    avatar: {
+      name: name || avatar.name || 'Avatar',
+      mediaType: getMediaType(avatar, data),
+      pinPosition: avatar.pinPosition || null,
+      pinRotation: avatar.pinRotation || null,
+      pinScale: avatar.pinScale ?? null,
+    },
+    persona: { ...normalizePersona(avatar.persona), model },
+    media: { data },
+  };
+};
+
+/**
+ * Validate a bundle document (or its JSON text)
+ * @param {string|Object} input - JSON text or parsed bundle
+ * @returns {Object} { avatar, persona, model, media }
+ * @throws {Error} When the document is not a readable avatar bundle
+ */
+export const parseAvatarBundle = (input) => {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error('The file is not valid JSON');
+    }
+  }
+
+  if (!data || data.format !== AVATAR_BUNDLE_FORMAT || !data.avatar || !data.media) {
+    throw new Error('The file is not a Gurukul avatar bundle');
+  }
+  if (!Number.isInteger(data.version) || data.version > AVATAR_BUNDLE_VERSION) {
+    throw new Error(`Unsupported avatar bundle version: ${data.version}`);
+  }
+  if (typeof data.media.data !== 'string' || !data.media.data.startsWith('data:')) {
+    throw new Error('The bundle does not contain the avatar model or image');
+  }
+
+  return {
+    avatar: {
+      ...data.avatar,
+      name: String(data.avatar.name || 'Avatar').trim().slice(0, 100),
+      mediaType: getMediaType(data.avatar, data.media.data),
+    },
+    persona: normalizePersona(data.persona),
+    model: typeof data.persona?.model === 'string' ? data.persona.model : null,
+    media: { data: data.media.data },
+  };
+};
+
+/**
+ * Favourite avatar for an imported bundle
+ * @param {Object} bundle - Result of parseAvatarBundle
+ * @returns {Object} Favourite ready for addFavorite
+ */
+export const createFavoriteFromBundle = ({ avatar, persona, media }) => ({
+  id: `fav_bundle_${Date.now()}`,
+  name: avatar.name,
+  mediaType: avatar.mediaType,
+  previewUrl: media.data,
+  fileData: media.data,
+  isCustomModel: true,
+  isImported: true,
+  timestamp: new Date().toISOString(),
+  activeTab: 'favorites',
+  gridPosition: { x: 0, y: 0, z: 0 },
+  gridRotation: { x: 0, y: 0, z: 0 },
+  gridScale: 1,
+  pinPosition: avatar.pinPosition || { x: 0, y: 0, z: 0 },
+  pinRotation: avatar.pinRotation || { x: 0, y: 0, z: 0 },
+  pinScale: typeof avatar.pinScale === 'number' ? avatar.pinScale : 1,
+  persona,
+});
+
+/**
+ * File name for a bundle, e.g. brihaspati.gurukul-avatar.json
+ */
+export const getBundleFilename = (name) => {
+  const slug = String(name || 'avatar')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug || 'avatar'}${AVATAR_BUNDLE_EXTENSION}`;
+};
+
+/**
+ * Download an avatar bundle
+ * @param {Object} avatar - Favourite avatar
+ * @param {Object} [options] - buildAvatarBundle options
+ */
+export const exportAvatarBundle = async (avatar, options = {}) => {
+  const bundle = await buildAvatarBundle(avatar, options);
+  downloadFile(JSON.stringify(bundle), getBundleFilename(bundle.avatar.name), 'application/json;charset=utf-8');
+};
@@ -0,0 +1,309 @@
+/**
+ * Chat Export Utility
+ * Turns stored chat sessions into files students can take out of Gurukul:
+ * Markdown transcripts, a versioned JSON format that imports back into
+ * chatHistoryStorage, and a printable page that the browser saves as PDF.
+ */
+
+export const CHAT_EXPORT_FORMAT = 'gurukul-chat-export';
+export const CHAT_EXPORT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown;charset=utf-8' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8' },
+  pdf: { label: 'PDF', extension: 'pdf', mimeType: 'application/pdf' },
+};
+
+const ROLE_LABELS = {
+  user: 'You',
+  assistant: 'Gurukul',
+  system: 'System',
+};
+
+/**
+ * Files attached to a message, as { name, type, url } references.
+ * Messages carry them as `attachments`, `files` or a single `file`.
+ */
+export const getAttachmentReferences = (message) => {
+  const candidates = [
+    ...(Array.isArray(message.attachments) ? message.attachments : []),
+    ...(Array.isArray(message.files) ? message.files : []),
+    ...(message.file ? [message.file] : []),
+  ];
+
+  return candidates
+    .map((attachment) => {
+      if (typeof attachment === 'string') {
+        return { name: attachment.split('/').pop() || attachment, type: null, url: attachment };
+      }
+      if (!attachment || typeof attachment !== 'object') return null;
+      const name = attachment.name || attachment.fileName || attachment.filename;
+      const url = attachment.url || attachment.path || null;
+      if (!name && !url) return null;
+      return { name: name || url.split('/').pop(), type: attachment.type || attachment.mimeType || null, url };
+    })
+    .filter(Boolean);
+};
+
+// Message fields kept in an export; everything else is UI state
+const toExportMessage = (message) => ({
+  id: message.id,
+  role: message.role,
+  content: typeof message.content === 'string' ? message.content : String(message.content ?? ''),
+  model: message.model || null,
+  timestamp: message.timestamp || null,
+  attachments: getAttachmentReferences(message),
+});
+
+// Welcome messages are generated locally and not part of the conversation
+const conversationMessages = (session) =>
+  (session.messages || []).filter(msg => msg && msg.role && !msg.isWelcome);
+
+/**
+ * Build the versioned JSON document for a list of sessions
+ * @param {Array} sessions - Sessions with their messages
+ * @returns {Object} Export document
+ */
+export const buildChatExport = (sessions) => ({
+  format: CHAT_EXPORT_FORMAT,
+  version: CHAT_EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  sessions: sessions.map(session => ({
+    id: session.id,
+    createdAt: session.createdAt || null,
+    lastUpdated: session.lastUpdated || null,
+    preview: session.preview || null,
+    models: session.models || [],
+    messages: conversationMessages(session).map(toExportMessage),
+  })),
+});
+
+/**
+ * Validate an export document (or its JSON text)
+ * @param {string|Object} input - JSON text or parsed document
+ * @returns {Array} The sessions it contains
+ * @throws {Error} When the document is not a readable Gurukul chat export
+ */
+export const parseChatExport = (input) => {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error('The file is not valid JSON');
+    }
+  }
+
+  if (!data || data.format !== CHAT_EXPORT_FORMAT || !Array.isArray(data.sessions)) {
+    throw new Error('The file is not a Gurukul chat export');
+  }
+  if (!Number.isInteger(data.version) || data.version > CHAT_EXPORT_VERSION) {
+    throw new Error(`Unsupported chat export version: ${data.version}`);
+  }
+
+  return data.sessions
+    .filter(session => session && typeof session.id === 'string' && Array.isArray(session.messages))
+    .map(session => ({
+      ...session,
+      messages: session.messages
+        .filter(msg => msg && typeof msg === 'object' && msg.role && typeof msg.content === 'string')
+        .map(msg => ({
+          ...msg,
+          model: msg.model || undefined,
+          timestamp: msg.timestamp || session.lastUpdated || new Date().toISOString(),
+          attachments: Array.isArray(msg.attachments) ? msg.attachments : [],
+        })),
+    }));
+};
+
+const formatTimestamp = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+};
+
+const sessionTitle = (session) => {
+  const date = formatTimestamp(session.createdAt || session.lastUpdated);
+  return date ? `Conversation of ${date}` : 'Conversation';
+};
+
+/**
+ * Render sessions as a Markdown transcript
+ * @param {Array} sessions - Sessions with their messages
+ * @returns {string} Markdown text
+ */
+export const toMarkdown = (sessions) => {
+  const lines = ['# Gurukul Chat Transcript', '', `Exported ${formatTimestamp(new Date())}`, ''];
+
+  sessions.forEach((session) => {
+    lines.push(`## ${sessionTitle(session)}`, '');
+    lines.push(`- Session: \`${session.id}\``);
+    if (session.models?.length) {
+      lines.push(`- Models: ${session.models.join(', ')}`);
+    }
+    lines.push('');
+
+    conversationMessages(session).forEach((message) => {
+      const speaker = ROLE_LABELS[message.role] || message.role;
+      const model = message.role === 'assistant' && message.model ? ` (${message.model})` : '';
+      lines.push(`### ${speaker}${model} · ${formatTimestamp(message.timestamp)}`, '');
+      lines.push(String(message.content ?? ''), '');
+
+      const attachments = getAttachmentReferences(message);
+      if (attachments.length > 0) {
+        lines.push('Attachments:');
+        attachments.forEach(({ name, url }) => {
+          lines.push(url ? `- [${name}](${url})` : `- ${name}`);
+        });
+        lines.push('');
+      }
+    });
+  });
+
+  return lines.join('\n');
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Render sessions as a standalone HTML page laid out for printing
+ * @param {Array} sessions - Sessions with their messages
+ * @returns {string} HTML document
+ */
+export const toPrintableHtml = (sessions) => {
+  const body = sessions.map((session) => {
+    const messages = conversationMessages(session).map((message) => {
+      const speaker = ROLE_LABELS[message.role] || message.role;
+      const model = message.role === 'assistant' && message.model ? ` · ${escapeHtml(message.model)}` : '';
+      const attachments = getAttachmentReferences(message);
+      const attachmentList = attachments.length
+        ? `<ul class="attachments">${attachments
+          .map(({ name, url }) => `<li>📎 ${escapeHtml(name)}${url ? ` <span>(${escapeHtml(url)})</span>` : ''}</li>`)
+          .join('')}</ul>`
+        : '';
+
+      return `<div class="message ${escapeHtml(message.role)}">
+        <div class="meta"><strong>${escapeHtml(speaker)}</strong>${model} · ${escapeHtml(formatTimestamp(message.timestamp))}</div>
+        <div class="content">${escapeHtml(message.content)}</div>
+        ${attachmentList}
+      </div>`;
+    }).join('');
+
+    return `<section>
+      <h2>${escapeHtml(sessionTitle(session))}</h2>
+      <p class="session-meta">Session ${escapeHtml(session.id)}${session.models?.length ? ` · Models: ${escapeHtml(session.models.join(', '))}` : ''}</p>
+      ${messages}
+    </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Gurukul Chat Transcript</title>
+  <style>
+    body { font-family: system-ui, sans-serif; color: #1f2937; margin: 2rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.2rem; border-bottom: 2px solid #FF9933; padding-bottom: 0.25rem; }
+    section { page-break-after: always; }
+    section:last-child { page-break-after: auto; }
+    .session-meta, .exported { color: #6b7280; font-size: 0.8rem; }
+    .message { margin: 0.75rem 0; padding: 0.75rem; border-radius: 8px; border: 1px solid #e5e7eb; page-break-inside: avoid; }
+    .message.user { background: #fff7ed; }
+    .meta { font-size: 0.75rem; color: #6b7280; margin-bottom: 0.35rem; }
+    .content { white-space: pre-wrap; font-size: 0.9rem; line-height: 1.5; }
+    .attachments { margin: 0.5rem 0 0; padding-left: 1rem; font-size: 0.8rem; }
+    .attachments span { color: #6b7280; }
+  </style>
+</head>
+<body>
+  <h1>Gurukul Chat Transcript</h1>
+  <p class="exported">Exported ${escapeHtml(formatTimestamp(new Date()))}</p>
+  ${body}
+</body>
+</html>`;
+};
+
+/**
+ * Save text as a file through a temporary download link
+ */
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Open the printable transcript and the browser's print dialog,
+ * where it can be saved as PDF
+ * @throws {Error} When the print window was blocked
+ */
+export const printChatSessions = (sessions) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    throw new Error('Allow pop-ups for Gurukul to export as PDF');
+  }
+
+  printWindow.document.open();
+  printWindow.document.write(toPrintableHtml(sessions));
+  printWindow.document.close();
+  printWindow.focus();
+  // Give the new window a moment to lay out before printing
+  setTimeout(() => printWindow.print(), 250);
+};
+
+/**
+ * File name for an export, e.g. gurukul-chat-2026-10-19.md
+ */
+export const getExportFilename = (sessions, format) => {
+  const { extension } = EXPORT_FORMATS[format];
+  const date = new Date().toISOString().split('T')[0];
+  const scope = sessions.length === 1 ? (sessions[0].id.split('_')[1] || date) : `${sessions.length}-sessions-${date}`;
+  return `gurukul-chat-${scope}.${extension}`;
+};
+
+/**
+ * Export sessions in one of EXPORT_FORMATS
+ * @param {Array} sessions - Sessions with their messages
+ * @param {string} format - markdown, json or pdf
+ */
+export const exportChatSessions = (sessions, format) => {
+  const definition = EXPORT_FORMATS[format];
+  if (!definition) {
+    throw new Error(`Unknown export format "${format}"`);
+  }
+
+  if (format === 'pdf') {
+    printChatSessions(sessions);
+    return;
+  }
+
+  const content = format === 'json'
+    ? JSON.stringify(buildChatExport(sessions), null, 2)
+    : toMarkdown(sessions);
+  downloadFile(content, getExportFilename(sessions, format), definition.mimeType);
+};
+
+const chatExport = {
+  EXPORT_FORMATS,
+  buildChatExport,
+  parseChatExport,
+  toMarkdown,
+  toPrintableHtml,
+  exportChatSessions,
+};
+
+export default chatExport;
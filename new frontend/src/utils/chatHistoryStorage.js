@@ -1,59 +1,28 @@
 /**
  * Chat History Storage Utility
- * Manages persistent chat history using localStorage with compression and quota management
- * Supports multiple chat sessions and user authentication state changes
+ * Manages persistent chat history in IndexedDB (see indexedDBStorage.js).
+ * Sessions are unbounded: messages are loaded a page at a time and can be
+ * searched across every session by keyword, date range and model.
+ * Sessions saved to localStorage by earlier versions are migrated on first use.
+ * Sessions can be exported and imported back via chatExport.js, and are
+ * reconciled with a per-user server copy by chatSyncService.js. Deleted
+ * sessions leave a tombstone so sync never brings them back.
  */
 
 import { safeSetItem } from './storageManager';
-import chatErrorRecovery from './chatErrorRecovery';
-
-// Simple compression utilities (inline implementation)
-const compressData = (data) => {
-  try {
-    if (typeof data !== 'object' || data === null) {
-      return JSON.stringify(data);
-    }
-
-    // Simple compression by removing unnecessary fields and compacting data
-    const compressed = JSON.stringify(data, (key, value) => {
-      // Round numbers to reduce precision
-      if (typeof value === 'number' && !Number.isInteger(value)) {
-        return Math.round(value * 100) / 100;
-      }
-      return value;
-    });
-    return compressed;
-  } catch (error) {
-    console.warn('Failed to compress data:', error);
-    try {
-      return JSON.stringify(data);
-    } catch (stringifyError) {
-      console.error('Failed to stringify data as fallback:', stringifyError);
-      return '{}';
-    }
-  }
-};
-
-const decompressData = (compressedData) => {
-  try {
-    return JSON.parse(compressedData);
-  } catch (error) {
-    console.warn('Failed to decompress data:', error);
-    return null;
-  }
-};
+import indexedDBStorage from './indexedDBStorage';
+import { parseChatExport } from './chatExport';
 
 // Storage keys
-const CHAT_HISTORY_KEY = 'gurukul_chat_history';
-const CHAT_SESSIONS_KEY = 'gurukul_chat_sessions';
+const CHAT_HISTORY_KEY = 'gurukul_chat_history'; // Legacy, only read during migration
+const CHAT_SESSIONS_KEY = 'gurukul_chat_sessions'; // Legacy, only read during migration
 const CHAT_SETTINGS_KEY = 'gurukul_chat_settings';
 
 // Default settings
 const DEFAULT_SETTINGS = {
-  maxMessagesPerSession: 100,
-  maxSessions: 10,
+  pageSize: 50, // Messages loaded per page
+  sessionPageSize: 20, // Sessions listed per page
   autoSave: true,
-  compressionEnabled: true,
 };
 
 // Welcome message variations for first-time users - always start with proper introduction
@@ -103,11 +72,70 @@ const getWelcomeMessage = (isReturningUser = false, lastSessionTime = null, hasR
 // Default welcome message (fallback)
 const DEFAULT_WELCOME_MESSAGE = getWelcomeMessage();
 
+
+const getUserIdFromSessionId = (sessionId) => (sessionId ? sessionId.split('_')[0] : 'guest-user');
+
+// Plain copy of a message that is safe to store
+const toStorableMessage = (message) => JSON.parse(JSON.stringify(message));
+
+// Remove the fields IndexedDB records carry next to the message itself.
+// `position` is kept so a later save knows where loaded messages belong.
+const fromStoredMessage = (record) => {
+  const message = { ...record };
+  delete message.sessionId;
+  delete message.userId;
+  return message;
+};
+
+// Identity of a message across devices; older messages without an ID fall
+// back to role and timestamp (the sync server uses the same rule)
+const messageKey = (message) => message.id || `${message.role}|${message.timestamp}`;
+
+const withoutPosition = (message) => {
+  const copy = { ...message };
+  delete copy.position;
+  return copy;
+};
+
+/**
+ * Merge two copies of a session's messages on message ID.
+ * Local welcome messages stay in front; everything else is ordered by
+ * timestamp. When both sides have a message, the later edit wins.
+ */
+const mergeMessages = (local, remote) => {
+  const welcome = local.filter(msg => msg.isWelcome);
+  const entries = new Map();
+  const editedAt = (message) => message.updatedAt || message.timestamp || '';
+
+  local.filter(msg => !msg.isWelcome).forEach((message, order) => {
+    entries.set(messageKey(message), { message, order });
+  });
+  remote.filter(msg => !msg.isWelcome).forEach((message, order) => {
+    const key = messageKey(message);
+    const entry = entries.get(key);
+    if (!entry) {
+      entries.set(key, { message, order });
+    } else if (editedAt(message) > editedAt(entry.message)) {
+      entry.message = message;
+    }
+  });
+
+  const merged = [...entries.values()]
+    .sort((a, b) => (a.message.timestamp || '').localeCompare(b.message.timestamp || '') || a.order - b.order)
+    .map(entry => entry.message);
+
+  return [...welcome, ...merged];
+};
+
 class ChatHistoryStorage {
   constructor() {
     this.settings = this.loadSettings();
+    this.userId = 'guest-user';
     this.currentSessionId = null;
     this.isInitialized = false;
+    // Position of the first loaded message of the current session
+    this.loadedOffset = 0;
+    this.migrationPromise = null;
   }
 
   /**
@@ -115,12 +143,16 @@ class ChatHistoryStorage {
    */
   async init(userId = 'guest-user') {
     try {
+      await this.migrateFromLocalStorage();
+
+      this.userId = userId;
       this.currentSessionId = this.generateSessionId(userId);
+      this.loadedOffset = 0;
       this.isInitialized = true;
-      
+
       // Ensure we have a current session
       await this.ensureCurrentSession();
-      
+
       console.log('✅ Chat history storage initialized for user:', userId);
       return true;
     } catch (error) {
@@ -169,133 +201,126 @@ class ChatHistoryStorage {
   }
 
   /**
-   * Load all chat sessions from localStorage with error recovery
+   * Move sessions saved in localStorage by earlier versions into IndexedDB.
+   * The localStorage copy is only removed once every session has been written.
    */
-  loadSessions() {
-    try {
-      const stored = localStorage.getItem(CHAT_SESSIONS_KEY);
-      if (stored) {
+  migrateFromLocalStorage() {
+    if (!this.migrationPromise) {
+      this.migrationPromise = (async () => {
+        const stored = localStorage.getItem(CHAT_SESSIONS_KEY);
+        if (!stored) return 0;
+
+        let sessions;
         try {
-          const compressed = JSON.parse(stored);
-          const decompressed = this.settings.compressionEnabled ? decompressData(compressed) : compressed;
-
-          // Validate the loaded data
-          if (typeof decompressed === 'object' && decompressed !== null) {
-            return decompressed;
-          } else {
-            throw new Error('Invalid session data structure');
-          }
-        } catch (parseError) {
-          console.warn('Failed to parse stored sessions, attempting recovery:', parseError);
+          // Compressed sessions were stored as a JSON string inside JSON
+          const parsed = JSON.parse(stored);
+          sessions = typeof parsed === 'string' ? JSON.parse(parsed) : parsed;
+        } catch (error) {
+          console.warn('Discarding unreadable localStorage chat sessions:', error);
+          localStorage.removeItem(CHAT_SESSIONS_KEY);
+          return 0;
+        }
 
-          // Attempt to recover corrupted data
-          chatErrorRecovery.handleError(parseError, 'loadSessions');
+        const entries = Object.entries(sessions || {}).filter(
+          ([, session]) => session && Array.isArray(session.messages)
+        );
 
-          // Return empty sessions to start fresh
-          return {};
+        for (const [sessionId, session] of entries) {
+          const messages = session.messages
+            .filter(msg => msg && typeof msg === 'object' && msg.role && msg.content)
+            .map(toStorableMessage);
+          const record = this.buildSessionRecord(
+            sessionId,
+            getUserIdFromSessionId(sessionId),
+            messages,
+            messages.length,
+            { lastUpdated: session.lastUpdated || new Date().toISOString() }
+          );
+          await indexedDBStorage.writeChatMessages(record, messages, 0);
         }
-      }
-    } catch (error) {
-      console.warn('Failed to load chat sessions:', error);
-      chatErrorRecovery.handleError(error, 'loadSessions');
+
+        localStorage.removeItem(CHAT_SESSIONS_KEY);
+        localStorage.removeItem(CHAT_HISTORY_KEY);
+        console.log(`📦 Migrated ${entries.length} chat sessions from localStorage to IndexedDB`);
+        return entries.length;
+      })().catch((error) => {
+        // Leave the localStorage copy in place and try again next time
+        console.error('Failed to migrate chat sessions to IndexedDB:', error);
+        this.migrationPromise = null;
+        return 0;
+      });
     }
-    return {};
+    return this.migrationPromise;
   }
 
   /**
-   * Save all chat sessions to localStorage with error recovery
+   * Build the stored record describing a session
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Owner of the session
+   * @param {Array} messages - Messages that were just loaded or written
+   * @param {number} messageCount - Total messages in the session
+   * @param {Object} existing - Previous record, if any
    */
-  async saveSessions(sessions) {
-    try {
-      const dataToStore = this.settings.compressionEnabled ? compressData(sessions) : sessions;
-      const result = await safeSetItem(CHAT_SESSIONS_KEY, JSON.stringify(dataToStore));
-
-      if (!result.success) {
-        // Attempt error recovery
-        const recovered = await chatErrorRecovery.handleError(
-          new Error(result.error || 'Failed to save sessions'),
-          'saveSessions'
-        );
-
-        if (recovered) {
-          // Retry after recovery
-          const retryResult = await safeSetItem(CHAT_SESSIONS_KEY, JSON.stringify(dataToStore));
-          return retryResult.success;
-        }
-
-        return false;
-      }
-
-      return true;
-    } catch (error) {
-      console.error('Failed to save chat sessions:', error);
-
-      // Attempt error recovery
-      const recovered = await chatErrorRecovery.handleError(error, 'saveSessions');
-
-      if (recovered) {
-        // Retry after recovery
-        try {
-          const dataToStore = this.settings.compressionEnabled ? compressData(sessions) : sessions;
-          const retryResult = await safeSetItem(CHAT_SESSIONS_KEY, JSON.stringify(dataToStore));
-          return retryResult.success;
-        } catch (retryError) {
-          console.error('Retry failed after recovery:', retryError);
-        }
-      }
-
-      return false;
-    }
+  buildSessionRecord(sessionId, userId, messages, messageCount, existing = {}) {
+    const firstUserMessage = messages.find(msg => msg.role === 'user' && !msg.isWelcome);
+    return {
+      ...existing,
+      id: sessionId,
+      userId,
+      createdAt: existing.createdAt || messages[0]?.timestamp || new Date().toISOString(),
+      lastUpdated: existing.lastUpdated || new Date().toISOString(),
+      messageCount,
+      preview: existing.preview && existing.preview !== 'New conversation'
+        ? existing.preview
+        : this.getSessionPreview(firstUserMessage ? [firstUserMessage] : []),
+      models: Array.from(new Set([
+        ...(existing.models || []),
+        ...messages.map(msg => msg.model).filter(Boolean),
+      ])),
+    };
   }
 
   /**
-   * Load chat history for current session
+   * Load the most recent page of chat history for the current session
    */
-  loadChatHistory() {
+  async loadChatHistory() {
     if (!this.isInitialized) {
       console.warn('Chat history storage not initialized');
       return [this.getContextualWelcomeMessage()];
     }
 
     try {
-      const sessions = this.loadSessions();
-      const sessionHistory = sessions[this.currentSessionId];
+      const session = await indexedDBStorage.getChatSession(this.currentSessionId);
 
-      if (sessionHistory && Array.isArray(sessionHistory.messages)) {
-        // Filter out any invalid messages and ensure proper structure
-        const validMessages = sessionHistory.messages.filter(msg =>
-          msg && typeof msg === 'object' && msg.role && msg.content
-        );
+      if (session && session.messageCount > 0) {
+        const start = Math.max(0, session.messageCount - this.settings.pageSize);
+        const stored = await indexedDBStorage.getChatMessages(this.currentSessionId, start, session.messageCount);
+        this.loadedOffset = start;
 
-        // Check if this is a returning user (has session history)
-        const isReturningUser = true; // If we have sessionHistory, user has been here before
-        const lastSessionTime = sessionHistory.lastUpdated;
+        // Filter out any invalid messages and ensure proper structure
+        const validMessages = stored
+          .filter(msg => msg && typeof msg === 'object' && msg.role && msg.content)
+          .map(fromStoredMessage);
 
-        // If we have valid messages, check if we need to update the welcome message
-        if (validMessages.length > 0) {
-          const hasWelcomeMessage = validMessages.some(msg => msg.isWelcome);
+        // Welcome handling only applies when the start of the session is loaded
+        if (validMessages.length > 0 && start === 0) {
+          const lastSessionTime = session.lastUpdated;
+          const welcomeIndex = validMessages.findIndex(msg => msg.isWelcome);
 
-          if (!hasWelcomeMessage) {
+          if (welcomeIndex === -1) {
             // Add contextual welcome message at the beginning
-            const welcomeMessage = this.getContextualWelcomeMessage(isReturningUser, lastSessionTime, validMessages);
+            const welcomeMessage = this.getContextualWelcomeMessage(true, lastSessionTime, validMessages);
             return [welcomeMessage, ...validMessages];
           }
 
-          // If it's a returning user and the welcome message is old, update it
-          if (isReturningUser && hasWelcomeMessage) {
-            const welcomeIndex = validMessages.findIndex(msg => msg.isWelcome);
-            if (welcomeIndex !== -1) {
-              const welcomeMessage = validMessages[welcomeIndex];
-              const welcomeAge = Date.now() - new Date(welcomeMessage.timestamp).getTime();
-
-              // If welcome message is older than 1 hour, update it
-              if (welcomeAge > 60 * 60 * 1000) {
-                const newWelcomeMessage = this.getContextualWelcomeMessage(true, lastSessionTime, validMessages);
-                validMessages[welcomeIndex] = newWelcomeMessage;
-              }
-            }
+          // If the welcome message is older than 1 hour, update it
+          const welcomeAge = Date.now() - new Date(validMessages[welcomeIndex].timestamp).getTime();
+          if (welcomeAge > 60 * 60 * 1000) {
+            validMessages[welcomeIndex] = this.getContextualWelcomeMessage(true, lastSessionTime, validMessages);
           }
+        }
 
+        if (validMessages.length > 0) {
           return validMessages;
         }
       }
@@ -303,9 +328,37 @@ class ChatHistoryStorage {
       console.warn('Failed to load chat history:', error);
     }
 
+    this.loadedOffset = 0;
     return [this.getContextualWelcomeMessage()];
   }
 
+  /**
+   * Whether the current session has messages before the loaded ones
+   */
+  hasOlderMessages() {
+    return this.loadedOffset > 0;
+  }
+
+  /**
+   * Load the page of messages before the ones already loaded
+   * @returns {Promise<Array>} Older messages, oldest first
+   */
+  async loadOlderMessages() {
+    if (!this.isInitialized || this.loadedOffset === 0) {
+      return [];
+    }
+
+    try {
+      const start = Math.max(0, this.loadedOffset - this.settings.pageSize);
+      const stored = await indexedDBStorage.getChatMessages(this.currentSessionId, start, this.loadedOffset);
+      this.loadedOffset = start;
+      return stored.map(fromStoredMessage);
+    } catch (error) {
+      console.error('Failed to load older messages:', error);
+      return [];
+    }
+  }
+
   /**
    * Get contextual welcome message based on user history
    */
@@ -322,7 +375,9 @@ class ChatHistoryStorage {
   }
 
   /**
-   * Save chat history for current session
+   * Save the loaded messages of the current session.
+   * `messages` covers the session from the first loaded page onwards; where
+   * they start is taken from the stored position of the first loaded message.
    */
   async saveChatHistory(messages) {
     if (!this.isInitialized || !this.settings.autoSave) {
@@ -330,22 +385,24 @@ class ChatHistoryStorage {
     }
 
     try {
-      const sessions = this.loadSessions();
-      
-      // Ensure we don't exceed max messages per session
-      const trimmedMessages = messages.slice(-this.settings.maxMessagesPerSession);
-      
-      // Update current session
-      sessions[this.currentSessionId] = {
-        messages: trimmedMessages,
-        lastUpdated: new Date().toISOString(),
-        messageCount: trimmedMessages.length,
-      };
+      const storable = messages.filter(msg => !msg.isPlaceholder).map(toStorableMessage);
+      const anchorIndex = storable.findIndex(msg => Number.isInteger(msg.position));
+      // A negative start means a welcome message was put in front of position 0
+      const offset = anchorIndex === -1
+        ? this.loadedOffset
+        : Math.max(0, storable[anchorIndex].position - anchorIndex);
+
+      const existing = await indexedDBStorage.getChatSession(this.currentSessionId);
+      const session = this.buildSessionRecord(
+        this.currentSessionId,
+        this.userId,
+        storable,
+        offset + storable.length,
+        { ...existing, lastUpdated: new Date().toISOString() }
+      );
 
-      // Clean up old sessions if we exceed max sessions
-      await this.cleanupOldSessions(sessions);
-      
-      return await this.saveSessions(sessions);
+      await indexedDBStorage.writeChatMessages(session, storable, offset);
+      return true;
     } catch (error) {
       console.error('Failed to save chat history:', error);
       return false;
@@ -362,24 +419,89 @@ class ChatHistoryStorage {
     }
 
     try {
-      const currentHistory = this.loadChatHistory();
-      const newMessage = {
+      const newMessage = toStorableMessage({
         id: message.id || `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         role: message.role,
         content: message.content,
         model: message.model || 'grok',
         timestamp: message.timestamp || new Date().toISOString(),
         ...message,
-      };
-      
-      const updatedHistory = [...currentHistory, newMessage];
-      return await this.saveChatHistory(updatedHistory);
+      });
+
+      const existing = await indexedDBStorage.getChatSession(this.currentSessionId);
+      const position = existing?.messageCount || 0;
+      const session = this.buildSessionRecord(
+        this.currentSessionId,
+        this.userId,
+        [newMessage],
+        position + 1,
+        { ...existing, lastUpdated: new Date().toISOString() }
+      );
+
+      await indexedDBStorage.writeChatMessages(session, [newMessage], position);
+      return true;
     } catch (error) {
       console.error('Failed to add message to chat history:', error);
       return false;
     }
   }
 
+  /**
+   * Search messages across all of the current user's sessions
+   * @param {Object} criteria - Search criteria
+   * @param {string} [criteria.query] - Keyword(s), matched case-insensitively
+   * @param {string|Date} [criteria.from] - Earliest message date
+   * @param {string|Date} [criteria.to] - Latest message date (inclusive)
+   * @param {string} [criteria.model] - Only messages answered by this model
+   * @param {number} [criteria.offset] - Results to skip, for paging
+   * @param {number} [criteria.limit] - Results per page
+   * @returns {Promise<{results: Array, hasMore: boolean}>}
+   */
+  async searchMessages({ query = '', from, to, model, offset = 0, limit = 20 } = {}) {
+    if (!this.isInitialized) {
+      return { results: [], hasMore: false };
+    }
+
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const toIso = (value, endOfDay) => {
+      if (!value) return undefined;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) return undefined;
+      // Plain dates (YYYY-MM-DD) cover the whole day
+      if (endOfDay && typeof value === 'string' && value.length === 10) {
+        date.setUTCHours(23, 59, 59, 999);
+      }
+      return date.toISOString();
+    };
+
+    const matches = (message) => {
+      if (message.isWelcome || typeof message.content !== 'string') return false;
+      if (model && message.model !== model) return false;
+      const content = message.content.toLowerCase();
+      return terms.every(term => content.includes(term));
+    };
+
+    try {
+      const { messages, hasMore } = await indexedDBStorage.searchChatMessages(
+        this.userId,
+        { matches, from: toIso(from, false), to: toIso(to, true) },
+        { offset, limit }
+      );
+
+      return {
+        results: messages.map(record => ({
+          sessionId: record.sessionId,
+          position: record.position,
+          message: fromStoredMessage(record),
+        })),
+        hasMore,
+      };
+    } catch (error) {
+      console.error('Failed to search chat history:', error);
+      return { results: [], hasMore: false };
+    }
+  }
+
   /**
    * Clear chat history for current session
    */
@@ -389,9 +511,10 @@ class ChatHistoryStorage {
     }
 
     try {
-      const sessions = this.loadSessions();
-      delete sessions[this.currentSessionId];
-      await this.saveSessions(sessions);
+      await indexedDBStorage.deleteChatSession(this.currentSessionId, this.createTombstone(this.currentSessionId));
+      // The cleared ID is tombstoned, so carry on in a fresh session
+      this.currentSessionId = this.generateSessionId(this.userId);
+      this.loadedOffset = 0;
       return true;
     } catch (error) {
       console.error('Failed to clear current session:', error);
@@ -400,11 +523,15 @@ class ChatHistoryStorage {
   }
 
   /**
-   * Clear all chat history
+   * Clear all chat history of the current user
    */
   async clearAllHistory() {
     try {
-      localStorage.removeItem(CHAT_SESSIONS_KEY);
+      const sessions = await indexedDBStorage.getAllChatSessions(this.userId);
+      await indexedDBStorage.clearChatHistory(this.userId);
+      await indexedDBStorage.saveChatTombstones(sessions.map(session => this.createTombstone(session.id)));
+      this.currentSessionId = this.generateSessionId(this.userId);
+      this.loadedOffset = 0;
       return true;
     } catch (error) {
       console.error('Failed to clear all chat history:', error);
@@ -413,131 +540,273 @@ class ChatHistoryStorage {
   }
 
   /**
-   * Get chat statistics
+   * Move a user's sessions to another user (e.g. guest history after signing in)
    */
-  getChatStats() {
+  async transferSessions(fromUserId, toUserId) {
     try {
-      const sessions = this.loadSessions();
-      const sessionCount = Object.keys(sessions).length;
-      const totalMessages = Object.values(sessions).reduce(
-        (total, session) => total + (session.messageCount || 0), 
-        0
-      );
-      
-      return {
-        sessionCount,
-        totalMessages,
-        currentSessionId: this.currentSessionId,
-        storageSize: this.getStorageSize(),
-      };
+      await indexedDBStorage.reassignChatHistory(fromUserId, toUserId);
+      return true;
     } catch (error) {
-      console.error('Failed to get chat stats:', error);
-      return {
-        sessionCount: 0,
-        totalMessages: 0,
-        currentSessionId: this.currentSessionId,
-        storageSize: 0,
-      };
+      console.error('Failed to transfer chat sessions:', error);
+      return false;
     }
   }
 
   /**
-   * Get storage size in bytes
+   * Load sessions of the current user with all of their messages, for export
+   * @param {Array<string>|null} sessionIds - Sessions to load, or null for all
+   * @returns {Promise<Array>} Sessions, most recent first
    */
-  getStorageSize() {
-    try {
-      const sessions = localStorage.getItem(CHAT_SESSIONS_KEY) || '';
-      const settings = localStorage.getItem(CHAT_SETTINGS_KEY) || '';
-      return sessions.length + settings.length;
-    } catch (error) {
-      return 0;
-    }
+  async getSessionsForExport(sessionIds = null) {
+    const records = await indexedDBStorage.getAllChatSessions(this.userId);
+    const selected = sessionIds
+      ? records.filter(session => sessionIds.includes(session.id))
+      : records;
+
+    selected.sort((a, b) => (b.lastUpdated || '').localeCompare(a.lastUpdated || ''));
+
+    return Promise.all(selected.map(async (session) => {
+      const stored = await indexedDBStorage.getChatMessages(session.id);
+      return {
+        ...this.toSessionInfo(session),
+        createdAt: session.createdAt,
+        messages: stored.map(record => {
+          const message = fromStoredMessage(record);
+          delete message.position;
+          return message;
+        }),
+      };
+    }));
   }
 
   /**
-   * Ensure current session exists
+   * Import sessions from a JSON chat export into the current user's history
+   * @param {string|Object} data - Export document or its JSON text
+   * @param {Object} options - Import options
+   * @param {string} [options.onConflict] - What to do when a session ID already
+   *   exists: 'rename' keeps both, 'replace' overwrites, 'skip' keeps the stored one
+   * @returns {Promise<{imported: number, replaced: number, renamed: number, skipped: number}>}
    */
-  async ensureCurrentSession() {
-    const sessions = this.loadSessions();
-    if (!sessions[this.currentSessionId]) {
-      // Check if user has previous sessions to determine if they're returning
-      const userId = this.currentSessionId ? this.currentSessionId.split('_')[0] : 'guest-user';
-      const userSessions = Object.keys(sessions).filter(key => key.startsWith(userId + '_'));
-      const isReturningUser = userSessions.length > 0;
-
-      // Get the most recent session time for context
-      let lastSessionTime = null;
-      if (isReturningUser) {
-        const recentSessions = userSessions
-          .map(key => sessions[key])
-          .filter(session => session.lastUpdated)
-          .sort((a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated));
-
-        if (recentSessions.length > 0) {
-          lastSessionTime = recentSessions[0].lastUpdated;
+  async importSessions(data, { onConflict = 'rename' } = {}) {
+    const sessions = parseChatExport(data);
+    const summary = { imported: 0, replaced: 0, renamed: 0, skipped: 0 };
+
+    for (const session of sessions) {
+      let sessionId = session.id;
+      const existing = await indexedDBStorage.getChatSession(sessionId)
+        || await indexedDBStorage.getChatTombstone(sessionId);
+
+      if (existing) {
+        // Another user's session on this device is never overwritten, and
+        // a deleted session has to come back under a new ID to stay deleted
+        const strategy = onConflict === 'replace' && (existing.userId !== this.userId || existing.deletedAt)
+          ? 'rename'
+          : onConflict;
+
+        if (strategy === 'skip') {
+          summary.skipped += 1;
+          continue;
+        }
+        if (strategy === 'rename') {
+          let copy = 1;
+          do {
+            sessionId = `${session.id}-import${copy > 1 ? `-${copy}` : ''}`;
+            copy += 1;
+          } while (
+            await indexedDBStorage.getChatSession(sessionId)
+            || await indexedDBStorage.getChatTombstone(sessionId)
+          );
+          summary.renamed += 1;
+        } else {
+          summary.replaced += 1;
         }
       }
 
-      const welcomeMessage = this.getContextualWelcomeMessage(isReturningUser, lastSessionTime);
+      const messages = session.messages.map(toStorableMessage);
+      const record = this.buildSessionRecord(
+        sessionId,
+        this.userId,
+        messages,
+        messages.length,
+        {
+          createdAt: session.createdAt || undefined,
+          lastUpdated: session.lastUpdated || new Date().toISOString(),
+        }
+      );
 
-      sessions[this.currentSessionId] = {
-        messages: [welcomeMessage],
-        lastUpdated: new Date().toISOString(),
-        messageCount: 1,
-      };
-      await this.saveSessions(sessions);
+      await indexedDBStorage.writeChatMessages(record, messages, 0);
+      summary.imported += 1;
     }
+
+    if (sessions.some(session => session.id === this.currentSessionId)) {
+      this.loadedOffset = 0;
+    }
+
+    return summary;
   }
 
   /**
-   * Clean up old sessions to maintain max session limit
+   * Tombstone recorded when a session of the current user is deleted
    */
-  async cleanupOldSessions(sessions) {
-    const sessionKeys = Object.keys(sessions);
-    if (sessionKeys.length <= this.settings.maxSessions) {
-      return;
+  createTombstone(sessionId) {
+    return { id: sessionId, userId: this.userId, deletedAt: new Date().toISOString(), synced: false };
+  }
+
+  /**
+   * Local changes the server has not seen yet: sessions updated since they
+   * were last synced and deletions not yet pushed
+   * @returns {Promise<{sessions: Array, tombstones: Array}>}
+   */
+  async getPendingSyncChanges() {
+    const records = await indexedDBStorage.getAllChatSessions(this.userId);
+    const pending = records.filter(session => !session.syncedAt || session.lastUpdated > session.syncedAt);
+
+    const sessions = [];
+    for (const session of pending) {
+      const stored = await indexedDBStorage.getChatMessages(session.id);
+      const messages = stored.map(fromStoredMessage).filter(msg => !msg.isWelcome).map(withoutPosition);
+      // A session holding only its welcome message has nothing to share yet
+      if (messages.length > 0) {
+        sessions.push({
+          id: session.id,
+          createdAt: session.createdAt,
+          lastUpdated: session.lastUpdated,
+          messages,
+        });
+      }
+    }
+
+    const tombstones = (await indexedDBStorage.getChatTombstones(this.userId)).filter(tombstone => !tombstone.synced);
+    return { sessions, tombstones };
+  }
+
+  /**
+   * Record that the server has accepted these deletions
+   */
+  async markTombstonesSynced(tombstones) {
+    await indexedDBStorage.saveChatTombstones(tombstones.map(tombstone => ({ ...tombstone, synced: true })));
+  }
+
+  /**
+   * Merge the server copy of a session into local storage
+   * @param {Object} remote - { id, createdAt, lastUpdated, deleted, deletedAt, messages }
+   * @returns {Promise<{changed: boolean, needsPush: boolean, isCurrent: boolean}>}
+   *   changed when local messages were rewritten, needsPush when the local
+   *   copy has messages the server is missing
+   */
+  async applyRemoteSession(remote) {
+    const isCurrent = remote.id === this.currentSessionId;
+    const result = { changed: false, needsPush: false, isCurrent };
+
+    // A session deleted here stays deleted; the pending tombstone wins on push
+    if (await indexedDBStorage.getChatTombstone(remote.id)) {
+      return result;
     }
 
-    // Sort sessions by last updated date (oldest first)
-    const sortedSessions = sessionKeys
-      .map(key => ({ key, lastUpdated: sessions[key].lastUpdated }))
-      .sort((a, b) => new Date(a.lastUpdated) - new Date(b.lastUpdated));
+    const existing = await indexedDBStorage.getChatSession(remote.id);
+
+    if (remote.deleted) {
+      const tombstone = { id: remote.id, userId: this.userId, deletedAt: remote.deletedAt, synced: true };
+      if (existing) {
+        await indexedDBStorage.deleteChatSession(remote.id, tombstone);
+        result.changed = true;
+        if (isCurrent) {
+          // Deleted on another device while open here
+          this.currentSessionId = this.generateSessionId(this.userId);
+          await this.ensureCurrentSession();
+        }
+      } else {
+        await indexedDBStorage.saveChatTombstones([tombstone]);
+      }
+      return result;
+    }
 
-    // Remove oldest sessions
-    const sessionsToRemove = sortedSessions.slice(0, sessionKeys.length - this.settings.maxSessions);
-    sessionsToRemove.forEach(session => {
-      delete sessions[session.key];
+    const local = existing
+      ? (await indexedDBStorage.getChatMessages(remote.id)).map(fromStoredMessage).map(withoutPosition)
+      : [];
+    const remoteMessages = (remote.messages || []).map(toStorableMessage);
+    const merged = mergeMessages(local, remoteMessages);
+
+    const remoteKeys = new Set(remoteMessages.map(messageKey));
+    result.needsPush = merged.some(msg => !msg.isWelcome && !remoteKeys.has(messageKey(msg)));
+    result.changed = !existing
+      || merged.length !== local.length
+      || merged.some((msg, index) => msg !== local[index]);
+
+    const lastUpdated = [existing?.lastUpdated, remote.lastUpdated].filter(Boolean).sort().pop()
+      || new Date().toISOString();
+    if (!result.changed && !result.needsPush && existing.syncedAt === lastUpdated) {
+      return result;
+    }
+
+    const record = this.buildSessionRecord(remote.id, this.userId, merged, merged.length, {
+      ...existing,
+      createdAt: existing?.createdAt || remote.createdAt,
+      lastUpdated,
     });
+    // Only a copy identical to the server's counts as synced
+    if (!result.needsPush) {
+      record.syncedAt = lastUpdated;
+    }
 
-    console.log(`🧹 Cleaned up ${sessionsToRemove.length} old chat sessions`);
+    if (result.changed) {
+      await indexedDBStorage.writeChatMessages(record, merged, 0);
+      if (isCurrent) {
+        this.loadedOffset = 0;
+      }
+    } else {
+      await indexedDBStorage.saveChatSession(record);
+    }
+    return result;
   }
 
+  /**
+   * Ensure current session exists
+   */
+  async ensureCurrentSession() {
+    const existing = await indexedDBStorage.getChatSession(this.currentSessionId);
+    if (existing) return;
+
+    // Check if user has previous sessions to determine if they're returning
+    const { sessions: recentSessions } = await indexedDBStorage.getChatSessions(this.userId, { limit: 1 });
+    const isReturningUser = recentSessions.length > 0;
+    const lastSessionTime = recentSessions[0]?.lastUpdated || null;
 
+    const welcomeMessage = this.getContextualWelcomeMessage(isReturningUser, lastSessionTime);
+    const session = this.buildSessionRecord(this.currentSessionId, this.userId, [welcomeMessage], 1);
+
+    await indexedDBStorage.writeChatMessages(session, [welcomeMessage], 0);
+    this.loadedOffset = 0;
+  }
 
   /**
-   * Get all available sessions for current user
+   * Get a page of the current user's sessions, most recent first
+   * @returns {Promise<{sessions: Array, hasMore: boolean}>}
    */
-  getAllSessions() {
+  async getSessionsPage({ offset = 0, limit = this.settings.sessionPageSize } = {}) {
     try {
-      const sessions = this.loadSessions();
-      const currentUserPrefix = this.currentSessionId ? this.currentSessionId.split('_')[0] : 'guest-user';
-
-      return Object.entries(sessions)
-        .filter(([sessionId]) => sessionId.startsWith(currentUserPrefix))
-        .map(([sessionId, sessionData]) => ({
-          id: sessionId,
-          date: sessionId.split('_')[1] || 'unknown',
-          messageCount: sessionData.messageCount || 0,
-          lastUpdated: sessionData.lastUpdated,
-          preview: this.getSessionPreview(sessionData.messages),
-        }))
-        .sort((a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated));
+      const { sessions, hasMore } = await indexedDBStorage.getChatSessions(this.userId, { offset, limit });
+      return { sessions: sessions.map(session => this.toSessionInfo(session)), hasMore };
     } catch (error) {
-      console.error('Failed to get all sessions:', error);
-      return [];
+      console.error('Failed to get sessions:', error);
+      return { sessions: [], hasMore: false };
     }
   }
 
+  /**
+   * Shape a stored session record for display
+   */
+  toSessionInfo(session) {
+    return {
+      id: session.id,
+      date: session.id.split('_')[1] || 'unknown',
+      messageCount: session.messageCount || 0,
+      lastUpdated: session.lastUpdated,
+      preview: session.preview || 'New conversation',
+      models: session.models || [],
+    };
+  }
+
   /**
    * Get a preview of the session (first user message)
    */
@@ -563,6 +832,7 @@ class ChatHistoryStorage {
       if (!sessionId) return false;
 
       this.currentSessionId = sessionId;
+      this.loadedOffset = 0;
 
       // Ensure the session exists
       await this.ensureCurrentSession();
@@ -580,12 +850,9 @@ class ChatHistoryStorage {
    */
   async createNewSession() {
     try {
-      const userId = this.currentSessionId ? this.currentSessionId.split('_')[0] : 'guest-user';
-      const timestamp = new Date().toISOString().split('T')[0];
-      const timeId = Date.now().toString().slice(-6); // Last 6 digits for uniqueness
-
-      const newSessionId = `${userId}_${timestamp}_${timeId}`;
+      const newSessionId = this.generateSessionId(this.userId);
       this.currentSessionId = newSessionId;
+      this.loadedOffset = 0;
 
       // Create the new session
       await this.ensureCurrentSession();
@@ -607,10 +874,7 @@ class ChatHistoryStorage {
         return false; // Can't delete current session
       }
 
-      const sessions = this.loadSessions();
-      delete sessions[sessionId];
-
-      await this.saveSessions(sessions);
+      await indexedDBStorage.deleteChatSession(sessionId, this.createTombstone(sessionId));
 
       console.log('✅ Deleted session:', sessionId);
       return true;
@@ -623,21 +887,10 @@ class ChatHistoryStorage {
   /**
    * Get current session info
    */
-  getCurrentSessionInfo() {
+  async getCurrentSessionInfo() {
     try {
-      const sessions = this.loadSessions();
-      const currentSession = sessions[this.currentSessionId];
-
-      if (currentSession) {
-        return {
-          id: this.currentSessionId,
-          messageCount: currentSession.messageCount || 0,
-          lastUpdated: currentSession.lastUpdated,
-          preview: this.getSessionPreview(currentSession.messages),
-        };
-      }
-
-      return null;
+      const currentSession = await indexedDBStorage.getChatSession(this.currentSessionId);
+      return currentSession ? this.toSessionInfo(currentSession) : null;
     } catch (error) {
       console.error('Failed to get current session info:', error);
       return null;
@@ -645,41 +898,21 @@ class ChatHistoryStorage {
   }
 
   /**
-   * Get chat statistics
+   * Get chat statistics for the current user
    */
-  getChatStats() {
+  async getChatStats() {
     try {
-      const sessions = this.loadSessions();
-      const currentUserId = this.currentSessionId?.split('_')[0] || 'guest-user';
-
-      // Filter sessions for current user
-      const userSessions = Object.entries(sessions)
-        .filter(([sessionId]) => sessionId.startsWith(currentUserId));
-
-      const sessionCount = userSessions.length;
-
-      let totalMessages = 0;
-      userSessions.forEach(([, session]) => {
-        totalMessages += session.messageCount || 0;
-      });
-
-      // Calculate storage size
-      const historySize = this.getStorageSize(CHAT_HISTORY_KEY);
-      const sessionsSize = this.getStorageSize(CHAT_SESSIONS_KEY);
-      const settingsSize = this.getStorageSize(CHAT_SETTINGS_KEY);
-      const storageSize = historySize + sessionsSize + settingsSize;
+      const sessions = await indexedDBStorage.getAllChatSessions(this.userId);
 
       return {
-        sessionCount,
-        totalMessages,
-        storageSize,
+        sessionCount: sessions.length,
+        totalMessages: sessions.reduce((total, session) => total + (session.messageCount || 0), 0),
       };
     } catch (error) {
       console.error('Failed to get chat stats:', error);
       return {
         sessionCount: 0,
         totalMessages: 0,
-        storageSize: 0,
       };
     }
   }
@@ -100,6 +100,7 @@ class ChatPerformanceOptimizer {
     if (message.isWelcome) optimized.isWelcome = true;
     if (message.isError) optimized.isError = true;
     if (message.isPlaceholder) optimized.isPlaceholder = true;
+    if (Number.isInteger(message.position)) optimized.position = message.position;
 
     return optimized;
   }
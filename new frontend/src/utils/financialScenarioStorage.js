@@ -0,0 +1,286 @@
+/**
+ * Financial Scenario Storage Utility
+ * Saves named FinancialCrew simulation runs (inputs and month-by-month
+ * results) per user in localStorage, and derives the monthly series used to
+ * compare scenarios side by side and export them to CSV
+ */
+
+import { safeSetItem } from './storageManager';
+import { downloadFile } from './chatExport';
+
+// Storage keys
+const FINANCIAL_SCENARIOS_KEY = 'gurukul_financial_scenarios';
+
+// Oldest scenarios are dropped once a user goes past this many
+const MAX_SCENARIOS_PER_USER = 20;
+
+export const MAX_COMPARED_SCENARIOS = 3;
+
+// Values compared between scenarios, per month
+export const SCENARIO_METRICS = {
+  savings: { label: 'Savings', unit: '₹', higherIsBetter: true },
+  expenses: { label: 'Expenses', unit: '₹', higherIsBetter: false },
+  goalProgress: { label: 'Goal progress', unit: '%', higherIsBetter: true },
+};
+
+// Result sections kept with a scenario; the rest of the payload is task metadata
+const RESULT_SECTIONS = [
+  'simulated_cashflow',
+  'discipline_report',
+  'goal_status',
+  'behavior_tracker',
+  'karmic_tracker',
+  'financial_strategy',
+  'reflections',
+];
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const generateScenarioId = () => `scenario_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Goal progress of one goal_status entry, in percent
+ */
+const getGoalProgress = (entry) => {
+  if (entry?.summary?.overall_progress !== undefined) {
+    return toNumber(entry.summary.overall_progress);
+  }
+  const goals = Array.isArray(entry?.goals) ? entry.goals : [];
+  const target = goals.reduce((sum, goal) => sum + toNumber(goal.target_amount), 0);
+  const saved = goals.reduce((sum, goal) => sum + toNumber(goal.saved_so_far), 0);
+  return target > 0 ? Math.min(100, (saved / target) * 100) : 0;
+};
+
+/**
+ * Month-by-month savings, expenses and goal progress of a simulation result
+ * @param {Object} results - Simulation results as shown by AgentSimulator
+ * @returns {Array<{month, income, expenses, savings, goalProgress}>} Sorted by month
+ */
+export const getMonthlySeries = (results) => {
+  const months = new Map();
+  const monthEntry = (month) => {
+    if (!months.has(month)) {
+      months.set(month, { month, income: 0, expenses: 0, savings: 0, goalProgress: null });
+    }
+    return months.get(month);
+  };
+
+  (results?.simulated_cashflow || []).forEach((cashflow) => {
+    if (!cashflow?.month) return;
+    const entry = monthEntry(Number(cashflow.month));
+    entry.income = round(toNumber(cashflow.income?.total));
+    entry.expenses = round(toNumber(cashflow.expenses?.total));
+    entry.savings = round(
+      toNumber(typeof cashflow.savings === 'object' && cashflow.savings !== null
+        ? cashflow.savings.amount
+        : cashflow.savings)
+    );
+  });
+
+  (results?.goal_status || []).forEach((status) => {
+    if (!status?.month) return;
+    monthEntry(Number(status.month)).goalProgress = round(getGoalProgress(status));
+  });
+
+  return Array.from(months.values()).sort((a, b) => a.month - b.month);
+};
+
+/**
+ * One row per month with each scenario's value of a metric, for charts
+ * @param {Array} scenarios - Saved scenarios
+ * @param {string} metric - Key of SCENARIO_METRICS
+ * @returns {Array<Object>} Rows like { month: 1, [scenarioId]: 1200 }
+ */
+export const buildComparisonRows = (scenarios, metric) => {
+  const rows = new Map();
+  scenarios.forEach((scenario) => {
+    getMonthlySeries(scenario.results).forEach((point) => {
+      if (!rows.has(point.month)) rows.set(point.month, { month: point.month });
+      rows.get(point.month)[scenario.id] = point[metric];
+    });
+  });
+  return Array.from(rows.values()).sort((a, b) => a.month - b.month);
+};
+
+/**
+ * How much each scenario differs from the first one in a month
+ * @returns {Array<{id, name, metric values..., diff per metric}>}
+ */
+export const buildMonthDiff = (scenarios, month) => {
+  const valuesFor = (scenario) =>
+    getMonthlySeries(scenario.results).find((point) => point.month === month) || null;
+  const baseline = scenarios[0] ? valuesFor(scenarios[0]) : null;
+
+  return scenarios.map((scenario) => {
+    const values = valuesFor(scenario);
+    const diff = {};
+    Object.keys(SCENARIO_METRICS).forEach((metric) => {
+      diff[metric] = values && baseline ? round((values[metric] ?? 0) - (baseline[metric] ?? 0)) : null;
+    });
+    return { id: scenario.id, name: scenario.name, values, diff };
+  });
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV with one row per scenario and month: the scenario's inputs, then the
+ * month's results
+ */
+export const scenariosToCsv = (scenarios) => {
+  const header = [
+    'scenario',
+    'saved_at',
+    'monthly_income',
+    'total_fixed_expenses',
+    'financial_type',
+    'risk_level',
+    'goal',
+    'month',
+    'income',
+    'expenses',
+    'savings',
+    'goal_progress_percent',
+  ];
+
+  const rows = scenarios.flatMap((scenario) => {
+    const { inputs } = scenario;
+    const fixedExpenses = (inputs.expenses || []).reduce((sum, expense) => sum + toNumber(expense.amount), 0);
+    const scenarioColumns = [
+      scenario.name,
+      scenario.createdAt,
+      toNumber(inputs.monthlyIncome),
+      fixedExpenses,
+      inputs.financialType,
+      inputs.riskLevel,
+      inputs.financialGoal,
+    ];
+    const series = getMonthlySeries(scenario.results);
+    if (series.length === 0) {
+      return [[...scenarioColumns, '', '', '', '', '']];
+    }
+    return series.map((point) => [
+      ...scenarioColumns,
+      point.month,
+      point.income,
+      point.expenses,
+      point.savings,
+      point.goalProgress,
+    ]);
+  });
+
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n');
+};
+
+class FinancialScenarioStorage {
+  /**
+   * Load scenarios for every user from localStorage
+   */
+  loadAll() {
+    try {
+      const stored = localStorage.getItem(FINANCIAL_SCENARIOS_KEY);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        if (typeof parsed === 'object' && parsed !== null) {
+          return parsed;
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to load financial scenarios:', error);
+    }
+    return {};
+  }
+
+  /**
+   * Save scenarios for every user to localStorage
+   */
+  async saveAll(scenariosByUser) {
+    try {
+      const result = await safeSetItem(FINANCIAL_SCENARIOS_KEY, JSON.stringify(scenariosByUser));
+      return result.success;
+    } catch (error) {
+      console.error('Failed to save financial scenarios:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a user's scenarios, newest first
+   */
+  getScenarios(userId = 'guest-user') {
+    const scenarios = this.loadAll()[userId] || [];
+    return [...scenarios].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Save a simulation run as a named scenario
+   * @param {string} userId - Owner of the scenario
+   * @param {Object} scenario
+   * @param {string} scenario.name - Name shown in the list
+   * @param {Object} scenario.inputs - The financial profile the run used
+   * @param {Object} scenario.results - The run's simulation results
+   * @returns {Promise<Object|null>} The saved scenario, or null when storage failed
+   */
+  async saveScenario(userId = 'guest-user', { name, inputs, results }) {
+    const { uniqueId: _uniqueId, ...profile } = inputs;
+    const scenario = {
+      id: generateScenarioId(),
+      name: name.trim(),
+      createdAt: new Date().toISOString(),
+      taskId: results?.task_id || null,
+      inputs: {
+        ...profile,
+        expenses: (profile.expenses || []).map(({ name: expenseName, amount }) => ({ name: expenseName, amount })),
+      },
+      results: RESULT_SECTIONS.reduce((kept, section) => {
+        kept[section] = Array.isArray(results?.[section]) ? results[section] : [];
+        return kept;
+      }, {}),
+    };
+
+    const all = this.loadAll();
+    all[userId] = [...(all[userId] || []), scenario].slice(-MAX_SCENARIOS_PER_USER);
+    return (await this.saveAll(all)) ? scenario : null;
+  }
+
+  /**
+   * Rename a scenario
+   */
+  async renameScenario(userId = 'guest-user', scenarioId, name) {
+    const all = this.loadAll();
+    all[userId] = (all[userId] || []).map((scenario) =>
+      scenario.id === scenarioId ? { ...scenario, name: name.trim() } : scenario
+    );
+    return this.saveAll(all);
+  }
+
+  /**
+   * Delete a scenario
+   */
+  async deleteScenario(userId = 'guest-user', scenarioId) {
+    const all = this.loadAll();
+    all[userId] = (all[userId] || []).filter((scenario) => scenario.id !== scenarioId);
+    return this.saveAll(all);
+  }
+
+  /**
+   * Download scenarios as a CSV file
+   */
+  exportCsv(scenarios) {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(scenariosToCsv(scenarios), `financial-scenarios-${date}.csv`, 'text/csv');
+  }
+}
+
+// Create singleton instance
+const financialScenarioStorage = new FinancialScenarioStorage();
+
+export default financialScenarioStorage;
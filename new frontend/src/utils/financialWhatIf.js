@@ -0,0 +1,400 @@
+/**
+ * Financial What-If Utility
+ * Turns what-if requests such as "cut rent 10%" or "add ₹5000 SIP" into
+ * structured changes to the simulation inputs, applies them, and compares the
+ * direct simulation runs before and after for the financial advisor chat
+ */
+
+// Change types the advisor can ask for:
+//   adjust_expense { target, percent | amount }  target 'all' changes every expense
+//   add_expense    { target, amount }
+//   remove_expense { target }
+//   adjust_income  { percent | amount }
+//   add_investment { amount }                    monthly SIP
+export const WHAT_IF_CHANGE_TYPES = [
+  'adjust_expense',
+  'add_expense',
+  'remove_expense',
+  'adjust_income',
+  'add_investment',
+];
+
+// Projection length of what-if runs, in months
+export const WHAT_IF_MONTHS = 12;
+
+// Values compared between the baseline and the what-if run
+export const WHAT_IF_METRICS = {
+  monthly_expenses: { label: 'Monthly expenses', higherIsBetter: false },
+  monthly_cash_savings: { label: 'Monthly cash left', higherIsBetter: true },
+  investment_value: { label: 'Investments', higherIsBetter: true },
+  net_worth: { label: 'Net worth', higherIsBetter: true },
+};
+
+const ALL_EXPENSES = 'all';
+const INCOME_WORDS = /^(?:monthly\s+)?(?:income|salary|pay|earnings)$/;
+const ALL_EXPENSE_WORDS = /^(?:all\s+)?(?:(?:monthly\s+)?expenses|spending|costs|bills)$/;
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// "5,000", "5k" and "1.5 lakh" as numbers
+const parseAmount = (text) => {
+  const match = /^(\d[\d,]*(?:\.\d+)?)\s*(k|lakh|lakhs|l)?$/.exec(text.trim());
+  if (!match) return null;
+  const value = parseFloat(match[1].replace(/,/g, ''));
+  const unit = match[2];
+  if (unit === 'k') return value * 1000;
+  if (unit) return value * 100000;
+  return value;
+};
+
+const AMOUNT = '(\\d[\\d,]*(?:\\.\\d+)?\\s*(?:k|lakhs?|l)?)';
+const PERCENT = '\\s*(%|percent|per\\s*cent)';
+
+const CLAUSE_PATTERNS = [
+  // "add ₹5000 SIP", "start a 5000 monthly SIP", "invest 5k a month"
+  {
+    pattern: new RegExp(`^(?:add|start|begin|invest|put)\\s+(?:an?\\s+)?(?:monthly\\s+)?${AMOUNT}\\s*(?:(?:per|a|\\/)\\s*month|monthly)?\\s*(?:in(?:to)?\\s+)?(?:an?\\s+)?(?:sip|investment|mutual funds?|index funds?)?`),
+    toChange: ([, amount], clause) =>
+      /sip|invest|fund/.test(clause) ? { type: 'add_investment', amount: parseAmount(amount) } : null,
+  },
+  // "add a SIP of 5000"
+  {
+    pattern: new RegExp(`^(?:add|start)\\s+(?:an?\\s+)?(?:monthly\\s+)?(?:sip|investment)\\s+(?:of\\s+)?${AMOUNT}`),
+    toChange: ([, amount]) => ({ type: 'add_investment', amount: parseAmount(amount) }),
+  },
+  // "cut rent 10%", "reduce food by 2000", "increase income by 5%"
+  {
+    pattern: new RegExp(`^(cut|reduce|lower|decrease|trim|increase|raise|grow)\\s+(?:my\\s+|the\\s+)?(.+?)\\s+(?:by\\s+|to\\s+save\\s+)?${AMOUNT}(?:${PERCENT})?$`),
+    toChange: ([, verb, target, amount, percent]) => {
+      const sign = /^(?:increase|raise|grow)$/.test(verb) ? 1 : -1;
+      const value = parseAmount(amount) * sign;
+      const size = percent ? { percent: value } : { amount: value };
+      if (INCOME_WORDS.test(target)) return { type: 'adjust_income', ...size };
+      return { type: 'adjust_expense', target: ALL_EXPENSE_WORDS.test(target) ? ALL_EXPENSES : target, ...size };
+    },
+  },
+  // "add 2000 for gym", "add a gym expense of 2000"
+  {
+    pattern: new RegExp(`^(?:add|include)\\s+(?:an?\\s+)?(?:new\\s+)?(?:expense\\s+of\\s+)?${AMOUNT}\\s+(?:for|on)\\s+(.+)$`),
+    toChange: ([, amount, target]) => ({ type: 'add_expense', target, amount: parseAmount(amount) }),
+  },
+  {
+    pattern: new RegExp(`^(?:add|include)\\s+(?:an?\\s+)?(?:new\\s+)?(.+?)\\s+expense\\s+(?:of\\s+)?${AMOUNT}$`),
+    toChange: ([, target, amount]) => ({ type: 'add_expense', target, amount: parseAmount(amount) }),
+  },
+  // "remove netflix", "cancel my gym"
+  {
+    pattern: /^(?:remove|drop|cancel|stop|eliminate|quit)\s+(?:paying\s+(?:for\s+)?)?(?:my\s+|the\s+)?(.+?)(?:\s+expense)?$/,
+    toChange: ([, target]) => ({ type: 'remove_expense', target }),
+  },
+];
+
+/**
+ * Find what-if changes in a chat message
+ * @param {string} text - e.g. "What if I cut rent 10% and add ₹5000 SIP?"
+ * @returns {Array<Object>} Changes (see WHAT_IF_CHANGE_TYPES); empty when none
+ */
+export const parseWhatIf = (text = '') => {
+  const normalized = text
+    .toLowerCase()
+    .replace(/₹|\brs\.?\s*|\binr\s*/g, '')
+    .replace(/^\s*(?:what\s+if|what\s+happens\s+if|suppose|if)\s+(?:i|we)?\s*/, '')
+    .replace(/[?!]+/g, '');
+
+  return normalized
+    // Commas inside numbers such as 5,000 don't separate clauses
+    .split(/\s*(?:,(?!\d)|;|\band\b|\bthen\b|\bplus\b)\s*/)
+    .map((clause) => clause.trim().replace(/^(?:i\s+|we\s+)?(?:also\s+)?/, ''))
+    .filter(Boolean)
+    .flatMap((clause) => {
+      for (const { pattern, toChange } of CLAUSE_PATTERNS) {
+        const match = pattern.exec(clause);
+        const change = match && toChange(match, clause);
+        if (change) return normalizeChanges([change]);
+      }
+      return [];
+    });
+};
+
+/**
+ * Keep well-formed changes, e.g. from a what_if call in a chat reply
+ * @param {Array} changes - Candidate changes
+ * @returns {Array<Object>} Valid changes with numeric sizes
+ */
+export const normalizeChanges = (changes) =>
+  (Array.isArray(changes) ? changes : [])
+    .filter((change) => change && WHAT_IF_CHANGE_TYPES.includes(change.type))
+    .map((change) => {
+      const normalized = { type: change.type };
+      if (change.target !== undefined) normalized.target = String(change.target).trim().toLowerCase();
+      if (change.percent !== undefined && change.percent !== null) normalized.percent = toNumber(change.percent);
+      else if (change.amount !== undefined && change.amount !== null) normalized.amount = toNumber(change.amount);
+      return normalized;
+    })
+    .filter((change) => {
+      const sized = change.percent !== undefined || change.amount !== undefined;
+      switch (change.type) {
+        case 'remove_expense':
+          return Boolean(change.target);
+        case 'add_expense':
+          return Boolean(change.target) && change.amount > 0;
+        case 'add_investment':
+          return change.amount > 0;
+        case 'adjust_expense':
+          return Boolean(change.target) && sized;
+        default:
+          return sized;
+      }
+    });
+
+const formatMoney = (value) => `${value < 0 ? '−' : ''}₹${Math.round(Math.abs(value)).toLocaleString()}`;
+
+const formatSize = (change) =>
+  change.percent !== undefined
+    ? `${change.percent > 0 ? '+' : '−'}${Math.abs(change.percent)}%`
+    : `${change.amount > 0 ? '+' : '−'}${formatMoney(Math.abs(change.amount))}`;
+
+/**
+ * Short label for a change, e.g. "Rent −10%" or "SIP ₹5,000/month"
+ */
+export const describeChange = (change) => {
+  const target = change.target === ALL_EXPENSES
+    ? 'All expenses'
+    : `${change.target?.charAt(0).toUpperCase() || ''}${change.target?.slice(1) || ''}`;
+  switch (change.type) {
+    case 'adjust_expense':
+      return `${target} ${formatSize(change)}`;
+    case 'add_expense':
+      return `New expense: ${target} ${formatMoney(change.amount)}`;
+    case 'remove_expense':
+      return `Remove ${target}`;
+    case 'adjust_income':
+      return `Income ${formatSize(change)}`;
+    case 'add_investment':
+      return `SIP ${formatMoney(change.amount)}/month`;
+    default:
+      return change.type;
+  }
+};
+
+/**
+ * Direct simulation inputs from the financial data the chat was given.
+ * Accepts the AgentSimulator form (monthlyIncome, expenses list) and the
+ * flat shape (monthly_income, monthly_expenses by category).
+ */
+export const toSimulationInputs = (financialData = {}, userId = 'guest-user') => {
+  const data = financialData || {};
+  let expenses = [];
+  if (Array.isArray(data.expenses)) {
+    expenses = data.expenses.map((expense) => ({ name: expense.name || 'Expense', amount: toNumber(expense.amount) }));
+  } else if (data.monthly_expenses && typeof data.monthly_expenses === 'object') {
+    expenses = Object.entries(data.monthly_expenses).map(([name, amount]) => ({ name, amount: toNumber(amount) }));
+  } else if (data.monthly_expenses) {
+    expenses = [{ name: 'Expenses', amount: toNumber(data.monthly_expenses) }];
+  }
+  expenses = expenses.filter((expense) => expense.amount > 0);
+
+  return {
+    user_id: userId || 'guest-user',
+    user_name: data.name || data.user_name || 'User',
+    income: toNumber(data.monthlyIncome ?? data.monthly_income ?? data.income),
+    expenses,
+    total_expenses: round(expenses.reduce((sum, expense) => sum + expense.amount, 0)),
+    goal: data.financialGoal || data.goal || '',
+    financial_type: String(data.financialType || data.financial_type || 'moderate').toLowerCase(),
+    risk_level: String(data.riskLevel || data.risk_level || 'medium').toLowerCase(),
+    monthly_investment: 0,
+    n_months: WHAT_IF_MONTHS,
+  };
+};
+
+/**
+ * Whether there is enough data to run a what-if
+ */
+export const canSimulate = (inputs) => inputs.income > 0;
+
+const matchesExpense = (expense, target) => {
+  const name = expense.name.toLowerCase();
+  return target === ALL_EXPENSES || name.includes(target) || target.includes(name);
+};
+
+const resize = (value, change) =>
+  Math.max(0, round(change.percent !== undefined ? value * (1 + change.percent / 100) : value + change.amount));
+
+/**
+ * Apply changes to simulation inputs
+ * @returns {{ inputs: Object, applied: Array, unmatched: Array }} unmatched
+ *   holds changes naming an expense the inputs don't have
+ */
+export const applyWhatIf = (baseInputs, changes) => {
+  let expenses = baseInputs.expenses.map((expense) => ({ ...expense }));
+  let income = baseInputs.income;
+  let monthlyInvestment = baseInputs.monthly_investment || 0;
+  const applied = [];
+  const unmatched = [];
+
+  changes.forEach((change) => {
+    switch (change.type) {
+      case 'adjust_expense':
+      case 'remove_expense': {
+        if (!expenses.some((expense) => matchesExpense(expense, change.target))) {
+          unmatched.push(change);
+          return;
+        }
+        expenses = change.type === 'remove_expense'
+          ? expenses.filter((expense) => !matchesExpense(expense, change.target))
+          : expenses.map((expense) =>
+            matchesExpense(expense, change.target) ? { ...expense, amount: resize(expense.amount, change) } : expense
+          );
+        break;
+      }
+      case 'add_expense':
+        expenses = [...expenses, { name: change.target, amount: change.amount }];
+        break;
+      case 'adjust_income':
+        income = resize(income, change);
+        break;
+      case 'add_investment':
+        monthlyInvestment += change.amount;
+        break;
+      default:
+        return;
+    }
+    applied.push(change);
+  });
+
+  return {
+    inputs: {
+      ...baseInputs,
+      income,
+      expenses,
+      total_expenses: round(expenses.reduce((sum, expense) => sum + expense.amount, 0)),
+      monthly_investment: monthlyInvestment,
+    },
+    applied,
+    unmatched,
+  };
+};
+
+const summaryValues = (run) => {
+  const summary = run?.summary || {};
+  return {
+    monthly_expenses: toNumber(summary.monthly_expenses),
+    monthly_cash_savings: round(
+      toNumber(summary.monthly_income) - toNumber(summary.monthly_expenses) - toNumber(summary.monthly_investment)
+    ),
+    investment_value: toNumber(summary.investment_value),
+    net_worth: toNumber(summary.net_worth),
+  };
+};
+
+/**
+ * Compare a what-if run with the baseline run
+ * @param {Object} baseline - runDirectSimulation result before the changes
+ * @param {Object} scenario - runDirectSimulation result after the changes
+ * @returns {{ months: number, metrics: Array, rows: Array<{month, baseline, scenario}> }}
+ *   metrics are { key, label, baseline, scenario, diff, higherIsBetter };
+ *   rows are net worth per month, for charts
+ */
+export const compareWhatIf = (baseline, scenario) => {
+  const before = summaryValues(baseline);
+  const after = summaryValues(scenario);
+  const metrics = Object.entries(WHAT_IF_METRICS).map(([key, { label, higherIsBetter }]) => ({
+    key,
+    label,
+    baseline: before[key],
+    scenario: after[key],
+    diff: round(after[key] - before[key]),
+    higherIsBetter,
+  }));
+
+  const netWorthByMonth = (run) =>
+    new Map((run?.simulated_cashflow || []).map((month) => [Number(month.month), toNumber(month.net_worth)]));
+  const baselineNetWorth = netWorthByMonth(baseline);
+  const scenarioNetWorth = netWorthByMonth(scenario);
+  const rows = Array.from(new Set([...baselineNetWorth.keys(), ...scenarioNetWorth.keys()]))
+    .sort((a, b) => a - b)
+    .map((month) => ({
+      month,
+      baseline: baselineNetWorth.get(month) ?? null,
+      scenario: scenarioNetWorth.get(month) ?? null,
+    }));
+
+  return { months: rows.length, metrics, rows };
+};
+
+/**
+ * A what-if result as text for the advisor's prompt
+ */
+export const describeWhatIfResult = ({ applied = [], unmatched = [], comparison, error }) => {
+  const lines = [];
+  if (applied.length > 0) lines.push(`Changes simulated: ${applied.map(describeChange).join('; ')}`);
+  if (unmatched.length > 0) {
+    lines.push(`Not simulated, no matching expense: ${unmatched.map((change) => change.target).join(', ')}`);
+  }
+  if (error) lines.push(`The simulation could not be run: ${error}`);
+  if (comparison) {
+    lines.push(`Projection over ${comparison.months} months (baseline -> what-if, difference):`);
+    comparison.metrics.forEach((metric) => {
+      const sign = metric.diff >= 0 ? '+' : '-';
+      lines.push(
+        `- ${metric.label}: ${formatMoney(metric.baseline)} -> ${formatMoney(metric.scenario)} (${sign}${formatMoney(Math.abs(metric.diff))})`
+      );
+    });
+  }
+  return lines.join('\n');
+};
+
+// Expenses listed by name in the advisor's summary; the rest are totalled
+const SUMMARY_EXPENSES = 6;
+
+/**
+ * The user's finances as a few lines for the advisor's prompt, instead of
+ * the raw data: income, expenses, goal, the baseline projection when one
+ * has been run and the progress of a running simulation
+ * @param {Object} financialData - Data the chat was given (see toSimulationInputs)
+ * @param {Object} [options] - { simulationResults, baseline } where baseline
+ *   is a runDirectSimulation result for the same data
+ * @returns {string} Summary text, empty when there is no data
+ */
+export const summarizeFinancialData = (financialData, { simulationResults, baseline } = {}) => {
+  const inputs = toSimulationInputs(financialData);
+  const lines = [];
+
+  if (inputs.income > 0) lines.push(`Monthly income: ${formatMoney(inputs.income)}`);
+  if (inputs.expenses.length > 0) {
+    const sorted = [...inputs.expenses].sort((a, b) => b.amount - a.amount);
+    const listed = sorted.slice(0, SUMMARY_EXPENSES).map((expense) => `${expense.name} ${formatMoney(expense.amount)}`);
+    const others = sorted.slice(SUMMARY_EXPENSES).reduce((sum, expense) => sum + expense.amount, 0);
+    if (others > 0) listed.push(`others ${formatMoney(others)}`);
+    lines.push(`Monthly expenses: ${formatMoney(inputs.total_expenses)} (${listed.join(', ')})`);
+  }
+  if (inputs.goal) lines.push(`Goal: ${inputs.goal}`);
+  if (lines.length > 0) lines.push(`Profile: ${inputs.financial_type}, ${inputs.risk_level} risk`);
+
+  if (baseline?.summary) {
+    const values = summaryValues(baseline);
+    lines.push(
+      `Projection over ${baseline.n_months || WHAT_IF_MONTHS} months: ` +
+        Object.entries(WHAT_IF_METRICS)
+          .map(([key, { label }]) => `${label.toLowerCase()} ${formatMoney(values[key])}`)
+          .join(', ')
+    );
+  }
+
+  const results = simulationResults || {};
+  if (results.total_months) {
+    const progress = [`month ${results.current_month || 1} of ${results.total_months}`];
+    if (results.total_savings) progress.push(`saved ${formatMoney(toNumber(results.total_savings))}`);
+    if (results.savings_rate) progress.push(`savings rate ${round(toNumber(results.savings_rate))}%`);
+    if (results.financial_health_score) progress.push(`health score ${toNumber(results.financial_health_score)}`);
+    lines.push(`Simulation: ${progress.join(', ')}`);
+  }
+
+  return lines.join('\n');
+};
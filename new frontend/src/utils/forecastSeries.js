@@ -0,0 +1,373 @@
+/**
+ * Forecast Series Utility
+ * Builds and parses the { date, value } series sent to the forecasting API,
+ * and provides the baseline forecasts and backtests used in demo mode when
+ * the forecasting service is not reachable
+ */
+
+// Built-in sample series, keyed by the metric_type the API understands
+export const METRIC_TYPES = {
+  general: { label: 'General', color: '#FFFFFF' },
+  probability: { label: 'Probability (0-1)', color: '#FF9933' },
+  load: { label: 'Load/Performance', color: '#4ADE80' },
+};
+
+export const MIN_SERIES_POINTS = 10;
+export const MAX_SERIES_POINTS = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 95% prediction interval
+const INTERVAL_Z = 1.96;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const toIsoDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+
+const stdDev = (values) => {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+};
+
+/**
+ * Sample series for one of the built-in metric types, ending yesterday
+ * @param {string} type - Key of METRIC_TYPES
+ * @param {number} days - Number of daily points
+ * @returns {Array<{date: string, value: number}>}
+ */
+export const generateSampleSeries = (type, days = 60) => {
+  const today = new Date();
+  const series = [];
+
+  for (let i = -days; i < 0; i++) {
+    const date = new Date(today.getTime() + i * DAY_MS);
+    let value;
+    switch (type) {
+      case 'probability':
+        value = Math.max(0, Math.min(1, 0.3 + 0.4 * Math.sin(i / 10) + Math.random() * 0.2));
+        break;
+      case 'load':
+        value = 50 + 30 * Math.sin(i / 7) + 20 * Math.sin(i / 30) + Math.random() * 10;
+        break;
+      default:
+        value = 100 + 50 * Math.sin(i / 15) + Math.random() * 20;
+    }
+    series.push({ date: toIsoDate(date), value: round(value) });
+  }
+
+  return series;
+};
+
+// Header names recognised in uploaded CSV files
+const DATE_COLUMNS = ['date', 'ds', 'timestamp', 'time', 'day', 'month', 'period'];
+const VALUE_COLUMNS = ['value', 'y', 'amount', 'count', 'total'];
+
+const splitCsvLine = (line) =>
+  line.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"(.*)"$/, '$1'));
+
+const parseDate = (text) => {
+  // Plain ISO dates are kept as they are so the time zone cannot shift them
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : toIsoDate(date);
+};
+
+const isNumeric = (text) => text !== '' && Number.isFinite(Number(text));
+
+/**
+ * Parse an uploaded CSV time series. The file needs a date column and a
+ * numeric value column; a header row is optional.
+ * @param {string} text - File contents
+ * @returns {Array<{date: string, value: number}>} Sorted by date, one point per date
+ * @throws {Error} When the file has no usable series
+ */
+export const parseSeriesCsv = (text) => {
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  if (lines.length === 0) {
+    throw new Error('The file is empty');
+  }
+
+  let dateIndex = 0;
+  let valueIndex = 1;
+  let firstRow = 0;
+
+  const header = splitCsvLine(lines[0]);
+  if (!header.some(isNumeric)) {
+    const names = header.map((cell) => cell.toLowerCase());
+    firstRow = 1;
+    const namedDate = names.findIndex((name) => DATE_COLUMNS.includes(name));
+    dateIndex = namedDate === -1 ? 0 : namedDate;
+    const namedValue = names.findIndex((name) => VALUE_COLUMNS.includes(name));
+    if (namedValue !== -1) {
+      valueIndex = namedValue;
+    } else {
+      // Otherwise use the first other column holding a number
+      const sample = lines[1] ? splitCsvLine(lines[1]) : [];
+      valueIndex = sample.findIndex((cell, index) => index !== dateIndex && isNumeric(cell));
+    }
+  }
+
+  if (valueIndex === -1 || valueIndex === dateIndex) {
+    throw new Error('Could not find a numeric value column');
+  }
+
+  const byDate = new Map();
+  lines.slice(firstRow).forEach((line, index) => {
+    const cells = splitCsvLine(line);
+    const rowNumber = index + firstRow + 1;
+    const date = parseDate(cells[dateIndex] ?? '');
+    if (!date) {
+      throw new Error(`Row ${rowNumber}: "${cells[dateIndex] ?? ''}" is not a date`);
+    }
+    if (!isNumeric(cells[valueIndex] ?? '')) {
+      throw new Error(`Row ${rowNumber}: "${cells[valueIndex] ?? ''}" is not a number`);
+    }
+    byDate.set(date, Number(cells[valueIndex]));
+  });
+
+  if (byDate.size < MIN_SERIES_POINTS) {
+    throw new Error(`The series needs at least ${MIN_SERIES_POINTS} dates, found ${byDate.size}`);
+  }
+  if (byDate.size > MAX_SERIES_POINTS) {
+    throw new Error(`The series can have at most ${MAX_SERIES_POINTS} dates, found ${byDate.size}`);
+  }
+
+  return Array.from(byDate, ([date, value]) => ({ date, value }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Typical spacing between points, so forecasts of weekly or monthly series
+ * continue at the same pace
+ */
+const getStepMs = (series) => {
+  const gaps = [];
+  for (let i = 1; i < series.length; i++) {
+    gaps.push(new Date(series[i].date) - new Date(series[i - 1].date));
+  }
+  gaps.sort((a, b) => a - b);
+  return gaps.length > 0 && gaps[Math.floor(gaps.length / 2)] > 0
+    ? gaps[Math.floor(gaps.length / 2)]
+    : DAY_MS;
+};
+
+const futureDates = (series, periods) => {
+  const step = getStepMs(series);
+  const last = new Date(series[series.length - 1].date).getTime();
+  return Array.from({ length: periods }, (_, i) => new Date(last + (i + 1) * step).toISOString().slice(0, 10));
+};
+
+/**
+ * Error metrics of a forecast against what actually happened. Matches the
+ * metrics reported by the forecasting service.
+ */
+export const computeErrorMetrics = (actual, predicted) => {
+  const errors = actual.map((value, i) => value - predicted[i]);
+  const mae = mean(errors.map(Math.abs));
+  const rmse = Math.sqrt(mean(errors.map((error) => error ** 2)));
+  const nonZero = actual.map((value, i) => [value, errors[i]]).filter(([value]) => value !== 0);
+  const mape = nonZero.length > 0 ? mean(nonZero.map(([value, error]) => Math.abs(error / value))) * 100 : null;
+  const average = mean(actual);
+  const total = actual.reduce((sum, value) => sum + (value - average) ** 2, 0);
+  const residual = errors.reduce((sum, error) => sum + error ** 2, 0);
+  return {
+    mae: round(mae),
+    rmse: round(rmse),
+    mape: mape === null ? null : round(mape),
+    r2: total !== 0 ? round(1 - residual / total) : 0,
+  };
+};
+
+const linearFit = (values) => {
+  const n = values.length;
+  const xMean = (n - 1) / 2;
+  const yMean = mean(values);
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((value, x) => {
+    numerator += (x - xMean) * (value - yMean);
+    denominator += (x - xMean) ** 2;
+  });
+  const slope = denominator !== 0 ? numerator / denominator : 0;
+  return { slope, intercept: yMean - slope * xMean };
+};
+
+// Simple models used when Prophet/ARIMA are not available. Each returns
+// { predicted, spread } for h steps ahead of the values it was given.
+const BASELINE_MODELS = {
+  naive: (values) => {
+    const last = values[values.length - 1];
+    const sigma = stdDev(values.slice(1).map((value, i) => value - values[i]));
+    return (h) => ({ predicted: last, spread: INTERVAL_Z * sigma * Math.sqrt(h) });
+  },
+  moving_average: (values) => {
+    const window = values.slice(-Math.min(7, values.length));
+    const average = mean(window);
+    const sigma = stdDev(window);
+    return () => ({ predicted: average, spread: INTERVAL_Z * sigma });
+  },
+  linear_trend: (values) => {
+    const { slope, intercept } = linearFit(values);
+    const sigma = stdDev(values.map((value, x) => value - (intercept + slope * x)));
+    const n = values.length;
+    return (h) => ({
+      predicted: intercept + slope * (n - 1 + h),
+      spread: INTERVAL_Z * sigma * Math.sqrt(1 + h / n),
+    });
+  },
+};
+
+export const BASELINE_MODEL_NAMES = Object.keys(BASELINE_MODELS);
+
+const predictBaseline = (modelName, values, dates, metricType) => {
+  const model = BASELINE_MODELS[modelName](values);
+  const clamp = (value) => (metricType === 'probability' ? Math.max(0, Math.min(1, value)) : value);
+  return dates.map((date, i) => {
+    const { predicted, spread } = model(i + 1);
+    return {
+      date,
+      predicted_value: round(clamp(predicted)),
+      lower_bound: round(clamp(predicted - spread)),
+      upper_bound: round(clamp(predicted + spread)),
+    };
+  });
+};
+
+/**
+ * Mean prediction and direction of a forecast
+ */
+export const summarizeForecast = (forecastData) => {
+  if (!forecastData?.length) return null;
+  return {
+    mean_prediction: mean(forecastData.map((point) => point.predicted_value)),
+    trend: forecastData[forecastData.length - 1].predicted_value > forecastData[0].predicted_value
+      ? 'increasing'
+      : 'decreasing',
+  };
+};
+
+/**
+ * Demo forecast from a linear trend, in the shape of the /forecast response
+ * content
+ */
+export const buildDemoForecast = (series, periods, metricType = 'general') => {
+  const values = series.map((point) => point.value);
+  const forecastData = predictBaseline('linear_trend', values, futureDates(series, periods), metricType);
+  const { slope, intercept } = linearFit(values);
+
+  return {
+    status: 'success',
+    forecast_data: forecastData,
+    model_used: 'demo_linear_trend',
+    accuracy_metrics: computeErrorMetrics(values, values.map((_, x) => intercept + slope * x)),
+    summary: summarizeForecast(forecastData),
+    recommendations: [
+      'Demo forecast from a linear trend of your series',
+      'Start the forecasting service to use Prophet/ARIMA with automatic model selection',
+    ],
+  };
+};
+
+/**
+ * Hold out the last periods and score the baseline models on them, in the
+ * shape of the /forecast/backtest response
+ */
+export const backtestLocally = (series, holdoutPeriods, metricType = 'general') => {
+  if (holdoutPeriods < 1 || series.length - holdoutPeriods < MIN_SERIES_POINTS) {
+    return {
+      status: 'error',
+      message: `Need at least ${holdoutPeriods + MIN_SERIES_POINTS} data points to hold out ${holdoutPeriods}, got ${series.length}`,
+    };
+  }
+
+  const train = series.slice(0, -holdoutPeriods);
+  const test = series.slice(-holdoutPeriods);
+  const actual = test.map((point) => point.value);
+  const models = {};
+
+  BASELINE_MODEL_NAMES.forEach((modelName) => {
+    const predictions = predictBaseline(
+      modelName,
+      train.map((point) => point.value),
+      test.map((point) => point.date),
+      metricType
+    ).map((point, i) => ({ ...point, actual: actual[i] }));
+    models[modelName] = {
+      status: 'success',
+      accuracy_metrics: computeErrorMetrics(actual, predictions.map((point) => point.predicted_value)),
+      predictions,
+    };
+  });
+
+  return {
+    status: 'success',
+    holdout_periods: holdoutPeriods,
+    train_periods: train.length,
+    models,
+    best_model: BASELINE_MODEL_NAMES.reduce((best, name) =>
+      models[name].accuracy_metrics.mae < models[best].accuracy_metrics.mae ? name : best
+    ),
+  };
+};
+
+/**
+ * Rows for a chart of the series followed by its forecast. `band` holds the
+ * [lower, upper] prediction interval for a ranged area.
+ * @param {Array} series - History as { date, value }
+ * @param {Array} forecastData - Forecast points from the API
+ * @param {number} historyPoints - How much history to show before the forecast
+ */
+export const buildForecastChartRows = (series, forecastData = [], historyPoints = 90) => {
+  const lastDate = series.length > 0 ? series[series.length - 1].date : '';
+  const rows = series.slice(-historyPoints).map((point) => ({ date: point.date, actual: point.value }));
+
+  // Join the forecast to the last observed point so the lines connect
+  if (rows.length > 0 && forecastData.length > 0) {
+    const last = rows[rows.length - 1];
+    last.predicted = last.actual;
+    last.band = [last.actual, last.actual];
+  }
+
+  forecastData
+    .map((point) => ({ ...point, date: String(point.date).slice(0, 10) }))
+    // Some models also return fitted values for the history
+    .filter((point) => point.date > lastDate)
+    .forEach((point) => {
+      rows.push({
+        date: point.date,
+        predicted: point.predicted_value,
+        band: [point.lower_bound, point.upper_bound],
+      });
+    });
+
+  return rows;
+};
+
+/**
+ * Rows for a backtest chart: the training tail, then the held-out actuals
+ * next to each model's predictions
+ */
+export const buildBacktestChartRows = (series, backtest, contextPoints = 30) => {
+  const holdout = backtest.holdout_periods;
+  const rows = series.slice(-(holdout + contextPoints)).map((point) => ({ date: point.date, actual: point.value }));
+  const offset = rows.length - holdout;
+
+  Object.entries(backtest.models).forEach(([modelName, result]) => {
+    if (result.status !== 'success') return;
+    result.predictions.forEach((prediction, i) => {
+      const row = rows[offset + i];
+      if (!row) return;
+      row[modelName] = prediction.predicted_value;
+      if (modelName === backtest.best_model) {
+        row.band = [prediction.lower_bound, prediction.upper_bound];
+      }
+    });
+  });
+
+  return rows;
+};
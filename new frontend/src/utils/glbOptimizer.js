@@ -0,0 +1,862 @@
+/**
+ * GLB Inspection and Optimization
+ * Reads a GLB's JSON and binary chunks directly, so it runs in a worker with
+ * no DOM or WebGL (see workers/glbOptimizer.worker.js). inspectGlb reports what
+ * makes an avatar slow or render wrongly; optimizeGlb simplifies meshes,
+ * shrinks textures and centres and scales the model, then writes a new GLB.
+ */
+
+import { Box3, Matrix4, Quaternion, Vector3 } from 'three';
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+// Past these an avatar is flagged as slow
+export const GLB_LIMITS = {
+  triangles: 100000,
+  textureSize: 2048,
+  textureMemoryMB: 256,
+  fileSizeMB: 20,
+};
+
+// Largest dimension of an auto-fitted model, the size of the sample avatars
+export const AUTO_FIT_SIZE = 1.6;
+
+export const DEFAULT_OPTIMIZE_OPTIONS = {
+  simplifyMeshes: false,
+  targetTriangles: 50000,
+  resizeTextures: false,
+  maxTextureSize: 1024,
+  autoFit: false,
+};
+
+const COMPONENT_ARRAYS = {
+  5120: Int8Array,
+  5121: Uint8Array,
+  5122: Int16Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array,
+};
+
+const COMPONENT_GETTERS = {
+  5120: 'getInt8',
+  5121: 'getUint8',
+  5122: 'getInt16',
+  5123: 'getUint16',
+  5125: 'getUint32',
+  5126: 'getFloat32',
+};
+
+// Divisors that turn normalized integers back into 0..1
+const COMPONENT_MAX = { 5121: 255, 5123: 65535 };
+
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+const TRIANGLES = 4;
+const COMPRESSION_EXTENSIONS = ['KHR_draco_mesh_compression', 'EXT_meshopt_compression'];
+
+const align4 = (value) => Math.ceil(value / 4) * 4;
+
+const decodeDataUri = (uri) => {
+  const binary = atob(uri.slice(uri.indexOf(',') + 1));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+/**
+ * Split a GLB into its glTF JSON and buffers
+ * @param {ArrayBuffer} arrayBuffer - GLB file contents
+ * @returns {Object} { json, buffers, viewData } where buffers holds a
+ *   Uint8Array per glTF buffer (null when it is an external file)
+ * @throws {Error} When the file is not a readable glTF 2.0 GLB
+ */
+export const parseGlb = (arrayBuffer) => {
+  const view = new DataView(arrayBuffer);
+  if (arrayBuffer.byteLength < 20 || view.getUint32(0, true) !== GLB_MAGIC) {
+    throw new Error('This is not a GLB file');
+  }
+  const version = view.getUint32(4, true);
+  if (version !== 2) {
+    throw new Error(`GLB version ${version} is not supported, only glTF 2.0`);
+  }
+
+  const length = Math.min(view.getUint32(8, true), arrayBuffer.byteLength);
+  let offset = 12;
+  let json = null;
+  let bin = null;
+
+  while (offset + 8 <= length) {
+    const chunkLength = view.getUint32(offset, true);
+    const chunkType = view.getUint32(offset + 4, true);
+    const start = offset + 8;
+    if (start + chunkLength > length) {
+      throw new Error('The GLB file is truncated');
+    }
+    if (chunkType === CHUNK_JSON) {
+      try {
+        json = JSON.parse(new TextDecoder().decode(new Uint8Array(arrayBuffer, start, chunkLength)));
+      } catch {
+        throw new Error('The GLB file has unreadable glTF JSON');
+      }
+    } else if (chunkType === CHUNK_BIN && !bin) {
+      bin = new Uint8Array(arrayBuffer, start, chunkLength);
+    }
+    offset = start + chunkLength;
+  }
+
+  if (!json) {
+    throw new Error('The GLB file has no glTF JSON');
+  }
+
+  const buffers = (json.buffers || []).map((buffer, index) => {
+    if (buffer.uri === undefined) return index === 0 ? bin : null;
+    if (buffer.uri.startsWith('data:')) return decodeDataUri(buffer.uri);
+    return null;
+  });
+
+  // Replaced bufferView contents, by view index; writeGlb packs them
+  return { json, buffers, viewData: new Map() };
+};
+
+const getViewBytes = (gltf, viewIndex) => {
+  if (gltf.viewData.has(viewIndex)) return gltf.viewData.get(viewIndex);
+  const view = gltf.json.bufferViews?.[viewIndex];
+  const buffer = view && gltf.buffers[view.buffer ?? 0];
+  if (!buffer) return null;
+  const start = view.byteOffset || 0;
+  return buffer.subarray(start, start + view.byteLength);
+};
+
+const readElements = (gltf, viewIndex, byteOffset, count, itemSize, componentType, target) => {
+  const bytes = getViewBytes(gltf, viewIndex);
+  if (!bytes) return false;
+  const ArrayType = COMPONENT_ARRAYS[componentType];
+  const getter = COMPONENT_GETTERS[componentType];
+  const elementBytes = ArrayType.BYTES_PER_ELEMENT;
+  const stride = gltf.json.bufferViews[viewIndex].byteStride || itemSize * elementBytes;
+  const data = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  for (let i = 0; i < count; i++) {
+    for (let c = 0; c < itemSize; c++) {
+      target[i * itemSize + c] = data[getter](byteOffset + i * stride + c * elementBytes, true);
+    }
+  }
+  return true;
+};
+
+/**
+ * Values of an accessor as a flat typed array
+ * @returns {TypedArray|null} null when its data is not in the file
+ */
+const readAccessor = (gltf, accessorIndex) => {
+  const accessor = gltf.json.accessors?.[accessorIndex];
+  const ArrayType = accessor && COMPONENT_ARRAYS[accessor.componentType];
+  const itemSize = accessor && TYPE_SIZES[accessor.type];
+  if (!ArrayType || !itemSize) return null;
+
+  const values = new ArrayType(accessor.count * itemSize);
+  if (accessor.bufferView !== undefined) {
+    const read = readElements(
+      gltf, accessor.bufferView, accessor.byteOffset || 0, accessor.count, itemSize, accessor.componentType, values
+    );
+    if (!read) return null;
+  }
+
+  if (accessor.sparse) {
+    const { count, indices, values: sparseValues } = accessor.sparse;
+    const targets = new Uint32Array(count);
+    const replacements = new ArrayType(count * itemSize);
+    if (
+      !readElements(gltf, indices.bufferView, indices.byteOffset || 0, count, 1, indices.componentType, targets)
+      || !readElements(gltf, sparseValues.bufferView, sparseValues.byteOffset || 0, count, itemSize, accessor.componentType, replacements)
+    ) {
+      return null;
+    }
+    targets.forEach((target, i) => {
+      values.set(replacements.subarray(i * itemSize, (i + 1) * itemSize), target * itemSize);
+    });
+  }
+
+  return values;
+};
+
+const localMatrix = (node) => {
+  if (node.matrix) return new Matrix4().fromArray(node.matrix);
+  return new Matrix4().compose(
+    new Vector3().fromArray(node.translation || [0, 0, 0]),
+    new Quaternion().fromArray(node.rotation || [0, 0, 0, 1]),
+    new Vector3().fromArray(node.scale || [1, 1, 1])
+  );
+};
+
+const getSceneIndex = (json) => json.scene ?? (json.scenes?.length ? 0 : null);
+
+// Visit each node of the default scene with its world matrix
+const traverseScene = (json, visit) => {
+  const sceneIndex = getSceneIndex(json);
+  const roots = sceneIndex === null ? [] : json.scenes[sceneIndex]?.nodes || [];
+  const visited = new Set();
+
+  const walk = (nodeIndex, parentMatrix) => {
+    const node = json.nodes?.[nodeIndex];
+    if (!node || visited.has(nodeIndex)) return;
+    visited.add(nodeIndex);
+    const world = parentMatrix.clone().multiply(localMatrix(node));
+    visit(node, world);
+    (node.children || []).forEach((child) => walk(child, world));
+  };
+
+  roots.forEach((root) => walk(root, new Matrix4()));
+};
+
+const countTriangles = (mode = TRIANGLES, count = 0) => {
+  if (mode === TRIANGLES) return Math.floor(count / 3);
+  if (mode === 5 || mode === 6) return Math.max(0, count - 2); // strips and fans
+  return 0;
+};
+
+const primitiveElementCount = (json, primitive) =>
+  primitive.indices !== undefined
+    ? json.accessors?.[primitive.indices]?.count || 0
+    : json.accessors?.[primitive.attributes?.POSITION]?.count || 0;
+
+const isCompressed = (primitive) =>
+  COMPRESSION_EXTENSIONS.some((name) => primitive.extensions?.[name]);
+
+// World-space bounds of the default scene, from the accessor min/max values
+const computeBounds = (json) => {
+  const box = new Box3();
+  const corner = new Vector3();
+
+  traverseScene(json, (node, world) => {
+    const mesh = json.meshes?.[node.mesh];
+    mesh?.primitives?.forEach((primitive) => {
+      const accessor = json.accessors?.[primitive.attributes?.POSITION];
+      if (!accessor?.min || !accessor?.max) return;
+      for (let i = 0; i < 8; i++) {
+        corner.set(
+          i & 1 ? accessor.max[0] : accessor.min[0],
+          i & 2 ? accessor.max[1] : accessor.min[1],
+          i & 4 ? accessor.max[2] : accessor.min[2]
+        ).applyMatrix4(world);
+        box.expandByPoint(corner);
+      }
+    });
+  });
+
+  return box.isEmpty() ? null : box;
+};
+
+// Width and height from a PNG, JPEG or WebP header
+export const readImageSize = (bytes) => {
+  if (!bytes || bytes.length < 30) return null;
+  const data = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (data.getUint32(0) === 0x89504e47) {
+    return { width: data.getUint32(16), height: data.getUint32(20), mimeType: 'image/png' };
+  }
+
+  if (data.getUint16(0) === 0xffd8) {
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+      if (bytes[offset] !== 0xff) {
+        offset++;
+        continue;
+      }
+      const marker = bytes[offset + 1];
+      if (marker === 0xff) {
+        offset++;
+        continue;
+      }
+      // Start-of-frame markers, leaving out DHT, JPG and DAC
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: data.getUint16(offset + 7), height: data.getUint16(offset + 5), mimeType: 'image/jpeg' };
+      }
+      offset += 2 + data.getUint16(offset + 2);
+    }
+    return null;
+  }
+
+  if (data.getUint32(0) === 0x52494646 && data.getUint32(8) === 0x57454250) {
+    const chunk = data.getUint32(12);
+    if (chunk === 0x56503858) { // VP8X
+      return {
+        width: 1 + (data.getUint32(24, true) & 0xffffff),
+        height: 1 + (data.getUint32(27, true) & 0xffffff),
+        mimeType: 'image/webp',
+      };
+    }
+    if (chunk === 0x56503820) { // VP8
+      return { width: data.getUint16(26, true) & 0x3fff, height: data.getUint16(28, true) & 0x3fff, mimeType: 'image/webp' };
+    }
+    if (chunk === 0x5650384c) { // VP8L
+      const bits = data.getUint32(21, true);
+      return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff), mimeType: 'image/webp' };
+    }
+  }
+
+  return null;
+};
+
+const getImageBytes = (gltf, image) => {
+  if (image.bufferView !== undefined) return getViewBytes(gltf, image.bufferView);
+  if (image.uri?.startsWith('data:')) return decodeDataUri(image.uri);
+  return null;
+};
+
+// Share of skinned vertices whose bone weights don't add up to 1
+const unnormalizedWeightShare = (gltf, primitive) => {
+  const accessor = gltf.json.accessors?.[primitive.attributes.WEIGHTS_0];
+  const weights = readAccessor(gltf, primitive.attributes.WEIGHTS_0);
+  if (!accessor || !weights || accessor.count === 0) return 0;
+  const scale = accessor.normalized ? COMPONENT_MAX[accessor.componentType] || 1 : 1;
+
+  let bad = 0;
+  for (let i = 0; i < accessor.count; i++) {
+    const sum = (weights[i * 4] + weights[i * 4 + 1] + weights[i * 4 + 2] + weights[i * 4 + 3]) / scale;
+    if (Math.abs(sum - 1) > 0.01) bad++;
+  }
+  return bad / accessor.count;
+};
+
+const round = (value, digits = 3) => Number(value.toFixed(digits)) || 0;
+
+/**
+ * Inspect a GLB for avatar use
+ * @param {ArrayBuffer} arrayBuffer - GLB file contents
+ * @returns {Object} Report with geometry, texture, animation, morph target
+ *   and skeleton details, the model bounds and a list of issues
+ * @throws {Error} When the file is not a readable GLB
+ */
+export const inspectGlb = (arrayBuffer) => {
+  const gltf = parseGlb(arrayBuffer);
+  const { json } = gltf;
+  const issues = [];
+  const addIssue = (level, code, message) => issues.push({ level, code, message });
+
+  // Geometry, counted per mesh instance since that is what gets drawn
+  let triangles = 0;
+  let vertices = 0;
+  let meshInstances = 0;
+  let compressedPrimitives = 0;
+  const skinnedMeshes = new Set();
+  const rigProblems = [];
+
+  traverseScene(json, (node) => {
+    const mesh = json.meshes?.[node.mesh];
+    if (!mesh) return;
+    meshInstances++;
+    const meshName = mesh.name || node.name || `mesh ${node.mesh}`;
+
+    mesh.primitives?.forEach((primitive) => {
+      triangles += countTriangles(primitive.mode, primitiveElementCount(json, primitive));
+      vertices += json.accessors?.[primitive.attributes?.POSITION]?.count || 0;
+      if (isCompressed(primitive)) compressedPrimitives++;
+
+      const hasWeights = primitive.attributes?.JOINTS_0 !== undefined && primitive.attributes?.WEIGHTS_0 !== undefined;
+      if (node.skin !== undefined) {
+        skinnedMeshes.add(node.mesh);
+        if (!hasWeights) {
+          rigProblems.push(`${meshName} is skinned but has no bone weights, so it won't move with the skeleton`);
+        } else if (!isCompressed(primitive) && unnormalizedWeightShare(gltf, primitive) > 0.01) {
+          rigProblems.push(`${meshName} has bone weights that don't add up to 1, so parts may stretch when animated`);
+        }
+      } else if (hasWeights) {
+        rigProblems.push(`${meshName} has bone weights but no skeleton, so it stays in its rest pose`);
+      }
+    });
+  });
+
+  // Textures
+  const images = (json.images || []).map((image, index) => {
+    const bytes = getImageBytes(gltf, image);
+    const size = readImageSize(bytes);
+    return {
+      index,
+      name: image.name || `image ${index}`,
+      mimeType: image.mimeType || size?.mimeType || null,
+      width: size?.width || null,
+      height: size?.height || null,
+      bytes: bytes?.byteLength || 0,
+      external: !bytes,
+    };
+  });
+  const textureMemoryMB = images.reduce(
+    (total, image) => total + ((image.width || 0) * (image.height || 0) * 4 * 4) / 3 / (1024 * 1024),
+    0
+  );
+
+  // Animations
+  const animations = (json.animations || []).map((animation, index) => {
+    const duration = (animation.samplers || []).reduce(
+      (longest, sampler) => Math.max(longest, json.accessors?.[sampler.input]?.max?.[0] || 0),
+      0
+    );
+    const missingTargets = (animation.channels || []).filter(
+      (channel) => channel.target?.node !== undefined && !json.nodes?.[channel.target.node]
+    ).length;
+    return {
+      name: animation.name || `animation ${index + 1}`,
+      channels: animation.channels?.length || 0,
+      duration: round(duration, 2),
+      missingTargets,
+    };
+  });
+
+  // Morph targets
+  const morphMeshes = (json.meshes || [])
+    .map((mesh, index) => ({
+      name: mesh.name || `mesh ${index}`,
+      targets: Math.max(0, ...(mesh.primitives || []).map((primitive) => primitive.targets?.length || 0)),
+      targetNames: mesh.extras?.targetNames || [],
+    }))
+    .filter((mesh) => mesh.targets > 0);
+
+  // Skeleton
+  const skins = (json.skins || []).map((skin, index) => ({
+    name: skin.name || `skin ${index}`,
+    joints: skin.joints?.length || 0,
+    missingJoints: (skin.joints || []).filter((joint) => !json.nodes?.[joint]).length,
+  }));
+
+  const bounds = computeBounds(json);
+  const size = bounds ? bounds.getSize(new Vector3()) : null;
+  const center = bounds ? bounds.getCenter(new Vector3()) : null;
+  const largest = size ? Math.max(size.x, size.y, size.z) : 0;
+
+  // Issues, errors first
+  const externalImages = images.filter((image) => image.external).length;
+  if (gltf.buffers.some((buffer) => !buffer) || externalImages > 0) {
+    addIssue('error', 'external-files', 'The model refers to files outside the GLB, so parts of it will be missing');
+  }
+  if (meshInstances === 0) {
+    addIssue('error', 'no-meshes', 'The model has no meshes to show');
+  }
+  rigProblems.forEach((message) => addIssue('error', 'rig', message));
+  skins.filter((skin) => skin.missingJoints > 0).forEach((skin) => {
+    const bones = `${skin.missingJoints} missing bone${skin.missingJoints === 1 ? '' : 's'}`;
+    addIssue('error', 'rig', `${skin.name} refers to ${bones}`);
+  });
+  animations.filter((animation) => animation.missingTargets > 0).forEach((animation) => {
+    const parts = `${animation.missingTargets} missing part${animation.missingTargets === 1 ? '' : 's'}`;
+    addIssue('warning', 'animation', `${animation.name} animates ${parts}`);
+  });
+  if (triangles > GLB_LIMITS.triangles) {
+    addIssue(
+      'warning',
+      'triangles',
+      `${triangles.toLocaleString()} triangles; avatars over ${GLB_LIMITS.triangles.toLocaleString()} render slowly`
+    );
+  }
+  const largeImages = images.filter((image) => Math.max(image.width || 0, image.height || 0) > GLB_LIMITS.textureSize);
+  if (largeImages.length > 0) {
+    const biggest = largeImages.reduce((a, b) => (a.width * a.height >= b.width * b.height ? a : b));
+    addIssue(
+      'warning',
+      'textures',
+      `${largeImages.length} texture${largeImages.length === 1 ? ' is' : 's are'} larger than ${GLB_LIMITS.textureSize}px (largest ${biggest.width}×${biggest.height})`
+    );
+  }
+  if (textureMemoryMB > GLB_LIMITS.textureMemoryMB) {
+    addIssue('warning', 'texture-memory', `Textures need about ${Math.round(textureMemoryMB)} MB of graphics memory`);
+  }
+  if (arrayBuffer.byteLength > GLB_LIMITS.fileSizeMB * 1024 * 1024) {
+    addIssue('warning', 'file-size', `The file is over ${GLB_LIMITS.fileSizeMB} MB and will be slow to load`);
+  }
+  if (largest > 0 && (largest < 0.1 || largest > 20)) {
+    addIssue('warning', 'scale', `The model is ${round(largest, 2)} units across; auto-fit scales it to ${AUTO_FIT_SIZE}`);
+  } else if (center && largest > 0 && center.length() > largest / 2) {
+    addIssue('warning', 'off-centre', 'The model sits away from its origin, so it will appear off to one side');
+  }
+  if (compressedPrimitives > 0) {
+    addIssue('info', 'compressed', 'Some meshes are compressed; they are kept as they are when simplifying');
+  }
+
+  return {
+    inspectedAt: new Date().toISOString(),
+    fileSize: arrayBuffer.byteLength,
+    generator: json.asset?.generator || null,
+    extensions: json.extensionsUsed || [],
+    geometry: {
+      meshes: json.meshes?.length || 0,
+      meshInstances,
+      triangles,
+      vertices,
+      materials: json.materials?.length || 0,
+    },
+    textures: {
+      count: images.length,
+      memoryMB: round(textureMemoryMB, 1),
+      images,
+    },
+    animations,
+    morphTargets: {
+      meshes: morphMeshes.length,
+      maxTargets: Math.max(0, ...morphMeshes.map((mesh) => mesh.targets)),
+      details: morphMeshes,
+    },
+    skeleton: {
+      skins: skins.length,
+      joints: Math.max(0, ...skins.map((skin) => skin.joints)),
+      skinnedMeshes: skinnedMeshes.size,
+    },
+    bounds: size && {
+      size: size.toArray().map((value) => round(value)),
+      center: center.toArray().map((value) => round(value)),
+    },
+    issues,
+  };
+};
+
+/**
+ * Optimization options that address a report's issues
+ */
+export const suggestOptimizeOptions = (report) => {
+  const codes = report.issues.map((issue) => issue.code);
+  return {
+    ...DEFAULT_OPTIMIZE_OPTIONS,
+    simplifyMeshes: codes.includes('triangles'),
+    resizeTextures: codes.includes('textures') || codes.includes('texture-memory'),
+    autoFit: codes.includes('scale') || codes.includes('off-centre'),
+  };
+};
+
+const addBufferView = (gltf, bytes) => {
+  gltf.json.bufferViews = gltf.json.bufferViews || [];
+  gltf.json.bufferViews.push({ buffer: 0, byteOffset: 0, byteLength: bytes.byteLength });
+  const index = gltf.json.bufferViews.length - 1;
+  gltf.viewData.set(index, bytes);
+  return index;
+};
+
+// Merge vertices that share a grid cell and drop the triangles that collapse
+const clusterTriangles = (indices, positions, origin, cellSize) => {
+  const cells = new Map();
+  const representative = new Map();
+  const kept = [];
+
+  const cellOf = (vertex) => {
+    let merged = representative.get(vertex);
+    if (merged === undefined) {
+      const key = [0, 1, 2]
+        .map((axis) => Math.floor((positions[vertex * 3 + axis] - origin[axis]) / cellSize))
+        .join(',');
+      merged = cells.get(key);
+      if (merged === undefined) {
+        merged = vertex;
+        cells.set(key, vertex);
+      }
+      representative.set(vertex, merged);
+    }
+    return merged;
+  };
+
+  for (let i = 0; i + 2 < indices.length; i += 3) {
+    const a = cellOf(indices[i]);
+    const b = cellOf(indices[i + 1]);
+    const c = cellOf(indices[i + 2]);
+    if (a !== b && b !== c && a !== c) kept.push(a, b, c);
+  }
+  return kept;
+};
+
+// Finest grid that brings a primitive down to its share of the triangles
+const simplifyPrimitive = (gltf, primitive, ratio) => {
+  const { json } = gltf;
+  const positionAccessor = json.accessors[primitive.attributes.POSITION];
+  const positions = readAccessor(gltf, primitive.attributes.POSITION);
+  if (!positions || !positionAccessor.min || !positionAccessor.max) return null;
+
+  const indices = primitive.indices !== undefined
+    ? readAccessor(gltf, primitive.indices)
+    : Uint32Array.from({ length: positionAccessor.count }, (_, i) => i);
+  if (!indices) return null;
+
+  const target = Math.max(12, Math.floor((indices.length / 3) * ratio));
+  if (indices.length / 3 <= target) return null;
+
+  const extent = Math.max(...positionAccessor.max.map((max, axis) => max - positionAccessor.min[axis]));
+  let low = 2;
+  let high = 1024;
+  let best = null;
+  while (low <= high) {
+    const resolution = Math.floor((low + high) / 2);
+    const kept = clusterTriangles(indices, positions, positionAccessor.min, extent / resolution);
+    if (kept.length / 3 <= target) {
+      best = kept;
+      low = resolution + 1;
+    } else {
+      high = resolution - 1;
+    }
+  }
+  if (!best || best.length === 0) return null;
+
+  const useShort = positionAccessor.count <= 65535;
+  const indexArray = useShort ? Uint16Array.from(best) : Uint32Array.from(best);
+
+  json.accessors.push({
+    bufferView: addBufferView(gltf, new Uint8Array(indexArray.buffer)),
+    componentType: useShort ? 5123 : 5125,
+    count: indexArray.length,
+    type: 'SCALAR',
+  });
+  return json.accessors.length - 1;
+};
+
+const simplifyMeshes = (gltf, targetTriangles) => {
+  const { json } = gltf;
+  let before = 0;
+  traverseScene(json, (node) => {
+    json.meshes?.[node.mesh]?.primitives?.forEach((primitive) => {
+      before += countTriangles(primitive.mode, primitiveElementCount(json, primitive));
+    });
+  });
+  if (before <= targetTriangles) return null;
+
+  const ratio = targetTriangles / before;
+  const replaced = new Map(); // "indices/position" -> new indices accessor
+  const released = new Set();
+
+  (json.meshes || []).forEach((mesh) => {
+    mesh.primitives?.forEach((primitive) => {
+      if ((primitive.mode ?? TRIANGLES) !== TRIANGLES || isCompressed(primitive)) return;
+      if (primitive.attributes?.POSITION === undefined) return;
+
+      const key = `${primitive.indices}/${primitive.attributes.POSITION}`;
+      if (!replaced.has(key)) {
+        replaced.set(key, simplifyPrimitive(gltf, primitive, ratio));
+      }
+      const accessorIndex = replaced.get(key);
+      if (accessorIndex === null) return;
+      if (primitive.indices !== undefined) released.add(primitive.indices);
+      primitive.indices = accessorIndex;
+    });
+  });
+
+  releaseAccessors(gltf, released);
+
+  let after = 0;
+  traverseScene(json, (node) => {
+    json.meshes?.[node.mesh]?.primitives?.forEach((primitive) => {
+      after += countTriangles(primitive.mode, primitiveElementCount(json, primitive));
+    });
+  });
+  return `Simplified meshes from ${before.toLocaleString()} to ${after.toLocaleString()} triangles`;
+};
+
+// Let go of index accessors no primitive uses any more, so their data isn't written
+const releaseAccessors = (gltf, accessorIndices) => {
+  const { json } = gltf;
+  const stillUsed = new Set();
+  (json.meshes || []).forEach((mesh) => mesh.primitives?.forEach((primitive) => stillUsed.add(primitive.indices)));
+
+  accessorIndices.forEach((index) => {
+    if (stillUsed.has(index)) return;
+    // An accessor without a bufferView is valid and reads as zeros
+    delete json.accessors[index].bufferView;
+    delete json.accessors[index].byteOffset;
+  });
+};
+
+const resizeImage = async (bytes, mimeType, width, height) => {
+  const bitmap = await createImageBitmap(new Blob([bytes], { type: mimeType }));
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  const blob = await canvas.convertToBlob({ type: mimeType, quality: 0.9 });
+  return { bytes: new Uint8Array(await blob.arrayBuffer()), mimeType: blob.type };
+};
+
+const resizeTextures = async (gltf, maxSize) => {
+  const { json } = gltf;
+  if (typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+    return 'Textures were left as they are: this browser cannot resize images in the background';
+  }
+
+  // Images whose bufferView holds nothing else can have its data swapped
+  const viewUsers = new Map();
+  [...(json.accessors || []), ...(json.images || [])].forEach(({ bufferView }) => {
+    viewUsers.set(bufferView, (viewUsers.get(bufferView) || 0) + 1);
+  });
+
+  let resized = 0;
+  for (const image of json.images || []) {
+    const bytes = getImageBytes(gltf, image);
+    const size = readImageSize(bytes);
+    // WebP stays as it is since not every browser can encode it
+    if (!size || !['image/png', 'image/jpeg'].includes(size.mimeType)) continue;
+    const scale = maxSize / Math.max(size.width, size.height);
+    if (scale >= 1) continue;
+
+    const output = await resizeImage(
+      bytes,
+      size.mimeType,
+      Math.max(1, Math.round(size.width * scale)),
+      Math.max(1, Math.round(size.height * scale))
+    );
+    if (output.bytes.byteLength >= bytes.byteLength) continue;
+
+    if (image.bufferView !== undefined && viewUsers.get(image.bufferView) === 1) {
+      gltf.viewData.set(image.bufferView, output.bytes);
+    } else {
+      image.bufferView = addBufferView(gltf, output.bytes);
+      delete image.uri;
+    }
+    image.mimeType = output.mimeType;
+    resized++;
+  }
+
+  return resized > 0 ? `Resized ${resized} texture${resized === 1 ? '' : 's'} to at most ${maxSize}px` : null;
+};
+
+// Wrap the scene in a node that centres it on the origin and scales it to AUTO_FIT_SIZE
+const autoFitScene = (gltf) => {
+  const { json } = gltf;
+  const bounds = computeBounds(json);
+  const sceneIndex = getSceneIndex(json);
+  if (!bounds || sceneIndex === null) return null;
+
+  const size = bounds.getSize(new Vector3());
+  const largest = Math.max(size.x, size.y, size.z);
+  if (largest === 0) return null;
+  const scale = AUTO_FIT_SIZE / largest;
+  const center = bounds.getCenter(new Vector3());
+
+  const scene = json.scenes[sceneIndex];
+  json.nodes = json.nodes || [];
+  json.nodes.push({
+    name: 'AutoFit',
+    translation: center.toArray().map((value) => -value * scale),
+    scale: [scale, scale, scale],
+    children: scene.nodes || [],
+  });
+  scene.nodes = [json.nodes.length - 1];
+
+  return `Centred the model and scaled it to ${AUTO_FIT_SIZE} units across`;
+};
+
+// Drop bufferViews nothing refers to and renumber the rest
+const pruneBufferViews = (gltf) => {
+  const { json } = gltf;
+  const views = json.bufferViews || [];
+  const used = new Set();
+  const collect = (owner) => owner?.bufferView !== undefined && used.add(owner.bufferView);
+
+  (json.accessors || []).forEach((accessor) => {
+    collect(accessor);
+    collect(accessor.sparse?.indices);
+    collect(accessor.sparse?.values);
+  });
+  (json.images || []).forEach(collect);
+  (json.meshes || []).forEach((mesh) => mesh.primitives?.forEach((primitive) => {
+    COMPRESSION_EXTENSIONS.forEach((name) => collect(primitive.extensions?.[name]));
+  }));
+
+  const remap = new Map();
+  const kept = [];
+  const keptData = new Map();
+  views.forEach((view, index) => {
+    if (!used.has(index)) return;
+    remap.set(index, kept.length);
+    keptData.set(kept.length, getViewBytes(gltf, index));
+    kept.push(view);
+  });
+
+  const renumber = (owner) => {
+    if (owner?.bufferView !== undefined) owner.bufferView = remap.get(owner.bufferView);
+  };
+  (json.accessors || []).forEach((accessor) => {
+    renumber(accessor);
+    renumber(accessor.sparse?.indices);
+    renumber(accessor.sparse?.values);
+  });
+  (json.images || []).forEach(renumber);
+  (json.meshes || []).forEach((mesh) => mesh.primitives?.forEach((primitive) => {
+    COMPRESSION_EXTENSIONS.forEach((name) => renumber(primitive.extensions?.[name]));
+  }));
+
+  json.bufferViews = kept;
+  gltf.viewData = keptData;
+};
+
+/**
+ * Write glTF JSON and bufferView contents back to a GLB with one buffer
+ * @returns {ArrayBuffer} GLB file contents
+ */
+export const writeGlb = (gltf) => {
+  pruneBufferViews(gltf);
+  const { json } = gltf;
+
+  const parts = [];
+  let binLength = 0;
+  json.bufferViews = json.bufferViews.map((view, index) => {
+    const data = gltf.viewData.get(index);
+    if (!data) {
+      throw new Error('The model refers to files outside the GLB, so it cannot be rewritten');
+    }
+    const byteOffset = align4(binLength);
+    parts.push({ byteOffset, data });
+    binLength = byteOffset + data.byteLength;
+    return { ...view, buffer: 0, byteOffset, byteLength: data.byteLength };
+  });
+  if (json.bufferViews.length === 0) delete json.bufferViews;
+
+  if (binLength > 0) {
+    json.buffers = [{ byteLength: binLength }];
+  } else {
+    delete json.buffers;
+  }
+
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const jsonLength = align4(jsonBytes.byteLength);
+  const binChunkLength = align4(binLength);
+  const total = 12 + 8 + jsonLength + (binLength > 0 ? 8 + binChunkLength : 0);
+
+  const output = new ArrayBuffer(total);
+  const view = new DataView(output);
+  const bytes = new Uint8Array(output);
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, total, true);
+
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, CHUNK_JSON, true);
+  bytes.set(jsonBytes, 20);
+  bytes.fill(0x20, 20 + jsonBytes.byteLength, 20 + jsonLength); // JSON is padded with spaces
+
+  if (binLength > 0) {
+    const binStart = 20 + jsonLength;
+    view.setUint32(binStart, binChunkLength, true);
+    view.setUint32(binStart + 4, CHUNK_BIN, true);
+    parts.forEach(({ byteOffset, data }) => bytes.set(data, binStart + 8 + byteOffset));
+  }
+
+  return output;
+};
+
+/**
+ * Optimize a GLB for use as an avatar
+ * @param {ArrayBuffer} arrayBuffer - GLB file contents
+ * @param {Object} options - See DEFAULT_OPTIMIZE_OPTIONS
+ * @returns {Promise<Object>} { buffer, changes } with the new GLB and a
+ *   sentence per change made
+ * @throws {Error} When the file cannot be read or rewritten
+ */
+export const optimizeGlb = async (arrayBuffer, options = {}) => {
+  const settings = { ...DEFAULT_OPTIMIZE_OPTIONS, ...options };
+  const gltf = parseGlb(arrayBuffer);
+  const changes = [];
+
+  if (settings.simplifyMeshes) {
+    changes.push(simplifyMeshes(gltf, settings.targetTriangles));
+  }
+  if (settings.resizeTextures) {
+    changes.push(await resizeTextures(gltf, settings.maxTextureSize));
+  }
+  if (settings.autoFit) {
+    changes.push(autoFitScene(gltf));
+  }
+
+  return { buffer: writeGlb(gltf), changes: changes.filter(Boolean) };
+};
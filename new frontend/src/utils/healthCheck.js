@@ -5,7 +5,10 @@
  * and ensure the frontend is properly connected to all required APIs.
  */
 
-import { API_BASE_URL, CHAT_API_BASE_URL, FINANCIAL_API_BASE_URL, AGENT_API_BASE_URL, PIPELINE_API_BASE_URL } from '../config';
+import { SERVICES, getServiceUrl } from '../config/endpoints';
+
+// Services that expose a /health endpoint
+const HEALTH_CHECKED_SERVICES = ['base', 'chat', 'financial', 'agent', 'pipeline'];
 
 /**
  * Check the health of a specific backend service
@@ -37,13 +40,12 @@ export const checkServiceHealth = async (url) => {
  * @returns {Promise<{allHealthy: boolean, services: Object}>} - Health check results
  */
 export const checkAllServices = async () => {
-  const services = {
-    base: { url: API_BASE_URL, name: 'Base Backend' },
-    chat: { url: CHAT_API_BASE_URL, name: 'Chat API' },
-    financial: { url: FINANCIAL_API_BASE_URL, name: 'Financial Simulator' },
-    agent: { url: AGENT_API_BASE_URL, name: 'Agent API' },
-    pipeline: { url: PIPELINE_API_BASE_URL, name: 'Pipeline Service (Render)' },
-  };
+  const services = Object.fromEntries(
+    HEALTH_CHECKED_SERVICES.map((key) => [
+      key,
+      { url: getServiceUrl(key), name: SERVICES[key].name },
+    ])
+  );
   
   const results = {};
   let allHealthy = true;
@@ -1,17 +1,48 @@
 /**
  * IndexedDB Storage Utility for Large Files (1GB+ capacity)
- * Specifically designed for storing .glb 3D models and other large binary data
+ * Specifically designed for storing .glb 3D models and other large binary data,
+ * chat sessions that outgrow localStorage, the student's lesson library and
+ * queued 3D model generation jobs
  */
 
+export const DB_NAME = 'GurukulStorage';
+export const DB_VERSION = 7; // Increment version for new schema
+
+// Wrap an IDBRequest in a promise
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Resolve once a transaction has committed
+const transactionToPromise = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve(true);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+
+// Key range covering every message of a session, optionally from a position onwards
+const sessionMessageRange = (sessionId, fromPosition = 0) =>
+  IDBKeyRange.bound([sessionId, fromPosition], [sessionId, Infinity]);
+
 class IndexedDBStorage {
   constructor() {
-    this.dbName = 'GurukulStorage';
-    this.dbVersion = 2; // Increment version for new schema
+    this.dbName = DB_NAME;
+    this.dbVersion = DB_VERSION;
     this.db = null;
     this.stores = {
       customModels: 'customModels', // For 3D models
       customImages: 'customImages', // For images
-      metadata: 'metadata'
+      metadata: 'metadata',
+      chatSessions: 'chatSessions', // One record per chat session
+      chatMessages: 'chatMessages', // Messages keyed by [sessionId, position]
+      chatTombstones: 'chatTombstones', // Deleted session IDs, kept so sync does not bring them back
+      ttsAudio: 'ttsAudio', // Synthesized speech clips, keyed by text and voice
+      libraryItems: 'libraryItems', // Saved lessons, summaries and audio
+      libraryAudio: 'libraryAudio', // Downloaded audio of pinned library items, keyed by itemId
+      generationJobs: 'generationJobs' // Queued and finished 3D model generation jobs
     };
   }
 
@@ -66,6 +97,50 @@ class IndexedDBStorage {
           const metadataStore = db.createObjectStore(this.stores.metadata, { keyPath: 'key' });
         }
 
+        if (!db.objectStoreNames.contains(this.stores.chatSessions)) {
+          console.log('🔄 IndexedDB: Creating chatSessions store');
+          const sessionsStore = db.createObjectStore(this.stores.chatSessions, { keyPath: 'id' });
+          sessionsStore.createIndex('userId', 'userId', { unique: false });
+          sessionsStore.createIndex('userLastUpdated', ['userId', 'lastUpdated'], { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(this.stores.chatMessages)) {
+          console.log('🔄 IndexedDB: Creating chatMessages store');
+          const messagesStore = db.createObjectStore(this.stores.chatMessages, {
+            keyPath: ['sessionId', 'position']
+          });
+          messagesStore.createIndex('userId', 'userId', { unique: false });
+          messagesStore.createIndex('userTimestamp', ['userId', 'timestamp'], { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(this.stores.chatTombstones)) {
+          console.log('🔄 IndexedDB: Creating chatTombstones store');
+          const tombstonesStore = db.createObjectStore(this.stores.chatTombstones, { keyPath: 'id' });
+          tombstonesStore.createIndex('userId', 'userId', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(this.stores.ttsAudio)) {
+          console.log('🔄 IndexedDB: Creating ttsAudio store');
+          const ttsStore = db.createObjectStore(this.stores.ttsAudio, { keyPath: 'key' });
+          ttsStore.createIndex('lastUsed', 'lastUsed', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(this.stores.libraryItems)) {
+          console.log('🔄 IndexedDB: Creating libraryItems store');
+          const libraryStore = db.createObjectStore(this.stores.libraryItems, { keyPath: 'id' });
+          libraryStore.createIndex('userId', 'userId', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(this.stores.libraryAudio)) {
+          console.log('🔄 IndexedDB: Creating libraryAudio store');
+          db.createObjectStore(this.stores.libraryAudio, { keyPath: 'itemId' });
+        }
+
+        if (!db.objectStoreNames.contains(this.stores.generationJobs)) {
+          console.log('🔄 IndexedDB: Creating generationJobs store');
+          db.createObjectStore(this.stores.generationJobs, { keyPath: 'id' });
+        }
+
         console.log('✅ IndexedDB: Stores created/upgraded');
       };
 
@@ -477,6 +552,405 @@ class IndexedDBStorage {
     }
   }
 
+  /**
+   * Save a chat session record
+   */
+  async saveChatSession(session) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.chatSessions], 'readwrite');
+    transaction.objectStore(this.stores.chatSessions).put(session);
+    return transactionToPromise(transaction);
+  }
+
+  /**
+   * Load a chat session record by ID
+   */
+  async getChatSession(sessionId) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.chatSessions], 'readonly');
+    const result = await requestToPromise(
+      transaction.objectStore(this.stores.chatSessions).get(sessionId)
+    );
+    return result || null;
+  }
+
+  /**
+   * Page through a user's chat sessions, most recently updated first
+   * @returns {Promise<{sessions: Array, hasMore: boolean}>}
+   */
+  async getChatSessions(userId, { offset = 0, limit = 20 } = {}) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.chatSessions], 'readonly');
+    const index = transaction.objectStore(this.stores.chatSessions).index('userLastUpdated');
+    const range = IDBKeyRange.bound([userId, ''], [userId, '\uffff']);
+    const request = index.openCursor(range, 'prev');
+
+    return new Promise((resolve, reject) => {
+      const sessions = [];
+      let skipped = offset === 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve({ sessions, hasMore: false });
+          return;
+        }
+        if (!skipped) {
+          skipped = true;
+          cursor.advance(offset);
+          return;
+        }
+        if (sessions.length === limit) {
+          resolve({ sessions, hasMore: true });
+          return;
+        }
+        sessions.push(cursor.value);
+        cursor.continue();
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * All chat session records for a user, in no particular order
+   */
+  async getAllChatSessions(userId) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.chatSessions], 'readonly');
+    const index = transaction.objectStore(this.stores.chatSessions).index('userId');
+    return requestToPromise(index.getAll(userId));
+  }
+
+  /**
+   * Load the messages of a session with positions in [start, end)
+   */
+  async getChatMessages(sessionId, start = 0, end = Infinity) {
+    await this.init();
+    if (end <= start) return [];
+
+    const transaction = this.db.transaction([this.stores.chatMessages], 'readonly');
+    const store = transaction.objectStore(this.stores.chatMessages);
+    const range = IDBKeyRange.bound([sessionId, start], [sessionId, end], false, true);
+    return requestToPromise(store.getAll(range));
+  }
+
+  /**
+   * Write messages into a session starting at a position, drop anything stored
+   * after them and update the session record, all in one transaction
+   */
+  async writeChatMessages(session, messages, startPosition = 0) {
+    await this.init();
+    const transaction = this.db.transaction(
+      [this.stores.chatSessions, this.stores.chatMessages],
+      'readwrite'
+    );
+    const messagesStore = transaction.objectStore(this.stores.chatMessages);
+
+    messages.forEach((message, index) => {
+      messagesStore.put({
+        ...message,
+        sessionId: session.id,
+        userId: session.userId,
+        position: startPosition + index,
+        timestamp: message.timestamp || new Date().toISOString(),
+      });
+    });
+    messagesStore.delete(sessionMessageRange(session.id, startPosition + messages.length));
+    transaction.objectStore(this.stores.chatSessions).put(session);
+
+    return transactionToPromise(transaction);
+  }
+
+  /**
+   * Delete a chat session and all of its messages, optionally recording a
+   * tombstone for it in the same transaction
+   */
+  async deleteChatSession(sessionId, tombstone = null) {
+    await this.init();
+    const transaction = this.db.transaction(
+      [this.stores.chatSessions, this.stores.chatMessages, this.stores.chatTombstones],
+      'readwrite'
+    );
+    transaction.objectStore(this.stores.chatSessions).delete(sessionId);
+    transaction.objectStore(this.stores.chatMessages).delete(sessionMessageRange(sessionId));
+    if (tombstone) {
+      transaction.objectStore(this.stores.chatTombstones).put({ ...tombstone, id: sessionId });
+    }
+    return transactionToPromise(transaction);
+  }
+
+  /**
+   * Save chat session tombstones ({ id, userId, deletedAt, synced })
+   */
+  async saveChatTombstones(tombstones) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.chatTombstones], 'readwrite');
+    const store = transaction.objectStore(this.stores.chatTombstones);
+    tombstones.forEach(tombstone => store.put(tombstone));
+    return transactionToPromise(transaction);
+  }
+
+  /**
+   * Load the tombstone of a deleted chat session, if any
+   */
+  async getChatTombstone(sessionId) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.chatTombstones], 'readonly');
+    const result = await requestToPromise(
+      transaction.objectStore(this.stores.chatTombstones).get(sessionId)
+    );
+    return result || null;
+  }
+
+  /**
+   * All chat session tombstones of a user
+   */
+  async getChatTombstones(userId) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.chatTombstones], 'readonly');
+    const index = transaction.objectStore(this.stores.chatTombstones).index('userId');
+    return requestToPromise(index.getAll(userId));
+  }
+
+  /**
+   * Apply a callback to every chat record of a user in both chat stores.
+   * The callback receives the cursor and may update or delete the record.
+   */
+  async forEachUserChatRecord(userId, callback) {
+    await this.init();
+    const storeNames = [this.stores.chatSessions, this.stores.chatMessages];
+    const transaction = this.db.transaction(storeNames, 'readwrite');
+
+    storeNames.forEach((storeName) => {
+      const request = transaction.objectStore(storeName).index('userId').openCursor(userId);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          callback(cursor, storeName);
+          cursor.continue();
+        }
+      };
+    });
+
+    return transactionToPromise(transaction);
+  }
+
+  /**
+   * Delete every chat session and message belonging to a user
+   */
+  async clearChatHistory(userId) {
+    return this.forEachUserChatRecord(userId, (cursor) => cursor.delete());
+  }
+
+  /**
+   * Move every chat session and message from one user to another
+   */
+  async reassignChatHistory(fromUserId, toUserId) {
+    return this.forEachUserChatRecord(fromUserId, (cursor) =>
+      cursor.update({ ...cursor.value, userId: toUserId })
+    );
+  }
+
+  /**
+   * Search a user's chat messages, newest first
+   * @param {string} userId - Owner of the messages
+   * @param {Object} filters - { matches(message), from, to } where from/to are ISO timestamps
+   * @param {Object} paging - { offset, limit }
+   * @returns {Promise<{messages: Array, hasMore: boolean}>}
+   */
+  async searchChatMessages(userId, { matches, from, to } = {}, { offset = 0, limit = 20 } = {}) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.chatMessages], 'readonly');
+    const index = transaction.objectStore(this.stores.chatMessages).index('userTimestamp');
+    const range = IDBKeyRange.bound([userId, from || ''], [userId, to || '\uffff']);
+    const request = index.openCursor(range, 'prev');
+
+    return new Promise((resolve, reject) => {
+      const messages = [];
+      let skipped = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve({ messages, hasMore: false });
+          return;
+        }
+        if (!matches || matches(cursor.value)) {
+          if (skipped < offset) {
+            skipped += 1;
+          } else if (messages.length === limit) {
+            resolve({ messages, hasMore: true });
+            return;
+          } else {
+            messages.push(cursor.value);
+          }
+        }
+        cursor.continue();
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Load a cached speech clip and mark it as recently used
+   * @returns {Promise<Object|null>} { key, text, blob, backend, size, createdAt, lastUsed }
+   */
+  async getTtsAudio(key) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.ttsAudio], 'readwrite');
+    const store = transaction.objectStore(this.stores.ttsAudio);
+    const record = await requestToPromise(store.get(key));
+    if (!record) return null;
+
+    store.put({ ...record, lastUsed: Date.now() });
+    await transactionToPromise(transaction);
+    return record;
+  }
+
+  /**
+   * Save a speech clip, dropping the least recently used clips beyond maxEntries
+   */
+  async saveTtsAudio(record, maxEntries = 200) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.ttsAudio], 'readwrite');
+    const store = transaction.objectStore(this.stores.ttsAudio);
+    store.put({ ...record, lastUsed: Date.now() });
+
+    const count = await requestToPromise(store.count());
+    let excess = count - maxEntries;
+    if (excess > 0) {
+      const request = store.index('lastUsed').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && excess > 0) {
+          cursor.delete();
+          excess -= 1;
+          cursor.continue();
+        }
+      };
+    }
+    return transactionToPromise(transaction);
+  }
+
+  /**
+   * Remove every cached speech clip
+   */
+  async clearTtsAudio() {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.ttsAudio], 'readwrite');
+    transaction.objectStore(this.stores.ttsAudio).clear();
+    return transactionToPromise(transaction);
+  }
+
+  /**
+   * All library items of a user, in no particular order
+   */
+  async getLibraryItems(userId) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.libraryItems], 'readonly');
+    const index = transaction.objectStore(this.stores.libraryItems).index('userId');
+    return requestToPromise(index.getAll(userId));
+  }
+
+  /**
+   * Load a library item by ID
+   */
+  async getLibraryItem(id) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.libraryItems], 'readonly');
+    const result = await requestToPromise(
+      transaction.objectStore(this.stores.libraryItems).get(id)
+    );
+    return result || null;
+  }
+
+  /**
+   * Save library items
+   */
+  async saveLibraryItems(items) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.libraryItems], 'readwrite');
+    const store = transaction.objectStore(this.stores.libraryItems);
+    items.forEach(item => store.put(item));
+    return transactionToPromise(transaction);
+  }
+
+  /**
+   * Delete library items and their downloaded audio
+   */
+  async deleteLibraryItems(ids) {
+    await this.init();
+    const transaction = this.db.transaction(
+      [this.stores.libraryItems, this.stores.libraryAudio],
+      'readwrite'
+    );
+    ids.forEach((id) => {
+      transaction.objectStore(this.stores.libraryItems).delete(id);
+      transaction.objectStore(this.stores.libraryAudio).delete(id);
+    });
+    return transactionToPromise(transaction);
+  }
+
+  /**
+   * Load the downloaded audio of a library item
+   * @returns {Promise<Object|null>} { itemId, blob, url, savedAt }
+   */
+  async getLibraryAudio(itemId) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.libraryAudio], 'readonly');
+    const result = await requestToPromise(
+      transaction.objectStore(this.stores.libraryAudio).get(itemId)
+    );
+    return result || null;
+  }
+
+  /**
+   * Save or remove (blob = null) the downloaded audio of a library item
+   */
+  async saveLibraryAudio(itemId, blob, url) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.libraryAudio], 'readwrite');
+    const store = transaction.objectStore(this.stores.libraryAudio);
+    if (blob) {
+      store.put({ itemId, blob, url, savedAt: new Date().toISOString() });
+    } else {
+      store.delete(itemId);
+    }
+    return transactionToPromise(transaction);
+  }
+
+  /**
+   * All 3D model generation jobs, in no particular order
+   */
+  async getGenerationJobs() {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.generationJobs], 'readonly');
+    return requestToPromise(transaction.objectStore(this.stores.generationJobs).getAll());
+  }
+
+  /**
+   * Save a 3D model generation job
+   */
+  async saveGenerationJob(job) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.generationJobs], 'readwrite');
+    transaction.objectStore(this.stores.generationJobs).put(job);
+    return transactionToPromise(transaction);
+  }
+
+  /**
+   * Delete 3D model generation jobs
+   */
+  async deleteGenerationJobs(ids) {
+    await this.init();
+    const transaction = this.db.transaction([this.stores.generationJobs], 'readwrite');
+    const store = transaction.objectStore(this.stores.generationJobs);
+    ids.forEach(id => store.delete(id));
+    return transactionToPromise(transaction);
+  }
+
   /**
    * Check if IndexedDB is supported
    */
@@ -0,0 +1,643 @@
+/**
+ * Lesson Document Model
+ * Lessons are handled as a structured document rather than raw LLM text:
+ *
+ *   {
+ *     version: 1,
+ *     title: 'Rocket Propulsion',
+ *     sections: [{ id: 'section-1', heading: 'Newton\'s Third Law', level: 2, blocks: [...] }],
+ *     keyPoints: [{ text, sectionId }],
+ *     examples: [{ title, text, sectionId }],
+ *     sources: [{ title, url }],
+ *     quizHooks: [{ question, options, answer, sectionId }],
+ *     media: [{ id, kind, caption, src, sectionId }],
+ *   }
+ *
+ * Section blocks are { type: 'paragraph', text }, { type: 'list', ordered,
+ * items: [{ label, text }] } or { type: 'code', language, text }. Items with
+ * a sectionId belong to that section; the rest belong to the whole lesson.
+ * All text is plain, so the renderer, narration and video generation never
+ * have to strip markdown.
+ *
+ * Backends can send the structure directly as `document` on a lesson
+ * (snake_case keys like key_points and quiz_hooks are accepted). Otherwise
+ * the lesson text is parsed as markdown: headings, bold heading lines,
+ * lists, code fences, "Example:" and "Question:" lines, images and
+ * [diagram: ...] slots, and Key Points / Examples / Sources / Quiz sections.
+ */
+
+export const LESSON_DOCUMENT_VERSION = 1;
+
+export const MEDIA_KINDS = ['image', 'diagram', 'video', 'audio'];
+
+// Headings that introduce a dedicated part of the lesson instead of a section
+const SPECIAL_SECTIONS = [
+  { part: 'keyPoints', pattern: /^(key (points|takeaways|concepts|ideas)|main points|summary of key points)$/ },
+  { part: 'examples', pattern: /^(examples?|worked examples?)$/ },
+  { part: 'sources', pattern: /^(sources|references|further reading|bibliography)$/ },
+  { part: 'quizHooks', pattern: /^(quiz|check your understanding|review questions|practice questions|questions|self[- ]check)$/ },
+];
+
+const HEADING_LINE = /^(#{1,6})\s+(.+?)\s*#*$/;
+const BOLD_LINE = /^(\*\*|__)([^*_]+?)\1\s*:?$/;
+const BULLET_LINE = /^[-*+•·▪‣⁃]\s+(.*)$/;
+const NUMBERED_LINE = /^\d+[.)]\s+(.*)$/;
+const FENCE_LINE = /^(```|~~~)\s*([\w+-]*)\s*$/;
+const IMAGE_LINE = /^!\[([^\]]*)\]\(\s*([^)\s]+)[^)]*\)$/;
+const MEDIA_SLOT_LINE = /^\[(image|diagram|video|audio|figure|illustration)\s*:\s*([^\]]*)\]$/i;
+const EXAMPLE_LINE = /^(example(?:\s+\d+)?)\s*:\s*(.*)$/i;
+const QUESTION_LINE = /^(?:q\d*|question(?:\s+\d+)?)\s*[:.)]\s*(.+)$/i;
+const ANSWER_LINE = /^(?:a|answer)\s*:\s*(.+)$/i;
+const LABELLED_ITEM = /^([^:.!?]{1,60}):\s+(.+)$/;
+const URL_PATTERN = /https?:\/\/[^\s)\]]+/;
+
+const asArray = (value) => (Array.isArray(value) ? value : []);
+
+/**
+ * Strip inline markdown and emoji from a line of lesson text
+ */
+export const cleanInlineText = (text = '') =>
+  String(text)
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])\*(\S(?:[^*\n]*\S)?)\*(?=[^\w*]|$)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\p{Extended_Pictographic}\uFE0F?/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const specialPartFor = (heading) => {
+  const key = heading.toLowerCase().replace(/^\d+[.)]\s*/, '').replace(/[:.]\s*$/, '').trim();
+  return SPECIAL_SECTIONS.find(({ pattern }) => pattern.test(key))?.part || null;
+};
+
+const normalizeMediaKind = (kind = '') => {
+  const value = String(kind).toLowerCase();
+  if (MEDIA_KINDS.includes(value)) return value;
+  return value === 'figure' || value === 'illustration' ? 'image' : 'diagram';
+};
+
+/**
+ * Split "Label: text" list items; plain items get a null label
+ */
+const toListItem = (text) => {
+  const match = text.match(LABELLED_ITEM);
+  return match ? { label: match[1].trim(), text: match[2].trim() } : { label: null, text };
+};
+
+/**
+ * Read a source from "[Title](url)", "Title - url", a bare URL or a title
+ */
+const parseSource = (line) => {
+  const link = line.match(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/);
+  if (link) return { title: cleanInlineText(link[1]), url: link[2] };
+
+  const url = line.match(URL_PATTERN)?.[0] || null;
+  const title = cleanInlineText(url ? line.replace(url, '') : line).replace(/\s*[-–—:]\s*$/, '').trim();
+  return { title: title || url, url };
+};
+
+export const createEmptyLessonDocument = () => ({
+  version: LESSON_DOCUMENT_VERSION,
+  title: null,
+  sections: [],
+  keyPoints: [],
+  examples: [],
+  sources: [],
+  quizHooks: [],
+  media: [],
+});
+
+/**
+ * Whether a value already has the lesson document shape
+ */
+export const isLessonDocument = (value) =>
+  Boolean(value) && typeof value === 'object' && Array.isArray(value.sections);
+
+/**
+ * Parse markdown-style lesson text into a lesson document
+ * @param {string} text - Lesson text, complete or still streaming
+ * @returns {Object} Lesson document
+ */
+export const parseLessonText = (text = '') => {
+  const document = createEmptyLessonDocument();
+  let section = null;
+  let special = null;
+  let list = null;
+  let code = null;
+  let quizHook = null;
+  let pendingExample = null;
+
+  const currentSectionId = () => section?.id || null;
+
+  const ensureSection = () => {
+    if (!section) {
+      section = { id: `section-${document.sections.length + 1}`, heading: null, level: 2, blocks: [] };
+      document.sections.push(section);
+    }
+    return section;
+  };
+
+  const startHeading = (heading, level) => {
+    list = null;
+    quizHook = null;
+    pendingExample = null;
+
+    if (level === 1 && !document.title && document.sections.length === 0) {
+      document.title = heading;
+      return;
+    }
+    special = specialPartFor(heading);
+    if (!special) {
+      section = { id: `section-${document.sections.length + 1}`, heading, level: level >= 3 ? 3 : 2, blocks: [] };
+      document.sections.push(section);
+    }
+  };
+
+  const addSpecialLine = (line, isListItem) => {
+    if (special === 'sources') {
+      document.sources.push(parseSource(line));
+      return;
+    }
+
+    const cleaned = cleanInlineText(line);
+    if (!cleaned) return;
+
+    if (special === 'keyPoints') {
+      document.keyPoints.push({ text: cleaned, sectionId: null });
+    } else if (special === 'examples') {
+      const example = cleaned.match(EXAMPLE_LINE);
+      const item = example ? toListItem(example[2]) : toListItem(cleaned);
+      document.examples.push({
+        title: item.label || (example ? example[1] : null),
+        text: item.text,
+        sectionId: null,
+      });
+    } else if (special === 'quizHooks') {
+      // Questions start a hook; the lines after them are options and the answer
+      const question = cleaned.match(QUESTION_LINE);
+      const answer = cleaned.match(ANSWER_LINE);
+      if (question || cleaned.endsWith('?')) {
+        quizHook = { question: question ? question[1] : cleaned, options: [], answer: null, sectionId: null };
+        document.quizHooks.push(quizHook);
+      } else if (answer && quizHook) {
+        quizHook.answer = answer[1];
+      } else if (quizHook && isListItem) {
+        quizHook.options.push(cleaned);
+      }
+    }
+  };
+
+  const addListItem = (rawText, ordered) => {
+    if (special) {
+      addSpecialLine(rawText, true);
+      return;
+    }
+    const cleaned = cleanInlineText(rawText);
+    if (!cleaned) return;
+    if (!list || list.ordered !== ordered) {
+      list = { type: 'list', ordered, items: [] };
+      ensureSection().blocks.push(list);
+    }
+    list.items.push(toListItem(cleaned));
+  };
+
+  const addLine = (line) => {
+    if (special) {
+      addSpecialLine(line, false);
+      return;
+    }
+
+    const cleaned = cleanInlineText(line);
+    if (!cleaned) return;
+
+    if (pendingExample) {
+      pendingExample.text = cleaned;
+      pendingExample = null;
+      return;
+    }
+
+    const example = cleaned.match(EXAMPLE_LINE);
+    if (example) {
+      const item = { title: example[1], text: example[2], sectionId: currentSectionId() };
+      document.examples.push(item);
+      if (!item.text) pendingExample = item;
+      return;
+    }
+
+    const question = cleaned.match(QUESTION_LINE);
+    if (question) {
+      document.quizHooks.push({ question: question[1], options: [], answer: null, sectionId: currentSectionId() });
+      return;
+    }
+
+    ensureSection().blocks.push({ type: 'paragraph', text: cleaned });
+  };
+
+  String(text).split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+
+    if (code) {
+      if (FENCE_LINE.test(line)) {
+        code = null;
+      } else {
+        code.text += (code.text ? '\n' : '') + rawLine;
+      }
+      return;
+    }
+
+    if (!line) {
+      list = null;
+      return;
+    }
+
+    const fence = line.match(FENCE_LINE);
+    if (fence) {
+      list = null;
+      code = { type: 'code', language: fence[2] || null, text: '' };
+      ensureSection().blocks.push(code);
+      return;
+    }
+
+    const heading = line.match(HEADING_LINE) || line.match(BOLD_LINE);
+    if (heading) {
+      const headingText = cleanInlineText(heading[2]).replace(/:$/, '');
+      const level = heading[1].startsWith('#') ? heading[1].length : 2;
+      if (headingText) {
+        startHeading(headingText, level);
+        return;
+      }
+    }
+
+    const image = line.match(IMAGE_LINE);
+    const slot = image ? null : line.match(MEDIA_SLOT_LINE);
+    if (image || slot) {
+      list = null;
+      document.media.push({
+        id: `media-${document.media.length + 1}`,
+        kind: image ? 'image' : normalizeMediaKind(slot[1]),
+        caption: cleanInlineText(image ? image[1] : slot[2]) || null,
+        src: image ? image[2] : null,
+        sectionId: currentSectionId(),
+      });
+      return;
+    }
+
+    const bullet = line.match(BULLET_LINE);
+    if (bullet) {
+      addListItem(bullet[1], false);
+      return;
+    }
+    const numbered = line.match(NUMBERED_LINE);
+    if (numbered) {
+      addListItem(numbered[1], true);
+      return;
+    }
+
+    list = null;
+    addLine(line);
+  });
+
+  // Drop code blocks that were opened but never got any text
+  document.sections.forEach((item) => {
+    item.blocks = item.blocks.filter((block) => block.type !== 'code' || block.text.trim());
+  });
+  document.sections = document.sections.filter((item) => item.heading || item.blocks.length > 0);
+
+  return document;
+};
+
+/**
+ * Unwrap JSON that some backends return as the lesson text, optionally
+ * inside a ```json fence, and literal "\n" escapes in single-line text
+ * @returns {string|Object} Plain text or the parsed object
+ */
+const unwrapLessonText = (raw) => {
+  const text = String(raw).trim();
+  const fenced = text.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i);
+  const candidate = fenced ? fenced[1].trim() : text;
+
+  if (candidate.startsWith('{') && candidate.endsWith('}')) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // Not JSON after all; parse it as text
+    }
+  }
+  if (!text.includes('\n') && text.includes('\\n')) {
+    return text.replace(/\\n/g, '\n').replace(/\\"/g, '"');
+  }
+  return text;
+};
+
+const normalizeBlock = (block) => {
+  if (typeof block === 'string') {
+    const text = cleanInlineText(block);
+    return text ? { type: 'paragraph', text } : null;
+  }
+  if (!block || typeof block !== 'object') return null;
+
+  if (block.type === 'list') {
+    const items = asArray(block.items)
+      .map((item) => (typeof item === 'string'
+        ? toListItem(cleanInlineText(item))
+        : { label: cleanInlineText(item?.label) || null, text: cleanInlineText(item?.text) }))
+      .filter((item) => item.text);
+    return items.length > 0 ? { type: 'list', ordered: Boolean(block.ordered), items } : null;
+  }
+  if (block.type === 'code') {
+    return block.text ? { type: 'code', language: block.language || null, text: String(block.text) } : null;
+  }
+
+  const text = cleanInlineText(block.text || block.content || '');
+  return text ? { type: 'paragraph', text } : null;
+};
+
+const normalizeSection = (section, index) => {
+  const id = String(section?.id || `section-${index + 1}`);
+  if (typeof section === 'string') {
+    return { id, heading: null, level: 2, blocks: parseLessonText(section).sections.flatMap((item) => item.blocks) };
+  }
+
+  let blocks;
+  if (Array.isArray(section?.blocks)) {
+    blocks = section.blocks.map(normalizeBlock).filter(Boolean);
+  } else if (Array.isArray(section?.paragraphs)) {
+    blocks = section.paragraphs.map(normalizeBlock).filter(Boolean);
+  } else {
+    blocks = parseLessonText(section?.content || section?.text || '').sections.flatMap((item) => item.blocks);
+  }
+
+  return {
+    id,
+    heading: cleanInlineText(section?.heading || section?.title || '') || null,
+    level: section?.level >= 3 ? 3 : 2,
+    blocks,
+  };
+};
+
+/**
+ * Normalize a lesson document sent by a backend
+ * @param {Object} input - Document with camelCase or snake_case keys
+ * @returns {Object} Lesson document
+ */
+export const normalizeLessonDocument = (input) => {
+  const sections = asArray(input.sections).map(normalizeSection);
+  const sectionIds = new Set(sections.map((section) => section.id));
+  const sectionIdOf = (item) => {
+    const id = item?.sectionId ?? item?.section_id;
+    return id != null && sectionIds.has(String(id)) ? String(id) : null;
+  };
+
+  return {
+    version: LESSON_DOCUMENT_VERSION,
+    title: cleanInlineText(input.title || '') || null,
+    sections,
+    keyPoints: asArray(input.keyPoints || input.key_points)
+      .map((item) => ({
+        text: cleanInlineText(typeof item === 'string' ? item : item?.text),
+        sectionId: sectionIdOf(item),
+      }))
+      .filter((item) => item.text),
+    examples: asArray(input.examples)
+      .map((item) => (typeof item === 'string'
+        ? { title: null, text: cleanInlineText(item), sectionId: null }
+        : {
+          title: cleanInlineText(item?.title || '') || null,
+          text: cleanInlineText(item?.text || item?.description || item?.content),
+          sectionId: sectionIdOf(item),
+        }))
+      .filter((item) => item.text),
+    sources: asArray(input.sources)
+      .map((item) => (typeof item === 'string'
+        ? parseSource(item)
+        : { title: cleanInlineText(item?.title || item?.name || item?.url || ''), url: item?.url || item?.link || null }))
+      .filter((item) => item.title),
+    quizHooks: asArray(input.quizHooks || input.quiz_hooks)
+      .map((item) => (typeof item === 'string'
+        ? { question: cleanInlineText(item), options: [], answer: null, sectionId: null }
+        : {
+          question: cleanInlineText(item?.question || item?.prompt),
+          options: asArray(item?.options).map((option) => cleanInlineText(option)).filter(Boolean),
+          answer: item?.answer != null ? cleanInlineText(item.answer) : null,
+          sectionId: sectionIdOf(item),
+        }))
+      .filter((item) => item.question),
+    media: asArray(input.media)
+      .map((item, index) => (typeof item === 'string'
+        ? { id: `media-${index + 1}`, kind: 'diagram', caption: cleanInlineText(item), src: null, sectionId: null }
+        : {
+          id: String(item?.id || `media-${index + 1}`),
+          kind: normalizeMediaKind(item?.kind || item?.type),
+          caption: cleanInlineText(item?.caption || item?.alt || item?.description || '') || null,
+          src: item?.src || item?.url || null,
+          sectionId: sectionIdOf(item),
+        }))
+      .filter((item) => item.caption || item.src),
+  };
+};
+
+/**
+ * Get the lesson document for any lesson content
+ * @param {string|Object} input - Lesson text, a lesson document, or a lesson
+ *   response carrying `document` or text in content/explanation/text
+ * @returns {Object} Lesson document
+ */
+export const toLessonDocument = (input) => {
+  if (!input) return createEmptyLessonDocument();
+
+  if (typeof input === 'string') {
+    const unwrapped = unwrapLessonText(input);
+    return typeof unwrapped === 'string' ? parseLessonText(unwrapped) : toLessonDocument(unwrapped);
+  }
+  if (typeof input !== 'object') return parseLessonText(String(input));
+  if (isLessonDocument(input)) return normalizeLessonDocument(input);
+
+  const structured = input.document || input.lesson_document;
+  if (isLessonDocument(structured)) return normalizeLessonDocument(structured);
+
+  return toLessonDocument(input.content || input.explanation || input.text || input.lesson || '');
+};
+
+/**
+ * Whether a lesson document has anything to show
+ */
+export const isLessonDocumentEmpty = (document) =>
+  !document.title &&
+  document.sections.length === 0 &&
+  ['keyPoints', 'examples', 'sources', 'quizHooks', 'media'].every((key) => document[key].length === 0);
+
+/**
+ * Flatten a lesson document into the parts it is read in, in order. Every
+ * consumer (renderer, narration, TTS and video text) walks these parts so
+ * they all present the lesson the same way.
+ *
+ * Parts: title, heading, paragraph, list, code, example, media, quiz,
+ * keyPoints and sources. `spoken` marks the parts that are read aloud.
+ * @returns {Array<Object>} Parts
+ */
+export const getLessonParts = (document) => {
+  const parts = [];
+  const forSection = (items, sectionId) => items.filter((item) => item.sectionId === sectionId);
+
+  const addSectionExtras = (sectionId) => {
+    forSection(document.examples, sectionId).forEach((example) => {
+      parts.push({ kind: 'example', title: example.title, text: example.text, spoken: true });
+    });
+    forSection(document.media, sectionId).forEach((media) => {
+      parts.push({ kind: 'media', media, spoken: false });
+    });
+    forSection(document.quizHooks, sectionId).forEach((quizHook) => {
+      parts.push({ kind: 'quiz', quizHook, index: document.quizHooks.indexOf(quizHook), spoken: false });
+    });
+  };
+
+  if (document.title) {
+    parts.push({ kind: 'title', text: document.title, spoken: true });
+  }
+
+  document.sections.forEach((section) => {
+    if (section.heading) {
+      parts.push({ kind: 'heading', text: section.heading, level: section.level, sectionId: section.id, spoken: true });
+    }
+    section.blocks.forEach((block) => {
+      if (block.type === 'paragraph') {
+        parts.push({ kind: 'paragraph', text: block.text, spoken: true });
+      } else if (block.type === 'list') {
+        parts.push({ kind: 'list', ordered: block.ordered, items: block.items, spoken: true });
+      } else if (block.type === 'code') {
+        parts.push({ kind: 'code', language: block.language, text: block.text, spoken: false });
+      }
+    });
+    // Section-scoped key points are read as a list at the end of the section
+    const keyPoints = forSection(document.keyPoints, section.id);
+    if (keyPoints.length > 0) {
+      parts.push({ kind: 'keyPoints', items: keyPoints.map((item) => item.text), spoken: true });
+    }
+    addSectionExtras(section.id);
+  });
+
+  // Lesson-wide parts follow the sections
+  forSection(document.media, null).forEach((media) => {
+    parts.push({ kind: 'media', media, spoken: false });
+  });
+  const lessonExamples = forSection(document.examples, null);
+  if (lessonExamples.length > 0) {
+    parts.push({ kind: 'heading', text: 'Examples', level: 2, sectionId: null, spoken: true });
+    lessonExamples.forEach((example) => {
+      parts.push({ kind: 'example', title: example.title, text: example.text, spoken: true });
+    });
+  }
+  const keyPoints = forSection(document.keyPoints, null);
+  if (keyPoints.length > 0) {
+    parts.push({ kind: 'keyPoints', items: keyPoints.map((item) => item.text), spoken: true });
+  }
+  forSection(document.quizHooks, null).forEach((quizHook) => {
+    parts.push({ kind: 'quiz', quizHook, index: document.quizHooks.indexOf(quizHook), spoken: false });
+  });
+  if (document.sources.length > 0) {
+    parts.push({ kind: 'sources', items: document.sources, spoken: false });
+  }
+
+  return parts;
+};
+
+/**
+ * The text a part reads aloud, one entry per sentence-like unit
+ */
+export const getSpokenTexts = (part) => {
+  if (!part.spoken) return [];
+  switch (part.kind) {
+    case 'list':
+      return part.items.map((item) => (item.label ? `${item.label}: ${item.text}` : item.text));
+    case 'keyPoints':
+      return ['Key Points', ...part.items];
+    case 'example':
+      return [part.title ? `${part.title}: ${part.text}` : `For example, ${part.text}`];
+    default:
+      return [part.text];
+  }
+};
+
+const asSentence = (text) => (/[.!?:;।]$/.test(text) ? text : `${text}.`);
+
+/**
+ * Plain text of a lesson, for speech or video narration
+ * @param {Object} document - Lesson document
+ * @param {Object} [options] - { headings: include the title and headings }
+ * @returns {string} Text with every unit ending in punctuation
+ */
+export const lessonDocumentToText = (document, { headings = true } = {}) =>
+  getLessonParts(document)
+    .filter((part) => headings || (part.kind !== 'title' && part.kind !== 'heading'))
+    .flatMap(getSpokenTexts)
+    .filter(Boolean)
+    .map(asSentence)
+    .join(' ');
+
+/**
+ * Write a lesson document back out as markdown that parseLessonText reads
+ * into the same structure (used to type lessons out progressively)
+ */
+export const lessonDocumentToMarkdown = (document) => {
+  const lines = [];
+  const push = (...items) => lines.push(...items, '');
+  const sectionMedia = (media) =>
+    (media.src ? `![${media.caption || ''}](${media.src})` : `[${media.kind}: ${media.caption || ''}]`);
+  const sectionExample = (example) =>
+    (example.title && EXAMPLE_LINE.test(`${example.title}:`)
+      ? `${example.title}: ${example.text}`
+      : `Example: ${example.title ? `${example.title}: ` : ''}${example.text}`);
+
+  if (document.title) push(`# ${document.title}`);
+
+  document.sections.forEach((section) => {
+    if (section.heading) push(`${section.level === 3 ? '###' : '##'} ${section.heading}`);
+    section.blocks.forEach((block) => {
+      if (block.type === 'paragraph') {
+        push(block.text);
+      } else if (block.type === 'list') {
+        push(...block.items.map((item, index) =>
+          `${block.ordered ? `${index + 1}.` : '-'} ${item.label ? `${item.label}: ` : ''}${item.text}`));
+      } else if (block.type === 'code') {
+        push(`\`\`\`${block.language || ''}`, block.text, '```');
+      }
+    });
+    document.examples.filter((item) => item.sectionId === section.id).forEach((item) => push(sectionExample(item)));
+    document.media.filter((item) => item.sectionId === section.id).forEach((item) => push(sectionMedia(item)));
+    document.quizHooks.filter((item) => item.sectionId === section.id).forEach((item) => push(`Question: ${item.question}`));
+  });
+
+  document.media.filter((item) => !item.sectionId).forEach((item) => push(sectionMedia(item)));
+
+  const lessonExamples = document.examples.filter((item) => !item.sectionId);
+  if (lessonExamples.length > 0) {
+    push('## Examples', ...lessonExamples.map((item) => `- ${item.title ? `${item.title}: ` : ''}${item.text}`));
+  }
+  if (document.keyPoints.length > 0) {
+    push('## Key Points', ...document.keyPoints.map((item) => `- ${item.text}`));
+  }
+  if (document.sources.length > 0) {
+    push('## Sources', ...document.sources.map((item) => (item.url ? `- [${item.title}](${item.url})` : `- ${item.title}`)));
+  }
+  const lessonQuiz = document.quizHooks.filter((item) => !item.sectionId);
+  if (lessonQuiz.length > 0) {
+    push('## Quiz', ...lessonQuiz.flatMap((item) => [
+      `Question: ${item.question}`,
+      ...item.options.map((option) => `- ${option}`),
+      ...(item.answer ? [`Answer: ${item.answer}`] : []),
+    ]));
+  }
+
+  return lines.join('\n').trim();
+};
+
+export default {
+  toLessonDocument,
+  parseLessonText,
+  normalizeLessonDocument,
+  getLessonParts,
+  lessonDocumentToText,
+  lessonDocumentToMarkdown,
+};
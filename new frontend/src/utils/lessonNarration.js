@@ -0,0 +1,103 @@
+/**
+ * Lesson Narration Utility
+ * Turns a lesson document into a read-along script: one rendered block per
+ * lesson part, with the spoken sentences wrapped in
+ * <span class="lesson-sentence" data-sentence="N"> so the player can
+ * highlight the one being spoken, plus the list of sentences to narrate and
+ * the sections a student can jump to.
+ */
+
+import { toLessonDocument, getLessonParts } from './lessonDocument';
+import { escapeHtml, renderLessonPart } from './contentFormatter';
+
+// A period followed by a digit (3.5) doesn't end a sentence
+const SENTENCE_PATTERN = /(?:[^.!?।]|\.(?=\d))+(?:[.!?।]+["')\]]*|$)/g;
+// Skip fragments without letters, e.g. a lone "..."
+const HAS_WORDS = /\p{L}/u;
+
+const normalizeSpace = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Hash lesson text so saved progress is only reused for the same lesson
+ */
+export const hashLessonText = (text = '') => {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash) + text.charCodeAt(i);
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  return `${Math.abs(hash).toString(36)}-${text.length}`;
+};
+
+/**
+ * Character ranges of the sentences in a block's text
+ * @returns {Array<{ start: number, end: number }>} Ranges without surrounding whitespace
+ */
+const findSentenceRanges = (text) => {
+  const ranges = [];
+  for (const match of text.matchAll(SENTENCE_PATTERN)) {
+    const raw = match[0];
+    if (!HAS_WORDS.test(raw)) continue;
+    const start = match.index + (raw.length - raw.trimStart().length);
+    const end = match.index + raw.trimEnd().length;
+    ranges.push({ start, end });
+  }
+  return ranges;
+};
+
+/**
+ * Build the read-along script for a lesson
+ * @param {string|Object} content - Lesson text, a lesson document or a lesson response
+ * @returns {Object} { blocks: [{ html, isHeading, sectionIndex, firstSentence, lastSentence }],
+ *   sections: [{ title, firstSentence }], sentences: [{ text, blockIndex, sectionIndex }], contentHash }
+ */
+export const buildNarrationScript = (content) => {
+  const blocks = [];
+  const sections = [];
+  const sentences = [];
+
+  getLessonParts(toLessonDocument(content)).forEach((part) => {
+    const isHeading = part.kind === 'title' || part.kind === 'heading';
+    if (part.spoken && (isHeading || sections.length === 0)) {
+      sections.push({
+        title: isHeading ? part.text : null,
+        firstSentence: sentences.length,
+      });
+    }
+
+    const blockIndex = blocks.length;
+    const sectionIndex = Math.max(0, sections.length - 1);
+    const firstSentence = sentences.length;
+
+    // Spoken text is split into sentences, each wrapped in a highlightable span
+    const renderText = (text) => {
+      let html = '';
+      let cursor = 0;
+      findSentenceRanges(text).forEach(({ start, end }) => {
+        html += escapeHtml(text.slice(cursor, start));
+        html += `<span class="lesson-sentence" data-sentence="${sentences.length}">${escapeHtml(text.slice(start, end))}</span>`;
+        sentences.push({ text: normalizeSpace(text.slice(start, end)), blockIndex, sectionIndex });
+        cursor = end;
+      });
+      return html + escapeHtml(text.slice(cursor));
+    };
+
+    blocks.push({
+      html: renderLessonPart(part, { renderText }),
+      isHeading,
+      sectionIndex,
+      firstSentence,
+      // Parts that aren't read aloud (code, media, sources) have no sentences
+      lastSentence: sentences.length - 1,
+    });
+  });
+
+  return {
+    blocks,
+    sections,
+    sentences,
+    contentHash: hashLessonText(sentences.map((sentence) => sentence.text).join(' ')),
+  };
+};
+
+export default buildNarrationScript;
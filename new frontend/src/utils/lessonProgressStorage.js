@@ -0,0 +1,87 @@
+/**
+ * Lesson Progress Storage Utility
+ * Remembers where a student stopped in a narrated lesson, per user and
+ * lesson, so the read-along player can resume from that sentence
+ */
+
+import { safeSetItem } from './storageManager';
+
+// Storage keys
+const LESSON_PROGRESS_KEY = 'gurukul_lesson_progress';
+
+// Least recently played lessons are dropped once a user goes past this many
+const MAX_LESSONS_PER_USER = 100;
+
+class LessonProgressStorage {
+  /**
+   * Load progress for every user from localStorage
+   */
+  loadAll() {
+    try {
+      const stored = localStorage.getItem(LESSON_PROGRESS_KEY);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        if (typeof parsed === 'object' && parsed !== null) {
+          return parsed;
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to load lesson progress:', error);
+    }
+    return {};
+  }
+
+  /**
+   * Save progress for every user to localStorage
+   */
+  async saveAll(progressByUser) {
+    try {
+      const result = await safeSetItem(LESSON_PROGRESS_KEY, JSON.stringify(progressByUser));
+      return result.success;
+    } catch (error) {
+      console.error('Failed to save lesson progress:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get saved progress for a lesson
+   * @returns {Object|null} { sentenceIndex, sentenceCount, contentHash, rate, completed, updatedAt }
+   */
+  getProgress(userId = 'guest-user', lessonKey) {
+    return this.loadAll()[userId]?.[lessonKey] || null;
+  }
+
+  /**
+   * Save where the student is in a lesson
+   */
+  async saveProgress(userId = 'guest-user', lessonKey, progress) {
+    const progressByUser = this.loadAll();
+    const lessons = {
+      ...(progressByUser[userId] || {}),
+      [lessonKey]: { ...progress, updatedAt: new Date().toISOString() },
+    };
+
+    const keep = Object.entries(lessons)
+      .sort(([, a], [, b]) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+      .slice(0, MAX_LESSONS_PER_USER);
+    progressByUser[userId] = Object.fromEntries(keep);
+
+    return this.saveAll(progressByUser);
+  }
+
+  /**
+   * Forget a lesson's progress
+   */
+  async clearProgress(userId = 'guest-user', lessonKey) {
+    const progressByUser = this.loadAll();
+    if (!progressByUser[userId]?.[lessonKey]) return true;
+    delete progressByUser[userId][lessonKey];
+    return this.saveAll(progressByUser);
+  }
+}
+
+// Create singleton instance
+const lessonProgressStorage = new LessonProgressStorage();
+
+export default lessonProgressStorage;
@@ -0,0 +1,367 @@
+/**
+ * Library Storage Utility
+ * The student's personal library: lessons generated on the Subjects page,
+ * document summaries from the Summarizer and lesson audio, saved
+ * automatically in IndexedDB (see indexedDBStorage.js).
+ *
+ * Items are tagged with their subject and topic plus any tags the student
+ * adds, and can be searched. Pinned items are kept for offline reading: they
+ * are never pruned and their audio is downloaded so it plays without a
+ * connection. Unpinned items are pruned oldest first past a per-user limit.
+ */
+
+import indexedDBStorage from './indexedDBStorage';
+import { extractTextForTTS } from './contentFormatter';
+import { getServiceUrl, resolveServiceUrl } from '../config/endpoints';
+
+export const LIBRARY_ITEM_TYPES = {
+  LESSON: 'lesson',
+  SUMMARY: 'summary',
+  AUDIO: 'audio',
+};
+
+// Oldest unpinned items are dropped once a user goes past this many
+const MAX_UNPINNED_ITEMS_PER_USER = 200;
+
+// Characters of an item's text kept for search
+const SEARCH_TEXT_LENGTH = 20000;
+
+// Lesson fields that only matter while a lesson is being generated
+const TRANSIENT_LESSON_FIELDS = ['streaming', 'stages', 'error'];
+
+const generateItemId = () => `library_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+const normalizeTag = (tag) => String(tag || '').trim().replace(/\s+/g, ' ').slice(0, 40);
+
+const uniqueTags = (tags) => {
+  const seen = new Set();
+  return tags.map(normalizeTag).filter((tag) => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const summaryText = (summary) => {
+  if (typeof summary?.answer === 'string') return summary.answer;
+  return summary?.answer ? JSON.stringify(summary.answer) : summary?.text || '';
+};
+
+// Readable text of an item's content; audio items have none
+const itemText = (item) => {
+  if (item.type === LIBRARY_ITEM_TYPES.LESSON) return extractTextForTTS(item.data?.lesson || {});
+  if (item.type === LIBRARY_ITEM_TYPES.SUMMARY) return summaryText(item.data?.summary);
+  return '';
+};
+
+// Built from the item alone, so it always matches its current tags
+const buildSearchText = (item) =>
+  [item.title, item.subject, item.topic, ...item.tags, itemText(item).slice(0, SEARCH_TEXT_LENGTH)]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+/**
+ * Absolute URL of a summary's audio file, as SummaryView plays it
+ */
+const resolveSummaryAudioUrl = (audioFile) => {
+  if (!audioFile) return null;
+  if (/^https?:\/\//.test(audioFile)) return audioFile;
+  return audioFile.startsWith('/api/stream/')
+    ? `${getServiceUrl('chat')}${audioFile}`
+    : `${getServiceUrl('chat')}/api/stream/${audioFile.split('/').pop()}`;
+};
+
+/**
+ * Absolute URL of the audio in a generateLessonTTS response, if any
+ */
+export const getLessonTtsAudioUrl = (response) => {
+  const url = response?.audio_url || response?.audio_file;
+  if (url) {
+    return /^https?:\/\//.test(url) ? url : resolveServiceUrl('pipeline', url);
+  }
+  const filename = response?.audio_info?.filename || response?.tts_result?.audio_info?.filename;
+  return filename ? resolveServiceUrl('pipeline', `/api/audio/${encodeURIComponent(filename)}`) : null;
+};
+
+/**
+ * Subjects and tags used across a list of items, for filters
+ * @returns {{ subjects: string[], tags: string[] }} Sorted, without duplicates
+ */
+export const getLibraryFacets = (items) => {
+  const subjects = new Map();
+  const tags = new Map();
+  items.forEach((item) => {
+    if (item.subject) subjects.set(item.subject.toLowerCase(), item.subject);
+    item.tags.forEach((tag) => tags.set(tag.toLowerCase(), tag));
+  });
+  const sorted = (map) => [...map.values()].sort((a, b) => a.localeCompare(b));
+  return { subjects: sorted(subjects), tags: sorted(tags) };
+};
+
+class LibraryStorage {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * Listen for changes to any user's library
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * List a user's items, pinned first and then most recently updated
+   * @param {string} userId - Owner of the items
+   * @param {Object} [filters] - { query, type, subject, tag, pinnedOnly }
+   * @returns {Promise<Array>} Items
+   */
+  async getItems(userId = 'guest-user', { query = '', type, subject, tag, pinnedOnly = false } = {}) {
+    const items = await indexedDBStorage.getLibraryItems(userId);
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return items
+      .filter((item) =>
+        (!type || item.type === type) &&
+        (!subject || sameText(item.subject, subject)) &&
+        (!tag || item.tags.some((itemTag) => sameText(itemTag, tag))) &&
+        (!pinnedOnly || item.pinned) &&
+        terms.every((term) => item.searchText.includes(term))
+      )
+      .sort((a, b) => Number(b.pinned) - Number(a.pinned) || b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async getItem(id) {
+    return indexedDBStorage.getLibraryItem(id);
+  }
+
+  /**
+   * Insert or update an item. An existing item matching `findExisting`
+   * keeps its ID, tags, pin and creation date.
+   */
+  async upsert(userId, fields, findExisting) {
+    const items = await indexedDBStorage.getLibraryItems(userId);
+    const existing = items.find((item) => item.type === fields.type && findExisting(item));
+    const now = new Date().toISOString();
+
+    const item = {
+      id: existing?.id || generateItemId(),
+      userId,
+      pinned: existing?.pinned || false,
+      createdAt: existing?.createdAt || now,
+      openedAt: existing?.openedAt || null,
+      audio: existing?.audio || null,
+      ...fields,
+      tags: uniqueTags([...(existing?.tags || []), ...(fields.tags || [])]),
+      updatedAt: now,
+    };
+    item.searchText = buildSearchText(item);
+
+    await indexedDBStorage.saveLibraryItems([item]);
+    await this.prune(userId);
+    this.notify();
+    return item;
+  }
+
+  /**
+   * Drop the oldest unpinned items past the per-user limit
+   */
+  async prune(userId) {
+    const unpinned = (await indexedDBStorage.getLibraryItems(userId))
+      .filter((item) => !item.pinned)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    if (unpinned.length > MAX_UNPINNED_ITEMS_PER_USER) {
+      await indexedDBStorage.deleteLibraryItems(
+        unpinned.slice(MAX_UNPINNED_ITEMS_PER_USER).map((item) => item.id)
+      );
+    }
+  }
+
+  /**
+   * Save a generated lesson. Regenerating the same subject and topic
+   * updates the saved lesson instead of adding another.
+   * @param {string} userId - Owner
+   * @param {Object} lesson - Lesson data as shown on the Subjects page
+   * @param {Object} [options] - { source: where it was generated }
+   */
+  async saveLesson(userId = 'guest-user', lesson, { source = 'stream' } = {}) {
+    const snapshot = { ...lesson };
+    TRANSIENT_LESSON_FIELDS.forEach((field) => delete snapshot[field]);
+    const subject = (lesson.subject || '').trim();
+    const topic = (lesson.topic || '').trim();
+
+    return this.upsert(
+      userId,
+      {
+        type: LIBRARY_ITEM_TYPES.LESSON,
+        title: lesson.title || `${topic} (${subject})`,
+        subject,
+        topic,
+        source,
+        data: { lesson: snapshot },
+      },
+      (item) => sameText(item.subject, subject) && sameText(item.topic, topic)
+    );
+  }
+
+  /**
+   * Save a document summary. A summary job is saved once per job; older
+   * summaries without an ID are matched on file name and title.
+   * @param {string} userId - Owner
+   * @param {Object} summary - Summary data as stored for SummaryView
+   * @param {Object} file - { name, type } of the summarized file
+   */
+  async saveSummary(userId = 'guest-user', summary, file) {
+    const audioUrl = resolveSummaryAudioUrl(summary.audio_file);
+    return this.upsert(
+      userId,
+      {
+        type: LIBRARY_ITEM_TYPES.SUMMARY,
+        title: file?.name || summary.title || 'Document Summary',
+        subject: '',
+        topic: summary.title || '',
+        source: 'summarizer',
+        data: { summary, file },
+        ...(audioUrl ? { audio: { url: audioUrl, offline: false } } : {}),
+      },
+      (item) => summary.summary_id
+        ? item.data?.summary?.summary_id === summary.summary_id
+        : item.data?.file?.name === file?.name && sameText(item.topic, summary.title)
+    );
+  }
+
+  /**
+   * Save generated lesson audio. It is attached to the saved lesson with the
+   * same subject and topic, or kept as an audio item of its own.
+   * @param {string} userId - Owner
+   * @param {Object} audio - { url, subject, topic, title, source }
+   */
+  async saveAudio(userId = 'guest-user', { url, subject = '', topic = '', title, source = 'lesson-tts' }) {
+    if (!url) return null;
+
+    const items = await indexedDBStorage.getLibraryItems(userId);
+    const lesson = items.find((item) =>
+      item.type === LIBRARY_ITEM_TYPES.LESSON && sameText(item.subject, subject) && sameText(item.topic, topic)
+    );
+    if (lesson) {
+      const updated = { ...lesson, audio: { url, offline: false }, updatedAt: new Date().toISOString() };
+      await indexedDBStorage.saveLibraryItems([updated]);
+      if (updated.pinned) await this.downloadAudio(updated);
+      this.notify();
+      return updated;
+    }
+
+    return this.upsert(
+      userId,
+      {
+        type: LIBRARY_ITEM_TYPES.AUDIO,
+        title: title || `${topic || 'Lesson'} audio`,
+        subject,
+        topic,
+        source,
+        data: {},
+        audio: { url, offline: false },
+      },
+      (item) => item.audio?.url === url
+    );
+  }
+
+  /**
+   * Replace an item's own tags (subject and topic are always searchable)
+   */
+  async setTags(id, tags) {
+    const item = await indexedDBStorage.getLibraryItem(id);
+    if (!item) return null;
+    const updated = { ...item, tags: uniqueTags(tags) };
+    updated.searchText = buildSearchText(updated);
+    await indexedDBStorage.saveLibraryItems([updated]);
+    this.notify();
+    return updated;
+  }
+
+  /**
+   * Pin an item for offline reading, or unpin it. Pinning downloads the
+   * item's audio and asks the browser to keep the site's storage.
+   * @returns {Promise<Object|null>} The updated item
+   */
+  async setPinned(id, pinned) {
+    const item = await indexedDBStorage.getLibraryItem(id);
+    if (!item) return null;
+
+    let updated = { ...item, pinned };
+    if (pinned) {
+      navigator.storage?.persist?.().catch(() => {});
+      updated = await this.downloadAudio(updated);
+    } else if (item.audio?.offline) {
+      await indexedDBStorage.saveLibraryAudio(id, null);
+      updated.audio = { url: item.audio.url, offline: false };
+    }
+
+    await indexedDBStorage.saveLibraryItems([updated]);
+    this.notify();
+    return updated;
+  }
+
+  /**
+   * Download an item's audio into IndexedDB. A failed download leaves the
+   * item pinned with streamed audio.
+   */
+  async downloadAudio(item) {
+    if (!item.audio?.url || item.audio.offline) return item;
+    try {
+      const response = await fetch(item.audio.url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const blob = await response.blob();
+      await indexedDBStorage.saveLibraryAudio(item.id, blob, item.audio.url);
+      const updated = { ...item, audio: { ...item.audio, offline: true, size: blob.size } };
+      await indexedDBStorage.saveLibraryItems([updated]);
+      return updated;
+    } catch (error) {
+      console.warn('📚 Library: could not download audio for offline use:', error.message);
+      return item;
+    }
+  }
+
+  /**
+   * The audio to play for an item: the downloaded copy when there is one
+   * @returns {Promise<Blob|string|null>} A Blob, a URL, or null
+   */
+  async getAudioSource(item) {
+    if (!item?.audio) return null;
+    if (item.audio.offline) {
+      const stored = await indexedDBStorage.getLibraryAudio(item.id);
+      if (stored?.blob) return stored.blob;
+    }
+    return item.audio.url;
+  }
+
+  /**
+   * Record that an item was opened
+   */
+  async markOpened(id) {
+    const item = await indexedDBStorage.getLibraryItem(id);
+    if (!item) return;
+    await indexedDBStorage.saveLibraryItems([{ ...item, openedAt: new Date().toISOString() }]);
+    this.notify();
+  }
+
+  async deleteItem(id) {
+    await indexedDBStorage.deleteLibraryItems([id]);
+    this.notify();
+  }
+}
+
+// Create singleton instance
+const libraryStorage = new LibraryStorage();
+
+export default libraryStorage;
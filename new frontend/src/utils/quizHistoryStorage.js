@@ -0,0 +1,409 @@
+/**
+ * Quiz History Storage Utility
+ * Stores quiz attempts per user, subject and topic in localStorage and derives
+ * scoring analytics and adaptive settings for the next quiz on a topic
+ */
+
+import { safeSetItem } from './storageManager';
+
+// Storage keys
+const QUIZ_ATTEMPTS_KEY = 'gurukul_quiz_attempts';
+
+// Oldest attempts are dropped once a user goes past this many
+const MAX_ATTEMPTS_PER_USER = 200;
+
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+const QUESTION_TYPES = ['multiple_choice', 'true_false'];
+
+const DEFAULT_QUIZ_SETTINGS = {
+  difficulty: 'medium',
+  num_questions: 5,
+  question_types: QUESTION_TYPES,
+};
+
+// Points for questions generated without any (and attempts saved before points were kept)
+const DEFAULT_QUESTION_POINTS = 10;
+
+// Attempts used when deciding the next difficulty
+const ADAPTIVE_WINDOW = 3;
+const STEP_UP_THRESHOLD = 85;
+const STEP_DOWN_THRESHOLD = 50;
+
+const normalize = (value) => (value || '').trim().toLowerCase();
+
+const calculateGrade = (percentage) => {
+  if (percentage >= 90) return 'A';
+  if (percentage >= 80) return 'B';
+  if (percentage >= 70) return 'C';
+  if (percentage >= 60) return 'D';
+  return 'F';
+};
+
+const average = (values) =>
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+class QuizHistoryStorage {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * Listen for changes to any user's attempts
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Load attempts for every user from localStorage
+   */
+  loadAll() {
+    try {
+      const stored = localStorage.getItem(QUIZ_ATTEMPTS_KEY);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        if (typeof parsed === 'object' && parsed !== null) {
+          return parsed;
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to load quiz attempts:', error);
+    }
+    return {};
+  }
+
+  /**
+   * Save attempts for every user to localStorage
+   */
+  async saveAll(attemptsByUser) {
+    try {
+      const result = await safeSetItem(QUIZ_ATTEMPTS_KEY, JSON.stringify(attemptsByUser));
+      if (result.success) {
+        this.notify();
+      }
+      return result.success;
+    } catch (error) {
+      console.error('Failed to save quiz attempts:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get attempts for a user, oldest first, optionally filtered by subject and topic
+   */
+  getAttempts(userId = 'guest-user', { subject, topic, includeRetries = true } = {}) {
+    const attempts = this.loadAll()[userId] || [];
+    return attempts.filter((attempt) => {
+      if (subject && normalize(attempt.subject) !== normalize(subject)) return false;
+      if (topic && normalize(attempt.topic) !== normalize(topic)) return false;
+      if (!includeRetries && attempt.isRetry) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Get a single attempt by ID
+   */
+  getAttempt(userId = 'guest-user', attemptId) {
+    return this.getAttempts(userId).find((attempt) => attempt.attemptId === attemptId) || null;
+  }
+
+  /**
+   * Store a finished attempt
+   */
+  async saveAttempt(userId = 'guest-user', attempt) {
+    const attemptsByUser = this.loadAll();
+    const attempts = [...(attemptsByUser[userId] || []), attempt];
+    attemptsByUser[userId] = attempts.slice(-MAX_ATTEMPTS_PER_USER);
+
+    const saved = await this.saveAll(attemptsByUser);
+    if (saved) {
+      console.log('✅ Quiz attempt saved:', attempt.attemptId);
+    }
+    return saved;
+  }
+
+  /**
+   * Remove every attempt for a user
+   */
+  async clearAttempts(userId = 'guest-user') {
+    const attemptsByUser = this.loadAll();
+    delete attemptsByUser[userId];
+    return this.saveAll(attemptsByUser);
+  }
+
+  /**
+   * Grade a quiz in the browser using the correct answers it was generated with.
+   * Returns the same shape as the /quiz/submit evaluation.
+   */
+  evaluateLocally(quiz, userAnswers = {}) {
+    const questions = quiz?.questions || [];
+    const detailedResults = questions.map((question) => {
+      const userAnswer = userAnswers[question.question_id];
+      const isCorrect = userAnswer !== undefined && userAnswer === question.correct_answer;
+      const maxPoints = question.points || DEFAULT_QUESTION_POINTS;
+
+      return {
+        question_id: question.question_id,
+        question_type: question.type,
+        question_text: question.question,
+        user_answer: userAnswer,
+        correct_answer: question.correct_answer,
+        is_correct: isCorrect,
+        points_earned: isCorrect ? maxPoints : 0,
+        max_points: maxPoints,
+        explanation: question.explanation || '',
+      };
+    });
+
+    const correctAnswers = detailedResults.filter((result) => result.is_correct).length;
+    const totalPoints = detailedResults.reduce((sum, result) => sum + result.points_earned, 0);
+    const maxPoints = detailedResults.reduce((sum, result) => sum + result.max_points, 0);
+    const percentage = maxPoints > 0 ? Math.round((totalPoints / maxPoints) * 10000) / 100 : 0;
+
+    const missedTypes = [...new Set(
+      detailedResults.filter((result) => !result.is_correct).map((result) => result.question_type)
+    )];
+
+    return {
+      quiz_id: quiz?.quiz_id,
+      subject: quiz?.subject,
+      topic: quiz?.topic,
+      submitted_at: new Date().toISOString(),
+      score_summary: {
+        total_questions: detailedResults.length,
+        correct_answers: correctAnswers,
+        incorrect_answers: detailedResults.length - correctAnswers,
+        total_points: totalPoints,
+        max_points: maxPoints,
+        percentage_score: percentage,
+        passed: percentage >= 60,
+        grade: calculateGrade(percentage),
+      },
+      detailed_results: detailedResults,
+      performance_analysis: {
+        overall_performance: percentage >= 80 ? 'Excellent' : percentage >= 60 ? 'Good' : 'Needs Improvement',
+        recommendations: missedTypes.length > 0
+          ? [`Review the ${missedTypes.map((type) => type.replace('_', ' ')).join(' and ')} questions you missed`]
+          : [],
+      },
+    };
+  }
+
+  /**
+   * Build an attempt record from a quiz, the user's answers and its evaluation
+   * @param {Object} params
+   * @param {Object} params.quiz - Quiz as returned by /quiz/generate
+   * @param {Object} params.userAnswers - Answers keyed by question_id
+   * @param {Object} params.evaluation - Evaluation from /quiz/submit or evaluateLocally
+   * @param {Object} params.timeSpent - Seconds spent keyed by question_id
+   * @param {string} params.startedAt - ISO timestamp when the quiz started
+   * @param {boolean} params.isRetry - Whether this attempt only retried missed questions
+   * @param {string} params.parentAttemptId - Attempt being retried
+   */
+  buildAttempt({ quiz, userAnswers = {}, evaluation, timeSpent = {}, startedAt, isRetry = false, parentAttemptId = null }) {
+    const resultsById = {};
+    (evaluation?.detailed_results || []).forEach((result) => {
+      resultsById[result.question_id] = result;
+    });
+
+    const questions = (quiz?.questions || []).map((question) => {
+      const result = resultsById[question.question_id];
+      const userAnswer = userAnswers[question.question_id];
+      const correctAnswer = result?.correct_answer ?? question.correct_answer;
+
+      return {
+        questionId: question.question_id,
+        question: question.question,
+        type: question.type,
+        options: question.options || null,
+        userAnswer: userAnswer ?? null,
+        correctAnswer: correctAnswer ?? null,
+        isCorrect: result ? Boolean(result.is_correct) : userAnswer !== undefined && userAnswer === correctAnswer,
+        explanation: result?.explanation || question.explanation || '',
+        points: question.points ?? DEFAULT_QUESTION_POINTS,
+        timeSpentSeconds: Math.round(timeSpent[question.question_id] || 0),
+      };
+    });
+
+    const correct = questions.filter((question) => question.isCorrect).length;
+    const percentage = evaluation?.score_summary?.percentage_score
+      ?? (questions.length > 0 ? Math.round((correct / questions.length) * 10000) / 100 : 0);
+
+    return {
+      attemptId: `attempt_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      quizId: quiz?.quiz_id || null,
+      subject: quiz?.subject || '',
+      topic: quiz?.topic || '',
+      difficulty: quiz?.difficulty || DEFAULT_QUIZ_SETTINGS.difficulty,
+      isRetry,
+      parentAttemptId,
+      startedAt: startedAt || new Date().toISOString(),
+      completedAt: new Date().toISOString(),
+      totalTimeSeconds: questions.reduce((sum, question) => sum + question.timeSpentSeconds, 0),
+      score: {
+        correct,
+        total: questions.length,
+        percentage,
+        grade: evaluation?.score_summary?.grade || calculateGrade(percentage),
+      },
+      questions,
+    };
+  }
+
+  /**
+   * Get the questions answered incorrectly in an attempt, in quiz format
+   */
+  getMissedQuestions(attempt) {
+    return (attempt?.questions || [])
+      .filter((question) => !question.isCorrect)
+      .map((question) => ({
+        question_id: question.questionId,
+        question: question.question,
+        type: question.type,
+        options: question.options,
+        correct_answer: question.correctAnswer,
+        explanation: question.explanation,
+        points: question.points ?? DEFAULT_QUESTION_POINTS,
+      }));
+  }
+
+  /**
+   * Scoring analytics for a subject and topic
+   */
+  getTopicStats(userId = 'guest-user', subject, topic) {
+    const attempts = this.getAttempts(userId, { subject, topic, includeRetries: false });
+    const scores = attempts.map((attempt) => attempt.score.percentage);
+    const allQuestions = attempts.flatMap((attempt) => attempt.questions);
+
+    const byType = {};
+    allQuestions.forEach((question) => {
+      const stats = byType[question.type] || { answered: 0, correct: 0 };
+      stats.answered += 1;
+      stats.correct += question.isCorrect ? 1 : 0;
+      byType[question.type] = stats;
+    });
+    Object.values(byType).forEach((stats) => {
+      stats.accuracy = stats.answered > 0 ? Math.round((stats.correct / stats.answered) * 100) : 0;
+    });
+
+    const missedCounts = {};
+    allQuestions
+      .filter((question) => !question.isCorrect)
+      .forEach((question) => {
+        missedCounts[question.question] = (missedCounts[question.question] || 0) + 1;
+      });
+
+    return {
+      subject,
+      topic,
+      attemptCount: attempts.length,
+      averageScore: average(scores),
+      bestScore: scores.length > 0 ? Math.max(...scores) : null,
+      lastScore: scores.length > 0 ? scores[scores.length - 1] : null,
+      lastDifficulty: attempts.length > 0 ? attempts[attempts.length - 1].difficulty : null,
+      averageTimePerQuestion: average(allQuestions.map((question) => question.timeSpentSeconds)),
+      accuracyByType: byType,
+      frequentlyMissed: Object.entries(missedCounts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([question, count]) => ({ question, count })),
+    };
+  }
+
+  /**
+   * Pick difficulty and question mix for the next quiz on a topic from past performance
+   * @returns {Object} { difficulty, num_questions, question_types, reason }
+   */
+  getAdaptiveSettings(userId = 'guest-user', subject, topic) {
+    const attempts = this.getAttempts(userId, { subject, topic, includeRetries: false });
+    if (attempts.length === 0) {
+      return { ...DEFAULT_QUIZ_SETTINGS, reason: 'First quiz on this topic' };
+    }
+
+    const recent = attempts.slice(-ADAPTIVE_WINDOW);
+    const recentAverage = average(recent.map((attempt) => attempt.score.percentage));
+    const lastDifficulty = recent[recent.length - 1].difficulty;
+    const levelIndex = Math.max(0, DIFFICULTY_LEVELS.indexOf(lastDifficulty));
+
+    let difficulty = DIFFICULTY_LEVELS[levelIndex];
+    let reason = `Recent average ${Math.round(recentAverage)}%, staying at ${difficulty}`;
+    if (recentAverage >= STEP_UP_THRESHOLD && levelIndex < DIFFICULTY_LEVELS.length - 1) {
+      difficulty = DIFFICULTY_LEVELS[levelIndex + 1];
+      reason = `Recent average ${Math.round(recentAverage)}%, moving up to ${difficulty}`;
+    } else if (recentAverage < STEP_DOWN_THRESHOLD && levelIndex > 0) {
+      difficulty = DIFFICULTY_LEVELS[levelIndex - 1];
+      reason = `Recent average ${Math.round(recentAverage)}%, moving down to ${difficulty}`;
+    }
+
+    // Mastered the hardest level: ask more questions instead
+    const atHardest = levelIndex === DIFFICULTY_LEVELS.length - 1;
+    const numQuestions = recentAverage >= STEP_UP_THRESHOLD && atHardest
+      ? DEFAULT_QUIZ_SETTINGS.num_questions + 2
+      : DEFAULT_QUIZ_SETTINGS.num_questions;
+
+    // Weight the question mix toward the types answered worst. The generator
+    // picks types uniformly from this list, so repeating a type weights it.
+    const { accuracyByType } = this.getTopicStats(userId, subject, topic);
+    const questionTypes = [];
+    QUESTION_TYPES.forEach((type) => {
+      const accuracy = accuracyByType[type]?.accuracy;
+      const weight = accuracy === undefined ? 1 : accuracy < 60 ? 3 : accuracy < 85 ? 2 : 1;
+      for (let i = 0; i < weight; i++) {
+        questionTypes.push(type);
+      }
+    });
+
+    return {
+      difficulty,
+      num_questions: numQuestions,
+      question_types: questionTypes,
+      reason,
+    };
+  }
+
+  /**
+   * Summary of all attempts for a user, used by the progress dashboard
+   */
+  getProgressSummary(userId = 'guest-user') {
+    const attempts = this.getAttempts(userId, { includeRetries: false });
+
+    const topics = {};
+    attempts.forEach((attempt) => {
+      const key = `${normalize(attempt.subject)}::${normalize(attempt.topic)}`;
+      if (!topics[key]) {
+        topics[key] = { subject: attempt.subject, topic: attempt.topic };
+      }
+    });
+
+    return {
+      attemptCount: attempts.length,
+      quizScores: attempts.map((attempt) => Math.round(attempt.score.percentage)),
+      averageScore: average(attempts.map((attempt) => attempt.score.percentage)),
+      totalTimeSeconds: attempts.reduce((sum, attempt) => sum + (attempt.totalTimeSeconds || 0), 0),
+      recentAttempts: attempts.slice(-5).reverse(),
+      topics: Object.values(topics).map(({ subject, topic }) => ({
+        ...this.getTopicStats(userId, subject, topic),
+        nextDifficulty: this.getAdaptiveSettings(userId, subject, topic).difficulty,
+      })),
+    };
+  }
+}
+
+// Create singleton instance
+const quizHistoryStorage = new QuizHistoryStorage();
+
+export default quizHistoryStorage;
+
+// Export utility values
+export {
+  QUIZ_ATTEMPTS_KEY,
+  DIFFICULTY_LEVELS,
+  DEFAULT_QUIZ_SETTINGS,
+};
@@ -0,0 +1,143 @@
+/**
+ * Sample 3D Models
+ * Small avatar models built in code and exported as GLB, so the sample
+ * generation provider works offline and the repo ships no binary assets.
+ * A prompt picks the sample and its colour by keyword.
+ */
+
+import * as THREE from 'three';
+
+export const SAMPLE_MODELS = {
+  sage: { label: 'Sage', keywords: ['sage', 'guru', 'teacher', 'monk', 'wizard', 'rishi', 'person'], color: '#FF9933' },
+  robot: { label: 'Robot', keywords: ['robot', 'android', 'machine', 'mech', 'cyborg'], color: '#3B82F6' },
+  planet: { label: 'Planet', keywords: ['planet', 'jupiter', 'saturn', 'world', 'moon', 'star'], color: '#E6B800' },
+  crystal: { label: 'Crystal', keywords: ['crystal', 'gem', 'diamond', 'jewel', 'stone'], color: '#8B5CF6' },
+};
+
+const COLOR_WORDS = {
+  red: '#EF4444',
+  orange: '#F97316',
+  saffron: '#FF9933',
+  gold: '#EAB308',
+  golden: '#EAB308',
+  yellow: '#FACC15',
+  green: '#10B981',
+  blue: '#3B82F6',
+  cyan: '#06B6D4',
+  purple: '#8B5CF6',
+  violet: '#8B5CF6',
+  pink: '#EC4899',
+  white: '#F5F5F5',
+  silver: '#C0C0C0',
+  black: '#262626',
+};
+
+// Segments per curved surface for each quality setting
+const DETAIL = { low: 8, medium: 16, high: 32 };
+
+const hashText = (text) => {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+};
+
+/**
+ * Sample and colour a prompt asks for; unmatched prompts get a stable pick
+ * @param {string} prompt - Generation prompt
+ * @returns {Object} { sample, color }
+ */
+export const pickSampleModel = (prompt = '') => {
+  const words = prompt.toLowerCase().match(/[a-z]+/g) || [];
+  const keys = Object.keys(SAMPLE_MODELS);
+  const sample = keys.find((key) => SAMPLE_MODELS[key].keywords.some((word) => words.includes(word)))
+    || keys[hashText(prompt) % keys.length];
+  const colorWord = words.find((word) => COLOR_WORDS[word]);
+
+  return { sample, color: colorWord ? COLOR_WORDS[colorWord] : SAMPLE_MODELS[sample].color };
+};
+
+// Each builder adds meshes to a group about 1.6 units tall, centred on the origin
+const BUILDERS = {
+  sage: (group, material, accent, segments) => {
+    const robe = new THREE.Mesh(new THREE.ConeGeometry(0.45, 1.1, segments), material);
+    robe.position.y = -0.25;
+    const head = new THREE.Mesh(new THREE.SphereGeometry(0.22, segments, segments), accent);
+    head.position.y = 0.52;
+    const halo = new THREE.Mesh(new THREE.TorusGeometry(0.3, 0.025, 6, segments * 2), accent);
+    halo.position.set(0, 0.6, -0.12);
+    group.add(robe, head, halo);
+  },
+  robot: (group, material, accent, segments) => {
+    const body = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.7, 0.4), material);
+    body.position.y = -0.2;
+    const head = new THREE.Mesh(new THREE.BoxGeometry(0.42, 0.36, 0.36), material);
+    head.position.y = 0.4;
+    group.add(body, head);
+    [-0.1, 0.1].forEach((x) => {
+      const eye = new THREE.Mesh(new THREE.SphereGeometry(0.05, segments, segments), accent);
+      eye.position.set(x, 0.43, 0.18);
+      group.add(eye);
+    });
+    [-0.4, 0.4].forEach((x) => {
+      const arm = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, 0.6, segments), accent);
+      arm.position.set(x, -0.15, 0);
+      group.add(arm);
+    });
+    [-0.15, 0.15].forEach((x) => {
+      const leg = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.08, 0.3, segments), accent);
+      leg.position.set(x, -0.7, 0);
+      group.add(leg);
+    });
+  },
+  planet: (group, material, accent, segments) => {
+    const sphere = new THREE.Mesh(new THREE.SphereGeometry(0.55, segments * 2, segments), material);
+    const ring = new THREE.Mesh(new THREE.TorusGeometry(0.8, 0.04, 6, segments * 3), accent);
+    ring.rotation.x = Math.PI / 2.4;
+    group.add(sphere, ring);
+  },
+  crystal: (group, material, accent) => {
+    const gem = new THREE.Mesh(new THREE.OctahedronGeometry(0.5), material);
+    gem.scale.y = 1.5;
+    const base = new THREE.Mesh(new THREE.IcosahedronGeometry(0.18), accent);
+    base.position.y = -0.78;
+    group.add(gem, base);
+  },
+};
+
+/**
+ * Build a sample model as a GLB file
+ * @param {string} prompt - Generation prompt, used to pick the sample and colour
+ * @param {Object} [options] - { quality, style } as in the generator settings
+ * @returns {Promise<Blob>} GLB file
+ */
+export const buildSampleModel = async (prompt, { quality = 'medium', style = 'realistic' } = {}) => {
+  const { GLTFExporter } = await import('three/examples/jsm/exporters/GLTFExporter.js');
+
+  const { sample, color } = pickSampleModel(prompt);
+  const segments = style === 'low-poly' ? 6 : DETAIL[quality] || DETAIL.medium;
+  const flatShading = style === 'low-poly' || style === 'cartoon';
+  const material = new THREE.MeshStandardMaterial({
+    color,
+    roughness: style === 'realistic' ? 0.45 : 0.8,
+    metalness: sample === 'robot' ? 0.6 : 0.1,
+    flatShading,
+  });
+  const accent = new THREE.MeshStandardMaterial({
+    color: '#FFFFFF',
+    emissive: color,
+    emissiveIntensity: 0.35,
+    roughness: 0.3,
+    flatShading,
+  });
+
+  const group = new THREE.Group();
+  group.name = SAMPLE_MODELS[sample].label;
+  BUILDERS[sample](group, material, accent, segments);
+
+  const scene = new THREE.Scene();
+  scene.add(group);
+  const glb = await new GLTFExporter().parseAsync(scene, { binary: true });
+  return new Blob([glb], { type: 'model/gltf-binary' });
+};
@@ -3,9 +3,7 @@
  * Use this to verify the Llama API endpoint is working correctly
  */
 
-const UNIGURU_API_BASE_URL =
-  (typeof import !== "undefined" && typeof import.meta !== "undefined" && import.meta.env && import.meta.env.VITE_UNIGURU_API_BASE_URL) ||
-  "http://localhost:8000";
+import { resolveServiceUrl } from "../config/endpoints";
 
 /**
  * Test the financial chat API endpoint
@@ -35,11 +33,11 @@ export const testFinancialChatAPI = async () => {
   try {
     console.log(
       "📤 Sending test request to:",
-      `${UNIGURU_API_BASE_URL}/v1/chat/completions`
+      resolveServiceUrl("uniguru", "/v1/chat/completions")
     );
 
     const response = await fetch(
-      `${UNIGURU_API_BASE_URL}/v1/chat/completions`,
+      resolveServiceUrl("uniguru", "/v1/chat/completions"),
       {
         method: "POST",
         headers: {
@@ -156,7 +154,7 @@ Offer actionable recommendations and insights.
     console.log("📤 Sending contextual test request...");
 
     const response = await fetch(
-      `${UNIGURU_API_BASE_URL}/v1/chat/completions`,
+      resolveServiceUrl("uniguru", "/v1/chat/completions"),
       {
         method: "POST",
         headers: {
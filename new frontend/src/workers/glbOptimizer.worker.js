@@ -0,0 +1,32 @@
+/**
+ * GLB Optimizer Worker
+ * Runs inspectGlb and optimizeGlb off the main thread for glbOptimizerService.
+ * Buffers are transferred both ways, so the caller gets its file back.
+ *
+ * Message in:  { id, action: 'inspect'|'optimize', buffer, options }
+ * Message out: { id, result } or { id, error }
+ */
+
+import { inspectGlb, optimizeGlb } from '../utils/glbOptimizer';
+
+self.onmessage = async (event) => {
+  const { id, action, buffer, options } = event.data;
+
+  try {
+    if (action === 'inspect') {
+      const report = inspectGlb(buffer);
+      self.postMessage({ id, result: { report, buffer } }, [buffer]);
+    } else if (action === 'optimize') {
+      const optimized = await optimizeGlb(buffer, options);
+      const report = inspectGlb(optimized.buffer);
+      self.postMessage(
+        { id, result: { report, buffer: optimized.buffer, changes: optimized.changes } },
+        [optimized.buffer]
+      );
+    } else {
+      throw new Error(`Unknown action: ${action}`);
+    }
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'Could not process the model' });
+  }
+};